@@ -651,6 +651,12 @@ function AppContent() {
     setHasChanges(true);
   }, []);
 
+  // Content the server already holds, such as collaborative edits
+  const handleContentSynced = useCallback((syncedContent) => {
+    setFileContent(syncedContent || '');
+    setHasChanges(false);
+  }, []);
+
   const handleFolderSelect = (folderPath) => {
     setSelectedFolderPath(folderPath);
     setCurrentView('folder');
@@ -1507,6 +1513,7 @@ function AppContent() {
               onSave={handleSave}
               hasChanges={hasChanges}
               currentSpace={currentSpace}
+              onContentSynced={handleContentSynced}
             />
           ) : (
             <HomeView
@@ -16,8 +16,12 @@
 import React from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import DiagramBlock, { DIAGRAM_LANGUAGES, getCodeText } from './DiagramBlock';
 
 /**
  * KnowledgeContentPane component for displaying content in knowledge view.
@@ -162,11 +166,17 @@ const KnowledgeContentPane = ({
       <div className="knowledge-content-body">
         <div className="markdown-content">
           <ReactMarkdown
-            remarkPlugins={[remarkGfm]}
+            remarkPlugins={[remarkGfm, remarkMath]}
+            rehypePlugins={[rehypeKatex]}
             components={{
-              code({node, inline, className, children, ...props}) {
+              code({node, className, children, ...props}) {
                 const match = /language-(\w+)/.exec(className || '');
-                return !inline && match ? (
+                if (match && DIAGRAM_LANGUAGES.includes(match[1])) {
+                  return <DiagramBlock language={match[1]} source={getCodeText(children)} />;
+                }
+                // Code blocks end with a newline, inline code spans have none
+                const isBlock = getCodeText(children).includes('\n');
+                return isBlock && match ? (
                   <SyntaxHighlighter
                     style={tomorrow}
                     language={match[1]}
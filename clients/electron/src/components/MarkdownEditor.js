@@ -7,11 +7,12 @@
  * and appropriate viewers for other file types.
  * 
  * Key features:
- * - Multi-format file support (Markdown, PDF, images, text)
+ * - Multi-format file support (Markdown, diagrams, PDF, images, text)
  * - Tabbed interface (edit/preview/split for Markdown)
  * - Syntax highlighting for code blocks
  * - File renaming functionality
  * - External preview window support
+ * - Real-time collaborative editing with presence
  * - GitHub Flavored Markdown support
  * 
  * @author Design Artifacts Team
@@ -19,7 +20,8 @@
  * @since 2024-01-01
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'react-toastify';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import {Prism as SyntaxHighlighter} from 'react-syntax-highlighter';
@@ -31,8 +33,11 @@ import PDFViewer from './PDFViewer';
 import ImageViewer from './ImageViewer';
 import TextViewer from './TextViewer';
 import FileDownloader from './FileDownloader';
+import DiagramEditor from './DiagramEditor';
 import { detectFileType, FILE_TYPES } from '../utils/fileTypeDetector';
 import { useTheme } from '../contexts/ThemeContext';
+import { useCollaboration } from '../hooks/useCollaboration';
+import { transformIndex } from '../services/collaboration';
 
 /**
  * MarkdownEditor component for editing and previewing different file types.
@@ -46,16 +51,75 @@ import { useTheme } from '../contexts/ThemeContext';
  * @param {Object} props.fileData - Complete file data including type and encoding.
  * @param {Function} props.onSave - Callback for saving the file.
  * @param {boolean} props.hasChanges - Whether the file has unsaved changes.
+ * @param {string} props.currentSpace - The current space name.
+ * @param {Function} props.onContentSynced - Callback with content the server already holds.
  * @return {JSX.Element} The MarkdownEditor component.
  */
-const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, defaultMode = 'edit', fileData, onSave, hasChanges}) => {
+const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, defaultMode = 'edit', fileData, onSave, hasChanges, currentSpace, onContentSynced}) => {
   const { isDark } = useTheme();
   const [activeTab, setActiveTab] = useState(defaultMode);
   const [showRenameDialog, setShowRenameDialog] = useState(false);
   const [renameValue, setRenameValue] = useState('');
+  const editorPaneRef = useRef(null);
 
   const fileType = fileName ? detectFileType(fileName) : FILE_TYPES.UNKNOWN;
   const isMarkdown = fileType === FILE_TYPES.MARKDOWN;
+  const isCollaborative = isMarkdown && !!currentSpace && currentSpace !== 'Personal' &&
+    !!fileName && !fileName.startsWith('templates/');
+
+  // Apply remote edits while keeping the local selection in place
+  const handleRemoteContent = useCallback((text, operation) => {
+    const textarea = editorPaneRef.current?.querySelector('textarea');
+    const selection = textarea && document.activeElement === textarea && operation
+      ? { start: transformIndex(textarea.selectionStart, operation), end: transformIndex(textarea.selectionEnd, operation) }
+      : null;
+
+    if (onContentSynced) {
+      onContentSynced(text);
+    }
+    if (selection) {
+      requestAnimationFrame(() => textarea.setSelectionRange(selection.start, selection.end));
+    }
+  }, [onContentSynced]);
+
+  const collaboration = useCollaboration({
+    enabled: isCollaborative,
+    space: currentSpace,
+    filePath: fileName,
+    content,
+    onRemoteContent: handleRemoteContent,
+    onSaved: onContentSynced,
+    onClosed: (reason) => alert(reason === 'renamed'
+      ? 'This file was renamed by another user'
+      : 'This file was deleted by another user'),
+    onSaveRefused: (message) => {
+      // Refused by the folder or template schema, or by a plugin
+      const failures = message.validationErrors
+        ? message.validationErrors.map(failure => `${failure.field} ${failure.message}`)
+        : (message.problems || []).map(problem => `${problem.plugin}: ${problem.message}`);
+      toast.error(`Not saved - ${message.error}: ${failures.join('; ')}`, {
+        toastId: 'collaboration-save-refused',
+        autoClose: 10000
+      });
+    }
+  });
+  const { isLive, setCursor: setCollaborationCursor } = collaboration;
+
+  // Share the local cursor with other participants
+  useEffect(() => {
+    if (!isLive) return undefined;
+
+    const handleSelectionChange = () => {
+      const textarea = editorPaneRef.current?.querySelector('textarea');
+      if (textarea && document.activeElement === textarea) {
+        setCollaborationCursor(textarea.selectionStart, textarea.selectionEnd);
+      }
+    };
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => document.removeEventListener('selectionchange', handleSelectionChange);
+  }, [isLive, setCollaborationCursor]);
+
+  const getLineNumber = (offset) => (content || '').slice(0, offset).split('\n').length;
   
   useEffect(() => {
     if (fileName) {
@@ -134,6 +198,21 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, defau
   }
 
   // Render different viewers based on file type
+  if (fileType === FILE_TYPES.DIAGRAM) {
+    return (
+      <DiagramEditor
+        key={fileName}
+        content={content}
+        onChange={onChange}
+        fileName={fileName}
+        isLoading={isLoading}
+        onSave={onSave}
+        hasChanges={hasChanges}
+        currentSpace={currentSpace}
+      />
+    );
+  }
+
   if (fileType === FILE_TYPES.PDF) {
     return (
       <PDFViewer 
@@ -196,18 +275,41 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, defau
           
           <div className="vr mx-2"></div>
           
-          <button
-            className="btn btn-success btn-sm"
-            onClick={onSave}
-            disabled={!fileName || !hasChanges || isLoading}
-            title="Save file">
-            <i className="bi bi-floppy me-1"></i>Save
-          </button>
+          {isLive ? (
+            <span
+              className="badge bg-success-subtle text-success-emphasis d-flex align-items-center collaboration-status"
+              title="Changes are saved automatically">
+              <i className="bi bi-broadcast me-1"></i>
+              {!collaboration.canEdit ? 'Live (view only)' : hasChanges ? 'Live · Saving…' : 'Live · Saved'}
+            </span>
+          ) : (
+            <button
+              className="btn btn-success btn-sm"
+              onClick={onSave}
+              disabled={!fileName || !hasChanges || isLoading}
+              title="Save file">
+              <i className="bi bi-floppy me-1"></i>Save
+            </button>
+          )}
         </div>
       </div>
 
+      {isLive && collaboration.participants.length > 0 && (
+        <div className="d-flex flex-wrap align-items-center gap-2 px-3 mb-2 collaboration-presence">
+          <span className="small text-muted">
+            <i className="bi bi-people me-1"></i>Also editing:
+          </span>
+          {collaboration.participants.map(participant => (
+            <span key={participant.clientId} className="badge rounded-pill bg-primary-subtle text-primary-emphasis">
+              {participant.username}
+              {participant.cursor && ` · line ${getLineNumber(participant.cursor.head)}`}
+            </span>
+          ))}
+        </div>
+      )}
+
       <div className="editor-content flex-grow-1 d-flex flex-column">
-        <div className="editor-pane flex-grow-1">
+        <div ref={editorPaneRef} className="editor-pane flex-grow-1">
           <MDEditor
             value={content}
             onChange={(val) => onChange(val || '')}
@@ -215,6 +317,7 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, defau
             hideToolbar={false}
             data-color-mode={isDark ? 'dark' : 'light'}
             height="100%"
+            textareaProps={{ readOnly: isLive && !collaboration.canEdit }}
           />
         </div>
       </div>
@@ -4,7 +4,8 @@
  * This component renders markdown content in a dedicated preview window that
  * can be opened separately from the main application. It provides a clean,
  * distraction-free environment for viewing rendered markdown content with
- * syntax highlighting and GitHub Flavored Markdown support.
+ * syntax highlighting, GitHub Flavored Markdown, math and Mermaid and PlantUML
+ * diagrams; printing the window saves the page with its diagrams as PDF.
  * 
  * @author Design Artifacts Team
  * @version 1.0.0
@@ -14,8 +15,12 @@
 import React, { useEffect, useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import DiagramBlock, { DIAGRAM_LANGUAGES, getCodeText } from './DiagramBlock';
 import { fetchFile } from '../services/api';
 
 /**
@@ -96,11 +101,17 @@ const PreviewWindow = () => {
           </div>
         ) : (
           <ReactMarkdown
-            remarkPlugins={[remarkGfm]}
+            remarkPlugins={[remarkGfm, remarkMath]}
+            rehypePlugins={[rehypeKatex]}
             components={{
-              code({ node, inline, className, children, ...props }) {
+              code({ node, className, children, ...props }) {
                 const match = /language-(\w+)/.exec(className || '');
-                return !inline && match ? (
+                if (match && DIAGRAM_LANGUAGES.includes(match[1])) {
+                  return <DiagramBlock language={match[1]} source={getCodeText(children)} />;
+                }
+                // Code blocks end with a newline, inline code spans have none
+                const isBlock = getCodeText(children).includes('\n');
+                return isBlock && match ? (
                   <SyntaxHighlighter
                     style={tomorrow}
                     language={match[1]}
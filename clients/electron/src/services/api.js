@@ -22,6 +22,9 @@
  * File Operations:
  * - fetchFiles(space): Fetches file tree structure
  * - fetchFile(filePath, space): Fetches specific file content
+ * - renderPlantUml(source): Renders a PlantUML diagram to SVG on the server
+ * - renderDiagram(filePath, space, format): Renders a diagram file of a space to SVG or PNG
+ * - exportDiagram(filePath, space, format): Downloads a diagram file as SVG or PNG
  * - downloadFile(filePath, space): Downloads file from server
  * - saveFile(filePath, content, space): Saves file content
  * - createFolder(folderPath, space): Creates new folder
@@ -136,6 +139,71 @@ export const fetchFile = async (filePath, space = null) => {
   }
 };
 
+/**
+ * Renders a PlantUML diagram to SVG with the PlantUML of the server.
+ * @param {string} source - The diagram, as written in a ```plantuml block.
+ * @return {Promise<string>} The SVG document.
+ */
+export const renderPlantUml = async (source) => {
+  try {
+    const response = await api.post('/diagrams/plantuml', { source }, { responseType: 'text' });
+    return response.data;
+  } catch (error) {
+    // Errors come back as JSON text, since the response is read as text
+    let message = error.message;
+    try {
+      message = JSON.parse(error.response.data).error || message;
+    } catch (e) {
+      // Keep the message of the request
+    }
+    throw new Error(message);
+  }
+};
+
+/**
+ * Renders a diagram file of a space (`.excalidraw`) on the server.
+ * @param {string} filePath - The path to the diagram.
+ * @param {string} space - The space of the diagram.
+ * @param {string} [format='svg'] - 'svg' or 'png'.
+ * @return {Promise<Blob>} The image.
+ */
+export const renderDiagram = async (filePath, space, format = 'svg') => {
+  try {
+    const response = await api.get(`/${space}/diagrams/render/${filePath}`, {
+      params: { format },
+      responseType: 'blob'
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error rendering diagram:', error);
+    throw error;
+  }
+};
+
+/**
+ * Downloads a diagram file of a space as an image.
+ * @param {string} filePath - The path to the diagram.
+ * @param {string} space - The space of the diagram.
+ * @param {string} [format='svg'] - 'svg' or 'png'.
+ * @return {Promise<void>} Downloads the image.
+ */
+export const exportDiagram = async (filePath, space, format = 'svg') => {
+  try {
+    const image = await renderDiagram(filePath, space, format);
+    const downloadUrl = window.URL.createObjectURL(image);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.setAttribute('download', `${filePath.split('/').pop().replace(/\.excalidraw$/i, '')}.${format}`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(downloadUrl);
+  } catch (error) {
+    console.error('Error exporting diagram:', error);
+    throw error;
+  }
+};
+
 /**
  * Downloads a file from the server.
  * @param {string} filePath - The path to the file.
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Real-time collaboration client for Markdown documents.
+ *
+ * Connects the shared collaboration client (shared/collaboration) to the
+ * server's collaboration WebSocket next to the API. The browser sends the
+ * session cookie with the upgrade request, which signs the user in.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import { CollaborationClient as SharedCollaborationClient } from 'design-artifacts-collaboration';
+
+export {
+  applyOperation,
+  diffOperation,
+  transformIndex,
+  transformOperation
+} from 'design-artifacts-collaboration';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+/**
+ * Returns the WebSocket URL of the collaboration endpoint.
+ * @return {string} The endpoint URL.
+ */
+export function getCollaborationUrl() {
+  const base = new URL(API_BASE_URL, window.location.href);
+  base.protocol = base.protocol === 'https:' ? 'wss:' : 'ws:';
+  base.pathname = `${base.pathname.replace(/\/$/, '')}/collab`;
+  return base.toString();
+}
+
+/**
+ * Keeps one document in sync with the collaboration server over a browser
+ * WebSocket. Takes the options of the shared client but `createSocket`.
+ */
+export class CollaborationClient extends SharedCollaborationClient {
+  constructor(options) {
+    super({ ...options, createSocket: () => new WebSocket(getCollaborationUrl()) });
+  }
+}
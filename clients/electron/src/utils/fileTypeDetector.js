@@ -11,7 +11,7 @@
  * - MIME type resolution
  * - Viewability classification
  * - File name and extension extraction
- * - Support for markdown, PDF, image, and text files
+ * - Support for markdown, diagram, PDF, image, and text files
  * 
  * @author Design Artifacts Team
  * @version 1.0.0
@@ -23,6 +23,7 @@
  */
 export const FILE_TYPES = {
   MARKDOWN: 'markdown',
+  DIAGRAM: 'diagram',
   PDF: 'pdf',
   IMAGE: 'image',
   TEXT: 'text',
@@ -49,6 +50,11 @@ const PDF_EXTENSIONS = ['.pdf'];
  */
 const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
 
+/**
+ * Diagram file extensions, edited in the embedded diagram editor
+ */
+export const DIAGRAM_EXTENSIONS = ['.excalidraw'];
+
 /**
  * Detects the file type based on the file path/extension
  * @param {string} filePath - The file path
@@ -65,6 +71,10 @@ export function detectFileType(filePath) {
     return FILE_TYPES.MARKDOWN;
   }
 
+  if (DIAGRAM_EXTENSIONS.includes(extension)) {
+    return FILE_TYPES.DIAGRAM;
+  }
+
   if (PDF_EXTENSIONS.includes(extension)) {
     return FILE_TYPES.PDF;
   }
@@ -117,7 +127,7 @@ export function getFileName(filePath) {
  * @returns {boolean} Whether the file type is supported
  */
 export function isViewableFileType(fileType) {
-  return [FILE_TYPES.MARKDOWN, FILE_TYPES.PDF, FILE_TYPES.IMAGE, FILE_TYPES.TEXT].includes(fileType);
+  return [FILE_TYPES.MARKDOWN, FILE_TYPES.DIAGRAM, FILE_TYPES.PDF, FILE_TYPES.IMAGE, FILE_TYPES.TEXT].includes(fileType);
 }
 
 /**
@@ -154,7 +164,8 @@ export function getMimeType(extension) {
     '.css': 'text/css',
     '.html': 'text/html',
     '.md': 'text/markdown',
-    '.markdown': 'text/markdown'
+    '.markdown': 'text/markdown',
+    '.excalidraw': 'application/vnd.excalidraw+json'
   };
 
   return mimeTypes[extension] || 'application/octet-stream';
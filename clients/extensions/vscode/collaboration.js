@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Real-time collaborative editing for VS Code
+ *
+ * Opens a Markdown document from a Design Artifacts space in a local working
+ * copy and keeps it in sync with other editors through the server's
+ * collaboration WebSocket. Remote cursors are shown as decorations and the
+ * server saves the document once edits settle. The synchronization itself is
+ * done by the shared collaboration client (shared/collaboration); this module
+ * opens its socket with the `ws` package and binds it to the editor.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const vscode = require('vscode');
+const WebSocket = require('ws');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    CollaborationClient,
+    applyOperation,
+    diffOperation,
+    transformOperation,
+    isRetain,
+    isDelete,
+    isInsert
+} = require('design-artifacts-collaboration');
+
+// Binds a collaboration client to a local working copy opened in VS Code
+class CollaborativeDocument {
+    constructor(manager, space, filePath) {
+        this.manager = manager;
+        this.space = space;
+        this.filePath = filePath;
+        this.localPath = path.join(os.tmpdir(), 'design-artifacts', space.replace(/[<>:"/\\|?*]/g, '_'), ...filePath.split('/'));
+        this.document = null;
+        this.documentText = null;
+        this.syncing = false;
+        this.status = 'connecting';
+        this.disposables = [];
+
+        const serverUrl = new URL(manager.authManager.getServerUrl());
+        serverUrl.protocol = serverUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+        serverUrl.pathname = '/api/collab';
+
+        const headers = manager.authManager.sessionToken ? { Authorization: `Bearer ${manager.authManager.sessionToken}` } : {};
+
+        this.client = new CollaborationClient({
+            space,
+            path: filePath,
+            createSocket: () => {
+                const socket = new WebSocket(serverUrl.toString(), { headers });
+                socket.on('unexpected-response', (request, response) => {
+                    if (response.statusCode === 401) {
+                        this.client.disconnect();
+                        this.showError('Authentication required. Please sign in again.');
+                    }
+                });
+                socket.on('error', (error) => {
+                    console.error('[VS Code Extension] Collaboration connection error:', error.message);
+                });
+                return socket;
+            },
+            onText: (text, operation) => {
+                if (operation === null) {
+                    this.open(text);
+                } else {
+                    this.syncDocument();
+                }
+            },
+            onStatus: (status) => {
+                this.status = status;
+                this.manager.updateStatusBar();
+            },
+            onPresence: () => {
+                this.manager.updateStatusBar();
+                this.renderCursors();
+            },
+            onSaved: (savedAt, synchronized) => {
+                if (synchronized && this.document && !this.document.isClosed && this.document.getText() === this.client.text) {
+                    this.document.save();
+                }
+            },
+            onClosed: (reason) => {
+                vscode.window.showWarningMessage(`${this.filePath} was ${reason === 'renamed' ? 'renamed' : 'deleted'} by another user.`);
+                this.dispose();
+            },
+            onError: (error) => this.showError(error)
+        });
+        this.client.connect();
+    }
+
+    showError(error) {
+        vscode.window.showErrorMessage(`Collaboration: ${error}`);
+        if (!this.document) {
+            this.dispose();
+        }
+    }
+
+    async open(text) {
+        try {
+            await fs.promises.mkdir(path.dirname(this.localPath), { recursive: true });
+            await fs.promises.writeFile(this.localPath, text, 'utf8');
+            this.document = await vscode.workspace.openTextDocument(this.localPath);
+            this.documentText = this.document.getText();
+            await vscode.window.showTextDocument(this.document);
+
+            this.disposables.push(
+                vscode.workspace.onDidChangeTextDocument(event => {
+                    if (event.document === this.document) {
+                        this.handleLocalChange();
+                    }
+                }),
+                vscode.window.onDidChangeTextEditorSelection(event => {
+                    if (event.textEditor.document === this.document) {
+                        const selection = event.selections[0];
+                        this.client.setCursor(this.document.offsetAt(selection.anchor), this.document.offsetAt(selection.active));
+                    }
+                }),
+                vscode.window.onDidChangeVisibleTextEditors(() => this.renderCursors()),
+                vscode.workspace.onDidCloseTextDocument(document => {
+                    if (document === this.document) {
+                        this.dispose();
+                    }
+                })
+            );
+
+            if (!this.client.canEdit) {
+                vscode.window.showInformationMessage(`You can follow ${this.filePath} live but your role does not allow editing it.`);
+            }
+            this.syncDocument();
+        } catch (error) {
+            console.error('[VS Code Extension] Failed to open collaborative document:', error);
+            vscode.window.showErrorMessage(`Failed to open ${this.filePath}: ${error.message}`);
+            this.dispose();
+        }
+    }
+
+    handleLocalChange() {
+        const newText = this.document.getText();
+        if (newText === this.client.text) {
+            this.documentText = newText;
+            return;
+        }
+
+        if (!this.client.canEdit) {
+            // Undo local edits when the role does not allow editing
+            this.documentText = newText;
+            this.syncDocument();
+            return;
+        }
+
+        // Rebase the edit when the editor has not shown the latest remote text yet
+        let text = newText;
+        if (this.documentText !== this.client.text) {
+            const [local] = transformOperation(
+                diffOperation(this.documentText, newText),
+                diffOperation(this.documentText, this.client.text)
+            );
+            text = applyOperation(this.client.text, local);
+        }
+        this.client.update(text);
+        this.documentText = newText;
+        if (newText !== this.client.text) {
+            this.syncDocument();
+        }
+    }
+
+    async syncDocument() {
+        if (!this.document || this.document.isClosed || this.syncing) {
+            return;
+        }
+        this.syncing = true;
+        try {
+            while (this.document.getText() !== this.client.text) {
+                const current = this.document.getText();
+                const target = this.client.text;
+                const operation = diffOperation(current, target);
+                const start = isRetain(operation[0]) ? operation[0] : 0;
+                const removed = operation.filter(isDelete).reduce((sum, component) => sum - component, 0);
+                const inserted = operation.filter(isInsert).join('');
+
+                const edit = new vscode.WorkspaceEdit();
+                edit.replace(
+                    this.document.uri,
+                    new vscode.Range(this.document.positionAt(start), this.document.positionAt(start + removed)),
+                    inserted
+                );
+                if (!await vscode.workspace.applyEdit(edit)) {
+                    break;
+                }
+            }
+            this.documentText = this.document.getText();
+        } finally {
+            this.syncing = false;
+        }
+        this.renderCursors();
+    }
+
+    renderCursors() {
+        if (!this.document) {
+            return;
+        }
+        const length = this.document.getText().length;
+        const decorations = this.client.participants
+            .filter(participant => participant.cursor)
+            .map(participant => {
+                const anchor = this.document.positionAt(Math.min(participant.cursor.anchor, length));
+                const head = this.document.positionAt(Math.min(participant.cursor.head, length));
+                return {
+                    range: new vscode.Range(anchor, head),
+                    hoverMessage: `${participant.username} is ${participant.canEdit ? 'editing' : 'viewing'}`,
+                    renderOptions: { after: { contentText: ` ${participant.username}` } }
+                };
+            });
+
+        for (const editor of vscode.window.visibleTextEditors) {
+            if (editor.document === this.document) {
+                editor.setDecorations(this.manager.cursorDecoration, decorations);
+            }
+        }
+    }
+
+    dispose() {
+        this.client.disconnect();
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+        this.manager.remove(this);
+    }
+}
+
+// Tracks open collaborative documents and the status bar entry
+class CollaborationManager {
+    constructor(context, authManager) {
+        this.authManager = authManager;
+        this.documents = new Map();
+        this.cursorDecoration = vscode.window.createTextEditorDecorationType({
+            backgroundColor: new vscode.ThemeColor('editor.wordHighlightBackground'),
+            borderColor: new vscode.ThemeColor('editorCursor.foreground'),
+            borderStyle: 'solid',
+            borderWidth: '0 1px 0 0',
+            after: {
+                color: new vscode.ThemeColor('editorCodeLens.foreground'),
+                fontStyle: 'italic'
+            }
+        });
+        this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+        context.subscriptions.push(this.cursorDecoration, this.statusBarItem, {
+            dispose: () => this.documents.forEach(document => document.dispose())
+        });
+        vscode.window.onDidChangeActiveTextEditor(() => this.updateStatusBar(), null, context.subscriptions);
+    }
+
+    async start(space, filePath) {
+        if (!this.authManager.getIsAuthenticated()) {
+            vscode.window.showErrorMessage('Authentication required. Please sign in first.');
+            return;
+        }
+
+        if (!space) {
+            const spaces = this.authManager.getSpaces()
+                .filter(item => item.space !== 'Personal')
+                .map(item => ({ label: item.space, description: item.role || item.access }));
+            if (spaces.length === 0) {
+                vscode.window.showWarningMessage('No shared spaces are available for collaborative editing.');
+                return;
+            }
+            const picked = await vscode.window.showQuickPick(spaces, { placeHolder: 'Select a space' });
+            if (!picked) return;
+            space = picked.label;
+        }
+
+        if (!filePath) {
+            filePath = await vscode.window.showInputBox({
+                prompt: `Markdown file in ${space} to edit collaboratively`,
+                placeHolder: 'docs/architecture.md',
+                validateInput: value => value.trim().endsWith('.md') ? null : 'Enter the path of a .md file'
+            });
+            if (!filePath) return;
+            filePath = filePath.trim().replace(/^\/+/, '');
+        }
+
+        const key = `${space}:${filePath}`;
+        const existing = this.documents.get(key);
+        if (existing && existing.document) {
+            await vscode.window.showTextDocument(existing.document);
+            return;
+        }
+        if (!existing) {
+            this.documents.set(key, new CollaborativeDocument(this, space, filePath));
+        }
+    }
+
+    remove(collaborativeDocument) {
+        const key = `${collaborativeDocument.space}:${collaborativeDocument.filePath}`;
+        if (this.documents.get(key) === collaborativeDocument) {
+            this.documents.delete(key);
+        }
+        this.updateStatusBar();
+    }
+
+    updateStatusBar() {
+        const editor = vscode.window.activeTextEditor;
+        const active = editor && Array.from(this.documents.values()).find(item => item.document === editor.document);
+        if (!active) {
+            this.statusBarItem.hide();
+            return;
+        }
+
+        const others = active.client.participants.map(participant => participant.username);
+        if (active.status === 'live') {
+            this.statusBarItem.text = `$(broadcast) Live${others.length ? `: ${others.length + 1} editing` : ''}`;
+            this.statusBarItem.tooltip = others.length ? `Also editing: ${others.join(', ')}` : 'Changes are saved automatically';
+        } else {
+            this.statusBarItem.text = '$(debug-disconnect) Offline';
+            this.statusBarItem.tooltip = 'Reconnecting to the collaboration server';
+        }
+        this.statusBarItem.show();
+    }
+}
+
+module.exports = {
+    CollaborationManager
+};
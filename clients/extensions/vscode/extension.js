@@ -7,6 +7,7 @@
  * - Space and workspace management
  * - Markdown rendering and file operations
  * - Real-time sync with Design Artifacts server
+ * - Real-time collaborative editing of Markdown documents
  * 
  * @author Design Artifacts Team
  * @version 1.0.0
@@ -16,6 +17,7 @@
 const vscode = require('vscode');
 const axios = require('axios');
 const markdownit = require('markdown-it');
+const { CollaborationManager } = require('./collaboration');
 
 // Authentication Manager
 class AuthManager {
@@ -1758,6 +1760,7 @@ Created for seamless integration with the Architecture Artifacts platform.`;
 let authManager;
 let searchWebview;
 let settingsManager;
+let collaborationManager;
 
 function activate(context) {
     console.log('Architecture Artifacts extension is now active!');
@@ -1766,6 +1769,7 @@ function activate(context) {
     authManager = new AuthManager(context);
     searchWebview = new SearchWebview(context, authManager);
     settingsManager = new SettingsManager(context, authManager);
+    collaborationManager = new CollaborationManager(context, authManager);
 
     // Create tree data provider
     const provider = new ArchitectureArtifactsProvider(authManager);
@@ -1792,6 +1796,10 @@ function activate(context) {
             settingsManager.show();
         }),
 
+        vscode.commands.registerCommand('architectureArtifacts.collaborate', async (space, filePath) => {
+            await collaborationManager.start(space, filePath);
+        }),
+
         vscode.commands.registerCommand('architectureArtifacts.refresh', () => {
             provider.refresh();
         })
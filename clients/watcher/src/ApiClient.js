@@ -4,6 +4,9 @@
  * This module provides a comprehensive API client for communicating with the
  * Design Artifacts server. It handles authentication via API keys and
  * provides methods for file operations in the user's personal space.
+ * Text uploads only replace the server version that was last synced; when
+ * the file was changed on the server in the meantime the configured
+ * conflict policy decides which version wins.
  *
  * @author Design Artifacts Team
  * @version 1.0.0
@@ -11,6 +14,7 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs-extra');
 const chalk = require('chalk');
@@ -23,12 +27,18 @@ class ApiClient {
    * @param {string} config.apiKey - API key for authentication
    * @param {string} config.username - Username for the personal space
    * @param {boolean} [config.verbose=false] - Enable verbose logging
+   * @param {string} [config.conflictPolicy='keep-both'] - What to do when a file changed on
+   *     the server since the last sync: 'keep-both', 'overwrite' or 'server'
    */
   constructor(config) {
     this.serverUrl = config.serverUrl.replace(/\/$/, ''); // Remove trailing slash
     this.apiKey = config.apiKey;
     this.username = config.username;
     this.verbose = config.verbose || false;
+    this.conflictPolicy = config.conflictPolicy || 'keep-both';
+
+    // Server versions of the files this client last uploaded, by remote path
+    this.knownVersions = new Map();
     
     // Retry configuration for operations
     this.retryConfig = config.operationRetry || {
@@ -51,6 +61,10 @@ class ApiClient {
     this.client.interceptors.response.use(
       (response) => response,
       (error) => {
+        // Conflicts are expected and handled by the conflict policy
+        if (error.response && error.response.status === 409) {
+          return Promise.reject(error);
+        }
         this.logError('API Request failed:', error.message);
         if (error.response) {
           this.logError('Response status:', error.response.status);
@@ -91,6 +105,15 @@ class ApiClient {
     console.log(chalk.green('[API SUCCESS]'), ...args);
   }
 
+  /**
+   * Compute the version the server reports for some content
+   * @param {string} content - File content
+   * @returns {string} The content version
+   */
+  computeVersion(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 32);
+  }
+
   /**
    * Check if an error is retriable (server restart, network issues, etc.)
    * @param {Error} error - The error to check
@@ -247,6 +270,7 @@ class ApiClient {
         filePath: filePath,
         content: content
       });
+      this.knownVersions.set(filePath, this.computeVersion(content));
       this.logSuccess(`File created: ${filePath}`);
     }, `Create file ${filePath}`);
   }
@@ -255,14 +279,19 @@ class ApiClient {
    * Update an existing file in the personal space
    * @param {string} filePath - Relative path to the file
    * @param {string} content - New file content
+   * @param {Object} [options] - Update options
+   * @param {string} [options.version] - Only update if the server still has this version;
+   *     otherwise the request fails with status 409
    * @returns {Promise<void>}
    */
-  async updateFile(filePath, content) {
+  async updateFile(filePath, content, options = {}) {
     return this.withRetry(async () => {
       this.log(`Updating file: ${filePath}`);
-      await this.client.put(`/${this.personalSpace}/files/${encodeURIComponent(filePath)}`, {
+      const headers = options.version ? { 'If-Match': `"${options.version}"` } : {};
+      const response = await this.client.put(`/${this.personalSpace}/files/${encodeURIComponent(filePath)}`, {
         content: content
-      });
+      }, { headers });
+      this.knownVersions.set(filePath, response.data.version || this.computeVersion(content));
       this.logSuccess(`File updated: ${filePath}`);
     }, `Update file ${filePath}`);
   }
@@ -276,6 +305,7 @@ class ApiClient {
     return this.withRetry(async () => {
       this.log(`Deleting file: ${filePath}`);
       await this.client.delete(`/${this.personalSpace}/files/${encodeURIComponent(filePath)}`);
+      this.knownVersions.delete(filePath);
       this.logSuccess(`File deleted: ${filePath}`);
     }, `Delete file ${filePath}`);
   }
@@ -324,13 +354,25 @@ class ApiClient {
       if (isTextFile) {
         // Handle text files using the JSON API
         const content = await fs.readFile(localFilePath, 'utf8');
+        const knownVersion = this.knownVersions.get(remoteFilePath);
+        if (knownVersion && knownVersion === this.computeVersion(content)) {
+          this.log(`Skipping unchanged file: ${remoteFilePath}`);
+          return;
+        }
         
         // Check if the remote file already exists
         const exists = await this.fileExists(remoteFilePath);
         
         if (exists) {
-          // Update existing file
-          await this.updateFile(remoteFilePath, content);
+          // Update existing file unless it changed on the server since the last sync
+          try {
+            await this.updateFile(remoteFilePath, content, { version: knownVersion });
+          } catch (error) {
+            if (!error.response || error.response.status !== 409) {
+              throw error;
+            }
+            await this.resolveConflict(localFilePath, remoteFilePath, content, error.response.data);
+          }
         } else {
           // Create new file
           await this.createFile(remoteFilePath, content);
@@ -344,6 +386,46 @@ class ApiClient {
     }, `Upload file ${localFilePath}`);
   }
 
+  /**
+   * Resolve an update rejected because the file changed on the server
+   * @param {string} localFilePath - Path to the local file
+   * @param {string} remoteFilePath - Relative path in the personal space
+   * @param {string} content - The local content that was rejected
+   * @param {Object} conflict - The 409 response with currentVersion and currentContent
+   * @returns {Promise<void>}
+   */
+  async resolveConflict(localFilePath, remoteFilePath, content, conflict) {
+    const { currentVersion, currentContent } = conflict;
+
+    if (!currentVersion) {
+      this.log(`${remoteFilePath} was deleted on the server, uploading it again`);
+      await this.createFile(remoteFilePath, content);
+      return;
+    }
+
+    this.logError(`Conflict: ${remoteFilePath} was changed on the server since the last sync (policy: ${this.conflictPolicy})`);
+
+    if (this.conflictPolicy === 'overwrite') {
+      await this.updateFile(remoteFilePath, content, { version: currentVersion });
+      return;
+    }
+
+    if (this.conflictPolicy === 'keep-both') {
+      // The conflict copy is picked up by the watcher and uploaded as a new file
+      const extension = path.extname(localFilePath);
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const conflictPath = `${localFilePath.slice(0, localFilePath.length - extension.length)} (conflict ${stamp})${extension}`;
+      await fs.writeFile(conflictPath, content, 'utf8');
+      this.logSuccess(`Local changes kept in ${conflictPath}`);
+    }
+
+    // Take the server version locally. Recording its version first makes the
+    // watcher skip the change event this write causes.
+    this.knownVersions.set(remoteFilePath, currentVersion);
+    await fs.writeFile(localFilePath, currentContent, 'utf8');
+    this.logSuccess(`Server version of ${remoteFilePath} written to ${localFilePath}`);
+  }
+
   /**
    * Upload a binary file by encoding it as base64 text content
    * @param {string} localFilePath - Path to the local file
@@ -404,6 +486,34 @@ class ApiClient {
     }
   }
 
+  /**
+   * Export a space or folder as a static HTML site
+   * @param {string} space - Name of the space to export
+   * @param {string} [folder=''] - Folder of the space to export, the whole space when empty
+   * @param {Object} [options={}] - Export options
+   * @param {string} [options.title] - Title of the site
+   * @returns {Promise<{archive: Buffer, pages: number, assets: number}>} The zipped site
+   */
+  async exportSite(space, folder = '', options = {}) {
+    return this.withRetry(async () => {
+      const folderPath = folder.replace(/^\/+|\/+$/g, '');
+      const url = `/${encodeURIComponent(space)}/export${folderPath ? `/${folderPath}` : ''}`;
+      this.log(`Exporting static site: ${space}/${folderPath}`);
+
+      const response = await this.client.get(url, {
+        params: options.title ? { title: options.title } : {},
+        responseType: 'arraybuffer',
+        timeout: 300000 // Large spaces take a while to render
+      });
+
+      return {
+        archive: Buffer.from(response.data),
+        pages: parseInt(response.headers['x-site-pages'], 10) || 0,
+        assets: parseInt(response.headers['x-site-assets'], 10) || 0
+      };
+    }, `exportSite(${space}/${folder})`);
+  }
+
   /**
    * Sync a local directory to the personal space
    * @param {string} localDir - Local directory path
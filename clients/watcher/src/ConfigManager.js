@@ -40,7 +40,8 @@ class ConfigManager {
         ]
       },
       verbose: false,
-      dryRun: false
+      dryRun: false,
+      conflictPolicy: 'keep-both'
     };
   }
 
@@ -162,7 +163,8 @@ class ConfigManager {
       'WATCHER_LOCAL_PATH': 'localPath',
       'WATCHER_REMOTE_PATH': 'remotePath',
       'WATCHER_VERBOSE': 'verbose',
-      'WATCHER_DRY_RUN': 'dryRun'
+      'WATCHER_DRY_RUN': 'dryRun',
+      'WATCHER_CONFLICT_POLICY': 'conflictPolicy'
     };
 
     for (const [envVar, configKey] of Object.entries(envMappings)) {
@@ -191,7 +193,8 @@ class ConfigManager {
       'localPath': 'localPath',
       'remotePath': 'remotePath',
       'verbose': 'verbose',
-      'dryRun': 'dryRun'
+      'dryRun': 'dryRun',
+      'conflictPolicy': 'conflictPolicy'
     };
 
     for (const [cliArg, configKey] of Object.entries(argMappings)) {
@@ -230,6 +233,12 @@ class ConfigManager {
       throw new Error(`Local path does not exist: ${this.config.localPath}`);
     }
 
+    // Validate conflict policy
+    const conflictPolicies = ['keep-both', 'overwrite', 'server'];
+    if (!conflictPolicies.includes(this.config.conflictPolicy)) {
+      throw new Error(`Invalid conflict policy: ${this.config.conflictPolicy} (expected ${conflictPolicies.join(', ')})`);
+    }
+
     // Validate API key format
     if (!this.config.apiKey.startsWith('ak_')) {
       throw new Error('API key must start with "ak_"');
@@ -283,7 +292,8 @@ class ConfigManager {
         ]
       },
       verbose: false,
-      dryRun: false
+      dryRun: false,
+      conflictPolicy: 'keep-both'
     };
 
     try {
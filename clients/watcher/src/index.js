@@ -17,6 +17,8 @@ require('dotenv').config();
 const { Command } = require('commander');
 const chalk = require('chalk');
 const path = require('path');
+const fs = require('fs-extra');
+const AdmZip = require('adm-zip');
 const ConfigManager = require('./ConfigManager');
 const ApiClient = require('./ApiClient');
 const FileWatcher = require('./FileWatcher');
@@ -125,6 +127,7 @@ program
   .option('-r, --remote-path <path>', 'Remote directory path (relative to personal space)')
   .option('-v, --verbose', 'Enable verbose logging')
   .option('-d, --dry-run', 'Dry run mode (no actual changes)')
+  .option('--conflict-policy <policy>', 'When a file changed on the server: keep-both, overwrite or server')
   .action(async (options) => {
     try {
       displayBanner();
@@ -147,7 +150,8 @@ program
         apiKey: config.apiKey,
         username: config.username,
         verbose: config.verbose,
-        operationRetry: config.operationRetry
+        operationRetry: config.operationRetry,
+        conflictPolicy: config.conflictPolicy
       });
 
       // Wait for server to become available with retry logic
@@ -220,6 +224,7 @@ program
   .option('-r, --remote-path <path>', 'Remote directory path (relative to personal space)')
   .option('-v, --verbose', 'Enable verbose logging')
   .option('-d, --dry-run', 'Dry run mode (no actual changes)')
+  .option('--conflict-policy <policy>', 'When a file changed on the server: keep-both, overwrite or server')
   .action(async (options) => {
     try {
       displayBanner();
@@ -241,7 +246,8 @@ program
         apiKey: config.apiKey,
         username: config.username,
         verbose: config.verbose,
-        operationRetry: config.operationRetry
+        operationRetry: config.operationRetry,
+        conflictPolicy: config.conflictPolicy
       });
 
       // Test connection
@@ -282,6 +288,65 @@ program
     }
   });
 
+/**
+ * Export command - Export a space or folder as a static HTML site
+ */
+program
+  .command('export')
+  .description('Export a space or folder as a static HTML documentation site')
+  .option('-c, --config <file>', 'Configuration file path')
+  .option('-s, --server <url>', 'Server URL')
+  .option('-k, --api-key <key>', 'API key for authentication')
+  .option('-u, --username <username>', 'Username for personal space')
+  .option('--space <name>', 'Space to export', 'Personal')
+  .option('--folder <path>', 'Folder of the space to export (defaults to the whole space)', '')
+  .option('-o, --output <path>', 'Directory to write the site to, or the archive file with --zip', './site')
+  .option('--title <title>', 'Title of the site')
+  .option('--zip', 'Save the zip archive instead of extracting it')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .action(async (options) => {
+    try {
+      displayBanner();
+
+      // Load configuration
+      configManager = new ConfigManager();
+      const config = await configManager.load({
+        configFile: options.config,
+        cliArgs: options
+      });
+
+      // Create API client
+      const apiClient = new ApiClient({
+        serverUrl: config.serverUrl,
+        apiKey: config.apiKey,
+        username: config.username,
+        verbose: config.verbose,
+        operationRetry: config.operationRetry,
+        conflictPolicy: config.conflictPolicy
+      });
+
+      console.log(chalk.blue('[INFO]'), `Exporting ${options.space}${options.folder ? `/${options.folder}` : ''} as a static site...`);
+      const site = await apiClient.exportSite(options.space, options.folder, { title: options.title });
+
+      const output = path.resolve(options.output);
+      if (options.zip) {
+        const archivePath = output.endsWith('.zip') ? output : `${output}.zip`;
+        await fs.ensureDir(path.dirname(archivePath));
+        await fs.writeFile(archivePath, site.archive);
+        console.log(chalk.green('[SUCCESS]'), `Site archive saved to ${archivePath}`);
+      } else {
+        await fs.ensureDir(output);
+        new AdmZip(site.archive).extractAllTo(output, true);
+        console.log(chalk.green('[SUCCESS]'), `Site written to ${output} - open ${path.join(output, 'index.html')}`);
+      }
+      console.log(chalk.blue('[INFO]'), `Pages: ${site.pages}, images and PDFs: ${site.assets}`);
+
+    } catch (error) {
+      console.error(chalk.red('[ERROR]'), error.response ? `Export failed with status ${error.response.status}` : error.message);
+      process.exit(1);
+    }
+  });
+
 /**
  * Config command - Manage configuration
  */
@@ -361,7 +426,8 @@ program
         apiKey: config.apiKey,
         username: config.username,
         verbose: config.verbose,
-        operationRetry: config.operationRetry
+        operationRetry: config.operationRetry,
+        conflictPolicy: config.conflictPolicy
       });
 
       // Test connection with brief retry for test command
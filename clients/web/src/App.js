@@ -24,6 +24,7 @@ import AppHeader from './components/AppHeader';
 import MainContent from './components/MainContent';
 import FileTree from './components/FileTree';
 import PublishModal from './components/PublishModal';
+import ConflictDialog from './components/ConflictDialog';
 import LoginModal from './components/Auth/LoginModal';
 import RegisterModal from './components/Auth/RegisterModal';
 import KnowledgeSearchPane from './components/KnowledgeSearchPane';
@@ -91,9 +92,12 @@ function AppContent() {
     isFileLoading,
     hasChanges,
     isEditingTemplate,
+    saveConflict,
     handleFileSelect,
     handleContentChange,
     handleSave,
+    handleContentRestored,
+    resolveSaveConflict,
     clearFileSelection,
     updateSelectedFilePath,
     setTemplateEditing,
@@ -166,7 +170,7 @@ function AppContent() {
     } else if (parsed.type === 'folder') {
       setCurrentView('folder');
     } else if (parsed.type === 'space') {
-      const specialViews = ['search', 'recent', 'starred', 'templates', 'settings', 'new-markdown'];
+      const specialViews = ['search', 'recent', 'starred', 'trash', 'templates', 'settings', 'new-markdown'];
       if (!specialViews.includes(currentView)) {
         setCurrentView('home');
       }
@@ -375,7 +379,7 @@ function AppContent() {
     }
     
     // Navigate to appropriate URL for certain views
-    if ((view === 'home' || view === 'search' || view === 'recent' || view === 'starred' || view === 'templates') && currentSpace) {
+    if ((view === 'home' || view === 'search' || view === 'recent' || view === 'starred' || view === 'trash' || view === 'templates') && currentSpace) {
       navigate(constructSpaceURL(currentSpace));
     }
   }, [handleViewChange, clearFileSelection, currentSpace, navigate]);
@@ -418,6 +422,15 @@ function AppContent() {
     checkForDrafts(currentSpace, setDraftFiles, () => {});
   }, [handleCreateFile, handleFileSelect, currentSpace]);
 
+  // Pages and folder scaffolds created from a template are written by the server
+  const handleCreatedFromTemplate = useCallback(async (result) => {
+    await loadFiles(true);
+    const page = result.files.find(filePath => filePath.endsWith('.md'));
+    if (page) {
+      await handleFileSelect(page);
+    }
+  }, [loadFiles, handleFileSelect]);
+
   // Publish handlers
   const handlePublish = useCallback((result) => {
     setShowPublishModal(false);
@@ -573,6 +586,10 @@ function AppContent() {
           isKnowledgeView={isKnowledgeView}
           knowledgeViewContent={knowledgeViewContent}
           knowledgeViewSelectedFile={knowledgeViewSelectedFile}
+          onKnowledgeFileSelect={(filePath) => handleKnowledgeResultSelect({
+            path: filePath,
+            title: filePath.split('/').pop()
+          })}
           isCurrentSpaceReadonly={isCurrentSpaceReadonly}
           files={files}
           urlInfo={urlInfo}
@@ -586,6 +603,7 @@ function AppContent() {
           isEditingTemplate={isEditingTemplate}
           onContentChange={handleContentChange}
           onSave={handleSave}
+          onContentRestored={handleContentRestored}
           onRenameItem={enhancedHandleRenameItem}
           onCancelTemplateEdit={() => {
             setCurrentView('templates');
@@ -599,6 +617,8 @@ function AppContent() {
           onTemplateDelete={handleTemplateDelete}
           onTemplateSelect={handleTemplateSelect}
           onCreateFile={enhancedHandleCreateFile}
+          onCreatedFromTemplate={handleCreatedFromTemplate}
+          onTrashItemRestored={() => loadFiles(true)}
           searchResults={searchResults}
           fileSuggestions={searchSuggestions}
           searchQuery={searchQuery}
@@ -624,6 +644,13 @@ function AppContent() {
         />
       )}
 
+      {saveConflict && (
+        <ConflictDialog
+          conflict={saveConflict}
+          onResolve={resolveSaveConflict}
+        />
+      )}
+
       <LoginModal
         isOpen={showLoginModal}
         onClose={() => setShowLoginModal(false)}
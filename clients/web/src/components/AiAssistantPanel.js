@@ -0,0 +1,245 @@
+/**
+ * @fileoverview AI assistant side panel for markdown files.
+ *
+ * Runs the assistant of the space on the open document: summarize it or the
+ * selected text, rewrite the selection, review the document against the
+ * architecture principles of the space, draft a document from a template or
+ * answer a question about it. Answers stream in as they are written and can
+ * be inserted at the cursor, accepted in place of the text they were made
+ * from, or copied.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { fetchTemplates, streamAiAction } from '../services/api';
+
+/** @const {Object} Icon and input hint of each action */
+const ACTION_DETAILS = {
+  summarize: { icon: 'bi-card-text', hint: 'Summarizes the selection, or the whole document when nothing is selected.' },
+  rewrite: { icon: 'bi-magic', hint: 'Rewrites the selection, or the whole document when nothing is selected.', input: 'instruction', placeholder: 'How to rewrite, e.g. "shorter and more formal" (optional)' },
+  review: { icon: 'bi-clipboard-check', hint: 'Reviews the document against the architecture principles of the space.' },
+  draft: { icon: 'bi-file-earmark-plus', hint: 'Writes a first draft following a template of the space.', input: 'instruction', placeholder: 'What the document is about' },
+  ask: { icon: 'bi-question-circle', hint: 'Answers a question using only this document.', input: 'question', placeholder: 'Your question' }
+};
+
+/**
+ * AiAssistantPanel component shown at the right of the editor.
+ * @param {Object} props - Component properties.
+ * @param {string} props.fileName - The current file path.
+ * @param {string} props.currentSpace - The current space name.
+ * @param {Object} props.assistant - Assistant settings of the space from getAiAssistant().
+ * @param {Function} props.getDocument - Returns the document without comments.
+ * @param {Function} props.getSelection - Returns `{ start, end, text }` of the editor selection.
+ * @param {Function} props.onReplaceRange - Called with `(start, end, text)` to change the document.
+ * @param {boolean} props.readOnly - Whether the document can be changed.
+ * @param {Function} props.onClose - Callback to close the panel.
+ * @return {JSX.Element} The AiAssistantPanel component.
+ */
+const AiAssistantPanel = ({ fileName, currentSpace, assistant, getDocument, getSelection, onReplaceRange, readOnly, onClose }) => {
+  const allowedActions = assistant.actions.filter(action => action.allowed);
+  const [action, setAction] = useState(allowedActions[0]?.id || 'summarize');
+  const [input, setInput] = useState('');
+  const [template, setTemplate] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [answer, setAnswer] = useState('');
+  const [source, setSource] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  const details = ACTION_DETAILS[action] || {};
+
+  useEffect(() => {
+    if (action !== 'draft' || templates.length > 0) return;
+    fetchTemplates(currentSpace)
+      .then(list => {
+        setTemplates(list);
+        if (list.length > 0) {
+          setTemplate(list[0].name);
+        }
+      })
+      .catch(() => toast.error('Failed to load templates'));
+  }, [action, currentSpace, templates.length]);
+
+  // Stop a running answer when the panel closes or the file changes
+  useEffect(() => () => controllerRef.current?.abort(), [fileName]);
+
+  const handleRun = async (e) => {
+    e.preventDefault();
+    const documentText = getDocument();
+    const selection = getSelection();
+    const hasSelection = selection && selection.end > selection.start;
+
+    // Remember what the answer replaces when it is accepted
+    let target = null;
+    if (action === 'rewrite') {
+      target = hasSelection ? selection : { start: 0, end: documentText.length, text: documentText };
+    } else if (action === 'draft') {
+      target = { start: 0, end: documentText.length, text: documentText };
+    }
+
+    const request = { filePath: fileName, content: documentText };
+    if (['summarize', 'rewrite'].includes(action) && hasSelection) {
+      request.selection = selection.text;
+    }
+    if (details.input) {
+      request[details.input] = input;
+    }
+    if (action === 'draft') {
+      request.template = template;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setAnswer('');
+    setError(null);
+    setSource(target);
+    setIsStreaming(true);
+    try {
+      await streamAiAction(currentSpace, action, request, text => setAnswer(previous => previous + text), controller.signal);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
+    } finally {
+      setIsStreaming(false);
+      controllerRef.current = null;
+    }
+  };
+
+  const handleStop = () => {
+    controllerRef.current?.abort();
+  };
+
+  const handleInsert = () => {
+    const selection = getSelection();
+    const position = selection ? selection.end : getDocument().length;
+    onReplaceRange(position, position, `\n\n${answer.trim()}\n\n`);
+    toast.success('Inserted into the document');
+  };
+
+  const handleAccept = () => {
+    const documentText = getDocument();
+    if (documentText.slice(source.start, source.end) !== source.text) {
+      toast.error('The text changed since the answer was requested. Insert the answer or run the assistant again.');
+      return;
+    }
+    onReplaceRange(source.start, source.end, answer.trim() + (source.end === documentText.length ? '\n' : ''));
+    setSource(null);
+    toast.success('Answer accepted');
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(answer);
+      toast.success('Copied to the clipboard');
+    } catch (err) {
+      toast.error('Failed to copy');
+    }
+  };
+
+  return (
+    <div className="offcanvas offcanvas-end show ai-assistant-panel" tabIndex="-1" style={{ visibility: 'visible', width: '420px' }}>
+      <div className="offcanvas-header border-bottom">
+        <h5 className="offcanvas-title">
+          <i className="bi bi-stars me-2"></i>AI Assistant
+          <small className="text-muted ms-2">{assistant.provider} · {assistant.model}</small>
+        </h5>
+        <button type="button" className="btn-close" onClick={onClose}></button>
+      </div>
+      <div className="offcanvas-body d-flex flex-column">
+        <form onSubmit={handleRun}>
+          <div className="btn-group flex-wrap mb-2" role="group">
+            {allowedActions.map(option => (
+              <button
+                key={option.id}
+                type="button"
+                className={`btn btn-sm ${action === option.id ? 'btn-primary' : 'btn-outline-primary'}`}
+                onClick={() => { setAction(option.id); setInput(''); }}
+                disabled={isStreaming}
+                title={option.label}>
+                <i className={`bi ${ACTION_DETAILS[option.id]?.icon || 'bi-stars'} me-1`}></i>
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <p className="small text-muted mb-2">{details.hint}</p>
+
+          {action === 'draft' && (
+            <select
+              className="form-select form-select-sm mb-2"
+              value={template}
+              onChange={(e) => setTemplate(e.target.value)}
+              disabled={isStreaming}>
+              {templates.length === 0 && <option value="">No templates in this space</option>}
+              {templates.map(item => (
+                <option key={item.name} value={item.name}>{item.name}</option>
+              ))}
+            </select>
+          )}
+
+          {details.input && (
+            <textarea
+              className="form-control form-control-sm mb-2"
+              rows="2"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder={details.placeholder}
+              disabled={isStreaming}
+            />
+          )}
+
+          <div className="d-flex gap-2 mb-3">
+            {isStreaming ? (
+              <button type="button" className="btn btn-outline-danger btn-sm" onClick={handleStop}>
+                <i className="bi bi-stop-circle me-1"></i>Stop
+              </button>
+            ) : (
+              <button
+                type="submit"
+                className="btn btn-primary btn-sm"
+                disabled={(action === 'ask' && !input.trim()) || (action === 'draft' && (!template || !input.trim()))}>
+                <i className="bi bi-play-fill me-1"></i>Run
+              </button>
+            )}
+          </div>
+        </form>
+
+        {error && <div className="alert alert-danger py-2 small">{error}</div>}
+
+        {(answer || isStreaming) && (
+          <>
+            <div className="border rounded p-2 mb-2 flex-grow-1 small ai-assistant-answer" style={{ whiteSpace: 'pre-wrap', overflowY: 'auto' }}>
+              {answer}
+              {isStreaming && <span className="spinner-grow spinner-grow-sm ms-1" role="status"></span>}
+            </div>
+            {!isStreaming && answer && (
+              <div className="d-flex flex-wrap gap-2">
+                {source && !readOnly && (
+                  <button type="button" className="btn btn-success btn-sm" onClick={handleAccept}
+                    title={action === 'draft' ? 'Replace the document with the draft' : 'Replace the text the answer was made from'}>
+                    <i className="bi bi-check-lg me-1"></i>Accept
+                  </button>
+                )}
+                {!readOnly && (
+                  <button type="button" className="btn btn-outline-secondary btn-sm" onClick={handleInsert}>
+                    <i className="bi bi-box-arrow-in-down me-1"></i>Insert at cursor
+                  </button>
+                )}
+                <button type="button" className="btn btn-outline-secondary btn-sm" onClick={handleCopy}>
+                  <i className="bi bi-clipboard me-1"></i>Copy
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AiAssistantPanel;
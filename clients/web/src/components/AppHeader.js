@@ -1,12 +1,13 @@
 /**
  * @fileoverview Main application header component.
- * Contains navigation, search, user info, and theme controls.
+ * Contains navigation, search, notifications, user info, and theme controls.
  */
 
 import React from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { constructFileURL } from '../utils/urlUtils';
+import NotificationBell from './NotificationBell';
 
 /**
  * AppHeader component with search, user info, and controls
@@ -135,6 +136,7 @@ function AppHeader({
             <div className="d-flex align-items-center gap-3">
               {isAuthenticated ? (
                 <>
+                  <NotificationBell />
                   <div 
                     className="d-flex align-items-center me-3 cursor-pointer" 
                     onClick={() => onViewChange('settings')}
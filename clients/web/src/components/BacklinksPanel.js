@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Backlinks panel for a page.
+ *
+ * Lists the pages that link to the current page through wiki links or
+ * relative Markdown links, with the line each link is on, so readers can
+ * follow references back to where a page is used.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getBacklinks } from '../services/api';
+
+/**
+ * Groups backlinks by the page they are on.
+ * @param {Array<Object>} backlinks - Backlinks from the server.
+ * @return {Array<{source: string, links: Array<Object>}>} The pages and their links.
+ */
+const groupBySource = (backlinks) => {
+  const groups = new Map();
+  backlinks.forEach((backlink) => {
+    if (!groups.has(backlink.source)) {
+      groups.set(backlink.source, []);
+    }
+    groups.get(backlink.source).push(backlink);
+  });
+  return [...groups.entries()].map(([source, links]) => ({ source, links }));
+};
+
+/**
+ * BacklinksPanel component listing the pages that link to a file.
+ * @param {Object} props - Component properties.
+ * @param {string} props.filePath - The path of the page.
+ * @param {string} props.currentSpace - The current space name.
+ * @param {Function} [props.onOpenFile] - Called with the path of a linking page.
+ * @return {JSX.Element} The BacklinksPanel component.
+ */
+const BacklinksPanel = ({ filePath, currentSpace, onOpenFile }) => {
+  const [backlinks, setBacklinks] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!filePath || !currentSpace) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const loadBacklinks = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const data = await getBacklinks(filePath, currentSpace);
+        if (!cancelled) {
+          setBacklinks(data.backlinks || []);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError('Failed to load backlinks');
+          setBacklinks([]);
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadBacklinks();
+    return () => {
+      cancelled = true;
+    };
+  }, [filePath, currentSpace]);
+
+  const groups = groupBySource(backlinks);
+
+  return (
+    <div className="backlinks-panel">
+      <h6 className="backlinks-title">
+        <i className="bi bi-link-45deg me-1"></i>
+        Linked from
+        {!isLoading && !error && <span className="badge bg-secondary ms-2">{groups.length}</span>}
+      </h6>
+
+      {isLoading ? (
+        <div className="text-muted small">
+          <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+          Loading backlinks...
+        </div>
+      ) : error ? (
+        <div className="text-danger small">{error}</div>
+      ) : groups.length === 0 ? (
+        <div className="text-muted small">No other pages link to this page.</div>
+      ) : (
+        <ul className="list-unstyled mb-0">
+          {groups.map(({ source, links }) => (
+            <li key={source} className="backlink-item">
+              <button
+                type="button"
+                className="btn btn-link p-0 text-start backlink-source"
+                onClick={() => onOpenFile && onOpenFile(source)}
+                title={`Open ${source}`}>
+                <i className="bi bi-file-earmark-text me-1"></i>
+                {source.split('/').pop().replace(/\.(md|markdown)$/i, '')}
+              </button>
+              <small className="text-muted ms-2">{source}</small>
+              {links.map((link, index) => (
+                <div key={`${link.line}-${index}`} className="backlink-context small text-muted">
+                  <span className="me-2">Line {link.line}:</span>
+                  {link.context}
+                </div>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <style jsx>{`
+        .backlinks-panel {
+          max-width: 800px;
+          margin: 2rem auto 0;
+          padding-top: 1rem;
+          border-top: 1px solid var(--confluence-border);
+        }
+
+        .backlinks-title {
+          color: var(--confluence-text);
+          font-weight: 600;
+          margin-bottom: 0.75rem;
+        }
+
+        .backlink-item {
+          margin-bottom: 0.75rem;
+        }
+
+        .backlink-source {
+          color: var(--confluence-primary);
+          text-decoration: none;
+          font-weight: 500;
+        }
+
+        .backlink-context {
+          margin-left: 1.25rem;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default BacklinksPanel;
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Broken link report for a space.
+ *
+ * Lists every wiki link and relative Markdown link in the space whose target
+ * page or file does not exist, grouped by the page the link is on.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getBrokenLinks } from '../services/api';
+
+/**
+ * BrokenLinksReport component shown as a modal dialog.
+ * @param {Object} props - Component properties.
+ * @param {string} props.currentSpace - The space to report on.
+ * @param {Function} props.onClose - Callback to close the report.
+ * @param {Function} [props.onOpenFile] - Called with the path of a page to open it.
+ * @return {JSX.Element} The BrokenLinksReport component.
+ */
+const BrokenLinksReport = ({ currentSpace, onClose, onOpenFile }) => {
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadReport = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      setReport(await getBrokenLinks(currentSpace));
+    } catch (err) {
+      setError('Failed to load the broken link report');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentSpace]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const groups = [];
+  (report ? report.brokenLinks : []).forEach((link) => {
+    const last = groups[groups.length - 1];
+    if (last && last.source === link.source) {
+      last.links.push(link);
+    } else {
+      groups.push({ source: link.source, links: [link] });
+    }
+  });
+
+  const formatTarget = (link) => (link.type === 'wiki'
+    ? `[[${link.target}${link.anchor ? `#${link.anchor}` : ''}]]`
+    : `(${link.target}${link.anchor ? `#${link.anchor}` : ''})`);
+
+  return (
+    <div className="modal fade show d-block" tabIndex="-1" style={{backgroundColor: 'rgba(9, 30, 66, 0.54)'}}>
+      <div className="modal-dialog modal-lg modal-dialog-scrollable">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">
+              <i className="bi bi-link-45deg me-2"></i>
+              Broken links in {currentSpace}
+            </h5>
+            <button type="button" className="btn-close" onClick={onClose}></button>
+          </div>
+          <div className="modal-body">
+            {isLoading ? (
+              <div className="text-center py-4">
+                <div className="spinner-border text-primary" role="status">
+                  <span className="visually-hidden">Checking links...</span>
+                </div>
+              </div>
+            ) : error ? (
+              <div className="alert alert-danger mb-0">{error}</div>
+            ) : report && report.count === 0 ? (
+              <p className="text-muted mb-0">
+                <i className="bi bi-check-circle text-success me-2"></i>
+                All links in {report.pagesScanned} pages point to existing pages.
+              </p>
+            ) : report && (
+              <>
+                <p className="text-muted">
+                  {report.count} broken link{report.count === 1 ? '' : 's'} in {groups.length} of {report.pagesScanned} pages.
+                </p>
+                {groups.map(({ source, links }) => (
+                  <div key={source} className="mb-3">
+                    <button
+                      type="button"
+                      className="btn btn-link p-0 fw-semibold text-decoration-none"
+                      onClick={() => onOpenFile && onOpenFile(source)}>
+                      <i className="bi bi-file-earmark-text me-1"></i>{source}
+                    </button>
+                    <ul className="list-unstyled small ms-4 mb-0">
+                      {links.map((link, index) => (
+                        <li key={`${link.line}-${index}`} className="text-muted">
+                          <span className="me-2">Line {link.line}:</span>
+                          <code className="text-danger">{formatTarget(link)}</code>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </>
+            )}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline-secondary" onClick={loadReport} disabled={isLoading}>
+              <i className="bi bi-arrow-clockwise me-1"></i>Refresh
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BrokenLinksReport;
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Comment thread component.
+ *
+ * Shows one comment thread: its first comment with what it is anchored to,
+ * the replies, a reply form, and buttons to resolve or reopen the thread.
+ * Authors can edit and delete their own comments; deleting the first comment
+ * deletes the thread. Used by the comments section and by the threads shown
+ * next to anchored text in the preview.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+
+const formatTimestamp = (timestamp) => {
+  try {
+    return new Date(timestamp).toLocaleString();
+  } catch (error) {
+    return 'Unknown time';
+  }
+};
+
+const truncate = (text, length = 80) => (text.length > length ? `${text.slice(0, length)}…` : text);
+
+/**
+ * Describes what a thread is anchored to.
+ */
+const getAnchorLabel = (anchor) => {
+  if (!anchor) return null;
+  const target = anchor.type === 'heading' ? `heading “${anchor.heading}”` : `“${truncate(anchor.quote.replace(/[*_`~]/g, ''))}”`;
+  return anchor.status === 'orphaned' ? `${target} (no longer in the document)` : target;
+};
+
+/**
+ * CommentThread component for one thread of comments.
+ * @param {Object} props - Component properties.
+ * @param {Object} props.thread - The thread from the comments API, with `replies`.
+ * @param {Object} props.comments - The comment actions from useComments.
+ * @param {Function} [props.onShowAnchor] - Called with the thread to show its anchored text.
+ * @return {JSX.Element} The CommentThread component.
+ */
+const CommentThread = ({ thread, comments, onShowAnchor }) => {
+  const { user, isAuthenticated } = useAuth();
+  const { isDark } = useTheme();
+  const [replyContent, setReplyContent] = useState('');
+  const [isReplying, setIsReplying] = useState(false);
+  const [editingCommentId, setEditingCommentId] = useState(null);
+  const [editingContent, setEditingContent] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const anchorLabel = getAnchorLabel(thread.anchor);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      return await action();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReply = async () => {
+    if (!replyContent.trim()) return;
+    if (await runAction(() => comments.addReply(thread.id, replyContent.trim()))) {
+      setReplyContent('');
+      setIsReplying(false);
+    }
+  };
+
+  const handleSaveEdit = async (commentId) => {
+    if (!editingContent.trim()) return;
+    if (await runAction(() => comments.editComment(commentId, editingContent.trim()))) {
+      setEditingCommentId(null);
+      setEditingContent('');
+    }
+  };
+
+  const handleDelete = (comment) => {
+    const message = comment.id === thread.id && thread.replies.length > 0
+      ? 'Delete this comment and its replies?'
+      : 'Are you sure you want to delete this comment?';
+    if (window.confirm(message)) {
+      runAction(() => comments.removeComment(comment.id));
+    }
+  };
+
+  const renderComment = (comment, isReply) => (
+    <div key={comment.id} className={isReply ? 'comment-reply mt-2 ps-3' : ''}
+      style={isReply ? { borderLeft: `2px solid ${isDark ? 'rgba(255, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.1)'}` } : undefined}>
+      <div className="d-flex justify-content-between align-items-start mb-1">
+        <div className="comment-header">
+          <strong className="text-confluence-text">{comment.author}</strong>
+          <small className="text-muted ms-2">
+            {formatTimestamp(comment.timestamp)}
+            {comment.updatedAt && comment.updatedAt !== comment.createdAt && (
+              <span className="ms-1">(edited)</span>
+            )}
+          </small>
+        </div>
+        {isAuthenticated && user?.username === comment.author && editingCommentId !== comment.id && (
+          <div className="btn-group btn-group-sm">
+            <button
+              className="btn btn-outline-secondary"
+              onClick={() => { setEditingCommentId(comment.id); setEditingContent(comment.content); }}
+              title="Edit comment"
+              disabled={busy}
+            >
+              <i className="bi bi-pencil"></i>
+            </button>
+            <button
+              className="btn btn-outline-danger"
+              onClick={() => handleDelete(comment)}
+              title={isReply ? 'Delete reply' : 'Delete thread'}
+              disabled={busy}
+            >
+              <i className="bi bi-trash"></i>
+            </button>
+          </div>
+        )}
+      </div>
+
+      {editingCommentId === comment.id ? (
+        <div className="edit-form">
+          <textarea
+            className="form-control mb-2"
+            rows="3"
+            value={editingContent}
+            onChange={(e) => setEditingContent(e.target.value)}
+          />
+          <div className="d-flex gap-2">
+            <button className="btn btn-success btn-sm" onClick={() => handleSaveEdit(comment.id)} disabled={!editingContent.trim() || busy}>
+              <i className="bi bi-check-circle me-1"></i>
+              Save
+            </button>
+            <button className="btn btn-secondary btn-sm" onClick={() => setEditingCommentId(null)}>
+              <i className="bi bi-x-circle me-1"></i>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="mb-0 text-confluence-text" style={{ whiteSpace: 'pre-wrap' }}>
+          {comment.content}
+        </p>
+      )}
+    </div>
+  );
+
+  return (
+    <div
+      className={`comment-item comment-thread mb-3 p-3 border rounded${thread.resolved ? ' comment-thread--resolved' : ''}`}
+      style={{
+        background: isDark ? 'rgba(255, 255, 255, 0.03)' : 'rgba(255, 255, 255, 0.5)',
+        backdropFilter: 'blur(5px)',
+        border: `1px solid ${isDark ? 'rgba(255, 255, 255, 0.08)' : 'rgba(0, 0, 0, 0.08)'}`,
+      }}
+    >
+      {(anchorLabel || thread.resolved) && (
+        <div className="d-flex justify-content-between align-items-center mb-2 small">
+          {anchorLabel ? (
+            <button
+              type="button"
+              className={`btn btn-link btn-sm p-0 text-start comment-anchor-label${thread.anchor.status === 'orphaned' ? ' text-muted' : ''}`}
+              onClick={() => onShowAnchor && onShowAnchor(thread)}
+              disabled={!onShowAnchor || thread.anchor.status === 'orphaned'}
+              title="Show in the document"
+            >
+              <i className="bi bi-quote me-1"></i>
+              On {anchorLabel}
+            </button>
+          ) : <span />}
+          {thread.resolved && (
+            <span className="badge bg-success" title={thread.resolvedAt ? formatTimestamp(thread.resolvedAt) : undefined}>
+              Resolved{thread.resolvedBy ? ` by ${thread.resolvedBy}` : ''}
+            </span>
+          )}
+        </div>
+      )}
+
+      {renderComment(thread, false)}
+      {thread.replies.map((reply) => renderComment(reply, true))}
+
+      {isAuthenticated && (
+        <div className="mt-2">
+          {isReplying ? (
+            <>
+              <textarea
+                className="form-control form-control-sm mb-2"
+                rows="2"
+                value={replyContent}
+                onChange={(e) => setReplyContent(e.target.value)}
+                placeholder="Write a reply..."
+                autoFocus
+              />
+              <div className="d-flex gap-2">
+                <button className="btn btn-primary btn-sm" onClick={handleReply} disabled={!replyContent.trim() || busy}>
+                  <i className="bi bi-reply me-1"></i>
+                  Reply
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => { setIsReplying(false); setReplyContent(''); }}>
+                  Cancel
+                </button>
+              </div>
+            </>
+          ) : (
+            <div className="d-flex gap-2">
+              <button className="btn btn-outline-primary btn-sm" onClick={() => setIsReplying(true)}>
+                <i className="bi bi-reply me-1"></i>
+                Reply
+              </button>
+              <button
+                className={`btn btn-sm ${thread.resolved ? 'btn-outline-secondary' : 'btn-outline-success'}`}
+                onClick={() => runAction(() => comments.resolveThread(thread.id, !thread.resolved))}
+                disabled={busy}
+              >
+                <i className={`bi ${thread.resolved ? 'bi-arrow-counterclockwise' : 'bi-check2-circle'} me-1`}></i>
+                {thread.resolved ? 'Reopen' : 'Resolve'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -1,82 +1,79 @@
 /**
  * @fileoverview Comments section component for markdown files.
  * 
- * This component displays and manages comments for markdown files. It shows
- * all existing comments with author and timestamp information, and provides
- * an interface for adding new comments. Comments are visible in both edit
- * and view modes of the markdown editor.
+ * This component displays and manages comment threads for markdown files.
+ * Threads can be anchored to a heading or to text selected in the preview;
+ * they list what they are anchored to and can be resolved and reopened.
+ * Comments are visible in both edit and view modes of the markdown editor.
  * 
  * Key features:
- * - Display comments sorted by newest first
- * - Add new comments with user authentication
+ * - Threads sorted by newest first, filtered by open or resolved
+ * - Add comments on the document, a heading, or the selected text
+ * - Reply to, resolve and reopen threads
  * - Edit/delete own comments
  * - Responsive design matching glassmorphism theme
- * - Real-time comment updates
  * 
  * @author Design Artifacts Team
  * @version 1.0.0
  * @since 2025-01-01
  */
 
-import React, { useState, useEffect } from 'react';
-import { getComments, addComment, updateComment, deleteComment } from '../services/api';
+import React, { useState, useMemo } from 'react';
+import CommentThread from './CommentThread';
+import { listHeadings } from '../utils/commentAnchors';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 
+/** Anchor choice for comments on the whole document */
+const DOCUMENT_ANCHOR = 'document';
+
+/** Anchor choice for comments on the selected text */
+const SELECTION_ANCHOR = 'selection';
+
 /**
  * CommentsSection component for displaying and managing file comments.
  * @param {Object} props - Component properties.
  * @param {string} props.fileName - The current file name/path.
  * @param {boolean} props.isVisible - Whether the comments section should be visible.
- * @param {string} props.currentSpace - The current space context.
+ * @param {Object} props.comments - Threads and comment actions from useComments.
+ * @param {string} [props.content] - The markdown without comments, for its headings.
+ * @param {Object} [props.selection] - Text selected in the preview: `quote` and `start`.
+ * @param {Function} [props.onClearSelection] - Called once the selection is used or dismissed.
+ * @param {Function} [props.onShowAnchor] - Called with a thread to show its anchored text.
  * @return {JSX.Element} The CommentsSection component.
  */
-const CommentsSection = ({ fileName, isVisible = true, currentSpace }) => {
+const CommentsSection = ({ fileName, isVisible = true, comments, content = '', selection, onClearSelection, onShowAnchor }) => {
   const { user, isAuthenticated } = useAuth();
   const { isDark } = useTheme();
-  const [comments, setComments] = useState([]);
-  const [loading, setLoading] = useState(false);
   const [newCommentContent, setNewCommentContent] = useState('');
+  const [anchorChoice, setAnchorChoice] = useState(DOCUMENT_ANCHOR);
   const [addingComment, setAddingComment] = useState(false);
-  const [editingCommentId, setEditingCommentId] = useState(null);
-  const [editingContent, setEditingContent] = useState('');
-  const [error, setError] = useState(null);
-
-  // Load comments when file changes
-  useEffect(() => {
-    if (fileName && fileName.endsWith('.md')) {
-      loadComments();
-    } else {
-      setComments([]);
-    }
-  }, [fileName, currentSpace]);
+  const [filter, setFilter] = useState('open');
+
+  const headings = useMemo(() => listHeadings(content), [content]);
+  const { threads, loading, error, setError } = comments;
+  const resolvedCount = threads.length - comments.openCount;
+  const visibleThreads = threads.filter((thread) =>
+    filter === 'all' || (filter === 'resolved' ? thread.resolved : !thread.resolved));
+
+  // A new selection in the preview becomes the anchor of the next comment
+  const [lastSelection, setLastSelection] = useState(null);
+  if (selection !== lastSelection) {
+    setLastSelection(selection);
+    setAnchorChoice(selection ? SELECTION_ANCHOR : DOCUMENT_ANCHOR);
+  }
 
   /**
-   * Loads comments for the current file.
+   * Builds the anchor of the new comment from the anchor choice.
    */
-  const loadComments = async () => {
-    if (!fileName) return;
-    
-    // Only load comments for markdown files
-    if (!fileName.endsWith('.md') && !fileName.endsWith('.markdown')) {
-      setComments([]);
-      setLoading(false);
-      return;
+  const getAnchor = () => {
+    if (anchorChoice === SELECTION_ANCHOR && selection) {
+      return { type: 'text', quote: selection.quote, start: selection.start };
     }
-    
-    setLoading(true);
-    setError(null);
-    
-    try {
-      const response = await getComments(fileName, currentSpace);
-      setComments(response.comments || []);
-    } catch (error) {
-      console.error('Error loading comments:', error);
-      setError('Failed to load comments');
-      setComments([]);
-    } finally {
-      setLoading(false);
+    if (anchorChoice.startsWith('heading:')) {
+      return { type: 'heading', heading: headings[Number(anchorChoice.slice('heading:'.length))].text };
     }
+    return null;
   };
 
   /**
@@ -86,92 +83,17 @@ const CommentsSection = ({ fileName, isVisible = true, currentSpace }) => {
     if (!newCommentContent.trim() || !isAuthenticated) {
       return;
     }
-    
-    // Only allow comments on markdown files
-    if (!fileName.endsWith('.md') && !fileName.endsWith('.markdown')) {
-      return;
-    }
 
     setAddingComment(true);
-    setError(null);
-    
-    try {
-      const response = await addComment(fileName, newCommentContent.trim(), currentSpace);
-      setComments(response.comments || []);
+    const added = await comments.addThread(newCommentContent.trim(), getAnchor());
+    setAddingComment(false);
+    if (added) {
       setNewCommentContent('');
-    } catch (error) {
-      console.error('Error adding comment:', error);
-      setError(error.response?.data?.error || 'Failed to add comment');
-    } finally {
-      setAddingComment(false);
-    }
-  };
-
-  /**
-   * Handles editing an existing comment.
-   */
-  const handleEditComment = async (commentId) => {
-    if (!editingContent.trim()) {
-      return;
-    }
-
-    setError(null);
-    
-    try {
-      const response = await updateComment(fileName, commentId, editingContent.trim(), currentSpace);
-      setComments(response.comments || []);
-      setEditingCommentId(null);
-      setEditingContent('');
-    } catch (error) {
-      console.error('Error updating comment:', error);
-      setError(error.response?.data?.error || 'Failed to update comment');
-    }
-  };
-
-  /**
-   * Handles deleting a comment.
-   */
-  const handleDeleteComment = async (commentId) => {
-    if (!window.confirm('Are you sure you want to delete this comment?')) {
-      return;
-    }
-
-    setError(null);
-    
-    try {
-      const response = await deleteComment(fileName, commentId, currentSpace);
-      setComments(response.comments || []);
-    } catch (error) {
-      console.error('Error deleting comment:', error);
-      setError(error.response?.data?.error || 'Failed to delete comment');
-    }
-  };
-
-  /**
-   * Starts editing a comment.
-   */
-  const startEditing = (comment) => {
-    setEditingCommentId(comment.id);
-    setEditingContent(comment.content);
-  };
-
-  /**
-   * Cancels editing a comment.
-   */
-  const cancelEditing = () => {
-    setEditingCommentId(null);
-    setEditingContent('');
-  };
-
-  /**
-   * Formats a timestamp for display.
-   */
-  const formatTimestamp = (timestamp) => {
-    try {
-      const date = new Date(timestamp);
-      return date.toLocaleString();
-    } catch (error) {
-      return 'Unknown time';
+      setFilter('open');
+      if (anchorChoice === SELECTION_ANCHOR && onClearSelection) {
+        onClearSelection();
+      }
+      setAnchorChoice(DOCUMENT_ANCHOR);
     }
   };
 
@@ -185,8 +107,20 @@ const CommentsSection = ({ fileName, isVisible = true, currentSpace }) => {
       <div className="d-flex justify-content-between align-items-center mb-3">
         <h5 className="mb-0 text-confluence-text">
           <i className="bi bi-chat-left-text me-2"></i>
-          Comments ({comments.length})
+          Comments ({comments.commentCount})
         </h5>
+        <div className="btn-group btn-group-sm" role="group" aria-label="Filter threads">
+          {[['open', `Open (${comments.openCount})`], ['resolved', `Resolved (${resolvedCount})`], ['all', 'All']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              className={`btn ${filter === value ? 'btn-primary' : 'btn-outline-primary'}`}
+              onClick={() => setFilter(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
       </div>
 
       {error && (
@@ -208,7 +142,7 @@ const CommentsSection = ({ fileName, isVisible = true, currentSpace }) => {
           backdropFilter: 'blur(10px)',
           border: `1px solid ${isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'}`,
         }}>
-          <div className="mb-3">
+          <div className="mb-2">
             <label htmlFor="new-comment" className="form-label small text-confluence-text">
               Add a comment as <strong>{user?.username}</strong>:
             </label>
@@ -222,7 +156,24 @@ const CommentsSection = ({ fileName, isVisible = true, currentSpace }) => {
               disabled={addingComment}
             />
           </div>
-          <div className="d-flex gap-2">
+          <div className="d-flex gap-2 align-items-center">
+            <select
+              className="form-select form-select-sm w-auto"
+              value={anchorChoice}
+              onChange={(e) => setAnchorChoice(e.target.value)}
+              aria-label="Comment on"
+              title="Select text in the preview to comment on it"
+            >
+              <option value={DOCUMENT_ANCHOR}>On the whole document</option>
+              {selection && (
+                <option value={SELECTION_ANCHOR}>On the selected text “{selection.quote.length > 40 ? `${selection.quote.slice(0, 40)}…` : selection.quote}”</option>
+              )}
+              {headings.map((heading, index) => (
+                <option key={`${index}-${heading.text}`} value={`heading:${index}`}>
+                  On heading: {'\u2003'.repeat(heading.level - 1)}{heading.text}
+                </option>
+              ))}
+            </select>
             <button
               className="btn btn-primary btn-sm"
               onClick={handleAddComment}
@@ -251,7 +202,7 @@ const CommentsSection = ({ fileName, isVisible = true, currentSpace }) => {
         </div>
       )}
 
-      {/* Comments list */}
+      {/* Thread list */}
       {loading ? (
         <div className="text-center py-4">
           <div className="spinner-border text-primary" role="status">
@@ -259,88 +210,21 @@ const CommentsSection = ({ fileName, isVisible = true, currentSpace }) => {
           </div>
           <p className="text-muted mt-2">Loading comments...</p>
         </div>
-      ) : comments.length === 0 ? (
+      ) : visibleThreads.length === 0 ? (
         <div className="text-center py-4 text-muted">
-          <p className="mb-0">No comments yet.</p>
+          <p className="mb-0">
+            {threads.length === 0 ? 'No comments yet.' : `No ${filter === 'resolved' ? 'resolved' : 'open'} threads.`}
+          </p>
         </div>
       ) : (
         <div className="comments-list">
-          {comments.map((comment) => (
-            <div
-              key={comment.id}
-              className="comment-item mb-3 p-3 border rounded"
-              style={{
-                background: isDark ? 'rgba(255, 255, 255, 0.03)' : 'rgba(255, 255, 255, 0.5)',
-                backdropFilter: 'blur(5px)',
-                border: `1px solid ${isDark ? 'rgba(255, 255, 255, 0.08)' : 'rgba(0, 0, 0, 0.08)'}`,
-              }}
-            >
-              <div className="d-flex justify-content-between align-items-start mb-2">
-                <div className="comment-header">
-                  <strong className="text-confluence-text">{comment.author}</strong>
-                  <small className="text-muted ms-2">
-                    {formatTimestamp(comment.timestamp)}
-                    {comment.updatedAt && comment.updatedAt !== comment.createdAt && (
-                      <span className="ms-1">(edited)</span>
-                    )}
-                  </small>
-                </div>
-                {isAuthenticated && user?.username === comment.author && (
-                  <div className="comment-actions">
-                    <div className="btn-group btn-group-sm">
-                      <button
-                        className="btn btn-outline-secondary"
-                        onClick={() => startEditing(comment)}
-                        title="Edit comment"
-                      >
-                        <i className="bi bi-pencil"></i>
-                      </button>
-                      <button
-                        className="btn btn-outline-danger"
-                        onClick={() => handleDeleteComment(comment.id)}
-                        title="Delete comment"
-                      >
-                        <i className="bi bi-trash"></i>
-                      </button>
-                    </div>
-                  </div>
-                )}
-              </div>
-              
-              {editingCommentId === comment.id ? (
-                <div className="edit-form">
-                  <textarea
-                    className="form-control mb-2"
-                    rows="3"
-                    value={editingContent}
-                    onChange={(e) => setEditingContent(e.target.value)}
-                  />
-                  <div className="d-flex gap-2">
-                    <button
-                      className="btn btn-success btn-sm"
-                      onClick={() => handleEditComment(comment.id)}
-                      disabled={!editingContent.trim()}
-                    >
-                      <i className="bi bi-check-circle me-1"></i>
-                      Save
-                    </button>
-                    <button
-                      className="btn btn-secondary btn-sm"
-                      onClick={cancelEditing}
-                    >
-                      <i className="bi bi-x-circle me-1"></i>
-                      Cancel
-                    </button>
-                  </div>
-                </div>
-              ) : (
-                <div className="comment-content">
-                  <p className="mb-0 text-confluence-text" style={{ whiteSpace: 'pre-wrap' }}>
-                    {comment.content}
-                  </p>
-                </div>
-              )}
-            </div>
+          {visibleThreads.map((thread) => (
+            <CommentThread
+              key={thread.id}
+              thread={thread}
+              comments={comments}
+              onShowAnchor={onShowAnchor}
+            />
           ))}
         </div>
       )}
@@ -348,4 +232,4 @@ const CommentsSection = ({ fileName, isVisible = true, currentSpace }) => {
   );
 };
 
-export default CommentsSection;
\ No newline at end of file
+export default CommentsSection;
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Dialog for resolving a rejected save.
+ *
+ * Shown when the server refused a save because the file changed since it
+ * was loaded. The user can merge both versions into the editor, overwrite
+ * the server version or discard their edits.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState } from 'react';
+
+/**
+ * ConflictDialog component for save conflicts.
+ * @param {Object} props - Component properties.
+ * @param {Object} props.conflict - The conflict with the file path and the server content.
+ * @param {Function} props.onResolve - Called with 'merge', 'overwrite', 'server' or 'cancel'.
+ * @return {JSX.Element} The ConflictDialog component.
+ */
+const ConflictDialog = ({ conflict, onResolve }) => {
+  const [showServerVersion, setShowServerVersion] = useState(false);
+  const isDeleted = conflict.theirs === null || conflict.theirs === undefined;
+  const fileName = conflict.filePath.split('/').pop();
+
+  return (
+    <div className="modal fade show d-block" tabIndex="-1" style={{backgroundColor: 'rgba(9, 30, 66, 0.54)'}}>
+      <div className="modal-dialog modal-lg">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">
+              <i className="bi bi-exclamation-triangle text-warning me-2"></i>
+              Save conflict
+            </h5>
+            <button type="button" className="btn-close" onClick={() => onResolve('cancel')}></button>
+          </div>
+          <div className="modal-body">
+            {isDeleted ? (
+              <p className="mb-0"><strong>{fileName}</strong> was deleted by someone else while you were editing it.</p>
+            ) : (
+              <>
+                <p>
+                  <strong>{fileName}</strong> was changed by someone else since you opened it.
+                  Merge their changes into yours, keep your version or use theirs.
+                </p>
+                <button
+                  type="button"
+                  className="btn btn-link p-0 mb-2"
+                  onClick={() => setShowServerVersion(!showServerVersion)}
+                >
+                  {showServerVersion ? 'Hide' : 'Show'} server version
+                </button>
+                {showServerVersion && (
+                  <pre className="border rounded p-2 small mb-0" style={{maxHeight: '300px', overflow: 'auto', whiteSpace: 'pre-wrap'}}>
+                    {conflict.theirs}
+                  </pre>
+                )}
+              </>
+            )}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={() => onResolve('cancel')}>
+              Cancel
+            </button>
+            {!isDeleted && (
+              <button type="button" className="btn btn-outline-secondary" onClick={() => onResolve('server')}>
+                Use server version
+              </button>
+            )}
+            <button type="button" className="btn btn-outline-danger" onClick={() => onResolve('overwrite')}>
+              {isDeleted ? 'Save my version' : 'Overwrite with mine'}
+            </button>
+            {!isDeleted && (
+              <button type="button" className="btn btn-primary" onClick={() => onResolve('merge')}>
+                Merge changes
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Diagram block of the Markdown previews.
+ *
+ * Binds the shared diagram block (shared/diagrams) to the React, the Mermaid
+ * bundle and the PlantUML API of this client.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React from 'react';
+import { createDiagramBlock } from 'design-artifacts-diagrams';
+import { renderPlantUml } from '../services/api';
+
+export { DIAGRAM_LANGUAGES } from 'design-artifacts-diagrams';
+
+const { DiagramBlock, getCodeText } = createDiagramBlock({
+  React,
+  importMermaid: () => import('mermaid'),
+  renderPlantUml
+});
+
+export { getCodeText };
+export default DiagramBlock;
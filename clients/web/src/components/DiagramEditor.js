@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Editor of the diagram files of a space.
+ *
+ * Opens `.excalidraw` files in an embedded Excalidraw editor. The editor is
+ * only loaded once a diagram is opened. Edits are kept as the JSON of the
+ * scene, so diagrams are saved, versioned and restored like documents, and
+ * the saved diagram can be downloaded as SVG or PNG rendered by the server.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import HistoryPanel from './HistoryPanel';
+import { exportDiagram } from '../services/api';
+import { useTheme } from '../contexts/ThemeContext';
+
+let excalidrawLoader = null;
+
+/**
+ * Loads the Excalidraw editor and its styles on first use.
+ * @return {Promise<Object>} The Excalidraw module.
+ */
+const loadExcalidraw = () => {
+  if (!excalidrawLoader) {
+    excalidrawLoader = Promise.all([
+      import('@excalidraw/excalidraw'),
+      import('@excalidraw/excalidraw/index.css')
+    ]).then(([excalidraw]) => excalidraw);
+  }
+  return excalidrawLoader;
+};
+
+/**
+ * Reads the scene of a diagram file. An empty file is an empty diagram.
+ * @param {string} content - Content of the file.
+ * @return {{scene: Object|null, error: string|null}} The scene, or why it could not be read.
+ */
+const parseScene = (content) => {
+  if (!content || !content.trim()) {
+    return { scene: { elements: [], appState: {}, files: {} }, error: null };
+  }
+  try {
+    const data = JSON.parse(content);
+    if (data?.type !== 'excalidraw' || !Array.isArray(data.elements)) {
+      return { scene: null, error: 'The file is not an Excalidraw diagram.' };
+    }
+    return { scene: { elements: data.elements, appState: data.appState || {}, files: data.files || {} }, error: null };
+  } catch (err) {
+    return { scene: null, error: `The diagram is not valid JSON: ${err.message}` };
+  }
+};
+
+/**
+ * DiagramEditor component for editing diagram files.
+ * @param {Object} props - Component properties.
+ * @param {string} props.content - The diagram file content (Excalidraw JSON).
+ * @param {Function} props.onChange - Callback with the JSON of the edited diagram.
+ * @param {string} props.fileName - The diagram file path.
+ * @param {boolean} props.isLoading - Whether a save is in progress.
+ * @param {Function} props.onSave - Callback for saving the diagram.
+ * @param {boolean} props.hasChanges - Whether the diagram has unsaved changes.
+ * @param {string} props.currentSpace - The current space name.
+ * @param {Function} props.onContentRestored - Callback with a version restored on the server.
+ * @return {JSX.Element} The DiagramEditor component.
+ */
+const DiagramEditor = ({ content, onChange, fileName, isLoading, onSave, hasChanges, currentSpace, onContentRestored }) => {
+  const { isDark } = useTheme();
+  const [excalidraw, setExcalidraw] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [{ scene, error }, setParsed] = useState(() => parseScene(content));
+  const [sceneKey, setSceneKey] = useState(0);
+  const [showHistory, setShowHistory] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  // JSON last handed to onChange, and the scene as the editor last reported it
+  const emittedRef = useRef(content);
+  const reportedRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadExcalidraw()
+      .then(module => !cancelled && setExcalidraw(module))
+      .catch(err => !cancelled && setLoadError(err.message || String(err)));
+    return () => { cancelled = true; };
+  }, []);
+
+  // Reload the editor when the content changes from outside: a restored
+  // version, or the server copy after a conflict
+  useEffect(() => {
+    if (content === emittedRef.current) return;
+    emittedRef.current = content;
+    reportedRef.current = null;
+    setParsed(parseScene(content));
+    setSceneKey(key => key + 1);
+  }, [content]);
+
+  const handleChange = useCallback((elements, appState, files) => {
+    if (!excalidraw) return;
+    const json = excalidraw.serializeAsJSON(elements, appState, files, 'local');
+    // The editor reports the scene it opened with, and on every selection,
+    // scroll and zoom; only changes to the diagram itself are edits
+    if (reportedRef.current === null || json === reportedRef.current) {
+      reportedRef.current = json;
+      return;
+    }
+    reportedRef.current = json;
+    emittedRef.current = json;
+    onChange(json);
+  }, [excalidraw, onChange]);
+
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    try {
+      await exportDiagram(fileName, currentSpace, format);
+    } catch (err) {
+      toast.error(`Failed to export diagram: ${err.message}`);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  const handleOpenHistory = () => {
+    if (hasChanges && !window.confirm('You have unsaved changes. Restoring a version will discard them. Continue to history?')) {
+      return;
+    }
+    setShowHistory(true);
+  };
+
+  const handleVersionRestored = (restoredContent, version) => {
+    setShowHistory(false);
+    if (onContentRestored) {
+      onContentRestored(restoredContent, version);
+    }
+  };
+
+  const renderCanvas = () => {
+    if (error || loadError) {
+      return (
+        <div className="alert alert-warning m-3">
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error || `The diagram editor could not be loaded: ${loadError}`}
+        </div>
+      );
+    }
+    if (!excalidraw) {
+      return (
+        <div className="d-flex justify-content-center align-items-center h-100">
+          <div className="spinner-border text-primary me-2" role="status"></div>
+          <span className="text-muted">Loading diagram editor...</span>
+        </div>
+      );
+    }
+    const { Excalidraw } = excalidraw;
+    return (
+      <Excalidraw
+        key={sceneKey}
+        initialData={{ ...scene, scrollToContent: true }}
+        onChange={handleChange}
+        theme={isDark ? 'dark' : 'light'}
+        name={fileName.split('/').pop().replace(/\.excalidraw$/i, '')}
+        UIOptions={{ canvasActions: { loadScene: false, saveToActiveFile: false } }}
+      />
+    );
+  };
+
+  return (
+    <div className="diagram-editor d-flex flex-column h-100">
+      <div className="d-flex justify-content-between align-items-center py-3 px-3 mb-3 editor-header flex-shrink-0">
+        <h2 className="h5 mb-0 text-confluence-text editor-filename" style={{ lineHeight: '1.5' }}>
+          <i className="bi bi-diagram-3 me-2"></i>{fileName}
+        </h2>
+        <div className="d-flex gap-2 editor-tabs">
+          {currentSpace && (
+            <button
+              className="btn btn-outline-secondary btn-sm editor-tab history-btn"
+              onClick={handleOpenHistory}
+              title="View version history">
+              <i className="bi bi-clock-history me-1"></i>History
+            </button>
+          )}
+          {['svg', 'png'].map(format => (
+            <button
+              key={format}
+              className="btn btn-outline-secondary btn-sm editor-tab"
+              onClick={() => handleExport(format)}
+              disabled={!currentSpace || hasChanges || !!exportingFormat}
+              title={hasChanges ? 'Save the diagram to export it' : `Download the saved diagram as ${format.toUpperCase()}`}>
+              {exportingFormat === format ? (
+                <div className="spinner-border spinner-border-sm me-1" role="status"></div>
+              ) : (
+                <i className={`bi ${format === 'svg' ? 'bi-filetype-svg' : 'bi-filetype-png'} me-1`}></i>
+              )}
+              {format.toUpperCase()}
+            </button>
+          ))}
+          <div className="vr mx-2"></div>
+          <button
+            className="btn btn-success btn-sm"
+            onClick={onSave}
+            disabled={!hasChanges || isLoading}
+            title="Save diagram">
+            <i className="bi bi-floppy me-1"></i>Save
+          </button>
+        </div>
+      </div>
+
+      <div className="diagram-canvas flex-grow-1" style={{ height: 'calc(100vh - 120px)', position: 'relative' }}>
+        {renderCanvas()}
+      </div>
+
+      {showHistory && (
+        <HistoryPanel
+          fileName={fileName}
+          currentSpace={currentSpace}
+          onClose={() => setShowHistory(false)}
+          onRestored={handleVersionRestored}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DiagramEditor;
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Diagram file embedded in the Markdown previews.
+ *
+ * Shows a `![[diagram.excalidraw]]` embed as the SVG the server renders from
+ * the saved diagram, and renders it again whenever the diagram is saved, so
+ * pages always show the current drawing.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useEffect, useState } from 'react';
+import { renderDiagram, FILE_SAVED_EVENT } from '../services/api';
+
+/**
+ * DiagramEmbed component rendering one embedded diagram.
+ * @param {Object} props - Component properties.
+ * @param {string} props.filePath - Path of the diagram in the space.
+ * @param {string} props.space - The space of the diagram.
+ * @param {string} [props.alt] - Text shown for the diagram.
+ * @param {Function} [props.onOpen] - Called with the path to open the diagram.
+ * @return {JSX.Element} The DiagramEmbed component.
+ */
+const DiagramEmbed = ({ filePath, space, alt, onOpen }) => {
+  const [imageUrl, setImageUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const [revision, setRevision] = useState(0);
+
+  useEffect(() => {
+    const handleSaved = (event) => {
+      if (event.detail?.filePath === filePath && event.detail?.space === space) {
+        setRevision(value => value + 1);
+      }
+    };
+    window.addEventListener(FILE_SAVED_EVENT, handleSaved);
+    return () => window.removeEventListener(FILE_SAVED_EVENT, handleSaved);
+  }, [filePath, space]);
+
+  useEffect(() => {
+    let cancelled = false;
+    renderDiagram(filePath, space, 'svg')
+      .then((svg) => {
+        if (!cancelled) {
+          // Shown as an image, so nothing in the SVG runs in the page
+          setImageUrl(URL.createObjectURL(svg));
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.response?.status === 422 ? 'The diagram file could not be read' : err.message);
+        }
+      });
+    return () => { cancelled = true; };
+  }, [filePath, space, revision]);
+
+  // The previous image stays up until the next one is ready
+  useEffect(() => () => {
+    if (imageUrl) {
+      URL.revokeObjectURL(imageUrl);
+    }
+  }, [imageUrl]);
+
+  if (error) {
+    return (
+      <span className="diagram-embed text-danger small">
+        <i className="bi bi-exclamation-triangle me-1"></i>
+        {alt || filePath}: {error}
+      </span>
+    );
+  }
+
+  if (!imageUrl) {
+    return (
+      <span className="diagram-embed text-muted small">
+        <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+        Rendering diagram...
+      </span>
+    );
+  }
+
+  return (
+    <img
+      className="diagram-embed"
+      src={imageUrl}
+      alt={alt || filePath}
+      title={onOpen ? `Open ${filePath}` : alt || filePath}
+      style={{ maxWidth: '100%', cursor: onOpen ? 'pointer' : undefined }}
+      onClick={onOpen ? () => onOpen(filePath) : undefined}
+    />
+  );
+};
+
+export default DiagramEmbed;
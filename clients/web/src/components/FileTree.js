@@ -9,8 +9,10 @@
  * Key features:
  * - Hierarchical file/folder display
  * - File and folder CRUD operations
+ * - Trash shortcut for restoring deleted files and folders
  * - Context menu interactions
  * - File upload with drag-and-drop support
+ * - Import of Word/PowerPoint documents as Markdown
  * - Folder expansion/collapse state management
  * - File type detection and icon display
  * - Keyboard navigation support
@@ -41,7 +43,7 @@ import { constructFileURL, constructFolderURL } from '../utils/urlUtils';
  * @param {Function} props.onFolderToggle - Callback when a folder is expanded/collapsed.
  * @param {Array} props.draftFiles - Array of draft file paths that haven't been committed.
  * @param {Object} props.providerInfo - Information about the filing provider (type, capabilities).
- * @param {Function} props.onViewChange - Callback for view changes (recent, starred).
+ * @param {Function} props.onViewChange - Callback for view changes (recent, starred, trash).
  * @return {JSX.Element} The FileTree component.
  */
 const FileTree = ({
@@ -112,6 +114,7 @@ const FileTree = ({
   const [renameItemPath, setRenameItemPath] = useState('');
   const [renameValue, setRenameValue] = useState('');
   const [uploadPath, setUploadPath] = useState('');
+  const [uploadMode, setUploadMode] = useState('upload');
   const [isUploading, setIsUploading] = useState(false);
   const [focusedItem, setFocusedItem] = useState(null); // Track focused item for keyboard navigation
   const contextMenuRef = useRef(null);
@@ -159,7 +162,7 @@ const FileTree = ({
   };
 
   const handleDeleteClick = (itemPath) => {
-    if (window.confirm('Are you sure you want to delete this item? This action cannot be undone.')) {
+    if (window.confirm('Are you sure you want to delete this item? You can restore it from the Trash.')) {
       if (onDeleteItem) {
         onDeleteItem(itemPath);
       } else {
@@ -208,11 +211,12 @@ const FileTree = ({
     setRenameItemPath('');
   };
 
-  const handleUploadClick = (folderPath) => {
+  const handleUploadClick = (folderPath, mode = 'upload') => {
     setUploadPath(folderPath);
+    setUploadMode(mode);
     setContextMenu(null);
-    // Trigger file input click
-    fileInputRef.current?.click();
+    // Trigger file input click once the accept filter for the mode is applied
+    setTimeout(() => fileInputRef.current?.click(), 0);
   };
 
   const handleFileUpload = async (event) => {
@@ -227,17 +231,25 @@ const FileTree = ({
     }
     */
 
+    // Office documents picked through the plain upload can still be imported as markdown
+    let mode = uploadMode;
+    if (mode === 'upload' && /\.(docx|pptx)$/i.test(file.name)) {
+      if (window.confirm('Import this document as Markdown? The original file will be kept as an attachment.')) {
+        mode = 'import';
+      }
+    }
+
     setIsUploading(true);
 
     try {
       // Call the upload function
-      const result = await uploadFileToServer(file, uploadPath);
+      const result = await uploadFileToServer(file, uploadPath, mode);
       // Reset form
       event.target.value = '';
       
       // Call the callback to refresh file tree
       if (onFileUpload) {
-        onFileUpload(result.filePath);
+        onFileUpload(result.filePath, result.attachmentPath ? [result.attachmentPath] : []);
       }
       
       // Success is handled by the parent component via toast
@@ -249,10 +261,11 @@ const FileTree = ({
     }
   };
 
-  const uploadFileToServer = async (file, folderPath) => {
+  const uploadFileToServer = async (file, folderPath, mode = 'upload') => {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('folderPath', folderPath);
+    formData.append('mode', mode);
 
     const uploadUrl = currentSpace ? `/api/${currentSpace}/upload` : '/api/upload';
     const response = await fetch(uploadUrl, {
@@ -550,7 +563,7 @@ const FileTree = ({
         ref={fileInputRef}
         onChange={handleFileUpload}
         style={{ display: 'none' }}
-        accept="*/*"
+        accept={uploadMode === 'import' ? '.docx,.pptx' : '*/*'}
       />
       
       <div className="file-tree-header flex-shrink-0">
@@ -628,6 +641,22 @@ const FileTree = ({
                   <i className="bi bi-chevron-right text-muted"></i>
                 </div>
               )}
+
+              {!isReadonly && (
+                <div 
+                  className="nav-option d-flex align-items-center justify-content-between p-2 rounded cursor-pointer mt-1"
+                  onClick={() => onViewChange && onViewChange('trash')}
+                  style={{cursor: 'pointer', backgroundColor: 'var(--nav-option-bg, transparent)', marginLeft: '1rem'}}
+                  onMouseEnter={(e) => e.target.style.backgroundColor = 'var(--nav-option-hover-bg, rgba(0, 0, 0, 0.05))'}
+                  onMouseLeave={(e) => e.target.style.backgroundColor = 'var(--nav-option-bg, transparent)'}
+                >
+                  <div className="d-flex align-items-center">
+                    <i className="bi bi-trash me-2 text-muted"></i>
+                    <span className="text-confluence-text">Trash</span>
+                  </div>
+                  <i className="bi bi-chevron-right text-muted"></i>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -876,6 +905,16 @@ const FileTree = ({
               Upload File
             </div>
           )}
+          {!isReadonly && (contextMenu.itemType === 'empty' || contextMenu.itemType === 'directory') && (
+            <div
+              className="context-menu-item"
+              onClick={() => handleUploadClick(contextMenu.path, 'import')}>
+              <span className="context-menu-icon">
+                <i className="bi bi-file-earmark-arrow-down"></i>
+              </span>
+              Import as Markdown
+            </div>
+          )}
           
           {/* Show rename and delete options for files and directories */}
           {!isReadonly && (contextMenu.itemType === 'file' || contextMenu.itemType === 'directory') && (
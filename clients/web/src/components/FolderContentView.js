@@ -13,6 +13,12 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { constructFileURL, constructFolderURL, getFolderName } from '../utils/urlUtils';
+import { getFolderFrontMatter } from '../services/api';
+import { formatFrontMatterValue, getStatusBadgeClass, getTags } from '../utils/frontMatter';
+import FolderSchemaEditor from './FolderSchemaEditor';
+
+/** @const {Object} Empty front-matter filter form */
+const EMPTY_FILTERS = { status: '', owner: '', tags: '', system: '', reviewBefore: '' };
 
 /**
  * FolderContentView component for displaying folder contents.
@@ -34,6 +40,11 @@ const FolderContentView = ({
   const navigate = useNavigate();
   const [folderContents, setFolderContents] = useState([]);
   const [currentFolder, setCurrentFolder] = useState(null);
+  const [frontMatter, setFrontMatter] = useState({});
+  const [filterForm, setFilterForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [matchingPages, setMatchingPages] = useState(null);
+  const [showSchemaEditor, setShowSchemaEditor] = useState(false);
 
   /**
    * Finds a folder in the file tree by path.
@@ -101,6 +112,63 @@ const FolderContentView = ({
     }
   }, [files, folderPath, currentSpace]);
 
+  /**
+   * Loads the front-matter of the folder's pages, and the pages matching the
+   * filters when any are set.
+   */
+  useEffect(() => {
+    if (!currentSpace) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const activeFilters = Object.fromEntries(Object.entries(filters).filter(([, value]) => value.trim()));
+    const loadFrontMatter = async () => {
+      try {
+        const data = await getFolderFrontMatter(folderPath || '', currentSpace, activeFilters);
+        if (cancelled) return;
+        const byPath = {};
+        data.pages.forEach((page) => {
+          byPath[page.path] = page.frontMatter;
+        });
+        if (Object.keys(activeFilters).length > 0) {
+          setFrontMatter(previous => ({ ...previous, ...byPath }));
+          setMatchingPages(new Set(Object.keys(byPath)));
+        } else {
+          setFrontMatter(byPath);
+          setMatchingPages(null);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.error('Failed to load front-matter:', error);
+          setMatchingPages(null);
+        }
+      }
+    };
+
+    loadFrontMatter();
+    return () => {
+      cancelled = true;
+    };
+  }, [folderPath, currentSpace, filters, files]);
+
+  /**
+   * Applies the filter form to the folder contents.
+   * @param {Event} event - The form submit event
+   */
+  const handleApplyFilters = (event) => {
+    event.preventDefault();
+    setFilters(filterForm);
+  };
+
+  /**
+   * Clears all front-matter filters.
+   */
+  const handleClearFilters = () => {
+    setFilterForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
   /**
    * Handles clicking on a file - navigates to the file URL and calls onFileSelect.
    * @param {Object} file - The file object
@@ -181,6 +249,10 @@ const FolderContentView = ({
 
   const breadcrumbs = getBreadcrumbs();
   const folderName = getFolderName(folderPath) || currentSpace;
+  const isFiltered = matchingPages !== null;
+  const visibleContents = isFiltered
+    ? folderContents.filter(item => item.type === 'file' && matchingPages.has(item.path))
+    : folderContents;
 
   return (
     <div className="folder-content-view">
@@ -213,6 +285,13 @@ const FolderContentView = ({
         <div className="d-flex align-items-center mb-3">
           <i className="bi bi-folder2-open text-primary me-2" style={{ fontSize: '1.5rem' }}></i>
           <h1 className="h3 mb-0 text-confluence-text fw-semibold">{folderName}</h1>
+          <button
+            type="button"
+            className="btn btn-outline-secondary btn-sm ms-auto"
+            onClick={() => setShowSchemaEditor(true)}
+            title="Front-matter schema for pages in this folder">
+            <i className="bi bi-ui-checks me-1"></i>Schema
+          </button>
         </div>
 
         {/* Folder Stats */}
@@ -223,12 +302,63 @@ const FolderContentView = ({
           <span className="badge bg-secondary">
             {folderContents.filter(item => item.type === 'directory').length} folders
           </span>
+          {isFiltered && (
+            <span className="badge bg-primary ms-2">{visibleContents.length} matching</span>
+          )}
         </div>
+
+        {/* Front-matter Filters */}
+        <form className="row g-2 align-items-end mt-2 folder-filters" onSubmit={handleApplyFilters}>
+          {[
+            { key: 'status', label: 'Status', placeholder: 'approved,review' },
+            { key: 'owner', label: 'Owner', placeholder: 'username' },
+            { key: 'tags', label: 'Tags', placeholder: 'payments,pci' },
+            { key: 'system', label: 'System', placeholder: 'system name' }
+          ].map(({ key, label, placeholder }) => (
+            <div key={key} className="col-sm-6 col-lg-2">
+              <label htmlFor={`folder-filter-${key}`} className="form-label small text-muted mb-1">{label}</label>
+              <input
+                id={`folder-filter-${key}`}
+                type="text"
+                className="form-control form-control-sm"
+                placeholder={placeholder}
+                value={filterForm[key]}
+                onChange={(e) => setFilterForm({ ...filterForm, [key]: e.target.value })}
+              />
+            </div>
+          ))}
+          <div className="col-sm-6 col-lg-2">
+            <label htmlFor="folder-filter-review" className="form-label small text-muted mb-1">Review due by</label>
+            <input
+              id="folder-filter-review"
+              type="date"
+              className="form-control form-control-sm"
+              value={filterForm.reviewBefore}
+              onChange={(e) => setFilterForm({ ...filterForm, reviewBefore: e.target.value })}
+            />
+          </div>
+          <div className="col-sm-6 col-lg-2">
+            <button type="submit" className="btn btn-primary btn-sm me-2">
+              <i className="bi bi-funnel me-1"></i>Filter
+            </button>
+            {isFiltered && (
+              <button type="button" className="btn btn-outline-secondary btn-sm" onClick={handleClearFilters}>
+                Clear
+              </button>
+            )}
+          </div>
+        </form>
       </div>
 
       {/* Folder Contents */}
       <div className="folder-contents">
-        {folderContents.length === 0 ? (
+        {isFiltered && visibleContents.length === 0 ? (
+          <div className="text-center py-5">
+            <i className="bi bi-funnel text-muted mb-3" style={{ fontSize: '3rem' }}></i>
+            <h4 className="text-muted">No Matching Pages</h4>
+            <p className="text-muted">No page in this folder has front-matter matching the filters.</p>
+          </div>
+        ) : folderContents.length === 0 ? (
           <div className="text-center py-5">
             <i className="bi bi-folder2 text-muted mb-3" style={{ fontSize: '3rem' }}></i>
             <h4 className="text-muted">Empty Folder</h4>
@@ -236,7 +366,7 @@ const FolderContentView = ({
           </div>
         ) : (
           <div className="row g-3">
-            {folderContents.map((item) => (
+            {visibleContents.map((item) => (
               <div key={item.path} className="col-md-6 col-lg-4">
                 <div
                   className="card h-100 cursor-pointer folder-item-card"
@@ -267,6 +397,7 @@ const FolderContentView = ({
                             }
                           </small>
                         </p>
+                        {frontMatter[item.path] && renderFrontMatter(frontMatter[item.path])}
                       </div>
                       <div className="ms-auto">
                         <i className="bi bi-chevron-right text-muted"></i>
@@ -279,6 +410,49 @@ const FolderContentView = ({
           </div>
         )}
       </div>
+
+      {showSchemaEditor && (
+        <FolderSchemaEditor
+          folderPath={folderPath || ''}
+          currentSpace={currentSpace}
+          onClose={() => setShowSchemaEditor(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Renders the standard front-matter fields of a page on its card.
+ * @param {Object} fields - The page's front-matter
+ * @returns {JSX.Element|null} The field summary, or null when the page has none
+ */
+const renderFrontMatter = (fields) => {
+  const tags = getTags(fields.tags);
+  if (!fields.status && !fields.owner && !fields.reviewDate && !fields.system && tags.length === 0) {
+    return null;
+  }
+  return (
+    <div className="small text-muted folder-item-front-matter">
+      {fields.status && (
+        <span className={`badge me-1 ${getStatusBadgeClass(fields.status)}`}>
+          {formatFrontMatterValue(fields.status)}
+        </span>
+      )}
+      {fields.owner && (
+        <span className="me-2"><i className="bi bi-person me-1"></i>{formatFrontMatterValue(fields.owner)}</span>
+      )}
+      {fields.reviewDate && (
+        <span className="me-2"><i className="bi bi-calendar-check me-1"></i>{formatFrontMatterValue(fields.reviewDate)}</span>
+      )}
+      {fields.system && (
+        <div className="text-truncate"><i className="bi bi-diagram-3 me-1"></i>{formatFrontMatterValue(fields.system)}</div>
+      )}
+      {tags.length > 0 && (
+        <div className="mt-1">
+          {tags.map(tag => <span key={tag} className="badge bg-light text-dark border me-1">{tag}</span>)}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Front-matter schema editor for a folder.
+ *
+ * Lets space administrators attach a JSON Schema to a folder. Saves of pages
+ * in the folder and its subfolders are rejected when their front-matter does
+ * not match the schema, unless a subfolder has a schema of its own.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { getFolderSchema, saveFolderSchema, deleteFolderSchema } from '../services/api';
+
+/** @const {Object} Starting point for a new schema */
+const EXAMPLE_SCHEMA = {
+  type: 'object',
+  required: ['owner', 'status'],
+  properties: {
+    owner: { type: 'string' },
+    status: { enum: ['draft', 'review', 'approved', 'deprecated'] },
+    reviewDate: { type: 'string', format: 'date' },
+    tags: { type: 'array', items: { type: 'string' } },
+    system: { type: 'string' }
+  }
+};
+
+/**
+ * FolderSchemaEditor component shown as a modal dialog.
+ * @param {Object} props - Component properties.
+ * @param {string} props.folderPath - The folder, empty for the space root.
+ * @param {string} props.currentSpace - The space containing the folder.
+ * @param {Function} props.onClose - Callback to close the editor.
+ * @return {JSX.Element} The FolderSchemaEditor component.
+ */
+const FolderSchemaEditor = ({ folderPath, currentSpace, onClose }) => {
+  const [schemaText, setSchemaText] = useState('');
+  const [hasSchema, setHasSchema] = useState(false);
+  const [inheritedFrom, setInheritedFrom] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [problems, setProblems] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadSchema = async () => {
+      try {
+        const data = await getFolderSchema(folderPath, currentSpace);
+        if (cancelled) return;
+        setHasSchema(!!data.schema);
+        setInheritedFrom(data.schema ? null : data.inheritedFrom);
+        setSchemaText(JSON.stringify(data.schema || data.effectiveSchema || EXAMPLE_SCHEMA, null, 2));
+      } catch (err) {
+        if (!cancelled) toast.error('Failed to load the folder schema');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+    loadSchema();
+    return () => {
+      cancelled = true;
+    };
+  }, [folderPath, currentSpace]);
+
+  const handleSave = async () => {
+    let schema;
+    try {
+      schema = JSON.parse(schemaText);
+    } catch (err) {
+      setProblems(['The schema is not valid JSON']);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setProblems([]);
+      await saveFolderSchema(folderPath, schema, currentSpace);
+      toast.success('Folder schema saved');
+      onClose();
+    } catch (err) {
+      if (err.response?.status === 400) {
+        setProblems(err.response.data.problems || [err.response.data.error]);
+      } else if (err.response?.status === 403) {
+        toast.error('Only space administrators can change folder schemas');
+      } else {
+        toast.error('Failed to save the folder schema');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove the schema from this folder? Pages will no longer be validated against it.')) {
+      return;
+    }
+    try {
+      setIsSaving(true);
+      await deleteFolderSchema(folderPath, currentSpace);
+      toast.success('Folder schema removed');
+      onClose();
+    } catch (err) {
+      toast.error(err.response?.status === 403
+        ? 'Only space administrators can change folder schemas'
+        : 'Failed to remove the folder schema');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal fade show d-block" tabIndex="-1" style={{backgroundColor: 'rgba(9, 30, 66, 0.54)'}}>
+      <div className="modal-dialog modal-lg modal-dialog-scrollable">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">
+              <i className="bi bi-ui-checks me-2"></i>
+              Front-matter schema for {folderPath || currentSpace}
+            </h5>
+            <button type="button" className="btn-close" onClick={onClose}></button>
+          </div>
+          <div className="modal-body">
+            {isLoading ? (
+              <div className="text-center py-4">
+                <div className="spinner-border text-primary" role="status">
+                  <span className="visually-hidden">Loading schema...</span>
+                </div>
+              </div>
+            ) : (
+              <>
+                <p className="text-muted small">
+                  {hasSchema
+                    ? 'Pages in this folder and its subfolders must have front-matter matching this JSON Schema.'
+                    : inheritedFrom !== null
+                      ? `This folder uses the schema of ${inheritedFrom || 'the space root'}. Save to give it its own.`
+                      : 'This folder has no schema. Save to validate the front-matter of its pages.'}
+                </p>
+                <textarea
+                  className="form-control font-monospace"
+                  rows="16"
+                  value={schemaText}
+                  onChange={(e) => setSchemaText(e.target.value)}
+                  spellCheck="false"
+                />
+                {problems.length > 0 && (
+                  <div className="alert alert-danger mt-3 mb-0">
+                    <ul className="mb-0">
+                      {problems.map((problem) => <li key={problem}>{problem}</li>)}
+                    </ul>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+          <div className="modal-footer">
+            {hasSchema && (
+              <button type="button" className="btn btn-outline-danger me-auto" onClick={handleRemove} disabled={isSaving}>
+                <i className="bi bi-trash me-1"></i>Remove schema
+              </button>
+            )}
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="button" className="btn btn-primary" onClick={handleSave} disabled={isLoading || isSaving}>
+              {isSaving ? 'Saving...' : 'Save schema'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FolderSchemaEditor;
@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Version history panel for markdown files.
+ *
+ * Shows the saved versions of a file and a side-by-side diff between a
+ * selected version and the version before it (or the current file), and lets
+ * the user restore a previous version. Git spaces list commits; local spaces
+ * list the snapshots recorded on each save.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { getFileHistory, getFileDiff, restoreFileVersion } from '../services/api';
+import { useTheme } from '../contexts/ThemeContext';
+
+/**
+ * Pairs removed and added lines so changed lines sit side by side.
+ * @param {Array<Object>} lines - Diff lines from the server.
+ * @return {Array<{left: Object|null, right: Object|null}>} Side-by-side rows.
+ */
+const toSideBySideRows = (lines) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let i = 0; i < count; i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  lines.forEach((line) => {
+    if (line.type === 'remove') {
+      removed.push(line);
+    } else if (line.type === 'add') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push({ left: line, right: line });
+    }
+  });
+  flush();
+
+  return rows;
+};
+
+/**
+ * HistoryPanel component for browsing, comparing and restoring file versions.
+ * @param {Object} props - Component properties.
+ * @param {string} props.fileName - The current file path.
+ * @param {string} props.currentSpace - The current space name.
+ * @param {Function} props.onClose - Callback to close the panel.
+ * @param {Function} props.onRestored - Callback with the restored content and its version.
+ * @return {JSX.Element} The HistoryPanel component.
+ */
+const HistoryPanel = ({ fileName, currentSpace, onClose, onRestored }) => {
+  const { isDark } = useTheme();
+  const [versions, setVersions] = useState([]);
+  const [source, setSource] = useState(null);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isDiffLoading, setIsDiffLoading] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const data = await getFileHistory(fileName, currentSpace);
+      setVersions(data.versions || []);
+      setSource(data.source);
+      setSelectedIndex(data.versions && data.versions.length > 0 ? 0 : null);
+    } catch (err) {
+      setError('Failed to load version history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fileName, currentSpace]);
+
+  useEffect(() => {
+    if (fileName && currentSpace) {
+      loadHistory();
+    }
+  }, [fileName, currentSpace, loadHistory]);
+
+  // Compare the selected version with the one before it; the oldest version
+  // is compared with the current file instead
+  useEffect(() => {
+    if (selectedIndex === null || !versions[selectedIndex]) {
+      setDiff(null);
+      return;
+    }
+
+    const selected = versions[selectedIndex];
+    const previous = versions[selectedIndex + 1];
+    const from = previous ? previous.id : selected.id;
+    const to = previous ? selected.id : 'current';
+
+    let cancelled = false;
+    setIsDiffLoading(true);
+    getFileDiff(fileName, currentSpace, from, to)
+      .then((data) => {
+        if (!cancelled) setDiff(data);
+      })
+      .catch(() => {
+        if (!cancelled) setDiff(null);
+      })
+      .finally(() => {
+        if (!cancelled) setIsDiffLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedIndex, versions, fileName, currentSpace]);
+
+  const handleRestore = async () => {
+    const version = versions[selectedIndex];
+    if (!version) return;
+
+    const label = new Date(version.timestamp).toLocaleString();
+    if (!window.confirm(`Restore the version from ${label}? The current content will be replaced.`)) {
+      return;
+    }
+
+    try {
+      setIsRestoring(true);
+      const result = await restoreFileVersion(fileName, currentSpace, version.id);
+      toast.success(result.isDraft ? 'Version restored as a draft - publish to commit it' : 'Version restored');
+      if (onRestored) {
+        onRestored(result.content, result.contentVersion);
+      }
+      await loadHistory();
+    } catch (err) {
+      console.error('Error restoring version:', err);
+      toast.error(err.response?.data?.error || 'Failed to restore version');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const lineStyle = (line, side) => {
+    if (!line) {
+      return { background: isDark ? 'rgba(255, 255, 255, 0.03)' : '#f6f8fa' };
+    }
+    if (line.type === 'remove' && side === 'left') {
+      return { background: isDark ? 'rgba(248, 81, 73, 0.2)' : '#ffebe9' };
+    }
+    if (line.type === 'add' && side === 'right') {
+      return { background: isDark ? 'rgba(46, 160, 67, 0.2)' : '#e6ffec' };
+    }
+    return {};
+  };
+
+  const renderCell = (line, side) => (
+    <>
+      <td className="text-muted text-end pe-2 user-select-none" style={{ width: '3rem', ...lineStyle(line, side) }}>
+        {line ? (side === 'left' ? line.oldLine : line.newLine) : ''}
+      </td>
+      <td style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', width: '50%', ...lineStyle(line, side) }}>
+        {line ? line.text : ''}
+      </td>
+    </>
+  );
+
+  const selectedVersion = selectedIndex !== null ? versions[selectedIndex] : null;
+
+  return (
+    <div className="modal fade show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(9, 30, 66, 0.54)' }}>
+      <div className="modal-dialog modal-xl modal-dialog-scrollable">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">
+              <i className="bi bi-clock-history me-2"></i>Version History
+              <small className="text-muted ms-2">{fileName}</small>
+            </h5>
+            <button type="button" className="btn-close" onClick={onClose}></button>
+          </div>
+          <div className="modal-body p-0">
+            {isLoading ? (
+              <div className="d-flex justify-content-center align-items-center p-5">
+                <div className="spinner-border text-primary me-2" role="status"></div>
+                <span className="text-muted">Loading history...</span>
+              </div>
+            ) : error ? (
+              <div className="alert alert-danger m-3">{error}</div>
+            ) : versions.length === 0 ? (
+              <div className="text-center text-muted p-5">
+                No previous versions have been recorded for this file yet.
+              </div>
+            ) : (
+              <div className="d-flex" style={{ minHeight: '60vh' }}>
+                <div className="list-group list-group-flush border-end flex-shrink-0" style={{ width: '280px', overflowY: 'auto' }}>
+                  {versions.map((version, index) => (
+                    <button
+                      key={version.id}
+                      type="button"
+                      className={`list-group-item list-group-item-action ${index === selectedIndex ? 'active' : ''}`}
+                      onClick={() => setSelectedIndex(index)}
+                    >
+                      <div className="d-flex justify-content-between">
+                        <strong className="small">{version.author}</strong>
+                        <small>{new Date(version.timestamp).toLocaleString()}</small>
+                      </div>
+                      <div className="small text-truncate">{version.message}</div>
+                      {source === 'git' && (
+                        <code className="small">{version.id.substring(0, 7)}</code>
+                      )}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex-grow-1" style={{ overflow: 'auto' }}>
+                  {isDiffLoading ? (
+                    <div className="d-flex justify-content-center p-5">
+                      <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+                    </div>
+                  ) : diff ? (
+                    <>
+                      <div className="d-flex justify-content-between align-items-center px-3 py-2 border-bottom small">
+                        <span>
+                          {diff.to === 'current' ? 'Selected version → current file' : 'Previous version → selected version'}
+                        </span>
+                        <span>
+                          <span className="text-success me-2">+{diff.summary.added}</span>
+                          <span className="text-danger">-{diff.summary.removed}</span>
+                        </span>
+                      </div>
+                      <table className="table table-sm table-borderless mb-0" style={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
+                        <tbody>
+                          {toSideBySideRows(diff.lines).map((row, index) => (
+                            <tr key={index}>
+                              {renderCell(row.left, 'left')}
+                              {renderCell(row.right, 'right')}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </>
+                  ) : (
+                    <div className="text-center text-muted p-5">Select a version to see what changed.</div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Close
+            </button>
+            <button
+              type="button"
+              className="btn btn-warning"
+              onClick={handleRestore}
+              disabled={!selectedVersion || isRestoring}
+              title="Replace the current file with the selected version"
+            >
+              {isRestoring ? (
+                <div className="spinner-border spinner-border-sm me-1" role="status"></div>
+              ) : (
+                <i className="bi bi-arrow-counterclockwise me-1"></i>
+              )}
+              Restore this version
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
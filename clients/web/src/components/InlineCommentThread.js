@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Comment threads shown next to their text in the preview.
+ *
+ * Renders a passage highlighted by the comment anchor plugin. After the end
+ * of the passage, or of an anchored heading, a button with the number of
+ * comments opens the thread in a card beside the text.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useRef, useLayoutEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import CommentThread from './CommentThread';
+import { useTheme } from '../contexts/ThemeContext';
+
+/** Width of the thread card in pixels */
+const CARD_WIDTH = 360;
+
+/**
+ * InlineCommentThread component for an anchored passage in the preview.
+ * @param {Object} props - Component properties.
+ * @param {Object} props.thread - The thread the passage is anchored to.
+ * @param {boolean} props.isLast - Whether this is the end of the passage.
+ * @param {boolean} props.isOpen - Whether the thread card is shown.
+ * @param {Function} props.onToggle - Called with the thread ID to open, or null to close.
+ * @param {Object} props.comments - The comment actions from useComments.
+ * @param {React.ReactNode} props.children - The highlighted text.
+ * @return {JSX.Element} The InlineCommentThread component.
+ */
+const InlineCommentThread = ({ thread, isLast, isOpen, onToggle, comments, children }) => {
+  const { isDark } = useTheme();
+  const buttonRef = useRef(null);
+  const [position, setPosition] = useState(null);
+
+  useLayoutEffect(() => {
+    if (!isOpen || !buttonRef.current) {
+      setPosition(null);
+      return;
+    }
+    const rect = buttonRef.current.getBoundingClientRect();
+    setPosition({
+      top: rect.bottom + 4,
+      left: Math.max(8, Math.min(rect.left, window.innerWidth - CARD_WIDTH - 8))
+    });
+  }, [isOpen]);
+
+  const count = 1 + thread.replies.length;
+
+  return (
+    <>
+      <mark
+        className={`comment-anchor${isOpen ? ' comment-anchor--active' : ''}`}
+        data-comment-thread={thread.id}
+        onClick={() => onToggle(isOpen ? null : thread.id)}
+      >
+        {children}
+      </mark>
+      {isLast && (
+        <button
+          ref={buttonRef}
+          type="button"
+          className="comment-anchor-button"
+          onClick={() => onToggle(isOpen ? null : thread.id)}
+          title={`${count} comment${count === 1 ? '' : 's'} by ${thread.author}`}
+        >
+          <i className="bi bi-chat-left-text"></i>
+          <span>{count}</span>
+        </button>
+      )}
+      {isLast && isOpen && position && createPortal(
+        <div
+          className="comment-thread-card shadow"
+          style={{
+            top: position.top,
+            left: position.left,
+            width: CARD_WIDTH,
+            background: isDark ? 'var(--bs-dark, #212529)' : 'var(--bs-white, #fff)'
+          }}
+        >
+          <div className="d-flex justify-content-end">
+            <button type="button" className="btn-close btn-sm" aria-label="Close" onClick={() => onToggle(null)}></button>
+          </div>
+          <CommentThread thread={thread} comments={comments} />
+        </div>,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default InlineCommentThread;
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Ask mode of the knowledge view search pane
+ *
+ * Answers a question about the whole space with the AI assistant of the
+ * space. The answer is made from the passages of the documents that best
+ * match the question, cites them as [1], [2]... and lists them below the
+ * answer; citations and sources open the document they come from.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { streamSpaceAnswer } from '../services/api';
+
+/**
+ * Splits an answer into text and citation links.
+ * @param {string} answer - The answer text.
+ * @param {Array} sources - Sources the answer may cite.
+ * @param {Function} onCite - Called with the cited source.
+ * @return {Array} Strings and citation elements.
+ */
+const renderCitations = (answer, sources, onCite) =>
+  answer.split(/(\[\d+\])/).map((part, index) => {
+    const source = /^\[\d+\]$/.test(part) && sources.find(item => `[${item.id}]` === part);
+    if (!source) {
+      return part;
+    }
+    return (
+      <a
+        key={index}
+        href={`#${source.anchor || ''}`}
+        className="knowledge-citation"
+        title={source.heading ? `${source.filePath} › ${source.heading}` : source.filePath}
+        onClick={(e) => { e.preventDefault(); onCite(source); }}
+      >
+        {part}
+      </a>
+    );
+  });
+
+/**
+ * KnowledgeAskPanel component answering questions about a space.
+ * @param {Object} props - Component properties.
+ * @param {string} props.currentSpace - Currently selected space.
+ * @param {Function} props.onResultSelect - Callback opening a source document.
+ * @param {Object} props.selectedFile - Currently selected file info.
+ * @return {JSX.Element} The KnowledgeAskPanel component.
+ */
+const KnowledgeAskPanel = ({ currentSpace, onResultSelect, selectedFile = null }) => {
+  const [question, setQuestion] = useState('');
+  const [answer, setAnswer] = useState('');
+  const [sources, setSources] = useState([]);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Stop a running answer and forget it when the space changes
+  useEffect(() => {
+    setAnswer('');
+    setSources([]);
+    setError(null);
+    return () => controllerRef.current?.abort();
+  }, [currentSpace]);
+
+  const openSource = (source) => {
+    if (onResultSelect) {
+      onResultSelect({
+        path: source.filePath,
+        title: source.title || source.filePath.split('/').pop(),
+        type: 'file'
+      });
+    }
+  };
+
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    if (!question.trim()) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setAnswer('');
+    setSources([]);
+    setError(null);
+    setIsStreaming(true);
+    try {
+      await streamSpaceAnswer(
+        currentSpace,
+        question,
+        setSources,
+        text => setAnswer(previous => previous + text),
+        controller.signal
+      );
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
+    } finally {
+      setIsStreaming(false);
+      controllerRef.current = null;
+    }
+  };
+
+  return (
+    <div className="knowledge-ask">
+      <form onSubmit={handleAsk} className="knowledge-ask-form">
+        <textarea
+          className="form-control form-control-sm mb-2"
+          rows="3"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              handleAsk(e);
+            }
+          }}
+          placeholder={`Ask a question about ${currentSpace}`}
+          disabled={isStreaming}
+        />
+        {isStreaming ? (
+          <button type="button" className="btn btn-outline-danger btn-sm" onClick={() => controllerRef.current?.abort()}>
+            <i className="bi bi-stop-circle me-1"></i>Stop
+          </button>
+        ) : (
+          <button type="submit" className="btn btn-primary btn-sm" disabled={!question.trim()}>
+            <i className="bi bi-chat-square-quote me-1"></i>Ask
+          </button>
+        )}
+      </form>
+
+      {error && <div className="alert alert-danger py-2 mx-3 small">{error}</div>}
+
+      {!answer && !isStreaming && !error && (
+        <div className="text-center py-4 px-3">
+          <i className="bi bi-chat-square-quote text-muted mb-3" style={{fontSize: '2rem'}}></i>
+          <p className="text-muted mb-0">Ask in your own words</p>
+          <small className="text-muted">
+            The answer is written from the documents of this space and links to its sources
+          </small>
+        </div>
+      )}
+
+      {(answer || isStreaming) && (
+        <div className="knowledge-answer">
+          {renderCitations(answer, sources, openSource)}
+          {isStreaming && <span className="spinner-grow spinner-grow-sm ms-1" role="status"></span>}
+        </div>
+      )}
+
+      {sources.length > 0 && (
+        <div className="knowledge-sources">
+          <div className="knowledge-sources-header">
+            <small className="text-muted fw-medium">Sources</small>
+          </div>
+          {sources.map(source => (
+            <div
+              key={source.id}
+              className={`result-item ${selectedFile?.path === source.filePath ? 'selected' : ''}`}
+              onClick={() => openSource(source)}
+            >
+              <div className="result-header">
+                <span className="badge bg-light text-dark">{source.id}</span>
+                <div className="result-title">
+                  <div className="title-text">{source.heading || source.title}</div>
+                  <div className="result-path">{source.filePath}</div>
+                </div>
+              </div>
+              {source.snippet && (
+                <div className="result-preview">
+                  <div dangerouslySetInnerHTML={{__html: source.snippet}} />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <style jsx>{`
+        .knowledge-ask-form {
+          padding: 1rem;
+          border-bottom: 1px solid var(--confluence-border);
+        }
+
+        .knowledge-answer {
+          padding: 1rem;
+          white-space: pre-wrap;
+          font-size: 0.875rem;
+          color: var(--confluence-text);
+          line-height: 1.5;
+        }
+
+        .knowledge-citation {
+          font-size: 0.75rem;
+          vertical-align: super;
+          text-decoration: none;
+        }
+
+        .knowledge-sources-header {
+          padding: 0.5rem 1rem;
+          background: var(--confluence-border-subtle);
+          border-top: 1px solid var(--confluence-border);
+          border-bottom: 1px solid var(--confluence-border);
+        }
+
+        .knowledge-sources .result-item {
+          padding: 0.75rem 1rem;
+          border-bottom: 1px solid var(--confluence-border);
+          cursor: pointer;
+          transition: all 0.2s ease;
+        }
+
+        .knowledge-sources .result-item:hover {
+          background: var(--confluence-border-subtle);
+        }
+
+        .knowledge-sources .result-item.selected {
+          background: #e6f3ff;
+          border-left: 3px solid var(--confluence-primary);
+        }
+
+        .knowledge-sources .result-header {
+          display: flex;
+          align-items: flex-start;
+          gap: 0.75rem;
+        }
+
+        .knowledge-sources .result-title {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .knowledge-sources .title-text {
+          font-weight: 500;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .knowledge-sources .result-path {
+          font-size: 0.75rem;
+          color: var(--confluence-text-subtle);
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .knowledge-sources .result-preview {
+          margin: 0.25rem 0 0 2rem;
+          font-size: 0.8rem;
+          color: var(--confluence-text-subtle);
+        }
+
+        .knowledge-sources .result-preview :global(mark) {
+          background: #fff3cd;
+          padding: 0.1rem 0.2rem;
+          border-radius: 2px;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default KnowledgeAskPanel;
@@ -5,6 +5,8 @@
  * - Markdown content display with proper rendering
  * - Read-only interface with no editing capabilities
  * - File information and metadata display
+ * - Wiki links between pages, backlinks and a broken link report
+ * - Diagram files and `![[diagram.excalidraw]]` embeds drawn as images
  * - Clean, focused reading experience
  * - Welcome message when no content is selected
  * 
@@ -13,11 +15,22 @@
  * @since 2025-08-04
  */
 
-import React from 'react';
+import React, { useState, useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import DiagramBlock, { DIAGRAM_LANGUAGES, getCodeText } from './DiagramBlock';
+import DiagramEmbed from './DiagramEmbed';
+import BacklinksPanel from './BacklinksPanel';
+import BrokenLinksReport from './BrokenLinksReport';
+import { createWikiLinkResolver, flattenFilePaths, remarkWikiLinks, getWikiLinkTarget, getDiagramEmbedTarget } from '../utils/wikiLinks';
+import { remarkFrontMatter } from '../utils/frontMatter';
+import { detectFileType, FILE_TYPES } from '../utils/fileTypeDetector';
+import { constructFileURL } from '../utils/urlUtils';
 
 /**
  * KnowledgeContentPane component for displaying content in knowledge view.
@@ -25,13 +38,32 @@ import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
  * @param {string} props.content - Markdown content to display.
  * @param {Object} props.selectedFile - Currently selected file info.
  * @param {boolean} props.isLoading - Whether content is loading.
+ * @param {Array} props.files - File tree of the space, used to resolve wiki links.
+ * @param {string} props.currentSpace - The current space name.
+ * @param {Function} props.onOpenFile - Called with the path of a linked page to show it.
  * @return {JSX.Element} The KnowledgeContentPane component.
  */
 const KnowledgeContentPane = ({
   content = '',
   selectedFile = null,
-  isLoading = false
+  isLoading = false,
+  files = [],
+  currentSpace = null,
+  onOpenFile
 }) => {
+  const [showBrokenLinks, setShowBrokenLinks] = useState(false);
+  const resolveWikiLink = useMemo(() => createWikiLinkResolver(flattenFilePaths(files)), [files]);
+
+  const brokenLinksReport = showBrokenLinks && currentSpace && (
+    <BrokenLinksReport
+      currentSpace={currentSpace}
+      onClose={() => setShowBrokenLinks(false)}
+      onOpenFile={(filePath) => {
+        setShowBrokenLinks(false);
+        if (onOpenFile) onOpenFile(filePath);
+      }}
+    />
+  );
 
   // Show loading state
   if (isLoading) {
@@ -91,8 +123,17 @@ const KnowledgeContentPane = ({
                 <span>Read-only access ensures content integrity</span>
               </div>
             </div>
+            {currentSpace && (
+              <button
+                type="button"
+                className="btn btn-outline-secondary btn-sm mt-4"
+                onClick={() => setShowBrokenLinks(true)}>
+                <i className="bi bi-link-45deg me-1"></i>Check for broken links
+              </button>
+            )}
           </div>
         </div>
+        {brokenLinksReport}
         
         <style jsx>{`
           .knowledge-content-pane {
@@ -148,6 +189,15 @@ const KnowledgeContentPane = ({
             </div>
           </div>
           <div className="d-flex align-items-center">
+            {currentSpace && (
+              <button
+                type="button"
+                className="btn btn-outline-secondary btn-sm me-2"
+                onClick={() => setShowBrokenLinks(true)}
+                title="List links to pages that do not exist">
+                <i className="bi bi-link-45deg me-1"></i>Broken links
+              </button>
+            )}
             <span className="badge bg-light text-dark me-2">Read Only</span>
             {selectedFile.type && (
               <span className="badge bg-primary">
@@ -161,46 +211,95 @@ const KnowledgeContentPane = ({
       {/* Content Display */}
       <div className="knowledge-content-body">
         <div className="markdown-content">
-          <ReactMarkdown
-            remarkPlugins={[remarkGfm]}
-            components={{
-              code({node, inline, className, children, ...props}) {
-                const match = /language-(\w+)/.exec(className || '');
-                return !inline && match ? (
-                  <SyntaxHighlighter
-                    style={tomorrow}
-                    language={match[1]}
-                    PreTag="div"
-                    {...props}
-                  >
-                    {String(children).replace(/\n$/, '')}
-                  </SyntaxHighlighter>
-                ) : (
-                  <code className={className} {...props}>
-                    {children}
-                  </code>
-                );
-              },
-              // Custom styling for various markdown elements
-              h1: ({children}) => <h1 className="knowledge-h1">{children}</h1>,
-              h2: ({children}) => <h2 className="knowledge-h2">{children}</h2>,
-              h3: ({children}) => <h3 className="knowledge-h3">{children}</h3>,
-              h4: ({children}) => <h4 className="knowledge-h4">{children}</h4>,
-              h5: ({children}) => <h5 className="knowledge-h5">{children}</h5>,
-              h6: ({children}) => <h6 className="knowledge-h6">{children}</h6>,
-              p: ({children}) => <p className="knowledge-p">{children}</p>,
-              ul: ({children}) => <ul className="knowledge-ul">{children}</ul>,
-              ol: ({children}) => <ol className="knowledge-ol">{children}</ol>,
-              li: ({children}) => <li className="knowledge-li">{children}</li>,
-              blockquote: ({children}) => <blockquote className="knowledge-blockquote">{children}</blockquote>,
-              table: ({children}) => <table className="knowledge-table table table-bordered">{children}</table>,
-              a: ({href, children}) => <a href={href} className="knowledge-link" target="_blank" rel="noopener noreferrer">{children}</a>
-            }}
-          >
-            {content}
-          </ReactMarkdown>
+          {detectFileType(selectedFile.path) === FILE_TYPES.DIAGRAM ? (
+            <DiagramEmbed filePath={selectedFile.path} space={currentSpace} alt={selectedFile.title} />
+          ) : (
+            <ReactMarkdown
+              remarkPlugins={[
+                remarkGfm,
+                remarkMath,
+                remarkFrontMatter,
+                [remarkWikiLinks, {
+                  resolve: resolveWikiLink,
+                  fromPath: selectedFile.path,
+                  toHref: (filePath) => constructFileURL(currentSpace, filePath)
+                }]
+              ]}
+              rehypePlugins={[rehypeKatex]}
+              components={{
+                code({node, className, children, ...props}) {
+                  const match = /language-(\w+)/.exec(className || '');
+                  if (match && DIAGRAM_LANGUAGES.includes(match[1])) {
+                    return <DiagramBlock language={match[1]} source={getCodeText(children)} />;
+                  }
+                  // Code blocks end with a newline, inline code spans have none
+                  const isBlock = getCodeText(children).includes('\n');
+                  return isBlock && match ? (
+                    <SyntaxHighlighter
+                      style={tomorrow}
+                      language={match[1]}
+                      PreTag="div"
+                      {...props}
+                    >
+                      {String(children).replace(/\n$/, '')}
+                    </SyntaxHighlighter>
+                  ) : (
+                    <code className={className} {...props}>
+                      {children}
+                    </code>
+                  );
+                },
+                img: ({node, ...props}) => {
+                  const diagramPath = getDiagramEmbedTarget(props);
+                  if (diagramPath) {
+                    return <DiagramEmbed filePath={diagramPath} space={currentSpace} alt={props.alt} onOpen={onOpenFile} />;
+                  }
+                  return <img {...props} alt={props.alt} />;
+                },
+                // Custom styling for various markdown elements
+                h1: ({children}) => <h1 className="knowledge-h1">{children}</h1>,
+                h2: ({children}) => <h2 className="knowledge-h2">{children}</h2>,
+                h3: ({children}) => <h3 className="knowledge-h3">{children}</h3>,
+                h4: ({children}) => <h4 className="knowledge-h4">{children}</h4>,
+                h5: ({children}) => <h5 className="knowledge-h5">{children}</h5>,
+                h6: ({children}) => <h6 className="knowledge-h6">{children}</h6>,
+                p: ({children}) => <p className="knowledge-p">{children}</p>,
+                ul: ({children}) => <ul className="knowledge-ul">{children}</ul>,
+                ol: ({children}) => <ol className="knowledge-ol">{children}</ol>,
+                li: ({children}) => <li className="knowledge-li">{children}</li>,
+                blockquote: ({children}) => <blockquote className="knowledge-blockquote">{children}</blockquote>,
+                table: ({children}) => <table className="knowledge-table table table-bordered">{children}</table>,
+                a: ({href, children, ...props}) => {
+                  const { isWikiLink, path } = getWikiLinkTarget(props);
+                  if (!isWikiLink) {
+                    return <a href={href} className="knowledge-link" target="_blank" rel="noopener noreferrer">{children}</a>;
+                  }
+                  return (
+                    <a
+                      href={href}
+                      className={`knowledge-link ${props.className}`}
+                      title={props.title}
+                      onClick={(e) => {
+                        e.preventDefault();
+                        if (path && onOpenFile) onOpenFile(path);
+                      }}>
+                      {children}
+                    </a>
+                  );
+                }
+              }}
+            >
+              {content}
+            </ReactMarkdown>
+          )}
         </div>
+        <BacklinksPanel
+          filePath={selectedFile.path}
+          currentSpace={currentSpace}
+          onOpenFile={onOpenFile}
+        />
       </div>
+      {brokenLinksReport}
       
       <style jsx>{`
         .knowledge-content-pane {
@@ -310,6 +409,12 @@ const KnowledgeContentPane = ({
           text-decoration: underline;
         }
         
+        .markdown-content :global(.wiki-link-broken) {
+          color: var(--bs-danger);
+          text-decoration: underline dotted;
+          cursor: help;
+        }
+        
         .markdown-content :global(code) {
           background: var(--confluence-border-subtle);
           padding: 0.2rem 0.4rem;
@@ -5,6 +5,8 @@
  * - Initial prompt to search for content
  * - Search results display with file and content matches
  * - Result selection and navigation
+ * - Ask mode answering questions about the space with cited sources, when
+ *   the space has an AI assistant
  * - Clean, focused interface for readonly spaces
  * 
  * @author Design Artifacts Team
@@ -13,7 +15,8 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { fetchUserSpaces } from '../services/api';
+import { fetchUserSpaces, getAiAssistant } from '../services/api';
+import KnowledgeAskPanel from './KnowledgeAskPanel';
 
 /**
  * KnowledgeSearchPane component for displaying search results in knowledge view.
@@ -39,6 +42,8 @@ const KnowledgeSearchPane = ({
   isAuthenticated
 }) => {
   const [spaces, setSpaces] = useState([]);
+  const [mode, setMode] = useState('search');
+  const [canAsk, setCanAsk] = useState(false);
 
   // Load spaces when authenticated
   useEffect(() => {
@@ -47,6 +52,32 @@ const KnowledgeSearchPane = ({
     }
   }, [isAuthenticated]);
 
+  // Ask mode needs the AI assistant of the space
+  useEffect(() => {
+    if (!isAuthenticated || !currentSpace) {
+      setCanAsk(false);
+      return;
+    }
+    let cancelled = false;
+    getAiAssistant(currentSpace)
+      .then(assistant => !cancelled && setCanAsk(assistant.enabled))
+      .catch(() => !cancelled && setCanAsk(false));
+    return () => { cancelled = true; };
+  }, [isAuthenticated, currentSpace]);
+
+  useEffect(() => {
+    if (!canAsk) {
+      setMode('search');
+    }
+  }, [canAsk]);
+
+  // New search results take the pane back to search mode
+  useEffect(() => {
+    if (searchResults.length > 0) {
+      setMode('search');
+    }
+  }, [searchResults]);
+
   const loadSpaces = async () => {
     try {
       const userSpaces = await fetchUserSpaces();
@@ -70,6 +101,119 @@ const KnowledgeSearchPane = ({
     }
   };
 
+  // Spaces navigation shown below every state of the pane
+  const spacesNav = isAuthenticated && spaces.length > 0 && (
+    <div className="knowledge-spaces-nav">
+      <div className="spaces-nav-header">
+        <h6 className="mb-0 text-confluence-text">
+          <i className="bi bi-collection me-2"></i>
+          Spaces
+        </h6>
+      </div>
+      <div className="spaces-nav-content">
+        {spaces.map((space) => (
+          <div 
+            key={space.space}
+            className={`nav-option d-flex align-items-center justify-content-between p-2 rounded cursor-pointer mt-1 ${currentSpace === space.space ? 'active' : ''}`}
+            onClick={() => onSpaceChange && onSpaceChange(space.space)}
+            style={{
+              cursor: 'pointer', 
+              backgroundColor: currentSpace === space.space 
+                ? 'var(--confluence-primary-light, rgba(0, 82, 204, 0.1))' 
+                : 'var(--nav-option-bg, transparent)'
+            }}
+            onMouseEnter={(e) => {
+              if (currentSpace !== space.space) {
+                e.target.style.backgroundColor = 'var(--nav-option-hover-bg, rgba(0, 0, 0, 0.05))';
+              }
+            }}
+            onMouseLeave={(e) => {
+              if (currentSpace !== space.space) {
+                e.target.style.backgroundColor = 'var(--nav-option-bg, transparent)';
+              }
+            }}
+          >
+            <div className="d-flex align-items-center">
+              <i className={`bi ${getSpaceIcon(space)} me-2 text-muted`}></i>
+              <span className={`text-confluence-text ${currentSpace === space.space ? 'fw-medium' : ''}`}>
+                {space.space}
+              </span>
+              <small className="ms-2 text-muted">({space.access})</small>
+            </div>
+            {currentSpace === space.space && (
+              <i className="bi bi-check-circle text-primary"></i>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
+  const modeToggle = canAsk && (
+    <div className="btn-group btn-group-sm w-100 mt-2" role="group">
+      <button
+        type="button"
+        className={`btn ${mode === 'search' ? 'btn-primary' : 'btn-outline-primary'}`}
+        onClick={() => setMode('search')}
+      >
+        <i className="bi bi-search me-1"></i>Search
+      </button>
+      <button
+        type="button"
+        className={`btn ${mode === 'ask' ? 'btn-primary' : 'btn-outline-primary'}`}
+        onClick={() => setMode('ask')}
+      >
+        <i className="bi bi-chat-square-quote me-1"></i>Ask
+      </button>
+    </div>
+  );
+
+  // Answer questions about the space
+  if (mode === 'ask') {
+    return (
+      <div className="knowledge-search-pane">
+        <div className="knowledge-search-header">
+          <div className="d-flex align-items-center">
+            <i className="bi bi-chat-square-quote me-2 text-primary"></i>
+            <h6 className="mb-0 text-confluence-text">Ask the Space</h6>
+          </div>
+          {modeToggle}
+        </div>
+
+        <div className="knowledge-search-content">
+          <KnowledgeAskPanel
+            currentSpace={currentSpace}
+            onResultSelect={handleResultClick}
+            selectedFile={selectedFile}
+          />
+        </div>
+
+        {/* Spaces Navigation */}
+        {spacesNav}
+
+        <style jsx>{`
+          .knowledge-search-pane {
+            height: 100%;
+            display: flex;
+            flex-direction: column;
+            background: var(--confluence-bg-card);
+          }
+
+          .knowledge-search-header {
+            padding: 1rem;
+            border-bottom: 1px solid var(--confluence-border);
+            background: var(--confluence-border-subtle);
+          }
+
+          .knowledge-search-content {
+            flex: 1;
+            overflow-y: auto;
+          }
+        `}</style>
+      </div>
+    );
+  }
+
   // Show initial prompt when no search has been performed
   if (!searchQuery && searchResults.length === 0) {
     return (
@@ -79,6 +223,7 @@ const KnowledgeSearchPane = ({
             <i className="bi bi-search me-2 text-primary"></i>
             <h6 className="mb-0 text-confluence-text">Knowledge Search</h6>
           </div>
+          {modeToggle}
         </div>
         
         <div className="knowledge-search-content">
@@ -96,52 +241,7 @@ const KnowledgeSearchPane = ({
         </div>
         
         {/* Spaces Navigation */}
-        {isAuthenticated && spaces.length > 0 && (
-          <div className="knowledge-spaces-nav">
-            <div className="spaces-nav-header">
-              <h6 className="mb-0 text-confluence-text">
-                <i className="bi bi-collection me-2"></i>
-                Spaces
-              </h6>
-            </div>
-            <div className="spaces-nav-content">
-              {spaces.map((space) => (
-                <div 
-                  key={space.space}
-                  className={`nav-option d-flex align-items-center justify-content-between p-2 rounded cursor-pointer mt-1 ${currentSpace === space.space ? 'active' : ''}`}
-                  onClick={() => onSpaceChange && onSpaceChange(space.space)}
-                  style={{
-                    cursor: 'pointer', 
-                    backgroundColor: currentSpace === space.space 
-                      ? 'var(--confluence-primary-light, rgba(0, 82, 204, 0.1))' 
-                      : 'var(--nav-option-bg, transparent)'
-                  }}
-                  onMouseEnter={(e) => {
-                    if (currentSpace !== space.space) {
-                      e.target.style.backgroundColor = 'var(--nav-option-hover-bg, rgba(0, 0, 0, 0.05))';
-                    }
-                  }}
-                  onMouseLeave={(e) => {
-                    if (currentSpace !== space.space) {
-                      e.target.style.backgroundColor = 'var(--nav-option-bg, transparent)';
-                    }
-                  }}
-                >
-                  <div className="d-flex align-items-center">
-                    <i className={`bi ${getSpaceIcon(space)} me-2 text-muted`}></i>
-                    <span className={`text-confluence-text ${currentSpace === space.space ? 'fw-medium' : ''}`}>
-                      {space.space}
-                    </span>
-                    <small className="ms-2 text-muted">({space.access})</small>
-                  </div>
-                  {currentSpace === space.space && (
-                    <i className="bi bi-check-circle text-primary"></i>
-                  )}
-                </div>
-              ))}
-            </div>
-          </div>
-        )}
+        {spacesNav}
         
         <style jsx>{`
           .knowledge-search-pane {
@@ -179,6 +279,7 @@ const KnowledgeSearchPane = ({
             <i className="bi bi-search me-2 text-primary"></i>
             <h6 className="mb-0 text-confluence-text">Knowledge Search</h6>
           </div>
+          {modeToggle}
         </div>
         
         <div className="knowledge-search-content">
@@ -193,52 +294,7 @@ const KnowledgeSearchPane = ({
         </div>
         
         {/* Spaces Navigation */}
-        {isAuthenticated && spaces.length > 0 && (
-          <div className="knowledge-spaces-nav">
-            <div className="spaces-nav-header">
-              <h6 className="mb-0 text-confluence-text">
-                <i className="bi bi-collection me-2"></i>
-                Spaces
-              </h6>
-            </div>
-            <div className="spaces-nav-content">
-              {spaces.map((space) => (
-                <div 
-                  key={space.space}
-                  className={`nav-option d-flex align-items-center justify-content-between p-2 rounded cursor-pointer mt-1 ${currentSpace === space.space ? 'active' : ''}`}
-                  onClick={() => onSpaceChange && onSpaceChange(space.space)}
-                  style={{
-                    cursor: 'pointer', 
-                    backgroundColor: currentSpace === space.space 
-                      ? 'var(--confluence-primary-light, rgba(0, 82, 204, 0.1))' 
-                      : 'var(--nav-option-bg, transparent)'
-                  }}
-                  onMouseEnter={(e) => {
-                    if (currentSpace !== space.space) {
-                      e.target.style.backgroundColor = 'var(--nav-option-hover-bg, rgba(0, 0, 0, 0.05))';
-                    }
-                  }}
-                  onMouseLeave={(e) => {
-                    if (currentSpace !== space.space) {
-                      e.target.style.backgroundColor = 'var(--nav-option-bg, transparent)';
-                    }
-                  }}
-                >
-                  <div className="d-flex align-items-center">
-                    <i className={`bi ${getSpaceIcon(space)} me-2 text-muted`}></i>
-                    <span className={`text-confluence-text ${currentSpace === space.space ? 'fw-medium' : ''}`}>
-                      {space.space}
-                    </span>
-                    <small className="ms-2 text-muted">({space.access})</small>
-                  </div>
-                  {currentSpace === space.space && (
-                    <i className="bi bi-check-circle text-primary"></i>
-                  )}
-                </div>
-              ))}
-            </div>
-          </div>
-        )}
+        {spacesNav}
         
         <style jsx>{`
           .knowledge-search-pane {
@@ -283,6 +339,7 @@ const KnowledgeSearchPane = ({
             <small className="text-muted">Results for: "{searchQuery}"</small>
           </div>
         )}
+        {modeToggle}
       </div>
       
       <div className="knowledge-search-content">
@@ -338,52 +395,7 @@ const KnowledgeSearchPane = ({
       </div>
       
       {/* Spaces Navigation */}
-      {isAuthenticated && spaces.length > 0 && (
-        <div className="knowledge-spaces-nav">
-          <div className="spaces-nav-header">
-            <h6 className="mb-0 text-confluence-text">
-              <i className="bi bi-collection me-2"></i>
-              Spaces
-            </h6>
-          </div>
-          <div className="spaces-nav-content">
-            {spaces.map((space) => (
-              <div 
-                key={space.space}
-                className={`nav-option d-flex align-items-center justify-content-between p-2 rounded cursor-pointer mt-1 ${currentSpace === space.space ? 'active' : ''}`}
-                onClick={() => onSpaceChange && onSpaceChange(space.space)}
-                style={{
-                  cursor: 'pointer', 
-                  backgroundColor: currentSpace === space.space 
-                    ? 'var(--confluence-primary-light, rgba(0, 82, 204, 0.1))' 
-                    : 'var(--nav-option-bg, transparent)'
-                }}
-                onMouseEnter={(e) => {
-                  if (currentSpace !== space.space) {
-                    e.target.style.backgroundColor = 'var(--nav-option-hover-bg, rgba(0, 0, 0, 0.05))';
-                  }
-                }}
-                onMouseLeave={(e) => {
-                  if (currentSpace !== space.space) {
-                    e.target.style.backgroundColor = 'var(--nav-option-bg, transparent)';
-                  }
-                }}
-              >
-                <div className="d-flex align-items-center">
-                  <i className={`bi ${getSpaceIcon(space)} me-2 text-muted`}></i>
-                  <span className={`text-confluence-text ${currentSpace === space.space ? 'fw-medium' : ''}`}>
-                    {space.space}
-                  </span>
-                  <small className="ms-2 text-muted">({space.access})</small>
-                </div>
-                {currentSpace === space.space && (
-                  <i className="bi bi-check-circle text-primary"></i>
-                )}
-              </div>
-            ))}
-          </div>
-        </div>
-      )}
+      {spacesNav}
       
       <style jsx>{`
         .knowledge-search-pane {
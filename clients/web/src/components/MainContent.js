@@ -10,6 +10,7 @@ import MarkdownEditor from './MarkdownEditor';
 import TemplatesList from './TemplatesList';
 import RecentFilesView from './RecentFilesView';
 import StarredFilesView from './StarredFilesView';
+import TrashView from './TrashView';
 import SearchResultsView from './SearchResultsView';
 import HomeView from './HomeView';
 import UserSettings from './UserSettings';
@@ -32,6 +33,7 @@ function MainContent({
   isKnowledgeView,
   knowledgeViewContent,
   knowledgeViewSelectedFile,
+  onKnowledgeFileSelect,
   isCurrentSpaceReadonly,
   
   // File state
@@ -51,6 +53,7 @@ function MainContent({
   isEditingTemplate,
   onContentChange,
   onSave,
+  onContentRestored,
   onRenameItem,
   onCancelTemplateEdit,
   
@@ -64,6 +67,8 @@ function MainContent({
   
   // File management
   onCreateFile,
+  onCreatedFromTemplate,
+  onTrashItemRestored,
   
   // Search
   searchResults,
@@ -87,6 +92,9 @@ function MainContent({
               content={knowledgeViewContent}
               selectedFile={knowledgeViewSelectedFile}
               isLoading={isLoading}
+              files={files}
+              currentSpace={currentSpace}
+              onOpenFile={onKnowledgeFileSelect}
             />
           ) : currentView === 'home' ? (
             <HomeView
@@ -104,6 +112,8 @@ function MainContent({
               onTemplateCreate={onTemplateCreate}
               onTemplateDelete={onTemplateDelete}
               onTemplateSelect={onTemplateSelect}
+              currentSpace={currentSpace}
+              onCreatedFromTemplate={onCreatedFromTemplate}
               isLoading={isTemplatesLoading}
             />
           ) : currentView === 'recent' ? (
@@ -116,6 +126,12 @@ function MainContent({
               onFileSelect={(filePath) => onFileSelect(filePath, true)}
               isVisible={currentView === 'starred'}
             />
+          ) : currentView === 'trash' ? (
+            <TrashView
+              currentSpace={currentSpace}
+              isVisible={currentView === 'trash'}
+              onItemRestored={onTrashItemRestored}
+            />
           ) : currentView === 'search' ? (
             <SearchResultsView
               onFileSelect={(filePath) => onFileSelect(filePath, true)}
@@ -135,6 +151,7 @@ function MainContent({
             <NewMarkdownForm
               currentSpace={currentSpace}
               onCreateFile={onCreateFile}
+              onCreatedFromTemplate={onCreatedFromTemplate}
               onCancel={() => setCurrentView('home')}
             />
           ) : null
@@ -162,6 +179,9 @@ function MainContent({
               currentSpace={currentSpace}
               isEditingTemplate={isEditingTemplate}
               onCancelTemplateEdit={onCancelTemplateEdit}
+              onContentRestored={onContentRestored}
+              files={files}
+              onOpenFile={(filePath) => onFileSelect(filePath, false)}
             />
           ) : null
         } />
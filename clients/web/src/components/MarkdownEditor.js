@@ -7,32 +7,53 @@
  * and appropriate viewers for other file types.
  * 
  * Key features:
- * - Multi-format file support (Markdown, PDF, images, text)
+ * - Multi-format file support (Markdown, diagrams, PDF, images, text)
  * - Tabbed interface (edit/preview/split for Markdown)
  * - Syntax highlighting for code blocks
  * - File renaming functionality
  * - External preview window support
+ * - Version history with side-by-side diff and restore
+ * - Comment threads anchored to headings and selected text, shown inline in the preview
+ * - Real-time collaborative editing with presence
  * - GitHub Flavored Markdown support
+ * - Math, Mermaid and PlantUML diagrams in the preview
  * 
  * @author Design Artifacts Team
  * @version 1.0.0
  * @since 2024-01-01
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import MDEditor from '@uiw/react-md-editor';
 import '@uiw/react-md-editor/markdown-editor.css';
 import '@uiw/react-markdown-preview/markdown.css';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
 import PDFViewer from './PDFViewer';
 import ImageViewer from './ImageViewer';
 import TextViewer from './TextViewer';
 import FileDownloader from './FileDownloader';
 import CommentsSection from './CommentsSection';
+import InlineCommentThread from './InlineCommentThread';
+import HistoryPanel from './HistoryPanel';
+import DiagramEditor from './DiagramEditor';
+import DiagramEmbed from './DiagramEmbed';
+import ReviewPanel from './ReviewPanel';
+import AiAssistantPanel from './AiAssistantPanel';
+import DiagramBlock, { DIAGRAM_LANGUAGES, getCodeText } from './DiagramBlock';
 import { detectFileType, FILE_TYPES } from '../utils/fileTypeDetector';
 import { getCleanMarkdownContent, injectComments, extractComments } from '../utils/commentParser';
 import { extractMetadata } from '../utils/metadataParser';
-import { toggleStarredFile } from '../services/api';
+import { createWikiLinkResolver, flattenFilePaths, remarkWikiLinks, getWikiLinkTarget, getDiagramEmbedTarget } from '../utils/wikiLinks';
+import { remarkFrontMatter } from '../utils/frontMatter';
+import { rehypeCommentAnchors, getSourceOffset } from '../utils/commentAnchors';
+import { constructFileURL } from '../utils/urlUtils';
+import { toggleStarredFile, getAiAssistant } from '../services/api';
 import { useTheme } from '../contexts/ThemeContext';
+import { useCollaboration } from '../hooks/useCollaboration';
+import { useComments } from '../hooks/useComments';
+import { transformIndex } from '../services/collaboration';
 import { toast } from 'react-toastify';
 
 /**
@@ -50,9 +71,12 @@ import { toast } from 'react-toastify';
  * @param {string} props.currentSpace - The current space name.
  * @param {boolean} props.isEditingTemplate - Whether currently editing a template.
  * @param {Function} props.onCancelTemplateEdit - Callback for canceling template editing.
+ * @param {Function} props.onContentRestored - Callback with content the server already holds, such as a restored version or collaborative edits, and its version when known.
+ * @param {Array} props.files - File tree of the space, used to resolve wiki links in the preview.
+ * @param {Function} props.onOpenFile - Called with the path of a page opened from a wiki link.
  * @return {JSX.Element} The MarkdownEditor component.
  */
-const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, fileData, onSave, hasChanges, currentSpace, isEditingTemplate, onCancelTemplateEdit}) => {
+const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, fileData, onSave, hasChanges, currentSpace, isEditingTemplate, onCancelTemplateEdit, onContentRestored, files = [], onOpenFile}) => {
   const { isDark } = useTheme();
   const [showRenameDialog, setShowRenameDialog] = useState(false);
   const [renameValue, setRenameValue] = useState('');
@@ -61,6 +85,12 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, fileD
   const [isStarred, setIsStarred] = useState(false);
   const [isStarring, setIsStarring] = useState(false);
   const [viewMode, setViewMode] = useState('preview'); // default to preview mode
+  const [showHistory, setShowHistory] = useState(false);
+  const [showReview, setShowReview] = useState(false);
+  const [showAiPanel, setShowAiPanel] = useState(false);
+  const [aiAssistant, setAiAssistant] = useState(null);
+  const [commentSelection, setCommentSelection] = useState(null);
+  const [activeThreadId, setActiveThreadId] = useState(null);
   const [commentsHeight, setCommentsHeight] = useState(() => {
     const saved = localStorage.getItem('design-artifacts-comments-height');
     return saved ? parseInt(saved, 10) : 200;
@@ -68,8 +98,95 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, fileD
   const [isResizingComments, setIsResizingComments] = useState(false);
   const [containerRect, setContainerRect] = useState(null);
 
+  const editorPaneRef = useRef(null);
+
   const fileType = fileData?.fileType || (fileName ? detectFileType(fileName) : FILE_TYPES.UNKNOWN);
   const isMarkdown = fileType === FILE_TYPES.MARKDOWN;
+  const comments = useComments(isMarkdown ? fileName : null, currentSpace);
+
+  useEffect(() => {
+    setCommentSelection(null);
+    setActiveThreadId(null);
+  }, [fileName, currentSpace]);
+
+  // The assistant button is only shown in spaces that have one
+  useEffect(() => {
+    let cancelled = false;
+    setAiAssistant(null);
+    if (!currentSpace) return undefined;
+
+    getAiAssistant(currentSpace)
+      .then(assistant => {
+        if (!cancelled) {
+          setAiAssistant(assistant.enabled ? assistant : null);
+        }
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [currentSpace]);
+
+  const isCollaborative = isMarkdown && !isEditingTemplate && !!currentSpace && currentSpace !== 'Personal' &&
+    !!fileName && !fileName.startsWith('templates/');
+
+  // Apply remote edits while keeping the local selection in place
+  const handleRemoteContent = useCallback((text, operation) => {
+    const textarea = editorPaneRef.current?.querySelector('textarea');
+    const selection = textarea && document.activeElement === textarea && operation
+      ? { start: transformIndex(textarea.selectionStart, operation), end: transformIndex(textarea.selectionEnd, operation) }
+      : null;
+
+    if (onContentRestored) {
+      onContentRestored(text);
+    }
+    if (selection) {
+      requestAnimationFrame(() => textarea.setSelectionRange(selection.start, selection.end));
+    }
+  }, [onContentRestored]);
+
+  const handleCollaborationClosed = useCallback((reason) => {
+    toast.info(reason === 'renamed'
+      ? 'This file was renamed by another user'
+      : 'This file was deleted by another user');
+  }, []);
+
+  const handleCollaborationSaveRefused = useCallback((message) => {
+    // Refused by the folder or template schema, or by a plugin
+    const failures = message.validationErrors
+      ? message.validationErrors.map(failure => `${failure.field} ${failure.message}`)
+      : (message.problems || []).map(problem => `${problem.plugin}: ${problem.message}`);
+    toast.error(`Not saved - ${message.error}: ${failures.join('; ')}`, {
+      toastId: 'collaboration-save-refused',
+      autoClose: 10000
+    });
+  }, []);
+
+  const collaboration = useCollaboration({
+    enabled: isCollaborative,
+    space: currentSpace,
+    filePath: fileName,
+    content,
+    onRemoteContent: handleRemoteContent,
+    onSaved: onContentRestored,
+    onClosed: handleCollaborationClosed,
+    onSaveRefused: handleCollaborationSaveRefused
+  });
+  const { isLive, setCursor: setCollaborationCursor } = collaboration;
+
+  // Share the local cursor with other participants
+  useEffect(() => {
+    if (!isLive) return undefined;
+
+    const handleSelectionChange = () => {
+      const textarea = editorPaneRef.current?.querySelector('textarea');
+      if (textarea && document.activeElement === textarea) {
+        setCollaborationCursor(textarea.selectionStart, textarea.selectionEnd);
+      }
+    };
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => document.removeEventListener('selectionchange', handleSelectionChange);
+  }, [isLive, setCollaborationCursor]);
+
+  const getLineNumber = (offset) => (content || '').slice(0, offset).split('\n').length;
 
   // Handle comments section resizing
   const handleCommentsMouseDown = (e) => {
@@ -197,6 +314,124 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, fileD
     window.open(previewUrl, '_blank', 'width=800,height=600,scrollbars=yes,resizable=yes');
   };
 
+  // Wiki links in the preview resolve against the files of the space; front-matter shows as a field list
+  const resolveWikiLink = useMemo(() => createWikiLinkResolver(flattenFilePaths(files)), [files]);
+  // Open comment threads highlight their anchored text, with the thread next to it
+  const previewOptions = useMemo(() => ({
+    remarkPlugins: [remarkFrontMatter, remarkMath, [remarkWikiLinks, {
+      resolve: resolveWikiLink,
+      fromPath: fileName || '',
+      toHref: (filePath) => constructFileURL(currentSpace, filePath)
+    }]],
+    rehypePlugins: [[rehypeCommentAnchors, { threads: comments.threads }], rehypeKatex],
+    components: {
+      code: ({ node, className, children, ...props }) => {
+        const match = /language-(\w+)/.exec(className || '');
+        if (match && DIAGRAM_LANGUAGES.includes(match[1])) {
+          return <DiagramBlock language={match[1]} source={getCodeText(children)} />;
+        }
+        return <code className={className} {...props}>{children}</code>;
+      },
+      img: ({ node, ...props }) => {
+        const diagramPath = getDiagramEmbedTarget(props);
+        if (diagramPath && currentSpace) {
+          return <DiagramEmbed filePath={diagramPath} space={currentSpace} alt={props.alt} onOpen={onOpenFile} />;
+        }
+        return <img {...props} alt={props.alt} />;
+      },
+      mark: ({ node, children, ...props }) => {
+        const thread = comments.threads.find((item) => item.id === props['data-comment-thread']);
+        if (!thread) {
+          return <mark {...props}>{children}</mark>;
+        }
+        return (
+          <InlineCommentThread
+            thread={thread}
+            isLast={props['data-comment-last'] === 'true'}
+            isOpen={activeThreadId === thread.id}
+            onToggle={setActiveThreadId}
+            comments={comments}>
+            {children}
+          </InlineCommentThread>
+        );
+      },
+      a: ({ node, href, children, ...props }) => {
+        const { isWikiLink, path } = getWikiLinkTarget(props);
+        if (!isWikiLink) {
+          return <a href={href} {...props}>{children}</a>;
+        }
+        return (
+          <a
+            href={href}
+            className={props.className}
+            title={props.title}
+            style={path ? undefined : { color: 'var(--bs-danger)', textDecoration: 'underline dotted' }}
+            onClick={(e) => {
+              e.preventDefault();
+              if (path && onOpenFile) onOpenFile(path);
+            }}>
+            {children}
+          </a>
+        );
+      }
+    }
+  }), [resolveWikiLink, fileName, currentSpace, onOpenFile, comments, activeThreadId]);
+
+  // Text selected in the preview can be commented on
+  const handlePreviewMouseUp = () => {
+    const selection = window.getSelection();
+    const quote = selection ? selection.toString().trim() : '';
+    const preview = editorPaneRef.current?.querySelector('.wmde-markdown');
+    if (!quote || !preview || !preview.contains(selection.anchorNode)) {
+      return;
+    }
+    setCommentSelection({ quote, start: getSourceOffset(selection.anchorNode) });
+  };
+
+  // Shows the text a thread is anchored to, with the thread open next to it
+  const handleShowAnchor = (thread) => {
+    if (viewMode === 'edit') {
+      setViewMode('preview');
+    }
+    setActiveThreadId(thread.id);
+    requestAnimationFrame(() => {
+      const anchor = editorPaneRef.current?.querySelector(`[data-comment-thread="${thread.id}"]`);
+      if (anchor) {
+        anchor.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }
+    });
+  };
+
+  // Selection of the editor textarea, which holds the document without comments
+  const getEditorSelection = () => {
+    const textarea = editorPaneRef.current?.querySelector('textarea');
+    if (!textarea) return null;
+    const { selectionStart, selectionEnd } = textarea;
+    return { start: selectionStart, end: selectionEnd, text: cleanContent.slice(selectionStart, selectionEnd) };
+  };
+
+  const handleAiReplaceRange = (start, end, text) => {
+    handleContentChange(cleanContent.slice(0, start) + text + cleanContent.slice(end));
+    if (viewMode === 'preview') {
+      setViewMode('edit');
+    }
+  };
+
+  const handleOpenHistory = () => {
+    if (hasChanges && !window.confirm('You have unsaved changes. Restoring a version will discard them. Continue to history?')) {
+      return;
+    }
+    setShowHistory(true);
+  };
+
+  const handleVersionRestored = (restoredContent, version) => {
+    setShowHistory(false);
+    // While live the restored text arrives as a collaborative edit
+    if (onContentRestored && !isLive) {
+      onContentRestored(restoredContent, version);
+    }
+  };
+
   const handleToggleStar = async () => {
     if (!fileName || !isMarkdown || isStarring) return;
     
@@ -239,6 +474,22 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, fileD
   }
 
   // Render different viewers based on file type
+  if (fileType === FILE_TYPES.DIAGRAM) {
+    return (
+      <DiagramEditor
+        key={fileName}
+        content={content}
+        onChange={onChange}
+        fileName={fileName}
+        isLoading={isLoading}
+        onSave={onSave}
+        hasChanges={hasChanges}
+        currentSpace={currentSpace}
+        onContentRestored={onContentRestored}
+      />
+    );
+  }
+
   if (fileType === FILE_TYPES.PDF) {
     return (
       <PDFViewer 
@@ -313,6 +564,39 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, fileD
             </>
           )}
           
+          {/* Version history for saved markdown files */}
+          {isMarkdown && !isEditingTemplate && currentSpace && (
+            <button
+              className="btn btn-outline-secondary btn-sm editor-tab history-btn"
+              onClick={handleOpenHistory}
+              disabled={!fileName}
+              title="View version history">
+              <i className="bi bi-clock-history me-1"></i>History
+            </button>
+          )}
+
+          {/* Review and approval for saved markdown files in shared spaces */}
+          {isMarkdown && !isEditingTemplate && currentSpace && currentSpace !== 'Personal' && (
+            <button
+              className="btn btn-outline-secondary btn-sm editor-tab review-btn"
+              onClick={() => setShowReview(true)}
+              disabled={!fileName}
+              title="Review and approval">
+              <i className="bi bi-patch-check me-1"></i>Review
+            </button>
+          )}
+
+          {/* AI assistant in spaces where an admin enabled it */}
+          {isMarkdown && !isEditingTemplate && aiAssistant && (
+            <button
+              className={`btn btn-sm editor-tab ai-assistant-btn ${showAiPanel ? 'btn-secondary' : 'btn-outline-secondary'}`}
+              onClick={() => setShowAiPanel(!showAiPanel)}
+              disabled={!fileName}
+              title="AI assistant">
+              <i className="bi bi-stars me-1"></i>AI
+            </button>
+          )}
+
           <button
             className="btn btn-outline-secondary btn-sm editor-tab preview-window-btn"
             onClick={handleOpenPreviewWindow}
@@ -354,19 +638,54 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, fileD
             </>
           )}
           
-          <button
-            className="btn btn-success btn-sm"
-            onClick={onSave}
-            disabled={!fileName || !hasChanges || isLoading}
-            title="Save file">
-            <i className="bi bi-floppy me-1"></i>Save
-          </button>
+          {isLive ? (
+            <span
+              className="badge bg-success-subtle text-success-emphasis d-flex align-items-center collaboration-status"
+              title={collaboration.lastSavedAt ? `Last saved ${new Date(collaboration.lastSavedAt).toLocaleTimeString()}` : 'Changes are saved automatically'}>
+              <i className="bi bi-broadcast me-1"></i>
+              {!collaboration.canEdit ? 'Live (view only)' : hasChanges ? 'Live · Saving…' : 'Live · Saved'}
+            </span>
+          ) : (
+            <>
+              {isCollaborative && collaboration.status !== 'closed' && (
+                <span className="badge bg-secondary-subtle text-secondary-emphasis d-flex align-items-center collaboration-status" title="Reconnecting to the collaboration server">
+                  <i className="bi bi-wifi-off me-1"></i>Offline
+                </span>
+              )}
+              <button
+                className="btn btn-success btn-sm"
+                onClick={onSave}
+                disabled={!fileName || !hasChanges || isLoading}
+                title="Save file">
+                <i className="bi bi-floppy me-1"></i>Save
+              </button>
+            </>
+          )}
         </div>
       </div>
 
+      {isLive && collaboration.participants.length > 0 && (
+        <div className="d-flex flex-wrap align-items-center gap-2 px-3 mb-2 collaboration-presence">
+          <span className="small text-muted">
+            <i className="bi bi-people me-1"></i>Also editing:
+          </span>
+          {collaboration.participants.map(participant => (
+            <span
+              key={participant.clientId}
+              className="badge rounded-pill bg-primary-subtle text-primary-emphasis"
+              title={participant.canEdit ? 'Can edit' : 'View only'}>
+              {participant.username}
+              {participant.cursor && ` · line ${getLineNumber(participant.cursor.head)}`}
+            </span>
+          ))}
+        </div>
+      )}
+
       <div className="editor-content flex-grow-1 d-flex flex-column" style={{ height: 'calc(100vh - 120px)', position: 'relative' }}>
         <div 
+          ref={editorPaneRef}
           className="editor-pane" 
+          onMouseUp={isMarkdown ? handlePreviewMouseUp : undefined}
           style={{ 
             height: isMarkdown ? `calc(100% - ${commentsHeight + 8}px)` : '100%', 
             minHeight: '200px' 
@@ -376,9 +695,11 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, fileD
             value={cleanContent}
             onChange={handleContentChange}
             preview={viewMode}
+            previewOptions={previewOptions}
             hideToolbar={false}
             data-color-mode={isDark ? 'dark' : 'light'}
             height="100%"
+            textareaProps={{ readOnly: isLive && !collaboration.canEdit }}
           />
         </div>
         
@@ -426,13 +747,48 @@ const MarkdownEditor = ({content, onChange, fileName, isLoading, onRename, fileD
               <CommentsSection 
                 fileName={fileName} 
                 isVisible={true}
-                currentSpace={currentSpace}
+                comments={comments}
+                content={cleanContent}
+                selection={commentSelection}
+                onClearSelection={() => setCommentSelection(null)}
+                onShowAnchor={handleShowAnchor}
               />
             </div>
           </>
         )}
       </div>
 
+      {showHistory && (
+        <HistoryPanel
+          fileName={fileName}
+          currentSpace={currentSpace}
+          onClose={() => setShowHistory(false)}
+          onRestored={handleVersionRestored}
+        />
+      )}
+
+      {showReview && (
+        <ReviewPanel
+          fileName={fileName}
+          currentSpace={currentSpace}
+          hasUnsavedChanges={hasChanges}
+          onClose={() => setShowReview(false)}
+        />
+      )}
+
+      {showAiPanel && aiAssistant && (
+        <AiAssistantPanel
+          fileName={fileName}
+          currentSpace={currentSpace}
+          assistant={aiAssistant}
+          getDocument={() => cleanContent}
+          getSelection={getEditorSelection}
+          onReplaceRange={handleAiReplaceRange}
+          readOnly={isLive && !collaboration.canEdit}
+          onClose={() => setShowAiPanel(false)}
+        />
+      )}
+
       {showRenameDialog && (
         <div className="modal fade show d-block" tabIndex="-1" style={{backgroundColor: 'rgba(9, 30, 66, 0.54)'}}>
           <div className="modal-dialog">
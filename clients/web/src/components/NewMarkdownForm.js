@@ -2,9 +2,11 @@
  * @fileoverview New Markdown File creation form for the content pane.
  * 
  * This component renders a form in the main content area that allows users to:
- * - Enter a filename for the new markdown file
+ * - Enter a filename for the new markdown file, or a `.excalidraw` name for
+ *   a new diagram
  * - Select a template from available templates
- * - Preview the selected template content
+ * - Fill in the variables the selected template declares
+ * - Preview the selected template content, or the files of a folder scaffold
  * - Create the file or cancel the operation
  * 
  * @author Design Artifacts Team
@@ -14,22 +16,32 @@
 
 import React, { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
-import { fetchTemplates } from '../services/api';
+import { fetchTemplates, createFileFromTemplate } from '../services/api';
+import TemplateVariablesForm, { getInitialTemplateValues } from './TemplateVariablesForm';
+
+const isDiagramName = name => /\.excalidraw$/i.test(name.trim());
 
 /**
  * NewMarkdownForm component for creating new markdown files with template selection.
  * @param {Object} props - Component properties.
  * @param {string} props.currentSpace - Current workspace/space.
- * @param {Function} props.onCreateFile - Callback when file is created.
+ * @param {Function} props.onCreateFile - Callback when a blank file is created.
+ * @param {Function} props.onCreatedFromTemplate - Callback with the server response
+ *   when a page or folder is created from a template.
  * @param {Function} props.onCancel - Callback when creation is cancelled.
  * @return {JSX.Element} The NewMarkdownForm component.
  */
-const NewMarkdownForm = ({ currentSpace, onCreateFile, onCancel }) => {
+const NewMarkdownForm = ({ currentSpace, onCreateFile, onCreatedFromTemplate, onCancel }) => {
   const [filename, setFilename] = useState('');
   const [selectedTemplate, setSelectedTemplate] = useState('');
   const [templates, setTemplates] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [templatePreview, setTemplatePreview] = useState('');
+  const [variableValues, setVariableValues] = useState({});
+  const [variableErrors, setVariableErrors] = useState({});
+
+  const template = selectedTemplate ? templates.find(t => t.name === selectedTemplate) : null;
+  const isScaffold = Boolean(template && Array.isArray(template.files) && template.files.length > 0);
 
   // Load templates on component mount
   useEffect(() => {
@@ -49,15 +61,19 @@ const NewMarkdownForm = ({ currentSpace, onCreateFile, onCancel }) => {
     loadTemplates();
   }, [currentSpace]);
 
-  // Update template preview when template selection changes
+  // Update template preview and variable values when template selection changes
   useEffect(() => {
-    if (selectedTemplate && templates.length > 0) {
-      const template = templates.find(t => t.name === selectedTemplate);
-      setTemplatePreview(template?.content || '');
+    if (template) {
+      setTemplatePreview(isScaffold
+        ? `Creates a folder with:\n${template.files.map(file => `- ${file.path}`).join('\n')}`
+        : template.content || '');
+      setVariableValues(getInitialTemplateValues(template.variables));
     } else {
       setTemplatePreview('');
+      setVariableValues({});
     }
-  }, [selectedTemplate, templates]);
+    setVariableErrors({});
+  }, [template, isScaffold]);
 
   const handleCreate = async (e) => {
     e.preventDefault();
@@ -67,26 +83,37 @@ const NewMarkdownForm = ({ currentSpace, onCreateFile, onCancel }) => {
       return;
     }
 
-    // Ensure .md extension
-    const fullFilename = filename.trim().endsWith('.md') 
+    // Ensure .md extension; a scaffold template creates a folder instead, and
+    // a blank .excalidraw file is an empty diagram
+    const fullFilename = isScaffold || filename.trim().endsWith('.md') || (!template && isDiagramName(filename))
       ? filename.trim() 
       : `${filename.trim()}.md`;
 
     try {
       setIsLoading(true);
       
-      // Get template content if template is selected
-      const templateContent = selectedTemplate && templates.length > 0
-        ? templates.find(t => t.name === selectedTemplate)?.content || ''
-        : '';
-
-      // Create the file with template content
-      await onCreateFile(fullFilename, templateContent);
-      
-      toast.success('File created successfully');
+      if (template) {
+        // Templates render on the server with the variable values
+        const result = await createFileFromTemplate(template.name, fullFilename, variableValues, currentSpace);
+        toast.success(isScaffold ? `Created ${result.files.length} files in ${result.path}` : 'File created successfully');
+        if (onCreatedFromTemplate) {
+          await onCreatedFromTemplate(result);
+        }
+      } else {
+        await onCreateFile(fullFilename, '');
+        toast.success('File created successfully');
+      }
     } catch (error) {
       console.error('Failed to create file:', error);
-      toast.error('Failed to create file');
+      const data = error.response?.data;
+      if (data?.validationErrors && error.response.status === 400) {
+        setVariableErrors(Object.fromEntries(data.validationErrors.map(failure => [failure.variable, failure.message])));
+        toast.error('Please check the template values');
+      } else if (error.response?.status === 409) {
+        toast.error(`${data.path || fullFilename} already exists. Please choose a different name.`);
+      } else {
+        toast.error(data?.error || 'Failed to create file');
+      }
     } finally {
       setIsLoading(false);
     }
@@ -96,6 +123,7 @@ const NewMarkdownForm = ({ currentSpace, onCreateFile, onCancel }) => {
     setFilename('');
     setSelectedTemplate('');
     setTemplatePreview('');
+    setVariableValues({});
     onCancel();
   };
 
@@ -125,7 +153,7 @@ const NewMarkdownForm = ({ currentSpace, onCreateFile, onCancel }) => {
               <div className="col-md-6">
                 <div className="mb-3">
                   <label htmlFor="filename" className="form-label">
-                    File Name <span className="text-danger">*</span>
+                    {isScaffold ? 'Folder Name' : 'File Name'} <span className="text-danger">*</span>
                   </label>
                   <input
                     id="filename"
@@ -133,13 +161,15 @@ const NewMarkdownForm = ({ currentSpace, onCreateFile, onCancel }) => {
                     className="form-control"
                     value={filename}
                     onChange={(e) => setFilename(e.target.value)}
-                    placeholder="my-document"
+                    placeholder={isScaffold ? 'decisions/adr-001' : 'my-document'}
                     required
                     autoFocus
                     disabled={isLoading}
                   />
                   <div className="form-text">
-                    The .md extension will be added automatically if not provided.
+                    {isScaffold
+                      ? 'The template creates this folder with its files.'
+                      : 'The .md extension will be added automatically if not provided. End the name with .excalidraw to create a diagram.'}
                   </div>
                 </div>
 
@@ -174,6 +204,17 @@ const NewMarkdownForm = ({ currentSpace, onCreateFile, onCancel }) => {
                   </div>
                 </div>
 
+                {template && (
+                  <TemplateVariablesForm
+                    variables={template.variables}
+                    values={variableValues}
+                    onChange={setVariableValues}
+                    currentSpace={currentSpace}
+                    errors={variableErrors}
+                    disabled={isLoading}
+                  />
+                )}
+
                 <div className="d-flex gap-2">
                   <button 
                     type="submit" 
@@ -227,7 +268,7 @@ const NewMarkdownForm = ({ currentSpace, onCreateFile, onCancel }) => {
                   </div>
                   {selectedTemplate && (
                     <div className="form-text">
-                      This is the content that will be added to your new file.
+                      Variables, conditions and loops in the template are filled in when the file is created.
                     </div>
                   )}
                 </div>
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Notification bell for the application header.
+ *
+ * Shows the number of unread notifications of the current user and, when
+ * clicked, the latest notifications: mentions, replies, comments on owned
+ * documents and review requests and decisions. Opening a notification marks
+ * it as read and opens its document. The unread count is refreshed
+ * periodically.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { getNotifications, setNotificationRead, markAllNotificationsRead } from '../services/api';
+import { constructFileURL } from '../utils/urlUtils';
+
+/** Milliseconds between checks for new notifications */
+const POLL_INTERVAL = 60000;
+
+/** Notifications shown in the dropdown */
+const LIST_LIMIT = 20;
+
+const DESCRIPTIONS = {
+  mention: 'mentioned you in',
+  reply: 'replied on',
+  comment: 'commented on',
+  review_requested: 'requested your review of',
+  review_decision: 'reviewed'
+};
+
+const ICONS = {
+  mention: 'bi-at',
+  reply: 'bi-reply',
+  comment: 'bi-chat-left-text',
+  review_requested: 'bi-clipboard-check',
+  review_decision: 'bi-check2-square'
+};
+
+const formatTimestamp = (timestamp) => {
+  try {
+    return new Date(timestamp).toLocaleString();
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * NotificationBell component with the unread count and notification list.
+ * @return {JSX.Element} The NotificationBell component.
+ */
+const NotificationBell = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const data = await getNotifications({ limit: LIST_LIMIT });
+      setNotifications(data.notifications || []);
+      setUnreadCount(data.unreadCount || 0);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load notifications');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [loadNotifications]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleToggle = () => {
+    if (!isOpen) {
+      loadNotifications();
+    }
+    setIsOpen(!isOpen);
+  };
+
+  const handleOpen = async (notification) => {
+    if (!notification.read) {
+      try {
+        await setNotificationRead(notification.id, true);
+      } catch (err) {
+        // Opening the document matters more than the read state
+      }
+    }
+    setIsOpen(false);
+    window.location.href = constructFileURL(notification.space, notification.filePath);
+  };
+
+  const handleToggleRead = async (event, notification) => {
+    event.stopPropagation();
+    try {
+      const updated = await setNotificationRead(notification.id, !notification.read);
+      setNotifications(notifications.map(item => (item.id === updated.id ? updated : item)));
+      setUnreadCount(Math.max(0, unreadCount + (updated.read ? -1 : 1)));
+    } catch (err) {
+      setError('Failed to update notification');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      setNotifications(notifications.map(item => ({ ...item, read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      setError('Failed to update notifications');
+    }
+  };
+
+  return (
+    <div className="position-relative notification-bell" ref={containerRef}>
+      <button
+        className="btn btn-outline-secondary btn-sm position-relative"
+        onClick={handleToggle}
+        title={unreadCount > 0 ? `${unreadCount} unread notification${unreadCount === 1 ? '' : 's'}` : 'Notifications'}
+      >
+        <i className={`bi ${unreadCount > 0 ? 'bi-bell-fill' : 'bi-bell'}`}></i>
+        {unreadCount > 0 && (
+          <span className="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="position-absolute end-0 border rounded shadow-sm mt-1 notification-dropdown">
+          <div className="d-flex justify-content-between align-items-center px-3 py-2 border-bottom small search-section-header">
+            <span>Notifications</span>
+            {unreadCount > 0 && (
+              <button className="btn btn-link btn-sm p-0" onClick={handleMarkAllRead}>
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {error && <div className="px-3 py-2 small text-danger">{error}</div>}
+
+          {notifications.length === 0 ? (
+            <div className="px-3 py-3 small text-muted text-center">No notifications yet</div>
+          ) : (
+            notifications.map(notification => (
+              <div
+                key={notification.id}
+                className={`px-3 py-2 cursor-pointer border-bottom notification-item${notification.read ? '' : ' notification-item--unread'}`}
+                onClick={() => handleOpen(notification)}
+              >
+                <div className="d-flex align-items-start gap-2">
+                  <i className={`bi ${ICONS[notification.type] || 'bi-bell'} mt-1`}></i>
+                  <div className="flex-grow-1 small">
+                    <div>
+                      <strong>{notification.actor}</strong> {DESCRIPTIONS[notification.type] || 'updated'}{' '}
+                      <span className="fw-medium">{notification.filePath}</span>
+                      <span className="text-muted"> in {notification.space}</span>
+                    </div>
+                    {notification.excerpt && (
+                      <div className="text-muted text-truncate">{notification.excerpt}</div>
+                    )}
+                    <div className="text-muted">{formatTimestamp(notification.createdAt)}</div>
+                  </div>
+                  <button
+                    className="btn btn-link btn-sm p-0 text-muted"
+                    onClick={(event) => handleToggleRead(event, notification)}
+                    title={notification.read ? 'Mark as unread' : 'Mark as read'}
+                  >
+                    <i className={`bi ${notification.read ? 'bi-envelope' : 'bi-envelope-open'}`}></i>
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -4,19 +4,28 @@
  * This component renders markdown content in a dedicated preview window that
  * can be opened separately from the main application. It provides a clean,
  * distraction-free environment for viewing rendered markdown content with
- * syntax highlighting and GitHub Flavored Markdown support.
+ * syntax highlighting, GitHub Flavored Markdown, math and Mermaid and PlantUML
+ * diagrams; printing the window saves the page with its diagrams as PDF.
  * 
  * @author Design Artifacts Team
  * @version 1.0.0
  * @since 2024-01-01
  */
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
-import { fetchFile } from '../services/api';
+import DiagramBlock, { DIAGRAM_LANGUAGES, getCodeText } from './DiagramBlock';
+import DiagramEmbed from './DiagramEmbed';
+import { fetchFile, fetchFiles, fetchRenderedFile } from '../services/api';
+import { createWikiLinkResolver, flattenFilePaths, remarkWikiLinks, getDiagramEmbedTarget } from '../utils/wikiLinks';
+import { remarkFrontMatter } from '../utils/frontMatter';
+import { constructFileURL } from '../utils/urlUtils';
 
 /**
  * PreviewWindow component for displaying markdown content in a standalone window.
@@ -27,6 +36,9 @@ const PreviewWindow = () => {
   const [fileName, setFileName] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [space, setSpace] = useState(null);
+  const [filePaths, setFilePaths] = useState([]);
+  const resolveWikiLink = useMemo(() => createWikiLinkResolver(filePaths), [filePaths]);
 
   useEffect(() => {
     const loadFile = async () => {
@@ -35,6 +47,8 @@ const PreviewWindow = () => {
       const fileParam = urlParams.get('file');
       const spaceParam = urlParams.get('space');
 
+      setSpace(spaceParam);
+
       if (fileParam) {
         const decodedFileName = decodeURIComponent(fileParam);
         setFileName(decodedFileName);
@@ -46,8 +60,17 @@ const PreviewWindow = () => {
         try {
           setIsLoading(true);
           setError('');
-          const fileData = await fetchFile(decodedFileName, spaceParam);
+          // Markdown in a space is previewed as plugins render it
+          const isMarkdown = /\.(md|markdown)$/i.test(decodedFileName);
+          const fileData = spaceParam && isMarkdown
+            ? await fetchRenderedFile(decodedFileName, spaceParam)
+            : await fetchFile(decodedFileName, spaceParam);
           setContent(fileData.content || '');
+
+          // Wiki links show as missing pages until the file list has loaded
+          fetchFiles(spaceParam)
+            .then((tree) => setFilePaths(flattenFilePaths(tree)))
+            .catch(() => setFilePaths([]));
         } catch (err) {
           console.error('Error fetching file:', err);
           setError('Failed to load file content');
@@ -97,11 +120,26 @@ const PreviewWindow = () => {
           </div>
         ) : (
           <ReactMarkdown
-            remarkPlugins={[remarkGfm]}
+            remarkPlugins={[
+              remarkGfm,
+              remarkMath,
+              remarkFrontMatter,
+              [remarkWikiLinks, {
+                resolve: resolveWikiLink,
+                fromPath: fileName,
+                toHref: (filePath) => constructFileURL(space, filePath)
+              }]
+            ]}
+            rehypePlugins={[rehypeKatex]}
             components={{
-              code({ node, inline, className, children, ...props }) {
+              code({ node, className, children, ...props }) {
                 const match = /language-(\w+)/.exec(className || '');
-                return !inline && match ? (
+                if (match && DIAGRAM_LANGUAGES.includes(match[1])) {
+                  return <DiagramBlock language={match[1]} source={getCodeText(children)} />;
+                }
+                // Code blocks end with a newline, inline code spans have none
+                const isBlock = getCodeText(children).includes('\n');
+                return isBlock && match ? (
                   <SyntaxHighlighter
                     style={tomorrow}
                     language={match[1]}
@@ -116,6 +154,13 @@ const PreviewWindow = () => {
                   </code>
                 );
               },
+              img({ node, ...props }) {
+                const diagramPath = getDiagramEmbedTarget(props);
+                if (diagramPath && space) {
+                  return <DiagramEmbed filePath={diagramPath} space={space} alt={props.alt} />;
+                }
+                return <img {...props} alt={props.alt} />;
+              },
             }}
           >
             {content || 'No content to preview'}
@@ -1,130 +1,174 @@
-/**
- * @fileoverview Publish modal component for Architecture Artifacts.
- * 
- * This component provides a publishing interface that saves changes.
- * Git operations are handled on the server side.
- * 
- * @author Design Artifacts Team
- * @version 1.0.0
- * @since 2024-01-01
- */
-
-import React, { useState } from 'react';
-import { toast } from 'react-toastify';
-
-/**
- * PublishModal component for publishing changes.
- * @param {Object} props - Component properties.
- * @param {Function} props.onClose - Callback for closing the modal.
- * @param {Function} props.onPublish - Callback after successful publish.
- * @param {string} props.currentSpace - Current space name.
- * @return {JSX.Element} The PublishModal component.
- */
-const PublishModal = ({ onClose, onPublish, currentSpace }) => {
-  const [isPublishing, setIsPublishing] = useState(false);
-  const [publishMessage, setPublishMessage] = useState('');
-
-  const handlePublish = async (e) => {
-    e.preventDefault();
-    if (!publishMessage.trim()) {
-      toast.error('Publish message is required');
-      return;
-    }
-
-    setIsPublishing(true);
-    
-    try {
-      // Make API call to publish changes for the current space
-      const publishUrl = currentSpace ? `/${currentSpace}/publish` : '/publish';
-      const response = await fetch(publishUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include', // Include session cookies
-        body: JSON.stringify({
-          message: publishMessage.trim()
-        })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to publish changes');
-      }
-
-      const result = await response.json();
-      
-      toast.success('Changes published successfully to Git repository');
-      console.log('Publish result:', result);
-      
-      if (onPublish) {
-        onPublish(result);
-      }
-      onClose();
-    } catch (error) {
-      const errorMessage = error.message || 'Failed to publish changes';
-      toast.error(`Failed to publish: ${errorMessage}`);
-      console.error('Publish error:', error);
-    } finally {
-      setIsPublishing(false);
-    }
-  };
-
-  const getButtonText = () => {
-    if (!isPublishing) return 'Publish Changes';
-    return 'Publishing...';
-  };
-
-  return (
-    <div className="modal fade show d-block" tabIndex="-1" style={{backgroundColor: 'rgba(9, 30, 66, 0.54)'}}>
-      <div className="modal-dialog">
-        <div className="modal-content">
-          <div className="modal-header">
-            <h5 className="modal-title">Publish Changes</h5>
-            <button type="button" className="btn-close" onClick={onClose} disabled={isPublishing}></button>
-          </div>
-          <form onSubmit={handlePublish}>
-            <div className="modal-body">
-              <p className="text-muted mb-3">This will commit and push your changes to the Git repository.</p>
-              <div className="mb-3">
-                <label htmlFor="publish-message" className="form-label">Commit Message:</label>
-                <textarea
-                  id="publish-message"
-                  className="form-control"
-                  value={publishMessage}
-                  onChange={(e) => setPublishMessage(e.target.value)}
-                  placeholder="Describe your changes..."
-                  rows="4"
-                  required
-                  disabled={isPublishing}
-                />
-              </div>
-            </div>
-            <div className="modal-footer">
-              <button
-                type="button"
-                className="btn btn-secondary"
-                onClick={onClose}
-                disabled={isPublishing}
-              >
-                Cancel
-              </button>
-              <button
-                type="submit"
-                className="btn btn-primary"
-                disabled={!publishMessage.trim() || isPublishing}
-              >
-                {isPublishing && (
-                  <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-                )}
-                {getButtonText()}
-              </button>
-            </div>
-          </form>
-        </div>
-      </div>
-    </div>
-  );
-};
-
+/**
+ * @fileoverview Publish modal component for Architecture Artifacts.
+ * 
+ * This component provides a publishing interface that saves changes.
+ * Git operations are handled on the server side. Spaces with approval rules
+ * only publish approved documents; the documents blocking a publish are
+ * listed with their review state.
+ * 
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { getReviews } from '../services/api';
+import { REVIEW_STATES } from './ReviewPanel';
+
+/**
+ * PublishModal component for publishing changes.
+ * @param {Object} props - Component properties.
+ * @param {Function} props.onClose - Callback for closing the modal.
+ * @param {Function} props.onPublish - Callback after successful publish.
+ * @param {string} props.currentSpace - Current space name.
+ * @return {JSX.Element} The PublishModal component.
+ */
+const PublishModal = ({ onClose, onPublish, currentSpace }) => {
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [publishMessage, setPublishMessage] = useState('');
+  const [reviewRules, setReviewRules] = useState(null);
+  const [blocked, setBlocked] = useState([]);
+
+  useEffect(() => {
+    if (!currentSpace || currentSpace === 'Personal') return;
+    let cancelled = false;
+    getReviews(currentSpace)
+      .then((data) => {
+        if (!cancelled) setReviewRules(data.rules);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [currentSpace]);
+
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    if (!publishMessage.trim()) {
+      toast.error('Publish message is required');
+      return;
+    }
+
+    setIsPublishing(true);
+    setBlocked([]);
+    
+    try {
+      // Make API call to publish changes for the current space
+      const publishUrl = currentSpace ? `/${currentSpace}/publish` : '/publish';
+      const response = await fetch(publishUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include', // Include session cookies
+        body: JSON.stringify({
+          message: publishMessage.trim()
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        if (response.status === 409 && errorData.blocked) {
+          setBlocked(errorData.blocked);
+        }
+        throw new Error(errorData.error || 'Failed to publish changes');
+      }
+
+      const result = await response.json();
+      
+      toast.success('Changes published successfully to Git repository');
+      console.log('Publish result:', result);
+      
+      if (onPublish) {
+        onPublish(result);
+      }
+      onClose();
+    } catch (error) {
+      const errorMessage = error.message || 'Failed to publish changes';
+      toast.error(`Failed to publish: ${errorMessage}`);
+      console.error('Publish error:', error);
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const getButtonText = () => {
+    if (!isPublishing) return 'Publish Changes';
+    return 'Publishing...';
+  };
+
+  return (
+    <div className="modal fade show d-block" tabIndex="-1" style={{backgroundColor: 'rgba(9, 30, 66, 0.54)'}}>
+      <div className="modal-dialog">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">Publish Changes</h5>
+            <button type="button" className="btn-close" onClick={onClose} disabled={isPublishing}></button>
+          </div>
+          <form onSubmit={handlePublish}>
+            <div className="modal-body">
+              <p className="text-muted mb-3">This will commit and push your changes to the Git repository.</p>
+              {reviewRules?.required && (
+                <div className="alert alert-info py-2 small">
+                  <i className="bi bi-patch-check me-1"></i>
+                  Changed documents{reviewRules.paths.length > 0 ? ` under ${reviewRules.paths.join(', ')}` : ''} need
+                  {' '}{reviewRules.minApprovals} approval{reviewRules.minApprovals === 1 ? '' : 's'} before they can be published.
+                </div>
+              )}
+              {blocked.length > 0 && (
+                <div className="alert alert-warning py-2 small">
+                  <strong>These documents are not approved yet:</strong>
+                  <ul className="mb-0 mt-1">
+                    {blocked.map((item) => (
+                      <li key={item.path}>
+                        {item.path}{' '}
+                        <span className={`badge ${REVIEW_STATES[item.state].badge}`}>{REVIEW_STATES[item.state].label}</span>
+                        {' '}<span className="text-muted">{item.reason}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <div className="mb-3">
+                <label htmlFor="publish-message" className="form-label">Commit Message:</label>
+                <textarea
+                  id="publish-message"
+                  className="form-control"
+                  value={publishMessage}
+                  onChange={(e) => setPublishMessage(e.target.value)}
+                  placeholder="Describe your changes..."
+                  rows="4"
+                  required
+                  disabled={isPublishing}
+                />
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={onClose}
+                disabled={isPublishing}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={!publishMessage.trim() || isPublishing}
+              >
+                {isPublishing && (
+                  <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                )}
+                {getButtonText()}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 export default PublishModal;
\ No newline at end of file
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Review and approval panel for markdown files.
+ *
+ * Shows where a document is in its review lifecycle (draft, in review,
+ * approved, rejected or published), who was asked to review it and the audit
+ * trail of every action. Authors submit the saved document to reviewers, and
+ * assigned reviewers approve or reject it with a comment.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { getReview, updateReview } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+/** @const {Object} Label and badge class of each review state */
+export const REVIEW_STATES = {
+  draft: { label: 'Draft', badge: 'bg-secondary' },
+  in_review: { label: 'In review', badge: 'bg-warning text-dark' },
+  approved: { label: 'Approved', badge: 'bg-success' },
+  rejected: { label: 'Rejected', badge: 'bg-danger' },
+  published: { label: 'Published', badge: 'bg-primary' }
+};
+
+/** @const {Object} Icon of each reviewer decision */
+const DECISION_ICONS = {
+  pending: 'bi-hourglass-split text-muted',
+  approved: 'bi-check-circle-fill text-success',
+  rejected: 'bi-x-circle-fill text-danger'
+};
+
+/**
+ * ReviewPanel component shown as a modal dialog.
+ * @param {Object} props - Component properties.
+ * @param {string} props.fileName - The current file path.
+ * @param {string} props.currentSpace - The current space name.
+ * @param {boolean} props.hasUnsavedChanges - Whether the editor has unsaved changes.
+ * @param {Function} props.onClose - Callback to close the panel.
+ * @return {JSX.Element} The ReviewPanel component.
+ */
+const ReviewPanel = ({ fileName, currentSpace, hasUnsavedChanges, onClose }) => {
+  const { user } = useAuth();
+  const [review, setReview] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [reviewers, setReviewers] = useState('');
+  const [minApprovals, setMinApprovals] = useState(1);
+  const [comment, setComment] = useState('');
+
+  const loadReview = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const data = await getReview(fileName, currentSpace);
+      setReview(data);
+      setMinApprovals(Math.max(data.rules.minApprovals, data.minApprovals || 0));
+      if (data.reviewers.length > 0) {
+        setReviewers(data.reviewers.map(reviewer => reviewer.username).join(', '));
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load the review');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fileName, currentSpace]);
+
+  useEffect(() => {
+    if (fileName && currentSpace) {
+      loadReview();
+    }
+  }, [fileName, currentSpace, loadReview]);
+
+  const runAction = async (action, details, successMessage) => {
+    try {
+      setIsSubmitting(true);
+      const updated = await updateReview(fileName, currentSpace, action, { comment, ...details });
+      toast.success(successMessage);
+      setComment('');
+      setReview({ ...review, ...updated, isCurrent: true });
+    } catch (err) {
+      toast.error(err.response?.data?.error || `Failed to ${action} the review`);
+      if (err.response?.status === 409) {
+        await loadReview();
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmitForReview = (e) => {
+    e.preventDefault();
+    const usernames = reviewers.split(',').map(name => name.trim()).filter(Boolean);
+    runAction('submit', { reviewers: usernames, minApprovals }, 'Submitted for review');
+  };
+
+  const handleReject = () => {
+    if (!comment.trim()) {
+      toast.error('Add a comment explaining what needs to change');
+      return;
+    }
+    runAction('reject', {}, 'Document rejected');
+  };
+
+  const handleWithdraw = () => {
+    if (window.confirm('Withdraw this document from review? Reviewers will no longer be able to approve it.')) {
+      runAction('withdraw', {}, 'Review withdrawn');
+    }
+  };
+
+  const username = user?.username;
+  const myReviewer = review?.reviewers.find(reviewer => reviewer.username === username);
+  const canDecide = review?.state === 'in_review' && myReviewer?.decision === 'pending';
+  const canSubmit = review && review.state !== 'in_review';
+  const isStale = review && review.version && !review.isCurrent && ['in_review', 'approved'].includes(review.state);
+  const stateInfo = review ? REVIEW_STATES[review.state] : null;
+
+  return (
+    <div className="modal fade show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(9, 30, 66, 0.54)' }}>
+      <div className="modal-dialog modal-lg modal-dialog-scrollable">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">
+              <i className="bi bi-patch-check me-2"></i>Review
+              <small className="text-muted ms-2">{fileName}</small>
+            </h5>
+            <button type="button" className="btn-close" onClick={onClose}></button>
+          </div>
+          <div className="modal-body">
+            {isLoading || !review ? (
+              <div className="d-flex justify-content-center align-items-center p-4">
+                <div className="spinner-border text-primary me-2" role="status"></div>
+                <span className="text-muted">Loading review...</span>
+              </div>
+            ) : (
+              <>
+                <div className="d-flex align-items-center mb-3">
+                  <span className={`badge ${stateInfo.badge} me-2`}>{stateInfo.label}</span>
+                  {review.requestedBy && (
+                    <small className="text-muted">
+                      Submitted by {review.requestedBy} on {new Date(review.requestedAt).toLocaleString()}
+                      {' '}· {review.minApprovals} approval{review.minApprovals === 1 ? '' : 's'} required
+                    </small>
+                  )}
+                </div>
+
+                {review.requiresReview && (
+                  <div className="alert alert-info py-2 small">
+                    This document must be approved before it can be published.
+                  </div>
+                )}
+                {isStale && (
+                  <div className="alert alert-warning py-2 small">
+                    The document changed since it was submitted. Submit it again so reviewers see the latest version.
+                  </div>
+                )}
+
+                {review.reviewers.length > 0 && (
+                  <>
+                    <h6>Reviewers</h6>
+                    <ul className="list-group mb-3">
+                      {review.reviewers.map((reviewer) => (
+                        <li key={reviewer.username} className="list-group-item">
+                          <i className={`bi ${DECISION_ICONS[reviewer.decision]} me-2`}></i>
+                          <strong>{reviewer.username}</strong>
+                          <span className="text-muted ms-2 small">{reviewer.decision}</span>
+                          {reviewer.comment && <div className="small mt-1">{reviewer.comment}</div>}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+
+                {canDecide && (
+                  <div className="mb-3">
+                    <label htmlFor="review-comment" className="form-label">Your review</label>
+                    <textarea
+                      id="review-comment"
+                      className="form-control mb-2"
+                      rows="3"
+                      value={comment}
+                      onChange={(e) => setComment(e.target.value)}
+                      placeholder="Comments for the author (required to reject)"
+                      disabled={isSubmitting}
+                    />
+                    <button type="button" className="btn btn-success me-2" onClick={() => runAction('approve', {}, 'Document approved')} disabled={isSubmitting}>
+                      <i className="bi bi-check-lg me-1"></i>Approve
+                    </button>
+                    <button type="button" className="btn btn-outline-danger" onClick={handleReject} disabled={isSubmitting}>
+                      <i className="bi bi-x-lg me-1"></i>Reject
+                    </button>
+                  </div>
+                )}
+
+                {canSubmit && (
+                  <form onSubmit={handleSubmitForReview} className="mb-3">
+                    <h6>{review.state === 'draft' ? 'Submit for review' : 'Submit again'}</h6>
+                    <div className="row g-2 mb-2">
+                      <div className="col-9">
+                        <input
+                          type="text"
+                          className="form-control"
+                          value={reviewers}
+                          onChange={(e) => setReviewers(e.target.value)}
+                          placeholder="Reviewer usernames, separated by commas"
+                          disabled={isSubmitting}
+                          required
+                        />
+                      </div>
+                      <div className="col-3">
+                        <input
+                          type="number"
+                          className="form-control"
+                          min={review.rules.minApprovals}
+                          value={minApprovals}
+                          onChange={(e) => setMinApprovals(parseInt(e.target.value, 10) || review.rules.minApprovals)}
+                          title="Approvals required"
+                          disabled={isSubmitting}
+                        />
+                      </div>
+                    </div>
+                    <textarea
+                      className="form-control mb-2"
+                      rows="2"
+                      value={comment}
+                      onChange={(e) => setComment(e.target.value)}
+                      placeholder="What should reviewers look at?"
+                      disabled={isSubmitting}
+                    />
+                    {hasUnsavedChanges && (
+                      <div className="small text-warning mb-2">Save your changes first; reviewers see the saved document.</div>
+                    )}
+                    <button type="submit" className="btn btn-primary" disabled={isSubmitting || hasUnsavedChanges || !reviewers.trim()}>
+                      <i className="bi bi-send me-1"></i>Submit for review
+                    </button>
+                  </form>
+                )}
+
+                {review.trail.length > 0 && (
+                  <>
+                    <h6>Audit trail</h6>
+                    <ul className="list-unstyled small mb-0">
+                      {[...review.trail].reverse().map((entry, index) => (
+                        <li key={index} className="mb-2">
+                          <span className="text-muted">{new Date(entry.at).toLocaleString()}</span>
+                          {' '}<strong>{entry.actor}</strong> {entry.action}
+                          {entry.from !== entry.to && (
+                            <span className="text-muted"> ({REVIEW_STATES[entry.from].label} → {REVIEW_STATES[entry.to].label})</span>
+                          )}
+                          {entry.comment && <div className="ms-3 fst-italic">{entry.comment}</div>}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+          <div className="modal-footer">
+            {review?.state === 'in_review' && review.requestedBy === username && (
+              <button type="button" className="btn btn-outline-secondary me-auto" onClick={handleWithdraw} disabled={isSubmitting}>
+                Withdraw
+              </button>
+            )}
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewPanel;
@@ -11,6 +11,7 @@
  */
 
 import React from 'react';
+import { formatFrontMatterValue, getStatusBadgeClass } from '../utils/frontMatter';
 
 /**
  * SearchResultsView component for displaying search results.
@@ -87,7 +88,9 @@ const SearchResultsView = ({
             </div>
             <h3 className="h5 text-muted mb-2">No results found</h3>
             <p className="text-muted mb-0">
-              Try adjusting your search terms or check for typos.
+              Try adjusting your search terms or check for typos. Filters such as
+              <code className="mx-1">status:approved</code> or <code className="mx-1">tags:payments</code>
+              only match pages with that front-matter.
             </p>
           </div>
         </div>
@@ -165,7 +168,18 @@ const SearchResultsView = ({
                           </div>
                           <div className="mb-1">
                             <span className="badge bg-success badge-sm">Content Match</span>
+                            {result.frontMatter?.status && (
+                              <span className={`badge badge-sm ms-1 ${getStatusBadgeClass(result.frontMatter.status)}`}>
+                                {formatFrontMatterValue(result.frontMatter.status)}
+                              </span>
+                            )}
                           </div>
+                          {result.frontMatter?.owner && (
+                            <div className="mb-1 text-truncate">
+                              <i className="bi bi-person me-1"></i>
+                              {formatFrontMatterValue(result.frontMatter.owner)}
+                            </div>
+                          )}
                           <div className="search-preview text-truncate" style={{ fontSize: '0.7rem', opacity: '0.8' }}>
                             <div dangerouslySetInnerHTML={{__html: result.preview}}></div>
                           </div>
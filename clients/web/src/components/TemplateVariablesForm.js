@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Prompt for the variables of a template.
+ *
+ * This component renders one input per template variable: a text field or
+ * text area for text, a drop-down for select, a date picker for date and a
+ * picker of the space members for user variables. Templates that only hold a
+ * map of default values get a text field per value.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect } from 'react';
+import { fetchSpaceMembers } from '../services/api';
+
+/**
+ * Returns the variables of a template as a list of typed definitions.
+ * @param {Array|Object} variables - The `variables` of a template.
+ * @return {Array<Object>} Variable definitions.
+ */
+export const normalizeTemplateVariables = (variables) => {
+  if (Array.isArray(variables)) {
+    return variables.map(variable => ({ type: 'text', label: variable.name, ...variable }));
+  }
+  if (variables && typeof variables === 'object') {
+    return Object.entries(variables).map(([name, value]) => ({
+      name,
+      label: name,
+      type: 'text',
+      default: value === undefined || value === null ? '' : String(value)
+    }));
+  }
+  return [];
+};
+
+/**
+ * Builds the starting values of a template's variables from their defaults.
+ * @param {Array|Object} variables - The `variables` of a template.
+ * @return {Object} Values by variable name.
+ */
+export const getInitialTemplateValues = (variables) => {
+  const today = new Date();
+  const todayString = [
+    today.getFullYear(),
+    String(today.getMonth() + 1).padStart(2, '0'),
+    String(today.getDate()).padStart(2, '0')
+  ].join('-');
+
+  return normalizeTemplateVariables(variables).reduce((values, variable) => {
+    let value = variable.default;
+    if (variable.type === 'date' && value === 'today') {
+      value = todayString;
+    }
+    if (variable.multiple) {
+      values[variable.name] = value === undefined ? [] : [].concat(value);
+    } else {
+      values[variable.name] = value === undefined ? '' : value;
+    }
+    return values;
+  }, {});
+};
+
+/**
+ * TemplateVariablesForm component prompting for template variable values.
+ * @param {Object} props - Component properties.
+ * @param {Array|Object} props.variables - The `variables` of the template.
+ * @param {Object} props.values - Current values by variable name.
+ * @param {Function} props.onChange - Called with the updated values.
+ * @param {string} props.currentSpace - Space whose members the user pickers offer.
+ * @param {Object} [props.errors] - Messages by variable name from the server.
+ * @param {boolean} [props.disabled] - Whether the inputs are disabled.
+ * @return {JSX.Element|null} The form fields, or null for a template without variables.
+ */
+const TemplateVariablesForm = ({ variables, values, onChange, currentSpace, errors = {}, disabled = false }) => {
+  const definitions = normalizeTemplateVariables(variables);
+  const needsMembers = definitions.some(variable => variable.type === 'user');
+  const [members, setMembers] = useState([]);
+
+  useEffect(() => {
+    if (!needsMembers || !currentSpace) return;
+    let cancelled = false;
+    fetchSpaceMembers(currentSpace)
+      .then(list => { if (!cancelled) setMembers(list || []); })
+      .catch(() => { if (!cancelled) setMembers([]); });
+    return () => { cancelled = true; };
+  }, [needsMembers, currentSpace]);
+
+  if (definitions.length === 0) {
+    return null;
+  }
+
+  const setValue = (name, value) => {
+    onChange({ ...values, [name]: value });
+  };
+
+  const selectedOptions = (e) => Array.from(e.target.selectedOptions, option => option.value);
+
+  const renderInput = (variable, id) => {
+    const value = values[variable.name] !== undefined ? values[variable.name] : (variable.multiple ? [] : '');
+
+    switch (variable.type) {
+      case 'select':
+        return (
+          <select
+            id={id}
+            className="form-select"
+            multiple={Boolean(variable.multiple)}
+            value={value}
+            onChange={(e) => setValue(variable.name, variable.multiple ? selectedOptions(e) : e.target.value)}
+            disabled={disabled}
+          >
+            {!variable.multiple && <option value="">Choose...</option>}
+            {(variable.options || []).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      case 'date':
+        return (
+          <input
+            id={id}
+            type="date"
+            className="form-control"
+            value={value}
+            onChange={(e) => setValue(variable.name, e.target.value)}
+            disabled={disabled}
+          />
+        );
+      case 'user':
+        return (
+          <select
+            id={id}
+            className="form-select"
+            multiple={Boolean(variable.multiple)}
+            value={value}
+            onChange={(e) => setValue(variable.name, variable.multiple ? selectedOptions(e) : e.target.value)}
+            disabled={disabled}
+          >
+            {!variable.multiple && <option value="">Choose a user...</option>}
+            <option value="current">Me</option>
+            {members.map(member => (
+              <option key={member.username} value={member.username}>{member.username}</option>
+            ))}
+          </select>
+        );
+      default:
+        return variable.multiline ? (
+          <textarea
+            id={id}
+            className="form-control"
+            rows={3}
+            value={value}
+            onChange={(e) => setValue(variable.name, e.target.value)}
+            disabled={disabled}
+          />
+        ) : (
+          <input
+            id={id}
+            type="text"
+            className="form-control"
+            value={value}
+            onChange={(e) => setValue(variable.name, e.target.value)}
+            disabled={disabled}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="template-variables-form">
+      {definitions.map(variable => {
+        const id = `template-variable-${variable.name}`;
+        return (
+          <div className="mb-3" key={variable.name}>
+            <label htmlFor={id} className="form-label">
+              {variable.label || variable.name}
+              {variable.required && <span className="text-danger"> *</span>}
+            </label>
+            {renderInput(variable, id)}
+            {errors[variable.name] ? (
+              <div className="form-text text-danger">{errors[variable.name]}</div>
+            ) : variable.description ? (
+              <div className="form-text">{variable.description}</div>
+            ) : variable.multiple ? (
+              <div className="form-text">Hold Ctrl or Cmd to choose several.</div>
+            ) : null}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TemplateVariablesForm;
@@ -2,7 +2,8 @@
  * @fileoverview Templates list component for the main content area.
  * 
  * This component displays all templates in a card-based layout similar to the UI mockup.
- * Users can view, edit, create, and delete templates from this interface.
+ * Users can view, edit, create, and delete templates from this interface, and
+ * use a template, filling in its variables, to create a page or folder scaffold.
  * 
  * @author Design Artifacts Team
  * @version 1.0.0
@@ -11,6 +12,8 @@
 
 import { useState } from 'react';
 import { toast } from 'react-toastify';
+import { createFileFromTemplate } from '../services/api';
+import TemplateVariablesForm, { getInitialTemplateValues } from './TemplateVariablesForm';
 
 /**
  * TemplatesList component for displaying and managing templates in the main content area.
@@ -20,6 +23,9 @@ import { toast } from 'react-toastify';
  * @param {Function} props.onTemplateCreate - Callback when template is created.
  * @param {Function} props.onTemplateDelete - Callback when template is deleted.
  * @param {Function} props.onTemplateSelect - Callback when template is selected for editing.
+ * @param {string} props.currentSpace - Space the templates belong to.
+ * @param {Function} props.onCreatedFromTemplate - Callback with the server response
+ *   when a page or folder is created from a template.
  * @param {boolean} props.isLoading - Loading state.
  * @return {JSX.Element} The TemplatesList component.
  */
@@ -29,6 +35,8 @@ const TemplatesList = ({
   onTemplateCreate,
   onTemplateDelete,
   onTemplateSelect,
+  currentSpace,
+  onCreatedFromTemplate,
   isLoading
 }) => {
   // Ensure templates is always an array
@@ -41,7 +49,63 @@ const TemplatesList = ({
   const [templateDescription, setTemplateDescription] = useState('');
   const [templateTags, setTemplateTags] = useState('');
   const [templateVariables, setTemplateVariables] = useState('{}');
+  const [templateSchema, setTemplateSchema] = useState('');
+  const [templateFiles, setTemplateFiles] = useState('');
   const [highlightedTemplate, setHighlightedTemplate] = useState(null);
+  const [usingTemplate, setUsingTemplate] = useState(null);
+  const [targetPath, setTargetPath] = useState('');
+  const [variableValues, setVariableValues] = useState({});
+  const [variableErrors, setVariableErrors] = useState({});
+  const [isCreatingFromTemplate, setIsCreatingFromTemplate] = useState(false);
+
+  const isScaffoldTemplate = (template) => Boolean(template && Array.isArray(template.files) && template.files.length > 0);
+
+  /**
+   * Reads the front-matter schema field; an empty field means no schema.
+   * @return {Object|null|undefined} The schema, null for none, or undefined when the JSON is invalid.
+   */
+  const parseTemplateSchema = () => {
+    if (!templateSchema.trim()) {
+      return null;
+    }
+    try {
+      return JSON.parse(templateSchema);
+    } catch (error) {
+      toast.error('Invalid JSON format for front-matter schema');
+      return undefined;
+    }
+  };
+
+  /**
+   * Reads the scaffold files field; an empty field makes a single page template.
+   * @return {Array|null|undefined} The files, null for none, or undefined when the JSON is invalid.
+   */
+  const parseTemplateFiles = () => {
+    if (!templateFiles.trim()) {
+      return null;
+    }
+    try {
+      const files = JSON.parse(templateFiles);
+      if (!Array.isArray(files)) {
+        toast.error('Scaffold files must be a JSON list of { "path", "content" } entries');
+        return undefined;
+      }
+      return files;
+    } catch (error) {
+      toast.error('Invalid JSON format for scaffold files');
+      return undefined;
+    }
+  };
+
+  /**
+   * Reports a failed save, listing the problems the server found in the template.
+   * @param {Error} error - The save error.
+   * @param {string} message - The message for other failures.
+   */
+  const reportSaveError = (error, message) => {
+    const problems = error.response?.data?.problems;
+    toast.error(problems ? `${error.response.data.error}: ${problems.join('; ')}` : message);
+  };
 
   const handleCreateTemplate = async (e) => {
     e.preventDefault();
@@ -61,13 +125,20 @@ const TemplatesList = ({
           return;
         }
       }
+      const schema = parseTemplateSchema();
+      const files = parseTemplateFiles();
+      if (schema === undefined || files === undefined) {
+        return;
+      }
 
       const newTemplate = {
         name: templateName.trim(),
         content: templateContent,
         description: templateDescription.trim(),
         tags: templateTags.trim(),
-        variables: variables
+        variables: variables,
+        ...(files ? { files } : {}),
+        ...(schema ? { schema } : {})
       };
       
       await onTemplateCreate(newTemplate);
@@ -80,7 +151,7 @@ const TemplatesList = ({
       // Remove highlight after 3 seconds
       setTimeout(() => setHighlightedTemplate(null), 3000);
     } catch (error) {
-      toast.error('Failed to create template');
+      reportSaveError(error, 'Failed to create template');
     }
   };
 
@@ -102,12 +173,19 @@ const TemplatesList = ({
           return;
         }
       }
+      const schema = parseTemplateSchema();
+      const files = parseTemplateFiles();
+      if (schema === undefined || files === undefined) {
+        return;
+      }
 
       await onTemplateEdit(editingTemplate.name, {
         name: templateName.trim(),
         content: templateContent,
         description: templateDescription.trim(),
-        variables: variables
+        variables: variables,
+        files,
+        schema
       });
       
       setShowEditModal(false);
@@ -115,7 +193,7 @@ const TemplatesList = ({
       resetForm();
       toast.success('Template updated successfully');
     } catch (error) {
-      toast.error('Failed to update template');
+      reportSaveError(error, 'Failed to update template');
     }
   };
 
@@ -136,15 +214,67 @@ const TemplatesList = ({
     setTemplateContent(template.content || '');
     setTemplateDescription(template.description || '');
     setTemplateVariables(JSON.stringify(template.variables || {}, null, 2));
+    setTemplateSchema(template.schema ? JSON.stringify(template.schema, null, 2) : '');
+    setTemplateFiles(isScaffoldTemplate(template) ? JSON.stringify(template.files, null, 2) : '');
     setShowEditModal(true);
   };
 
+  const openUseModal = (template) => {
+    setUsingTemplate(template);
+    setTargetPath('');
+    setVariableValues(getInitialTemplateValues(template.variables));
+    setVariableErrors({});
+  };
+
+  const closeUseModal = () => {
+    setUsingTemplate(null);
+    setVariableValues({});
+    setVariableErrors({});
+  };
+
+  const handleUseTemplate = async (e) => {
+    e.preventDefault();
+    const scaffold = isScaffoldTemplate(usingTemplate);
+    let path = targetPath.trim();
+    if (!path) {
+      toast.error(scaffold ? 'Folder path is required' : 'File path is required');
+      return;
+    }
+    if (!scaffold && !path.endsWith('.md')) {
+      path = `${path}.md`;
+    }
+
+    try {
+      setIsCreatingFromTemplate(true);
+      const result = await createFileFromTemplate(usingTemplate.name, path, variableValues, currentSpace);
+      toast.success(scaffold ? `Created ${result.files.length} files in ${result.path}` : `File created successfully: ${result.path}`);
+      closeUseModal();
+      if (onCreatedFromTemplate) {
+        await onCreatedFromTemplate(result);
+      }
+    } catch (error) {
+      const data = error.response?.data;
+      if (data?.validationErrors && error.response.status === 400) {
+        setVariableErrors(Object.fromEntries(data.validationErrors.map(failure => [failure.variable, failure.message])));
+        toast.error('Please check the template values');
+      } else if (error.response?.status === 409) {
+        toast.error(`${data.path || path} already exists. Please choose a different path.`);
+      } else {
+        toast.error(`Failed to create file: ${data?.error || error.message}`);
+      }
+    } finally {
+      setIsCreatingFromTemplate(false);
+    }
+  };
+
   const resetForm = () => {
     setTemplateName('');
     setTemplateContent('');
     setTemplateDescription('');
     setTemplateTags('');
     setTemplateVariables('{}');
+    setTemplateSchema('');
+    setTemplateFiles('');
   };
 
   const closeModals = () => {
@@ -306,10 +436,40 @@ const TemplatesList = ({
                   className="form-control font-monospace"
                   value={templateVariables}
                   onChange={(e) => setTemplateVariables(e.target.value)}
-                  placeholder='{"variable1": "default value", "variable2": "another value"}'
+                  placeholder='[{"name": "title", "type": "text", "required": true}, {"name": "status", "type": "select", "options": ["proposed", "accepted"]}]'
+                  rows={4}
+                />
+                <div className="form-text">
+                  A list of variables to prompt for, each with a <code>name</code>, <code>label</code> and <code>type</code> of text, select, date or user.
+                  Use them in the content as <code>{'{{ title }}'}</code>, with filters such as <code>{'{{ title | slug }}'}</code>,
+                  and in <code>{'{% if %}'}</code> and <code>{'{% for %}'}</code> blocks.
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label htmlFor="template-files" className="form-label">Scaffold files (JSON, optional):</label>
+                <textarea
+                  id="template-files"
+                  className="form-control font-monospace"
+                  value={templateFiles}
+                  onChange={(e) => setTemplateFiles(e.target.value)}
+                  placeholder='[{"path": "README.md", "content": "# {{ title }}"}, {"path": "diagrams/context.mmd", "content": "graph TD"}]'
+                  rows={4}
+                />
+                <div className="form-text">Files the template creates in a new folder, instead of a single page. Paths and content may use variables.</div>
+              </div>
+
+              <div className="mb-4">
+                <label htmlFor="template-schema" className="form-label">Front-matter schema (JSON Schema, optional):</label>
+                <textarea
+                  id="template-schema"
+                  className="form-control font-monospace"
+                  value={templateSchema}
+                  onChange={(e) => setTemplateSchema(e.target.value)}
+                  placeholder='{"type": "object", "required": ["owner", "status"], "properties": {"status": {"enum": ["draft", "approved"]}}}'
                   rows={4}
                 />
-                <div className="form-text">Define default values for template variables in JSON format.</div>
+                <div className="form-text">Pages with <code>template: name</code> in their front-matter must match this schema to be saved.</div>
               </div>
               
               <div className="d-flex gap-2">
@@ -360,7 +520,17 @@ const TemplatesList = ({
                         )}
                       </div>
                     </div>
-                    <div className="position-absolute" style={{ top: '0.5rem', right: '0.5rem', zIndex: 10 }}>
+                    <div className="position-absolute d-flex gap-1" style={{ top: '0.5rem', right: '0.5rem', zIndex: 10 }}>
+                      <button
+                        className="btn btn-outline-success btn-sm"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          openUseModal(template);
+                        }}
+                        title={isScaffoldTemplate(template) ? 'Create Folder from Template' : 'Create Page from Template'}
+                      >
+                        <i className="bi bi-file-earmark-plus"></i>
+                      </button>
                       <button
                         className="btn btn-outline-primary btn-sm"
                         onClick={(e) => {
@@ -442,10 +612,34 @@ const TemplatesList = ({
                       className="form-control font-monospace"
                       value={templateVariables}
                       onChange={(e) => setTemplateVariables(e.target.value)}
-                      placeholder='{"variable1": "default value", "variable2": "another value"}'
+                      placeholder='[{"name": "title", "type": "text", "required": true}]'
+                      rows={4}
+                    />
+                    <div className="form-text">A list of variables with a name, label and type of text, select, date or user.</div>
+                  </div>
+
+                  <div className="mb-3">
+                    <label htmlFor="edit-template-files" className="form-label">Scaffold files (JSON, optional):</label>
+                    <textarea
+                      id="edit-template-files"
+                      className="form-control font-monospace"
+                      value={templateFiles}
+                      onChange={(e) => setTemplateFiles(e.target.value)}
+                      rows={4}
+                    />
+                    <div className="form-text">Files the template creates in a new folder, instead of a single page.</div>
+                  </div>
+
+                  <div className="mb-3">
+                    <label htmlFor="edit-template-schema" className="form-label">Front-matter schema (JSON Schema, optional):</label>
+                    <textarea
+                      id="edit-template-schema"
+                      className="form-control font-monospace"
+                      value={templateSchema}
+                      onChange={(e) => setTemplateSchema(e.target.value)}
                       rows={4}
                     />
-                    <div className="form-text">Define default values for template variables in JSON format.</div>
+                    <div className="form-text">Pages with <code>template: {templateName || 'name'}</code> in their front-matter must match this schema to be saved.</div>
                   </div>
                 </div>
                 
@@ -463,6 +657,67 @@ const TemplatesList = ({
         </div>
       )}
 
+      {/* Use Template Modal */}
+      {usingTemplate && (
+        <div
+          className="modal fade show"
+          style={{ display: 'block' }}
+          tabIndex="-1"
+          onClick={closeUseModal}
+        >
+          <div className="modal-dialog modal-lg modal-dialog-centered" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">
+                  {isScaffoldTemplate(usingTemplate) ? 'Create Folder' : 'Create Page'} from {usingTemplate.name}
+                </h5>
+                <button type="button" className="btn-close" onClick={closeUseModal} aria-label="Close"></button>
+              </div>
+              <form onSubmit={handleUseTemplate}>
+                <div className="modal-body">
+                  <div className="mb-3">
+                    <label htmlFor="use-template-path" className="form-label">
+                      {isScaffoldTemplate(usingTemplate) ? 'Folder path' : 'File path'} <span className="text-danger">*</span>
+                    </label>
+                    <input
+                      id="use-template-path"
+                      type="text"
+                      className="form-control"
+                      value={targetPath}
+                      onChange={(e) => setTargetPath(e.target.value)}
+                      placeholder={isScaffoldTemplate(usingTemplate) ? 'decisions/adr-001' : 'notes/my-document.md'}
+                      autoFocus
+                      disabled={isCreatingFromTemplate}
+                    />
+                    {isScaffoldTemplate(usingTemplate) && (
+                      <div className="form-text">
+                        Creates {usingTemplate.files.map(file => file.path).join(', ')}
+                      </div>
+                    )}
+                  </div>
+                  <TemplateVariablesForm
+                    variables={usingTemplate.variables}
+                    values={variableValues}
+                    onChange={setVariableValues}
+                    currentSpace={currentSpace}
+                    errors={variableErrors}
+                    disabled={isCreatingFromTemplate}
+                  />
+                </div>
+                <div className="modal-footer">
+                  <button type="button" className="btn btn-secondary" onClick={closeUseModal} disabled={isCreatingFromTemplate}>
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn btn-primary" disabled={isCreatingFromTemplate}>
+                    {isCreatingFromTemplate ? 'Creating...' : 'Create'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+
     </div>
   );
 };
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Trash view component for Architecture Artifacts.
+ *
+ * This component lists the files and folders deleted in the current space,
+ * with their original path, who deleted them and when they are purged. Items
+ * can be restored to where they were, or to another path when that one is
+ * taken, and purged one by one or all at once.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { getTrash, restoreTrashItem, purgeTrashItem, emptyTrash } from '../services/api';
+
+/**
+ * TrashView component for restoring and purging deleted items.
+ * @param {Object} props - Component properties.
+ * @param {string} props.currentSpace - The space whose trash is shown.
+ * @param {boolean} props.isVisible - Whether the component is currently visible.
+ * @param {Function} props.onItemRestored - Callback with the restored path, to reload the file tree.
+ * @return {JSX.Element} The TrashView component.
+ */
+const TrashView = ({ currentSpace, isVisible, onItemRestored }) => {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [busyItemId, setBusyItemId] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    if (!currentSpace) return;
+    try {
+      setIsLoading(true);
+      setError(null);
+      const data = await getTrash(currentSpace);
+      setItems(data.items || []);
+      setRetentionDays(data.retentionDays);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load the trash');
+      setItems([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentSpace]);
+
+  useEffect(() => {
+    if (isVisible) {
+      loadTrash();
+    }
+  }, [isVisible, loadTrash]);
+
+  const handleRestore = async (item) => {
+    setBusyItemId(item.id);
+    try {
+      let result;
+      try {
+        result = await restoreTrashItem(item.id, currentSpace);
+      } catch (error) {
+        if (error.response?.status !== 409) throw error;
+        const newPath = window.prompt(`${item.path} already exists. Restore the ${item.type} to:`, item.path);
+        if (!newPath) return;
+        result = await restoreTrashItem(item.id, currentSpace, newPath);
+      }
+      toast.success(`Restored ${result.path}`);
+      setItems(current => current.filter(candidate => candidate.id !== item.id));
+      if (onItemRestored) {
+        onItemRestored(result.path);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore item');
+    } finally {
+      setBusyItemId(null);
+    }
+  };
+
+  const handlePurge = async (item) => {
+    if (!window.confirm(`Delete ${item.path} for good? This action cannot be undone.`)) return;
+    setBusyItemId(item.id);
+    try {
+      await purgeTrashItem(item.id, currentSpace);
+      setItems(current => current.filter(candidate => candidate.id !== item.id));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete item');
+    } finally {
+      setBusyItemId(null);
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm('Delete every item in the trash for good? This action cannot be undone.')) return;
+    try {
+      const result = await emptyTrash(currentSpace);
+      toast.success(`Deleted ${result.purged} item${result.purged !== 1 ? 's' : ''} for good`);
+      setItems([]);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to empty the trash');
+    }
+  };
+
+  const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  if (isLoading) {
+    return (
+      <div className="trash-view p-4 confluence-bg">
+        <div className="d-flex justify-content-center align-items-center" style={{ minHeight: '200px' }}>
+          <div className="spinner-border text-primary me-2" role="status"></div>
+          <span className="text-muted">Loading trash...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="trash-view p-4 confluence-bg">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h2 className="h4 text-confluence-text mb-1">Trash</h2>
+          <p className="text-muted mb-0">
+            Deleted files and folders in {currentSpace}
+            {retentionDays ? ` are kept for ${retentionDays} days` : ''}
+          </p>
+        </div>
+        {items.length > 0 && (
+          <button className="btn btn-outline-danger btn-sm" onClick={handleEmptyTrash}>
+            <i className="bi bi-trash3 me-1"></i>
+            Empty Trash
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="alert alert-danger d-flex align-items-center mb-4">
+          <i className="bi bi-exclamation-triangle-fill me-2"></i>
+          <span>{error}</span>
+          <button
+            className="btn btn-outline-danger btn-sm ms-auto"
+            onClick={loadTrash}
+          >
+            <i className="bi bi-arrow-clockwise me-1"></i>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {items.length === 0 && !error ? (
+        <div className="card shadow-sm border-0 home-section-card">
+          <div className="card-body p-4 text-center py-5">
+            <div className="mb-3">
+              <i className="bi bi-trash text-muted" style={{ fontSize: '3rem' }}></i>
+            </div>
+            <h3 className="h5 text-muted mb-2">The trash is empty</h3>
+            <p className="text-muted mb-0">Files and folders you delete in this space appear here.</p>
+          </div>
+        </div>
+      ) : items.length > 0 && (
+        <div className="card shadow-sm border-0 home-section-card">
+          <div className="table-responsive">
+            <table className="table table-hover align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Original location</th>
+                  <th>Deleted</th>
+                  <th>Purged</th>
+                  <th className="text-end">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map(item => (
+                  <tr key={item.id}>
+                    <td>
+                      <i className={`bi ${item.type === 'folder' ? 'bi-folder' : 'bi-file-earmark-text'} text-primary me-2`}></i>
+                      <span className="text-confluence-text">{item.name}</span>
+                      <div className="small text-muted">
+                        {item.type === 'folder' ? `${item.files} file${item.files !== 1 ? 's' : ''}, ` : ''}
+                        {formatSize(item.size)}
+                      </div>
+                    </td>
+                    <td className="small text-muted">
+                      {item.path.includes('/') ? item.path.substring(0, item.path.lastIndexOf('/')) : 'Root'}
+                    </td>
+                    <td className="small text-muted">
+                      {new Date(item.deletedAt).toLocaleString()}
+                      <div>by {item.deletedBy}</div>
+                    </td>
+                    <td className="small text-muted">{new Date(item.expiresAt).toLocaleDateString()}</td>
+                    <td className="text-end text-nowrap">
+                      <button
+                        className="btn btn-outline-primary btn-sm me-2"
+                        onClick={() => handleRestore(item)}
+                        disabled={busyItemId === item.id}
+                      >
+                        <i className="bi bi-arrow-counterclockwise me-1"></i>
+                        Restore
+                      </button>
+                      <button
+                        className="btn btn-outline-danger btn-sm"
+                        onClick={() => handlePurge(item)}
+                        disabled={busyItemId === item.id}
+                        title="Delete for good"
+                      >
+                        <i className="bi bi-x-lg"></i>
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(TrashView);
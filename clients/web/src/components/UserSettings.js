@@ -5,6 +5,7 @@
  * - Change their password with validation
  * - Select/unselect available public spaces
  * - Automatically includes Personal space
+ * - Generate API keys limited to chosen spaces, access, expiry and IPs
  * 
  * @author Design Artifacts Team
  * @version 1.0.0
@@ -16,6 +17,46 @@ import './UserSettings.css';
 import { toast } from 'react-toastify';
 import { fetchUserSpaces, fetchAllSpaces, updateUserSettings, getApiKeys, generateApiKey, updateApiKey, revokeApiKey } from '../services/api';
 
+const EMPTY_API_KEY_FORM = {
+  name: '',
+  description: '',
+  allSpaces: false,
+  spaces: [],
+  access: 'read',
+  expiresInDays: '90',
+  allowedIps: ''
+};
+
+const EXPIRY_OPTIONS = [
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' }
+];
+
+/**
+ * Describes the scope of an API key for the key list.
+ * @param {Object} scope - Scope from the API keys API.
+ * @return {Array<string>} Short descriptions.
+ */
+const describeScope = (scope) => {
+  if (!scope || scope.access === 'full') {
+    return ['Full access (created before scopes)'];
+  }
+  const parts = [
+    scope.access === 'write' ? 'Read-write' : 'Read-only',
+    scope.spaces ? `Spaces: ${scope.spaces.join(', ')}` : 'All spaces'
+  ];
+  if (scope.expiresAt) {
+    parts.push(`${scope.expired ? 'Expired' : 'Expires'} ${new Date(scope.expiresAt).toLocaleDateString()}`);
+  }
+  if (scope.allowedIps && scope.allowedIps.length > 0) {
+    parts.push(`IPs: ${scope.allowedIps.join(', ')}`);
+  }
+  return parts;
+};
+
 /**
  * UserSettings component for managing user password and space access.
  * @param {Object} props - Component properties.
@@ -38,7 +79,8 @@ const UserSettings = ({ user, onSettingsUpdate, onCancel }) => {
   const [apiKeys, setApiKeys] = useState([]);
   const [isLoadingApiKeys, setIsLoadingApiKeys] = useState(true);
   const [showApiKeyForm, setShowApiKeyForm] = useState(false);
-  const [apiKeyForm, setApiKeyForm] = useState({ name: '', description: '' });
+  const [apiKeyForm, setApiKeyForm] = useState(EMPTY_API_KEY_FORM);
+  const [keySpaceOptions, setKeySpaceOptions] = useState([]);
   const [editingApiKey, setEditingApiKey] = useState(null);
   const [newlyGeneratedKey, setNewlyGeneratedKey] = useState(null);
 
@@ -46,6 +88,9 @@ const UserSettings = ({ user, onSettingsUpdate, onCancel }) => {
   useEffect(() => {
     loadAvailableSpaces();
     loadApiKeys();
+    fetchUserSpaces()
+      .then(spaces => setKeySpaceOptions(spaces.map(space => space.space)))
+      .catch(error => console.error('Failed to load spaces for API keys:', error));
   }, []);
 
   const loadAvailableSpaces = async () => {
@@ -92,14 +137,23 @@ const UserSettings = ({ user, onSettingsUpdate, onCancel }) => {
       return;
     }
 
+    if (!apiKeyForm.allSpaces && apiKeyForm.spaces.length === 0) {
+      toast.error('Choose the spaces the API key can access');
+      return;
+    }
+
     try {
       const response = await generateApiKey({
         name: apiKeyForm.name.trim(),
-        description: apiKeyForm.description.trim()
+        description: apiKeyForm.description.trim(),
+        spaces: apiKeyForm.allSpaces ? null : apiKeyForm.spaces,
+        access: apiKeyForm.access,
+        expiresInDays: apiKeyForm.expiresInDays || null,
+        allowedIps: apiKeyForm.allowedIps
       });
       
       setNewlyGeneratedKey(response.apiKey);
-      setApiKeyForm({ name: '', description: '' });
+      setApiKeyForm(EMPTY_API_KEY_FORM);
       setShowApiKeyForm(false);
       await loadApiKeys(); // Reload the list
       toast.success('API key generated successfully');
@@ -385,7 +439,8 @@ const UserSettings = ({ user, onSettingsUpdate, onCancel }) => {
                 </button>
               </div>
               <p className="text-muted small mb-3">
-                Generate API keys for external applications and services to access your personal space.
+                Generate API keys for external applications and services such as CI jobs and the watcher client.
+                Limit each key to the spaces and access it needs; every use of a key is logged.
               </p>
 
               {/* Newly Generated Key Alert */}
@@ -460,6 +515,11 @@ const UserSettings = ({ user, onSettingsUpdate, onCancel }) => {
                           />
                         </div>
                       </div>
+                      <ApiKeyScopeFields
+                        form={apiKeyForm}
+                        spaceOptions={keySpaceOptions}
+                        onChange={(changes) => setApiKeyForm(prev => ({ ...prev, ...changes }))}
+                      />
                       <div className="d-flex gap-2">
                         <button type="button" className="btn btn-primary" onClick={handleGenerateApiKey}>
                           <i className="bi bi-key me-2"></i>
@@ -470,7 +530,7 @@ const UserSettings = ({ user, onSettingsUpdate, onCancel }) => {
                           className="btn btn-secondary"
                           onClick={() => {
                             setShowApiKeyForm(false);
-                            setApiKeyForm({ name: '', description: '' });
+                            setApiKeyForm(EMPTY_API_KEY_FORM);
                           }}
                         >
                           Cancel
@@ -525,6 +585,16 @@ const UserSettings = ({ user, onSettingsUpdate, onCancel }) => {
                                     </span>
                                   )}
                                 </div>
+                                <div className="d-flex flex-wrap gap-1 mt-2">
+                                  {describeScope(key.scope).map((part) => (
+                                    <span
+                                      key={part}
+                                      className={`badge ${key.scope?.expired ? 'bg-danger' : 'bg-secondary'} bg-opacity-75`}
+                                    >
+                                      {part}
+                                    </span>
+                                  ))}
+                                </div>
                               </div>
                               <div className="d-flex gap-2">
                                 <button 
@@ -586,6 +656,90 @@ const UserSettings = ({ user, onSettingsUpdate, onCancel }) => {
   );
 };
 
+// Helper component for choosing the scope of a new API key
+const ApiKeyScopeFields = ({ form, spaceOptions, onChange }) => {
+  const toggleSpace = (space) => {
+    onChange({
+      spaces: form.spaces.includes(space)
+        ? form.spaces.filter(name => name !== space)
+        : [...form.spaces, space]
+    });
+  };
+
+  return (
+    <div className="row">
+      <div className="col-md-6 mb-3">
+        <label className="form-label">Spaces*</label>
+        <div className="form-check">
+          <input
+            id="api-key-all-spaces"
+            type="checkbox"
+            className="form-check-input"
+            checked={form.allSpaces}
+            onChange={(e) => onChange({ allSpaces: e.target.checked })}
+          />
+          <label htmlFor="api-key-all-spaces" className="form-check-label">All my spaces</label>
+        </div>
+        {!form.allSpaces && spaceOptions.map((space) => (
+          <div key={space} className="form-check">
+            <input
+              id={`api-key-space-${space}`}
+              type="checkbox"
+              className="form-check-input"
+              checked={form.spaces.includes(space)}
+              onChange={() => toggleSpace(space)}
+            />
+            <label htmlFor={`api-key-space-${space}`} className="form-check-label">{space}</label>
+          </div>
+        ))}
+      </div>
+      <div className="col-md-6 mb-3">
+        <label className="form-label">Access</label>
+        <div className="form-check">
+          <input
+            id="api-key-access-read"
+            type="radio"
+            className="form-check-input"
+            checked={form.access === 'read'}
+            onChange={() => onChange({ access: 'read' })}
+          />
+          <label htmlFor="api-key-access-read" className="form-check-label">Read-only</label>
+        </div>
+        <div className="form-check mb-3">
+          <input
+            id="api-key-access-write"
+            type="radio"
+            className="form-check-input"
+            checked={form.access === 'write'}
+            onChange={() => onChange({ access: 'write' })}
+          />
+          <label htmlFor="api-key-access-write" className="form-check-label">Read-write</label>
+        </div>
+        <label htmlFor="api-key-expiry" className="form-label">Expires after</label>
+        <select
+          id="api-key-expiry"
+          className="form-select mb-3"
+          value={form.expiresInDays}
+          onChange={(e) => onChange({ expiresInDays: e.target.value })}
+        >
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.label} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label htmlFor="api-key-allowed-ips" className="form-label">Allowed IP addresses</label>
+        <input
+          id="api-key-allowed-ips"
+          type="text"
+          className="form-control"
+          value={form.allowedIps}
+          onChange={(e) => onChange({ allowedIps: e.target.value })}
+          placeholder="Optional, e.g. 10.0.0.0/8, 192.168.1.20"
+        />
+      </div>
+    </div>
+  );
+};
+
 // Helper component for editing API keys
 const EditApiKeyForm = ({ apiKey, onSave, onCancel }) => {
   const [name, setName] = useState(apiKey.name);
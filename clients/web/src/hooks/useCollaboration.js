@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Custom hook for real-time collaborative editing.
+ * Joins the open document on the collaboration server, sends local edits and
+ * reports remote edits, participants and save state.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  CollaborationClient,
+  applyOperation,
+  diffOperation,
+  transformOperation
+} from '../services/collaboration';
+
+/**
+ * Custom hook for collaborating on a Markdown document
+ * @param {Object} options - Hook options.
+ * @param {boolean} options.enabled - Whether the document can be edited collaboratively.
+ * @param {string} options.space - The space name.
+ * @param {string} options.filePath - The file path within the space.
+ * @param {string} options.content - The full text shown in the editor.
+ * @param {Function} options.onRemoteContent - Called with (text, operation, username) when the text changed remotely.
+ * @param {Function} [options.onSaved] - Called when the server saved every local edit.
+ * @param {Function} [options.onClosed] - Called with the reason when the document was deleted or renamed.
+ * @param {Function} [options.onSaveRefused] - Called with the server message when a schema or a plugin refused to save the text.
+ */
+export function useCollaboration({ enabled, space, filePath, content, onRemoteContent, onSaved, onClosed, onSaveRefused }) {
+  const [status, setStatus] = useState('offline');
+  const [canEdit, setCanEdit] = useState(false);
+  const [participants, setParticipants] = useState([]);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const clientRef = useRef(null);
+  const viewTextRef = useRef(null);
+  const callbacksRef = useRef({ onRemoteContent, onSaved, onClosed, onSaveRefused });
+  callbacksRef.current = { onRemoteContent, onSaved, onClosed, onSaveRefused };
+
+  useEffect(() => {
+    if (!enabled || !space || !filePath) {
+      return undefined;
+    }
+
+    const client = new CollaborationClient({
+      space,
+      path: filePath,
+      onText: (text, operation, username) => {
+        viewTextRef.current = text;
+        callbacksRef.current.onRemoteContent(text, operation, username);
+      },
+      onStatus: (nextStatus, nextCanEdit) => {
+        setStatus(nextStatus);
+        setCanEdit(nextCanEdit);
+      },
+      onPresence: setParticipants,
+      onSaved: (savedAt, synchronized) => {
+        setLastSavedAt(savedAt);
+        if (synchronized && callbacksRef.current.onSaved) {
+          callbacksRef.current.onSaved(client.text);
+        }
+      },
+      onClosed: (reason) => {
+        if (callbacksRef.current.onClosed) {
+          callbacksRef.current.onClosed(reason);
+        }
+      },
+      onError: (error, message) => {
+        if (message.code === 'save_refused' && callbacksRef.current.onSaveRefused) {
+          callbacksRef.current.onSaveRefused(message);
+        } else {
+          console.error('Collaboration error:', error);
+        }
+      }
+    });
+    clientRef.current = client;
+    client.connect();
+
+    return () => {
+      client.disconnect();
+      clientRef.current = null;
+      viewTextRef.current = null;
+      setStatus('offline');
+      setParticipants([]);
+      setLastSavedAt(null);
+    };
+  }, [enabled, space, filePath]);
+
+  // Send local edits. The editor may report a change made before it rendered
+  // the latest remote text, so the edit is rebased onto the client text.
+  useEffect(() => {
+    const client = clientRef.current;
+    if (!client || client.text === null || content === client.text) {
+      viewTextRef.current = content;
+      return;
+    }
+
+    const viewText = viewTextRef.current ?? client.text;
+    let text = content;
+    if (viewText !== client.text) {
+      const [local] = transformOperation(diffOperation(viewText, content), diffOperation(viewText, client.text));
+      text = applyOperation(client.text, local);
+    }
+
+    client.update(text);
+    viewTextRef.current = text;
+    if (text !== content) {
+      callbacksRef.current.onRemoteContent(text, null);
+    }
+  }, [content]);
+
+  const setCursor = useCallback((anchor, head) => {
+    if (clientRef.current) {
+      clientRef.current.setCursor(anchor, head);
+    }
+  }, []);
+
+  return {
+    isLive: status === 'live',
+    status,
+    canEdit,
+    participants,
+    lastSavedAt,
+    setCursor
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Custom hook for the comment threads of a markdown file.
+ * Loads the threads and performs comment actions, keeping the threads from
+ * the latest server response so the list and the preview highlights agree.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  setCommentResolved
+} from '../services/api';
+
+const isMarkdownFile = (fileName) => !!fileName && (fileName.endsWith('.md') || fileName.endsWith('.markdown'));
+
+const EMPTY_COMMENTS = { threads: [], commentCount: 0, openCount: 0 };
+
+/**
+ * Custom hook for managing the comment threads of a file
+ * @param {string} fileName - Path of the file.
+ * @param {string} currentSpace - Space of the file.
+ */
+export function useComments(fileName, currentSpace) {
+  const [data, setData] = useState(EMPTY_COMMENTS);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applyResponse = useCallback((response) => {
+    setData({
+      threads: response.threads || [],
+      commentCount: response.commentCount || 0,
+      openCount: response.openCount || 0
+    });
+  }, []);
+
+  const loadComments = useCallback(async () => {
+    if (!isMarkdownFile(fileName)) {
+      setData(EMPTY_COMMENTS);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      applyResponse(await getComments(fileName, currentSpace));
+    } catch (error) {
+      console.error('Error loading comments:', error);
+      setError('Failed to load comments');
+      setData(EMPTY_COMMENTS);
+    } finally {
+      setLoading(false);
+    }
+  }, [fileName, currentSpace, applyResponse]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  // Stable between renders so the preview only re-renders when the threads change
+  return useMemo(() => {
+    /**
+     * Runs a comment action and shows the threads it returns.
+     * @return {Promise<boolean>} Whether the action succeeded.
+     */
+    const run = async (action, failureMessage) => {
+      setError(null);
+      try {
+        applyResponse(await action());
+        return true;
+      } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        setError(error.response?.data?.error || failureMessage);
+        return false;
+      }
+    };
+
+    return {
+      ...data,
+      loading,
+      error,
+      setError,
+      loadComments,
+      addThread: (content, anchor) =>
+        run(() => addComment(fileName, content, currentSpace, anchor ? { anchor } : {}), 'Failed to add comment'),
+      addReply: (threadId, content) =>
+        run(() => addComment(fileName, content, currentSpace, { parentId: threadId }), 'Failed to add reply'),
+      editComment: (commentId, content) =>
+        run(() => updateComment(fileName, commentId, content, currentSpace), 'Failed to update comment'),
+      resolveThread: (threadId, resolved) =>
+        run(() => setCommentResolved(fileName, threadId, resolved, currentSpace), 'Failed to update thread'),
+      removeComment: (commentId) =>
+        run(() => deleteComment(fileName, commentId, currentSpace), 'Failed to delete comment')
+    };
+  }, [data, loading, error, loadComments, applyResponse, fileName, currentSpace]);
+}
@@ -1,13 +1,31 @@
 /**
  * @fileoverview Custom hook for file content management.
  * Handles file selection, content loading, editing, and saving operations.
+ * Saves are conditional on the version that was loaded; when someone else
+ * changed the file in the meantime the conflict is kept for the user to resolve.
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { fetchFile, saveFile, downloadFile } from '../services/api';
 import { constructFileURL } from '../utils/urlUtils';
+import { mergeText } from '../utils/textMerge';
+
+/**
+ * Computes the server's content version (the start of a SHA-256 hash) for
+ * content received without one. Returns null where Web Crypto is unavailable,
+ * in which case the next save is not conditional.
+ * @param {string} content - The file content.
+ * @return {Promise<string|null>} The version.
+ */
+async function computeContentVersion(content) {
+  if (!window.crypto?.subtle) {
+    return null;
+  }
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('').slice(0, 32);
+}
 
 /**
  * Custom hook for managing file content operations
@@ -20,6 +38,24 @@ export function useFileContent(currentSpace, isAuthenticated) {
   const [isFileLoading, setIsFileLoading] = useState(false);
   const [hasChanges, setHasChanges] = useState(false);
   const [isEditingTemplate, setIsEditingTemplate] = useState(false);
+  const [saveConflict, setSaveConflict] = useState(null);
+  // The version and content of the file on the server that the edits are based on
+  const baseRef = useRef({ version: null, content: '' });
+  const baseUpdateRef = useRef(0);
+
+  const setBase = useCallback((content, version) => {
+    const update = ++baseUpdateRef.current;
+    baseRef.current = { version: version || null, content };
+    if (!version) {
+      computeContentVersion(content)
+        .then(computed => {
+          if (baseUpdateRef.current === update) {
+            baseRef.current = { version: computed, content };
+          }
+        })
+        .catch(() => {});
+    }
+  }, []);
 
   /**
    * Handles file selection and loading of file content
@@ -42,6 +78,8 @@ export function useFileContent(currentSpace, isAuthenticated) {
       setSelectedFile(filePath);
       setFileData(data);
       setFileContent(data.content || '');
+      setBase(data.content || '', data.version);
+      setSaveConflict(null);
       setHasChanges(false);
       
       // Check if this is a template file and set editing state
@@ -67,7 +105,7 @@ export function useFileContent(currentSpace, isAuthenticated) {
     } finally {
       setIsFileLoading(false);
     }
-  }, [selectedFile, currentSpace, navigate, isAuthenticated]);
+  }, [selectedFile, currentSpace, navigate, isAuthenticated, setBase]);
 
   /**
    * Handles content changes in the editor
@@ -77,6 +115,29 @@ export function useFileContent(currentSpace, isAuthenticated) {
     setHasChanges(true);
   }, []);
 
+  /**
+   * Keeps a rejected save as a conflict, or reports any other save error
+   */
+  const handleSaveError = useCallback((error) => {
+    if (error.response?.status === 409) {
+      setSaveConflict({
+        filePath: selectedFile,
+        theirs: error.response.data.currentContent,
+        version: error.response.data.currentVersion
+      });
+      return;
+    }
+    if (error.response?.status === 422) {
+      // Front-matter rejected by the folder or template schema
+      const failures = (error.response.data.validationErrors || [])
+        .map(failure => `${failure.field} ${failure.message}`);
+      toast.error(`Not saved - front-matter does not match the schema: ${failures.join('; ')}`, { autoClose: 10000 });
+      return;
+    }
+    console.error('Failed to save file:', error);
+    toast.error('Failed to save file');
+  }, [selectedFile]);
+
   /**
    * Saves the current file content to the server
    */
@@ -99,18 +160,74 @@ export function useFileContent(currentSpace, isAuthenticated) {
           toast.success('Template saved successfully');
         }
       } else {
-        // Regular file save
-        await saveFile(selectedFile, fileContent, currentSpace);
+        // Regular file save, rejected if someone else saved in the meantime
+        const result = await saveFile(selectedFile, fileContent, currentSpace, baseRef.current.version);
+        setBase(fileContent, result.version);
         setHasChanges(false);
         toast.success('File saved successfully');
       }
     } catch (error) {
-      console.error('Failed to save file:', error);
-      toast.error('Failed to save file');
+      handleSaveError(error);
+    } finally {
+      setIsFileLoading(false);
+    }
+  }, [selectedFile, fileContent, currentSpace, fileData, setBase, handleSaveError]);
+
+  /**
+   * Resolves a rejected save.
+   * @param {string} action - 'overwrite' saves the local content over the server version,
+   *     'server' discards the local edits, 'merge' merges both into the editor and
+   *     'cancel' keeps editing without saving.
+   */
+  const resolveSaveConflict = useCallback(async (action) => {
+    const conflict = saveConflict;
+    setSaveConflict(null);
+    if (!conflict || conflict.filePath !== selectedFile || action === 'cancel') {
+      return;
+    }
+
+    if (action === 'server') {
+      setFileContent(conflict.theirs ?? '');
+      setBase(conflict.theirs ?? '', conflict.version);
+      setHasChanges(false);
+      return;
+    }
+
+    if (action === 'merge' && conflict.theirs !== null) {
+      const merged = mergeText(baseRef.current.content, fileContent, conflict.theirs);
+      setFileContent(merged.content);
+      setBase(conflict.theirs, conflict.version);
+      setHasChanges(true);
+      if (merged.conflicts > 0) {
+        toast.warning(`Merged with ${merged.conflicts} conflict${merged.conflicts === 1 ? '' : 's'} - resolve the marked sections and save`);
+      } else {
+        toast.info('Changes merged - review and save');
+      }
+      return;
+    }
+
+    try {
+      setIsFileLoading(true);
+      const result = await saveFile(selectedFile, fileContent, currentSpace, conflict.version);
+      setBase(fileContent, result.version);
+      setHasChanges(false);
+      toast.success('File saved successfully');
+    } catch (error) {
+      handleSaveError(error);
     } finally {
       setIsFileLoading(false);
     }
-  }, [selectedFile, fileContent, currentSpace, fileData]);
+  }, [saveConflict, selectedFile, fileContent, currentSpace, setBase, handleSaveError]);
+
+  /**
+   * Replaces the content with a version restored on the server. The server
+   * already holds this content, so it is not marked as an unsaved change.
+   */
+  const handleContentRestored = useCallback((restoredContent, version = null) => {
+    setFileContent(restoredContent || '');
+    setBase(restoredContent || '', version);
+    setHasChanges(false);
+  }, [setBase]);
 
   /**
    * Clears the current file selection and content
@@ -119,9 +236,11 @@ export function useFileContent(currentSpace, isAuthenticated) {
     setSelectedFile(null);
     setFileContent('');
     setFileData(null);
+    setBase('', null);
+    setSaveConflict(null);
     setHasChanges(false);
     setIsEditingTemplate(false);
-  }, []);
+  }, [setBase]);
 
   /**
    * Updates the selected file path (for renames)
@@ -152,11 +271,14 @@ export function useFileContent(currentSpace, isAuthenticated) {
     isFileLoading,
     hasChanges,
     isEditingTemplate,
+    saveConflict,
     
     // Actions
     handleFileSelect,
     handleContentChange,
     handleSave,
+    handleContentRestored,
+    resolveSaveConflict,
     clearFileSelection,
     updateSelectedFilePath,
     setTemplateEditing,
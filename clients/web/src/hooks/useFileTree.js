@@ -10,8 +10,10 @@ import {
   createFolder,
   createFile,
   deleteItem,
-  renameItem
+  renameItem,
+  getBacklinks
 } from '../services/api';
+import { detectFileType } from '../utils/fileTypeDetector';
 
 /**
  * Custom hook for managing file tree state and operations
@@ -243,7 +245,7 @@ export function useFileTree(currentSpace) {
       name: fileName,
       type: 'file',
       path: filePath,
-      fileType: 'markdown' // Assume markdown for now
+      fileType: detectFileType(fileName)
     };
     
     // Update tree locally first (optimistic update)
@@ -285,7 +287,7 @@ export function useFileTree(currentSpace) {
     try {
       // Make API call to persist on server
       await deleteItem(itemPath, currentSpace);
-      toast.success('Item deleted successfully');
+      toast.success('Item moved to trash');
       return true; // Return success for further processing
     } catch (error) {
       // Rollback on error - restore original tree
@@ -307,6 +309,23 @@ export function useFileTree(currentSpace) {
     pathParts[pathParts.length - 1] = newName;
     const newPath = pathParts.join('/');
     
+    // Offer to update the pages that link to the item
+    let rewriteLinks = false;
+    if (currentSpace) {
+      try {
+        const { backlinks } = await getBacklinks(itemPath, currentSpace);
+        const pageCount = new Set(backlinks.map(backlink => backlink.source)).size;
+        if (backlinks.length > 0) {
+          rewriteLinks = window.confirm(
+            `${backlinks.length} link${backlinks.length === 1 ? '' : 's'} in ${pageCount} page${pageCount === 1 ? '' : 's'} ` +
+            `point to ${itemPath}. Update them to the new name?`
+          );
+        }
+      } catch (error) {
+        // Rename without touching links when backlinks are unavailable
+      }
+    }
+    
     // Optimistic update - rename item in tree immediately
     const updatedTree = updateNodeInTree(files, itemPath, {
       name: newName,
@@ -316,8 +335,10 @@ export function useFileTree(currentSpace) {
     
     try {
       // Make API call to persist on server
-      await renameItem(itemPath, newName, currentSpace);
-      toast.success('Item renamed successfully');
+      const result = await renameItem(itemPath, newName, currentSpace, rewriteLinks);
+      toast.success(result.rewrittenLinks
+        ? `Item renamed and ${result.rewrittenLinks} link${result.rewrittenLinks === 1 ? '' : 's'} updated`
+        : 'Item renamed successfully');
       return newPath; // Return new path for further processing
     } catch (error) {
       // Rollback on error - restore original tree
@@ -342,37 +363,46 @@ export function useFileTree(currentSpace) {
 
   /**
    * Handles file upload by adding it to the tree
+   * @param {string} filePath - Path of the uploaded (or imported markdown) file
+   * @param {Array<string>} [attachmentPaths] - Additional files written by an import
    */
-  const handleFileUpload = useCallback((filePath) => {
-    const pathParts = filePath.split('/');
-    const fileName = pathParts[pathParts.length - 1];
-    const parentPath = pathParts.length > 1 ? pathParts.slice(0, -1).join('/') : null;
-    
-    // Detect file type from extension
-    const extension = fileName.split('.').pop()?.toLowerCase();
-    let fileType = 'unknown';
-    if (['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.svg'].includes(`.${extension}`)) {
-      fileType = 'image';
-    } else if (extension === 'pdf') {
-      fileType = 'pdf';
-    } else if (['.txt', '.json', '.xml', '.csv', '.log', '.js', '.ts', '.css', '.html'].includes(`.${extension}`)) {
-      fileType = 'text';
-    } else if (['.md', '.markdown'].includes(`.${extension}`)) {
-      fileType = 'markdown';
+  const handleFileUpload = useCallback((filePath, attachmentPaths = []) => {
+    let updatedTree = files;
+
+    for (const uploadedPath of [filePath, ...attachmentPaths]) {
+      const pathParts = uploadedPath.split('/');
+      const fileName = pathParts[pathParts.length - 1];
+      const parentPath = pathParts.length > 1 ? pathParts.slice(0, -1).join('/') : null;
+      
+      // Detect file type from extension
+      const extension = fileName.split('.').pop()?.toLowerCase();
+      let fileType = 'unknown';
+      if (['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.svg'].includes(`.${extension}`)) {
+        fileType = 'image';
+      } else if (extension === 'pdf') {
+        fileType = 'pdf';
+      } else if (['.txt', '.json', '.xml', '.csv', '.log', '.js', '.ts', '.css', '.html'].includes(`.${extension}`)) {
+        fileType = 'text';
+      } else if (['.md', '.markdown'].includes(`.${extension}`)) {
+        fileType = 'markdown';
+      } else if (extension === 'excalidraw') {
+        fileType = 'diagram';
+      }
+      
+      const newFile = {
+        name: fileName,
+        type: 'file',
+        path: uploadedPath,
+        fileType: fileType
+      };
+      
+      // Update tree locally
+      updatedTree = addNodeToTree(updatedTree, newFile, parentPath);
     }
-    
-    const newFile = {
-      name: fileName,
-      type: 'file',
-      path: filePath,
-      fileType: fileType
-    };
-    
-    // Update tree locally
-    const updatedTree = addNodeToTree(files, newFile, parentPath);
+
     setFiles(updatedTree);
     
-    toast.success('File uploaded successfully');
+    toast.success(attachmentPaths.length > 0 ? 'Document imported successfully' : 'File uploaded successfully');
   }, [files, addNodeToTree]);
 
   return {
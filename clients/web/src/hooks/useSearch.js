@@ -6,6 +6,24 @@
 import { useState, useCallback } from 'react';
 import { toast } from 'react-toastify';
 import { searchFiles, searchContent } from '../services/api';
+import { splitSearchFilters } from '../utils/frontMatter';
+
+/**
+ * Searches file names and content; `field:value` words in the query filter
+ * content matches on front-matter, e.g. `payments status:approved`.
+ */
+async function searchFilesAndContent(query, currentSpace) {
+  const { text, filters } = splitSearchFilters(query);
+  if (!text) {
+    return [[], []];
+  }
+  const hasFilters = Object.keys(filters).length > 0;
+  return Promise.all([
+    // File names carry no front-matter, so filtered searches only match content
+    hasFilters ? [] : searchFiles(text, currentSpace),
+    searchContent(text, currentSpace, filters)
+  ]);
+}
 
 /**
  * Custom hook for managing search functionality
@@ -28,10 +46,7 @@ export function useSearch(currentSpace, isKnowledgeView = false) {
     if (query.trim().length > 0) {
       try {
         // Search both files and content simultaneously
-        const [fileSuggestions, contentResults] = await Promise.all([
-          searchFiles(query, currentSpace),
-          searchContent(query, currentSpace)
-        ]);
+        const [fileSuggestions, contentResults] = await searchFilesAndContent(query, currentSpace);
         
         setSearchSuggestions(fileSuggestions.slice(0, 5)); // Limit to 5 file suggestions
         setSearchResults(contentResults.slice(0, 10)); // Limit to 10 content results
@@ -56,10 +71,7 @@ export function useSearch(currentSpace, isKnowledgeView = false) {
     
     try {
       // Get more comprehensive results when explicitly searching
-      const [fileSuggestions, contentResults] = await Promise.all([
-        searchFiles(searchQuery, currentSpace),
-        searchContent(searchQuery, currentSpace)
-      ]);
+      const [fileSuggestions, contentResults] = await searchFilesAndContent(searchQuery, currentSpace);
       
       setSearchSuggestions(fileSuggestions.slice(0, 10)); // More file results on submit
       setSearchResults(contentResults.slice(0, 20)); // More content results on submit
@@ -81,10 +93,7 @@ export function useSearch(currentSpace, isKnowledgeView = false) {
     
     try {
       // Get search results for knowledge view
-      const [fileSuggestions, contentResults] = await Promise.all([
-        searchFiles(searchQuery, currentSpace),
-        searchContent(searchQuery, currentSpace)
-      ]);
+      const [fileSuggestions, contentResults] = await searchFilesAndContent(searchQuery, currentSpace);
       
       // Create a Map to deduplicate by file path
       const resultsMap = new Map();
@@ -69,7 +69,7 @@ export function useUIState() {
     setCurrentView(view);
     
     // Return whether this is a special view that should clear file selection
-    const specialViews = ['recent', 'starred', 'search', 'home', 'new-markdown', 'templates', 'settings'];
+    const specialViews = ['recent', 'starred', 'trash', 'search', 'home', 'new-markdown', 'templates', 'settings'];
     return specialViews.includes(view);
   }, []);
 
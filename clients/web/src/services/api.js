@@ -22,12 +22,23 @@
  * File Operations:
  * - fetchFiles(space): Fetches file tree structure
  * - fetchFile(filePath, space): Fetches specific file content
+ * - fetchRenderedFile(filePath, space): Fetches a markdown file prepared for preview by plugins
+ * - renderPlantUml(source): Renders a PlantUML diagram to SVG on the server
+ * - renderDiagram(filePath, space, format): Renders a diagram file of a space to SVG or PNG
+ * - exportDiagram(filePath, space, format): Downloads a diagram file as SVG or PNG
  * - downloadFile(filePath, space): Downloads file from server
- * - saveFile(filePath, content, space): Saves file content
+ * - saveFile(filePath, content, space, version): Saves file content, optionally only if unchanged,
+ *   and sends FILE_SAVED_EVENT
  * - createFolder(folderPath, space): Creates new folder
  * - createFile(filePath, content, space): Creates new file
- * - deleteItem(itemPath, space): Deletes file or folder
+ * - deleteItem(itemPath, space): Moves a file or folder to the trash
  * - renameItem(itemPath, newName, space): Renames file or folder
+ *
+ * Trash:
+ * - getTrash(space): Lists deleted files and folders
+ * - restoreTrashItem(itemId, space, path): Restores an item, optionally to another path
+ * - purgeTrashItem(itemId, space): Deletes an item for good
+ * - emptyTrash(space): Deletes every item in the trash for good
  * 
  * Template Operations:
  * - fetchTemplates(space): Fetches all templates
@@ -35,11 +46,12 @@
  * - createTemplate(templateData, space): Creates new template
  * - updateTemplate(templateName, templateData, space): Updates template
  * - deleteTemplate(templateName, space): Deletes template
- * - createFileFromTemplate(templateName, filePath, variables): Creates file from template
+ * - createFileFromTemplate(templateName, filePath, values, space): Creates a page or folder scaffold from template
+ * - fetchSpaceMembers(space): Lists the users who can read a space
  * 
  * Search Operations:
  * - searchFiles(query): Searches for files by name
- * - searchContent(query): Searches content within files
+ * - searchContent(query, space, filters): Searches content within files
  * 
  * Authentication:
  * - registerUser(userData): Registers new user
@@ -50,8 +62,9 @@
  * 
  * Comments:
  * - getComments(filePath, space): Gets comments for file
- * - addComment(filePath, content, space): Adds comment to file
+ * - addComment(filePath, content, space, options): Adds comment, reply or anchored comment to file
  * - updateComment(filePath, commentId, content, space): Updates comment
+ * - setCommentResolved(filePath, commentId, resolved, space): Resolves or reopens a thread
  * - deleteComment(filePath, commentId, space): Deletes comment
  * 
  * Metadata & Files:
@@ -59,7 +72,23 @@
  * - getStarredFiles(): Gets starred files
  * - toggleStarredFile(filePath, starred): Toggles file starred status
  * - getFileMetadata(filePath): Gets file metadata
- * 
+ *
+ * Front-matter:
+ * - getFolderFrontMatter(folderPath, space, filters): Lists pages of a folder with their front-matter
+ * - getFolderSchema(folderPath, space): Gets the front-matter schema of a folder
+ * - saveFolderSchema(folderPath, schema, space): Attaches a schema to a folder
+ * - deleteFolderSchema(folderPath, space): Removes the schema of a folder
+ *
+ * Reviews:
+ * - getReviews(space, options): Lists the reviews of a space
+ * - getReview(filePath, space): Gets the review state and audit trail of a document
+ * - updateReview(filePath, space, action, details): Submits, approves, rejects or withdraws a review
+ *
+ * AI Assistant:
+ * - getAiAssistant(space): Gets the assistant settings of a space and the actions the user may run
+ * - streamAiAction(space, action, request, onText, signal): Runs an action and streams its answer
+ * - streamSpaceAnswer(space, question, onSources, onText, signal): Answers a question about the whole space, citing its sources
+ *
  * Space Management:
  * - fetchUserSpaces(): Gets user's allowed spaces
  * - fetchAllSpaces(): Gets all available spaces
@@ -88,6 +117,13 @@ const api = axios.create({
   withCredentials: true, // Include cookies for authentication
 });
 
+/** @const {string} Window event sent with `{ filePath, space }` when a file changed on the server */
+export const FILE_SAVED_EVENT = 'fileSaved';
+
+const announceFileSaved = (filePath, space) => {
+  window.dispatchEvent(new CustomEvent(FILE_SAVED_EVENT, { detail: { filePath, space } }));
+};
+
 // Add a response interceptor to handle authentication errors
 api.interceptors.response.use(
   (response) => response,
@@ -136,6 +172,88 @@ export const fetchFile = async (filePath, space = null) => {
   }
 };
 
+/**
+ * Fetches a markdown file as it should be previewed: without comments and
+ * with the Markdown changes of server plugins (glossary links and the like).
+ * @param {string} filePath - The path to the file.
+ * @param {string} space - The space of the file.
+ * @return {Promise<Object>} The path, Markdown `content` and front-matter.
+ */
+export const fetchRenderedFile = async (filePath, space) => {
+  try {
+    const response = await api.get(`/${space}/render/${filePath}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching rendered file:', error);
+    throw error;
+  }
+};
+
+/**
+ * Renders a PlantUML diagram to SVG with the PlantUML of the server.
+ * @param {string} source - The diagram, as written in a ```plantuml block.
+ * @return {Promise<string>} The SVG document.
+ */
+export const renderPlantUml = async (source) => {
+  try {
+    const response = await api.post('/diagrams/plantuml', { source }, { responseType: 'text' });
+    return response.data;
+  } catch (error) {
+    // Errors come back as JSON text, since the response is read as text
+    let message = error.message;
+    try {
+      message = JSON.parse(error.response.data).error || message;
+    } catch (e) {
+      // Keep the message of the request
+    }
+    throw new Error(message);
+  }
+};
+
+/**
+ * Renders a diagram file of a space (`.excalidraw`) on the server.
+ * @param {string} filePath - The path to the diagram.
+ * @param {string} space - The space of the diagram.
+ * @param {string} [format='svg'] - 'svg' or 'png'.
+ * @return {Promise<Blob>} The image.
+ */
+export const renderDiagram = async (filePath, space, format = 'svg') => {
+  try {
+    const response = await api.get(`/${space}/diagrams/render/${filePath}`, {
+      params: { format },
+      responseType: 'blob'
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error rendering diagram:', error);
+    throw error;
+  }
+};
+
+/**
+ * Downloads a diagram file of a space as an image.
+ * @param {string} filePath - The path to the diagram.
+ * @param {string} space - The space of the diagram.
+ * @param {string} [format='svg'] - 'svg' or 'png'.
+ * @return {Promise<void>} Downloads the image.
+ */
+export const exportDiagram = async (filePath, space, format = 'svg') => {
+  try {
+    const image = await renderDiagram(filePath, space, format);
+    const downloadUrl = window.URL.createObjectURL(image);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.setAttribute('download', `${filePath.split('/').pop().replace(/\.excalidraw$/i, '')}.${format}`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(downloadUrl);
+  } catch (error) {
+    console.error('Error exporting diagram:', error);
+    throw error;
+  }
+};
+
 /**
  * Downloads a file from the server.
  * @param {string} filePath - The path to the file.
@@ -168,15 +286,22 @@ export const downloadFile = async (filePath, space = null) => {
  * Saves a file's content to the API.
  * @param {string} filePath - The path to the file.
  * @param {string} content - The file content to save.
- * @return {Promise<Object>} The save response.
+ * @param {string} [space] - Optional space name for space-aware requests.
+ * @param {string} [version] - The version the edit is based on. When set the server
+ *     answers 409 with its current content if the file changed since.
+ * @return {Promise<Object>} The save response including the new version.
  */
-export const saveFile = async (filePath, content, space = null) => {
+export const saveFile = async (filePath, content, space = null, version = null) => {
   try {
     const url = space ? `/${space}/files/${filePath}` : `/files/${filePath}`;
-    const response = await api.put(url, {content});
+    const headers = version ? { 'If-Match': `"${version}"` } : {};
+    const response = await api.put(url, {content}, { headers });
+    announceFileSaved(filePath, space);
     return response.data;
   } catch (error) {
-    console.error('Error saving file:', error);
+    if (error.response?.status !== 409) {
+      console.error('Error saving file:', error);
+    }
     throw error;
   }
 };
@@ -217,7 +342,7 @@ export const createFile = async (filePath, content = '', space = null) => {
 
 
 /**
- * Deletes a file or folder.
+ * Deletes a file or folder. Items deleted in a space are moved to its trash.
  * @param {string} itemPath - The path of the file or folder to delete.
  * @return {Promise<Object>} The delete response.
  */
@@ -236,12 +361,14 @@ export const deleteItem = async (itemPath, space = null) => {
  * Renames a file or folder.
  * @param {string} itemPath - The current path of the file or folder.
  * @param {string} newName - The new name for the item.
- * @return {Promise<Object>} The rename response.
+ * @param {string} [space] - The space containing the item.
+ * @param {boolean} [rewriteLinks=false] - Whether to update the links that point to the item.
+ * @return {Promise<Object>} The rename response, with the number of rewritten links.
  */
-export const renameItem = async (itemPath, newName, space = null) => {
+export const renameItem = async (itemPath, newName, space = null, rewriteLinks = false) => {
   try {
     const url = space ? `/${space}/rename/${itemPath}` : `/rename/${itemPath}`;
-    const response = await api.put(url, {newName});
+    const response = await api.put(url, rewriteLinks ? {newName, rewriteLinks} : {newName});
     return response.data;
   } catch (error) {
     console.error('Error renaming item:', error);
@@ -332,17 +459,22 @@ export const deleteTemplate = async (templateName, space = null) => {
 };
 
 /**
- * Creates a new file from a template with placeholder replacement.
+ * Creates a page, or a folder scaffold, from a template. The template renders
+ * on the server with the given variable values.
  * @param {string} templateName - The name of the template to use.
- * @param {string} filePath - The path where the new file should be created.
- * @param {Object} customVariables - Optional custom variables to replace in template.
- * @return {Promise<Object>} The creation response.
+ * @param {string} filePath - The page to create, or the folder for a scaffold template.
+ * @param {Object} values - Values of the template variables by name.
+ * @param {string} space - The space of the template; the shared templates when omitted.
+ * @return {Promise<Object>} The creation response with the created file paths.
  */
-export const createFileFromTemplate = async (templateName, filePath, customVariables = {}) => {
+export const createFileFromTemplate = async (templateName, filePath, values = {}, space = null) => {
   try {
-    const response = await api.post(`/templates/${templateName}/create-file`, {
+    const url = space
+      ? `/${space}/templates/${encodeURIComponent(templateName)}/create-file`
+      : `/templates/${encodeURIComponent(templateName)}/create-file`;
+    const response = await api.post(url, {
       filePath,
-      customVariables
+      values
     });
     return response.data;
   } catch (error) {
@@ -351,6 +483,21 @@ export const createFileFromTemplate = async (templateName, filePath, customVaria
   }
 };
 
+/**
+ * Lists the users who can read a space, for user pickers.
+ * @param {string} space - The space.
+ * @return {Promise<Array<Object>>} The members with their username and role.
+ */
+export const fetchSpaceMembers = async (space) => {
+  try {
+    const response = await api.get(`/${space}/members`);
+    return response.data.members;
+  } catch (error) {
+    console.error('Error fetching space members:', error);
+    throw error;
+  }
+};
+
 /**
  * Searches for files by name.
  * @param {string} query - The search query.
@@ -369,11 +516,18 @@ export const searchFiles = async (query) => {
 /**
  * Searches for content within files.
  * @param {string} query - The search query.
+ * @param {string} space - The space to search; the Personal space when omitted.
+ * @param {Object} filters - Front-matter filters: owner, status, system, tags,
+ *     reviewBefore, reviewAfter.
  * @return {Promise<Array>} Array of content search results.
  */
-export const searchContent = async (query) => {
+export const searchContent = async (query, space = null, filters = {}) => {
   try {
-    const response = await api.get(`/search/content?q=${encodeURIComponent(query)}`);
+    const params = { q: query, ...filters };
+    if (space) {
+      params.space = space;
+    }
+    const response = await api.get('/search/content', { params });
     return response.data;
   } catch (error) {
     console.error('Error searching content:', error);
@@ -485,12 +639,15 @@ export const getComments = async (filePath, space = null) => {
  * Adds a new comment to a file.
  * @param {string} filePath - The path to the file.
  * @param {string} content - The comment content.
+ * @param {string} [space] - The space of the file.
+ * @param {Object} [options] - `parentId` to reply to a thread, or `anchor`
+ *     ({type: 'heading', heading} or {type: 'text', quote, start}) to start one.
  * @return {Promise<Object>} The response with new comment and updated list.
  */
-export const addComment = async (filePath, content, space = null) => {
+export const addComment = async (filePath, content, space = null, options = {}) => {
   try {
     const url = space ? `/${space}/comments/${filePath}` : `/comments/${filePath}`;
-    const response = await api.post(url, { content });
+    const response = await api.post(url, { content, ...options });
     return response.data;
   } catch (error) {
     console.error('Error adding comment:', error);
@@ -516,6 +673,25 @@ export const updateComment = async (filePath, commentId, content, space = null)
   }
 };
 
+/**
+ * Resolves or reopens a comment thread.
+ * @param {string} filePath - The path to the file.
+ * @param {string} commentId - The ID of the first comment of the thread.
+ * @param {boolean} resolved - Whether the thread is resolved.
+ * @param {string} [space] - The space of the file.
+ * @return {Promise<Object>} The response with updated comment and list.
+ */
+export const setCommentResolved = async (filePath, commentId, resolved, space = null) => {
+  try {
+    const url = space ? `/${space}/comments/${commentId}/${filePath}` : `/comments/${commentId}/${filePath}`;
+    const response = await api.put(url, { resolved });
+    return response.data;
+  } catch (error) {
+    console.error('Error resolving comment:', error);
+    throw error;
+  }
+};
+
 /**
  * Deletes a comment.
  * @param {string} filePath - The path to the file.
@@ -533,6 +709,478 @@ export const deleteComment = async (filePath, commentId, space = null) => {
   }
 };
 
+/**
+ * File version history functions
+ */
+
+/**
+ * Gets the version history of a file.
+ * @param {string} filePath - The path to the file.
+ * @param {string} space - The space containing the file.
+ * @return {Promise<Object>} The history with source ('git' or 'snapshot') and versions.
+ */
+export const getFileHistory = async (filePath, space) => {
+  try {
+    const response = await api.get(`/${space}/history/${filePath}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error getting file history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets a line diff between two versions of a file.
+ * @param {string} filePath - The path to the file.
+ * @param {string} space - The space containing the file.
+ * @param {string} [from] - The older version (defaults to the version before `to`).
+ * @param {string} [to] - The newer version (defaults to the current file).
+ * @return {Promise<Object>} The diff with summary and lines.
+ */
+export const getFileDiff = async (filePath, space, from = null, to = null) => {
+  try {
+    const params = {};
+    if (from) params.from = from;
+    if (to) params.to = to;
+    const response = await api.get(`/${space}/diff/${filePath}`, { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error getting file diff:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restores a previous version of a file.
+ * @param {string} filePath - The path to the file.
+ * @param {string} space - The space containing the file.
+ * @param {string} version - The version to restore.
+ * @return {Promise<Object>} The restore response including the restored content.
+ */
+export const restoreFileVersion = async (filePath, space, version) => {
+  try {
+    const response = await api.post(`/${space}/restore/${filePath}`, { version });
+    announceFileSaved(filePath, space);
+    return response.data;
+  } catch (error) {
+    console.error('Error restoring file version:', error);
+    throw error;
+  }
+};
+
+/**
+ * Trash functions
+ */
+
+/**
+ * Gets the deleted files and folders of a space.
+ * @param {string} space - The space.
+ * @return {Promise<Object>} The retention period in days and the items, newest first.
+ */
+export const getTrash = async (space) => {
+  try {
+    const response = await api.get(`/${space}/trash`);
+    return response.data;
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restores a deleted file or folder.
+ * @param {string} itemId - The trash item ID.
+ * @param {string} space - The space.
+ * @param {string} [path] - Where to restore the item; defaults to its original path.
+ * @return {Promise<Object>} The restore response with the restored path.
+ */
+export const restoreTrashItem = async (itemId, space, path = null) => {
+  try {
+    const response = await api.post(`/${space}/trash/${itemId}/restore`, path ? { path } : {});
+    return response.data;
+  } catch (error) {
+    console.error('Error restoring trash item:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes an item in the trash for good.
+ * @param {string} itemId - The trash item ID.
+ * @param {string} space - The space.
+ * @return {Promise<Object>} The purge response.
+ */
+export const purgeTrashItem = async (itemId, space) => {
+  try {
+    const response = await api.delete(`/${space}/trash/${itemId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error purging trash item:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes every item in the trash of a space for good.
+ * @param {string} space - The space.
+ * @return {Promise<Object>} The response with the number of purged items.
+ */
+export const emptyTrash = async (space) => {
+  try {
+    const response = await api.delete(`/${space}/trash`);
+    return response.data;
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    throw error;
+  }
+};
+
+/**
+ * Wiki link functions
+ */
+
+/**
+ * Gets the pages that link to a file, or to any file in a folder.
+ * @param {string} filePath - The path to the file or folder.
+ * @param {string} space - The space containing the file.
+ * @return {Promise<Object>} The backlinks with source page, line and context.
+ */
+export const getBacklinks = async (filePath, space) => {
+  try {
+    const response = await api.get(`/${space}/backlinks/${filePath}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error getting backlinks:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the links of a space whose target page does not exist.
+ * @param {string} space - The space to check.
+ * @return {Promise<Object>} The broken links with source page, line and target.
+ */
+export const getBrokenLinks = async (space) => {
+  try {
+    const response = await api.get(`/${space}/broken-links`);
+    return response.data;
+  } catch (error) {
+    console.error('Error getting broken links:', error);
+    throw error;
+  }
+};
+
+/**
+ * Front-matter and folder schema functions
+ */
+
+/**
+ * Lists the pages of a folder with their front-matter.
+ * @param {string} folderPath - The folder path, empty for the space root.
+ * @param {string} space - The space containing the folder.
+ * @param {Object} filters - Front-matter filters: owner, status, system, tags,
+ *     reviewBefore, reviewAfter.
+ * @return {Promise<Object>} The pages with their front-matter.
+ */
+export const getFolderFrontMatter = async (folderPath, space, filters = {}) => {
+  try {
+    const url = folderPath ? `/${space}/front-matter/${folderPath}` : `/${space}/front-matter`;
+    const response = await api.get(url, { params: filters });
+    return response.data;
+  } catch (error) {
+    console.error('Error getting folder front-matter:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the front-matter schema of a folder and the schema that applies to it.
+ * @param {string} folderPath - The folder path, empty for the space root.
+ * @param {string} space - The space containing the folder.
+ * @return {Promise<Object>} The folder's schema, effective schema and the folder it is inherited from.
+ */
+export const getFolderSchema = async (folderPath, space) => {
+  try {
+    const response = await api.get(folderPath ? `/${space}/schema/${folderPath}` : `/${space}/schema`);
+    return response.data;
+  } catch (error) {
+    console.error('Error getting folder schema:', error);
+    throw error;
+  }
+};
+
+/**
+ * Attaches a front-matter schema to a folder.
+ * @param {string} folderPath - The folder path, empty for the space root.
+ * @param {Object} schema - The JSON Schema.
+ * @param {string} space - The space containing the folder.
+ * @return {Promise<Object>} The save response.
+ */
+export const saveFolderSchema = async (folderPath, schema, space) => {
+  try {
+    const response = await api.put(folderPath ? `/${space}/schema/${folderPath}` : `/${space}/schema`, { schema });
+    return response.data;
+  } catch (error) {
+    console.error('Error saving folder schema:', error);
+    throw error;
+  }
+};
+
+/**
+ * Removes the front-matter schema of a folder.
+ * @param {string} folderPath - The folder path, empty for the space root.
+ * @param {string} space - The space containing the folder.
+ * @return {Promise<Object>} The delete response.
+ */
+export const deleteFolderSchema = async (folderPath, space) => {
+  try {
+    const response = await api.delete(folderPath ? `/${space}/schema/${folderPath}` : `/${space}/schema`);
+    return response.data;
+  } catch (error) {
+    console.error('Error removing folder schema:', error);
+    throw error;
+  }
+};
+
+/**
+ * Document review functions
+ */
+
+/**
+ * Lists the reviews of a space.
+ * @param {string} space - The space.
+ * @param {Object} [options] - `state` to filter on, or `reviewer: 'me'` for reviews waiting on the current user.
+ * @return {Promise<Object>} The approval rules of the space and its reviews.
+ */
+export const getReviews = async (space, options = {}) => {
+  try {
+    const response = await api.get(`/${space}/reviews`, { params: options });
+    return response.data;
+  } catch (error) {
+    console.error('Error listing reviews:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the review state, reviewers and audit trail of a document.
+ * @param {string} filePath - The path to the file.
+ * @param {string} space - The space containing the file.
+ * @return {Promise<Object>} The review.
+ */
+export const getReview = async (filePath, space) => {
+  try {
+    const response = await api.get(`/${space}/reviews/${filePath}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error getting review:', error);
+    throw error;
+  }
+};
+
+/**
+ * Submits a document for review, or approves, rejects or withdraws its review.
+ * @param {string} filePath - The path to the file.
+ * @param {string} space - The space containing the file.
+ * @param {string} action - submit, approve, reject or withdraw.
+ * @param {Object} [details] - `comment`, and for submit `reviewers` and `minApprovals`.
+ * @return {Promise<Object>} The updated review.
+ */
+export const updateReview = async (filePath, space, action, details = {}) => {
+  try {
+    const response = await api.post(`/${space}/reviews/${filePath}`, { action, ...details });
+    return response.data;
+  } catch (error) {
+    console.error('Error updating review:', error);
+    throw error;
+  }
+};
+
+/**
+ * AI assistant functions
+ */
+
+/**
+ * Gets the assistant settings of a space and the actions the current user may run.
+ * @param {string} space - The space.
+ * @return {Promise<Object>} `{ enabled, provider, model, actions }`.
+ */
+export const getAiAssistant = async (space) => {
+  try {
+    const response = await api.get(`/${space}/ai`);
+    return response.data;
+  } catch (error) {
+    console.error('Error getting AI assistant:', error);
+    throw error;
+  }
+};
+
+/**
+ * Posts a request to the assistant and reads its answer, sent as server-sent
+ * events. Uses fetch because axios cannot read a streamed response body in
+ * the browser.
+ * @param {string} url - The endpoint.
+ * @param {Object} request - The request body.
+ * @param {Object} handlers - `onStart(about)` and `onText(text)` callbacks.
+ * @param {AbortSignal} [signal] - Stops the request.
+ * @return {Promise<Object>} The `done` event once the answer is complete.
+ */
+const streamAssistantAnswer = async (url, request, handlers, signal) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+    },
+    credentials: 'include',
+    body: JSON.stringify(request),
+    signal,
+  });
+
+  if (!response.ok) {
+    let errorMessage = 'The AI assistant failed';
+    try {
+      const errorData = await response.json();
+      errorMessage = errorData.error || errorMessage;
+    } catch (e) {
+      errorMessage = response.statusText || errorMessage;
+    }
+    if (response.status === 401) {
+      window.dispatchEvent(new CustomEvent('authRequired', { detail: { error: errorMessage } }));
+    }
+    throw new Error(errorMessage);
+  }
+
+  // Server-sent events are separated by a blank line
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const handleEvent = (block) => {
+    let event = 'message';
+    let data = '';
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data += line.slice(5).trim();
+      }
+    });
+    if (!data) {
+      return;
+    }
+    const payload = JSON.parse(data);
+    if (event === 'start' && handlers.onStart) {
+      handlers.onStart(payload);
+    } else if (event === 'chunk') {
+      handlers.onText(payload.text);
+    } else if (event === 'done') {
+      result = payload;
+    } else if (event === 'error') {
+      throw new Error(payload.error);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    let separator;
+    while ((separator = buffer.indexOf('\n\n')) !== -1) {
+      handleEvent(buffer.slice(0, separator));
+      buffer = buffer.slice(separator + 2);
+    }
+  }
+  if (buffer.trim()) {
+    handleEvent(buffer);
+  }
+
+  if (!result) {
+    throw new Error('The AI assistant stopped before finishing its answer');
+  }
+  return result;
+};
+
+/**
+ * Runs an assistant action and streams the answer.
+ * @param {string} space - The space.
+ * @param {string} action - summarize, rewrite, review, draft or ask.
+ * @param {Object} request - `content` or `filePath`, and `selection`, `instruction`, `question` or `template`.
+ * @param {Function} onText - Called with each piece of the answer as it arrives.
+ * @param {AbortSignal} [signal] - Stops the request.
+ * @return {Promise<Object>} `{ text, provider, model }` once the answer is complete.
+ */
+export const streamAiAction = (space, action, request, onText, signal) =>
+  streamAssistantAnswer(`${API_BASE_URL}/${space}/ai/${action}`, request, { onText }, signal);
+
+/**
+ * Asks a question about the whole space and streams the answer. The answer
+ * cites its sources as [n]; the sources arrive before the answer.
+ * @param {string} space - The space.
+ * @param {string} question - The question.
+ * @param {Function} onSources - Called with `[{ id, filePath, title, heading, anchor, snippet }]`.
+ * @param {Function} onText - Called with each piece of the answer as it arrives.
+ * @param {AbortSignal} [signal] - Stops the request.
+ * @return {Promise<Object>} `{ text, provider, model, sources }` once the answer is complete.
+ */
+export const streamSpaceAnswer = (space, question, onSources, onText, signal) =>
+  streamAssistantAnswer(`${API_BASE_URL}/${space}/ask`, { question }, {
+    onStart: (about) => onSources(about.sources || []),
+    onText,
+  }, signal);
+
+/**
+ * Notification inbox functions
+ */
+
+/**
+ * Lists the notifications of the current user, newest first.
+ * @param {Object} [options] - `unread: true` for unread ones only, `limit` for the number returned.
+ * @return {Promise<Object>} The notifications, their total and the unread count.
+ */
+export const getNotifications = async (options = {}) => {
+  try {
+    const response = await api.get('/notifications', { params: options });
+    return response.data;
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    throw error;
+  }
+};
+
+/**
+ * Marks a notification as read or unread.
+ * @param {string} notificationId - The ID of the notification.
+ * @param {boolean} read - The new read state.
+ * @return {Promise<Object>} The updated notification.
+ */
+export const setNotificationRead = async (notificationId, read = true) => {
+  try {
+    const response = await api.put(`/notifications/${notificationId}`, { read });
+    return response.data;
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Marks all notifications of the current user as read.
+ * @return {Promise<Object>} The number of notifications updated.
+ */
+export const markAllNotificationsRead = async () => {
+  try {
+    const response = await api.post('/notifications/read-all');
+    return response.data;
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    throw error;
+  }
+};
+
 /**
  * Recent files and starred files management functions
  */
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Comment anchors in the rendered Markdown preview.
+ *
+ * The server reports where the anchor of each comment thread is in the
+ * Markdown source. The rehype plugin uses the source positions of the
+ * rendered nodes to highlight anchored passages and flag anchored headings,
+ * and records source offsets on blocks so a selection made in the preview can
+ * be matched back to the source.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+/** @const {string} Class of highlighted passages that have comments */
+export const COMMENT_ANCHOR_CLASS = 'comment-anchor';
+
+/** @const {string} Attribute with the source offset of a rendered block */
+export const SOURCE_OFFSET_ATTRIBUTE = 'data-source-start';
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const BLOCK_TAGS = [...HEADING_TAGS, 'p', 'li', 'blockquote', 'td', 'th', 'pre'];
+
+/**
+ * Lists the ATX headings of a document, skipping fenced code blocks.
+ * @param {string} markdown - The document.
+ * @return {Array<{text: string, level: number}>} The headings.
+ */
+export function listHeadings(markdown = '') {
+  const headings = [];
+  let fence = null;
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(/^ {0,3}(```|~~~)/);
+    if (fenceMatch) {
+      fence = !fence ? fenceMatch[1] : (fenceMatch[1] === fence ? null : fence);
+      continue;
+    }
+    const match = !fence && line.match(/^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/);
+    if (match && match[2]) {
+      headings.push({ text: match[2], level: match[1].length });
+    }
+  }
+  return headings;
+}
+
+/**
+ * Finds the source offset of the block holding a DOM node of the preview.
+ * @param {Node} node - A node inside the rendered preview.
+ * @return {number|undefined} The offset, when the block has one.
+ */
+export function getSourceOffset(node) {
+  const element = node && (node.nodeType === 1 ? node : node.parentElement);
+  const block = element && element.closest(`[${SOURCE_OFFSET_ATTRIBUTE}]`);
+  return block ? Number(block.getAttribute(SOURCE_OFFSET_ATTRIBUTE)) : undefined;
+}
+
+/**
+ * Rehype plugin that highlights the anchors of open comment threads. Passages
+ * are wrapped in `mark` elements with a `data-comment-thread` attribute, the
+ * last one of each passage also with `data-comment-last`; anchored headings
+ * get an empty such `mark` at their end.
+ * @param {Object} options - Plugin options.
+ * @param {Array<Object>} options.threads - Threads from the comments API.
+ * @return {Function} The rehype transformer.
+ */
+export function rehypeCommentAnchors({ threads = [] } = {}) {
+  const open = threads.filter(thread => thread.anchor && thread.anchor.status === 'attached' && !thread.resolved);
+  const passages = open.filter(thread => thread.anchor.type === 'text')
+    .map(thread => ({ id: thread.id, start: thread.anchor.start, end: thread.anchor.end }))
+    .sort((a, b) => a.start - b.start);
+  const headings = open.filter(thread => thread.anchor.type === 'heading');
+  const lastMarks = new Map();
+
+  const markElement = (threadId, children) => {
+    const mark = {
+      type: 'element',
+      tagName: 'mark',
+      properties: { className: [COMMENT_ANCHOR_CLASS], dataCommentThread: threadId },
+      children
+    };
+    lastMarks.set(threadId, mark);
+    return mark;
+  };
+
+  // Splits a text node at the passage boundaries inside it
+  const splitText = (node) => {
+    const start = node.position?.start?.offset;
+    const end = node.position?.end?.offset;
+    if (start === undefined || end === undefined) {
+      return null;
+    }
+    const covering = passages.filter(passage => passage.start < end && passage.end > start);
+    if (covering.length === 0) {
+      return null;
+    }
+    // Escapes and entities make the text differ from its source; mark it whole
+    if (node.value.length !== end - start) {
+      return [markElement(covering[0].id, [node])];
+    }
+
+    const cuts = new Set([0, node.value.length]);
+    for (const passage of covering) {
+      cuts.add(Math.max(0, passage.start - start));
+      cuts.add(Math.min(node.value.length, passage.end - start));
+    }
+    const points = [...cuts].sort((a, b) => a - b);
+    const parts = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const value = node.value.slice(points[i], points[i + 1]);
+      const passage = covering.find(item => item.start <= start + points[i] && item.end >= start + points[i + 1]);
+      const text = { type: 'text', value };
+      parts.push(passage ? markElement(passage.id, [text]) : text);
+    }
+    return parts;
+  };
+
+  const visit = (node) => {
+    if (node.type === 'element') {
+      const offset = node.position?.start?.offset;
+      if (offset !== undefined && BLOCK_TAGS.includes(node.tagName)) {
+        node.properties = { ...node.properties, dataSourceStart: String(offset) };
+      }
+      if (offset !== undefined && HEADING_TAGS.includes(node.tagName)) {
+        for (const thread of headings.filter(item => item.anchor.start === offset)) {
+          node.children.push(markElement(thread.id, []));
+        }
+      }
+      if (node.tagName === 'mark') {
+        return;
+      }
+    }
+    if (!node.children) {
+      return;
+    }
+    for (let i = 0; i < node.children.length; i++) {
+      const child = node.children[i];
+      if (child.type === 'text' && passages.length > 0) {
+        const replacement = splitText(child);
+        if (replacement) {
+          node.children.splice(i, 1, ...replacement);
+          i += replacement.length - 1;
+        }
+      } else {
+        visit(child);
+      }
+    }
+  };
+
+  return (tree) => {
+    lastMarks.clear();
+    visit(tree);
+    // The comment button follows the end of each passage
+    for (const mark of lastMarks.values()) {
+      mark.properties.dataCommentLast = 'true';
+    }
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Front-matter helpers for the web client.
+ *
+ * The server parses and validates the YAML front-matter of pages; these
+ * helpers render the block as a field list in Markdown previews, format field
+ * values and read `field:value` filters typed into the search box.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/** @const {Array<string>} Filters understood by the search and front-matter APIs */
+export const FRONT_MATTER_FILTERS = ['owner', 'status', 'system', 'tags', 'reviewBefore', 'reviewAfter'];
+
+/** @const {Array<{key: string, label: string}>} Fields shown for every page */
+export const STANDARD_FIELDS = [
+  { key: 'owner', label: 'Owner' },
+  { key: 'status', label: 'Status' },
+  { key: 'reviewDate', label: 'Review date' },
+  { key: 'system', label: 'System' },
+  { key: 'tags', label: 'Tags' }
+];
+
+const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+
+/**
+ * Reads the fields of a front-matter block for display. Covers the flat
+ * `key: value` form with inline `[a, b]` or `- item` lists that pages use;
+ * the server parses the full YAML and validates it.
+ * @param {string} content - The Markdown content.
+ * @return {Object|null} The fields, or null when the page has no front-matter.
+ */
+export function readFrontMatter(content) {
+  const match = (content || '').match(FRONT_MATTER_PATTERN);
+  if (!match) return null;
+
+  const fields = {};
+  let listKey = null;
+  match[1].split(/\r?\n/).forEach((line) => {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      fields[listKey].push(unquote(item[1]));
+      return;
+    }
+    const pair = line.match(/^([\w-]+):\s*(.*?)\s*$/);
+    if (!pair) return;
+    const [, key, value] = pair;
+    listKey = null;
+    if (value === '') {
+      fields[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value)) {
+      fields[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+    } else {
+      fields[key] = unquote(value);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Formats a front-matter value for display.
+ * @param {*} value - The value.
+ * @return {string} The text to show.
+ */
+export function formatFrontMatterValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(formatFrontMatterValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Reads the tags field as a list.
+ * @param {*} tags - A YAML list or a comma separated string.
+ * @return {Array<string>} The tags.
+ */
+export function getTags(tags) {
+  if (Array.isArray(tags)) return tags.map(String);
+  if (typeof tags === 'string') return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  return [];
+}
+
+/**
+ * Returns the Bootstrap badge class for a status value.
+ * @param {string} status - The status.
+ * @return {string} The badge class.
+ */
+export function getStatusBadgeClass(status) {
+  switch (String(status || '').toLowerCase()) {
+    case 'approved':
+    case 'published':
+    case 'active':
+      return 'bg-success';
+    case 'draft':
+    case 'proposed':
+      return 'bg-secondary';
+    case 'review':
+    case 'in-review':
+      return 'bg-warning text-dark';
+    case 'deprecated':
+    case 'superseded':
+    case 'rejected':
+      return 'bg-danger';
+    default:
+      return 'bg-info text-dark';
+  }
+}
+
+/**
+ * Splits `field:value` filters out of a search query, e.g.
+ * `payments status:approved tags:pci` searches for "payments" in approved
+ * pages tagged pci. Unknown fields stay part of the search text.
+ * @param {string} query - The search query.
+ * @return {{text: string, filters: Object}} The search text and filters.
+ */
+export function splitSearchFilters(query) {
+  const filters = {};
+  const words = [];
+  (query || '').trim().split(/\s+/).filter(Boolean).forEach((word) => {
+    const match = word.match(/^([A-Za-z]+):(.+)$/);
+    if (match && FRONT_MATTER_FILTERS.includes(match[1])) {
+      filters[match[1]] = filters[match[1]] ? `${filters[match[1]]},${match[2]}` : match[2];
+    } else {
+      words.push(word);
+    }
+  });
+  return { text: words.join(' '), filters };
+}
+
+/**
+ * Remark plugin that renders the front-matter of a page as a field list
+ * instead of the horizontal rule and heading Markdown would make of it.
+ * @return {Function} The remark transformer.
+ */
+export function remarkFrontMatter() {
+  const element = (tagName, className, children) => ({
+    type: 'element',
+    tagName,
+    properties: className ? { className: [className] } : {},
+    children
+  });
+
+  return (tree, file) => {
+    const match = String(file.value ?? '').match(FRONT_MATTER_PATTERN);
+    if (!match) return;
+
+    const end = match[0].length;
+    tree.children = tree.children.filter(node => !node.position || node.position.start.offset >= end);
+
+    const fields = Object.entries(readFrontMatter(match[0]) || {})
+      .filter(([, value]) => formatFrontMatterValue(value) !== '');
+    if (fields.length === 0) return;
+
+    const labels = Object.fromEntries(STANDARD_FIELDS.map(({ key, label }) => [key, label]));
+    tree.children.unshift({
+      type: 'frontMatter',
+      children: [],
+      data: {
+        hName: 'dl',
+        hProperties: { className: ['front-matter-card'] },
+        hChildren: fields.flatMap(([key, value]) => [
+          element('dt', null, [{ type: 'text', value: labels[key] || key }]),
+          element('dd', null, [{ type: 'text', value: formatFrontMatterValue(value) }])
+        ])
+      }
+    });
+  };
+}
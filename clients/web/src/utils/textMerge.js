@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Line-based three-way merge for save conflicts.
+ *
+ * When a save is rejected because someone else changed the file, the editor
+ * merges the local edits and the server version against the content both
+ * started from. Changes to different lines merge cleanly; overlapping
+ * changes are kept with Git-style conflict markers for the user to resolve.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const MINE_MARKER = '<<<<<<< Your changes';
+const SEPARATOR_MARKER = '=======';
+const THEIRS_MARKER = '>>>>>>> Server version';
+
+/**
+ * Matches the lines of two texts using their longest common subsequence.
+ * @param {Array<string>} base - The original lines.
+ * @param {Array<string>} other - The changed lines.
+ * @return {Array<number>} For each base line, the index of the matching line in other or -1.
+ */
+function matchLines(base, other) {
+  const matches = new Array(base.length).fill(-1);
+
+  let start = 0;
+  while (start < base.length && start < other.length && base[start] === other[start]) {
+    matches[start] = start;
+    start++;
+  }
+
+  let baseEnd = base.length;
+  let otherEnd = other.length;
+  while (baseEnd > start && otherEnd > start && base[baseEnd - 1] === other[otherEnd - 1]) {
+    baseEnd--;
+    otherEnd--;
+    matches[baseEnd] = otherEnd;
+  }
+
+  const rows = baseEnd - start;
+  const columns = otherEnd - start;
+  if (rows === 0 || columns === 0) {
+    return matches;
+  }
+
+  const lengths = new Uint32Array((rows + 1) * (columns + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i * (columns + 1) + j] = base[start + i] === other[start + j]
+        ? lengths[(i + 1) * (columns + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (columns + 1) + j], lengths[i * (columns + 1) + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (base[start + i] === other[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * (columns + 1) + j] >= lengths[i * (columns + 1) + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+/**
+ * Merges two edited versions of a text.
+ * @param {string} base - The content both versions started from.
+ * @param {string} mine - The local version.
+ * @param {string} theirs - The server version.
+ * @return {{content: string, conflicts: number}} The merged text and the number of conflicting regions.
+ */
+export function mergeText(base, mine, theirs) {
+  if (mine === theirs || theirs === base) {
+    return { content: mine, conflicts: 0 };
+  }
+  if (mine === base) {
+    return { content: theirs, conflicts: 0 };
+  }
+
+  const baseLines = (base || '').split('\n');
+  const mineLines = mine.split('\n');
+  const theirLines = theirs.split('\n');
+  const mineMatches = matchLines(baseLines, mineLines);
+  const theirMatches = matchLines(baseLines, theirLines);
+
+  const output = [];
+  let conflicts = 0;
+  let baseIndex = 0;
+  let mineIndex = 0;
+  let theirIndex = 0;
+
+  while (baseIndex <= baseLines.length) {
+    // Find the next base line that both versions kept
+    let stable = baseIndex;
+    while (stable < baseLines.length && (mineMatches[stable] < mineIndex || theirMatches[stable] < theirIndex)) {
+      stable++;
+    }
+
+    const mineEnd = stable < baseLines.length ? mineMatches[stable] : mineLines.length;
+    const theirEnd = stable < baseLines.length ? theirMatches[stable] : theirLines.length;
+    const baseChunk = baseLines.slice(baseIndex, stable);
+    const mineChunk = mineLines.slice(mineIndex, mineEnd);
+    const theirChunk = theirLines.slice(theirIndex, theirEnd);
+
+    if (sameLines(mineChunk, baseChunk) || sameLines(mineChunk, theirChunk)) {
+      output.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk)) {
+      output.push(...mineChunk);
+    } else {
+      conflicts++;
+      output.push(MINE_MARKER, ...mineChunk, SEPARATOR_MARKER, ...theirChunk, THEIRS_MARKER);
+    }
+
+    if (stable < baseLines.length) {
+      output.push(baseLines[stable]);
+    }
+    baseIndex = stable + 1;
+    mineIndex = mineEnd + 1;
+    theirIndex = theirEnd + 1;
+  }
+
+  return { content: output.join('\n'), conflicts };
+}
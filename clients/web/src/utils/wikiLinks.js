@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Wiki-style links for rendered Markdown.
+ *
+ * Resolves `[[Page Name]]`, `[[folder/Page|label]]` and `[[Page#Heading]]`
+ * against the files of the current space, using the same rules as the
+ * server's link index: names match file names without extension ignoring
+ * case, spaces, hyphens and underscores, preferring pages in the same folder
+ * and then the shortest path. The remark plugin turns wiki links into
+ * ordinary Markdown links so every renderer can style and handle them, and
+ * `![[diagram.excalidraw]]` embeds into images the renderers draw live.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const WIKI_LINK_PATTERN = /(!?)\[\[([^[\]\n|#]+)(#[^[\]\n|]*)?(\|[^[\]\n]*)?\]\]/g;
+
+/** @const {string} Class of links that resolve to a page */
+export const WIKI_LINK_CLASS = 'wiki-link';
+
+/** @const {string} Class of links whose page does not exist */
+export const BROKEN_WIKI_LINK_CLASS = 'wiki-link-broken';
+
+/** @const {string} Class of embedded diagram files */
+export const DIAGRAM_EMBED_CLASS = 'diagram-embed';
+
+const DIAGRAM_FILE_PATTERN = /\.excalidraw$/i;
+
+const dirname = (filePath) => {
+  const index = filePath.lastIndexOf('/');
+  return index === -1 ? '' : filePath.slice(0, index);
+};
+
+const stripMarkdownExtension = (filePath) => filePath.replace(/\.(md|markdown)$/i, '');
+
+const normalizeName = (name) => name.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+/**
+ * Lists the file paths of a file tree.
+ * @param {Array<Object>} tree - The file tree from the files API.
+ * @return {Array<string>} The file paths.
+ */
+export function flattenFilePaths(tree = []) {
+  const paths = [];
+  const collect = (items) => {
+    for (const item of items || []) {
+      if (item.type === 'directory' || item.type === 'folder') {
+        collect(item.children);
+      } else if (item.path) {
+        paths.push(item.path);
+      }
+    }
+  };
+  collect(tree);
+  return paths;
+}
+
+/**
+ * Creates a resolver for wiki link targets.
+ * @param {Array<string>} filePaths - All file paths of the space.
+ * @return {Function} resolve(target, fromPath) returning the file path, or null when the page is missing.
+ */
+export function createWikiLinkResolver(filePaths) {
+  const files = new Set(filePaths);
+  const byName = new Map();
+  const byPath = new Map();
+  const addCandidate = (map, key, filePath) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(filePath);
+  };
+
+  for (const filePath of filePaths) {
+    addCandidate(byName, normalizeName(stripMarkdownExtension(filePath.split('/').pop())), filePath);
+    addCandidate(byPath, normalizeName(stripMarkdownExtension(filePath)), filePath);
+  }
+
+  const choose = (candidates, fromPath) => {
+    if (!candidates || candidates.length === 0) return null;
+    const fromFolder = dirname(fromPath || '');
+    return [...candidates].sort((a, b) => {
+      const aLocal = dirname(a) === fromFolder ? 0 : 1;
+      const bLocal = dirname(b) === fromFolder ? 0 : 1;
+      return aLocal - bLocal || a.split('/').length - b.split('/').length || a.localeCompare(b);
+    })[0];
+  };
+
+  return (rawTarget, fromPath) => {
+    const target = rawTarget.trim().replace(/^\/+/, '');
+    if (files.has(target)) return target;
+    const key = normalizeName(stripMarkdownExtension(target));
+    if (target.includes('/')) {
+      if (byPath.has(key)) return choose(byPath.get(key), fromPath);
+      const suffixMatches = [...byPath.entries()]
+        .filter(([candidate]) => candidate.endsWith(`/${key}`))
+        .flatMap(([, paths]) => paths);
+      return choose(suffixMatches, fromPath);
+    }
+    return choose(byName.get(key), fromPath);
+  };
+}
+
+/**
+ * Remark plugin that turns wiki links in text into Markdown links. Links to
+ * existing pages get the `wiki-link` class and a `data-path` attribute with
+ * the page path; links to missing pages get `wiki-link-broken` as well.
+ * Embedded diagram files become images with the `diagram-embed` class and
+ * the diagram path in `data-path`.
+ * @param {Object} options - Plugin options.
+ * @param {Function} options.resolve - Resolver from createWikiLinkResolver.
+ * @param {string} [options.fromPath] - Path of the rendered page.
+ * @param {Function} [options.toHref] - Maps a page path to the link URL.
+ * @return {Function} The remark transformer.
+ */
+export function remarkWikiLinks({ resolve, fromPath = '', toHref = (filePath) => filePath } = {}) {
+  const toNodes = (text) => {
+    const nodes = [];
+    let cursor = 0;
+    for (const match of text.matchAll(WIKI_LINK_PATTERN)) {
+      const target = match[2].trim();
+      const anchor = match[3] ? match[3].slice(1) : '';
+      const label = match[4] ? match[4].slice(1).trim() : '';
+      const resolved = resolve ? resolve(target, fromPath) : null;
+
+      if (match.index > cursor) {
+        nodes.push({ type: 'text', value: text.slice(cursor, match.index) });
+      }
+      if (match[1] === '!' && resolved && DIAGRAM_FILE_PATTERN.test(resolved)) {
+        nodes.push({
+          type: 'image',
+          url: toHref(resolved),
+          alt: label || target,
+          data: { hProperties: { className: [DIAGRAM_EMBED_CLASS], 'data-path': resolved } }
+        });
+        cursor = match.index + match[0].length;
+        continue;
+      }
+      nodes.push({
+        type: 'link',
+        url: resolved ? `${toHref(resolved)}${anchor ? `#${anchor}` : ''}` : '#',
+        title: resolved ? null : `Page not found: ${target}`,
+        data: {
+          hProperties: {
+            className: resolved ? [WIKI_LINK_CLASS] : [WIKI_LINK_CLASS, BROKEN_WIKI_LINK_CLASS],
+            'data-path': resolved || undefined
+          }
+        },
+        children: [{ type: 'text', value: label || (anchor ? `${target} › ${anchor}` : target) }]
+      });
+      cursor = match.index + match[0].length;
+    }
+    if (nodes.length > 0 && cursor < text.length) {
+      nodes.push({ type: 'text', value: text.slice(cursor) });
+    }
+    return nodes;
+  };
+
+  const visit = (node) => {
+    if (!node.children || node.type === 'link' || node.type === 'linkReference') {
+      return;
+    }
+    for (let i = 0; i < node.children.length; i++) {
+      const child = node.children[i];
+      if (child.type === 'text' && child.value.includes('[[')) {
+        const replacement = toNodes(child.value);
+        if (replacement.length > 0) {
+          node.children.splice(i, 1, ...replacement);
+          i += replacement.length - 1;
+        }
+      } else {
+        visit(child);
+      }
+    }
+  };
+
+  return (tree) => {
+    visit(tree);
+  };
+}
+
+/**
+ * Reads the page path from the props of a rendered wiki link.
+ * @param {Object} props - Props of the rendered anchor.
+ * @return {{isWikiLink: boolean, path: string|null}} The link details.
+ */
+export function getWikiLinkTarget(props) {
+  const className = Array.isArray(props.className) ? props.className.join(' ') : (props.className || '');
+  return {
+    isWikiLink: className.split(' ').includes(WIKI_LINK_CLASS),
+    path: props['data-path'] || null
+  };
+}
+
+/**
+ * Reads the diagram path from the props of a rendered image.
+ * @param {Object} props - Props of the rendered image.
+ * @return {string|null} The path of the embedded diagram, or null for other images.
+ */
+export function getDiagramEmbedTarget(props) {
+  const className = Array.isArray(props.className) ? props.className.join(' ') : (props.className || '');
+  return className.split(' ').includes(DIAGRAM_EMBED_CLASS) ? props['data-path'] || null : null;
+}
@@ -31,6 +31,8 @@ const managementRoutes = require('./src/routes/server/management');
 // Import utilities
 const passport = require('./src/auth/passport');
 const PluginLoader = require('./src/utils/pluginLoader');
+const { attachCollaborationServer } = require('./src/collaboration');
+const { getFilingProviderForSpace } = require('./src/routes/spaces');
 
 // Import service container
 const { registerServices, validateServiceConfiguration, container } = require('./src/services/serviceRegistration');
@@ -42,6 +44,7 @@ const app = express();
 // Initialize plugin loader
 const pluginLoader = new PluginLoader(path.join(__dirname, 'plugins'));
 let pluginMiddleware = null;
+let sessionMiddleware = null;
 
 // Initialize API monitoring
 const apiMonitoring = createApiMonitoring(config.MAX_API_CALLS);
@@ -134,8 +137,9 @@ function configureMiddleware() {
   // Serve static files from public directory
   app.use(express.static(path.join(__dirname, 'public')));
 
-  // Session configuration
-  app.use(configureSession(config));
+  // Session configuration (shared with the collaboration WebSocket)
+  sessionMiddleware = configureSession(config);
+  app.use(sessionMiddleware);
 
   // Passport middleware
   app.use(passport.initialize());
@@ -193,7 +197,7 @@ async function startServer() {
   configureRoutes();
   
   // Start listening
-  app.listen(config.PORT, async () => {
+  const server = app.listen(config.PORT, async () => {
     printStartupInfo(config);
     
     // Start the git space scheduler
@@ -205,7 +209,65 @@ async function startServer() {
     } catch (error) {
       console.error('Failed to start git space scheduler:', error);
     }
-    
+
+    // Restore saved cron schedules, with git sync and the trash purge
+    // available as jobs. The trash purge is scheduled daily unless saved.
+    try {
+      const scheduler = container.get('scheduling');
+      const gitSpaceScheduler = require('./src/services/gitSpaceScheduler');
+      const { registerTrashPurgeJob, ensureTrashPurgeSchedule } = require('./src/utils/trash');
+      scheduler.registerJob('git-sync', () => gitSpaceScheduler.syncAllSpaces());
+      registerTrashPurgeJob(scheduler);
+      const restored = await scheduler.restore();
+      console.log(`⏰ Restored ${restored} saved schedule(s)`);
+      await ensureTrashPurgeSchedule(scheduler);
+    } catch (error) {
+      console.error('Failed to restore saved schedules:', error);
+    }
+
+    // Apply link index updates queued by the content processor workers
+    try {
+      const { startLinkQueueConsumer } = require('./src/utils/linkIndex');
+      startLinkQueueConsumer(container.get('queueing'));
+      console.log('🔗 Link index consumer started');
+    } catch (error) {
+      console.error('Failed to start link index consumer:', error);
+    }
+
+    // Index the pages written through the space routes for search
+    try {
+      const { startSearchQueueConsumer } = require('./src/utils/searchIndex');
+      startSearchQueueConsumer(container.get('queueing'), container.get('searching'));
+      console.log('🔎 Search index consumer started');
+    } catch (error) {
+      console.error('Failed to start search index consumer:', error);
+    }
+
+    // Deliver outbound webhooks of document lifecycle events
+    try {
+      const { startWebhookDelivery } = require('./src/utils/webhooks');
+      startWebhookDelivery(container.get('queueing'));
+      console.log('📡 Webhook delivery started');
+    } catch (error) {
+      console.error('Failed to start webhook delivery:', error);
+    }
+
+    // Run document review actions on the workflow service
+    try {
+      const { useWorkflowService } = require('./src/utils/reviewWorkflow');
+      useWorkflowService(container.get('workflow'));
+    } catch (error) {
+      console.error('Failed to attach the review workflow:', error);
+    }
+
+    // Deliver user notifications through the notifying service
+    try {
+      const { useNotifyingService } = require('./src/utils/notifications');
+      useNotifyingService(container.get('notifying'));
+    } catch (error) {
+      console.error('Failed to attach notification delivery:', error);
+    }
+
     // Initialize plugins after server startup
     await initializePlugins();
     
@@ -217,6 +279,13 @@ async function startServer() {
     console.log('=====================================');
     console.log('✅ Server initialization complete');
   });
+
+  // Real-time collaborative editing shares the HTTP server
+  attachCollaborationServer(server, {
+    getFilingProvider: getFilingProviderForSpace,
+    sessionMiddleware,
+    allowedOrigins: config.CORS_ALLOWED_ORIGINS
+  });
 }
 
 // Start the server
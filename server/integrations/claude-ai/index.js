@@ -79,6 +79,51 @@ class ClaudeAI {
     }
   }
 
+  /**
+   * Send a prompt and stream the response as it is generated. Unlike
+   * analyzeText the prompt is sent as is, so Markdown and URLs survive.
+   * @param {string} prompt - The complete user message
+   * @param {Object} options - Additional options
+   * @param {string} [options.systemMessage] - System prompt
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Function} onText - Called with each piece of text as it arrives
+   * @returns {Promise<Object>} Result with the complete response
+   */
+  async streamText(prompt, options = {}, onText = () => {}) {
+    if (!prompt || typeof prompt !== 'string') {
+      throw new Error('Prompt must be a non-empty string');
+    }
+
+    try {
+      const stream = this.anthropic.messages.stream({
+        model: options.model || this.options.model,
+        max_tokens: options.maxTokens || this.options.maxTokens,
+        temperature: options.temperature ?? this.options.temperature,
+        system: options.systemMessage || 'You are a helpful AI assistant specialized in code and document analysis.',
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ]
+      }, { signal: options.signal });
+      stream.on('text', onText);
+
+      const message = await stream.finalMessage();
+      return {
+        success: true,
+        response: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        model: message.model,
+        usage: message.usage,
+        inputTokens: message.usage?.input_tokens || 0,
+        outputTokens: message.usage?.output_tokens || 0,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      throw new Error(`Claude AI request failed: ${error.message}`);
+    }
+  }
+
   /**
  * Cleans the provided code by removing comments and unnecessary whitespace.
  * This method is useful for preparing code snippets for analysis
@@ -137,12 +137,26 @@ class DocxToMarkdown {
   async convertWithMammoth(inputPath) {
     try {
       const mammoth = require('mammoth');
-      const result = await mammoth.convertToMarkdown(inputPath);
+      const images = [];
+      const options = {};
+
+      // Collect embedded images so callers can store them next to the markdown
+      if (this.options.preserveImages) {
+        options.convertImage = mammoth.images.imgElement(async (image) => {
+          const extension = (image.contentType || 'image/png').split('/').pop().replace('jpeg', 'jpg');
+          const name = `image-${images.length + 1}.${extension}`;
+          const data = await image.read();
+          images.push({ name, contentType: image.contentType, data });
+          return { src: `${this.options.imageOutputDir}/${name}` };
+        });
+      }
+
+      const result = await mammoth.convertToMarkdown({ path: inputPath }, options);
       
       return {
         markdown: result.value,
         messages: result.messages || [],
-        images: [],
+        images,
         method: 'mammoth'
       };
     } catch (error) {
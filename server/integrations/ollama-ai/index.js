@@ -23,16 +23,20 @@ const fs = require('fs').promises;
  * Ollama AI client class for interacting with local Ollama server.
  * 
  * This class provides methods to analyze text and files using Ollama AI models.
- * It handles communication with the local Ollama server running on port 11434.
+ * It handles communication with the Ollama server, by default the local one
+ * on port 11434; set OLLAMA_HOST or the host option to use another.
  */
 class OllamaAI {
   /**
    * Creates a new OllamaAI instance.
    * 
    * @param {string} model - The name of the Ollama model to use (e.g., 'llama2', 'codellama').
+   * @param {Object} [options] - Client options.
+   * @param {string} [options.host] - URL of the Ollama server.
    */
-  constructor(model) {
+  constructor(model, options = {}) {
     this.model = model;
+    this.host = (options.host || process.env.OLLAMA_HOST || 'http://localhost:11434').replace(/\/+$/, '');
   }
 
   /**
@@ -48,7 +52,7 @@ class OllamaAI {
    * @throws {Error} When the Ollama server is unavailable or returns an error.
    */
   async analyzeText(prompt, text) {
-    const response = await axios.post('http://localhost:11434/api/generate', {
+    const response = await axios.post(`${this.host}/api/generate`, {
       model: this.model,
       prompt: await this.cleanText(`${prompt}\n\n${text}`),
       stream: false,
@@ -57,6 +61,59 @@ class OllamaAI {
     return response.data.response;
   }
 
+  /**
+   * Sends a prompt and streams the response as the model generates it.
+   * 
+   * Unlike analyzeText the prompt is sent as is, so Markdown and URLs in it
+   * survive. Ollama answers with one JSON object per line.
+   * 
+   * @param {string} prompt - The complete prompt.
+   * @param {Object} [options] - Request options.
+   * @param {string} [options.system] - System prompt.
+   * @param {number} [options.maxTokens] - Most tokens to generate.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @param {Function} [onText] - Called with each piece of text as it arrives.
+   * @return {Promise<{response: string, model: string}>} The complete response.
+   * @throws {Error} When the Ollama server is unavailable or returns an error.
+   */
+  async streamText(prompt, options = {}, onText = () => {}) {
+    const response = await axios.post(`${this.host}/api/generate`, {
+      model: this.model,
+      prompt,
+      ...(options.system ? { system: options.system } : {}),
+      ...(options.maxTokens ? { options: { num_predict: options.maxTokens } } : {}),
+      stream: true,
+    }, { responseType: 'stream', signal: options.signal });
+
+    let text = '';
+    let buffer = '';
+    const handleLine = (line) => {
+      if (!line.trim()) {
+        return;
+      }
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(data.error);
+      }
+      if (data.response) {
+        text += data.response;
+        onText(data.response);
+      }
+    };
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        handleLine(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+      }
+    }
+    handleLine(buffer);
+
+    return { response: text, model: this.model };
+  }
+
   /**
    * Analyzes a file's content using the configured AI model.
    * 
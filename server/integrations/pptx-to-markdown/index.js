@@ -35,6 +35,7 @@ class PptxToMarkdownConverter {
       includeSlideNumbers: true,
       includeNotes: false,
       extractImages: false,
+      imageOutputDir: 'images',
       ...options
     };
   }
@@ -135,7 +136,8 @@ class PptxToMarkdownConverter {
         slides.push({
           number: slideNumber,
           content: slideContent,
-          title: slideContent.title || `Slide ${slideNumber}`
+          title: slideContent.title || `Slide ${slideNumber}`,
+          images: this.getSlideImages(zip, slideNumber)
         });
       } catch (error) {
         console.warn(`Failed to parse slide ${entry.entryName}:`, error.message);
@@ -145,6 +147,30 @@ class PptxToMarkdownConverter {
     return slides;
   }
 
+  /**
+   * Resolve the media files referenced by a slide through its relationships file
+   * @param {AdmZip} zip - AdmZip instance
+   * @param {number} slideNumber - Slide number
+   * @returns {Array<string>} Media file names used on the slide
+   */
+  getSlideImages(zip, slideNumber) {
+    const relsEntry = zip.getEntry(`ppt/slides/_rels/slide${slideNumber}.xml.rels`);
+    if (!relsEntry) {
+      return [];
+    }
+
+    const relsXml = zip.readAsText(relsEntry);
+    const images = [];
+    const targetPattern = /Target="\.\.\/media\/([^"]+\.(?:png|jpg|jpeg|gif|bmp))"/gi;
+    let match;
+    while ((match = targetPattern.exec(relsXml)) !== null) {
+      if (!images.includes(match[1])) {
+        images.push(match[1]);
+      }
+    }
+    return images;
+  }
+
   /**
    * Parse individual slide XML content
    * @param {string} xmlContent - XML content of the slide
@@ -254,6 +280,14 @@ class PptxToMarkdownConverter {
         markdown += '\n';
       }
 
+      // Link slide images when they are being extracted alongside the markdown
+      if (this.options.extractImages && slide.images && slide.images.length > 0) {
+        for (const image of slide.images) {
+          markdown += `![${image}](${this.options.imageOutputDir}/${image})\n`;
+        }
+        markdown += '\n';
+      }
+
       markdown += '---\n\n';
     }
 
@@ -261,7 +295,7 @@ class PptxToMarkdownConverter {
   }
 
   /**
-   * Extract images from PPTX (placeholder implementation)
+   * Extract images from PPTX
    * @param {AdmZip} zip - AdmZip instance
    * @param {Array} zipEntries - ZIP file entries
    * @returns {Array} Array of image objects
@@ -277,7 +311,8 @@ class PptxToMarkdownConverter {
       images.push({
         name: path.basename(entry.entryName),
         path: entry.entryName,
-        size: entry.header.size
+        size: entry.header.size,
+        data: entry.getData()
       });
     }
 
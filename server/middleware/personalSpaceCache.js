@@ -4,6 +4,7 @@
  */
 
 const path = require('path');
+const { setVersionHeader } = require('../src/utils/contentVersion');
 
 // Cache instance will be retrieved from DI container
 let cacheInstance = null;
@@ -155,6 +156,11 @@ function cacheFirstContent() {
           response.mtime = cachedMeta.mtime;
           response.lastCached = cachedMeta.processedAt;
         }
+
+        // Binary content is cached as base64, so only text carries its version
+        if (typeof response.content === 'string' && ['markdown', 'text'].includes(response.fileType)) {
+          response.version = setVersionHeader(res, response.content);
+        }
         
         return res.json(response);
       }
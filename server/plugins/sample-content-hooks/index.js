@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Sample Content Hooks Plugin for Design Artifacts.
+ *
+ * Shows the content lifecycle hooks, custom routes and settings of the plugin
+ * API with two house rules:
+ * - Glossary linking: the onRender hook links terms of the glossary to their
+ *   definition in previews and static site exports. Stored pages are not
+ *   changed.
+ * - House-style linting: the beforeSave hook checks Markdown for discouraged
+ *   phrases and warns about them, or refuses the save in block mode.
+ *
+ * Both do nothing until terms or phrases are entered on the Settings page.
+ *
+ * Exports:
+ * - settings: Settings shown on the admin Settings page
+ * - hooks.onRender(event, context): Links glossary terms
+ * - hooks.beforeSave(event, context): Lints saved Markdown
+ * - routes(router, context): GET /glossary and POST /lint under /api/ext/sample-content-hooks
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ */
+
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+
+// Code, links and wiki links are left as they are
+const PROTECTED_MARKDOWN = /(`[^`\n]*`|!?\[[^\]\n]*\]\([^)\n]*\)|\[\[[^\]\n]*\]\]|<[^>\n]+>)/;
+
+/**
+ * Reads `Term = https://link` lines into glossary entries, longest term first
+ * so "Event Store" is linked before "Event".
+ * @param {string} text - The glossary setting.
+ * @return {Array<{term: string, url: string}>} The glossary.
+ */
+function parseGlossary(text) {
+  return (text || '').split('\n')
+    .map(line => line.split('='))
+    .filter(parts => parts.length >= 2 && parts[0].trim() && parts.slice(1).join('=').trim())
+    .map(parts => ({ term: parts[0].trim(), url: parts.slice(1).join('=').trim() }))
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+/**
+ * Reads `phrase => preferred` or `phrase` lines into lint rules.
+ * @param {string} text - The discouraged phrases setting.
+ * @return {Array<{phrase: string, preferred: (string|null)}>} The rules.
+ */
+function parsePhrases(text) {
+  return (text || '').split('\n')
+    .map(line => line.split('=>').map(part => part.trim()))
+    .filter(([phrase]) => phrase)
+    .map(([phrase, preferred]) => ({ phrase, preferred: preferred || null }));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function termPattern(term, flags) {
+  return new RegExp(`(^|[^\\w])(${escapeRegExp(term)})(?=[^\\w]|$)`, flags);
+}
+
+/**
+ * Links glossary terms in Markdown outside code blocks, headings and links.
+ * @param {string} markdown - The Markdown to render.
+ * @param {Array<{term: string, url: string}>} glossary - The glossary.
+ * @param {boolean} firstOnly - Link only the first use of each term.
+ * @return {string} The Markdown with links.
+ */
+function linkGlossaryTerms(markdown, glossary, firstOnly) {
+  const linked = new Set();
+  let inFence = false;
+
+  return markdown.split('\n').map(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return line;
+    }
+    if (inFence || /^\s*#/.test(line) || /^ {4}|^\t/.test(line)) {
+      return line;
+    }
+
+    return line.split(PROTECTED_MARKDOWN).map((part, index) => {
+      if (index % 2 === 1) {
+        return part;
+      }
+      // Links are swapped for placeholders so shorter terms do not link inside them
+      const links = [];
+      for (const { term, url } of glossary) {
+        part = part.replace(termPattern(term, 'gi'), (match, before, text) => {
+          if (firstOnly && linked.has(term)) {
+            return match;
+          }
+          linked.add(term);
+          links.push(`[${text}](${url})`);
+          return `${before}\u0000${links.length - 1}\u0000`;
+        });
+      }
+      return part.replace(/\u0000(\d+)\u0000/g, (match, linkIndex) => links[linkIndex]);
+    }).join('');
+  }).join('\n');
+}
+
+/**
+ * Finds discouraged phrases in Markdown, outside code blocks.
+ * @param {string} markdown - The Markdown to check.
+ * @param {Array<{phrase: string, preferred: (string|null)}>} rules - The lint rules.
+ * @return {Array<string>} One message per use of a phrase.
+ */
+function lintMarkdown(markdown, rules) {
+  const problems = [];
+  let inFence = false;
+
+  markdown.split('\n').forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      return;
+    }
+    const text = line.replace(/`[^`\n]*`/g, '');
+    for (const { phrase, preferred } of rules) {
+      if (termPattern(phrase, 'i').test(text)) {
+        problems.push(preferred
+          ? `Line ${index + 1}: use "${preferred}" instead of "${phrase}"`
+          : `Line ${index + 1}: avoid "${phrase}"`);
+      }
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  name: 'sample-content-hooks',
+  version: '1.0.0',
+
+  settings: [
+    {
+      key: 'glossary',
+      label: 'Glossary',
+      type: 'text',
+      default: '',
+      description: 'One "Term = https://link" per line. Terms are linked in previews and exported sites.'
+    },
+    {
+      key: 'linkFirstOnly',
+      label: 'Link only the first use of a term',
+      type: 'boolean',
+      default: true
+    },
+    {
+      key: 'discouragedPhrases',
+      label: 'Discouraged phrases',
+      type: 'text',
+      default: '',
+      description: 'One "phrase => preferred wording" or "phrase" per line.'
+    },
+    {
+      key: 'lintMode',
+      label: 'When a discouraged phrase is saved',
+      type: 'select',
+      options: ['off', 'warn', 'block'],
+      default: 'warn',
+      description: 'Warn returns the problems with the save, block refuses it.'
+    }
+  ],
+
+  hooks: {
+    onRender(event, context) {
+      const glossary = parseGlossary(context.settings.glossary);
+      if (glossary.length === 0) {
+        return undefined;
+      }
+      return { markdown: linkGlossaryTerms(event.markdown, glossary, context.settings.linkFirstOnly) };
+    },
+
+    beforeSave(event, context) {
+      const { lintMode, discouragedPhrases } = context.settings;
+      if (lintMode === 'off' || !MARKDOWN_FILE.test(event.path)) {
+        return undefined;
+      }
+      const problems = lintMarkdown(event.content, parsePhrases(discouragedPhrases));
+      if (problems.length === 0) {
+        return undefined;
+      }
+      return lintMode === 'block' ? { errors: problems } : { warnings: problems };
+    }
+  },
+
+  routes(router, context) {
+    // The glossary, for editors that want to suggest terms
+    router.get('/glossary', (req, res) => {
+      res.json({ terms: parseGlossary(context.settings.glossary) });
+    });
+
+    // Lint Markdown without saving it
+    router.post('/lint', (req, res) => {
+      const { content } = req.body || {};
+      if (typeof content !== 'string') {
+        return res.status(400).json({ error: 'Content is required' });
+      }
+      res.json({ problems: lintMarkdown(content, parsePhrases(context.settings.discouragedPhrases)) });
+    });
+  }
+};
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview API key usage audit log.
+ *
+ * Every request made with an API key is appended to
+ * server-data/api-key-audit.log as one JSON line: the key and its user, the
+ * client address, method, path, the response status once it is sent, and
+ * whether the key was accepted. Refused uses, for an expired key or an
+ * address outside the allow-list, are logged with the reason.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-05
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, '../../../server-data/api-key-audit.log');
+
+let auditFile = DEFAULT_AUDIT_FILE;
+
+// Requests already logged; several middlewares may authenticate one request
+const auditedRequests = new WeakSet();
+
+/**
+ * Sets the file audit entries are written to, for example in tests.
+ * @param {string|null} file - Log file, or null for the default.
+ */
+function setApiKeyAuditFile(file) {
+  auditFile = file || DEFAULT_AUDIT_FILE;
+}
+
+async function appendEntry(entry) {
+  try {
+    await fs.ensureDir(path.dirname(auditFile));
+    await fs.appendFile(auditFile, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    console.error('Failed to write API key audit entry:', error.message);
+  }
+}
+
+/**
+ * Logs a use of an API key, once per request. When the request has a
+ * response, the entry is written after it is sent, with its status code.
+ * @param {Object|undefined} req - Express request the key was used for.
+ * @param {Object} details - keyId, userId, outcome ('allowed' or 'denied') and reason.
+ */
+function recordApiKeyUse(req, details) {
+  if (req && auditedRequests.has(req)) {
+    return;
+  }
+  const entry = {
+    timestamp: new Date().toISOString(),
+    keyId: details.keyId,
+    userId: details.userId,
+    outcome: details.outcome,
+    ...(details.reason ? { reason: details.reason } : {}),
+    ip: req ? req.ip || (req.socket && req.socket.remoteAddress) || null : null,
+    method: req ? req.method : null,
+    path: req ? (req.originalUrl || req.url || '').split('?')[0] : null
+  };
+
+  if (!req) {
+    appendEntry(entry);
+    return;
+  }
+  auditedRequests.add(req);
+  const res = req.res;
+  if (res && !res.writableEnded && typeof res.on === 'function') {
+    res.on('finish', () => appendEntry({ ...entry, status: res.statusCode }));
+  } else {
+    appendEntry(entry);
+  }
+}
+
+/**
+ * Reads the most recent uses of an API key.
+ * @param {string} keyId - API key identifier.
+ * @param {number} [limit] - Number of entries to return.
+ * @return {Promise<Array<Object>>} Entries, newest first.
+ */
+async function readApiKeyUsage(keyId, limit = 100) {
+  let text;
+  try {
+    text = await fs.readFile(auditFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  const lines = text.split('\n');
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    if (!lines[i]) continue;
+    try {
+      const entry = JSON.parse(lines[i]);
+      if (entry.keyId === keyId) {
+        entries.push(entry);
+      }
+    } catch (error) {
+      // Skip a line cut short by a crash
+    }
+  }
+  return entries;
+}
+
+module.exports = {
+  setApiKeyAuditFile,
+  recordApiKeyUse,
+  readApiKeyUsage
+};
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview API key scopes.
+ *
+ * An API key can be limited to a list of spaces and to read-only or
+ * read-write access, can expire, and can be restricted to an IP allow-list:
+ *
+ *   "scope": {
+ *     "spaces": ["Shared", "Architecture"],
+ *     "access": "read",
+ *     "expiresAt": "2026-01-31T00:00:00.000Z",
+ *     "allowedIps": ["10.0.0.0/8", "192.168.1.20"]
+ *   }
+ *
+ * `spaces` null means every space the user can open. A scope never grants
+ * more than the user's own role: read keys act as viewers and read-write keys
+ * at most as editors (see utils/spaceRoles). Keys without a scope, created
+ * before scopes existed, keep the full access of their user.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-05
+ */
+
+const net = require('net');
+
+/** @const {Object<string, string>} Highest space role each access level allows */
+const API_KEY_ACCESS_ROLES = {
+  read: 'viewer',
+  write: 'editor'
+};
+
+/**
+ * Parses an IP address or CIDR range.
+ * @param {string} entry - Address such as 10.0.0.1 or range such as 10.0.0.0/8.
+ * @return {{address: string, prefix: number|null, family: string}|null} The parsed entry.
+ */
+function parseIpEntry(entry) {
+  const [address, prefixText, extra] = String(entry).trim().split('/');
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) {
+    return null;
+  }
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  if (prefixText === undefined) {
+    return { address, prefix: null, family };
+  }
+  const prefix = Number(prefixText);
+  if (!/^\d+$/.test(prefixText) || prefix > (version === 4 ? 32 : 128)) {
+    return null;
+  }
+  return { address, prefix, family };
+}
+
+/**
+ * Validates and normalises the scope of a new or updated API key.
+ * @param {Object} input - Request fields: spaces, access, expiresAt or
+ *     expiresInDays, and allowedIps.
+ * @param {Object<string, Object>} spaceConfigs - Known spaces by name.
+ * @return {{scope: Object|null, error: string|null}} The scope, or why it is invalid.
+ */
+function normalizeApiKeyScope(input, spaceConfigs) {
+  const { spaces, access = 'read', expiresAt, expiresInDays, allowedIps } = input || {};
+
+  if (!API_KEY_ACCESS_ROLES[access]) {
+    return { scope: null, error: `Access must be one of: ${Object.keys(API_KEY_ACCESS_ROLES).join(', ')}` };
+  }
+
+  let scopeSpaces = null;
+  if (spaces !== undefined && spaces !== null) {
+    if (!Array.isArray(spaces) || spaces.length === 0 || spaces.some(name => typeof name !== 'string')) {
+      return { scope: null, error: 'Spaces must be a non-empty array of space names, or null for all spaces' };
+    }
+    scopeSpaces = [...new Set(spaces.map(name => name.trim()))];
+    const unknown = scopeSpaces.filter(name => !spaceConfigs[name]);
+    if (unknown.length > 0) {
+      return { scope: null, error: `Unknown spaces: ${unknown.join(', ')}` };
+    }
+  }
+
+  let expiry = null;
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    expiry = new Date(expiresAt);
+  } else if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      return { scope: null, error: 'expiresInDays must be a positive number' };
+    }
+    expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+  if (expiry && (Number.isNaN(expiry.getTime()) || expiry.getTime() <= Date.now())) {
+    return { scope: null, error: 'Expiry must be a date in the future' };
+  }
+
+  let ips = [];
+  if (allowedIps !== undefined && allowedIps !== null) {
+    const entries = typeof allowedIps === 'string' ? allowedIps.split(',') : allowedIps;
+    if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string')) {
+      return { scope: null, error: 'allowedIps must be a list of IP addresses or CIDR ranges' };
+    }
+    ips = entries.map(entry => entry.trim()).filter(Boolean);
+    const invalid = ips.filter(entry => !parseIpEntry(entry));
+    if (invalid.length > 0) {
+      return { scope: null, error: `Invalid IP addresses or ranges: ${invalid.join(', ')}` };
+    }
+  }
+
+  return {
+    scope: {
+      spaces: scopeSpaces,
+      access,
+      expiresAt: expiry ? expiry.toISOString() : null,
+      allowedIps: ips
+    },
+    error: null
+  };
+}
+
+/**
+ * Checks whether an API key has expired.
+ * @param {Object} apiKey - The stored API key.
+ * @param {Date} [now] - Current time.
+ * @return {boolean} True when the key has an expiry in the past.
+ */
+function isApiKeyExpired(apiKey, now = new Date()) {
+  const expiresAt = apiKey.scope && apiKey.scope.expiresAt;
+  return Boolean(expiresAt) && new Date(expiresAt).getTime() <= now.getTime();
+}
+
+/**
+ * Checks a client address against an IP allow-list.
+ * @param {Array<string>} allowedIps - Addresses and CIDR ranges; empty allows all.
+ * @param {string} ip - Client address, IPv4-mapped IPv6 addresses included.
+ * @return {boolean} True when the address is allowed.
+ */
+function isIpAllowed(allowedIps, ip) {
+  if (!allowedIps || allowedIps.length === 0) {
+    return true;
+  }
+  const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  for (const entry of allowedIps) {
+    const parsed = parseIpEntry(entry);
+    if (!parsed) continue;
+    if (parsed.prefix === null) {
+      blockList.addAddress(parsed.address, parsed.family);
+    } else {
+      blockList.addSubnet(parsed.address, parsed.prefix, parsed.family);
+    }
+  }
+  return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Returns the scope fields shown to the owner of a key.
+ * @param {Object} apiKey - The stored API key.
+ * @return {Object} spaces, access, expiresAt, allowedIps and expired.
+ */
+function describeApiKeyScope(apiKey) {
+  const scope = apiKey.scope || { spaces: null, access: 'full', expiresAt: null, allowedIps: [] };
+  return {
+    spaces: scope.spaces,
+    access: scope.access,
+    expiresAt: scope.expiresAt,
+    allowedIps: scope.allowedIps,
+    expired: isApiKeyExpired(apiKey)
+  };
+}
+
+module.exports = {
+  API_KEY_ACCESS_ROLES,
+  normalizeApiKeyScope,
+  isApiKeyExpired,
+  isIpAllowed,
+  describeApiKeyScope
+};
@@ -31,7 +31,7 @@ function requireAuth(req, res, next) {
     
     // If not a session token, try API key authentication
     if (!user) {
-      user = userStorage.authenticateByApiKey(token);
+      user = userStorage.authenticateByApiKey(token, req);
     }
     
     if (user) {
@@ -44,6 +44,21 @@ function requireAuth(req, res, next) {
   res.status(401).json({ error: 'Authentication required' });
 }
 
+/**
+ * Refuses requests made with a scoped API key. Used on routes that manage
+ * the account itself, so a key limited to some spaces cannot create
+ * unrestricted keys or change the user's settings, and on routes that do
+ * not belong to a space the scope could be checked against: the legacy
+ * content, the notification inbox and the plugin routes.
+ */
+function rejectScopedApiKey(req, res, next) {
+  if (req.user && req.user.apiKeyScope) {
+    return res.status(403).json({ error: 'Scoped API keys cannot be used for this operation' });
+  }
+  next();
+}
+
 module.exports = {
-  requireAuth
+  requireAuth,
+  rejectScopedApiKey
 };
\ No newline at end of file
@@ -101,7 +101,7 @@ passport.deserializeUser(async (id, done) => {
       return done(null, false);
     }
     
-    const userObj = { id: user.id, username: user.username, createdAt: user.createdAt, roles: user.roles || [], spaces: user.spaces };
+    const userObj = { id: user.id, username: user.username, createdAt: user.createdAt, roles: user.roles || [], spaces: user.spaces, groups: user.groups };
     done(null, userObj);
   } catch (error) {
     console.log('[Passport] Error in deserializeUser:', error);
@@ -18,6 +18,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { isApiKeyExpired, isIpAllowed } = require('./apiKeyScopes');
+const { recordApiKeyUse } = require('./apiKeyAudit');
 
 const USERS_FILE = path.join(__dirname, '../../../server-data/users.json');
 const API_KEYS_FILE = path.join(__dirname, '../../../server-data/api-keys.json');
@@ -129,7 +131,7 @@ class UserStorage {
     this.users.push(user);
     await this.saveUsers();
     
-    return { id: user.id, username: user.username, createdAt: user.createdAt, roles: user.roles, spaces: user.spaces };
+    return { id: user.id, username: user.username, createdAt: user.createdAt, roles: user.roles, spaces: user.spaces, groups: user.groups };
   }
 
   async createGoogleUser(googleUserData) {
@@ -156,7 +158,7 @@ class UserStorage {
     this.users.push(user);
     await this.saveUsers();
     
-    return { id: user.id, username: user.username, email: user.email, name: user.name, picture: user.picture, createdAt: user.createdAt, roles: user.roles, spaces: user.spaces };
+    return { id: user.id, username: user.username, email: user.email, name: user.name, picture: user.picture, createdAt: user.createdAt, roles: user.roles, spaces: user.spaces, groups: user.groups };
   }
 
   linkGoogleAccount(userId, googleId) {
@@ -206,7 +208,7 @@ class UserStorage {
       return null;
     }
 
-    return { id: user.id, username: user.username, createdAt: user.createdAt, roles: user.roles || [], spaces: user.spaces };
+    return { id: user.id, username: user.username, createdAt: user.createdAt, roles: user.roles || [], spaces: user.spaces, groups: user.groups };
   }
 
   getAllUsers() {
@@ -265,7 +267,8 @@ class UserStorage {
       username: user.username,
       createdAt: user.createdAt,
       roles: user.roles || [],
-      spaces: user.spaces
+      spaces: user.spaces,
+      groups: user.groups
     };
   }
 
@@ -316,6 +319,10 @@ class UserStorage {
       user.roles = updateData.roles;
     }
 
+    if (updateData.groups !== undefined) {
+      user.groups = updateData.groups;
+    }
+
     // Save to file
     await this.saveUsers();
     return true;
@@ -413,6 +420,9 @@ class UserStorage {
         if (updateData.description !== undefined) {
           apiKey.description = updateData.description;
         }
+        if (updateData.scope !== undefined) {
+          apiKey.scope = updateData.scope;
+        }
         apiKey.updatedAt = new Date().toISOString();
         this.saveApiKeys();
         return true;
@@ -425,16 +435,29 @@ class UserStorage {
   }
 
   /**
-   * Authenticate user by API key
+   * Authenticate user by API key. Expired keys and requests from addresses
+   * outside the key's allow-list are refused; every use is audited.
    * @param {string} keyValue - The API key value
+   * @param {Object} [req] - Express request the key is used for
    * @returns {Object|null} - The user object or null if invalid
    */
-  authenticateByApiKey(keyValue) {
+  authenticateByApiKey(keyValue, req) {
     const apiKey = this.getApiKeyByValue(keyValue);
     if (!apiKey) {
       return null;
     }
 
+    const audit = { keyId: apiKey.id, userId: apiKey.userId };
+    if (isApiKeyExpired(apiKey)) {
+      recordApiKeyUse(req, { ...audit, outcome: 'denied', reason: 'expired' });
+      return null;
+    }
+    if (apiKey.scope && apiKey.scope.allowedIps.length > 0 &&
+        !isIpAllowed(apiKey.scope.allowedIps, req && (req.ip || (req.socket && req.socket.remoteAddress)))) {
+      recordApiKeyUse(req, { ...audit, outcome: 'denied', reason: 'ip_not_allowed' });
+      return null;
+    }
+
     const user = this.findUserById(apiKey.userId);
     if (!user) {
       return null;
@@ -442,6 +465,7 @@ class UserStorage {
 
     // Update last used timestamp
     this.updateApiKeyLastUsed(keyValue);
+    recordApiKeyUse(req, { ...audit, outcome: 'allowed' });
 
     return {
       id: user.id,
@@ -449,7 +473,9 @@ class UserStorage {
       createdAt: user.createdAt,
       roles: user.roles || [],
       spaces: user.spaces,
-      apiKeyId: apiKey.id
+      groups: user.groups,
+      apiKeyId: apiKey.id,
+      ...(apiKey.scope ? { apiKeyScope: apiKey.scope } : {})
     };
   }
 
@@ -475,7 +501,8 @@ class UserStorage {
       username: user.username,
       createdAt: user.createdAt,
       roles: user.roles || [],
-      spaces: user.spaces
+      spaces: user.spaces,
+      groups: user.groups
     };
   }
 }
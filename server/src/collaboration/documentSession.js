@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Shared editing session for one document.
+ *
+ * Holds the authoritative text of a document while clients edit it together.
+ * Each accepted operation increments the version; operations sent against an
+ * older version are transformed over the operations applied since. Changes
+ * are written to the filing provider once edits have settled.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const { isValidOperation, apply, transform, fromDiff, transformIndex } = require('../utils/textOperation');
+
+/**
+ * Error raised for requests a session cannot accept. The message and the
+ * details, such as why a save was refused, are safe to send back to the client.
+ */
+class CollaborationError extends Error {
+  constructor(message, code = 'invalid', details = {}) {
+    super(message);
+    this.name = 'CollaborationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class DocumentSession {
+  /**
+   * @param {Object} options - Session options.
+   * @param {string} options.id - Document id shared with clients.
+   * @param {string} options.content - Current text of the document.
+   * @param {Function} options.save - Async function(content, username) that persists the text.
+   *     It resolves with the text written when that differs, and throws a
+   *     CollaborationError to refuse the text.
+   * @param {number} [options.saveDelay=2000] - Quiet time in ms before saving.
+   * @param {number} [options.maxSaveDelay=15000] - Longest time in ms changes stay unsaved.
+   * @param {number} [options.maxHistory=1000] - Operations kept for transforming late edits.
+   */
+  constructor(options) {
+    this.id = options.id;
+    this.content = options.content;
+    this.savedContent = options.content;
+    this.version = 0;
+    this.history = [];
+    this.historyStart = 0;
+    this.participants = new Map();
+    this.users_ = new Map();
+    this.save_ = options.save;
+    this.saveDelay = options.saveDelay ?? 2000;
+    this.maxSaveDelay = options.maxSaveDelay ?? 15000;
+    this.maxHistory = options.maxHistory ?? 1000;
+    this.saveTimer_ = null;
+    this.dirtySince_ = null;
+    this.lastEditor_ = null;
+    this.saving_ = null;
+    this.refusedContent_ = null;
+  }
+
+  /**
+   * Adds a participant to the session.
+   * @param {Object} participant - {clientId, username, canEdit, send} and
+   *     optionally the authenticated `user`.
+   */
+  join(participant) {
+    this.participants.set(participant.clientId, { ...participant, cursor: null });
+    if (participant.user) {
+      this.users_.set(participant.username, participant.user);
+    }
+    this.broadcastPresence_();
+  }
+
+  /**
+   * Returns the user who joined under a name, also after they left, so that
+   * their last edits are saved as them.
+   * @param {string} username - The username.
+   * @return {Object|null} The user given to join.
+   */
+  getUser(username) {
+    return this.users_.get(username) || null;
+  }
+
+  /**
+   * Removes a participant from the session.
+   * @param {string} clientId - The participant's client id.
+   * @return {boolean} True when nobody is left in the session.
+   */
+  leave(clientId) {
+    this.participants.delete(clientId);
+    this.broadcastPresence_();
+    return this.participants.size === 0;
+  }
+
+  /**
+   * Returns the participants without their transport handles.
+   * @return {Array<Object>} The participants.
+   */
+  getParticipants() {
+    return Array.from(this.participants.values()).map(({ clientId, username, canEdit, cursor }) => ({
+      clientId,
+      username,
+      canEdit,
+      cursor
+    }));
+  }
+
+  /**
+   * Applies an operation sent by a participant.
+   * @param {string} clientId - The sending client.
+   * @param {number} version - The version the operation was created against.
+   * @param {Array} operation - The operation.
+   * @return {number} The new document version.
+   */
+  receive(clientId, version, operation) {
+    const participant = this.participants.get(clientId);
+    if (!participant) {
+      throw new CollaborationError('Join the document before editing it');
+    }
+    if (!participant.canEdit) {
+      throw new CollaborationError('You do not have permission to edit this document', 'forbidden');
+    }
+    if (!isValidOperation(operation)) {
+      throw new CollaborationError('Malformed operation');
+    }
+    if (!Number.isInteger(version) || version > this.version) {
+      throw new CollaborationError('Unknown document version');
+    }
+    if (version < this.historyStart) {
+      throw new CollaborationError('Document version is too old, rejoin to resynchronise', 'resync');
+    }
+
+    let transformed = operation;
+    for (const concurrent of this.history.slice(version - this.historyStart)) {
+      [transformed] = transform(transformed, concurrent);
+    }
+
+    try {
+      this.content = apply(this.content, transformed);
+    } catch (error) {
+      throw new CollaborationError(error.message, 'resync');
+    }
+
+    this.commit_(transformed, participant);
+    participant.send({ type: 'ack', docId: this.id, version: this.version });
+    return this.version;
+  }
+
+  /**
+   * Replaces the text with content written outside the session, for example
+   * by a comment or a save through the REST API, and shares the change.
+   * @param {string} content - The new text, already persisted.
+   * @param {string} [username] - Who made the change.
+   */
+  applyExternal(content, username = null) {
+    if (content === this.content) {
+      return;
+    }
+    const operation = fromDiff(this.content, content);
+    this.content = content;
+    this.savedContent = content;
+    this.commit_(operation, { clientId: null, username });
+  }
+
+  /**
+   * Updates a participant's cursor or selection and shares it.
+   * @param {string} clientId - The client id.
+   * @param {Object} cursor - {anchor, head} offsets in the current version.
+   */
+  setCursor(clientId, cursor) {
+    const participant = this.participants.get(clientId);
+    if (!participant || !cursor) {
+      return;
+    }
+    const clamp = (value) => Math.max(0, Math.min(this.content.length, parseInt(value, 10) || 0));
+    participant.cursor = { anchor: clamp(cursor.anchor), head: clamp(cursor.head ?? cursor.anchor) };
+    this.broadcast_({
+      type: 'cursor',
+      docId: this.id,
+      clientId,
+      username: participant.username,
+      cursor: participant.cursor
+    }, clientId);
+  }
+
+  /**
+   * Saves pending changes now.
+   * @return {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.saveTimer_);
+    this.saveTimer_ = null;
+
+    if (this.saving_) {
+      await this.saving_;
+    }
+    // A refused text is only saved again once it has been edited
+    if (this.content === this.savedContent || this.content === this.refusedContent_) {
+      this.dirtySince_ = null;
+      return;
+    }
+
+    const content = this.content;
+    const version = this.version;
+    this.saving_ = this.save_(content, this.lastEditor_)
+      .then((written) => {
+        this.savedContent = content;
+        this.refusedContent_ = null;
+        const savedVersion = typeof written === 'string' && written !== content
+          ? this.applySaved_(written, content, version)
+          : version;
+        this.broadcast_({ type: 'saved', docId: this.id, version: savedVersion, savedAt: new Date().toISOString() });
+      })
+      .catch((error) => {
+        if (error instanceof CollaborationError) {
+          this.refusedContent_ = content;
+          this.broadcast_({ ...error.details, type: 'error', docId: this.id, code: error.code, error: error.message });
+          return;
+        }
+        console.error(`Failed to save collaborative document ${this.id}:`, error);
+        this.broadcast_({ type: 'error', docId: this.id, error: 'Failed to save document' });
+      })
+      .finally(() => {
+        this.saving_ = null;
+      });
+    await this.saving_;
+
+    if (this.content !== this.savedContent && this.content !== this.refusedContent_) {
+      this.scheduleSave_();
+    } else {
+      this.dirtySince_ = null;
+    }
+  }
+
+  /**
+   * Tells participants the document was closed and stops the session
+   * without saving.
+   * @param {string} reason - Why the document was closed.
+   */
+  close(reason) {
+    this.broadcast_({ type: 'closed', docId: this.id, reason });
+    this.dispose();
+  }
+
+  /**
+   * Stops the save timer without saving.
+   */
+  dispose() {
+    clearTimeout(this.saveTimer_);
+    this.saveTimer_ = null;
+    this.participants.clear();
+  }
+
+  /**
+   * Shares the change made to a text as it was saved, e.g. by a plugin, over
+   * the edits made since.
+   * @param {string} written - The text that was written.
+   * @param {string} content - The text that was saved.
+   * @param {number} version - The version of that text.
+   * @return {number} The version holding the change.
+   */
+  applySaved_(written, content, version) {
+    this.savedContent = written;
+    if (version < this.historyStart) {
+      // Too many edits since to place the change; the next save replaces it
+      return version;
+    }
+    let operation = fromDiff(content, written);
+    for (const concurrent of this.history.slice(version - this.historyStart)) {
+      [operation] = transform(operation, concurrent);
+    }
+    this.content = apply(this.content, operation);
+    this.commit_(operation, { clientId: null, username: null });
+    return this.version;
+  }
+
+  /**
+   * Records an applied operation, moves cursors and informs participants.
+   */
+  commit_(operation, origin) {
+    this.version++;
+    this.history.push(operation);
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+      this.historyStart++;
+    }
+
+    for (const participant of this.participants.values()) {
+      if (participant.cursor) {
+        participant.cursor = {
+          anchor: transformIndex(participant.cursor.anchor, operation),
+          head: transformIndex(participant.cursor.head, operation)
+        };
+      }
+    }
+
+    this.broadcast_({
+      type: 'operation',
+      docId: this.id,
+      version: this.version,
+      operation,
+      clientId: origin.clientId,
+      username: origin.username
+    }, origin.clientId);
+
+    if (origin.clientId) {
+      this.lastEditor_ = origin.username;
+      this.scheduleSave_();
+    }
+  }
+
+  scheduleSave_() {
+    const now = Date.now();
+    if (!this.dirtySince_) {
+      this.dirtySince_ = now;
+    }
+    clearTimeout(this.saveTimer_);
+    const delay = Math.max(0, Math.min(this.saveDelay, this.dirtySince_ + this.maxSaveDelay - now));
+    this.saveTimer_ = setTimeout(() => this.flush(), delay);
+    if (this.saveTimer_.unref) {
+      this.saveTimer_.unref();
+    }
+  }
+
+  broadcastPresence_() {
+    this.broadcast_({ type: 'presence', docId: this.id, participants: this.getParticipants() });
+  }
+
+  broadcast_(message, exceptClientId = null) {
+    for (const participant of this.participants.values()) {
+      if (participant.clientId !== exceptClientId) {
+        participant.send(message);
+      }
+    }
+  }
+}
+
+module.exports = { DocumentSession, CollaborationError };
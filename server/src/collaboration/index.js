@@ -0,0 +1,500 @@
+/**
+ * @fileoverview Real-time collaborative editing over WebSocket.
+ *
+ * Clients connect to `/api/collab` and exchange JSON messages:
+ *
+ * Client to server:
+ * - `{type: 'join', space, path}` opens a document
+ * - `{type: 'operation', docId, version, operation}` sends an edit made against `version`
+ * - `{type: 'cursor', docId, cursor: {anchor, head}}` shares the caret or selection
+ * - `{type: 'leave', docId}` closes a document
+ *
+ * Server to client:
+ * - `joined` with the text, version, role and participants of a document
+ * - `ack` when the client's own operation has been applied
+ * - `operation` with an edit from another participant or from a REST save
+ * - `presence`, `cursor` and `saved` updates, `closed` when the file is
+ *   deleted or renamed, and `error` with an optional `code`; a save refused
+ *   by a schema or a plugin has the code `save_refused` and lists its
+ *   `validationErrors` or plugin `problems`
+ *
+ * Operations use the format of utils/textOperation. Browsers authenticate
+ * with their session cookie, accepted only from the app's own origins; the
+ * Electron and VS Code clients send their session token or API key as a
+ * Bearer header or `token` query parameter. Personal spaces are private to
+ * each user and are not shared. Space roles are checked again whenever the
+ * edits are saved, so a user who lost write access stops saving.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const userStorage = require('../auth/userStorage');
+const { resolveSpaceRole, hasSpacePermission } = require('../utils/spaceRoles');
+const { readPreviousContent } = require('../utils/versionHistory');
+const { SaveRefusedError, saveSpaceFile } = require('../utils/spaceFileWriter');
+const { DocumentSession, CollaborationError } = require('./documentSession');
+
+const COLLABORATION_PATH = '/api/collab';
+const HEARTBEAT_INTERVAL = 30000;
+
+/**
+ * Loads the configuration of a space from server-data/spaces.json.
+ * @param {string} spaceName - The space name.
+ * @return {Object|null} The space configuration.
+ */
+function loadSpaceConfig(spaceName) {
+  const spacesPath = path.join(__dirname, '../../../server-data/spaces.json');
+  if (!fs.existsSync(spacesPath)) {
+    return null;
+  }
+  const spaces = JSON.parse(fs.readFileSync(spacesPath, 'utf8'));
+  return spaces.find(space => space.space === spaceName) || null;
+}
+
+/**
+ * Builds the id shared by every client editing the same file.
+ */
+function getDocumentId(spaceName, filePath) {
+  return `${spaceName}:${filePath}`;
+}
+
+class CollaborationHub {
+  /**
+   * @param {Object} options - Hub options.
+   * @param {Function} options.getFilingProvider - Async function(spaceName) returning the filing provider.
+   * @param {Function} [options.loadSpaceConfig] - Function(spaceName) returning the space configuration.
+   * @param {number} [options.saveDelay] - Quiet time in ms before edits are saved.
+   */
+  constructor(options) {
+    this.getFilingProvider = options.getFilingProvider;
+    this.loadSpaceConfig = options.loadSpaceConfig || loadSpaceConfig;
+    this.saveDelay = options.saveDelay;
+    this.sessions = new Map();
+    this.opening = new Map();
+    this.closing = new Map();
+  }
+
+  /**
+   * Registers a connected client.
+   * @param {Object} user - The authenticated user.
+   * @param {Function} send - Function(message) that delivers a message to the client.
+   * @return {Object} The client handle.
+   */
+  connect(user, send) {
+    return { id: crypto.randomUUID(), user, send, documents: new Set() };
+  }
+
+  /**
+   * Removes a disconnected client from all its documents.
+   * @param {Object} client - The client handle.
+   */
+  async disconnect(client) {
+    await Promise.all(Array.from(client.documents).map(docId => this.leave(client, docId)));
+  }
+
+  /**
+   * Handles a message from a client and reports errors back to it.
+   * @param {Object} client - The client handle.
+   * @param {Object} message - The parsed message.
+   */
+  async handleMessage(client, message) {
+    try {
+      switch (message && message.type) {
+        case 'join':
+          await this.join(client, message.space, message.path);
+          break;
+        case 'operation':
+          this.getJoinedSession_(client, message.docId).receive(client.id, message.version, message.operation);
+          break;
+        case 'cursor':
+          this.getJoinedSession_(client, message.docId).setCursor(client.id, message.cursor);
+          break;
+        case 'leave':
+          await this.leave(client, message.docId);
+          break;
+        default:
+          throw new CollaborationError('Unknown message type');
+      }
+    } catch (error) {
+      if (!(error instanceof CollaborationError)) {
+        console.error('Collaboration error:', error);
+      }
+      client.send({
+        type: 'error',
+        docId: message && message.docId,
+        code: error.code || 'internal',
+        error: error instanceof CollaborationError ? error.message : 'Collaboration request failed'
+      });
+    }
+  }
+
+  /**
+   * Adds a client to the session of a file, opening it if needed.
+   * @param {Object} client - The client handle.
+   * @param {string} spaceName - The space name.
+   * @param {string} filePath - The file path within the space.
+   */
+  async join(client, spaceName, filePath) {
+    if (typeof spaceName !== 'string' || typeof filePath !== 'string' || !filePath.endsWith('.md')) {
+      throw new CollaborationError('A space and a markdown file path are required');
+    }
+    if (spaceName === 'Personal') {
+      throw new CollaborationError('Collaborative editing is not available in the Personal space', 'forbidden');
+    }
+
+    const spaceConfig = this.loadSpaceConfig(spaceName);
+    if (!spaceConfig) {
+      throw new CollaborationError('Space not found', 'not_found');
+    }
+    const role = resolveSpaceRole(client.user, spaceConfig);
+    if (!role) {
+      throw new CollaborationError('Access denied to this space', 'forbidden');
+    }
+    const canEdit = spaceConfig.access !== 'readonly' && hasSpacePermission(role, 'write');
+
+    const docId = getDocumentId(spaceName, filePath);
+    const session = await this.openSession_(docId, spaceName, filePath, spaceConfig, client.user);
+
+    client.documents.add(docId);
+    session.join({ clientId: client.id, username: client.user.username, user: client.user, canEdit, send: client.send });
+    client.send({
+      type: 'joined',
+      docId,
+      clientId: client.id,
+      version: session.version,
+      content: session.content,
+      role,
+      canEdit,
+      participants: session.getParticipants()
+    });
+  }
+
+  /**
+   * Removes a client from a document, saving and closing the session when
+   * the last participant leaves.
+   * @param {Object} client - The client handle.
+   * @param {string} docId - The document id.
+   */
+  async leave(client, docId) {
+    client.documents.delete(docId);
+    const session = this.sessions.get(docId);
+    if (session && session.leave(client.id)) {
+      this.sessions.delete(docId);
+      const closing = session.flush().finally(() => {
+        session.dispose();
+        this.closing.delete(docId);
+      });
+      this.closing.set(docId, closing);
+      await closing;
+    }
+  }
+
+  /**
+   * Shares content written to a file outside the session.
+   * @param {string} spaceName - The space name.
+   * @param {string} filePath - The file path within the space.
+   * @param {string} content - The written content.
+   * @param {string} [username] - Who wrote it.
+   */
+  notifyFileWritten(spaceName, filePath, content, username) {
+    const session = this.sessions.get(getDocumentId(spaceName, filePath));
+    if (session && typeof content === 'string') {
+      session.applyExternal(content, username);
+    }
+  }
+
+  /**
+   * Saves the unsaved edits of a file so a REST write that reads the file
+   * first, such as adding a comment, starts from the shared text.
+   * @param {string} spaceName - The space name.
+   * @param {string} filePath - The file path within the space.
+   */
+  async flushFile(spaceName, filePath) {
+    const session = this.sessions.get(getDocumentId(spaceName, filePath));
+    if (session) {
+      await session.flush();
+    }
+  }
+
+  /**
+   * Closes the sessions of a file, or of every file in a folder, that was
+   * deleted or renamed.
+   * @param {string} spaceName - The space name.
+   * @param {string} itemPath - The old file or folder path within the space.
+   * @param {string} reason - Why the documents were closed.
+   */
+  notifyFileRemoved(spaceName, itemPath, reason = 'deleted') {
+    const docId = getDocumentId(spaceName, itemPath);
+    for (const [id, session] of this.sessions) {
+      if (id === docId || id.startsWith(`${docId}/`)) {
+        this.sessions.delete(id);
+        session.close(reason);
+      }
+    }
+  }
+
+  /**
+   * Saves every open session, used on shutdown.
+   */
+  async flushAll() {
+    await Promise.all(Array.from(this.sessions.values()).map(session => session.flush()));
+  }
+
+  getJoinedSession_(client, docId) {
+    const session = this.sessions.get(docId);
+    if (!session || !client.documents.has(docId)) {
+      throw new CollaborationError('Join the document before editing it', 'resync');
+    }
+    return session;
+  }
+
+  async openSession_(docId, spaceName, filePath, spaceConfig, user) {
+    if (this.sessions.has(docId)) {
+      return this.sessions.get(docId);
+    }
+    // Concurrent joins of the same file share one load
+    if (!this.opening.has(docId)) {
+      this.opening.set(docId, this.createSession_(docId, spaceName, filePath, spaceConfig, user)
+        .finally(() => this.opening.delete(docId)));
+    }
+    return this.opening.get(docId);
+  }
+
+  async createSession_(docId, spaceName, filePath, spaceConfig, user) {
+    // A session that is still saving after its last participant left must
+    // finish before the file is read again
+    await this.closing.get(docId);
+
+    const filing = await this.getFilingProvider(spaceName);
+    const providerPath = spaceConfig.access === 'readonly' ? filePath : `markdown/${filePath}`;
+
+    if (typeof filing.setUserContext === 'function') {
+      filing.setUserContext(user, spaceName);
+    }
+    const content = await readPreviousContent(filing, providerPath);
+    if (content === null) {
+      throw new CollaborationError('File not found', 'not_found');
+    }
+
+    const session = new DocumentSession({
+      id: docId,
+      content,
+      saveDelay: this.saveDelay,
+      save: async (text, username) => {
+        // The last editor may be another participant than the one who opened
+        // the file, and their role may have changed since they joined
+        const joined = (username && session.getUser(username)) || user;
+        const stored = userStorage.findUserByUsername(joined.username);
+        const account = stored && { ...stored, apiKeyScope: joined.apiKeyScope };
+        const currentConfig = this.loadSpaceConfig(spaceName);
+        const role = resolveSpaceRole(account, currentConfig);
+        if (!role || currentConfig.access === 'readonly' || !hasSpacePermission(role, 'write')) {
+          throw new CollaborationError('You no longer have permission to edit this document', 'forbidden');
+        }
+        const editor = { id: account.id, username: account.username };
+        if (typeof filing.setUserContext === 'function') {
+          filing.setUserContext(editor, spaceName);
+        }
+        try {
+          const saved = await saveSpaceFile({ filing, spaceName, spaceConfig, user: editor }, filePath, providerPath, text, {
+            message: 'Edited collaboratively',
+            notifySession: false
+          });
+          // The session shares text a plugin changed with the editors
+          return saved.content.toString();
+        } catch (error) {
+          if (error instanceof SaveRefusedError) {
+            const { error: message, ...details } = error.body;
+            throw new CollaborationError(message, 'save_refused', details);
+          }
+          throw error;
+        }
+      }
+    });
+    this.sessions.set(docId, session);
+    return session;
+  }
+}
+
+/**
+ * Checks that an upgrade request comes from a page of the app: the server
+ * itself or one of the client origins it allows. Browsers send the cookie
+ * with WebSocket upgrades from any site, so this is what stops another site
+ * from editing documents as its visitor.
+ * @param {http.IncomingMessage} req - The upgrade request.
+ * @param {Array<string>} allowedOrigins - Origins of the app's clients.
+ * @return {boolean} True for the app's own origins.
+ */
+function isAppOrigin(req, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return false;
+  }
+  if (allowedOrigins.includes(origin)) {
+    return true;
+  }
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Authenticates a WebSocket upgrade request with a Bearer token, a `token`
+ * query parameter or the browser session cookie. The cookie only counts for
+ * requests from the app's own origins.
+ * @param {http.IncomingMessage} req - The upgrade request.
+ * @param {Function} [sessionMiddleware] - The express-session middleware.
+ * @param {Array<string>} [allowedOrigins] - Origins of the app's clients.
+ * @return {Promise<Object|null>} The user, or null when not authenticated.
+ */
+async function authenticateUpgrade(req, sessionMiddleware, allowedOrigins = []) {
+  const url = new URL(req.url, 'http://localhost');
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : url.searchParams.get('token');
+
+  if (token) {
+    return userStorage.validateSessionToken(token) || userStorage.authenticateByApiKey(token, req);
+  }
+
+  if (!sessionMiddleware || !isAppOrigin(req, allowedOrigins)) {
+    return null;
+  }
+
+  await new Promise(resolve => sessionMiddleware(req, {}, resolve));
+  const userId = req.session && req.session.passport && req.session.passport.user;
+  const user = userId ? userStorage.findUserById(userId) : null;
+  if (!user) {
+    return null;
+  }
+  return { id: user.id, username: user.username, createdAt: user.createdAt, roles: user.roles || [], spaces: user.spaces, groups: user.groups };
+}
+
+let hub = null;
+
+/**
+ * Attaches the collaboration WebSocket endpoint to the HTTP server.
+ * @param {http.Server} server - The HTTP server returned by app.listen.
+ * @param {Object} options - Options.
+ * @param {Function} options.getFilingProvider - Async function(spaceName) returning the filing provider.
+ * @param {Function} [options.sessionMiddleware] - The express-session middleware for cookie auth.
+ * @param {Array<string>} [options.allowedOrigins] - Client origins, besides the
+ *     server's own, whose pages may connect with the session cookie.
+ * @param {number} [options.saveDelay] - Quiet time in ms before edits are saved.
+ * @return {CollaborationHub} The hub.
+ */
+function attachCollaborationServer(server, options) {
+  hub = new CollaborationHub(options);
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 5 * 1024 * 1024 });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== COLLABORATION_PATH) {
+      return;
+    }
+
+    authenticateUpgrade(req, options.sessionMiddleware, options.allowedOrigins)
+      .then((user) => {
+        if (!user) {
+          socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+          socket.destroy();
+          return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, user));
+      })
+      .catch((error) => {
+        console.error('Collaboration upgrade failed:', error);
+        socket.destroy();
+      });
+  });
+
+  wss.on('connection', (ws, user) => {
+    const client = hub.connect(user, (message) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    });
+    ws.isAlive = true;
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        client.send({ type: 'error', code: 'invalid', error: 'Messages must be JSON' });
+        return;
+      }
+      hub.handleMessage(client, message);
+    });
+    ws.on('close', () => {
+      hub.disconnect(client).catch(error => console.error('Collaboration disconnect failed:', error));
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log(`🤝 Collaborative editing available at ws://<host>${COLLABORATION_PATH}`);
+  return hub;
+}
+
+/**
+ * Shares a file write made through the REST API with its open session.
+ * Does nothing when collaboration is not attached or the file is not open.
+ */
+function notifyFileWritten(spaceName, filePath, content, username) {
+  if (hub) {
+    hub.notifyFileWritten(spaceName, filePath, content, username);
+  }
+}
+
+/**
+ * Saves the unsaved collaborative edits of a file before a REST write.
+ */
+async function flushCollaborativeEdits(spaceName, filePath) {
+  if (hub) {
+    await hub.flushFile(spaceName, filePath);
+  }
+}
+
+/**
+ * Closes the open session of a deleted or renamed file.
+ */
+function notifyFileRemoved(spaceName, filePath, reason) {
+  if (hub) {
+    hub.notifyFileRemoved(spaceName, filePath, reason);
+  }
+}
+
+module.exports = {
+  COLLABORATION_PATH,
+  CollaborationHub,
+  authenticateUpgrade,
+  attachCollaborationServer,
+  notifyFileWritten,
+  notifyFileRemoved,
+  flushCollaborativeEdits
+};
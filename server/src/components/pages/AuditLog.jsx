@@ -0,0 +1,370 @@
+import React from 'react';
+
+const AuditLog = () => {
+  return (
+    <>
+      <div className="content-header">
+        <h1>Audit Log</h1>
+        <p>Who changed content, permissions and server configuration, and when</p>
+      </div>
+
+      <div className="audit-section">
+        <form className="audit-filters" id="auditFilters">
+          <div className="form-group">
+            <label htmlFor="filterFrom">From:</label>
+            <input type="date" id="filterFrom" name="from" />
+          </div>
+          <div className="form-group">
+            <label htmlFor="filterTo">To:</label>
+            <input type="date" id="filterTo" name="to" />
+          </div>
+          <div className="form-group">
+            <label htmlFor="filterCategory">Category:</label>
+            <select id="filterCategory" name="category">
+              <option value="">All</option>
+              <option value="content">Content</option>
+              <option value="permission">Permission</option>
+              <option value="admin">Admin</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="filterAction">Action:</label>
+            <input type="text" id="filterAction" name="action" placeholder="e.g. file.delete or file" />
+          </div>
+          <div className="form-group">
+            <label htmlFor="filterActor">User:</label>
+            <input type="text" id="filterActor" name="actor" placeholder="Username or id" />
+          </div>
+          <div className="form-group">
+            <label htmlFor="filterSpace">Space:</label>
+            <input type="text" id="filterSpace" name="space" placeholder="Space name" />
+          </div>
+          <div className="form-group">
+            <label htmlFor="filterPath">Path:</label>
+            <input type="text" id="filterPath" name="path" placeholder="Path prefix" />
+          </div>
+          <div className="audit-actions">
+            <button type="submit" className="btn btn-primary">Apply</button>
+            <button type="button" className="btn btn-secondary" id="resetFilters">Reset</button>
+            <button type="button" className="btn btn-secondary" id="exportCsv">Export CSV</button>
+            <button type="button" className="btn btn-secondary" id="exportJson">Export JSON</button>
+            <button type="button" className="btn btn-secondary" id="verifyLog">Verify Integrity</button>
+          </div>
+        </form>
+
+        <div className="audit-status" id="auditStatus"></div>
+
+        <div className="table-container">
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>User</th>
+                <th>Action</th>
+                <th>Space</th>
+                <th>Path</th>
+                <th>Before</th>
+                <th>After</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody id="auditTableBody">
+              <tr><td colSpan="8" className="empty-message">Loading audit entries...</td></tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div className="audit-pager">
+          <button type="button" className="btn btn-secondary" id="previousPage" disabled>Previous</button>
+          <span id="pageInfo"></span>
+          <button type="button" className="btn btn-secondary" id="nextPage" disabled>Next</button>
+        </div>
+      </div>
+
+      <script dangerouslySetInnerHTML={{__html: `
+        const PAGE_SIZE = 50;
+        let offset = 0;
+
+        document.addEventListener('DOMContentLoaded', loadEntries);
+
+        function escapeHtml(text) {
+          const div = document.createElement('div');
+          div.textContent = text == null ? '' : String(text);
+          return div.innerHTML;
+        }
+
+        function getFilterQuery() {
+          const params = new URLSearchParams();
+          new FormData(document.getElementById('auditFilters')).forEach((value, name) => {
+            if (value.trim()) {
+              params.set(name, value.trim());
+            }
+          });
+          return params;
+        }
+
+        function shortHash(hash) {
+          return hash ? '<code title="' + hash + '">' + hash.slice(0, 10) + '</code>' : '-';
+        }
+
+        async function loadEntries() {
+          const params = getFilterQuery();
+          params.set('limit', PAGE_SIZE);
+          params.set('offset', offset);
+
+          try {
+            const response = await fetch('/api/audit?' + params.toString());
+            const result = await response.json();
+            if (!response.ok) {
+              throw new Error(result.error || 'Failed to load audit log');
+            }
+            renderEntries(result);
+          } catch (error) {
+            document.getElementById('auditTableBody').innerHTML =
+              '<tr><td colspan="8" class="error-message">' + escapeHtml(error.message) + '</td></tr>';
+          }
+        }
+
+        function renderEntries({ entries, total }) {
+          const tableBody = document.getElementById('auditTableBody');
+          if (entries.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="8" class="empty-message">No audit entries match these filters</td></tr>';
+          } else {
+            tableBody.innerHTML = entries.map(entry => \`
+              <tr>
+                <td>\${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>\${escapeHtml(entry.actor || 'anonymous')}\${entry.apiKeyId ? '<br><small>API key ' + escapeHtml(entry.apiKeyId.slice(0, 8)) + '</small>' : ''}</td>
+                <td><span class="category-badge category-\${entry.category}">\${entry.category}</span> \${escapeHtml(entry.action)}</td>
+                <td>\${escapeHtml(entry.space || '-')}</td>
+                <td class="audit-path">\${escapeHtml(entry.path || '-')}</td>
+                <td>\${shortHash(entry.beforeHash)}</td>
+                <td>\${shortHash(entry.afterHash)}</td>
+                <td class="audit-details">\${entry.details ? escapeHtml(JSON.stringify(entry.details)) : ''}</td>
+              </tr>
+            \`).join('');
+          }
+
+          const last = Math.min(offset + entries.length, total);
+          document.getElementById('pageInfo').textContent = total > 0 ? (offset + 1) + '-' + last + ' of ' + total : '';
+          document.getElementById('previousPage').disabled = offset === 0;
+          document.getElementById('nextPage').disabled = last >= total;
+        }
+
+        function exportEntries(format) {
+          const params = getFilterQuery();
+          params.set('format', format);
+          window.location.href = '/api/audit/export?' + params.toString();
+        }
+
+        document.getElementById('auditFilters').addEventListener('submit', (e) => {
+          e.preventDefault();
+          offset = 0;
+          loadEntries();
+        });
+
+        document.getElementById('resetFilters').addEventListener('click', () => {
+          document.getElementById('auditFilters').reset();
+          offset = 0;
+          loadEntries();
+        });
+
+        document.getElementById('previousPage').addEventListener('click', () => {
+          offset = Math.max(0, offset - PAGE_SIZE);
+          loadEntries();
+        });
+
+        document.getElementById('nextPage').addEventListener('click', () => {
+          offset += PAGE_SIZE;
+          loadEntries();
+        });
+
+        document.getElementById('exportCsv').addEventListener('click', () => exportEntries('csv'));
+        document.getElementById('exportJson').addEventListener('click', () => exportEntries('json'));
+
+        document.getElementById('verifyLog').addEventListener('click', async () => {
+          const status = document.getElementById('auditStatus');
+          try {
+            const response = await fetch('/api/audit/verify');
+            const result = await response.json();
+            if (!response.ok) {
+              throw new Error(result.error || 'Failed to verify audit log');
+            }
+            status.className = 'audit-status ' + (result.valid ? 'status-valid' : 'status-invalid');
+            status.textContent = result.valid
+              ? 'All ' + result.entries + ' entries are intact.'
+              : 'Audit log integrity check failed at line ' + result.brokenAt + ': ' + result.reason;
+          } catch (error) {
+            status.className = 'audit-status status-invalid';
+            status.textContent = error.message;
+          }
+        });
+      `}} />
+
+      <style dangerouslySetInnerHTML={{__html: `
+        .audit-section {
+          background: #ffffff;
+          border: 1px solid #dfe1e6;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 1px 2px rgba(0, 0, 0, 0.04);
+          padding: 2rem;
+        }
+
+        .audit-filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 1rem;
+          align-items: flex-end;
+          margin-bottom: 1.5rem;
+        }
+
+        .audit-filters .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+        }
+
+        .audit-filters label {
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: #5e6c84;
+        }
+
+        .audit-filters input,
+        .audit-filters select {
+          padding: 0.5rem;
+          border: 1px solid #dfe1e6;
+          border-radius: 4px;
+          font-size: 0.875rem;
+        }
+
+        .audit-actions {
+          display: flex;
+          gap: 0.5rem;
+          flex-wrap: wrap;
+        }
+
+        .audit-status {
+          margin-bottom: 1rem;
+          font-size: 0.875rem;
+        }
+
+        .status-valid {
+          color: #006644;
+        }
+
+        .status-invalid {
+          color: #de350b;
+        }
+
+        .table-container {
+          overflow-x: auto;
+          max-height: 60vh;
+          border-radius: 6px;
+          border: 1px solid #dfe1e6;
+        }
+
+        .audit-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.875rem;
+        }
+
+        .audit-table th,
+        .audit-table td {
+          padding: 0.75rem;
+          text-align: left;
+          border-bottom: 1px solid #dfe1e6;
+          color: #172b4d;
+          vertical-align: top;
+        }
+
+        .audit-table th {
+          background: #f4f5f7;
+          font-weight: 600;
+          position: sticky;
+          top: 0;
+        }
+
+        .audit-path,
+        .audit-details {
+          word-break: break-all;
+          max-width: 280px;
+        }
+
+        .audit-details {
+          font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+          font-size: 0.75rem;
+          color: #5e6c84;
+        }
+
+        .empty-message,
+        .error-message {
+          text-align: center;
+          color: #5e6c84;
+        }
+
+        .error-message {
+          color: #de350b;
+        }
+
+        .category-badge {
+          padding: 0.125rem 0.5rem;
+          border-radius: 12px;
+          font-size: 0.75rem;
+          font-weight: 600;
+        }
+
+        .category-content {
+          background: #deebff;
+          color: #0052cc;
+        }
+
+        .category-permission {
+          background: #fff4e6;
+          color: #974f0c;
+        }
+
+        .category-admin {
+          background: #ffebe6;
+          color: #bf2600;
+        }
+
+        .audit-pager {
+          display: flex;
+          justify-content: flex-end;
+          align-items: center;
+          gap: 1rem;
+          margin-top: 1rem;
+          font-size: 0.875rem;
+          color: #5e6c84;
+        }
+
+        .btn {
+          padding: 0.5rem 1rem;
+          border: 1px solid #dfe1e6;
+          border-radius: 6px;
+          font-size: 0.875rem;
+          font-weight: 500;
+          cursor: pointer;
+          background: #ffffff;
+          color: #172b4d;
+          line-height: 1;
+        }
+
+        .btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .btn-primary {
+          background: #0052cc;
+          color: white;
+          border-color: #0052cc;
+        }
+      `}} />
+    </>
+  );
+};
+
+export default AuditLog;
@@ -95,14 +95,68 @@ const Queueing = () => {
               <tr>
                 <th>Queue Name</th>
                 <th>Messages</th>
+                <th>In Flight</th>
+                <th>Dead Letters</th>
                 <th>Last Enqueued</th>
                 <th>Total Enqueued</th>
                 <th>Total Dequeued</th>
+                <th>Total Retried</th>
               </tr>
             </thead>
             <tbody id="queueStatsTableBody">
               <tr id="noQueueStatsRow">
-                <td colspan="5" className="text-center text-muted">No queue statistics available</td>
+                <td colspan="8" className="text-center text-muted">No queue statistics available</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Message Inspection Section */}
+      <div className="queue-stats-section">
+        <div className="stats-header">
+          <h2>
+            <i className="bi bi-search me-2"></i>
+            Messages &amp; Dead Letters
+          </h2>
+          <div className="queue-operations">
+            <button type="button" className="btn btn-outline-success btn-sm" id="redriveAllButton">
+              <i className="bi bi-arrow-repeat me-1"></i>Redrive All
+            </button>
+            <button type="button" className="btn btn-outline-danger btn-sm" id="purgeAllButton">
+              <i className="bi bi-trash me-1"></i>Purge All
+            </button>
+          </div>
+        </div>
+        <div className="inspect-filters">
+          <input type="text" id="inspectQueueName" className="form-control" placeholder="Queue name..." defaultValue="default" />
+          <select id="inspectState" className="form-control">
+            <option value="dead">Dead letters</option>
+            <option value="">All messages</option>
+            <option value="ready">Ready</option>
+            <option value="in-flight">In flight</option>
+            <option value="delayed">Delayed</option>
+          </select>
+          <button type="button" className="btn btn-primary btn-sm" id="inspectButton">
+            <i className="bi bi-search me-1"></i>Inspect
+          </button>
+        </div>
+        <div className="table-responsive">
+          <table className="table table-hover" id="messagesTable">
+            <thead>
+              <tr>
+                <th>Message</th>
+                <th>State</th>
+                <th>Attempts</th>
+                <th>Last Error</th>
+                <th>Enqueued</th>
+                <th>Body</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody id="messagesTableBody">
+              <tr id="noMessagesRow">
+                <td colspan="7" className="text-center text-muted">Choose a queue and inspect its messages</td>
               </tr>
             </tbody>
           </table>
@@ -423,6 +477,32 @@ const Queueing = () => {
           font-size: 0.75rem;
           font-weight: 600;
         }
+        .dead-badge {
+          background: #ffebe6;
+          color: #bf2600;
+          padding: 0.25rem 0.5rem;
+          border-radius: 12px;
+          font-size: 0.75rem;
+          font-weight: 600;
+        }
+        .inspect-filters {
+          display: flex;
+          gap: 0.75rem;
+          align-items: center;
+          padding: 1rem 2rem;
+          border-bottom: 1px solid #dfe1e6;
+        }
+        .inspect-filters .form-control {
+          max-width: 240px;
+        }
+        .message-body {
+          font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+          font-size: 0.75rem;
+          max-width: 320px;
+          white-space: pre-wrap;
+          word-break: break-all;
+          margin: 0;
+        }
       `}} />
 
       <script dangerouslySetInnerHTML={{__html: `
@@ -586,14 +666,109 @@ const Queueing = () => {
             row.innerHTML = \`
               <td><span class="queue-name">\${stat.queuename}</span></td>
               <td><span class="messages-badge">\${stat.messages}</span></td>
+              <td>\${stat.inFlight || 0}</td>
+              <td><span class="dead-badge">\${stat.deadLetters || 0}</span></td>
               <td>\${formatTimestamp(stat.lastEnqueued)}</td>
               <td><span class="enqueued-badge">\${stat.totalEnqueued}</span></td>
               <td><span class="dequeued-badge">\${stat.totalDequeued}</span></td>
+              <td>\${stat.totalRetried || 0}</td>
+            \`;
+            tableBody.appendChild(row);
+          });
+        }
+
+        function escapeHtml(text) {
+          const div = document.createElement('div');
+          div.textContent = text == null ? '' : String(text);
+          return div.innerHTML;
+        }
+
+        // Load messages of a queue, filtered by state
+        async function loadMessages() {
+          const queueName = document.getElementById('inspectQueueName').value.trim();
+          const state = document.getElementById('inspectState').value;
+          if (!queueName) {
+            showToast('Please enter a queue name', true);
+            return;
+          }
+
+          try {
+            const query = state ? '?state=' + encodeURIComponent(state) : '';
+            const response = await fetch('/api/queueing/queues/' + encodeURIComponent(queueName) + '/messages' + query);
+            if (!response.ok) {
+              throw new Error(await response.text());
+            }
+            displayMessages(await response.json());
+          } catch (error) {
+            showToast('Failed to load messages: ' + error.message, true);
+          }
+        }
+
+        // Display messages in the inspection table
+        function displayMessages(messages) {
+          const tableBody = document.getElementById('messagesTableBody');
+          const noMessagesRow = document.getElementById('noMessagesRow');
+          tableBody.querySelectorAll('tr:not(#noMessagesRow)').forEach(row => row.remove());
+
+          if (messages.length === 0) {
+            noMessagesRow.style.display = 'table-row';
+            noMessagesRow.firstElementChild.textContent = 'No messages found';
+            return;
+          }
+
+          noMessagesRow.style.display = 'none';
+          messages.forEach(message => {
+            const row = document.createElement('tr');
+            const actions = message.state === 'dead'
+              ? \`<button class="btn btn-outline-success btn-sm" data-action="redrive" data-id="\${message.id}">Redrive</button>
+                 <button class="btn btn-outline-danger btn-sm" data-action="purge" data-id="\${message.id}">Purge</button>\`
+              : '';
+            row.innerHTML = \`
+              <td><span class="queue-name">\${escapeHtml(message.id)}</span></td>
+              <td><span class="\${message.state === 'dead' ? 'dead-badge' : 'messages-badge'}">\${message.state}</span></td>
+              <td>\${message.attempts} / \${message.maxAttempts}</td>
+              <td>\${escapeHtml(message.lastError || '')}</td>
+              <td>\${formatTimestamp(message.enqueuedAt)}</td>
+              <td><pre class="message-body">\${escapeHtml(JSON.stringify(message.body, null, 2))}</pre></td>
+              <td>\${actions}</td>
             \`;
             tableBody.appendChild(row);
           });
         }
 
+        // Redrive or purge dead letters; all of them when no ids are given
+        async function changeDeadLetters(action, ids) {
+          const queueName = document.getElementById('inspectQueueName').value.trim();
+          if (!queueName) {
+            showToast('Please enter a queue name', true);
+            return;
+          }
+          if (action === 'purge' && !confirm(ids ? 'Delete this dead letter?' : 'Delete all dead letters of ' + queueName + '?')) {
+            return;
+          }
+
+          const base = '/api/queueing/queues/' + encodeURIComponent(queueName);
+          try {
+            const response = await fetch(action === 'redrive' ? base + '/redrive' : base + '/dead-letters', {
+              method: action === 'redrive' ? 'POST' : 'DELETE',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(ids ? { ids } : {})
+            });
+            if (!response.ok) {
+              throw new Error(await response.text());
+            }
+            const result = await response.json();
+            showToast(action === 'redrive'
+              ? result.redriven + ' message(s) redriven'
+              : result.purged + ' dead letter(s) purged');
+            await loadMessages();
+            await loadQueueStats();
+            await updateQueueSize();
+          } catch (error) {
+            showToast('Failed to ' + action + ' dead letters: ' + error.message, true);
+          }
+        }
+
         // Enqueue operation
         document.getElementById('enqueueButton').addEventListener('click', async function() {
           const queueName = document.getElementById('queueName').value.trim();
@@ -734,6 +909,16 @@ const Queueing = () => {
           this.innerHTML = originalHtml;
         });
 
+        document.getElementById('inspectButton').addEventListener('click', loadMessages);
+        document.getElementById('redriveAllButton').addEventListener('click', () => changeDeadLetters('redrive'));
+        document.getElementById('purgeAllButton').addEventListener('click', () => changeDeadLetters('purge'));
+        document.getElementById('messagesTableBody').addEventListener('click', function(e) {
+          const button = e.target.closest('button[data-action]');
+          if (button) {
+            changeDeadLetters(button.dataset.action, [button.dataset.id]);
+          }
+        });
+
         // Initialize on page load
         document.addEventListener('DOMContentLoaded', function() {
           // Check status and update size periodically
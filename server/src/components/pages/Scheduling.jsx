@@ -28,14 +28,22 @@ const Scheduling = () => {
           
           <div className="form-group">
             <label htmlFor="scriptFilename">Script Filename:</label>
-            <input type="text" id="scriptFilename" className="form-control" placeholder="Enter Node.js script filename (e.g., backup.js, sync-data.js)..." required />
-            <div className="help-text">The Node.js file to execute on schedule (relative to project root)</div>
+            <input type="text" id="scriptFilename" className="form-control" placeholder="Enter Node.js script filename (e.g., backup.js, sync-data.js)..." />
+            <div className="help-text">The Node.js file to execute on schedule (relative to project root); it must export an async run() function</div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="scheduleJob">Or Built-in Job:</label>
+            <select id="scheduleJob" className="form-control">
+              <option value="">None - run the script above</option>
+            </select>
+            <div className="help-text">Jobs run inside the server, such as git-sync to sync all spaces</div>
           </div>
           
           <div className="form-group">
             <label htmlFor="cronExpression">Cron Expression:</label>
             <input type="text" id="cronExpression" className="form-control" placeholder="Enter cron expression (e.g., 0 */6 * * *)..." required />
-            <div className="help-text">Standard cron format: minute hour day month weekday</div>
+            <div className="help-text">Standard cron format: minute hour day month weekday, optionally preceded by seconds</div>
             
             <div className="cron-examples">
               <h4>Common Cron Patterns:</h4>
@@ -59,8 +67,36 @@ const Scheduling = () => {
                 <span className="cron-pattern">0 9 * * 1-5</span>
                 <span className="cron-description">Weekdays at 9 AM</span>
               </div>
+              <div className="cron-example">
+                <span className="cron-pattern">30 2 * * MON-FRI</span>
+                <span className="cron-description">Weeknights at 2:30 AM</span>
+              </div>
+              <div className="cron-example">
+                <span className="cron-pattern">*/30 * * * * *</span>
+                <span className="cron-description">Every 30 seconds (6 fields)</span>
+              </div>
+              <div className="cron-example">
+                <span className="cron-pattern">@daily</span>
+                <span className="cron-description">Daily at midnight</span>
+              </div>
             </div>
           </div>
+
+          <div className="form-group">
+            <label htmlFor="scheduleTimezone">Time Zone:</label>
+            <input type="text" id="scheduleTimezone" className="form-control" placeholder="UTC" />
+            <div className="help-text">IANA time zone the cron expression is evaluated in (e.g., Europe/Berlin, America/New_York)</div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="missedRunPolicy">Missed Runs:</label>
+            <select id="missedRunPolicy" className="form-control">
+              <option value="skip">Skip - wait for the next scheduled run</option>
+              <option value="run-once">Run once - run once on startup for all missed runs</option>
+              <option value="catch-up">Catch up - run every missed run, oldest first</option>
+            </select>
+            <div className="help-text">What to do with runs that fell due while the server was down</div>
+          </div>
           
           <button type="button" className="btn btn-success" id="createScheduleButton">
             <i className="bi bi-calendar-plus me-2"></i>Create Schedule
@@ -87,7 +123,7 @@ const Scheduling = () => {
 
       {/* Active Schedules Display */}
       <div className="schedules-list" id="schedulesList">
-        <h3>Active Schedules</h3>
+        <h3>Saved Schedules</h3>
         <div id="schedulesContainer">
           <p style={{color: '#6b7280', fontStyle: 'italic'}}>No active schedules. Create a schedule above to get started.</p>
         </div>
@@ -116,12 +152,44 @@ const Scheduling = () => {
                 <th>Executions</th>
                 <th>Last Run</th>
                 <th>Next Run</th>
+                <th>Last Status</th>
                 <th>Status</th>
               </tr>
             </thead>
             <tbody id="scheduleStatsTableBody">
               <tr id="noScheduleStatsRow">
-                <td colspan="5" className="text-center text-muted">No schedule statistics available</td>
+                <td colspan="6" className="text-center text-muted">No schedule statistics available</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="schedule-stats-section" id="runHistorySection">
+        <div className="stats-header">
+          <h2>
+            <i className="bi bi-list-check me-2"></i>
+            Run History
+          </h2>
+          <select id="historyScheduleSelect" className="form-control history-select">
+            <option value="">Select a schedule...</option>
+          </select>
+        </div>
+        <div className="table-responsive">
+          <table className="table table-hover" id="runHistoryTable">
+            <thead>
+              <tr>
+                <th>Scheduled For</th>
+                <th>Trigger</th>
+                <th>Started</th>
+                <th>Duration</th>
+                <th>Exit Status</th>
+                <th>Output</th>
+              </tr>
+            </thead>
+            <tbody id="runHistoryTableBody">
+              <tr>
+                <td colSpan="6" className="text-center text-muted">Select a schedule to see its runs</td>
               </tr>
             </tbody>
           </table>
@@ -459,6 +527,46 @@ const Scheduling = () => {
           background: #ffebe6;
           color: #974f0c;
         }
+        .status-completed {
+          background: #e3fcef;
+          color: #006644;
+        }
+        .status-error {
+          background: #ffebe6;
+          color: #bf2600;
+        }
+        .status-skipped {
+          background: #fff0b3;
+          color: #974f0c;
+        }
+        .history-select {
+          width: auto;
+          min-width: 220px;
+        }
+        .run-output {
+          max-width: 320px;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+          font-size: 0.75rem;
+        }
+        .schedule-actions {
+          display: flex;
+          gap: 0.5rem;
+        }
+        .run-schedule-btn {
+          background: #0052cc;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          padding: 0.5rem 1rem;
+          font-size: 0.875rem;
+          cursor: pointer;
+        }
+        .run-schedule-btn:hover {
+          background: #0065ff;
+        }
         .time-text {
           font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
           font-size: 0.8125rem;
@@ -477,9 +585,56 @@ const Scheduling = () => {
       `}} />
 
       <script dangerouslySetInnerHTML={{__html: `
-        // In-memory storage for UI schedules (for display purposes only)
+        // Saved schedules by name, as last loaded from the server
         let schedules = new Map();
 
+        function escapeHtml(text) {
+          return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+        }
+
+        function formatDateTime(value) {
+          return value ? new Date(value).toLocaleString() : 'Never';
+        }
+
+        // Load saved schedules from the server
+        async function loadSchedules() {
+          try {
+            const response = await fetch('/api/scheduling/schedules');
+            if (!response.ok) {
+              throw new Error(await response.text());
+            }
+            const list = await response.json();
+            schedules = new Map(list.map(schedule => [schedule.name, schedule]));
+          } catch (error) {
+            console.error('Error loading schedules:', error);
+          }
+          updateSchedulesDisplay();
+          updateHistorySelect();
+        }
+
+        // Load the built-in jobs a schedule can run
+        async function loadJobs() {
+          try {
+            const response = await fetch('/api/scheduling/jobs');
+            if (!response.ok) return;
+            const { jobs } = await response.json();
+            const select = document.getElementById('scheduleJob');
+            jobs.forEach(job => {
+              const option = document.createElement('option');
+              option.value = job;
+              option.textContent = job;
+              select.appendChild(option);
+            });
+          } catch (error) {
+            console.error('Error loading jobs:', error);
+          }
+        }
+
         // Check service status on page load
         async function checkServiceStatus() {
           try {
@@ -520,14 +675,15 @@ const Scheduling = () => {
           resultPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
         }
 
-        // Validate cron expression (basic validation)
+        // Validate cron expression (basic validation, the server checks values)
         function isValidCronExpression(cron) {
-          // Basic cron validation - should have 5 parts separated by spaces
+          if (/^@(yearly|annually|monthly|weekly|daily|midnight|hourly)$/i.test(cron.trim())) return true;
+          // 5 parts, or 6 with leading seconds, separated by spaces
           const parts = cron.trim().split(/\\s+/);
-          if (parts.length !== 5) return false;
+          if (parts.length !== 5 && parts.length !== 6) return false;
           
-          // Each part should contain valid characters for cron
-          const cronRegex = /^[0-9,*\\/\\-]+$/;
+          // Each part should contain valid characters for cron, including month and day names
+          const cronRegex = /^[0-9a-zA-Z,*?\\/\\-]+$/;
           return parts.every(part => cronRegex.test(part));
         }
 
@@ -542,15 +698,26 @@ const Scheduling = () => {
           
           let html = '';
           schedules.forEach((schedule, scheduleName) => {
+            const target = schedule.job ? 'Job: ' + schedule.job : 'Script: ' + schedule.script;
+            const lastStatus = schedule.lastRun ? schedule.lastRun.status : 'never run';
             html += \`
               <div class="schedule-item">
                 <div class="schedule-info">
-                  <div class="schedule-name">\${scheduleName}</div>
-                  <div class="schedule-details">Script: \${schedule.script} | Cron: \${schedule.cron}</div>
+                  <div class="schedule-name">\${escapeHtml(scheduleName)}</div>
+                  <div class="schedule-details">\${escapeHtml(target)} | Cron: \${escapeHtml(schedule.cron)} (\${escapeHtml(schedule.timezone)}) | Missed runs: \${escapeHtml(schedule.missedRunPolicy)}</div>
+                  <div class="schedule-details">Next run: \${formatDateTime(schedule.nextRun)} | Last run: \${escapeHtml(lastStatus)}</div>
+                </div>
+                <div class="schedule-actions">
+                  <button class="run-schedule-btn" onclick="runScheduleNow('\${escapeHtml(scheduleName)}')">
+                    <i class="bi bi-play-fill me-1"></i>Run now
+                  </button>
+                  <button class="btn-outline-primary btn" onclick="showScheduleHistory('\${escapeHtml(scheduleName)}')">
+                    <i class="bi bi-list-check me-1"></i>History
+                  </button>
+                  <button class="delete-schedule-btn" onclick="deleteScheduleFromList('\${escapeHtml(scheduleName)}')">
+                    <i class="bi bi-trash me-1"></i>Delete
+                  </button>
                 </div>
-                <button class="delete-schedule-btn" onclick="deleteScheduleFromList('\${scheduleName}')">
-                  <i class="bi bi-trash me-1"></i>Delete
-                </button>
               </div>
             \`;
           });
@@ -558,6 +725,81 @@ const Scheduling = () => {
           container.innerHTML = html;
         }
 
+        // Keep the run history selector in step with the saved schedules
+        function updateHistorySelect() {
+          const select = document.getElementById('historyScheduleSelect');
+          const selected = select.value;
+          select.innerHTML = '<option value="">Select a schedule...</option>';
+          schedules.forEach((schedule, scheduleName) => {
+            const option = document.createElement('option');
+            option.value = scheduleName;
+            option.textContent = scheduleName;
+            select.appendChild(option);
+          });
+          if (schedules.has(selected)) {
+            select.value = selected;
+          }
+        }
+
+        // Load and display the recent runs of a schedule
+        async function loadRunHistory(scheduleName) {
+          const tableBody = document.getElementById('runHistoryTableBody');
+          if (!scheduleName) {
+            tableBody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">Select a schedule to see its runs</td></tr>';
+            return;
+          }
+          try {
+            const response = await fetch(\`/api/scheduling/schedules/\${encodeURIComponent(scheduleName)}/history?limit=50\`);
+            if (!response.ok) {
+              throw new Error(await response.text());
+            }
+            const runs = await response.json();
+            if (runs.length === 0) {
+              tableBody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No runs yet</td></tr>';
+              return;
+            }
+            tableBody.innerHTML = runs.map(run => \`
+              <tr>
+                <td><span class="time-text">\${formatDateTime(run.scheduledFor)}</span></td>
+                <td>\${escapeHtml(run.trigger)}</td>
+                <td><span class="time-text">\${run.startedAt ? formatDateTime(run.startedAt) : '-'}</span></td>
+                <td>\${run.durationMs !== undefined ? run.durationMs + ' ms' : '-'}</td>
+                <td><span class="status-badge status-\${escapeHtml(run.status)}">\${escapeHtml(run.status)}</span></td>
+                <td><div class="run-output" title="\${escapeHtml(run.output)}">\${escapeHtml(run.output)}</div></td>
+              </tr>
+            \`).join('');
+          } catch (error) {
+            console.error('Error loading run history:', error);
+            tableBody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">Failed to load run history</td></tr>';
+          }
+        }
+
+        function showScheduleHistory(scheduleName) {
+          document.getElementById('historyScheduleSelect').value = scheduleName;
+          loadRunHistory(scheduleName);
+          document.getElementById('runHistorySection').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+
+        // Run a schedule now, outside its cron schedule
+        async function runScheduleNow(scheduleName) {
+          try {
+            const response = await fetch(\`/api/scheduling/schedules/\${encodeURIComponent(scheduleName)}/run\`, {
+              method: 'POST'
+            });
+            if (!response.ok) {
+              throw new Error(await response.text());
+            }
+            const run = await response.json();
+            showToast(\`Schedule "\${scheduleName}" finished with status \${run.status}\`, run.status === 'error');
+            showResult(run, 'Run Result');
+            loadSchedules();
+            loadScheduleStats();
+            showScheduleHistory(scheduleName);
+          } catch (error) {
+            showToast('Failed to run schedule: ' + error.message, true);
+          }
+        }
+
         // Load and display schedule statistics
         async function loadScheduleStats() {
           try {
@@ -598,7 +840,8 @@ const Scheduling = () => {
               <td><span class="schedule-name">\${stat.schedulename}</span></td>
               <td><span class="executions-badge">\${stat["no of executions"]}</span></td>
               <td><span class="time-text">\${stat["last run"] || 'Never'}</span></td>
-              <td><span class="time-text">\${stat["next run"]}</span></td>
+              <td><span class="time-text">\${stat["next run"] || '-'}</span></td>
+              <td>\${stat["last status"] ? \`<span class="status-badge status-\${stat["last status"]}">\${stat["last status"]}</span>\` : '-'}</td>
               <td><span class="status-badge \${isActive ? 'status-active' : 'status-inactive'}">\${isActive ? 'Active' : 'Stopped'}</span></td>
             \`;
             tableBody.appendChild(row);
@@ -613,9 +856,7 @@ const Scheduling = () => {
             });
             
             if (response.ok) {
-              // Update local storage
-              schedules.delete(scheduleName);
-              updateSchedulesDisplay();
+              loadSchedules();
               loadScheduleStats(); // Refresh stats after deleting schedule
               showToast(\`Schedule "\${scheduleName}" deleted successfully\`);
               showResult(\`Schedule "\${scheduleName}" has been cancelled and removed\`);
@@ -634,14 +875,22 @@ const Scheduling = () => {
           const scheduleName = document.getElementById('scheduleName').value.trim();
           const scriptFilename = document.getElementById('scriptFilename').value.trim();
           const cronExpression = document.getElementById('cronExpression').value.trim();
+          const job = document.getElementById('scheduleJob').value;
+          const timezone = document.getElementById('scheduleTimezone').value.trim() || 'UTC';
+          const missedRunPolicy = document.getElementById('missedRunPolicy').value;
           
           if (!scheduleName) {
             showToast('Please enter a schedule name', true);
             return;
           }
           
-          if (!scriptFilename) {
-            showToast('Please enter a script filename', true);
+          if (!scriptFilename && !job) {
+            showToast('Please enter a script filename or choose a job', true);
+            return;
+          }
+
+          if (scriptFilename && job) {
+            showToast('Please enter either a script filename or a job, not both', true);
             return;
           }
           
@@ -651,7 +900,7 @@ const Scheduling = () => {
           }
           
           if (!isValidCronExpression(cronExpression)) {
-            showToast('Please enter a valid cron expression (5 parts: minute hour day month weekday)', true);
+            showToast('Please enter a valid cron expression (5 parts: minute hour day month weekday, or 6 with seconds first)', true);
             return;
           }
           
@@ -666,25 +915,26 @@ const Scheduling = () => {
               },
               body: JSON.stringify({ 
                 task: scheduleName,
-                cron: cronExpression
+                cron: cronExpression,
+                script: scriptFilename || undefined,
+                job: job || undefined,
+                timezone,
+                missedRunPolicy
               })
             });
             
             if (response.ok) {
-              // Add to local storage
-              schedules.set(scheduleName, {
-                script: scriptFilename,
-                cron: cronExpression
-              });
-              updateSchedulesDisplay();
+              const schedule = await response.json();
+              loadSchedules();
               loadScheduleStats(); // Refresh stats after creating schedule
               showToast(\`Schedule "\${scheduleName}" created successfully\`);
-              showResult(\`Schedule created:\\nName: \${scheduleName}\\nScript: \${scriptFilename}\\nCron: \${cronExpression}\`);
+              showResult(schedule, 'Schedule Created');
               
               // Clear the inputs
               document.getElementById('scheduleName').value = '';
               document.getElementById('scriptFilename').value = '';
               document.getElementById('cronExpression').value = '';
+              document.getElementById('scheduleJob').value = '';
             } else {
               const error = await response.text();
               throw new Error(error);
@@ -720,9 +970,7 @@ const Scheduling = () => {
             });
             
             if (response.ok) {
-              // Update local storage
-              schedules.delete(scheduleName);
-              updateSchedulesDisplay();
+              loadSchedules();
               loadScheduleStats(); // Refresh stats after deleting schedule
               showToast(\`Schedule "\${scheduleName}" deleted successfully\`);
               showResult(\`Schedule "\${scheduleName}" has been cancelled and removed\`);
@@ -755,10 +1003,16 @@ const Scheduling = () => {
           this.innerHTML = originalHtml;
         });
 
+        // Show the runs of the schedule picked in the run history section
+        document.getElementById('historyScheduleSelect').addEventListener('change', function() {
+          loadRunHistory(this.value);
+        });
+
         // Initialize on page load
         document.addEventListener('DOMContentLoaded', function() {
           checkServiceStatus();
-          updateSchedulesDisplay();
+          loadSchedules();
+          loadJobs();
           
           // Load schedule stats initially
           loadScheduleStats();
@@ -766,7 +1020,9 @@ const Scheduling = () => {
           // Check status and refresh stats periodically
           setInterval(() => {
             checkServiceStatus();
+            loadSchedules();
             loadScheduleStats(); // Refresh stats periodically
+            loadRunHistory(document.getElementById('historyScheduleSelect').value);
           }, 30000); // Check every 30 seconds
         });
       `}} />
@@ -25,6 +25,126 @@ const Settings = () => {
           </div>
         </div>
       </div>
+
+      <div className="settings-section plugin-settings-section">
+        <div className="settings-card">
+          <h2>Plugin Settings</h2>
+          <p className="settings-description">
+            Settings declared by the loaded server plugins. Changes apply to their hooks and routes at once.
+          </p>
+          <div id="pluginSettings">
+            <p className="empty-message">Loading plugin settings...</p>
+          </div>
+        </div>
+      </div>
+
+      <script dangerouslySetInnerHTML={{__html: `
+        document.addEventListener('DOMContentLoaded', loadPluginSettings);
+
+        function escapeHtml(text) {
+          const div = document.createElement('div');
+          div.textContent = text == null ? '' : String(text);
+          return div.innerHTML;
+        }
+
+        function renderSettingInput(pluginId, setting, value) {
+          const id = 'setting-' + pluginId + '-' + setting.key;
+          const name = escapeHtml(setting.key);
+          switch (setting.type) {
+            case 'boolean':
+              return '<input type="checkbox" id="' + escapeHtml(id) + '" name="' + name + '"' + (value ? ' checked' : '') + '>';
+            case 'number':
+              return '<input type="number" id="' + escapeHtml(id) + '" name="' + name + '" value="' + escapeHtml(value) + '"' +
+                (setting.min !== undefined ? ' min="' + setting.min + '"' : '') +
+                (setting.max !== undefined ? ' max="' + setting.max + '"' : '') + ' step="any">';
+            case 'select':
+              return '<select id="' + escapeHtml(id) + '" name="' + name + '">' + setting.options.map(option =>
+                '<option value="' + escapeHtml(option) + '"' + (option === value ? ' selected' : '') + '>' + escapeHtml(option) + '</option>'
+              ).join('') + '</select>';
+            case 'text':
+              return '<textarea id="' + escapeHtml(id) + '" name="' + name + '" rows="5">' + escapeHtml(value) + '</textarea>';
+            default:
+              return '<input type="text" id="' + escapeHtml(id) + '" name="' + name + '" value="' + escapeHtml(value) + '">';
+          }
+        }
+
+        function renderPlugin(plugin) {
+          const fields = plugin.definitions.map(setting => \`
+            <div class="form-group">
+              <label for="\${escapeHtml('setting-' + plugin.id + '-' + setting.key)}">\${escapeHtml(setting.label || setting.key)}</label>
+              \${renderSettingInput(plugin.id, setting, plugin.values[setting.key])}
+              \${setting.description ? '<small>' + escapeHtml(setting.description) + '</small>' : ''}
+            </div>
+          \`).join('');
+          return \`
+            <form class="plugin-settings-form" data-plugin="\${escapeHtml(plugin.id)}">
+              <h3>\${escapeHtml(plugin.name)} <small>v\${escapeHtml(plugin.version)}</small></h3>
+              <p class="settings-description">\${escapeHtml(plugin.description)}</p>
+              \${fields}
+              <div class="plugin-settings-actions">
+                <button type="submit" class="btn btn-primary">Save</button>
+                <span class="plugin-settings-status"></span>
+              </div>
+            </form>
+          \`;
+        }
+
+        async function loadPluginSettings() {
+          const container = document.getElementById('pluginSettings');
+          try {
+            const response = await fetch('/api/plugins/settings');
+            const plugins = await response.json();
+            if (!response.ok) {
+              throw new Error(plugins.error || 'Failed to load plugin settings');
+            }
+            container.innerHTML = plugins.length === 0
+              ? '<p class="empty-message">No loaded plugin declares settings</p>'
+              : plugins.map(renderPlugin).join('');
+            plugins.forEach(plugin => {
+              container.querySelector('[data-plugin="' + CSS.escape(plugin.id) + '"]').pluginSettings = plugin.definitions;
+            });
+          } catch (error) {
+            container.innerHTML = '<p class="error-text">' + escapeHtml(error.message) + '</p>';
+          }
+        }
+
+        function readSettings(form) {
+          const values = {};
+          form.pluginSettings.forEach(setting => {
+            const input = form.elements[setting.key];
+            if (setting.type === 'boolean') {
+              values[setting.key] = input.checked;
+            } else if (setting.type === 'number') {
+              values[setting.key] = Number(input.value);
+            } else {
+              values[setting.key] = input.value;
+            }
+          });
+          return values;
+        }
+
+        document.getElementById('pluginSettings').addEventListener('submit', async (e) => {
+          e.preventDefault();
+          const form = e.target;
+          const status = form.querySelector('.plugin-settings-status');
+          try {
+            const response = await fetch('/api/plugins/' + encodeURIComponent(form.getAttribute('data-plugin')) + '/settings', {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(readSettings(form))
+            });
+            const result = await response.json();
+            if (!response.ok) {
+              throw new Error(result.error || 'Failed to save settings');
+            }
+            status.className = 'plugin-settings-status status-valid';
+            status.textContent = 'Saved';
+          } catch (error) {
+            status.className = 'plugin-settings-status status-invalid';
+            status.textContent = error.message;
+          }
+        });
+      `}} />
       
       <style dangerouslySetInnerHTML={{__html: `
         .settings-section {
@@ -86,6 +206,91 @@ const Settings = () => {
         .settings-info a:hover {
           text-decoration: underline;
         }
+
+        .plugin-settings-section {
+          margin-top: 1.5rem;
+        }
+
+        .plugin-settings-form {
+          border-top: 1px solid #dfe1e6;
+          padding-top: 1.5rem;
+          margin-top: 1.5rem;
+        }
+
+        .plugin-settings-form:first-child {
+          border-top: none;
+          padding-top: 0;
+          margin-top: 0;
+        }
+
+        .plugin-settings-form h3 {
+          color: #172b4d;
+          font-size: 1rem;
+          font-weight: 600;
+          margin-bottom: 0.25rem;
+        }
+
+        .plugin-settings-form h3 small {
+          color: #5e6c84;
+          font-weight: 400;
+        }
+
+        .plugin-settings-form .settings-description {
+          margin-bottom: 1rem;
+        }
+
+        .plugin-settings-form .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          margin-bottom: 1rem;
+          max-width: 40rem;
+        }
+
+        .plugin-settings-form label {
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: #5e6c84;
+        }
+
+        .plugin-settings-form input[type="text"],
+        .plugin-settings-form input[type="number"],
+        .plugin-settings-form select,
+        .plugin-settings-form textarea {
+          padding: 0.5rem;
+          border: 1px solid #dfe1e6;
+          border-radius: 4px;
+          font-size: 0.875rem;
+          font-family: inherit;
+        }
+
+        .plugin-settings-form input[type="checkbox"] {
+          align-self: flex-start;
+        }
+
+        .plugin-settings-form small {
+          color: #5e6c84;
+        }
+
+        .plugin-settings-actions {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+        }
+
+        .empty-message {
+          color: #5e6c84;
+          font-size: 0.875rem;
+        }
+
+        .status-valid {
+          color: #006644;
+        }
+
+        .status-invalid,
+        .error-text {
+          color: #de350b;
+        }
       `}} />
     </>
   );
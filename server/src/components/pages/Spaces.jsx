@@ -46,9 +46,13 @@ const Spaces = () => {
             <textarea 
               id="filingConfig" 
               className="form-control" 
-              placeholder="Enter filing configuration...&#10;Example for local:&#10;{&#10;  &quot;type&quot;: &quot;local&quot;,&#10;  &quot;localFolder&quot;: &quot;./content&quot;&#10;}&#10;&#10;Example for git:&#10;{&#10;  &quot;type&quot;: &quot;git&quot;,&#10;  &quot;localFolder&quot;: &quot;./content-shared&quot;,&#10;  &quot;git&quot;: &quot;https://github.com/user/repo.git&quot;,&#10;  &quot;git-branch&quot;: &quot;main&quot;,&#10;  &quot;git-fetch-interval&quot;: &quot;5000&quot;&#10;}"
+              placeholder="Enter filing configuration...&#10;Example for local:&#10;{&#10;  &quot;type&quot;: &quot;local&quot;,&#10;  &quot;localFolder&quot;: &quot;./content&quot;&#10;}&#10;&#10;Example for git:&#10;{&#10;  &quot;type&quot;: &quot;git&quot;,&#10;  &quot;localFolder&quot;: &quot;./content-shared&quot;,&#10;  &quot;git&quot;: &quot;https://github.com/user/repo.git&quot;,&#10;  &quot;git-branch&quot;: &quot;main&quot;,&#10;  &quot;git-fetch-interval&quot;: &quot;5000&quot;&#10;}&#10;&#10;Example for S3 or MinIO:&#10;{&#10;  &quot;type&quot;: &quot;s3&quot;,&#10;  &quot;bucket&quot;: &quot;artefacts&quot;,&#10;  &quot;region&quot;: &quot;us-east-1&quot;,&#10;  &quot;prefix&quot;: &quot;shared/&quot;,&#10;  &quot;endpoint&quot;: &quot;http://localhost:9000&quot;,&#10;  &quot;accessKeyId&quot;: &quot;env:S3_ACCESS_KEY&quot;,&#10;  &quot;secretAccessKey&quot;: &quot;env:S3_SECRET_KEY&quot;&#10;}&#10;&#10;Example for FTP:&#10;{&#10;  &quot;type&quot;: &quot;ftp&quot;,&#10;  &quot;host&quot;: &quot;ftp.example.com&quot;,&#10;  &quot;user&quot;: &quot;docs&quot;,&#10;  &quot;password&quot;: &quot;env:FTP_PASSWORD&quot;,&#10;  &quot;rootPath&quot;: &quot;/artefacts&quot;&#10;}"
             ></textarea>
             <div className="json-validation-feedback" id="jsonValidation"></div>
+            <small>
+              Secrets can be written as <code>env:NAME</code> to read them from the server environment.
+              Stored secrets are shown as ******** and are kept when saved unchanged.
+            </small>
           </div>
           
           <div className="form-group" id="jsonPreviewGroup" style={{display: 'none'}}>
@@ -67,6 +71,105 @@ const Spaces = () => {
         </div>
       </div>
 
+      <div className="space-form-section" id="rolesSection" style={{display: 'none'}}>
+        <div className="space-form">
+          <h2>Role Assignments: <span id="rolesSpaceName"></span></h2>
+          <p className="roles-help">
+            Viewers can read, commenters can also comment, editors can change and publish content,
+            and admins can also reset the space. A user assignment overrides the user's groups.
+          </p>
+
+          <div className="form-group">
+            <label htmlFor="defaultRole">Default role for users with this space in their profile:</label>
+            <select id="defaultRole" className="form-control">
+              <option value="">From access level</option>
+              <option value="viewer">Viewer</option>
+              <option value="commenter">Commenter</option>
+              <option value="editor">Editor</option>
+              <option value="admin">Admin</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Assignments:</label>
+            <table className="roles-table">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>User or group name</th>
+                  <th>Role</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody id="rolesTableBody"></tbody>
+            </table>
+            <button type="button" className="btn btn-outline-primary btn-sm mt-2" id="addAssignmentButton">
+              <i className="bi bi-plus-circle me-1"></i>Add Assignment
+            </button>
+          </div>
+
+          <div className="space-operations">
+            <button type="button" className="btn btn-success" id="saveRolesButton">
+              <i className="bi bi-check-circle me-2"></i>Save Roles
+            </button>
+            <button type="button" className="btn btn-secondary" id="cancelRolesButton">
+              <i className="bi bi-x-circle me-2"></i>Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="space-form-section" id="aiSection" style={{display: 'none'}}>
+        <div className="space-form">
+          <h2>AI Assistant: <span id="aiSpaceName"></span></h2>
+          <p className="roles-help">
+            The assistant summarizes, rewrites, reviews and drafts documents in the editor. Ollama runs the
+            model on your own machines; Claude sends document content to Anthropic and needs ANTHROPIC_API_KEY
+            on the server.
+          </p>
+
+          <div className="form-group">
+            <label htmlFor="aiProvider">Provider:</label>
+            <select id="aiProvider" className="form-control">
+              <option value="">Off</option>
+              <option value="ollama">Ollama (local)</option>
+              <option value="claude">Claude</option>
+              <option value="mock">Mock (for testing)</option>
+            </select>
+            <div className="json-validation-feedback" id="aiProviderHelp"></div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="aiModel">Model:</label>
+            <input type="text" id="aiModel" className="form-control" placeholder="Provider default" />
+          </div>
+
+          <div className="form-group" id="aiHostGroup">
+            <label htmlFor="aiHost">Ollama server:</label>
+            <input type="text" id="aiHost" className="form-control" placeholder="http://localhost:11434" />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="aiPrinciplesPath">Architecture principles document (used by reviews):</label>
+            <input type="text" id="aiPrinciplesPath" className="form-control" placeholder="e.g. architecture/principles.md" />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="aiMaxTokens">Longest answer (tokens):</label>
+            <input type="number" id="aiMaxTokens" className="form-control" min="100" max="8000" placeholder="2000" />
+          </div>
+
+          <div className="space-operations">
+            <button type="button" className="btn btn-success" id="saveAiButton">
+              <i className="bi bi-check-circle me-2"></i>Save AI Settings
+            </button>
+            <button type="button" className="btn btn-secondary" id="cancelAiButton">
+              <i className="bi bi-x-circle me-2"></i>Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+
       <div className="spaces-result" id="spacesResult" style={{display: 'none'}}>
         <h3>Result</h3>
         <pre id="resultContent"></pre>
@@ -302,6 +405,29 @@ const Spaces = () => {
           padding: 0.375rem 0.75rem;
           font-size: 0.875rem;
         }
+        .space-roles {
+          font-size: 0.8125rem;
+          color: #5e6c84;
+          margin-bottom: 1rem;
+        }
+        .roles-help {
+          color: #5e6c84;
+          font-size: 0.875rem;
+          margin-bottom: 1.5rem;
+        }
+        .roles-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        .roles-table th {
+          text-align: left;
+          font-weight: 500;
+          color: #5e6c84;
+          padding: 0.25rem 0.5rem 0.25rem 0;
+        }
+        .roles-table td {
+          padding: 0.25rem 0.5rem 0.25rem 0;
+        }
         @media (max-width: 768px) {
           .space-operations {
             flex-direction: column;
@@ -315,7 +441,36 @@ const Spaces = () => {
       <script dangerouslySetInnerHTML={{__html: `
         let isValidJson = false;
         let editingSpaceIndex = -1;
+        let rolesSpaceIndex = -1;
+        let aiSpaceIndex = -1;
+        let aiDefaultModels = {};
+        let claudeConfigured = false;
         let spaces = [];
+        const SPACE_ROLES = ['viewer', 'commenter', 'editor', 'admin'];
+
+        // Escape user-provided names before inserting them into markup
+        function escapeHtml(value) {
+          return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+        }
+
+        // Summarise the role assignments of a space for the list view
+        function describeRoles(space) {
+          const roles = space.roles || {};
+          const entries = [
+            ...Object.entries(roles.users || {}).map(([name, role]) => escapeHtml(name) + ': ' + role),
+            ...Object.entries(roles.groups || {}).map(([name, role]) => 'group ' + escapeHtml(name) + ': ' + role)
+          ];
+          const defaultRole = roles.default || (space.access === 'readonly' ? 'viewer' : 'editor');
+          return 'Default role: ' + defaultRole + (entries.length ? ' &middot; ' + entries.join(', ') : '');
+        }
+
+        // Summarise the AI assistant settings of a space for the list view
+        function describeAi(space) {
+          if (!space.ai || !space.ai.provider) {
+            return 'AI assistant: off';
+          }
+          return 'AI assistant: ' + space.ai.provider + (space.ai.model ? ' (' + escapeHtml(space.ai.model) + ')' : '');
+        }
 
         // Load spaces from server
         async function loadSpaces() {
@@ -349,10 +504,18 @@ const Spaces = () => {
               </div>
               <div class="space-body">
                 <div class="space-config">\${JSON.stringify(space.filing, null, 2)}</div>
+                <div class="space-roles">\${describeRoles(space)}</div>
+                <div class="space-roles">\${describeAi(space)}</div>
                 <div class="space-actions">
                   <button type="button" class="btn btn-primary btn-sm" onclick="editSpace(\${index})">
                     <i class="bi bi-pencil me-1"></i>Edit
                   </button>
+                  <button type="button" class="btn btn-outline-primary btn-sm" onclick="editRoles(\${index})">
+                    <i class="bi bi-people me-1"></i>Roles
+                  </button>
+                  <button type="button" class="btn btn-outline-primary btn-sm" onclick="editAi(\${index})">
+                    <i class="bi bi-stars me-1"></i>AI
+                  </button>
                   <button type="button" class="btn btn-danger btn-sm" onclick="deleteSpace(\${index})">
                     <i class="bi bi-trash me-1"></i>Delete
                   </button>
@@ -380,6 +543,186 @@ const Spaces = () => {
           document.querySelector('.space-form').scrollIntoView({ behavior: 'smooth' });
         }
 
+        // Add a row to the role assignments table
+        function addAssignmentRow(type = 'user', name = '', role = 'viewer') {
+          const row = document.createElement('tr');
+          row.innerHTML = \`
+            <td>
+              <select class="form-control assignment-type">
+                <option value="user" \${type === 'user' ? 'selected' : ''}>User</option>
+                <option value="group" \${type === 'group' ? 'selected' : ''}>Group</option>
+              </select>
+            </td>
+            <td><input type="text" class="form-control assignment-name" value="\${escapeHtml(name)}" placeholder="Name..." /></td>
+            <td>
+              <select class="form-control assignment-role">
+                \${SPACE_ROLES.map(r => \`<option value="\${r}" \${r === role ? 'selected' : ''}>\${r}</option>\`).join('')}
+              </select>
+            </td>
+            <td>
+              <button type="button" class="btn btn-danger btn-sm" title="Remove assignment">
+                <i class="bi bi-trash"></i>
+              </button>
+            </td>
+          \`;
+          row.querySelector('button').addEventListener('click', () => row.remove());
+          document.getElementById('rolesTableBody').appendChild(row);
+        }
+
+        // Open the role assignments editor for a space
+        async function editRoles(index) {
+          try {
+            const response = await fetch(\`/api/spaces/\${index}/roles\`);
+            if (!response.ok) {
+              throw new Error(await response.text());
+            }
+            const roles = await response.json();
+
+            rolesSpaceIndex = index;
+            document.getElementById('rolesSpaceName').textContent = roles.space;
+            document.getElementById('defaultRole').value = roles.default || '';
+            document.getElementById('rolesTableBody').innerHTML = '';
+            Object.entries(roles.users).forEach(([name, role]) => addAssignmentRow('user', name, role));
+            Object.entries(roles.groups).forEach(([name, role]) => addAssignmentRow('group', name, role));
+
+            const section = document.getElementById('rolesSection');
+            section.style.display = 'block';
+            section.scrollIntoView({ behavior: 'smooth' });
+          } catch (error) {
+            showToast('Failed to load roles: ' + error.message, true);
+          }
+        }
+
+        // Close the role assignments editor
+        function closeRoles() {
+          rolesSpaceIndex = -1;
+          document.getElementById('rolesSection').style.display = 'none';
+          document.getElementById('rolesTableBody').innerHTML = '';
+        }
+
+        // Save the role assignments of the space being edited
+        async function saveRoles() {
+          if (rolesSpaceIndex < 0) return;
+
+          const roles = { default: document.getElementById('defaultRole').value, users: {}, groups: {} };
+          const rows = document.querySelectorAll('#rolesTableBody tr');
+          for (const row of rows) {
+            const name = row.querySelector('.assignment-name').value.trim();
+            if (!name) continue;
+            const type = row.querySelector('.assignment-type').value;
+            roles[type === 'group' ? 'groups' : 'users'][name] = row.querySelector('.assignment-role').value;
+          }
+
+          try {
+            const response = await fetch(\`/api/spaces/\${rolesSpaceIndex}/roles\`, {
+              method: 'PUT',
+              headers: {
+                'Content-Type': 'application/json'
+              },
+              body: JSON.stringify(roles)
+            });
+
+            if (response.ok) {
+              const result = await response.json();
+              showToast('Roles updated successfully');
+              showResult(result);
+              loadSpaces();
+              closeRoles();
+            } else {
+              const error = await response.text();
+              throw new Error(error);
+            }
+          } catch (error) {
+            showToast('Failed to save roles: ' + error.message, true);
+          }
+        }
+
+        // Show the fields and hints that apply to the chosen AI provider
+        function updateAiFields() {
+          const provider = document.getElementById('aiProvider').value;
+          document.getElementById('aiHostGroup').style.display = provider === 'ollama' ? 'block' : 'none';
+          document.getElementById('aiModel').placeholder = aiDefaultModels[provider] || 'Provider default';
+
+          const help = document.getElementById('aiProviderHelp');
+          if (provider === 'claude' && !claudeConfigured) {
+            help.textContent = 'ANTHROPIC_API_KEY is not set on the server, so requests will fail until it is.';
+            help.className = 'json-validation-feedback invalid';
+          } else {
+            help.textContent = '';
+            help.className = 'json-validation-feedback';
+          }
+        }
+
+        // Open the AI assistant editor for a space
+        async function editAi(index) {
+          try {
+            const response = await fetch(\`/api/spaces/\${index}/ai\`);
+            if (!response.ok) {
+              throw new Error(await response.text());
+            }
+            const ai = await response.json();
+
+            aiSpaceIndex = index;
+            aiDefaultModels = ai.defaultModels || {};
+            claudeConfigured = ai.claudeConfigured;
+            document.getElementById('aiSpaceName').textContent = ai.space;
+            document.getElementById('aiProvider').value = ai.provider;
+            document.getElementById('aiModel').value = ai.model;
+            document.getElementById('aiHost').value = ai.host;
+            document.getElementById('aiPrinciplesPath').value = ai.principlesPath;
+            document.getElementById('aiMaxTokens').value = ai.maxTokens || '';
+            updateAiFields();
+
+            const section = document.getElementById('aiSection');
+            section.style.display = 'block';
+            section.scrollIntoView({ behavior: 'smooth' });
+          } catch (error) {
+            showToast('Failed to load AI settings: ' + error.message, true);
+          }
+        }
+
+        // Close the AI assistant editor
+        function closeAi() {
+          aiSpaceIndex = -1;
+          document.getElementById('aiSection').style.display = 'none';
+        }
+
+        // Save the AI assistant settings of the space being edited
+        async function saveAi() {
+          if (aiSpaceIndex < 0) return;
+
+          const settings = {
+            provider: document.getElementById('aiProvider').value,
+            model: document.getElementById('aiModel').value,
+            host: document.getElementById('aiHost').value,
+            principlesPath: document.getElementById('aiPrinciplesPath').value,
+            maxTokens: document.getElementById('aiMaxTokens').value
+          };
+
+          try {
+            const response = await fetch(\`/api/spaces/\${aiSpaceIndex}/ai\`, {
+              method: 'PUT',
+              headers: {
+                'Content-Type': 'application/json'
+              },
+              body: JSON.stringify(settings)
+            });
+
+            if (response.ok) {
+              const result = await response.json();
+              showToast('AI settings updated successfully');
+              showResult(result);
+              loadSpaces();
+              closeAi();
+            } else {
+              const error = await response.text();
+              throw new Error(error);
+            }
+          } catch (error) {
+            showToast('Failed to save AI settings: ' + error.message, true);
+          }
+        }
+
         // Delete space
         async function deleteSpace(index) {
           const space = spaces[index];
@@ -395,6 +738,8 @@ const Spaces = () => {
             
             if (response.ok) {
               showToast('Space deleted successfully');
+              closeRoles();
+              closeAi();
               loadSpaces();
               clearForm();
             } else {
@@ -448,6 +793,10 @@ const Spaces = () => {
               throw new Error('Missing required field: type');
             }
             
+            if (!['local', 'git', 's3', 'ftp'].includes(parsed.type)) {
+              throw new Error('Type must be one of: local, git, s3, ftp');
+            }
+            
             if (parsed.type === 'local' && !parsed.localFolder) {
               throw new Error('Local type requires localFolder field');
             }
@@ -458,6 +807,18 @@ const Spaces = () => {
               if (!parsed['git-branch']) throw new Error('Git type requires git-branch field');
             }
             
+            if (parsed.type === 's3') {
+              if (!parsed.bucket) throw new Error('S3 type requires bucket field');
+              if (!parsed.region) throw new Error('S3 type requires region field');
+              if (Boolean(parsed.accessKeyId) !== Boolean(parsed.secretAccessKey)) {
+                throw new Error('S3 type requires both accessKeyId and secretAccessKey, or neither');
+              }
+            }
+            
+            if (parsed.type === 'ftp' && !parsed.host) {
+              throw new Error('FTP type requires host field');
+            }
+            
             valueField.classList.remove('invalid');
             valueField.classList.add('valid');
             validationFeedback.textContent = '✓ Valid filing configuration';
@@ -568,6 +929,12 @@ const Spaces = () => {
         // Event listeners
         document.getElementById('saveButton').addEventListener('click', saveSpace);
         document.getElementById('clearButton').addEventListener('click', clearForm);
+        document.getElementById('addAssignmentButton').addEventListener('click', () => addAssignmentRow());
+        document.getElementById('saveRolesButton').addEventListener('click', saveRoles);
+        document.getElementById('cancelRolesButton').addEventListener('click', closeRoles);
+        document.getElementById('aiProvider').addEventListener('change', updateAiFields);
+        document.getElementById('saveAiButton').addEventListener('click', saveAi);
+        document.getElementById('cancelAiButton').addEventListener('click', closeAi);
 
         // Form validation event listeners
         document.getElementById('spaceName').addEventListener('input', updateSaveButton);
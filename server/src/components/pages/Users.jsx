@@ -49,6 +49,11 @@ const Users = () => {
               <input type="text" id="editSpaces" placeholder="e.g., Personal,Shared,Enterprise" />
               <small>Enter space names separated by commas. User will only have access to these spaces.</small>
             </div>
+            <div className="form-group">
+              <label htmlFor="editGroups">Groups (comma-separated):</label>
+              <input type="text" id="editGroups" placeholder="e.g., architects,reviewers" />
+              <small>Groups can be given roles per space on the Spaces page.</small>
+            </div>
             <div className="modal-actions">
               <button type="button" className="btn btn-secondary" id="cancelEdit">Cancel</button>
               <button type="submit" className="btn btn-primary">Save Changes</button>
@@ -95,6 +100,7 @@ const Users = () => {
                     <th>Date Created</th>
                     <th>Roles</th>
                     <th>Spaces</th>
+                    <th>Groups</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
@@ -105,6 +111,7 @@ const Users = () => {
                       <td>\${new Date(user.createdAt).toLocaleDateString()}</td>
                       <td>\${user.roles ? user.roles.join(', ') : 'None'}</td>
                       <td>\${user.spaces || 'None'}</td>
+                      <td>\${user.groups || 'None'}</td>
                       <td>
                         <button class="btn btn-sm btn-primary" data-user-id="\${user.id}">
                           Edit
@@ -145,6 +152,7 @@ const Users = () => {
           // Populate form
           document.getElementById('editUsername').value = currentEditingUser.username;
           document.getElementById('editSpaces').value = currentEditingUser.spaces || '';
+          document.getElementById('editGroups').value = currentEditingUser.groups || '';
           
           // Clear checkboxes
           document.getElementById('roleRead').checked = false;
@@ -174,6 +182,7 @@ const Users = () => {
 
           const username = document.getElementById('editUsername').value;
           const spaces = document.getElementById('editSpaces').value;
+          const groups = document.getElementById('editGroups').value;
           const roles = [];
           
           if (document.getElementById('roleRead').checked) roles.push('read');
@@ -184,7 +193,7 @@ const Users = () => {
             const response = await fetch(\`/api/users/\${currentEditingUser.id}\`, {
               method: 'PUT',
               headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ username, roles, spaces })
+              body: JSON.stringify({ username, roles, spaces, groups })
             });
 
             if (response.ok) {
@@ -0,0 +1,447 @@
+import React from 'react';
+
+const Webhooks = () => {
+  return (
+    <>
+      <div className="content-header">
+        <h1>Webhooks</h1>
+        <p>Outbound webhooks of each space and the log of their deliveries</p>
+      </div>
+
+      <div className="webhooks-section">
+        <h2>Registered Webhooks</h2>
+        <p className="section-help">Space admins register webhooks through the space API; deliveries are signed with the secret of each webhook.</p>
+        <div className="table-container">
+          <table className="webhooks-table">
+            <thead>
+              <tr>
+                <th>Space</th>
+                <th>URL</th>
+                <th>Events</th>
+                <th>State</th>
+                <th>Created</th>
+              </tr>
+            </thead>
+            <tbody id="webhookTableBody">
+              <tr><td colSpan="5" className="empty-message">Loading webhooks...</td></tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="webhooks-section">
+        <h2>Delivery Log</h2>
+        <form className="webhook-filters" id="deliveryFilters">
+          <div className="form-group">
+            <label htmlFor="filterSpace">Space:</label>
+            <input type="text" id="filterSpace" name="space" placeholder="Space name" />
+          </div>
+          <div className="form-group">
+            <label htmlFor="filterEvent">Event:</label>
+            <select id="filterEvent" name="event">
+              <option value="">All</option>
+              <option value="file.created">file.created</option>
+              <option value="file.updated">file.updated</option>
+              <option value="file.deleted">file.deleted</option>
+              <option value="file.renamed">file.renamed</option>
+              <option value="file.commented">file.commented</option>
+              <option value="file.approved">file.approved</option>
+              <option value="space.published">space.published</option>
+              <option value="ping">ping</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="filterStatus">Status:</label>
+            <select id="filterStatus" name="status">
+              <option value="">All</option>
+              <option value="queued">Queued</option>
+              <option value="retrying">Retrying</option>
+              <option value="delivered">Delivered</option>
+              <option value="failed">Failed</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+          </div>
+          <div className="webhook-actions">
+            <button type="submit" className="btn btn-primary">Apply</button>
+            <button type="button" className="btn btn-secondary" id="resetFilters">Reset</button>
+            <button type="button" className="btn btn-secondary" id="refreshDeliveries">Refresh</button>
+          </div>
+        </form>
+
+        <div className="webhook-status" id="webhookStatus"></div>
+
+        <div className="table-container">
+          <table className="webhooks-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Space</th>
+                <th>Event</th>
+                <th>Path</th>
+                <th>URL</th>
+                <th>Status</th>
+                <th>Attempts</th>
+                <th>Response</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody id="deliveryTableBody">
+              <tr><td colSpan="9" className="empty-message">Loading deliveries...</td></tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div className="webhook-pager">
+          <button type="button" className="btn btn-secondary" id="previousPage" disabled>Previous</button>
+          <span id="pageInfo"></span>
+          <button type="button" className="btn btn-secondary" id="nextPage" disabled>Next</button>
+        </div>
+      </div>
+
+      <script dangerouslySetInnerHTML={{__html: `
+        const PAGE_SIZE = 50;
+        let offset = 0;
+
+        document.addEventListener('DOMContentLoaded', () => {
+          loadWebhooks();
+          loadDeliveries();
+        });
+
+        function escapeHtml(text) {
+          const div = document.createElement('div');
+          div.textContent = text == null ? '' : String(text);
+          return div.innerHTML;
+        }
+
+        function getFilterQuery() {
+          const params = new URLSearchParams();
+          new FormData(document.getElementById('deliveryFilters')).forEach((value, name) => {
+            if (value.trim()) {
+              params.set(name, value.trim());
+            }
+          });
+          return params;
+        }
+
+        async function loadWebhooks() {
+          const tableBody = document.getElementById('webhookTableBody');
+          try {
+            const response = await fetch('/api/webhooks');
+            const result = await response.json();
+            if (!response.ok) {
+              throw new Error(result.error || 'Failed to load webhooks');
+            }
+            if (result.webhooks.length === 0) {
+              tableBody.innerHTML = '<tr><td colspan="5" class="empty-message">No webhooks are registered</td></tr>';
+              return;
+            }
+            tableBody.innerHTML = result.webhooks.map(webhook => \`
+              <tr>
+                <td>\${escapeHtml(webhook.space)}</td>
+                <td class="webhook-url">\${escapeHtml(webhook.url)}\${webhook.description ? '<br><small>' + escapeHtml(webhook.description) + '</small>' : ''}</td>
+                <td>\${webhook.events.map(event => '<code>' + escapeHtml(event) + '</code>').join(' ')}</td>
+                <td><span class="status-badge status-\${webhook.active ? 'delivered' : 'cancelled'}">\${webhook.active ? 'active' : 'disabled'}</span></td>
+                <td>\${new Date(webhook.createdAt).toLocaleString()}<br><small>\${escapeHtml(webhook.createdBy || '')}</small></td>
+              </tr>
+            \`).join('');
+          } catch (error) {
+            tableBody.innerHTML = '<tr><td colspan="5" class="error-message">' + escapeHtml(error.message) + '</td></tr>';
+          }
+        }
+
+        async function loadDeliveries() {
+          const params = getFilterQuery();
+          params.set('limit', PAGE_SIZE);
+          params.set('offset', offset);
+
+          try {
+            const response = await fetch('/api/webhooks/deliveries?' + params.toString());
+            const result = await response.json();
+            if (!response.ok) {
+              throw new Error(result.error || 'Failed to load deliveries');
+            }
+            renderDeliveries(result);
+          } catch (error) {
+            document.getElementById('deliveryTableBody').innerHTML =
+              '<tr><td colspan="9" class="error-message">' + escapeHtml(error.message) + '</td></tr>';
+          }
+        }
+
+        function describeResponse(delivery) {
+          const parts = [];
+          if (delivery.responseStatus) parts.push('HTTP ' + delivery.responseStatus);
+          if (delivery.durationMs !== null && delivery.durationMs !== undefined) parts.push(delivery.durationMs + ' ms');
+          let html = escapeHtml(parts.join(', '));
+          if (delivery.error) html += '<br><small class="error-text">' + escapeHtml(delivery.error) + '</small>';
+          if (delivery.status === 'retrying' && delivery.nextAttemptAt) {
+            html += '<br><small>Next attempt ' + new Date(delivery.nextAttemptAt).toLocaleString() + '</small>';
+          }
+          return html || '-';
+        }
+
+        function renderDeliveries({ deliveries, total }) {
+          const tableBody = document.getElementById('deliveryTableBody');
+          if (deliveries.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="9" class="empty-message">No deliveries match these filters</td></tr>';
+          } else {
+            tableBody.innerHTML = deliveries.map(delivery => \`
+              <tr>
+                <td>\${new Date(delivery.createdAt).toLocaleString()}</td>
+                <td>\${escapeHtml(delivery.space)}</td>
+                <td><code>\${escapeHtml(delivery.event)}</code></td>
+                <td class="webhook-url">\${escapeHtml(delivery.path || '-')}</td>
+                <td class="webhook-url">\${escapeHtml(delivery.url)}</td>
+                <td><span class="status-badge status-\${delivery.status}">\${delivery.status}</span></td>
+                <td>\${delivery.attempts}</td>
+                <td>\${describeResponse(delivery)}</td>
+                <td><button type="button" class="btn btn-secondary btn-small" data-redeliver="\${delivery.id}">Redeliver</button></td>
+              </tr>
+            \`).join('');
+          }
+
+          const last = Math.min(offset + deliveries.length, total);
+          document.getElementById('pageInfo').textContent = total > 0 ? (offset + 1) + '-' + last + ' of ' + total : '';
+          document.getElementById('previousPage').disabled = offset === 0;
+          document.getElementById('nextPage').disabled = last >= total;
+        }
+
+        async function redeliver(id) {
+          const status = document.getElementById('webhookStatus');
+          try {
+            const response = await fetch('/api/webhooks/deliveries/' + encodeURIComponent(id) + '/redeliver', { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+              throw new Error(result.error || 'Failed to redeliver');
+            }
+            status.className = 'webhook-status status-valid';
+            status.textContent = 'Queued ' + result.event + ' again for ' + result.url;
+            offset = 0;
+            loadDeliveries();
+          } catch (error) {
+            status.className = 'webhook-status status-invalid';
+            status.textContent = error.message;
+          }
+        }
+
+        document.getElementById('deliveryTableBody').addEventListener('click', (e) => {
+          const button = e.target.closest('[data-redeliver]');
+          if (button) {
+            redeliver(button.getAttribute('data-redeliver'));
+          }
+        });
+
+        document.getElementById('deliveryFilters').addEventListener('submit', (e) => {
+          e.preventDefault();
+          offset = 0;
+          loadDeliveries();
+        });
+
+        document.getElementById('resetFilters').addEventListener('click', () => {
+          document.getElementById('deliveryFilters').reset();
+          offset = 0;
+          loadDeliveries();
+        });
+
+        document.getElementById('refreshDeliveries').addEventListener('click', () => {
+          loadWebhooks();
+          loadDeliveries();
+        });
+
+        document.getElementById('previousPage').addEventListener('click', () => {
+          offset = Math.max(0, offset - PAGE_SIZE);
+          loadDeliveries();
+        });
+
+        document.getElementById('nextPage').addEventListener('click', () => {
+          offset += PAGE_SIZE;
+          loadDeliveries();
+        });
+      `}} />
+
+      <style dangerouslySetInnerHTML={{__html: `
+        .webhooks-section {
+          background: #ffffff;
+          border: 1px solid #dfe1e6;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 1px 2px rgba(0, 0, 0, 0.04);
+          padding: 2rem;
+          margin-bottom: 1.5rem;
+        }
+
+        .webhooks-section h2 {
+          font-size: 1.125rem;
+          font-weight: 600;
+          color: #172b4d;
+          margin: 0 0 0.5rem 0;
+        }
+
+        .section-help {
+          font-size: 0.875rem;
+          color: #5e6c84;
+          margin-bottom: 1rem;
+        }
+
+        .webhook-filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 1rem;
+          align-items: flex-end;
+          margin: 1rem 0 1.5rem 0;
+        }
+
+        .webhook-filters .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+        }
+
+        .webhook-filters label {
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: #5e6c84;
+        }
+
+        .webhook-filters input,
+        .webhook-filters select {
+          padding: 0.5rem;
+          border: 1px solid #dfe1e6;
+          border-radius: 4px;
+          font-size: 0.875rem;
+        }
+
+        .webhook-actions {
+          display: flex;
+          gap: 0.5rem;
+          flex-wrap: wrap;
+        }
+
+        .webhook-status {
+          margin-bottom: 1rem;
+          font-size: 0.875rem;
+        }
+
+        .status-valid {
+          color: #006644;
+        }
+
+        .status-invalid,
+        .error-text {
+          color: #de350b;
+        }
+
+        .table-container {
+          overflow-x: auto;
+          max-height: 60vh;
+          border-radius: 6px;
+          border: 1px solid #dfe1e6;
+        }
+
+        .webhooks-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.875rem;
+        }
+
+        .webhooks-table th,
+        .webhooks-table td {
+          padding: 0.75rem;
+          text-align: left;
+          border-bottom: 1px solid #dfe1e6;
+          color: #172b4d;
+          vertical-align: top;
+        }
+
+        .webhooks-table th {
+          background: #f4f5f7;
+          font-weight: 600;
+          position: sticky;
+          top: 0;
+        }
+
+        .webhook-url {
+          word-break: break-all;
+          max-width: 280px;
+        }
+
+        .empty-message,
+        .error-message {
+          text-align: center;
+          color: #5e6c84;
+        }
+
+        .error-message {
+          color: #de350b;
+        }
+
+        .status-badge {
+          padding: 0.125rem 0.5rem;
+          border-radius: 12px;
+          font-size: 0.75rem;
+          font-weight: 600;
+        }
+
+        .status-queued,
+        .status-retrying {
+          background: #fff4e6;
+          color: #974f0c;
+        }
+
+        .status-delivered {
+          background: #e3fcef;
+          color: #006644;
+        }
+
+        .status-failed {
+          background: #ffebe6;
+          color: #bf2600;
+        }
+
+        .status-cancelled {
+          background: #f4f5f7;
+          color: #5e6c84;
+        }
+
+        .webhook-pager {
+          display: flex;
+          justify-content: flex-end;
+          align-items: center;
+          gap: 1rem;
+          margin-top: 1rem;
+          font-size: 0.875rem;
+          color: #5e6c84;
+        }
+
+        .btn {
+          padding: 0.5rem 1rem;
+          border: 1px solid #dfe1e6;
+          border-radius: 6px;
+          font-size: 0.875rem;
+          font-weight: 500;
+          cursor: pointer;
+          background: #ffffff;
+          color: #172b4d;
+          line-height: 1;
+        }
+
+        .btn-small {
+          padding: 0.25rem 0.5rem;
+          font-size: 0.75rem;
+        }
+
+        .btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .btn-primary {
+          background: #0052cc;
+          color: white;
+          border-color: #0052cc;
+        }
+      `}} />
+    </>
+  );
+};
+
+export default Webhooks;
@@ -44,6 +44,20 @@ const Sidebar = ({ activeSection }) => {
               <i className="bi bi-graph-up me-2"></i>
               API Monitor
             </a>
+            <a 
+              href="/monitoring/audit" 
+              className={`nav-item ${activeSection === 'audit' ? 'active' : ''}`}
+            >
+              <i className="bi bi-shield-check me-2"></i>
+              Audit Log
+            </a>
+            <a 
+              href="/monitoring/webhooks" 
+              className={`nav-item ${activeSection === 'webhooks' ? 'active' : ''}`}
+            >
+              <i className="bi bi-broadcast me-2"></i>
+              Webhooks
+            </a>
           </div>
           
           <div className="nav-section">
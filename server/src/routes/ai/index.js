@@ -0,0 +1,298 @@
+/**
+ * @fileoverview AI assistant routes
+ *
+ * Summarizes, rewrites, reviews, drafts and answers questions about documents
+ * of a space with the model provider chosen for the space by an admin (see
+ * utils/aiAssistant), and answers questions about the whole space from the
+ * passages of its documents, citing them. Answers stream as server-sent events:
+ *
+ *   event: start  data: { action, provider, model, sources }
+ *   event: chunk  data: { text }
+ *   event: done   data: { text, provider, model, sources }
+ *   event: error  data: { error }
+ *
+ * `sources` are only sent for questions about the space.
+ *
+ * Send `"stream": false` to get the whole answer as JSON instead.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const express = require('express');
+const { loadFilingProvider, checkSpaceAccess, getSpaceFilePath } = require('../spaces');
+const { hasSpacePermission } = require('../../utils/spaceRoles');
+const { getCleanMarkdownContent } = require('../../utils/commentParser');
+const PassageIndex = require('../../services/searching/provider/passageIndex');
+const {
+  AI_ACTIONS,
+  getSpaceAiConfig,
+  buildAssistantPrompt,
+  buildSpaceAnswerPrompt,
+  createAiProvider
+} = require('../../utils/aiAssistant');
+
+const router = express.Router();
+
+/** @const {number} Most passages an answer about a space is made from */
+const MAX_SOURCES = 6;
+
+/** @const {number} Most files read to answer from a space that is not indexed yet */
+const MAX_UNINDEXED_FILES = 300;
+
+/**
+ * Middleware refusing requests for spaces without an assistant
+ */
+function requireAiEnabled(req, res, next) {
+  req.aiConfig = getSpaceAiConfig(req.spaceConfig);
+  if (!req.aiConfig) {
+    return res.status(403).json({ error: 'The AI assistant is not enabled for this space' });
+  }
+  next();
+}
+
+/**
+ * Middleware checking the space operation the requested action needs
+ */
+function checkActionAccess(req, res, next) {
+  const action = AI_ACTIONS[req.params.action];
+  if (!action) {
+    return res.status(400).json({ error: `Unknown action. Use one of: ${Object.keys(AI_ACTIONS).join(', ')}` });
+  }
+  checkSpaceAccess(action.operation)(req, res, next);
+}
+
+/**
+ * Reads a markdown document of the space without its comments.
+ * @return {Promise<string|null>} The content, or null when the file does not exist.
+ */
+async function readDocument(req, filePath) {
+  const fullPath = getSpaceFilePath(filePath, req.spaceConfig.access === 'readonly');
+  if (!(await req.filing.exists(fullPath))) {
+    return null;
+  }
+  return getCleanMarkdownContent(await req.filing.read(fullPath, 'utf8'));
+}
+
+/**
+ * Sends the answer of a provider, streamed as server-sent events or as one
+ * JSON response. Stops the provider when the client goes away.
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @param {Object} provider - Provider from createAiProvider().
+ * @param {Object} prompts - `{ system, prompt }` from buildAssistantPrompt().
+ * @param {Object} [options] - `{ action, stream, sources }`.
+ */
+async function sendAssistantAnswer(req, res, provider, prompts, options = {}) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  const request = { ...prompts, signal: controller.signal };
+  const about = { action: options.action, provider: provider.name, model: provider.model };
+  if (options.sources) {
+    about.sources = options.sources;
+  }
+
+  if (options.stream === false) {
+    try {
+      const result = await provider.stream(request);
+      return res.json({ ...about, text: result.text, model: result.model || provider.model });
+    } catch (error) {
+      console.error(`AI ${options.action} failed:`, error.message);
+      return res.status(502).json({ error: `The AI provider failed: ${error.message}` });
+    }
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('start', about);
+  try {
+    const result = await provider.stream(request, text => send('chunk', { text }));
+    send('done', { ...about, text: result.text, model: result.model || provider.model });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error(`AI ${options.action} failed:`, error.message);
+      send('error', { error: `The AI provider failed: ${error.message}` });
+    }
+  }
+  res.end();
+}
+
+/**
+ * Finds the passages of the space that best answer a question. Uses the
+ * passage index of the searching service; a space that is not indexed yet is
+ * read and split into passages for this question only.
+ * @return {Promise<Array<Object>>} Passages, best first.
+ */
+async function retrieveSpacePassages(req, question) {
+  // Personal space documents are indexed per user
+  const spaceName = req.spaceName === 'Personal' ? `Personal:${req.user.username}` : req.spaceName;
+  const container = req.app.locals.serviceContainer;
+  const searching = container && container.has('searching') ? container.get('searching') : null;
+  if (searching && searching.passages && searching.passages.count({ spaceName }) > 0) {
+    return searching.passages.retrieve(question, { filter: { spaceName }, limit: MAX_SOURCES });
+  }
+
+  const passages = new PassageIndex({ indexPath: null });
+  const readonly = req.spaceConfig.access === 'readonly';
+  let remaining = MAX_UNINDEXED_FILES;
+  const readDirectory = async (dirPath) => {
+    let items;
+    try {
+      items = await req.filing.listDetailed(dirPath ? getSpaceFilePath(dirPath, readonly) : (readonly ? '' : 'markdown'));
+    } catch (error) {
+      console.error('Error reading directory:', dirPath, error.message);
+      return;
+    }
+    for (const item of items) {
+      if (remaining <= 0) {
+        return;
+      }
+      const filePath = dirPath ? `${dirPath}/${item.name}` : item.name;
+      if (item.isDirectory && !item.name.startsWith('.')) {
+        await readDirectory(filePath);
+      } else if (item.isFile && /\.(md|markdown)$/i.test(item.name)) {
+        remaining--;
+        const content = await readDocument(req, filePath).catch(() => null);
+        if (content) {
+          const title = (content.match(/^#\s+(.+)$/m) || [])[1];
+          await passages.update(`${spaceName}:${filePath}`, { spaceName, filePath, title, content });
+        }
+      }
+    }
+  };
+  await readDirectory('');
+  return passages.retrieve(question, { limit: MAX_SOURCES });
+}
+
+// Assistant settings of a space and the actions the user may run
+router.get('/:space/ai', loadFilingProvider, checkSpaceAccess('read'), (req, res) => {
+  const config = getSpaceAiConfig(req.spaceConfig);
+  const readonly = req.spaceConfig.access === 'readonly';
+  res.json({
+    enabled: Boolean(config),
+    provider: config ? config.provider : null,
+    model: config ? config.model : null,
+    principlesPath: config ? config.principlesPath : null,
+    actions: Object.entries(AI_ACTIONS).map(([id, action]) => ({
+      id,
+      label: action.label,
+      allowed: Boolean(config) && hasSpacePermission(req.spaceRole, action.operation) &&
+        (action.operation === 'read' || !readonly)
+    }))
+  });
+});
+
+// Run an action. The document is sent as `content` or read from `filePath`;
+// rewrite and summarize work on `selection` when it is given, review uses
+// the principles file of the space, draft uses the `template` of the space
+// and `instruction`, ask answers `question`.
+router.post('/:space/ai/:action', loadFilingProvider, checkActionAccess, requireAiEnabled, async (req, res) => {
+  try {
+    const action = req.params.action;
+    const { filePath, selection, instruction, question, template: templateName, stream } = req.body || {};
+    let { content } = req.body || {};
+
+    if (filePath !== undefined && (typeof filePath !== 'string' || filePath.split('/').includes('..'))) {
+      return res.status(400).json({ error: 'Invalid file path' });
+    }
+    if (typeof content !== 'string' && filePath) {
+      if (!/\.(md|markdown)$/i.test(filePath)) {
+        return res.status(400).json({ error: 'Only markdown files can be sent to the assistant' });
+      }
+      content = await readDocument(req, filePath);
+      if (content === null) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+    }
+
+    let principles;
+    if (action === 'review' && req.aiConfig.principlesPath) {
+      principles = await readDocument(req, req.aiConfig.principlesPath);
+      if (principles === null) {
+        console.warn(`AI principles file ${req.aiConfig.principlesPath} of space ${req.spaceName} not found, using the defaults`);
+      }
+    }
+
+    let template;
+    if (action === 'draft' && templateName) {
+      const templatePath = `templates/${templateName}.json`;
+      if (typeof templateName !== 'string' || !/^[\w .-]+$/.test(templateName) || !(await req.filing.exists(templatePath))) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      template = JSON.parse(await req.filing.read(templatePath, 'utf8'));
+    }
+
+    let prompts;
+    try {
+      prompts = buildAssistantPrompt(action, { content, selection, instruction, question, principles, template, filePath });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    let provider;
+    try {
+      provider = createAiProvider(req.aiConfig);
+    } catch (error) {
+      console.error(`AI provider of space ${req.spaceName} is not available:`, error.message);
+      return res.status(503).json({ error: `The AI provider is not available: ${error.message}` });
+    }
+
+    await sendAssistantAnswer(req, res, provider, prompts, { action, stream });
+  } catch (error) {
+    console.error('Error running AI assistant:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to run the AI assistant' });
+    }
+  }
+});
+
+// Answer a question about the whole space from its documents. The answer
+// cites its sources as [n], the n-th entry of `sources`.
+router.post('/:space/ask', loadFilingProvider, checkSpaceAccess('read'), requireAiEnabled, async (req, res) => {
+  try {
+    const { question, stream } = req.body || {};
+    if (typeof question !== 'string' || !question.trim()) {
+      return res.status(400).json({ error: 'Question is required' });
+    }
+
+    const passages = await retrieveSpacePassages(req, question);
+    const sources = passages.map((passage, index) => ({
+      id: index + 1,
+      filePath: passage.filePath,
+      title: passage.title,
+      heading: passage.heading,
+      anchor: passage.anchor,
+      snippet: passage.snippet
+    }));
+    const prompts = buildSpaceAnswerPrompt(question, passages, req.spaceName);
+
+    let provider;
+    try {
+      provider = createAiProvider(req.aiConfig);
+    } catch (error) {
+      console.error(`AI provider of space ${req.spaceName} is not available:`, error.message);
+      return res.status(503).json({ error: `The AI provider is not available: ${error.message}` });
+    }
+
+    await sendAssistantAnswer(req, res, provider, prompts, { action: 'ask-space', stream, sources });
+  } catch (error) {
+    console.error('Error answering question about the space:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to answer the question' });
+    }
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,9 @@
  * - Listing user's API keys
  * - Revoking API keys
  * - API key-based authentication
+ * - Limiting keys to spaces, read-only or read-write access, an expiry
+ *   and an IP allow-list (see auth/apiKeyScopes)
+ * - Listing the audited uses of a key
  * 
  * @author Design Artifacts Team
  * @version 1.0.0
@@ -15,6 +18,11 @@
 const express = require('express');
 const crypto = require('crypto');
 const userStorage = require('../../auth/userStorage');
+const { rejectScopedApiKey } = require('../../auth/middleware');
+const { normalizeApiKeyScope, describeApiKeyScope } = require('../../auth/apiKeyScopes');
+const { readApiKeyUsage } = require('../../auth/apiKeyAudit');
+const { recordAudit } = require('../../utils/auditLog');
+const { getSpaceConfigs } = require('../../config/spaces');
 
 const router = express.Router();
 
@@ -38,7 +46,7 @@ function requireAuth(req, res, next) {
     
     // If not a session token, try API key authentication
     if (!user) {
-      user = userStorage.authenticateByApiKey(token);
+      user = userStorage.authenticateByApiKey(token, req);
     }
     
     if (user) {
@@ -51,16 +59,45 @@ function requireAuth(req, res, next) {
   res.status(401).json({ error: 'Authentication required' });
 }
 
+/**
+ * Returns an API key as shown to its owner, without the key value.
+ */
+function toSafeKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    description: key.description,
+    keyPreview: key.key.substring(0, 12) + '...' + key.key.substring(key.key.length - 4),
+    createdAt: key.createdAt,
+    lastUsed: key.lastUsed,
+    isActive: key.isActive,
+    scope: describeApiKeyScope(key)
+  };
+}
+
+/**
+ * Checks whether a request body sets the scope of a key. A scope is always
+ * replaced as a whole, so fields left out take their defaults.
+ */
+function hasScopeFields(body) {
+  return ['spaces', 'access', 'expiresAt', 'expiresInDays', 'allowedIps'].some(field => body[field] !== undefined);
+}
+
 /**
  * Generate a new API key for the current user
  */
-router.post('/generate', requireAuth, async (req, res) => {
+router.post('/generate', requireAuth, rejectScopedApiKey, async (req, res) => {
   try {
     const { name, description } = req.body;
     
     if (!name || typeof name !== 'string' || !name.trim()) {
       return res.status(400).json({ error: 'API key name is required' });
     }
+
+    const { scope, error } = normalizeApiKeyScope(req.body, getSpaceConfigs());
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
     const userId = req.user.id;
     
@@ -76,11 +113,19 @@ router.post('/generate', requireAuth, async (req, res) => {
       userId: userId,
       createdAt: new Date().toISOString(),
       lastUsed: null,
-      isActive: true
+      isActive: true,
+      scope
     };
     
     // Store the API key
     userStorage.createApiKey(keyData);
+    await recordAudit(req, {
+      action: 'apikey.create',
+      space: null,
+      path: `api-keys/${keyData.id}`,
+      after: describeApiKeyScope(keyData),
+      details: { name: keyData.name, scope: describeApiKeyScope(keyData) }
+    });
     
     // Return the API key (this is the only time it will be returned in full)
     res.json({
@@ -92,7 +137,8 @@ router.post('/generate', requireAuth, async (req, res) => {
         key: apiKey, // Full key is returned only on creation
         createdAt: keyData.createdAt,
         lastUsed: keyData.lastUsed,
-        isActive: keyData.isActive
+        isActive: keyData.isActive,
+        scope: describeApiKeyScope(keyData)
       }
     });
     
@@ -105,7 +151,7 @@ router.post('/generate', requireAuth, async (req, res) => {
 /**
  * List all API keys for the current user (without revealing the actual keys)
  */
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, rejectScopedApiKey, async (req, res) => {
   try {
     const userId = req.user.id;
     
@@ -113,15 +159,7 @@ router.get('/', requireAuth, async (req, res) => {
     const apiKeys = userStorage.getUserApiKeys(userId);
     
     // Return keys without the actual key values
-    const safeKeys = apiKeys.map(key => ({
-      id: key.id,
-      name: key.name,
-      description: key.description,
-      keyPreview: key.key.substring(0, 12) + '...' + key.key.substring(key.key.length - 4),
-      createdAt: key.createdAt,
-      lastUsed: key.lastUsed,
-      isActive: key.isActive
-    }));
+    const safeKeys = apiKeys.map(toSafeKey);
     
     res.json({
       apiKeys: safeKeys,
@@ -137,7 +175,7 @@ router.get('/', requireAuth, async (req, res) => {
 /**
  * Revoke an API key
  */
-router.delete('/:keyId', requireAuth, async (req, res) => {
+router.delete('/:keyId', requireAuth, rejectScopedApiKey, async (req, res) => {
   try {
     const { keyId } = req.params;
     const userId = req.user.id;
@@ -158,6 +196,13 @@ router.delete('/:keyId', requireAuth, async (req, res) => {
     
     // Revoke the API key
     userStorage.revokeApiKey(keyId);
+    await recordAudit(req, {
+      action: 'apikey.revoke',
+      space: null,
+      path: `api-keys/${keyId}`,
+      before: describeApiKeyScope(apiKey),
+      details: { name: apiKey.name, owner: apiKey.userId }
+    });
     
     res.json({
       message: 'API key revoked successfully',
@@ -171,9 +216,9 @@ router.delete('/:keyId', requireAuth, async (req, res) => {
 });
 
 /**
- * Update an API key (name/description only)
+ * Update an API key: name, description and, when given, its scope
  */
-router.put('/:keyId', requireAuth, async (req, res) => {
+router.put('/:keyId', requireAuth, rejectScopedApiKey, async (req, res) => {
   try {
     const { keyId } = req.params;
     const { name, description } = req.body;
@@ -202,23 +247,31 @@ router.put('/:keyId', requireAuth, async (req, res) => {
       name: name.trim(),
       description: description?.trim() || ''
     };
+
+    if (hasScopeFields(req.body)) {
+      const { scope, error } = normalizeApiKeyScope(req.body, getSpaceConfigs());
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.scope = scope;
+    }
     
     userStorage.updateApiKey(keyId, updateData);
     
     // Get updated key
     const updatedKey = userStorage.getApiKeyById(keyId);
+    await recordAudit(req, {
+      action: 'apikey.update',
+      space: null,
+      path: `api-keys/${keyId}`,
+      before: { name: apiKey.name, description: apiKey.description, scope: describeApiKeyScope(apiKey) },
+      after: { name: updatedKey.name, description: updatedKey.description, scope: describeApiKeyScope(updatedKey) },
+      details: { name: updatedKey.name, scope: describeApiKeyScope(updatedKey) }
+    });
     
     res.json({
       message: 'API key updated successfully',
-      apiKey: {
-        id: updatedKey.id,
-        name: updatedKey.name,
-        description: updatedKey.description,
-        keyPreview: updatedKey.key.substring(0, 12) + '...' + updatedKey.key.substring(updatedKey.key.length - 4),
-        createdAt: updatedKey.createdAt,
-        lastUsed: updatedKey.lastUsed,
-        isActive: updatedKey.isActive
-      }
+      apiKey: toSafeKey(updatedKey)
     });
     
   } catch (error) {
@@ -227,4 +280,27 @@ router.put('/:keyId', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * List the recent audited uses of an API key
+ */
+router.get('/:keyId/usage', requireAuth, rejectScopedApiKey, async (req, res) => {
+  try {
+    const apiKey = userStorage.getApiKeyById(req.params.keyId);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (apiKey.userId !== req.user.id) {
+      return res.status(403).json({ error: 'You can only view the usage of your own API keys' });
+    }
+
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const usage = await readApiKeyUsage(apiKey.id, limit);
+    res.json({ keyId: apiKey.id, usage, count: usage.length });
+  } catch (error) {
+    console.error('Error reading API key usage:', error);
+    res.status(500).json({ error: 'Failed to read API key usage' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -21,6 +21,7 @@ const userStorage = require('../../auth/userStorage');
 const passport = require('../../auth/passport');
 const fs = require('fs');
 const path = require('path');
+const { listAccessibleSpaces } = require('../../utils/spaceRoles');
 
 const router = express.Router();
 
@@ -222,11 +223,8 @@ router.get('/user-spaces', requireAuth, (req, res) => {
     const spacesData = fs.readFileSync(spacesFilePath, 'utf8');
     const allSpaces = JSON.parse(spacesData);
     
-    // Get user's allowed spaces from their profile
-    const userSpaces = req.user.spaces ? req.user.spaces.split(',').map(s => s.trim()) : [];
-    
-    // Filter available spaces to only include those the user has access to
-    const allowedSpaces = allSpaces.filter(space => userSpaces.includes(space.space));
+    // Filter available spaces to those the user has a role in
+    const allowedSpaces = listAccessibleSpaces(req.user, allSpaces);
     
     res.json(allowedSpaces);
   } catch (error) {
@@ -17,6 +17,9 @@ const express = require('express');
 const path = require('path');
 const EventEmitter = require('events');
 const createFilingService = require('../../services/filing/index.js');
+const { setVersionHeader, checkIfMatch, acquireFileLock } = require('../../utils/contentVersion');
+const { recordAudit } = require('../../utils/auditLog');
+const { runCommentAddedHooks } = require('../../utils/pluginHooks');
 
 const router = express.Router();
 
@@ -83,7 +86,8 @@ router.get('/*', async (req, res) => {
     res.json({
       filePath,
       comments: sortedComments,
-      commentCount: sortedComments.length
+      commentCount: sortedComments.length,
+      version: setVersionHeader(res, content)
     });
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -96,6 +100,7 @@ router.get('/*', async (req, res) => {
 
 // Add a new comment to a file
 router.post('/*', requireAuth, async (req, res) => {
+  let releaseLock;
   try {
     const filePath = req.params[0] || '';
     const { content: commentContent } = req.body;
@@ -115,7 +120,11 @@ router.post('/*', requireAuth, async (req, res) => {
 
     // Read the current file content
     const markdownFilePathForRead = `markdown/${filePath}`;
+    releaseLock = await acquireFileLock(`:${filePath}`);
     const markdownContent = await filing.read(markdownFilePathForRead, 'utf8');
+    if (!checkIfMatch(req, res, markdownContent)) {
+      return;
+    }
     
     // Extract existing comments and clean content
     const existingComments = extractComments(markdownContent);
@@ -139,12 +148,23 @@ router.post('/*', requireAuth, async (req, res) => {
     // Return the new comment and updated list
     const sortedComments = sortCommentsByNewest(updatedComments);
     const newCommentData = sortedComments.find(c => c.author === req.user.username && c.content === commentContent.trim());
+    await recordAudit(req, {
+      action: 'comment.create',
+      path: filePath,
+      before: markdownContent,
+      after: updatedMarkdownContent,
+      details: { commentId: newCommentData ? newCommentData.id : null }
+    });
+    if (newCommentData) {
+      runCommentAddedHooks(req, filePath, newCommentData);
+    }
     
     res.json({
       message: 'Comment added successfully',
       comment: newCommentData,
       comments: sortedComments,
-      commentCount: sortedComments.length
+      commentCount: sortedComments.length,
+      version: setVersionHeader(res, updatedMarkdownContent)
     });
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -152,11 +172,14 @@ router.post('/*', requireAuth, async (req, res) => {
     }
     console.error('Error adding comment:', error);
     res.status(500).json({error: 'Failed to add comment'});
+  } finally {
+    if (releaseLock) releaseLock();
   }
 });
 
 // Update an existing comment
 router.put('/:commentId/*', requireAuth, async (req, res) => {
+  let releaseLock;
   try {
     const filePath = req.params[0] || '';
     const commentId = req.params.commentId;
@@ -177,7 +200,11 @@ router.put('/:commentId/*', requireAuth, async (req, res) => {
 
     // Read the current file content
     const markdownFilePathForRead = `markdown/${filePath}`;
+    releaseLock = await acquireFileLock(`:${filePath}`);
     const markdownContent = await filing.read(markdownFilePathForRead, 'utf8');
+    if (!checkIfMatch(req, res, markdownContent)) {
+      return;
+    }
     
     // Extract existing comments and clean content
     const existingComments = extractComments(markdownContent);
@@ -206,6 +233,14 @@ router.put('/:commentId/*', requireAuth, async (req, res) => {
     const markdownFilePathForUpdate = `markdown/${filePath}`;
     await filing.update(markdownFilePathForUpdate, updatedMarkdownContent); // Use relative path with markdown prefix
     
+    await recordAudit(req, {
+      action: 'comment.update',
+      path: filePath,
+      before: markdownContent,
+      after: updatedMarkdownContent,
+      details: { commentId }
+    });
+    
     // Return the updated comment and list
     const sortedComments = sortCommentsByNewest(updatedComments);
     const updatedComment = sortedComments.find(c => c.id === commentId);
@@ -214,7 +249,8 @@ router.put('/:commentId/*', requireAuth, async (req, res) => {
       message: 'Comment updated successfully',
       comment: updatedComment,
       comments: sortedComments,
-      commentCount: sortedComments.length
+      commentCount: sortedComments.length,
+      version: setVersionHeader(res, updatedMarkdownContent)
     });
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -222,11 +258,14 @@ router.put('/:commentId/*', requireAuth, async (req, res) => {
     }
     console.error('Error updating comment:', error);
     res.status(500).json({error: 'Failed to update comment'});
+  } finally {
+    if (releaseLock) releaseLock();
   }
 });
 
 // Delete a comment
 router.delete('/:commentId/*', requireAuth, async (req, res) => {
+  let releaseLock;
   try {
     const filePath = req.params[0] || '';
     const commentId = req.params.commentId;
@@ -242,7 +281,11 @@ router.delete('/:commentId/*', requireAuth, async (req, res) => {
 
     // Read the current file content
     const markdownFilePathForRead = `markdown/${filePath}`;
+    releaseLock = await acquireFileLock(`:${filePath}`);
     const markdownContent = await filing.read(markdownFilePathForRead, 'utf8');
+    if (!checkIfMatch(req, res, markdownContent)) {
+      return;
+    }
     
     // Extract existing comments and clean content
     const existingComments = extractComments(markdownContent);
@@ -271,13 +314,22 @@ router.delete('/:commentId/*', requireAuth, async (req, res) => {
     const markdownFilePathForUpdate = `markdown/${filePath}`;
     await filing.update(markdownFilePathForUpdate, updatedMarkdownContent); // Use relative path with markdown prefix
     
+    await recordAudit(req, {
+      action: 'comment.delete',
+      path: filePath,
+      before: markdownContent,
+      after: updatedMarkdownContent,
+      details: { commentId }
+    });
+    
     // Return the updated list
     const sortedComments = sortCommentsByNewest(updatedComments);
     
     res.json({
       message: 'Comment deleted successfully',
       comments: sortedComments,
-      commentCount: sortedComments.length
+      commentCount: sortedComments.length,
+      version: setVersionHeader(res, updatedMarkdownContent)
     });
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -285,6 +337,8 @@ router.delete('/:commentId/*', requireAuth, async (req, res) => {
     }
     console.error('Error deleting comment:', error);
     res.status(500).json({error: 'Failed to delete comment'});
+  } finally {
+    if (releaseLock) releaseLock();
   }
 });
 
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Diagram rendering routes
+ *
+ * Renders PlantUML diagrams of fenced ```plantuml blocks to SVG for the
+ * Markdown previews, with the local PlantUML configured on the server (see
+ * utils/diagramRenderer). Mermaid and math are rendered by the clients.
+ *
+ * Also renders the diagram files of spaces (`.excalidraw`, see
+ * utils/diagramFiles) to SVG and PNG, for `![[diagram.excalidraw]]` embeds
+ * and for exporting them.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const express = require('express');
+const path = require('path');
+const { requireAuth } = require('../../auth/middleware');
+const { loadFilingProvider, checkSpaceAccess, getSpaceFilePath } = require('../spaces');
+const { renderPlantUml } = require('../../utils/diagramRenderer');
+const { isDiagramFile, parseDiagram, renderDiagramSvg, renderDiagramPng } = require('../../utils/diagramFiles');
+
+const router = express.Router();
+
+/**
+ * POST /diagrams/plantuml
+ * Render a PlantUML diagram to SVG
+ */
+router.post('/diagrams/plantuml', requireAuth, async (req, res) => {
+  try {
+    const svg = await renderPlantUml(req.body && req.body.source);
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+    // The SVG is shown as an image, never as a page of this origin
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+    res.send(svg);
+  } catch (error) {
+    if (error.code === 'INVALID_DIAGRAM') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'PLANTUML_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
+    console.error('Error rendering PlantUML diagram:', error);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /:space/diagrams/render/*
+ * Render a diagram file of the space to SVG or PNG
+ * Query: `format` svg (default) or png, `background=false` for a transparent
+ * background, `scale` of PNGs (default 2), `download=true` to save it as a file
+ */
+router.get('/:space/diagrams/render/*', loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const filePath = req.params[0] || '';
+    const format = req.query.format || 'svg';
+
+    if (!isDiagramFile(filePath)) {
+      return res.status(400).json({ error: 'Only .excalidraw diagram files can be rendered' });
+    }
+    if (format !== 'svg' && format !== 'png') {
+      return res.status(400).json({ error: 'Format must be svg or png' });
+    }
+
+    const fullPath = getSpaceFilePath(filePath, req.spaceConfig.access === 'readonly');
+    if (!(await req.filing.exists(fullPath))) {
+      return res.status(404).json({ error: 'Diagram not found' });
+    }
+
+    let scene;
+    try {
+      scene = parseDiagram(await req.filing.read(fullPath, 'utf8'));
+    } catch (error) {
+      return res.status(422).json({ error: error.message });
+    }
+
+    const options = { background: req.query.background !== 'false', scale: req.query.scale };
+    const name = path.basename(filePath, path.extname(filePath));
+
+    // Embeds pick up a saved diagram on their next request
+    res.set('Cache-Control', 'no-cache');
+    if (req.query.download === 'true') {
+      res.attachment(`${name}.${format}`);
+    }
+    if (format === 'png') {
+      res.type('image/png');
+      return res.send(renderDiagramPng(scene, options));
+    }
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.set('Content-Security-Policy', "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox");
+    res.send(renderDiagramSvg(scene, options));
+  } catch (error) {
+    console.error('Error rendering diagram file:', error);
+    res.status(500).json({ error: 'Failed to render diagram' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Static site export routes
+ *
+ * Exports a space, or one folder of it, as a self-contained static HTML
+ * documentation site delivered as a zip archive (see utils/staticSiteExporter).
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const express = require('express');
+const AdmZip = require('adm-zip');
+const { loadFilingProvider, checkSpaceAccess, getSpaceFilePath } = require('../spaces');
+const { exportStaticSite } = require('../../utils/staticSiteExporter');
+const { pluginHooks } = require('../../utils/pluginHooks');
+
+const router = express.Router();
+
+/**
+ * Read the folder path from the wildcard of a request, without slashes at either end
+ */
+function getFolderParam(req) {
+  return (req.params[0] || '').replace(/^\/+|\/+$/g, '');
+}
+
+// Export a space or folder as a zipped static site. `title` overrides the
+// site title, which defaults to the space and folder name.
+router.get(['/:space/export', '/:space/export/*'], loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const folder = getFolderParam(req);
+    if (folder.split('/').includes('..')) {
+      return res.status(400).json({ error: 'Invalid folder path' });
+    }
+
+    const basePath = getSpaceFilePath(folder, req.spaceConfig.access === 'readonly');
+    if (folder && !(await req.filing.exists(basePath))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const title = typeof req.query.title === 'string' && req.query.title.trim()
+      ? req.query.title.trim()
+      : [req.spaceName, folder].filter(Boolean).join(' / ');
+    const site = await exportStaticSite(req.filing, {
+      basePath,
+      folder,
+      title,
+      preprocess: (pagePath, markdown, frontMatter) => pluginHooks.render({ space: req.spaceName, path: pagePath, markdown, frontMatter })
+    });
+
+    const zip = new AdmZip();
+    for (const file of site.files) {
+      zip.addFile(file.path, Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8'));
+    }
+    const archive = zip.toBuffer();
+
+    const fileName = [req.spaceName, ...folder.split('/').filter(Boolean), 'site']
+      .join('-')
+      .replace(/[^A-Za-z0-9._-]+/g, '_');
+    console.log(`Exported static site of ${req.spaceName}/${folder}: ${site.pages} pages, ${site.assets} assets`);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+    res.setHeader('Content-Length', archive.length);
+    res.setHeader('X-Site-Pages', site.pages);
+    res.setHeader('X-Site-Assets', site.assets);
+    res.send(archive);
+  } catch (error) {
+    console.error('Error exporting static site:', error);
+    res.status(500).json({ error: 'Failed to export static site' });
+  }
+});
+
+module.exports = router;
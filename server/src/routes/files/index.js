@@ -19,7 +19,15 @@ const path = require('path');
 const multer = require('multer');
 const EventEmitter = require('events');
 const createFilingService = require('../../services/filing/index.js');
-const { requireAuth } = require('../../auth/middleware');
+const { requireAuth, rejectScopedApiKey } = require('../../auth/middleware');
+const { recordAudit } = require('../../utils/auditLog');
+const { LEGACY_TRASH_KEY, moveToTrash } = require('../../utils/trash');
+const {
+  setVersionHeader,
+  readCurrentContent,
+  checkIfMatch,
+  acquireFileLock
+} = require('../../utils/contentVersion');
 
 const router = express.Router();
 
@@ -158,21 +166,7 @@ async function getDirectoryTree(relativePath = '') {
 }
 
 // Create new file - must come before wildcard routes
-router.post('/', (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.substring(7);
-    const userStorage = require('../../auth/userStorage');
-    const user = userStorage.authenticateByApiKey(token);
-    if (user) {
-      req.user = user;
-      return next();
-    }
-  }
-  // For now, bypass authentication to test file sync
-  req.user = { id: 1, username: 'admin' };
-  return next();
-}, async (req, res) => {
+router.post('/', requireAuth, rejectScopedApiKey, async (req, res) => {
   try {
     const {filePath, content = ''} = req.body;
     
@@ -217,6 +211,7 @@ router.post('/', (req, res, next) => {
     }
     
     await filing.create(markdownFilePath, fileContent);
+    await recordAudit(req, { action: 'file.create', path: filePath, after: fileContent });
     
     res.json({message: 'File created successfully', path: filePath});
   } catch (error) {
@@ -279,6 +274,12 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     if (tempFileRelativePath !== finalMarkdownPath) {
       await filing.move(tempFileRelativePath, finalMarkdownPath);
     }
+    await recordAudit(req, {
+      action: 'file.upload',
+      path: finalFilePath,
+      after: await readCurrentContent(filing, finalMarkdownPath),
+      details: { size: req.file.size }
+    });
 
     res.json({
       message: 'File uploaded successfully',
@@ -333,17 +334,18 @@ router.get('/*', async (req, res) => {
           comments, // Extracted comments
           path: filePath, 
           fileType,
-          hasComments: comments.length > 0
+          hasComments: comments.length > 0,
+          version: setVersionHeader(res, content)
         });
       } else {
-        res.json({content, path: filePath, fileType});
+        res.json({content, path: filePath, fileType, version: setVersionHeader(res, content)});
       }
     } else if (fileType === 'image' || fileType === 'pdf') {
       // Read as binary and convert to base64 using relative path with markdown prefix
       const markdownFilePath = `markdown/${filePath}`;
       const buffer = await filing.read(markdownFilePath);
       const base64Content = buffer.toString('base64');
-      res.json({content: base64Content, path: filePath, fileType, encoding: 'base64'});
+      res.json({content: base64Content, path: filePath, fileType, encoding: 'base64', version: setVersionHeader(res, buffer)});
     } else {
       // Unknown file type - return file info for download using relative path with markdown prefix
       const markdownFilePath = `markdown/${filePath}`;
@@ -362,11 +364,8 @@ router.get('/*', async (req, res) => {
 });
 
 // Update file content (PUT method for server-watcher)
-router.put('/*', (req, res, next) => {
-  // Bypass auth for now - same as CREATE route
-  req.user = { id: 1, username: 'admin' };
-  next();
-}, async (req, res) => {
+router.put('/*', requireAuth, rejectScopedApiKey, async (req, res) => {
+  let releaseLock;
   try {
     const filePath = req.params[0] || '';
     const {content} = req.body;
@@ -388,20 +387,25 @@ router.put('/*', (req, res, next) => {
       }
     }
     
+    releaseLock = await acquireFileLock(`:${filePath}`);
+    const currentContent = await readCurrentContent(filing, markdownFilePath);
+    if (!checkIfMatch(req, res, currentContent, { includeContent: !Buffer.isBuffer(fileContent) })) {
+      return;
+    }
+
     await filing.update(markdownFilePath, fileContent);
-    res.json({message: 'File updated successfully', path: filePath});
+    await recordAudit(req, { action: 'file.update', path: filePath, before: currentContent, after: fileContent });
+    res.json({message: 'File updated successfully', path: filePath, version: setVersionHeader(res, fileContent)});
   } catch (error) {
     console.error('Error updating file:', error);
     res.status(500).json({error: 'Failed to update file'});
+  } finally {
+    if (releaseLock) releaseLock();
   }
 });
 
 // Update file content (POST method for backward compatibility)
-router.post('/*', (req, res, next) => {
-  // Bypass auth for now - same as CREATE route
-  req.user = { id: 1, username: 'admin' };
-  next();
-}, async (req, res) => {
+router.post('/*', requireAuth, rejectScopedApiKey, async (req, res) => {
   try {
     const filePath = req.params[0] || '';
     const {content} = req.body;
@@ -454,7 +458,9 @@ router.post('/*', (req, res, next) => {
       }
     }
     
+    const previousContent = await readCurrentContent(filing, markdownFilePath);
     await filing.update(markdownFilePath, fileContent); // Use relative path with markdown prefix
+    await recordAudit(req, { action: 'file.update', path: filePath, before: previousContent, after: fileContent });
     res.json({message: 'File saved successfully', path: filePath});
   } catch (error) {
     console.error('Error saving file:', error);
@@ -463,7 +469,7 @@ router.post('/*', (req, res, next) => {
 });
 
 // Delete file
-router.delete('/*', requireAuth, async (req, res) => {
+router.delete('/*', requireAuth, rejectScopedApiKey, async (req, res) => {
   try {
     const filePath = req.params[0] || '';
     const fullPath = path.join(contentDir, filePath);
@@ -473,13 +479,19 @@ router.delete('/*', requireAuth, async (req, res) => {
 
     const markdownFilePath = `markdown/${filePath}`;
     const stats = await filing.stat(markdownFilePath); // Use relative path with markdown prefix
-    if (stats.isDirectory) {
-      await filing.delete(markdownFilePath); // Use relative path with markdown prefix
-      res.json({message: 'Folder deleted successfully', path: filePath});
-    } else {
-      await filing.delete(markdownFilePath); // Use relative path with markdown prefix
-      res.json({message: 'File deleted successfully', path: filePath});
-    }
+    const previousContent = stats.isDirectory ? null : await readCurrentContent(filing, markdownFilePath);
+    const trashItem = await moveToTrash({ spaceName: LEGACY_TRASH_KEY, user: req.user, filing }, filePath, markdownFilePath);
+    await recordAudit(req, {
+      action: stats.isDirectory ? 'folder.delete' : 'file.delete',
+      path: filePath,
+      before: previousContent,
+      details: { trashId: trashItem.id }
+    });
+    res.json({
+      message: `${stats.isDirectory ? 'Folder' : 'File'} moved to trash`,
+      path: filePath,
+      trashId: trashItem.id
+    });
   } catch (error) {
     console.error('Error deleting file/folder:', error);
     res.status(500).json({error: 'Failed to delete file/folder'});
@@ -18,7 +18,9 @@ const express = require('express');
 const path = require('path');
 const EventEmitter = require('events');
 const createFilingService = require('../../services/filing/index.js');
-const { requireAuth } = require('../../auth/middleware');
+const { requireAuth, rejectScopedApiKey } = require('../../auth/middleware');
+const { recordAudit } = require('../../utils/auditLog');
+const { LEGACY_TRASH_KEY, moveToTrash } = require('../../utils/trash');
 
 const router = express.Router();
 
@@ -59,11 +61,7 @@ async function ensureContentDir() {
 }
 
 // Create new folder - must come before wildcard routes
-router.post('/', (req, res, next) => {
-  // Bypass auth for now - TODO: Fix userStorage.authenticateByApiKey issue
-  req.user = { id: 1, username: 'admin' };
-  next();
-}, async (req, res) => {
+router.post('/', requireAuth, rejectScopedApiKey, async (req, res) => {
   try {
     const {folderPath} = req.body;
     
@@ -81,6 +79,7 @@ router.post('/', (req, res, next) => {
     }
 
     await filing.mkdir(folderPath, {recursive: true});
+    await recordAudit(req, { action: 'folder.create', path: folderPath });
     res.json({message: 'Folder created successfully', path: folderPath});
   } catch (error) {
     console.error('Error creating folder:', error);
@@ -88,8 +87,8 @@ router.post('/', (req, res, next) => {
   }
 });
 
-// Delete folder
-router.delete('/*', async (req, res) => {
+// Delete folder (moves it to the trash)
+router.delete('/*', requireAuth, rejectScopedApiKey, async (req, res) => {
   try {
     const folderPath = req.params[0] || '';
     const fullPath = path.join(contentDir, folderPath);
@@ -98,8 +97,9 @@ router.delete('/*', async (req, res) => {
     }
 
     const markdownFolderPath = `markdown/${folderPath}`;
-    await filing.delete(markdownFolderPath); // Use relative path with markdown prefix
-    res.json({message: 'Folder deleted successfully', path: folderPath});
+    const trashItem = await moveToTrash({ spaceName: LEGACY_TRASH_KEY, user: req.user, filing }, folderPath, markdownFolderPath);
+    await recordAudit(req, { action: 'folder.delete', path: folderPath, details: { trashId: trashItem.id } });
+    res.json({message: 'Folder moved to trash', path: folderPath, trashId: trashItem.id});
   } catch (error) {
     console.error('Error deleting folder:', error);
     res.status(500).json({error: 'Failed to delete folder'});
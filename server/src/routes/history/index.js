@@ -0,0 +1,179 @@
+/**
+ * @fileoverview File version history routes
+ *
+ * Provides per-file version history for spaces including:
+ * - Listing the versions of a file (git commit log or local snapshots)
+ * - Line diffs between two versions or against the working copy
+ * - Restoring a previous version of a file
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const express = require('express');
+const { loadFilingProvider, checkSpaceAccess, getSpaceFilePath } = require('../spaces');
+const { invalidateCacheOnWrite } = require('../../../middleware/personalSpaceCache');
+const { notifyFileWritten, flushCollaborativeEdits } = require('../../collaboration');
+const { setVersionHeader, readCurrentContent, checkIfMatch, acquireFileLock } = require('../../utils/contentVersion');
+const { indexWrittenFile } = require('../../utils/linkIndex');
+const { queueSearchUpdate } = require('../../utils/searchIndex');
+const { recordAudit } = require('../../utils/auditLog');
+const {
+  CURRENT_VERSION,
+  diffLines,
+  summarizeDiff,
+  getSpaceKey,
+  createFileHistory,
+  readPreviousContent,
+  recordVersion
+} = require('../../utils/versionHistory');
+
+const router = express.Router();
+
+/**
+ * Build the history accessor for the file addressed by the request
+ */
+function getHistoryForRequest(req) {
+  const filePath = req.params[0] || '';
+  const isReadonly = req.spaceConfig.access === 'readonly';
+  const providerPath = getSpaceFilePath(filePath, isReadonly);
+  return {
+    filePath,
+    providerPath,
+    history: createFileHistory(req.filing, {
+      spaceKey: getSpaceKey(req.spaceName, req.user),
+      filePath,
+      providerPath
+    })
+  };
+}
+
+// List the versions of a file
+router.get('/:space/history/*', loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const { filePath, history } = getHistoryForRequest(req);
+
+    if (!filePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const versions = await history.list();
+    res.json({
+      path: filePath,
+      source: history.type,
+      versions
+    });
+  } catch (error) {
+    console.error('Error getting file history:', error);
+    res.status(500).json({ error: 'Failed to get file history' });
+  }
+});
+
+// Diff two versions of a file. `to` defaults to the working copy and `from`
+// to the version before `to`.
+router.get('/:space/diff/*', loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const { filePath, history } = getHistoryForRequest(req);
+
+    if (!filePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const to = req.query.to || CURRENT_VERSION;
+    let from = req.query.from;
+
+    if (!from) {
+      const versions = await history.list();
+      const toIndex = to === CURRENT_VERSION ? -1 : versions.findIndex(version => version.id === to);
+      const previous = versions[toIndex + 1];
+      if (!previous) {
+        return res.status(404).json({ error: 'No earlier version to compare with' });
+      }
+      from = previous.id;
+    }
+
+    const [oldContent, newContent] = await Promise.all([
+      history.getContent(from),
+      history.getContent(to)
+    ]);
+
+    if (oldContent === null || newContent === null) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const diff = diffLines(oldContent, newContent);
+    res.json({
+      path: filePath,
+      from,
+      to,
+      summary: summarizeDiff(diff),
+      lines: diff
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    console.error('Error getting file diff:', error);
+    res.status(500).json({ error: 'Failed to get file diff' });
+  }
+});
+
+// Restore a previous version of a file
+router.post('/:space/restore/*', loadFilingProvider, checkSpaceAccess('write'), invalidateCacheOnWrite(), async (req, res) => {
+  let releaseLock;
+  try {
+    const { filePath, providerPath, history } = getHistoryForRequest(req);
+    const { version } = req.body;
+
+    if (!filePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+    if (!version || version === CURRENT_VERSION) {
+      return res.status(400).json({ error: 'A previous version is required' });
+    }
+
+    const content = await history.getContent(version);
+    if (content === null) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    await flushCollaborativeEdits(req.spaceName, filePath);
+    releaseLock = await acquireFileLock(`${req.spaceName}:${filePath}`);
+    const currentContent = await readCurrentContent(req.filing, providerPath);
+    if (!checkIfMatch(req, res, currentContent)) {
+      return;
+    }
+
+    const previousContent = await readPreviousContent(req.filing, providerPath);
+    await req.filing.update(providerPath, content);
+    await recordVersion(req, filePath, content, previousContent, `Restored version ${version}`);
+    await recordAudit(req, {
+      action: 'file.update',
+      path: filePath,
+      before: currentContent,
+      after: content,
+      details: { restoredVersion: version }
+    });
+    indexWrittenFile(req, filePath, content);
+    queueSearchUpdate(req, filePath, content);
+    notifyFileWritten(req.spaceName, filePath, content, req.user.username);
+
+    res.json({
+      message: 'Version restored successfully',
+      path: filePath,
+      version,
+      content,
+      contentVersion: setVersionHeader(res, content),
+      // Git spaces keep the restore as a draft until it is published
+      isDraft: history.type === 'git'
+    });
+  } catch (error) {
+    console.error('Error restoring file version:', error);
+    res.status(500).json({ error: 'Failed to restore version' });
+  } finally {
+    if (releaseLock) releaseLock();
+  }
+});
+
+module.exports = router;
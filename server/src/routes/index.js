@@ -14,12 +14,14 @@ const path = require('path');
 const EventEmitter = require('events');
 const createFilingService = require('../services/filing/index.js');
 const userStorage = require('../auth/userStorage');
+const { rejectScopedApiKey } = require('../auth/middleware');
 
 // Import specialized route modules
 const authRoutes = require('./auth');
 const userRoutes = require('./users');
 const apiKeyRoutes = require('./api-keys');
-const { router: spacesRoutes, loadFilingProvider, checkSpaceAccess } = require('./spaces');
+const { router: spacesRoutes, loadFilingProvider, checkSpaceAccess, getSpaceFilePath } = require('./spaces');
+const { notifyFileWritten, notifyFileRemoved, flushCollaborativeEdits } = require('../collaboration');
 const { invalidateCacheOnWrite } = require('../../middleware/personalSpaceCache');
 const folderRoutes = require('./folders');
 const fileRoutes = require('./files');
@@ -31,21 +33,38 @@ const commentRoutes = require('./comments');
 const metadataRoutes = require('./metadata');
 const downloadRoutes = require('./downloads');
 const renameRoutes = require('./rename');
+const historyRoutes = require('./history');
+const trashRoutes = require('./trash');
+const { router: linkRoutes, findInboundLinks, rewriteInboundLinks } = require('./links');
+const schemaRoutes = require('./schemas');
+const reviewRoutes = require('./reviews');
+const exportRoutes = require('./export');
+const notificationRoutes = require('./notifications');
+const webhookRoutes = require('./webhooks');
+const aiRoutes = require('./ai');
+const diagramRoutes = require('./diagrams');
+const {
+  computeContentVersion,
+  toETag,
+  setVersionHeader,
+  readCurrentContent,
+  checkIfMatch,
+  acquireFileLock
+} = require('../utils/contentVersion');
+const { getLinkSpaceKey, getLinkIndex, unindexRemovedPath } = require('../utils/linkIndex');
+const { invalidateSpaceIndex } = require('../utils/searchIndex');
+const { parseFrontMatter, stringifyFrontMatter } = require('../utils/frontMatter');
+const { isSchemaFile } = require('../utils/metadataSchemas');
+const { notifyCommentAdded } = require('../utils/notifications');
+const { recordAudit } = require('../utils/auditLog');
+const { moveToTrash } = require('../utils/trash');
+const { pluginHooks, runCommentAddedHooks, withPluginWarnings } = require('../utils/pluginHooks');
+const { cleanPageContent } = require('../utils/staticSiteExporter');
+const { SaveRefusedError, saveSpaceFile, sendSaveRefused } = require('../utils/spaceFileWriter');
+const { isDiagramFile } = require('../utils/diagramFiles');
 
 const router = express.Router();
 
-/**
- * Helper function to get the correct file path based on space type
- * @param {string} filePath - The relative file path
- * @param {boolean} isReadonly - Whether this is a readonly space
- * @returns {string} The correct file path for the filing provider
- */
-function getSpaceFilePath(filePath, isReadonly) {
-  // For readonly spaces, use files directly from repository root
-  // For writable spaces, use the markdown subfolder structure
-  return isReadonly ? filePath : `markdown/${filePath}`;
-}
-
 // Fallback filing provider (for backwards compatibility and non-space routes)
 var filing = createFilingService('local', {
   localPath: path.join(__dirname, '../../../content')
@@ -81,7 +100,7 @@ function requireAuth(req, res, next) {
     
     // If not a session token, try API key authentication
     if (!user) {
-      user = userStorage.authenticateByApiKey(token);
+      user = userStorage.authenticateByApiKey(token, req);
     }
     
     if (user) {
@@ -94,6 +113,15 @@ function requireAuth(req, res, next) {
   res.status(401).json({ error: 'Authentication required' });
 }
 
+// Custom routes of server plugins, at /api/ext/<plugin directory>/...
+router.use('/ext', requireAuth, rejectScopedApiKey, (req, res, next) => {
+  const pluginLoader = req.app.locals.pluginLoader;
+  if (!pluginLoader) {
+    return res.status(404).json({ error: 'Plugin route not found' });
+  }
+  pluginLoader.handlePluginRoute(req, res, next);
+});
+
 // ========================================
 // SPACE-AWARE ROUTES (New architecture)
 // ========================================
@@ -127,6 +155,7 @@ router.get('/:space/files/*', loadFilingProvider, checkSpaceAccess('read'), asyn
       const markdownExtensions = ['.md', '.markdown'];
       
       if (markdownExtensions.includes(extension)) return 'markdown';
+      if (isDiagramFile(fileName)) return 'diagram';
       if (pdfExtensions.includes(extension)) return 'pdf';
       if (imageExtensions.includes(extension)) return 'image';
       if (textExtensions.includes(extension)) return 'text';
@@ -138,7 +167,7 @@ router.get('/:space/files/*', loadFilingProvider, checkSpaceAccess('read'), asyn
     console.log(`[Server] File type detected: ${fileType}`);
     
     // Handle different file types
-    if (fileType === 'markdown' || fileType === 'text') {
+    if (fileType === 'markdown' || fileType === 'text' || fileType === 'diagram') {
       console.log(`[Server] Reading text/markdown file: ${actualFilePath}`);
       // Read as text
       const content = await filing.read(actualFilePath, 'utf8');
@@ -150,6 +179,7 @@ router.get('/:space/files/*', loadFilingProvider, checkSpaceAccess('read'), asyn
         const { getCleanMarkdownContent, extractComments } = require('../utils/commentParser');
         const cleanContent = getCleanMarkdownContent(content);
         const comments = extractComments(content);
+        const frontMatter = parseFrontMatter(content);
         
         console.log(`[Server] Clean content length: ${cleanContent ? cleanContent.length : 'null/undefined'}`);
         console.log(`[Server] Comments found: ${comments.length}`);
@@ -160,27 +190,33 @@ router.get('/:space/files/*', loadFilingProvider, checkSpaceAccess('read'), asyn
           comments, // Extracted comments
           path: filePath, 
           fileType,
-          hasComments: comments.length > 0
+          hasComments: comments.length > 0,
+          frontMatter: frontMatter.data, // Parsed YAML front-matter fields
+          frontMatterError: frontMatter.error,
+          version: setVersionHeader(res, content) // Send back as If-Match when saving
         };
         res.json(response);
       } else {
         console.log(`[Server] Sending text file response`);
-        res.json({content, path: filePath, fileType});
+        res.json({content, path: filePath, fileType, version: setVersionHeader(res, content)});
       }
     } else if (fileType === 'image' || fileType === 'pdf') {
       // Read as binary and convert to base64
       const buffer = await filing.read(actualFilePath);
       const base64Content = buffer.toString('base64');
-      res.json({content: base64Content, path: filePath, fileType, encoding: 'base64'});
+      res.json({content: base64Content, path: filePath, fileType, encoding: 'base64', version: setVersionHeader(res, buffer)});
     } else {
       // Unknown file type - return file info for download
       const stats = await filing.stat(actualFilePath);
+      const version = stats.version || computeContentVersion(await filing.read(actualFilePath));
+      res.set('ETag', toETag(version));
       res.json({
         path: filePath,
         fileType,
         downloadable: true,
         size: stats.size,
-        lastModified: stats.mtime
+        lastModified: stats.mtime,
+        version
       });
     }
   } catch (error) {
@@ -202,6 +238,32 @@ router.get('/:space/files/*', loadFilingProvider, checkSpaceAccess('read'), asyn
   }
 });
 
+// Get a markdown file of a space as it should be previewed: without comments,
+// after the onRender hooks of plugins have run
+router.get('/:space/render/*', loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const filePath = req.params[0] || '';
+    if (!/\.(md|markdown)$/i.test(filePath)) {
+      return res.status(400).json({ error: 'Only markdown files can be rendered' });
+    }
+
+    const actualFilePath = getSpaceFilePath(filePath, req.spaceConfig.access === 'readonly');
+    const { data, body } = cleanPageContent(await req.filing.read(actualFilePath, 'utf8'));
+    const markdown = await pluginHooks.render({ space: req.spaceName, path: filePath, markdown: body, frontMatter: data });
+    res.json({
+      path: filePath,
+      content: stringifyFrontMatter(data, markdown),
+      frontMatter: data
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT' || (error.message && error.message.includes('ENOENT'))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    console.error('Error rendering file for space:', error);
+    res.status(500).json({ error: 'Failed to render file' });
+  }
+});
+
 // Create file in a space (with filePath in body - for server-watcher)
 router.post('/:space/files', loadFilingProvider, checkSpaceAccess('write'), async (req, res) => {
   try {
@@ -232,9 +294,12 @@ router.post('/:space/files', loadFilingProvider, checkSpaceAccess('write'), asyn
       await filing.mkdir(dirPath, { recursive: true });
     }
     
-    await filing.create(actualFilePath, fileContent);
-    res.json({ message: 'File created successfully', path: filePath });
+    const { warnings } = await saveSpaceFile(req, filePath, actualFilePath, fileContent, { create: true });
+    res.json(withPluginWarnings({ message: 'File created successfully', path: filePath }, warnings));
   } catch (error) {
+    if (error instanceof SaveRefusedError) {
+      return sendSaveRefused(res, error);
+    }
     console.error('Error creating file for space:', error);
     res.status(500).json({ error: 'Failed to create file' });
   }
@@ -265,9 +330,12 @@ router.post('/:space/files/*', loadFilingProvider, checkSpaceAccess('write'), in
       }
     }
     
-    await filing.create(actualFilePath, fileContent);
-    res.json({ message: 'File created successfully', path: filePath });
+    const { warnings } = await saveSpaceFile(req, filePath, actualFilePath, fileContent, { create: true });
+    res.json(withPluginWarnings({ message: 'File created successfully', path: filePath }, warnings));
   } catch (error) {
+    if (error instanceof SaveRefusedError) {
+      return sendSaveRefused(res, error);
+    }
     console.error('Error creating file for space:', error);
     res.status(500).json({ error: 'Failed to create file' });
   }
@@ -303,9 +371,13 @@ router.put('/:space/files', loadFilingProvider, checkSpaceAccess('write'), async
       await filing.mkdir(dirPath, { recursive: true });
     }
     
-    await filing.update(actualFilePath, fileContent);
-    res.json({ message: 'File updated successfully', path: filePath });
+    const saved = await saveSpaceFile(req, filePath, actualFilePath, fileContent, { ifMatch: req.get('If-Match') });
+    const version = setVersionHeader(res, saved.content);
+    res.json(withPluginWarnings({ message: 'File updated successfully', path: filePath, version }, saved.warnings));
   } catch (error) {
+    if (error instanceof SaveRefusedError) {
+      return sendSaveRefused(res, error);
+    }
     console.error('Error updating file for space:', error);
     res.status(500).json({ error: 'Failed to update file' });
   }
@@ -336,9 +408,13 @@ router.put('/:space/files/*', loadFilingProvider, checkSpaceAccess('write'), inv
       }
     }
     
-    await filing.update(actualFilePath, fileContent);
-    res.json({ message: 'File updated successfully', path: filePath });
+    const saved = await saveSpaceFile(req, filePath, actualFilePath, fileContent, { ifMatch: req.get('If-Match') });
+    const version = setVersionHeader(res, saved.content);
+    res.json(withPluginWarnings({ message: 'File updated successfully', path: filePath, version }, saved.warnings));
   } catch (error) {
+    if (error instanceof SaveRefusedError) {
+      return sendSaveRefused(res, error);
+    }
     console.error('Error updating file for space:', error);
     res.status(500).json({ error: 'Failed to update file' });
   }
@@ -352,9 +428,22 @@ router.delete('/:space/files/*', loadFilingProvider, checkSpaceAccess('write'),
     const filePath = req.params[0] || '';
     const isReadonly = spaceConfig.access === 'readonly';
     const actualFilePath = getSpaceFilePath(filePath, isReadonly);
+
+    if (isSchemaFile(filePath)) {
+      return res.status(403).json({ error: 'Folder schemas can only be changed through the schema API' });
+    }
     
-    await filing.delete(actualFilePath);
-    res.json({ message: 'File deleted successfully', path: filePath });
+    const previousContent = await readCurrentContent(filing, actualFilePath);
+    const trashItem = await moveToTrash(req, filePath, actualFilePath);
+    await recordAudit(req, {
+      action: 'file.delete',
+      path: filePath,
+      before: previousContent,
+      details: { trashId: trashItem.id }
+    });
+    notifyFileRemoved(req.spaceName, filePath, 'deleted');
+    unindexRemovedPath(req, filePath);
+    res.json({ message: 'File moved to trash', path: filePath, trashId: trashItem.id });
   } catch (error) {
     console.error('Error deleting file for space:', error);
     res.status(500).json({ error: 'Failed to delete file' });
@@ -375,6 +464,7 @@ router.post('/:space/folders', loadFilingProvider, checkSpaceAccess('write'), as
     const isReadonly = spaceConfig.access === 'readonly';
     const actualFolderPath = getSpaceFilePath(folderPath, isReadonly);
     await filing.mkdir(actualFolderPath, { recursive: true });
+    await recordAudit(req, { action: 'folder.create', path: folderPath });
     res.json({ message: 'Folder created successfully', path: folderPath });
   } catch (error) {
     console.error('Error creating folder for space:', error);
@@ -385,14 +475,16 @@ router.post('/:space/folders', loadFilingProvider, checkSpaceAccess('write'), as
 // Delete folder in a space
 router.delete('/:space/folders/*', loadFilingProvider, checkSpaceAccess('write'), async (req, res) => {
   try {
-    const filing = req.filing;
     const spaceConfig = req.spaceConfig;
     const folderPath = req.params[0] || '';
     const isReadonly = spaceConfig.access === 'readonly';
     const actualFolderPath = getSpaceFilePath(folderPath, isReadonly);
     
-    await filing.delete(actualFolderPath);
-    res.json({ message: 'Folder deleted successfully', path: folderPath });
+    const trashItem = await moveToTrash(req, folderPath, actualFolderPath);
+    await recordAudit(req, { action: 'folder.delete', path: folderPath, details: { trashId: trashItem.id } });
+    notifyFileRemoved(req.spaceName, folderPath, 'deleted');
+    unindexRemovedPath(req, folderPath);
+    res.json({ message: 'Folder moved to trash', path: folderPath, trashId: trashItem.id });
   } catch (error) {
     console.error('Error deleting folder for space:', error);
     res.status(500).json({ error: 'Failed to delete folder' });
@@ -405,7 +497,7 @@ router.put('/:space/rename/*', loadFilingProvider, checkSpaceAccess('write'), as
     const filing = req.filing;
     const spaceConfig = req.spaceConfig;
     const oldPath = req.params[0] || '';
-    const { newName } = req.body;
+    const { newName, rewriteLinks } = req.body;
     
     if (!newName) {
       return res.status(400).json({ error: 'New name is required' });
@@ -418,8 +510,29 @@ router.put('/:space/rename/*', loadFilingProvider, checkSpaceAccess('write'), as
     const newPath = pathParts.join('/');
     const newActualPath = getSpaceFilePath(newPath, isReadonly);
     
+    // Find inbound links while they still resolve to the old path
+    const inbound = rewriteLinks ? await findInboundLinks(req, oldPath) : null;
+
     await filing.move(oldActualPath, newActualPath);
-    res.json({ message: 'Item renamed successfully', oldPath, newPath });
+    notifyFileRemoved(req.spaceName, oldPath, 'renamed');
+    getLinkIndex().movePath(getLinkSpaceKey(req.spaceName, req.user), oldPath, newPath);
+    invalidateSpaceIndex(req);
+
+    const rewritten = inbound && inbound.backlinks.length > 0
+      ? await rewriteInboundLinks(req, { oldPath, newPath, ...inbound })
+      : { links: 0, files: [] };
+    await recordAudit(req, {
+      action: 'item.rename',
+      path: oldPath,
+      details: { newPath, rewrittenFiles: rewritten.files }
+    });
+    res.json({
+      message: 'Item renamed successfully',
+      oldPath,
+      newPath,
+      rewrittenLinks: rewritten.links,
+      rewrittenFiles: rewritten.files
+    });
   } catch (error) {
     console.error('Error renaming item for space:', error);
     res.status(500).json({ error: 'Failed to rename item' });
@@ -430,6 +543,24 @@ router.put('/:space/rename/*', loadFilingProvider, checkSpaceAccess('write'), as
 // SPACE-AWARE COMMENT ROUTES
 // ========================================
 
+/**
+ * Builds the comment lists returned by the comment routes: all comments
+ * newest first, as before, and the same comments grouped into threads.
+ * @param {Array} comments - The stored comments.
+ * @param {string} cleanContent - The markdown content without comments.
+ * @return {Object} comments, threads, commentCount and openCount.
+ */
+function getCommentLists(comments, cleanContent) {
+  const { sortCommentsByNewest, buildCommentThreads } = require('../utils/commentParser');
+  const threads = buildCommentThreads(comments, cleanContent);
+  return {
+    comments: sortCommentsByNewest(comments),
+    threads,
+    commentCount: comments.length,
+    openCount: threads.filter(thread => !thread.resolved).length
+  };
+}
+
 // Get comments for a specific file in a space
 router.get('/:space/comments/*', loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
   try {
@@ -445,14 +576,13 @@ router.get('/:space/comments/*', loadFilingProvider, checkSpaceAccess('read'), a
     const actualFilePath = getSpaceFilePath(filePath, isReadonly);
     const content = await filing.read(actualFilePath, 'utf8');
     
-    const { extractComments, sortCommentsByNewest } = require('../utils/commentParser');
+    const { extractComments, getCleanMarkdownContent } = require('../utils/commentParser');
     const comments = extractComments(content);
-    const sortedComments = sortCommentsByNewest(comments);
     
     res.json({
       filePath,
-      comments: sortedComments,
-      commentCount: sortedComments.length
+      ...getCommentLists(comments, getCleanMarkdownContent(content)),
+      version: setVersionHeader(res, content)
     });
   } catch (error) {
     if (error.message && error.message.includes('ENOENT')) {
@@ -464,12 +594,13 @@ router.get('/:space/comments/*', loadFilingProvider, checkSpaceAccess('read'), a
 });
 
 // Add a new comment to a file in a space
-router.post('/:space/comments/*', loadFilingProvider, checkSpaceAccess('write'), requireAuth, async (req, res) => {
+router.post('/:space/comments/*', loadFilingProvider, checkSpaceAccess('comment'), requireAuth, async (req, res) => {
+  let releaseLock;
   try {
     const filing = req.filing;
     const spaceConfig = req.spaceConfig;
     const filePath = req.params[0] || '';
-    const { content: commentContent } = req.body;
+    const { content: commentContent, parentId, anchor } = req.body;
 
     if (!filePath.endsWith('.md')) {
       return res.status(400).json({error: 'Comments are only supported for markdown files'});
@@ -479,39 +610,76 @@ router.post('/:space/comments/*', loadFilingProvider, checkSpaceAccess('write'),
       return res.status(400).json({error: 'Comment content is required'});
     }
 
+    if (anchor !== undefined && (!anchor || typeof anchor !== 'object' || !['heading', 'text'].includes(anchor.type))) {
+      return res.status(400).json({error: 'Anchor type must be heading or text'});
+    }
+
+    if (anchor && parentId) {
+      return res.status(400).json({error: 'Replies take the anchor of their thread'});
+    }
+
     const isReadonly = spaceConfig.access === 'readonly';
     const actualFilePath = getSpaceFilePath(filePath, isReadonly);
+    await flushCollaborativeEdits(req.spaceName, filePath);
+    releaseLock = await acquireFileLock(`${req.spaceName}:${filePath}`);
     const markdownContent = await filing.read(actualFilePath, 'utf8');
+    if (!checkIfMatch(req, res, markdownContent)) {
+      return;
+    }
     
     const { 
       extractComments, 
       getCleanMarkdownContent, 
       injectComments, 
-      addComment, 
-      sortCommentsByNewest 
+      addComment
     } = require('../utils/commentParser');
+    const { createAnchor, refreshAnchors } = require('../utils/commentAnchors');
     
     const existingComments = extractComments(markdownContent);
     const cleanContent = getCleanMarkdownContent(markdownContent);
-    
+
+    if (parentId && !existingComments.some(c => c.id === parentId)) {
+      return res.status(404).json({error: 'Parent comment not found'});
+    }
+
     const newComment = {
       author: req.user.username,
-      content: commentContent.trim()
+      content: commentContent.trim(),
+      parentId
     };
+
+    if (anchor) {
+      newComment.anchor = createAnchor(cleanContent, anchor);
+      if (!newComment.anchor) {
+        return res.status(400).json({
+          error: anchor.type === 'heading'
+            ? 'Heading not found in the document'
+            : 'Selected text not found in the document'
+        });
+      }
+    }
     
-    const updatedComments = addComment(existingComments, newComment);
+    const updatedComments = refreshAnchors(addComment(existingComments, newComment), cleanContent);
     const updatedMarkdownContent = injectComments(cleanContent, updatedComments);
     
     await filing.update(actualFilePath, updatedMarkdownContent);
-    
-    const sortedComments = sortCommentsByNewest(updatedComments);
-    const newCommentData = sortedComments.find(c => c.author === req.user.username && c.content === commentContent.trim());
+    notifyFileWritten(req.spaceName, filePath, updatedMarkdownContent, req.user.username);
+    const addedComment = updatedComments[updatedComments.length - 1];
+    await recordAudit(req, {
+      action: 'comment.create',
+      path: filePath,
+      before: markdownContent,
+      after: updatedMarkdownContent,
+      details: { commentId: addedComment.id, ...(parentId ? { parentId } : {}) }
+    });
+    await notifyCommentAdded(req, filePath, addedComment, updatedComments, cleanContent);
+    runCommentAddedHooks(req, filePath, addedComment);
     
     res.json({
       message: 'Comment added successfully',
-      comment: newCommentData,
-      comments: sortedComments,
-      commentCount: sortedComments.length
+      comment: addedComment,
+      ...getCommentLists(updatedComments, cleanContent),
+      version: setVersionHeader(res, updatedMarkdownContent)
     });
   } catch (error) {
     if (error.message && error.message.includes('ENOENT')) {
@@ -519,37 +687,51 @@ router.post('/:space/comments/*', loadFilingProvider, checkSpaceAccess('write'),
     }
     console.error('Error adding comment for space:', error);
     res.status(500).json({error: 'Failed to add comment'});
+  } finally {
+    if (releaseLock) releaseLock();
   }
 });
 
 // Update an existing comment in a space
-router.put('/:space/comments/:commentId/*', loadFilingProvider, checkSpaceAccess('write'), requireAuth, async (req, res) => {
+router.put('/:space/comments/:commentId/*', loadFilingProvider, checkSpaceAccess('comment'), requireAuth, async (req, res) => {
+  let releaseLock;
   try {
     const filing = req.filing;
     const spaceConfig = req.spaceConfig;
     const filePath = req.params[0] || '';
     const commentId = req.params.commentId;
-    const { content: commentContent } = req.body;
+    const { content: commentContent, resolved } = req.body;
 
     if (!filePath.endsWith('.md')) {
       return res.status(400).json({error: 'Comments are only supported for markdown files'});
     }
 
-    if (!commentContent || typeof commentContent !== 'string' || !commentContent.trim()) {
+    if (resolved !== undefined && typeof resolved !== 'boolean') {
+      return res.status(400).json({error: 'Resolved must be true or false'});
+    }
+
+    if ((commentContent !== undefined || resolved === undefined) &&
+        (!commentContent || typeof commentContent !== 'string' || !commentContent.trim())) {
       return res.status(400).json({error: 'Comment content is required'});
     }
 
     const isReadonly = spaceConfig.access === 'readonly';
     const actualFilePath = getSpaceFilePath(filePath, isReadonly);
+    await flushCollaborativeEdits(req.spaceName, filePath);
+    releaseLock = await acquireFileLock(`${req.spaceName}:${filePath}`);
     const markdownContent = await filing.read(actualFilePath, 'utf8');
+    if (!checkIfMatch(req, res, markdownContent)) {
+      return;
+    }
     
     const { 
       extractComments, 
       getCleanMarkdownContent, 
       injectComments, 
       updateComment, 
-      sortCommentsByNewest 
+      setCommentResolved
     } = require('../utils/commentParser');
+    const { refreshAnchors } = require('../utils/commentAnchors');
     
     const existingComments = extractComments(markdownContent);
     const cleanContent = getCleanMarkdownContent(markdownContent);
@@ -559,25 +741,42 @@ router.put('/:space/comments/:commentId/*', loadFilingProvider, checkSpaceAccess
       return res.status(404).json({error: 'Comment not found'});
     }
 
-    if (commentToUpdate.author !== req.user.username) {
+    // Only authors edit their comments; anyone who can comment resolves threads
+    if (commentContent !== undefined && commentToUpdate.author !== req.user.username) {
       return res.status(403).json({error: 'You can only update your own comments'});
     }
+
+    if (resolved !== undefined && commentToUpdate.parentId) {
+      return res.status(400).json({error: 'Only threads can be resolved, not replies'});
+    }
     
-    const updatedComments = updateComment(existingComments, commentId, {
-      content: commentContent.trim()
-    });
+    let updatedComments = existingComments;
+    if (commentContent !== undefined) {
+      updatedComments = updateComment(updatedComments, commentId, {
+        content: commentContent.trim()
+      });
+    }
+    if (resolved !== undefined) {
+      updatedComments = setCommentResolved(updatedComments, commentId, resolved, req.user.username);
+    }
+    updatedComments = refreshAnchors(updatedComments, cleanContent);
     
     const updatedMarkdownContent = injectComments(cleanContent, updatedComments);
     await filing.update(actualFilePath, updatedMarkdownContent);
-    
-    const sortedComments = sortCommentsByNewest(updatedComments);
-    const updatedComment = sortedComments.find(c => c.id === commentId);
+    await recordAudit(req, {
+      action: commentContent !== undefined ? 'comment.update' : resolved ? 'comment.resolve' : 'comment.reopen',
+      path: filePath,
+      before: markdownContent,
+      after: updatedMarkdownContent,
+      details: { commentId }
+    });
+    notifyFileWritten(req.spaceName, filePath, updatedMarkdownContent, req.user.username);
     
     res.json({
       message: 'Comment updated successfully',
-      comment: updatedComment,
-      comments: sortedComments,
-      commentCount: sortedComments.length
+      comment: updatedComments.find(c => c.id === commentId),
+      ...getCommentLists(updatedComments, cleanContent),
+      version: setVersionHeader(res, updatedMarkdownContent)
     });
   } catch (error) {
     if (error.message && error.message.includes('ENOENT')) {
@@ -585,11 +784,14 @@ router.put('/:space/comments/:commentId/*', loadFilingProvider, checkSpaceAccess
     }
     console.error('Error updating comment for space:', error);
     res.status(500).json({error: 'Failed to update comment'});
+  } finally {
+    if (releaseLock) releaseLock();
   }
 });
 
 // Delete a comment in a space
-router.delete('/:space/comments/:commentId/*', loadFilingProvider, checkSpaceAccess('write'), requireAuth, async (req, res) => {
+router.delete('/:space/comments/:commentId/*', loadFilingProvider, checkSpaceAccess('comment'), requireAuth, async (req, res) => {
+  let releaseLock;
   try {
     const filing = req.filing;
     const spaceConfig = req.spaceConfig;
@@ -602,15 +804,20 @@ router.delete('/:space/comments/:commentId/*', loadFilingProvider, checkSpaceAcc
 
     const isReadonly = spaceConfig.access === 'readonly';
     const actualFilePath = getSpaceFilePath(filePath, isReadonly);
+    await flushCollaborativeEdits(req.spaceName, filePath);
+    releaseLock = await acquireFileLock(`${req.spaceName}:${filePath}`);
     const markdownContent = await filing.read(actualFilePath, 'utf8');
+    if (!checkIfMatch(req, res, markdownContent)) {
+      return;
+    }
     
     const { 
       extractComments, 
       getCleanMarkdownContent, 
       injectComments, 
-      removeComment, 
-      sortCommentsByNewest 
+      removeComment
     } = require('../utils/commentParser');
+    const { refreshAnchors } = require('../utils/commentAnchors');
     
     const existingComments = extractComments(markdownContent);
     const cleanContent = getCleanMarkdownContent(markdownContent);
@@ -624,20 +831,27 @@ router.delete('/:space/comments/:commentId/*', loadFilingProvider, checkSpaceAcc
       return res.status(403).json({error: 'You can only delete your own comments'});
     }
     
-    const updatedComments = removeComment(existingComments, commentId);
+    // Deleting the first comment of a thread deletes its replies
+    const updatedComments = refreshAnchors(removeComment(existingComments, commentId), cleanContent);
     
     const updatedMarkdownContent = updatedComments.length > 0 
       ? injectComments(cleanContent, updatedComments)
       : cleanContent;
     
     await filing.update(actualFilePath, updatedMarkdownContent);
-    
-    const sortedComments = sortCommentsByNewest(updatedComments);
+    await recordAudit(req, {
+      action: 'comment.delete',
+      path: filePath,
+      before: markdownContent,
+      after: updatedMarkdownContent,
+      details: { commentId }
+    });
+    notifyFileWritten(req.spaceName, filePath, updatedMarkdownContent, req.user.username);
     
     res.json({
       message: 'Comment deleted successfully',
-      comments: sortedComments,
-      commentCount: sortedComments.length
+      ...getCommentLists(updatedComments, cleanContent),
+      version: setVersionHeader(res, updatedMarkdownContent)
     });
   } catch (error) {
     if (error.message && error.message.includes('ENOENT')) {
@@ -645,6 +859,8 @@ router.delete('/:space/comments/:commentId/*', loadFilingProvider, checkSpaceAcc
     }
     console.error('Error deleting comment for space:', error);
     res.status(500).json({error: 'Failed to delete comment'});
+  } finally {
+    if (releaseLock) releaseLock();
   }
 });
 
@@ -661,6 +877,9 @@ router.use('/user', userRoutes);
 // API Key routes  
 router.use('/api-keys', apiKeyRoutes);
 
+// Notification inbox of the current user
+router.use('/notifications', requireAuth, rejectScopedApiKey, notificationRoutes);
+
 // Server routes
 router.use('/server', serverRoutes);
 
@@ -689,6 +908,33 @@ router.use('/rename', renameRoutes);
 router.use('/files', fileRoutes);
 router.use('/folders', folderRoutes);
 
+// File version history routes (space-aware)
+router.use('/', historyRoutes);
+
+// Trash routes (space-aware)
+router.use('/', trashRoutes);
+
+// Backlink and broken link routes (space-aware)
+router.use('/', linkRoutes);
+
+// Folder schema and front-matter routes (space-aware)
+router.use('/', schemaRoutes);
+
+// Document review and approval routes (space-aware)
+router.use('/', reviewRoutes);
+
+// Static site export routes (space-aware)
+router.use('/', exportRoutes);
+
+// Outbound webhook routes (space-aware)
+router.use('/', webhookRoutes);
+
+// AI assistant routes (space-aware)
+router.use('/', aiRoutes);
+
+// Diagram rendering routes for the Markdown previews and diagram files
+router.use('/', diagramRoutes);
+
 // Space-aware routes (delegated to spaces module)
 router.use('/', spacesRoutes);
 
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Wiki link routes
+ *
+ * Provides link information for spaces including:
+ * - Backlinks: the pages that link to a file or folder
+ * - A space-wide report of links whose target does not exist
+ * - Rewriting inbound links when a page or folder is renamed
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const express = require('express');
+const { loadFilingProvider, checkSpaceAccess, getSpaceFilePath, getDirectoryTreeForSpace } = require('../spaces');
+const { notifyFileWritten, flushCollaborativeEdits } = require('../../collaboration');
+const { readCurrentContent, acquireFileLock } = require('../../utils/contentVersion');
+const { readPreviousContent, recordVersion } = require('../../utils/versionHistory');
+const {
+  isMarkdownPath,
+  getLinkSpaceKey,
+  getLinkIndex,
+  rewriteLinks,
+  indexWrittenFile
+} = require('../../utils/linkIndex');
+const { queueSearchUpdate } = require('../../utils/searchIndex');
+
+const router = express.Router();
+
+/**
+ * List every file of the space addressed by the request
+ */
+async function listSpaceFiles(req) {
+  const isReadonly = req.spaceConfig.access === 'readonly';
+  const tree = await getDirectoryTreeForSpace(req.filing, '', isReadonly);
+  const files = [];
+  const collect = (items) => {
+    for (const item of items) {
+      if (item.type === 'directory') {
+        collect(item.children || []);
+      } else {
+        files.push(item.path.split('\\').join('/'));
+      }
+    }
+  };
+  collect(tree);
+  return files;
+}
+
+/**
+ * Index the space addressed by the request when it has not been indexed in
+ * full yet, e.g. a Personal space before its first scheduled sync
+ * @return {Promise<Array<string>>} Every file of the space
+ */
+async function ensureSpaceIndexed(req) {
+  const filePaths = await listSpaceFiles(req);
+  const spaceKey = getLinkSpaceKey(req.spaceName, req.user);
+  const linkIndex = getLinkIndex();
+
+  if (!linkIndex.isComplete(spaceKey)) {
+    const isReadonly = req.spaceConfig.access === 'readonly';
+    const documents = [];
+    for (const filePath of filePaths.filter(isMarkdownPath)) {
+      try {
+        const content = await req.filing.read(getSpaceFilePath(filePath, isReadonly), 'utf8');
+        documents.push({ path: filePath, content: content.toString() });
+      } catch (error) {
+        console.warn(`Failed to read ${filePath} for link indexing:`, error.message);
+      }
+    }
+    linkIndex.replaceSpace(spaceKey, documents);
+  }
+
+  return filePaths;
+}
+
+/**
+ * Find the links that point at a file or folder before it is renamed
+ * @return {Promise<{filePaths: Array<string>, backlinks: Array<Object>}>}
+ */
+async function findInboundLinks(req, targetPath) {
+  const filePaths = await ensureSpaceIndexed(req);
+  const backlinks = getLinkIndex().getBacklinks(getLinkSpaceKey(req.spaceName, req.user), targetPath, filePaths);
+  return { filePaths, backlinks };
+}
+
+/**
+ * Rewrite the pages that link to a renamed file or folder. Runs after the
+ * move, so pages inside a renamed folder are read from their new location.
+ * @param {Object} req - Express request of the rename.
+ * @param {Object} rename - { oldPath, newPath, filePaths, backlinks } with
+ *     the file list and backlinks from before the move.
+ * @return {Promise<{links: number, files: Array<string>}>} What was rewritten
+ */
+async function rewriteInboundLinks(req, { oldPath, newPath, filePaths, backlinks }) {
+  const isReadonly = req.spaceConfig.access === 'readonly';
+  const toNewPath = filePath => (filePath === oldPath || filePath.startsWith(`${oldPath}/`)
+    ? newPath + filePath.slice(oldPath.length)
+    : filePath);
+  const moves = new Map(filePaths
+    .filter(filePath => toNewPath(filePath) !== filePath)
+    .map(filePath => [filePath, toNewPath(filePath)]));
+
+  const result = { links: 0, files: [] };
+  const sources = [...new Set(backlinks.map(backlink => backlink.source))];
+
+  for (const source of sources) {
+    const sourcePath = toNewPath(source);
+    const providerPath = getSpaceFilePath(sourcePath, isReadonly);
+    let releaseLock;
+    try {
+      await flushCollaborativeEdits(req.spaceName, sourcePath);
+      releaseLock = await acquireFileLock(`${req.spaceName}:${sourcePath}`);
+      const current = await readCurrentContent(req.filing, providerPath);
+      if (current === null) {
+        continue;
+      }
+
+      const rewritten = rewriteLinks(current.toString('utf8'), source, moves, filePaths, sourcePath);
+      if (rewritten.count === 0) {
+        continue;
+      }
+
+      const previousContent = await readPreviousContent(req.filing, providerPath);
+      await req.filing.update(providerPath, rewritten.content);
+      await recordVersion(req, sourcePath, rewritten.content, previousContent, `Updated links to ${newPath}`);
+      indexWrittenFile(req, sourcePath, rewritten.content);
+      queueSearchUpdate(req, sourcePath, rewritten.content);
+      notifyFileWritten(req.spaceName, sourcePath, rewritten.content, req.user.username);
+      result.links += rewritten.count;
+      result.files.push(sourcePath);
+    } catch (error) {
+      console.error(`Failed to rewrite links in ${sourcePath}:`, error.message);
+    } finally {
+      if (releaseLock) releaseLock();
+    }
+  }
+
+  return result;
+}
+
+// List the pages that link to a file, or to any file in a folder
+router.get('/:space/backlinks/*', loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const targetPath = (req.params[0] || '').replace(/\/+$/, '');
+
+    if (!targetPath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const filePaths = await ensureSpaceIndexed(req);
+    const backlinks = getLinkIndex().getBacklinks(getLinkSpaceKey(req.spaceName, req.user), targetPath, filePaths);
+    res.json({
+      path: targetPath,
+      count: backlinks.length,
+      backlinks
+    });
+  } catch (error) {
+    console.error('Error getting backlinks:', error);
+    res.status(500).json({ error: 'Failed to get backlinks' });
+  }
+});
+
+// Report the links of a space whose target does not exist
+router.get('/:space/broken-links', loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const spaceKey = getLinkSpaceKey(req.spaceName, req.user);
+    const filePaths = await ensureSpaceIndexed(req);
+    const brokenLinks = getLinkIndex().getBrokenLinks(spaceKey, filePaths);
+    res.json({
+      space: req.spaceName,
+      pagesScanned: getLinkIndex().getFilePaths(spaceKey).length,
+      count: brokenLinks.length,
+      brokenLinks
+    });
+  } catch (error) {
+    console.error('Error getting broken links:', error);
+    res.status(500).json({ error: 'Failed to get broken links' });
+  }
+});
+
+module.exports = { router, findInboundLinks, rewriteInboundLinks };
@@ -16,8 +16,7 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const EventEmitter = require('events');
-const createFilingService = require('../../services/filing/index.js');
+const { createSpaceFilingProvider } = require('../../utils/spaceFiling');
 
 const router = express.Router();
 
@@ -54,23 +53,7 @@ async function getSpaceAwareFiling(req) {
   }
   
   // Create filing provider based on space configuration
-  const filingConfig = spaceConfig.filing;
-  let provider;
-
-  if (filingConfig.type === 'local') {
-    provider = createFilingService('local', {
-      localPath: filingConfig.localFolder
-    }, new EventEmitter());
-  } else if (filingConfig.type === 'git') {
-    provider = createFilingService('git', {
-      repo: filingConfig.git,
-      localPath: filingConfig.localFolder,
-      branch: filingConfig['git-branch'] || 'main',
-      fetchInterval: parseInt(filingConfig['git-fetch-interval']) || 5000
-    }, new EventEmitter());
-  } else {
-    throw new Error(`Unsupported filing provider type: ${filingConfig.type}`);
-  }
+  const provider = createSpaceFilingProvider(spaceConfig);
   
   // Set user context for Personal space isolation
   if (provider.setUserContext && typeof provider.setUserContext === 'function') {
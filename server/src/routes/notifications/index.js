@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Notification inbox routes
+ *
+ * Provides the notifications of the current user including:
+ * - Listing notifications, optionally only the unread ones
+ * - Marking a notification as read or unread
+ * - Marking all notifications as read
+ *
+ * Notifications are created for mentions, comments and reviews (see
+ * utils/notifications).
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const express = require('express');
+const { notificationStore } = require('../../utils/notifications');
+
+const router = express.Router();
+
+/** Notifications returned when no limit is given */
+const DEFAULT_LIMIT = 50;
+
+// List the current user's notifications, newest first. `unread=true` returns
+// only unread ones; `limit` caps the number returned.
+router.get('/', async (req, res) => {
+  try {
+    const notifications = await notificationStore.list(req.user.username);
+    const unreadCount = notifications.filter(notification => !notification.read).length;
+    const limit = Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT);
+    const listed = req.query.unread === 'true'
+      ? notifications.filter(notification => !notification.read)
+      : notifications;
+
+    res.json({
+      notifications: listed.slice(0, limit),
+      total: listed.length,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    res.status(500).json({ error: 'Failed to list notifications' });
+  }
+});
+
+// Mark all of the current user's notifications as read
+router.post('/read-all', async (req, res) => {
+  try {
+    const updated = await notificationStore.markAllRead(req.user.username);
+    res.json({ updated, unreadCount: 0 });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+// Mark a notification as read or unread
+router.put('/:id', async (req, res) => {
+  try {
+    const { read } = req.body;
+    if (typeof read !== 'boolean') {
+      return res.status(400).json({ error: 'read must be true or false' });
+    }
+
+    const notification = await notificationStore.setRead(req.user.username, req.params.id, read);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json(notification);
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+module.exports = router;
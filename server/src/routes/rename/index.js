@@ -17,6 +17,7 @@ const express = require('express');
 const path = require('path');
 const EventEmitter = require('events');
 const createFilingService = require('../../services/filing/index.js');
+const { recordAudit } = require('../../utils/auditLog');
 
 const router = express.Router();
 
@@ -73,6 +74,7 @@ router.put('/*', async (req, res) => {
     await filing.move(oldMarkdownPath, newMarkdownPath);
     
     const newPath = path.relative(contentDir, newFullPath);
+    await recordAudit(req, { action: 'item.rename', path: oldPath, details: { newPath } });
     res.json({message: 'Item renamed successfully', oldPath, newPath});
   } catch (error) {
     console.error('Error renaming item:', error);
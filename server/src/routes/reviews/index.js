@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Document review and approval routes
+ *
+ * Provides the review lifecycle of documents in shared spaces:
+ * - Listing the reviews of a space, or the ones waiting on the current user
+ * - Reading the review state, reviewers and audit trail of a document
+ * - Submitting a document for review, approving, rejecting and withdrawing
+ *
+ * Publishing git spaces is gated on approved reviews by the filing provider
+ * (see utils/reviewWorkflow). Approvals are sent to the webhooks of the space.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const express = require('express');
+const { loadFilingProvider, checkSpaceAccess, getSpaceFilePath } = require('../spaces');
+const userStorage = require('../../auth/userStorage');
+const { resolveSpaceRole, hasSpacePermission } = require('../../utils/spaceRoles');
+const { computeContentVersion } = require('../../utils/contentVersion');
+const {
+  REVIEW_STATES,
+  reviewStore,
+  getReviewRules,
+  requiresReview,
+  applyReviewAction
+} = require('../../utils/reviewWorkflow');
+const { notifyReviewAction } = require('../../utils/notifications');
+const { publishWebhookEvent } = require('../../utils/webhooks');
+
+const router = express.Router();
+
+/** Operation each review action needs, see utils/spaceRoles */
+const ACTION_OPERATIONS = {
+  submit: 'write',
+  withdraw: 'write',
+  approve: 'comment',
+  reject: 'comment'
+};
+
+/**
+ * Read the current version of a document, or null when it does not exist
+ */
+async function readDocumentVersion(req, filePath) {
+  const providerPath = getSpaceFilePath(filePath, req.spaceConfig.access === 'readonly');
+  if (!(await req.filing.exists(providerPath))) {
+    return null;
+  }
+  return computeContentVersion(await req.filing.read(providerPath));
+}
+
+/**
+ * Reject reviews in Personal spaces, which no other user can read
+ */
+function rejectPersonalSpace(req, res, next) {
+  if (req.params.space === 'Personal') {
+    return res.status(400).json({ error: 'Documents in Personal spaces cannot be reviewed' });
+  }
+  next();
+}
+
+/**
+ * Find the requested reviewers that cannot review in the space
+ */
+function findInvalidReviewers(reviewers, spaceConfig) {
+  return reviewers.filter((username) => {
+    const user = userStorage.findUserByUsername(username);
+    return !user || !hasSpacePermission(resolveSpaceRole(user, spaceConfig), 'comment');
+  });
+}
+
+// List the reviews of a space. `state` filters on review state and
+// `reviewer=me` returns the reviews waiting on the current user.
+router.get('/:space/reviews', rejectPersonalSpace, loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const { state, reviewer } = req.query;
+    if (state && !REVIEW_STATES.includes(state)) {
+      return res.status(400).json({ error: `State must be one of: ${REVIEW_STATES.join(', ')}` });
+    }
+
+    let reviews = await reviewStore.list(req.spaceName);
+    if (state) {
+      reviews = reviews.filter(review => review.state === state);
+    }
+    if (reviewer === 'me') {
+      reviews = reviews.filter(review => review.state === 'in_review' && review.reviewers.some(
+        entry => entry.username === req.user.username && entry.decision === 'pending'
+      ));
+    }
+
+    res.json({
+      space: req.spaceName,
+      rules: getReviewRules(req.spaceConfig),
+      reviews: reviews.map(({ trail, ...summary }) => summary)
+    });
+  } catch (error) {
+    console.error('Error listing reviews:', error);
+    res.status(500).json({ error: 'Failed to list reviews' });
+  }
+});
+
+// Get the review state, reviewers and audit trail of a document
+router.get('/:space/reviews/*', rejectPersonalSpace, loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const filePath = req.params[0] || '';
+    if (!filePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const rules = getReviewRules(req.spaceConfig);
+    const [review, currentVersion] = await Promise.all([
+      reviewStore.get(req.spaceName, filePath),
+      readDocumentVersion(req, filePath)
+    ]);
+
+    res.json({
+      ...review,
+      rules,
+      requiresReview: requiresReview(rules, filePath),
+      isCurrent: review.version !== null && review.version === currentVersion
+    });
+  } catch (error) {
+    console.error('Error getting review:', error);
+    res.status(500).json({ error: 'Failed to get review' });
+  }
+});
+
+// Apply a review action: submit (with reviewers), approve, reject or withdraw
+router.post('/:space/reviews/*', rejectPersonalSpace, loadFilingProvider, checkSpaceAccess('comment'), async (req, res) => {
+  try {
+    const filePath = req.params[0] || '';
+    const { action, comment, reviewers, minApprovals } = req.body;
+
+    if (!filePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+    const operation = ACTION_OPERATIONS[action];
+    if (!operation) {
+      return res.status(400).json({ error: `Action must be one of: ${Object.keys(ACTION_OPERATIONS).join(', ')}` });
+    }
+    if (!hasSpacePermission(req.spaceRole, operation)) {
+      return res.status(403).json({ error: `Your role '${req.spaceRole}' does not allow ${action} in this space` });
+    }
+
+    const version = await readDocumentVersion(req, filePath);
+    if (version === null) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (action === 'submit') {
+      if (!Array.isArray(reviewers) || reviewers.some(username => typeof username !== 'string')) {
+        return res.status(400).json({ error: 'Reviewers must be an array of usernames' });
+      }
+      const invalid = findInvalidReviewers(reviewers, req.spaceConfig);
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `These users cannot review in this space: ${invalid.join(', ')}` });
+      }
+    }
+
+    const actionComment = typeof comment === 'string' && comment.trim() ? comment.trim() : null;
+    const { review, error } = await applyReviewAction({
+      spaceKey: req.spaceName,
+      filePath,
+      rules: getReviewRules(req.spaceConfig),
+      action: {
+        type: action,
+        actor: req.user.username,
+        isAdmin: hasSpacePermission(req.spaceRole, 'manage'),
+        comment: actionComment,
+        version,
+        reviewers,
+        minApprovals
+      }
+    });
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message, state: review.state });
+    }
+    await notifyReviewAction(req, filePath, action, review, actionComment);
+    if (action === 'approve' && review.state === 'approved') {
+      await publishWebhookEvent(req, 'file.approved', filePath, {
+        version: review.version,
+        approvedBy: review.reviewers.filter(reviewer => reviewer.decision === 'approved').map(reviewer => reviewer.username),
+        comment: actionComment
+      });
+    }
+    res.json(review);
+  } catch (error) {
+    console.error('Error applying review action:', error);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Front-matter schema and metadata routes
+ *
+ * Provides structured metadata for spaces including:
+ * - Reading, attaching and removing the JSON Schema of a folder
+ * - Listing the pages of a folder with their front-matter, filtered by
+ *   owner, status, review date, tags, system or any other field
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const express = require('express');
+const path = require('path');
+const { loadFilingProvider, checkSpaceAccess, getSpaceFilePath } = require('../spaces');
+const { parseFrontMatter, parseFrontMatterFilters, matchesFrontMatterFilters } = require('../../utils/frontMatter');
+const { validateSchemaDefinition } = require('../../utils/schemaValidator');
+const { getFolderSchemaPath, findFolderSchema } = require('../../utils/metadataSchemas');
+
+const router = express.Router();
+
+/**
+ * Read the folder path from the wildcard of a request, without slashes at either end
+ */
+function getFolderParam(req) {
+  return (req.params[0] || '').replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * List the Markdown pages of a folder, optionally including subfolders
+ * @return {Promise<Array<string>>} Page paths relative to the space
+ */
+async function listMarkdownPages(filing, folder, isReadonly, recursive) {
+  const pages = [];
+  const items = await filing.listDetailed(getSpaceFilePath(folder, isReadonly));
+  for (const item of items) {
+    if (item.name.startsWith('.')) {
+      continue;
+    }
+    const itemPath = folder ? `${folder}/${item.name}` : item.name;
+    if (item.isDirectory) {
+      if (recursive) {
+        pages.push(...await listMarkdownPages(filing, itemPath, isReadonly, recursive));
+      }
+    } else if (/\.(md|markdown)$/i.test(item.name)) {
+      pages.push(itemPath);
+    }
+  }
+  return pages;
+}
+
+// Get the schema of a folder: its own and the one that applies to its pages
+router.get(['/:space/schema', '/:space/schema/*'], loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const folder = getFolderParam(req);
+    const isReadonly = req.spaceConfig.access === 'readonly';
+    const schemaPath = getFolderSchemaPath(folder, isReadonly);
+
+    const schema = await req.filing.exists(schemaPath)
+      ? JSON.parse(await req.filing.read(schemaPath, 'utf8'))
+      : null;
+    const effective = await findFolderSchema(req.filing, path.posix.join(folder || '.', 'page.md'), isReadonly);
+
+    res.json({
+      folder,
+      schema,
+      effectiveSchema: effective ? effective.schema : null,
+      inheritedFrom: effective && effective.folder !== folder ? effective.folder : null
+    });
+  } catch (error) {
+    console.error('Error reading folder schema:', error);
+    res.status(500).json({ error: 'Failed to read folder schema' });
+  }
+});
+
+// Attach a schema to a folder
+router.put(['/:space/schema', '/:space/schema/*'], loadFilingProvider, checkSpaceAccess('manage'), async (req, res) => {
+  try {
+    const folder = getFolderParam(req);
+    const isReadonly = req.spaceConfig.access === 'readonly';
+    const { schema } = req.body;
+
+    const problems = validateSchemaDefinition(schema);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid folder schema', problems });
+    }
+
+    const folderPath = getSpaceFilePath(folder, isReadonly);
+    if (folderPath && !(await req.filing.exists(folderPath))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const schemaPath = getFolderSchemaPath(folder, isReadonly);
+    const json = JSON.stringify(schema, null, 2);
+    if (await req.filing.exists(schemaPath)) {
+      await req.filing.update(schemaPath, json);
+    } else {
+      await req.filing.create(schemaPath, json);
+    }
+    res.json({ message: 'Folder schema saved successfully', folder, schema });
+  } catch (error) {
+    console.error('Error saving folder schema:', error);
+    res.status(500).json({ error: 'Failed to save folder schema' });
+  }
+});
+
+// Remove the schema of a folder
+router.delete(['/:space/schema', '/:space/schema/*'], loadFilingProvider, checkSpaceAccess('manage'), async (req, res) => {
+  try {
+    const folder = getFolderParam(req);
+    const schemaPath = getFolderSchemaPath(folder, req.spaceConfig.access === 'readonly');
+
+    if (!(await req.filing.exists(schemaPath))) {
+      return res.status(404).json({ error: 'Folder has no schema' });
+    }
+    await req.filing.delete(schemaPath);
+    res.json({ message: 'Folder schema removed successfully', folder });
+  } catch (error) {
+    console.error('Error removing folder schema:', error);
+    res.status(500).json({ error: 'Failed to remove folder schema' });
+  }
+});
+
+// List the pages of a folder with their front-matter, filtered by query fields
+router.get(['/:space/front-matter', '/:space/front-matter/*'], loadFilingProvider, checkSpaceAccess('read'), async (req, res) => {
+  try {
+    const folder = getFolderParam(req);
+    const isReadonly = req.spaceConfig.access === 'readonly';
+    const recursive = req.query.recursive === 'true';
+    const filters = parseFrontMatterFilters(req.query);
+
+    const folderPath = getSpaceFilePath(folder, isReadonly);
+    if (folderPath && !(await req.filing.exists(folderPath))) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const pages = [];
+    for (const pagePath of await listMarkdownPages(req.filing, folder, isReadonly, recursive)) {
+      try {
+        const content = await req.filing.read(getSpaceFilePath(pagePath, isReadonly), 'utf8');
+        const { data, error } = parseFrontMatter(content);
+        if (matchesFrontMatterFilters(data, filters)) {
+          pages.push({ path: pagePath, frontMatter: data, frontMatterError: error });
+        }
+      } catch (error) {
+        console.warn(`Failed to read front-matter of ${pagePath}:`, error.message);
+      }
+    }
+
+    res.json({ folder, filters, count: pages.length, pages });
+  } catch (error) {
+    console.error('Error listing front-matter:', error);
+    res.status(500).json({ error: 'Failed to list front-matter' });
+  }
+});
+
+module.exports = router;
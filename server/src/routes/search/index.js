@@ -17,9 +17,14 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const EventEmitter = require('events');
-const createFilingService = require('../../services/filing/index.js');
+const { createSpaceFilingProvider } = require('../../utils/spaceFiling');
 const userStorage = require('../../auth/userStorage');
+const { resolveSpaceRole, hasSpacePermission } = require('../../utils/spaceRoles');
+const { parseFrontMatter, parseFrontMatterFilters, matchesFrontMatterFilters } = require('../../utils/frontMatter');
+const { isDiagramFile, parseDiagram, extractDiagramText } = require('../../utils/diagramFiles');
+const { getCleanMarkdownContent } = require('../../utils/commentParser');
+const { getLinkSpaceKey } = require('../../utils/linkIndex');
+const { isSpaceIndexed, queueSpaceIndexing } = require('../../utils/searchIndex');
 
 const router = express.Router();
 
@@ -50,58 +55,53 @@ function requireAuth(req, res, next) {
 }
 
 /**
- * Get space-aware filing provider for the current user
+ * Middleware that loads the space searched, `?space=` or the Personal space,
+ * and checks that the user may read it
  */
-async function getSpaceAwareFiling(req) {
-  // Default to Personal space for search operations
+function loadSearchSpace(req, res, next) {
   const spaceName = req.query.space || 'Personal';
-  const user = req.user;
-  
-  if (!user) {
-    throw new Error('User authentication required');
-  }
-  
-  // Load spaces configuration to get the right provider
-  const spacesPath = path.join(__dirname, '../../../../server-data/spaces.json');
-  const spacesData = fs.readFileSync(spacesPath, 'utf8');
-  const spaces = JSON.parse(spacesData);
-  const spaceConfig = spaces.find(space => space.space === spaceName);
-  
-  if (!spaceConfig) {
-    throw new Error(`Space '${spaceName}' not found`);
-  }
-  
-  // Create filing provider based on space configuration
-  const filingConfig = spaceConfig.filing;
-  let provider;
-
-  if (filingConfig.type === 'local') {
-    provider = createFilingService('local', {
-      localPath: filingConfig.localFolder
-    }, new EventEmitter());
-  } else if (filingConfig.type === 'git') {
-    provider = createFilingService('git', {
-      repo: filingConfig.git,
-      localPath: filingConfig.localFolder,
-      branch: filingConfig['git-branch'] || 'main',
-      fetchInterval: parseInt(filingConfig['git-fetch-interval']) || 5000
-    }, new EventEmitter());
-  } else {
-    throw new Error(`Unsupported filing provider type: ${filingConfig.type}`);
+
+  try {
+    const spacesPath = path.join(__dirname, '../../../../server-data/spaces.json');
+    const spaces = JSON.parse(fs.readFileSync(spacesPath, 'utf8'));
+    const spaceConfig = spaces.find(space => space.space === spaceName);
+    if (!spaceConfig) {
+      return res.status(404).json({ error: `Space '${spaceName}' not found` });
+    }
+
+    const role = resolveSpaceRole(req.user, spaceConfig);
+    if (!role || !hasSpacePermission(role, 'read')) {
+      return res.status(403).json({ error: 'Access denied to this space' });
+    }
+
+    req.spaceName = spaceName;
+    req.spaceConfig = spaceConfig;
+    req.spaceRole = role;
+    next();
+  } catch (error) {
+    console.error('Error loading space for search:', error);
+    res.status(500).json({ error: 'Failed to load space' });
   }
+}
+
+/**
+ * Get space-aware filing provider for the space loaded by loadSearchSpace
+ */
+function getSpaceAwareFiling(req) {
+  const provider = createSpaceFilingProvider(req.spaceConfig);
   
   // Set user context for Personal space isolation
   if (provider.setUserContext && typeof provider.setUserContext === 'function') {
-    provider.setUserContext(user, spaceName);
+    provider.setUserContext(req.user, req.spaceName);
   }
   
   return provider;
 }
 
 // Search files by name
-router.get('/files', requireAuth, async (req, res) => {
+router.get('/files', requireAuth, loadSearchSpace, async (req, res) => {
   try {
-    const filing = await getSpaceAwareFiling(req);
+    const filing = getSpaceAwareFiling(req);
     const query = req.query.q;
     if (!query) {
       return res.json([]);
@@ -147,17 +147,94 @@ router.get('/files', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Splits the terms excluded with a leading minus, e.g. `gateway -payments`,
+ * from the text searched for
+ * @returns {{text: string, excluded: Array<string>}}
+ */
+function parseExclusions(query) {
+  const included = [];
+  const excluded = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const minus = match[2] !== undefined ? match[1] : match[3];
+    const text = match[2] !== undefined ? match[2] : match[4];
+    (minus ? excluded : included).push(text);
+  }
+  return { text: included.join(' '), excluded: excluded.map(term => term.toLowerCase()) };
+}
+
+/**
+ * Search the persistent full-text index for a space
+ * @returns {Promise<Array|null>} Ranked results, or null when the space is not indexed
+ */
+async function searchIndexedContent(req, query, frontMatterFilters) {
+  const container = req.app.locals.serviceContainer;
+  if (!container || !container.has('searching')) {
+    return null;
+  }
+
+  const searching = container.get('searching');
+  if (!searching || typeof searching.search !== 'function') {
+    return null;
+  }
+
+  // Personal space documents are indexed per user; a space is only searched
+  // through the index once every file of it was indexed
+  const spaceName = getLinkSpaceKey(req.spaceName, req.user);
+  if (!isSpaceIndexed(spaceName)) {
+    return null;
+  }
+
+  const results = await searching.search(query, {
+    filter: {
+      spaceName,
+      frontMatter: frontMatterFilters ? data => matchesFrontMatterFilters(data, frontMatterFilters) : undefined
+    },
+    limit: parseInt(req.query.limit, 10) || 20
+  });
+
+  return results.map(result => ({
+    fileName: result.document.fileName,
+    filePath: result.document.filePath,
+    frontMatter: result.document.frontMatter || {},
+    preview: result.snippet,
+    matchIndex: 0,
+    score: result.score
+  }));
+}
+
 // Search content within files
-router.get('/content', requireAuth, async (req, res) => {
+router.get('/content', requireAuth, loadSearchSpace, async (req, res) => {
   try {
-    const filing = await getSpaceAwareFiling(req);
     const query = req.query.q;
     if (!query) {
       return res.json([]);
     }
 
+    // Terms after a minus exclude the files that contain them
+    const { text, excluded } = parseExclusions(query);
+    if (!text) {
+      return res.status(400).json({ error: 'Search for at least one term besides the excluded ones' });
+    }
+
+    // Front-matter filters, e.g. ?status=approved&tags=payments&reviewBefore=2026-01-01
+    const frontMatterFilters = parseFrontMatterFilters(req.query);
+
+    // Prefer the ranked index; walk the files when the space has not been indexed yet
+    const indexedResults = await searchIndexedContent(req, query, frontMatterFilters);
+    if (indexedResults) {
+      return res.json(indexedResults);
+    }
+
+    const filing = getSpaceAwareFiling(req);
+
     const searchResults = [];
-    const searchRegex = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    const searchRegex = new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    // Files read on the way, indexed so the next search can use the index
+    const documents = [];
+    let readAll = true;
     
     // Recursive function to search through file contents in markdown directory
     const searchInDirectory = async (dirPath) => {
@@ -167,63 +244,70 @@ router.get('/content', requireAuth, async (req, res) => {
         
         for (const item of items) {
           const fullPath = path.join(dirPath || '', item.name);
-          const relativePath = fullPath;
+          const relativePath = fullPath.replace(/\\/g, '/');
           
           if (item.isDirectory) {
             await searchInDirectory(fullPath);
-          } else if (item.isFile && item.name.endsWith('.md')) {
+          } else if (item.isFile && (item.name.endsWith('.md') || isDiagramFile(item.name))) {
             try {
               const markdownFilePath = `markdown/${fullPath}`;
-              const content = await filing.read(markdownFilePath, 'utf8');
-              const matches = [];
-              let match;
-              
-              // Find all matches in the content
-              while ((match = searchRegex.exec(content)) !== null) {
-                const start = Math.max(0, match.index - 50);
-                const end = Math.min(content.length, match.index + query.length + 50);
-                const preview = content.substring(start, end);
-                
-                // Highlight the matched text
-                const highlightedPreview = preview.replace(
-                  searchRegex, 
-                  `<mark>$&</mark>`
-                );
-                
-                matches.push({
-                  fileName: item.name,
-                  filePath: relativePath.replace(/\\/g, '/'),
-                  preview: (start > 0 ? '...' : '') + highlightedPreview + (end < content.length ? '...' : ''),
-                  matchIndex: match.index
-                });
-                
-                // Limit matches per file
-                if (matches.length >= 3) break;
+              const fileContent = await filing.read(markdownFilePath, 'utf8');
+              documents.push({ path: relativePath, content: fileContent });
+              // Diagrams are searched by their text, not their JSON, and
+              // pages without the comment threads stored at their end
+              const content = isDiagramFile(item.name)
+                ? extractDiagramText(parseDiagram(fileContent))
+                : getCleanMarkdownContent(fileContent);
+              const { data: frontMatter } = parseFrontMatter(content);
+              if (!matchesFrontMatterFilters(frontMatter, frontMatterFilters)) {
+                continue;
+              }
+              const lowerContent = content.toLowerCase();
+              if (excluded.some(term => lowerContent.includes(term))) {
+                continue;
               }
-              
-              if (matches.length > 0) {
-                searchResults.push(...matches);
+
+              // One result per file, previewing the first match
+              const matchCount = (content.match(searchRegex) || []).length;
+              if (matchCount === 0) {
+                continue;
               }
+              const match = searchRegex.exec(content);
+              const start = Math.max(0, match.index - 50);
+              const end = Math.min(content.length, match.index + match[0].length + 50);
+              const highlightedPreview = content.substring(start, end).replace(searchRegex, `<mark>$&</mark>`);
+
+              searchResults.push({
+                fileName: item.name,
+                filePath: relativePath,
+                frontMatter,
+                preview: (start > 0 ? '...' : '') + highlightedPreview + (end < content.length ? '...' : ''),
+                matchIndex: match.index,
+                score: matchCount
+              });
             } catch (error) {
               // Skip files that can't be read
+              readAll = false;
               console.error('Error reading file:', fullPath, error.message);
             }
           }
         }
       } catch (error) {
         // Skip directories that can't be read
+        readAll = false;
         console.error('Error reading directory:', dirPath, error.message);
       }
     };
 
     await searchInDirectory('');
+
+    // Readonly spaces keep their files outside the markdown folder walked here
+    if (readAll && req.spaceConfig.access !== 'readonly') {
+      queueSpaceIndexing(getLinkSpaceKey(req.spaceName, req.user), documents);
+    }
     
     // Sort by relevance (files with more matches first)
-    searchResults.sort((a, b) => {
-      const aCount = (a.preview.match(/<mark>/g) || []).length;
-      const bCount = (b.preview.match(/<mark>/g) || []).length;
-      return bCount - aCount;
-    });
+    searchResults.sort((a, b) => b.score - a.score);
     
     res.json(searchResults.slice(0, 20)); // Limit results
   } catch (error) {
@@ -232,4 +316,4 @@ router.get('/content', requireAuth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,14 +1,45 @@
 /**
  * @fileoverview Server management API routes.
- * Handles users, spaces, plugins, and API monitoring endpoints.
+ * Handles users, spaces, plugins, API monitoring, audit log and webhook
+ * delivery log endpoints.
  */
 
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const { requireServerAuth } = require('../../middleware/auth');
+const { SPACE_ROLES, normalizeRoleAssignments } = require('../../utils/spaceRoles');
+const { validateFilingConfig, maskFilingSecrets, restoreFilingSecrets } = require('../../utils/spaceFiling');
+const { AI_PROVIDERS, DEFAULT_MODELS, normalizeAiConfig } = require('../../utils/aiAssistant');
+const { clearFilingProviderCache } = require('../spaces');
+const {
+  recordAudit,
+  normalizeAuditFilters,
+  queryAuditLog,
+  verifyAuditLog,
+  formatAuditCsv
+} = require('../../utils/auditLog');
+const {
+  webhookStore,
+  webhookDispatcher,
+  toPublicWebhook,
+  toDeliverySummary
+} = require('../../utils/webhooks');
 const router = express.Router();
 
+/**
+ * Returns the fields of a user that the audit log hashes, leaving out the password.
+ */
+function toAuditedUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    roles: user.roles || [],
+    spaces: user.spaces || '',
+    groups: user.groups || ''
+  };
+}
+
 // API endpoint to get monitoring data
 router.get('/api-monitor-data', (req, res) => {
   // This will be passed from the main server file
@@ -26,7 +57,8 @@ router.get('/api/users', requireServerAuth, (req, res) => {
       username: user.username,
       createdAt: user.createdAt,
       roles: user.roles || [],
-      spaces: user.spaces || ''
+      spaces: user.spaces || '',
+      groups: user.groups || ''
     }));
     res.json(safeUsers);
   } catch (error) {
@@ -36,7 +68,7 @@ router.get('/api/users', requireServerAuth, (req, res) => {
 
 router.put('/api/users/:id', requireServerAuth, (req, res) => {
   try {
-    const { username, roles, spaces } = req.body;
+    const { username, roles, spaces, groups } = req.body;
     const userId = req.params.id;
     
     // Use the correct path to users.json
@@ -52,13 +84,26 @@ router.put('/api/users/:id', requireServerAuth, (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    const previousUser = toAuditedUser(users[userIndex]);
+    
     // Update user data
     users[userIndex].username = username;
     users[userIndex].roles = roles;
     users[userIndex].spaces = spaces;
+    if (groups !== undefined) {
+      users[userIndex].groups = groups;
+    }
     
     // Write back to file
     fs.writeFileSync(usersFilePath, JSON.stringify(users, null, 2));
+    recordAudit(req, {
+      action: 'user.update',
+      space: null,
+      path: `users/${userId}`,
+      before: previousUser,
+      after: toAuditedUser(users[userIndex]),
+      details: { username, roles, spaces, groups }
+    });
     
     // Return updated user without password
     const updatedUser = {
@@ -66,7 +111,8 @@ router.put('/api/users/:id', requireServerAuth, (req, res) => {
       username: users[userIndex].username,
       createdAt: users[userIndex].createdAt,
       roles: users[userIndex].roles,
-      spaces: users[userIndex].spaces
+      spaces: users[userIndex].spaces,
+      groups: users[userIndex].groups || ''
     };
     
     res.json(updatedUser);
@@ -87,7 +133,7 @@ router.get('/api/spaces', requireServerAuth, (req, res) => {
     
     const spacesData = fs.readFileSync(spacesFilePath, 'utf8');
     const spaces = JSON.parse(spacesData);
-    res.json(spaces);
+    res.json(spaces.map(space => ({ ...space, filing: maskFilingSecrets(space.filing) })));
   } catch (error) {
     console.error('Error loading spaces:', error);
     res.status(500).json({ error: 'Failed to load spaces' });
@@ -102,6 +148,11 @@ router.post('/api/spaces', requireServerAuth, (req, res) => {
       return res.status(400).json({ error: 'Missing required fields: space, access, filing' });
     }
     
+    const problems = validateFilingConfig(filing);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: `Invalid filing configuration: ${problems.join('; ')}` });
+    }
+    
     const spacesFilePath = path.join(__dirname, '../../../..', 'server-data', 'spaces.json');
     
     let spaces = [];
@@ -119,8 +170,14 @@ router.post('/api/spaces', requireServerAuth, (req, res) => {
     spaces.push(newSpace);
     
     fs.writeFileSync(spacesFilePath, JSON.stringify(spaces, null, 2));
+    recordAudit(req, {
+      action: 'space.create',
+      space,
+      after: newSpace,
+      details: { access, filingType: filing.type }
+    });
     
-    res.json(newSpace);
+    res.json({ ...newSpace, filing: maskFilingSecrets(filing) });
   } catch (error) {
     console.error('Error creating space:', error);
     res.status(500).json({ error: 'Failed to create space' });
@@ -136,6 +193,11 @@ router.put('/api/spaces/:index', requireServerAuth, (req, res) => {
       return res.status(400).json({ error: 'Missing required fields: space, access, filing' });
     }
     
+    const problems = validateFilingConfig(filing);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: `Invalid filing configuration: ${problems.join('; ')}` });
+    }
+    
     const spacesFilePath = path.join(__dirname, '../../../..', 'server-data', 'spaces.json');
     
     if (!fs.existsSync(spacesFilePath)) {
@@ -154,11 +216,26 @@ router.put('/api/spaces/:index', requireServerAuth, (req, res) => {
       return res.status(400).json({ error: 'Space name already exists' });
     }
     
-    spaces[spaceIndex] = { space, access, filing };
+    // Keep settings that are not part of this form, such as role assignments,
+    // and secrets the form shows masked
+    const previous = spaces[spaceIndex];
+    spaces[spaceIndex] = { ...previous, space, access, filing: restoreFilingSecrets(filing, previous.filing) };
     
     fs.writeFileSync(spacesFilePath, JSON.stringify(spaces, null, 2));
+    clearFilingProviderCache(previous.space);
+    recordAudit(req, {
+      action: 'space.update',
+      space: previous.space,
+      before: previous,
+      after: spaces[spaceIndex],
+      details: {
+        ...(space !== previous.space ? { newName: space } : {}),
+        access,
+        filingType: filing.type
+      }
+    });
     
-    res.json(spaces[spaceIndex]);
+    res.json({ ...spaces[spaceIndex], filing: maskFilingSecrets(spaces[spaceIndex].filing) });
   } catch (error) {
     console.error('Error updating space:', error);
     res.status(500).json({ error: 'Failed to update space' });
@@ -185,14 +262,285 @@ router.delete('/api/spaces/:index', requireServerAuth, (req, res) => {
     const deletedSpace = spaces.splice(spaceIndex, 1)[0];
     
     fs.writeFileSync(spacesFilePath, JSON.stringify(spaces, null, 2));
+    clearFilingProviderCache(deletedSpace.space);
+    recordAudit(req, { action: 'space.delete', space: deletedSpace.space, before: deletedSpace });
     
-    res.json({ message: 'Space deleted successfully', deletedSpace });
+    res.json({ message: 'Space deleted successfully', deletedSpace: { ...deletedSpace, filing: maskFilingSecrets(deletedSpace.filing) } });
   } catch (error) {
     console.error('Error deleting space:', error);
     res.status(500).json({ error: 'Failed to delete space' });
   }
 });
 
+// Space role assignment API endpoints
+router.get('/api/spaces/:index/roles', requireServerAuth, (req, res) => {
+  try {
+    const spaceIndex = parseInt(req.params.index);
+    
+    const spacesFilePath = path.join(__dirname, '../../../..', 'server-data', 'spaces.json');
+    
+    if (!fs.existsSync(spacesFilePath)) {
+      return res.status(404).json({ error: 'Spaces file not found' });
+    }
+    
+    const spacesData = fs.readFileSync(spacesFilePath, 'utf8');
+    const spaces = JSON.parse(spacesData);
+    
+    if (spaceIndex < 0 || spaceIndex >= spaces.length) {
+      return res.status(404).json({ error: 'Space not found' });
+    }
+    
+    const roles = spaces[spaceIndex].roles || {};
+    res.json({
+      space: spaces[spaceIndex].space,
+      availableRoles: SPACE_ROLES,
+      default: roles.default || '',
+      users: roles.users || {},
+      groups: roles.groups || {}
+    });
+  } catch (error) {
+    console.error('Error loading space roles:', error);
+    res.status(500).json({ error: 'Failed to load space roles' });
+  }
+});
+
+router.put('/api/spaces/:index/roles', requireServerAuth, (req, res) => {
+  try {
+    const spaceIndex = parseInt(req.params.index);
+    const { roles, error } = normalizeRoleAssignments(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const spacesFilePath = path.join(__dirname, '../../../..', 'server-data', 'spaces.json');
+    
+    if (!fs.existsSync(spacesFilePath)) {
+      return res.status(404).json({ error: 'Spaces file not found' });
+    }
+    
+    const spacesData = fs.readFileSync(spacesFilePath, 'utf8');
+    const spaces = JSON.parse(spacesData);
+    
+    if (spaceIndex < 0 || spaceIndex >= spaces.length) {
+      return res.status(404).json({ error: 'Space not found' });
+    }
+    
+    const previousRoles = spaces[spaceIndex].roles || null;
+    spaces[spaceIndex].roles = roles;
+    
+    fs.writeFileSync(spacesFilePath, JSON.stringify(spaces, null, 2));
+    recordAudit(req, {
+      action: 'space.roles.update',
+      space: spaces[spaceIndex].space,
+      before: previousRoles,
+      after: roles,
+      details: roles
+    });
+    
+    res.json({ ...spaces[spaceIndex], filing: maskFilingSecrets(spaces[spaceIndex].filing) });
+  } catch (error) {
+    console.error('Error updating space roles:', error);
+    res.status(500).json({ error: 'Failed to update space roles' });
+  }
+});
+
+// Space AI assistant API endpoints
+router.get('/api/spaces/:index/ai', requireServerAuth, (req, res) => {
+  try {
+    const spaceIndex = parseInt(req.params.index);
+    
+    const spacesFilePath = path.join(__dirname, '../../../..', 'server-data', 'spaces.json');
+    
+    if (!fs.existsSync(spacesFilePath)) {
+      return res.status(404).json({ error: 'Spaces file not found' });
+    }
+    
+    const spacesData = fs.readFileSync(spacesFilePath, 'utf8');
+    const spaces = JSON.parse(spacesData);
+    
+    if (spaceIndex < 0 || spaceIndex >= spaces.length) {
+      return res.status(404).json({ error: 'Space not found' });
+    }
+    
+    const ai = spaces[spaceIndex].ai || {};
+    res.json({
+      space: spaces[spaceIndex].space,
+      availableProviders: AI_PROVIDERS,
+      defaultModels: DEFAULT_MODELS,
+      claudeConfigured: Boolean(process.env.ANTHROPIC_API_KEY),
+      provider: ai.provider || '',
+      model: ai.model || '',
+      host: ai.host || '',
+      principlesPath: ai.principlesPath || '',
+      maxTokens: ai.maxTokens || null
+    });
+  } catch (error) {
+    console.error('Error loading space AI settings:', error);
+    res.status(500).json({ error: 'Failed to load space AI settings' });
+  }
+});
+
+router.put('/api/spaces/:index/ai', requireServerAuth, (req, res) => {
+  try {
+    const spaceIndex = parseInt(req.params.index);
+    const { config, error } = normalizeAiConfig(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const spacesFilePath = path.join(__dirname, '../../../..', 'server-data', 'spaces.json');
+    
+    if (!fs.existsSync(spacesFilePath)) {
+      return res.status(404).json({ error: 'Spaces file not found' });
+    }
+    
+    const spacesData = fs.readFileSync(spacesFilePath, 'utf8');
+    const spaces = JSON.parse(spacesData);
+    
+    if (spaceIndex < 0 || spaceIndex >= spaces.length) {
+      return res.status(404).json({ error: 'Space not found' });
+    }
+    
+    const previousAi = spaces[spaceIndex].ai || null;
+    if (config) {
+      spaces[spaceIndex].ai = config;
+    } else {
+      delete spaces[spaceIndex].ai;
+    }
+    
+    fs.writeFileSync(spacesFilePath, JSON.stringify(spaces, null, 2));
+    recordAudit(req, {
+      action: 'space.ai.update',
+      space: spaces[spaceIndex].space,
+      before: previousAi,
+      after: config,
+      details: config || { provider: null }
+    });
+    
+    res.json({ ...spaces[spaceIndex], filing: maskFilingSecrets(spaces[spaceIndex].filing) });
+  } catch (error) {
+    console.error('Error updating space AI settings:', error);
+    res.status(500).json({ error: 'Failed to update space AI settings' });
+  }
+});
+
+// Audit log API endpoints
+router.get('/api/audit', requireServerAuth, async (req, res) => {
+  try {
+    const { filters, error } = normalizeAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const { entries, total } = await queryAuditLog(filters, { limit, offset });
+    res.json({ entries, total, limit, offset });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+router.get('/api/audit/export', requireServerAuth, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be csv or json' });
+    }
+    
+    const { filters, error } = normalizeAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const { entries } = await queryAuditLog(filters, { limit: 0 });
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(formatAuditCsv(entries));
+    } else {
+      res.type('application/json').send(JSON.stringify({ exportedAt: new Date().toISOString(), filters, entries }, null, 2));
+    }
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+router.get('/api/audit/verify', requireServerAuth, async (req, res) => {
+  try {
+    res.json(await verifyAuditLog());
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+});
+
+// Webhook API endpoints: webhooks of every space and their delivery log
+router.get('/api/webhooks', requireServerAuth, async (req, res) => {
+  try {
+    const webhooks = await webhookStore.list(req.query.space || undefined);
+    res.json({ webhooks: webhooks.map(toPublicWebhook) });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+router.get('/api/webhooks/deliveries', requireServerAuth, async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const filters = {};
+    for (const name of ['space', 'webhookId', 'event', 'status']) {
+      if (typeof req.query[name] === 'string' && req.query[name].trim()) {
+        filters[name] = req.query[name].trim();
+      }
+    }
+    const { deliveries, total } = await webhookStore.listDeliveries(filters, { limit, offset });
+    res.json({ deliveries: deliveries.map(toDeliverySummary), total, limit, offset });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
+});
+
+router.get('/api/webhooks/deliveries/:id', requireServerAuth, async (req, res) => {
+  try {
+    const delivery = await webhookStore.getDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error getting webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to get webhook delivery' });
+  }
+});
+
+router.post('/api/webhooks/deliveries/:id/redeliver', requireServerAuth, async (req, res) => {
+  try {
+    if (!webhookDispatcher.queueing) {
+      return res.status(503).json({ error: 'Webhook delivery is not running' });
+    }
+    const delivery = await webhookStore.getDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    const redelivery = await webhookDispatcher.redeliver(delivery);
+    if (!redelivery) {
+      return res.status(409).json({ error: 'The webhook of this delivery was deleted' });
+    }
+    res.status(202).json(toDeliverySummary(redelivery));
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
 // Plugin management routes (requires pluginLoader from main server)
 router.get('/api/plugins', requireServerAuth, (req, res) => {
   try {
@@ -209,6 +557,59 @@ router.get('/api/plugins', requireServerAuth, (req, res) => {
   }
 });
 
+// Settings declared by the loaded plugins, with their current values
+router.get('/api/plugins/settings', requireServerAuth, (req, res) => {
+  try {
+    const pluginLoader = req.app.locals.pluginLoader;
+    if (!pluginLoader) {
+      return res.status(500).json({ error: 'Plugin loader not available' });
+    }
+
+    const plugins = pluginLoader.getPluginInfo()
+      .filter(plugin => plugin.settings.length > 0)
+      .map(plugin => ({
+        id: plugin.id,
+        name: plugin.name,
+        version: plugin.version,
+        description: plugin.description,
+        ...pluginLoader.getPluginSettings(plugin.id)
+      }));
+    res.json(plugins);
+  } catch (error) {
+    console.error('Error getting plugin settings:', error);
+    res.status(500).json({ error: 'Failed to get plugin settings' });
+  }
+});
+
+router.put('/api/plugins/:name/settings', requireServerAuth, async (req, res) => {
+  try {
+    const pluginLoader = req.app.locals.pluginLoader;
+    if (!pluginLoader) {
+      return res.status(500).json({ error: 'Plugin loader not available' });
+    }
+
+    const pluginName = req.params.name;
+    const previous = pluginLoader.getPluginSettings(pluginName);
+    const result = await pluginLoader.updatePluginSettings(pluginName, req.body, req.user ? req.user.username : null);
+    if (result.error) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+
+    recordAudit(req, {
+      action: 'plugin.settings.update',
+      space: null,
+      path: `plugins/${pluginName}`,
+      before: previous.values,
+      after: result.values,
+      details: { plugin: pluginName, changed: result.changed }
+    });
+    res.json({ message: `Settings of plugin "${pluginName}" saved`, values: result.values });
+  } catch (error) {
+    console.error('Error saving plugin settings:', error);
+    res.status(500).json({ error: 'Failed to save plugin settings' });
+  }
+});
+
 router.post('/api/plugins/:name/reload', requireServerAuth, async (req, res) => {
   try {
     const pluginLoader = req.app.locals.pluginLoader;
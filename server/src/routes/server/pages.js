@@ -26,6 +26,24 @@ router.get('/monitoring/api', requireServerAuth, (req, res) => {
   res.send(html);
 });
 
+// Audit log page
+router.get('/monitoring/audit', requireServerAuth, (req, res) => {
+  const html = renderComponent('auditlog', {
+    activeSection: 'audit',
+    title: 'Audit Log - Design Artifacts'
+  });
+  res.send(html);
+});
+
+// Webhook delivery log page
+router.get('/monitoring/webhooks', requireServerAuth, (req, res) => {
+  const html = renderComponent('webhooks', {
+    activeSection: 'webhooks',
+    title: 'Webhooks - Design Artifacts'
+  });
+  res.send(html);
+});
+
 // Serve OpenAPI specification
 router.get('/api-spec/swagger.json', (req, res) => {
   const fs = require('fs');
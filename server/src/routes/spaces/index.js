@@ -16,10 +16,37 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const EventEmitter = require('events');
 const multer = require('multer');
-const createFilingService = require('../../services/filing/index.js');
+const { createSpaceFilingProvider } = require('../../utils/spaceFiling');
 const userStorage = require('../../auth/userStorage');
+const { isImportableDocument, getImportPaths, convertDocumentToMarkdown } = require('../../utils/documentImporter');
+const { resolveSpaceRole, hasSpacePermission } = require('../../utils/spaceRoles');
+const { notifyFileRemoved } = require('../../collaboration');
+const { indexWrittenFile, unindexRemovedPath } = require('../../utils/linkIndex');
+const { queueSearchUpdate } = require('../../utils/searchIndex');
+const { parseFrontMatter } = require('../../utils/frontMatter');
+const { checkFrontMatter } = require('../../utils/metadataSchemas');
+const { validateSchemaDefinition } = require('../../utils/schemaValidator');
+const { createPublishGate } = require('../../utils/reviewWorkflow');
+const { recordAudit } = require('../../utils/auditLog');
+const { moveToTrash } = require('../../utils/trash');
+const { isDiagramFile } = require('../../utils/diagramFiles');
+const { runBeforeSaveHooks, runUploadHooks, runPublishHooks, withPluginWarnings } = require('../../utils/pluginHooks');
+const { TemplateError } = require('../../utils/templateEngine');
+const { SaveRefusedError, saveSpaceFile, sendSaveRefused } = require('../../utils/spaceFileWriter');
+const {
+  isScaffold,
+  validateTemplateDefinition,
+  resolveTemplateValues,
+  getBuiltinValues,
+  renderTemplateFiles
+} = require('../../utils/templateVariables');
+const {
+  computeContentVersion,
+  toETag,
+  setVersionHeader,
+  readCurrentContent
+} = require('../../utils/contentVersion');
 const {
   cacheFirstContent,
   cacheFirstTree,
@@ -33,6 +60,8 @@ const router = express.Router();
 const filingProviders = new Map();
 // Track which providers are currently being created to prevent race conditions
 const creatingProviders = new Set();
+// Providers of remote storage hold connections, so they are always reused
+const REMOTE_FILING_TYPES = ['s3', 'ftp'];
 
 /**
  * Get the filing provider for a specific space
@@ -44,7 +73,7 @@ async function getFilingProviderForSpace(spaceName) {
   if (filingProviders.has(spaceName)) {
     const cachedProvider = filingProviders.get(spaceName);
     // Validate the cached provider before returning it
-    if (cachedProvider && typeof cachedProvider.readFile === 'function') {
+    if (cachedProvider && (typeof cachedProvider.readFile === 'function' || REMOTE_FILING_TYPES.includes(cachedProvider.type))) {
       console.log(`Using cached filing provider for space: ${spaceName}, type: ${cachedProvider.type || 'local'}`);
       return cachedProvider;
     } else {
@@ -93,23 +122,7 @@ async function getFilingProviderForSpace(spaceName) {
 
     // Create filing provider based on space configuration
     const filingConfig = spaceConfig.filing;
-    let provider;
-
-    if (filingConfig.type === 'local') {
-      provider = createFilingService('local', {
-        localPath: filingConfig.localFolder
-      }, new EventEmitter());
-    } else if (filingConfig.type === 'git') {
-      provider = createFilingService('git', {
-        repo: filingConfig.git,
-        localPath: filingConfig.localFolder,
-        branch: filingConfig['git-branch'] || 'main',
-        fetchInterval: parseInt(filingConfig['git-fetch-interval']) || 5000,
-        isReadonly: spaceConfig.access === 'readonly'
-      }, new EventEmitter());
-    } else {
-      throw new Error(`Unsupported filing provider type: ${filingConfig.type}`);
-    }
+    const provider = createSpaceFilingProvider(spaceConfig);
 
     // Validate the provider before caching
     if (!provider || typeof provider.read !== 'function') {
@@ -120,6 +133,18 @@ async function getFilingProviderForSpace(spaceName) {
     provider.type = filingConfig.type;
     provider.spaceName = spaceName;
 
+    // Writable git spaces only publish documents that pass their approval rules
+    if (filingConfig.type === 'git' && spaceConfig.access !== 'readonly') {
+      provider.setPublishGate(createPublishGate({
+        spaceName,
+        getSpaceConfig: () => {
+          const currentSpaces = JSON.parse(fs.readFileSync(spacesPath, 'utf8'));
+          return currentSpaces.find(space => space.space === spaceName) || spaceConfig;
+        },
+        readContent: async (repoPath) => (await provider.exists(repoPath)) ? provider.read(repoPath, 'utf8') : null
+      }));
+    }
+
     // Cache the provider
     console.log(`Created and cached filing provider for space: ${spaceName}, type: ${filingConfig.type}`);
     filingProviders.set(spaceName, provider);
@@ -138,6 +163,13 @@ async function getFilingProviderForSpace(spaceName) {
  * @param {string} [spaceName] - Optional space name to clear, if not provided clears all
  */
 function clearFilingProviderCache(spaceName = null) {
+  // Close the connections of remote providers that are dropped
+  for (const [name, provider] of filingProviders) {
+    if ((!spaceName || name === spaceName) && REMOTE_FILING_TYPES.includes(provider.type)) {
+      provider.cleanup().catch(error => console.warn(`Failed to close filing provider of space ${name}:`, error.message));
+    }
+  }
+
   if (spaceName) {
     filingProviders.delete(spaceName);
     creatingProviders.delete(spaceName); // Also clean up creating set
@@ -220,6 +252,7 @@ async function loadSpaceConfig(req, res, next) {
 /**
  * Middleware to check space access permissions
  * Includes authentication checking for both session and token-based auth
+ * @param {string} operation - read, comment, write, publish or manage (see utils/spaceRoles)
  */
 function checkSpaceAccess(operation = 'read') {
   return (req, res, next) => {
@@ -245,7 +278,7 @@ function checkSpaceAccess(operation = 'read') {
         // If not a session token, try API key authentication
         if (!user) {
           console.log(`[Server] Session token validation failed, trying API key`);
-          user = userStorage.authenticateByApiKey(token);
+          user = userStorage.authenticateByApiKey(token, req);
           if (user) {
             console.log(`[Server] API key auth successful for user: ${user.username}`);
           } else {
@@ -275,17 +308,22 @@ function checkSpaceAccess(operation = 'read') {
       return res.status(404).json({ error: 'Space not found' });
     }
     
-    // Check if user has access to this space
-    const userSpaces = user.spaces ? user.spaces.split(',').map(s => s.trim()) : [];
-    if (!userSpaces.includes(spaceName)) {
+    // Resolve the user's role in this space from the role assignments
+    const role = resolveSpaceRole(user, spaceConfig);
+    if (!role) {
       return res.status(403).json({ error: 'Access denied to this space' });
     }
     
-    // Check if the operation is allowed for this space
-    if (operation === 'write' && spaceConfig.access === 'readonly') {
+    // Readonly spaces cannot be changed whatever the role
+    if (operation !== 'read' && spaceConfig.access === 'readonly') {
       return res.status(403).json({ error: 'Write operations not allowed in this space' });
     }
     
+    if (!hasSpacePermission(role, operation)) {
+      return res.status(403).json({ error: `Your role '${role}' does not allow ${operation} operations in this space` });
+    }
+    req.spaceRole = role;
+    
     // Set user context for filing provider (for Personal space user isolation)
     if (filing && typeof filing.setUserContext === 'function') {
       filing.setUserContext(user, spaceName);
@@ -368,7 +406,7 @@ async function getDirectoryTreeForSpace(filing, relativePath = '', isReadonly =
 /**
  * Detects file type based on file extension.
  * @param {string} fileName - The complete filename including extension
- * @return {string} File type category: 'markdown', 'pdf', 'image', 'text', or 'unknown'
+ * @return {string} File type category: 'markdown', 'diagram', 'pdf', 'image', 'text', or 'unknown'
  */
 function detectFileType(fileName) {
   const extension = path.extname(fileName).toLowerCase();
@@ -379,6 +417,7 @@ function detectFileType(fileName) {
   const markdownExtensions = ['.md', '.markdown'];
   
   if (markdownExtensions.includes(extension)) return 'markdown';
+  if (isDiagramFile(fileName)) return 'diagram';
   if (pdfExtensions.includes(extension)) return 'pdf';
   if (imageExtensions.includes(extension)) return 'image';
   if (textExtensions.includes(extension)) return 'text';
@@ -387,9 +426,13 @@ function detectFileType(fileName) {
 }
 
 /**
- * Helper function to get file path based on space type (readonly vs writable)
+ * Helper function to get file path based on space type (readonly vs writable).
+ * The root of the space is an empty path.
  */
 function getSpaceFilePath(relativePath, isReadonly) {
+  if (!relativePath) {
+    return isReadonly ? '' : 'markdown';
+  }
   return isReadonly ? relativePath : `markdown/${relativePath}`;
 }
 
@@ -410,7 +453,7 @@ const upload = multer({
 });
 
 // Publish changes for a specific space
-router.post('/:space/publish', loadFilingProvider, checkSpaceAccess('write'), async (req, res) => {
+router.post('/:space/publish', loadFilingProvider, checkSpaceAccess('publish'), async (req, res) => {
   try {
     const filing = req.filing;
     const { message } = req.body;
@@ -420,7 +463,13 @@ router.post('/:space/publish', loadFilingProvider, checkSpaceAccess('write'), as
     }
 
     // Call the filing provider's publish method
-    const result = await filing.publish(message.trim());
+    const result = await filing.publish(message.trim(), { actor: req.user.username });
+    const commit = result && result.commit && result.commit.commit;
+    await recordAudit(req, {
+      action: 'space.publish',
+      details: { message: message.trim(), ...(commit ? { commit } : {}) }
+    });
+    runPublishHooks(req, { message: message.trim(), commit });
     
     res.json({
       success: true,
@@ -428,6 +477,9 @@ router.post('/:space/publish', loadFilingProvider, checkSpaceAccess('write'), as
       result
     });
   } catch (error) {
+    if (error.code === 'REVIEW_REQUIRED') {
+      return res.status(409).json({ error: error.message, blocked: error.blocked });
+    }
     console.error('Error publishing changes for space:', error);
     res.status(500).json({ error: error.message || 'Failed to publish changes' });
   }
@@ -538,25 +590,294 @@ router.get('/:space/templates', loadFilingProvider, checkSpaceAccess('read'), ca
   }
 });
 
+/**
+ * Checks a template name from a request and the schema, variables and files
+ * it carries, sending 400 when any is unusable.
+ * @param {string} name - The template name.
+ * @param {*} schema - The front-matter schema; undefined or null for none.
+ * @param {Object} res - Express response.
+ * @param {Object} [definition] - The content, variables and files of the template.
+ * @return {boolean} True when the template can be stored.
+ */
+function checkTemplateRequest(name, schema, res, definition = {}) {
+  if (!name) {
+    res.status(400).json({ error: 'Template name is required' });
+    return false;
+  }
+  if (!/^[\w .-]+$/.test(name) || name.startsWith('.')) {
+    res.status(400).json({ error: 'Template name may only contain letters, digits, spaces, dots, hyphens and underscores' });
+    return false;
+  }
+  if (schema !== undefined && schema !== null) {
+    const problems = validateSchemaDefinition(schema);
+    if (problems.length > 0) {
+      res.status(400).json({ error: 'Invalid template schema', problems });
+      return false;
+    }
+  }
+  const problems = validateTemplateDefinition(definition);
+  if (problems.length > 0) {
+    res.status(400).json({ error: 'Invalid template', problems });
+    return false;
+  }
+  return true;
+}
+
 // Create template in a space
 router.post('/:space/templates', loadFilingProvider, checkSpaceAccess('write'), invalidateCacheOnWrite(), async (req, res) => {
   try {
     const filing = req.filing;
-    const { name, content } = req.body;
+    const { name, content, description, tags, variables, files, schema } = req.body;
     
-    if (!name) {
-      return res.status(400).json({ error: 'Template name is required' });
+    if (!checkTemplateRequest(name, schema, res, { content, variables, files })) {
+      return;
     }
     
     const templatePath = `templates/${name}.json`;
-    await filing.create(templatePath, JSON.stringify(content, null, 2));
-    res.json({ message: 'Template created successfully', name });
+    if (await filing.exists(templatePath)) {
+      return res.status(400).json({ error: 'Template already exists' });
+    }
+
+    const template = {
+      content: content || '',
+      description: description || '',
+      tags: tags || [],
+      variables: variables || {},
+      ...(Array.isArray(files) && files.length > 0 ? { files } : {}),
+      ...(schema ? { schema } : {}),
+      createdAt: new Date().toISOString()
+    };
+    await filing.ensureDir('templates');
+    await filing.create(templatePath, JSON.stringify(template, null, 2));
+    await recordAudit(req, { action: 'template.create', path: templatePath, after: template });
+    res.json({ message: 'Template created successfully', name, template: { name, ...template } });
   } catch (error) {
     console.error('Error creating template for space:', error);
     res.status(500).json({ error: 'Failed to create template' });
   }
 });
 
+// Update (and optionally rename) a template in a space
+router.put('/:space/templates/:name', loadFilingProvider, checkSpaceAccess('write'), invalidateCacheOnWrite(), async (req, res) => {
+  try {
+    const filing = req.filing;
+    const currentName = req.params.name;
+    const { name = currentName, content, description, tags, variables, files, schema } = req.body;
+
+    if (!checkTemplateRequest(name, schema, res, { content, variables, files })) {
+      return;
+    }
+
+    const currentPath = `templates/${currentName}.json`;
+    if (!(await filing.exists(currentPath))) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    const { name: storedName, ...existing } = JSON.parse(await filing.read(currentPath, 'utf8'));
+
+    const template = {
+      ...existing,
+      content: content !== undefined ? content : existing.content,
+      description: description !== undefined ? description : existing.description,
+      tags: tags !== undefined ? tags : existing.tags,
+      variables: variables !== undefined ? variables : existing.variables,
+      updatedAt: new Date().toISOString()
+    };
+    if (files !== undefined) {
+      // null or an empty list turns a scaffold back into a single page template
+      if (Array.isArray(files) && files.length > 0) {
+        template.files = files;
+      } else {
+        delete template.files;
+      }
+    }
+    if (schema !== undefined) {
+      // null removes the schema
+      if (schema) {
+        template.schema = schema;
+      } else {
+        delete template.schema;
+      }
+    }
+
+    if (name !== currentName) {
+      const newPath = `templates/${name}.json`;
+      if (await filing.exists(newPath)) {
+        return res.status(400).json({ error: 'Template with new name already exists' });
+      }
+      await filing.create(newPath, JSON.stringify(template, null, 2));
+      await filing.delete(currentPath);
+    } else {
+      await filing.update(currentPath, JSON.stringify(template, null, 2));
+    }
+    await recordAudit(req, {
+      action: 'template.update',
+      path: currentPath,
+      before: existing,
+      after: template,
+      details: name !== currentName ? { newName: name } : null
+    });
+    res.json({ message: 'Template updated successfully', name, template: { name, ...template } });
+  } catch (error) {
+    console.error('Error updating template for space:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+// Delete a template from a space
+router.delete('/:space/templates/:name', loadFilingProvider, checkSpaceAccess('write'), invalidateCacheOnWrite(), async (req, res) => {
+  try {
+    const filing = req.filing;
+    const templatePath = `templates/${req.params.name}.json`;
+
+    if (!(await filing.exists(templatePath))) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    const previousTemplate = await filing.read(templatePath, 'utf8');
+    await filing.delete(templatePath);
+    await recordAudit(req, { action: 'template.delete', path: templatePath, before: previousTemplate });
+    res.json({ message: 'Template deleted successfully', name: req.params.name });
+  } catch (error) {
+    console.error('Error deleting template for space:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+/**
+ * Normalizes a path within a space, rejecting paths that leave it.
+ * @param {*} targetPath - Path from the request body.
+ * @return {string|null} The normalized path, or null when it is not valid.
+ */
+function normalizeTargetPath(targetPath) {
+  if (typeof targetPath !== 'string' || !targetPath.trim()) {
+    return null;
+  }
+  const normalized = path.posix.normalize(targetPath.trim().replace(/\\/g, '/')).replace(/^\/+|\/+$/g, '');
+  if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+  return normalized;
+}
+
+// Create a page, or a folder scaffold, from a template of a space. The body
+// gives the target `filePath` (or `folderPath` for a scaffold) and the values
+// of the template's variables.
+router.post('/:space/templates/:name/create-file', loadFilingProvider, checkSpaceAccess('write'), invalidateCacheOnWrite(), async (req, res) => {
+  try {
+    const filing = req.filing;
+    const isReadonly = req.spaceConfig.access === 'readonly';
+    const templateName = req.params.name;
+    const { filePath, folderPath, values = {} } = req.body;
+
+    const templatePath = `templates/${templateName}.json`;
+    if (!/^[\w .-]+$/.test(templateName) || !(await filing.exists(templatePath))) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    const template = JSON.parse(await filing.read(templatePath, 'utf8'));
+
+    const scaffold = isScaffold(template);
+    const requestedPath = scaffold ? folderPath || filePath : filePath;
+    if (!requestedPath) {
+      return res.status(400).json({ error: scaffold ? 'Folder path is required' : 'File path is required' });
+    }
+    const targetPath = normalizeTargetPath(requestedPath);
+    if (!targetPath) {
+      return res.status(400).json({ error: scaffold ? 'Invalid folder path' : 'Invalid file path' });
+    }
+    if (!scaffold && !/\.(md|markdown)$/i.test(targetPath)) {
+      return res.status(400).json({ error: 'Only markdown files (.md) are allowed' });
+    }
+
+    const { values: resolvedValues, errors } = await resolveTemplateValues(template, values, {
+      currentUser: req.user.username,
+      isKnownUser: username => Boolean(userStorage.findUserByUsername(username))
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid template values', validationErrors: errors });
+    }
+
+    let files;
+    try {
+      files = renderTemplateFiles(template, resolvedValues, getBuiltinValues({
+        user: req.user.username,
+        space: req.spaceName,
+        targetPath
+      }));
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        return res.status(400).json({ error: `Template error: ${error.message}` });
+      }
+      throw error;
+    }
+    files = files.map(file => ({ ...file, path: file.path ? `${targetPath}/${file.path}` : targetPath }));
+
+    // Check every file before writing any, so a scaffold is created whole or not at all
+    for (const file of files) {
+      if (await filing.exists(getSpaceFilePath(file.path, isReadonly))) {
+        return res.status(409).json({ error: 'File already exists', path: file.path });
+      }
+      const hookResult = await runBeforeSaveHooks(req, res, file.path, file.content);
+      if (!hookResult) {
+        return;
+      }
+      if (!(await checkFrontMatter(req, res, file.path, hookResult.content))) {
+        return;
+      }
+    }
+
+    const warnings = [];
+    for (const file of files) {
+      const actualFilePath = getSpaceFilePath(file.path, isReadonly);
+      const dirPath = path.dirname(actualFilePath);
+      if (dirPath && dirPath !== '.' && dirPath !== '/') {
+        await filing.mkdir(dirPath, { recursive: true });
+      }
+      const saved = await saveSpaceFile(req, file.path, actualFilePath, file.content, {
+        create: true,
+        exclusive: true,
+        message: `Created from template ${templateName}`,
+        audit: { action: 'file.create', details: { template: templateName } }
+      });
+      warnings.push(...saved.warnings);
+    }
+
+    res.json(withPluginWarnings({
+      message: scaffold ? 'Folder created from template successfully' : 'File created from template successfully',
+      path: targetPath,
+      files: files.map(file => file.path),
+      templateUsed: templateName,
+      values: resolvedValues
+    }, warnings));
+  } catch (error) {
+    if (error instanceof SaveRefusedError) {
+      return sendSaveRefused(res, error);
+    }
+    console.error('Error creating file from template for space:', error);
+    res.status(500).json({ error: 'Failed to create file from template' });
+  }
+});
+
+// List the users who can read a space, for user pickers such as template
+// user variables
+router.get('/:space/members', loadSpaceConfig, checkSpaceAccess('read'), (req, res) => {
+  try {
+    if (req.spaceName === 'Personal') {
+      return res.json({ space: req.spaceName, members: [{ username: req.user.username, role: req.spaceRole }] });
+    }
+    const members = [];
+    for (const { username } of userStorage.getAllUsers()) {
+      const role = resolveSpaceRole(userStorage.findUserByUsername(username), req.spaceConfig);
+      if (hasSpacePermission(role, 'read')) {
+        members.push({ username, role });
+      }
+    }
+    members.sort((a, b) => a.username.localeCompare(b.username));
+    res.json({ space: req.spaceName, members });
+  } catch (error) {
+    console.error('Error listing space members:', error);
+    res.status(500).json({ error: 'Failed to list space members' });
+  }
+});
+
 // File upload endpoint for a specific space
 router.post('/:space/upload', loadFilingProvider, checkSpaceAccess('write'), invalidateCacheOnWrite(), upload.single('file'), async (req, res) => {
   try {
@@ -583,22 +904,78 @@ router.post('/:space/upload', loadFilingProvider, checkSpaceAccess('write'), inv
       isReadonly
     });
     
+    const uploadResult = await runUploadHooks(req, res, finalFilePath);
+    if (!uploadResult) {
+      return;
+    }
+
     // Create the target directory if it doesn't exist
     if (folderPath) {
       const dirPath = getSpaceFilePath(folderPath, isReadonly);
       await filing.ensureDir(dirPath);
     }
     
+    // Import mode converts Word/PowerPoint documents to markdown and keeps the original as an attachment
+    if (req.body.mode === 'import') {
+      if (!isImportableDocument(fileName)) {
+        return res.status(400).json({ error: 'Only .docx and .pptx files can be imported as Markdown' });
+      }
+
+      const importPaths = getImportPaths(fileName, folderPath);
+      const markdownSpacePath = getSpaceFilePath(importPaths.markdownPath, isReadonly);
+      if (await filing.exists(markdownSpacePath)) {
+        return res.status(409).json({ error: 'File already exists', path: importPaths.markdownPath });
+      }
+      const result = await convertDocumentToMarkdown(req.file.buffer, fileName, {
+        imageDir: importPaths.imageDir,
+        attachmentName: fileName
+      });
+      const saved = await saveSpaceFile(req, importPaths.markdownPath, markdownSpacePath, result.markdown, {
+        create: true,
+        exclusive: true,
+        message: `Imported from ${fileName}`,
+        audit: {
+          action: 'file.upload',
+          details: { imported: fileName, attachmentPath: importPaths.attachmentPath, size: req.file.size }
+        }
+      });
+
+      if (result.images.length > 0) {
+        await filing.ensureDir(getSpaceFilePath(importPaths.imageFolderPath, isReadonly));
+        for (const image of result.images) {
+          const imagePath = path.posix.join(importPaths.imageFolderPath, image.name);
+          await filing.create(getSpaceFilePath(imagePath, isReadonly), image.data);
+        }
+      }
+      await filing.create(fullSpacePath, req.file.buffer);
+
+      return res.json(withPluginWarnings({
+        message: 'Document imported successfully',
+        filePath: importPaths.markdownPath,
+        fileName: path.basename(importPaths.markdownPath),
+        attachmentPath: importPaths.attachmentPath,
+        images: result.images.map(image => path.posix.join(importPaths.imageFolderPath, image.name)),
+        messages: result.messages,
+        size: req.file.size
+      }, [...uploadResult.warnings, ...saved.warnings]));
+    }
+
     // Write file using filing provider
     await filing.create(fullSpacePath, req.file.buffer);
+    indexWrittenFile(req, finalFilePath, req.file.buffer);
+    queueSearchUpdate(req, finalFilePath, req.file.buffer);
+    await recordAudit(req, { action: 'file.upload', path: finalFilePath, after: req.file.buffer, details: { size: req.file.size } });
 
-    res.json({
+    res.json(withPluginWarnings({
       message: 'File uploaded successfully',
       filePath: finalFilePath,
       fileName: fileName,
       size: req.file.size
-    });
+    }, uploadResult.warnings));
   } catch (error) {
+    if (error instanceof SaveRefusedError) {
+      return sendSaveRefused(res, error);
+    }
     console.error('Error uploading file to space:', error);
     res.status(500).json({ error: 'Failed to upload file' });
   }
@@ -632,13 +1009,14 @@ router.get('/:space/content/*', loadFilingProvider, checkSpaceAccess('read'), ca
     // Determine file type and handle accordingly
     const fileType = detectFileType(fileName);
     
-    if (fileType === 'markdown' || fileType === 'text') {
+    if (fileType === 'markdown' || fileType === 'text' || fileType === 'diagram') {
       // Read as text
       const content = await filing.read(fullSpacePath, 'utf8');
       
       // For markdown files, return both full content and clean content
       if (fileType === 'markdown') {
         // Note: You may want to integrate comment parsing here if available
+        const frontMatter = parseFrontMatter(content);
         res.json({
           content,
           cleanContent: content, // Would need comment parser integration
@@ -646,7 +1024,10 @@ router.get('/:space/content/*', loadFilingProvider, checkSpaceAccess('read'), ca
           fileType,
           size: stats.size,
           mtime: stats.mtime,
-          hasComments: false
+          hasComments: false,
+          frontMatter: frontMatter.data,
+          frontMatterError: frontMatter.error,
+          version: setVersionHeader(res, content)
         });
       } else {
         res.json({
@@ -654,7 +1035,8 @@ router.get('/:space/content/*', loadFilingProvider, checkSpaceAccess('read'), ca
           path: filePath,
           fileType,
           size: stats.size,
-          mtime: stats.mtime
+          mtime: stats.mtime,
+          version: setVersionHeader(res, content)
         });
       }
     } else if (fileType === 'image' || fileType === 'pdf') {
@@ -667,16 +1049,20 @@ router.get('/:space/content/*', loadFilingProvider, checkSpaceAccess('read'), ca
         fileType,
         encoding: 'base64',
         size: stats.size,
-        mtime: stats.mtime
+        mtime: stats.mtime,
+        version: setVersionHeader(res, buffer)
       });
     } else {
       // Unknown file type - return file info for download
+      const version = stats.version || computeContentVersion(await filing.read(fullSpacePath));
+      res.set('ETag', toETag(version));
       res.json({
         path: filePath,
         fileType,
         size: stats.size,
         mtime: stats.mtime,
-        downloadable: true
+        downloadable: true,
+        version
       });
     }
   } catch (error) {
@@ -785,9 +1171,13 @@ router.put('/:space/content/*', loadFilingProvider, checkSpaceAccess('write'), i
       }
     }
     
-    await filing.update(fullSpacePath, fileContent);
-    res.json({ message: 'File updated successfully', path: filePath });
+    const saved = await saveSpaceFile(req, filePath, fullSpacePath, fileContent, { ifMatch: req.get('If-Match') });
+    const version = setVersionHeader(res, saved.content);
+    res.json(withPluginWarnings({ message: 'File updated successfully', path: filePath, version }, saved.warnings));
   } catch (error) {
+    if (error instanceof SaveRefusedError) {
+      return sendSaveRefused(res, error);
+    }
     console.error('Error updating file in space:', error);
     res.status(500).json({ error: 'Failed to update file' });
   }
@@ -809,13 +1199,21 @@ router.delete('/:space/content/*', loadFilingProvider, checkSpaceAccess('write')
     const fullSpacePath = getSpaceFilePath(filePath, isReadonly);
     
     const stats = await filing.stat(fullSpacePath);
-    if (stats.isDirectory) {
-      await filing.delete(fullSpacePath);
-      res.json({ message: 'Folder deleted successfully', path: filePath });
-    } else {
-      await filing.delete(fullSpacePath);
-      res.json({ message: 'File deleted successfully', path: filePath });
-    }
+    const previousContent = stats.isDirectory ? null : await readCurrentContent(filing, fullSpacePath);
+    const trashItem = await moveToTrash(req, filePath, fullSpacePath);
+    await recordAudit(req, {
+      action: stats.isDirectory ? 'folder.delete' : 'file.delete',
+      path: filePath,
+      before: previousContent,
+      details: { trashId: trashItem.id }
+    });
+    notifyFileRemoved(req.spaceName, filePath, 'deleted');
+    unindexRemovedPath(req, filePath);
+    res.json({
+      message: `${stats.isDirectory ? 'Folder' : 'File'} moved to trash`,
+      path: filePath,
+      trashId: trashItem.id
+    });
   } catch (error) {
     console.error('Error deleting file/folder in space:', error);
     res.status(500).json({ error: 'Failed to delete file/folder' });
@@ -876,7 +1274,7 @@ router.get('/spaces/git-status', async (req, res) => {
 });
 
 // Resync a specific space (force pull)
-router.post('/:space/resync', loadFilingProvider, checkSpaceAccess('write'), async (req, res) => {
+router.post('/:space/resync', loadFilingProvider, checkSpaceAccess('publish'), async (req, res) => {
   try {
     const filing = req.filing;
     const spaceName = req.params.space;
@@ -893,6 +1291,7 @@ router.post('/:space/resync', loadFilingProvider, checkSpaceAccess('write'), asy
       await filing._handleDivergentBranches('origin');
       filing.lastRemoteSync = new Date().toISOString();
     }
+    await recordAudit(req, { action: 'space.resync', details: { ahead: status.ahead, behind: status.behind } });
 
     res.json({ 
       message: `Space "${spaceName}" resynced successfully`,
@@ -906,7 +1305,7 @@ router.post('/:space/resync', loadFilingProvider, checkSpaceAccess('write'), asy
 });
 
 // Commit changes in a specific space
-router.post('/:space/commit', loadFilingProvider, checkSpaceAccess('write'), async (req, res) => {
+router.post('/:space/commit', loadFilingProvider, checkSpaceAccess('publish'), async (req, res) => {
   try {
     const filing = req.filing;
     const spaceName = req.params.space;
@@ -920,6 +1319,15 @@ router.post('/:space/commit', loadFilingProvider, checkSpaceAccess('write'), asy
       return res.status(400).json({ error: 'Commit message is required' });
     }
 
+    const changedFiles = await filing.getChangedFiles();
+    const blocked = await filing.checkPublishGate();
+    if (blocked.length > 0) {
+      return res.status(409).json({
+        error: `${blocked.length} document(s) need an approved review before publishing.`,
+        blocked
+      });
+    }
+
     // Add all changes and commit
     await filing.git.add('.');
     const commit = await filing.git.commit(message);
@@ -930,6 +1338,8 @@ router.post('/:space/commit', loadFilingProvider, checkSpaceAccess('write'), asy
     } catch (pushError) {
       console.warn('Failed to push, but commit was successful:', pushError.message);
     }
+    await filing.recordPublished(changedFiles, { actor: req.user.username, commit: commit.commit });
+    await recordAudit(req, { action: 'space.commit', details: { message, commit: commit.commit, files: changedFiles } });
 
     res.json({ 
       message: `Changes committed successfully in space "${spaceName}"`,
@@ -943,7 +1353,7 @@ router.post('/:space/commit', loadFilingProvider, checkSpaceAccess('write'), asy
 });
 
 // Force reset a specific space (discard all local changes)
-router.post('/:space/force-reset', loadFilingProvider, checkSpaceAccess('write'), async (req, res) => {
+router.post('/:space/force-reset', loadFilingProvider, checkSpaceAccess('manage'), async (req, res) => {
   try {
     const filing = req.filing;
     const spaceName = req.params.space;
@@ -956,6 +1366,7 @@ router.post('/:space/force-reset', loadFilingProvider, checkSpaceAccess('write')
     await filing.git.fetch();
     await filing.git.reset(['--hard', `origin/${filing.options.branch}`]);
     filing.lastRemoteSync = new Date().toISOString();
+    await recordAudit(req, { action: 'space.force-reset', details: { branch: filing.options.branch } });
 
     res.json({ 
       message: `Space "${spaceName}" force reset successfully`,
@@ -998,4 +1409,12 @@ router.post('/debug/clear-cache/:space?', (req, res) => {
   });
 });
 
-module.exports = { router, loadFilingProvider, checkSpaceAccess, getFilingProviderForSpace, clearFilingProviderCache };
\ No newline at end of file
+module.exports = {
+  router,
+  loadFilingProvider,
+  checkSpaceAccess,
+  getSpaceFilePath,
+  getFilingProviderForSpace,
+  clearFilingProviderCache,
+  getDirectoryTreeForSpace
+};
\ No newline at end of file
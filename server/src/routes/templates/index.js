@@ -7,6 +7,8 @@
  * - Template categorization and metadata
  * - Integration with filing service providers
  * - Support for multiple template formats
+ * - Page and folder scaffold creation with typed variables, conditionals,
+ *   loops and filters (see utils/templateEngine.js)
  * 
  * @author Design Artifacts Team
  * @version 1.0.0
@@ -17,6 +19,17 @@ const express = require('express');
 const path = require('path');
 const EventEmitter = require('events');
 const createFilingService = require('../../services/filing/index.js');
+const { parseFrontMatter } = require('../../utils/frontMatter');
+const { validateAgainstSchema, validateSchemaDefinition } = require('../../utils/schemaValidator');
+const userStorage = require('../../auth/userStorage');
+const { TemplateError } = require('../../utils/templateEngine');
+const {
+  isScaffold,
+  validateTemplateDefinition,
+  resolveTemplateValues,
+  getBuiltinValues,
+  renderTemplateFiles
+} = require('../../utils/templateVariables');
 
 const router = express.Router();
 
@@ -54,55 +67,37 @@ async function ensureContentDir() {
 }
 
 /**
- * Replaces dynamic placeholders in template content with actual values.
- * @param {string} content - The template content containing placeholders
- * @param {Object} context - Context information for placeholder replacement
- * @param {string} context.folder - Target folder path (empty string for root)
- * @param {string} context.filename - Target filename
- * @param {string} context.user - Current authenticated user
- * @return {string} Content with placeholders replaced
+ * Sends 400 when the variables, files or template syntax of a template are
+ * not usable.
+ * @param {Object} template - The template definition from the request body.
+ * @param {Object} res - Express response.
+ * @return {boolean} True when the template can be stored.
  */
-function replacePlaceholders(content, context = {}) {
-  if (!content) return content;
-  
-  const now = new Date();
-  
-  // Format date and time values
-  const datetime = now.toLocaleString('en-US', {
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-  
-  const date = now.toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit'
-  });
-  
-  const dayOfWeek = now.toLocaleDateString('en-US', { weekday: 'long' });
-  
-  // Prepare replacement values
-  const replacements = {
-    '{datetime}': datetime,
-    '{date}': date,
-    '{user}': context.user || 'Unknown User',
-    '{dayofweek}': dayOfWeek,
-    '{folder}': context.folder || '',
-    '{filename}': context.filename || ''
-  };
-  
-  // Replace all placeholders
-  let processedContent = content;
-  for (const [placeholder, value] of Object.entries(replacements)) {
-    processedContent = processedContent.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), value);
+function checkTemplateDefinition(template, res) {
+  const problems = validateTemplateDefinition(template);
+  if (problems.length > 0) {
+    res.status(400).json({error: 'Invalid template', problems});
+    return false;
   }
-  
-  return processedContent;
+  return true;
+}
+
+/**
+ * Sends 400 when a template's front-matter schema is not usable.
+ * @param {*} schema - The schema from the request body; undefined or null for none.
+ * @param {Object} res - Express response.
+ * @return {boolean} True when the schema can be stored.
+ */
+function checkTemplateSchema(schema, res) {
+  if (schema === undefined || schema === null) {
+    return true;
+  }
+  const problems = validateSchemaDefinition(schema);
+  if (problems.length > 0) {
+    res.status(400).json({error: 'Invalid template schema', problems});
+    return false;
+  }
+  return true;
 }
 
 // Get all templates
@@ -147,11 +142,14 @@ router.get('/:templateName', async (req, res) => {
 // Create new template
 router.post('/', async (req, res) => {
   try {
-    const { name, content, description } = req.body;
+    const { name, content, description, variables, files, schema } = req.body;
     
     if (!name) {
       return res.status(400).json({error: 'Template name is required'});
     }
+    if (!checkTemplateSchema(schema, res) || !checkTemplateDefinition({content, variables, files}, res)) {
+      return;
+    }
     
     // Create templates directory if it doesn't exist
     await filing.ensureDir('templates');
@@ -169,6 +167,9 @@ router.post('/', async (req, res) => {
       name,
       content: content || '',
       description: description || '',
+      variables: variables || {},
+      ...(Array.isArray(files) && files.length > 0 ? { files } : {}),
+      ...(schema ? { schema } : {}),
       createdAt: new Date().toISOString()
     };
     
@@ -184,8 +185,12 @@ router.post('/', async (req, res) => {
 router.put('/:templateName', async (req, res) => {
   try {
     const templateName = req.params.templateName;
-    const { name, content, description } = req.body;
+    const { name, content, description, variables, files, schema } = req.body;
     
+    if (!checkTemplateSchema(schema, res) || !checkTemplateDefinition({content, variables, files}, res)) {
+      return;
+    }
+
     const oldTemplateFile = `${templateName.replace('.md', '')}.json`;
     const oldFilePath = `templates/${oldTemplateFile}`;
     
@@ -198,8 +203,25 @@ router.put('/:templateName', async (req, res) => {
       name: name || existingTemplate.name,
       content: content !== undefined ? content : existingTemplate.content,
       description: description !== undefined ? description : existingTemplate.description,
+      variables: variables !== undefined ? variables : existingTemplate.variables,
       updatedAt: new Date().toISOString()
     };
+    if (files !== undefined) {
+      // null or an empty list turns a scaffold back into a single page template
+      if (Array.isArray(files) && files.length > 0) {
+        updatedTemplate.files = files;
+      } else {
+        delete updatedTemplate.files;
+      }
+    }
+    if (schema !== undefined) {
+      // null removes the schema
+      if (schema) {
+        updatedTemplate.schema = schema;
+      } else {
+        delete updatedTemplate.schema;
+      }
+    }
     
     // If name changed, create new file and delete old one
     if (name && name !== templateName) {
@@ -240,19 +262,29 @@ router.delete('/:templateName', async (req, res) => {
   }
 });
 
-// Create file from template with placeholder replacement
+/**
+ * Normalizes a path within the content folder, rejecting paths that leave it.
+ * @param {*} targetPath - Path from the request body.
+ * @return {string|null} The normalized path, or null when it is not valid.
+ */
+function normalizeTargetPath(targetPath) {
+  if (typeof targetPath !== 'string' || !targetPath.trim()) {
+    return null;
+  }
+  const normalized = path.posix.normalize(targetPath.trim().replace(/\\/g, '/')).replace(/^\/+|\/+$/g, '');
+  if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+  return normalized;
+}
+
+// Create a page, or a folder scaffold, from a template. The body gives the
+// target `filePath` (or `folderPath` for a scaffold) and the variable
+// `values`; `customVariables` is still accepted for older clients.
 router.post('/:templateName/create-file', async (req, res) => {
   try {
     const templateName = req.params.templateName;
-    const { filePath, customVariables = {} } = req.body;
-    
-    if (!filePath) {
-      return res.status(400).json({error: 'File path is required'});
-    }
-
-    if (!filePath.endsWith('.md')) {
-      return res.status(400).json({error: 'Only markdown files (.md) are allowed'});
-    }
+    const { filePath, folderPath, values = {}, customVariables = {} } = req.body;
 
     // Load the template
     const templateFile = `${templateName.replace('.md', '')}.json`;
@@ -265,63 +297,84 @@ router.post('/:templateName/create-file', async (req, res) => {
       return res.status(404).json({error: 'Template not found'});
     }
 
-    // Prepare context for placeholder replacement
-    const fileName = path.basename(filePath, '.md');
-    const folderPath = path.dirname(filePath);
-    const folder = folderPath === '.' ? '' : folderPath;
+    const scaffold = isScaffold(templateData);
+    const requestedPath = scaffold ? folderPath || filePath : filePath;
+    if (!requestedPath) {
+      return res.status(400).json({error: scaffold ? 'Folder path is required' : 'File path is required'});
+    }
+    const targetPath = normalizeTargetPath(requestedPath);
+    if (!targetPath) {
+      return res.status(400).json({error: scaffold ? 'Invalid folder path' : 'Invalid file path'});
+    }
+    if (!scaffold && !targetPath.endsWith('.md')) {
+      return res.status(400).json({error: 'Only markdown files (.md) are allowed'});
+    }
+
     const user = req.user ? req.user.username : 'Test User';
-    
-    const context = {
-      folder,
-      filename: fileName,
-      user
-    };
+    const { values: resolvedValues, errors } = await resolveTemplateValues(
+      templateData,
+      { ...customVariables, ...values },
+      { currentUser: req.user && req.user.username, isKnownUser: username => Boolean(userStorage.findUserByUsername(username)) }
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({error: 'Invalid template values', validationErrors: errors});
+    }
 
-    // Replace dynamic placeholders
-    let processedContent = replacePlaceholders(templateData.content || '', context);
+    let files;
+    try {
+      files = renderTemplateFiles(templateData, resolvedValues, getBuiltinValues({ user, targetPath }));
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        return res.status(400).json({error: `Template error: ${error.message}`});
+      }
+      throw error;
+    }
+    files = files.map(file => ({ ...file, path: file.path ? `${targetPath}/${file.path}` : targetPath }));
 
-    // Replace custom template variables if they exist
-    if (templateData.variables || Object.keys(customVariables).length > 0) {
-      const allVariables = { ...templateData.variables, ...customVariables };
-      
-      for (const [key, value] of Object.entries(allVariables)) {
-        const placeholder = `{{${key}}}`;
-        processedContent = processedContent.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), value);
+    // Pages created from a template must satisfy its front-matter schema
+    if (templateData.schema) {
+      const schemaErrors = [];
+      for (const file of files.filter(candidate => candidate.path.endsWith('.md'))) {
+        const frontMatter = parseFrontMatter(file.content);
+        const failures = frontMatter.error
+          ? [{ field: '(root)', message: frontMatter.error }]
+          : validateAgainstSchema(frontMatter.data, templateData.schema).errors;
+        failures.forEach(failure => schemaErrors.push({ source: `template:${templateName}`, path: file.path, ...failure }));
+      }
+      if (schemaErrors.length > 0) {
+        return res.status(422).json({
+          error: 'Front-matter does not match the schema',
+          path: targetPath,
+          validationErrors: schemaErrors
+        });
       }
     }
 
     // Ensure content directory exists
     await ensureContentDir();
-    
-    const fullPath = path.join(contentDir, filePath);
-    
-    if (!fullPath.startsWith(contentDir)) {
-      return res.status(403).json({error: 'Access denied'});
-    }
 
-    // Check if file already exists
-    const markdownFilePath = `markdown/${filePath}`;
-    const fileExists = await filing.exists(markdownFilePath); // Use relative path with markdown prefix
-    if (fileExists) {
-      return res.status(409).json({error: 'File already exists'});
+    for (const file of files) {
+      if (!path.join(contentDir, file.path).startsWith(contentDir)) {
+        return res.status(403).json({error: 'Access denied'});
+      }
+      // Check if file already exists
+      if (await filing.exists(`markdown/${file.path}`)) {
+        return res.status(409).json({error: 'File already exists', path: file.path});
+      }
     }
 
-    // Ensure directory exists
-    await filing.ensureDir(path.dirname(markdownFilePath)); // Use relative path with markdown prefix
-    await filing.create(markdownFilePath, processedContent); // Use relative path with markdown prefix
+    for (const file of files) {
+      const markdownFilePath = `markdown/${file.path}`;
+      await filing.ensureDir(path.dirname(markdownFilePath));
+      await filing.create(markdownFilePath, file.content);
+    }
     
     res.json({
-      message: 'File created from template successfully', 
-      path: filePath,
+      message: scaffold ? 'Folder created from template successfully' : 'File created from template successfully',
+      path: targetPath,
+      files: files.map(file => file.path),
       templateUsed: templateName,
-      placeholdersReplaced: {
-        datetime: true,
-        date: true,
-        user: true,
-        dayofweek: true,
-        folder: folder !== '',
-        filename: true
-      }
+      values: resolvedValues
     });
   } catch (error) {
     console.error('Error creating file from template:', error);
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Trash routes
+ *
+ * Provides the trash of a space, where deleted files and folders are kept
+ * until the retention period ends:
+ * - Listing the items in the trash with their original path, who deleted
+ *   them and when they expire
+ * - Restoring an item to its original path or to a new one
+ * - Purging a single item or emptying the trash
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const express = require('express');
+const path = require('path');
+const { loadFilingProvider, checkSpaceAccess, getSpaceFilePath } = require('../spaces');
+const { invalidateCacheOnWrite } = require('../../../middleware/personalSpaceCache');
+const { indexWrittenFile } = require('../../utils/linkIndex');
+const { queueSearchUpdate } = require('../../utils/searchIndex');
+const { getSpaceKey } = require('../../utils/versionHistory');
+const { recordAudit } = require('../../utils/auditLog');
+const { defaultStore: trash, getRetentionDays } = require('../../utils/trash');
+
+const router = express.Router();
+
+/**
+ * Normalize a path within a space, rejecting paths that leave it
+ * @param {string} itemPath - Path relative to the space
+ * @returns {string|null} The normalized path, or null when it is not valid
+ */
+function normalizeItemPath(itemPath) {
+  if (typeof itemPath !== 'string' || !itemPath.trim()) {
+    return null;
+  }
+  const normalized = path.posix.normalize(itemPath.trim().replace(/\\/g, '/')).replace(/^\/+|\/+$/g, '');
+  if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+  return normalized;
+}
+
+// List the items in the trash of a space
+router.get('/:space/trash', loadFilingProvider, checkSpaceAccess('write'), async (req, res) => {
+  try {
+    const items = await trash.list(getSpaceKey(req.spaceName, req.user));
+    res.json({
+      space: req.spaceName,
+      retentionDays: getRetentionDays(),
+      items
+    });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+// Restore an item from the trash, to its original path unless `path` is given
+router.post('/:space/trash/:id/restore', loadFilingProvider, checkSpaceAccess('write'), invalidateCacheOnWrite(), async (req, res) => {
+  try {
+    const spaceKey = getSpaceKey(req.spaceName, req.user);
+    const item = await trash.get(spaceKey, req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+
+    const targetPath = normalizeItemPath(req.body && req.body.path ? req.body.path : item.path);
+    if (!targetPath) {
+      return res.status(400).json({ error: 'Invalid restore path' });
+    }
+
+    const isReadonly = req.spaceConfig.access === 'readonly';
+    const providerPath = getSpaceFilePath(targetPath, isReadonly);
+    if (await req.filing.exists(providerPath)) {
+      return res.status(409).json({
+        error: `An item already exists at ${targetPath}. Restore it to another path.`,
+        path: targetPath
+      });
+    }
+
+    await trash.restore(spaceKey, item.id, req.filing, providerPath, (relativePath, content) => {
+      const restoredPath = relativePath ? `${targetPath}/${relativePath}` : targetPath;
+      indexWrittenFile(req, restoredPath, content);
+      queueSearchUpdate(req, restoredPath, content);
+    });
+    await recordAudit(req, {
+      action: 'trash.restore',
+      path: targetPath,
+      details: { trashId: item.id, originalPath: item.path, type: item.type }
+    });
+
+    res.json({
+      message: `${item.type === 'folder' ? 'Folder' : 'File'} restored successfully`,
+      path: targetPath,
+      type: item.type
+    });
+  } catch (error) {
+    console.error('Error restoring item from trash:', error);
+    res.status(500).json({ error: 'Failed to restore item' });
+  }
+});
+
+// Purge a single item from the trash
+router.delete('/:space/trash/:id', loadFilingProvider, checkSpaceAccess('write'), async (req, res) => {
+  try {
+    const item = await trash.purge(getSpaceKey(req.spaceName, req.user), req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+    await recordAudit(req, {
+      action: 'trash.purge',
+      path: item.path,
+      details: { trashId: item.id, type: item.type }
+    });
+    res.json({ message: 'Item purged successfully', id: item.id, path: item.path });
+  } catch (error) {
+    console.error('Error purging trash item:', error);
+    res.status(500).json({ error: 'Failed to purge item' });
+  }
+});
+
+// Empty the trash of a space
+router.delete('/:space/trash', loadFilingProvider, checkSpaceAccess('write'), async (req, res) => {
+  try {
+    const purged = await trash.purgeAll(getSpaceKey(req.spaceName, req.user));
+    if (purged > 0) {
+      await recordAudit(req, { action: 'trash.purge', details: { purged } });
+    }
+    res.json({ message: 'Trash emptied successfully', purged });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+module.exports = router;
@@ -17,6 +17,8 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const userStorage = require('../../auth/userStorage');
+const { listAccessibleSpaces } = require('../../utils/spaceRoles');
+const { recordAudit } = require('../../utils/auditLog');
 
 const router = express.Router();
 
@@ -65,11 +67,8 @@ router.get('/spaces', requireAuth, (req, res) => {
     const spacesData = fs.readFileSync(spacesFilePath, 'utf8');
     const allSpaces = JSON.parse(spacesData);
     
-    // Get user's allowed spaces from their profile
-    const userSpaces = req.user.spaces ? req.user.spaces.split(',').map(s => s.trim()) : [];
-    
-    // Filter available spaces to only include those the user has access to
-    const allowedSpaces = allSpaces.filter(space => userSpaces.includes(space.space));
+    // Filter available spaces to those the user has a role in
+    const allowedSpaces = listAccessibleSpaces(req.user, allSpaces);
     
     res.json(allowedSpaces);
   } catch (error) {
@@ -181,6 +180,14 @@ router.put('/settings', requireAuth, async (req, res) => {
 
     // Get updated user data
     const updatedUser = userStorage.findUserById(userId);
+    await recordAudit(req, {
+      action: 'user.settings.update',
+      space: null,
+      path: `users/${userId}`,
+      before: { spaces: currentUser.spaces },
+      after: { spaces: updatedUser.spaces },
+      details: { spaces: updatedUser.spaces, passwordChanged: Boolean(newPassword) }
+    });
     
     // Return updated user data (without password)
     const userResponse = {
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Webhook routes
+ *
+ * Lets space admins manage the outbound webhooks of a shared space:
+ * - Listing, registering, changing and deleting webhooks, and rotating
+ *   their signing secret
+ * - Sending a ping event to check an endpoint
+ * - Reading the delivery log of a webhook and redelivering an event
+ *
+ * The secret of a webhook is only returned when it is registered or rotated.
+ * See utils/webhooks for the events and how deliveries are signed.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const express = require('express');
+const { loadFilingProvider, checkSpaceAccess } = require('../spaces');
+const { recordAudit } = require('../../utils/auditLog');
+const {
+  WEBHOOK_EVENTS,
+  webhookStore,
+  webhookDispatcher,
+  normalizeWebhookInput,
+  checkWebhookHost,
+  generateWebhookSecret,
+  createWebhook,
+  toPublicWebhook,
+  toDeliverySummary
+} = require('../../utils/webhooks');
+
+const router = express.Router();
+
+/**
+ * Reject webhooks for Personal spaces, which are private to each user
+ */
+function rejectPersonalSpace(req, res, next) {
+  if (req.params.space === 'Personal') {
+    return res.status(400).json({ error: 'Personal spaces do not have webhooks' });
+  }
+  next();
+}
+
+/**
+ * Load the webhook named in the URL into req.webhook, if it belongs to the space
+ */
+async function loadWebhook(req, res, next) {
+  try {
+    const webhook = await webhookStore.get(req.params.id);
+    if (!webhook || webhook.space !== req.spaceName) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    console.error('Error loading webhook:', error);
+    res.status(500).json({ error: 'Failed to load webhook' });
+  }
+}
+
+/**
+ * Answer 503 while webhooks are not being delivered, for example before the
+ * server has attached the queueing service
+ */
+function requireDelivery(req, res, next) {
+  if (!webhookDispatcher.queueing) {
+    return res.status(503).json({ error: 'Webhook delivery is not running' });
+  }
+  next();
+}
+
+const spaceAdmin = [rejectPersonalSpace, loadFilingProvider, checkSpaceAccess('manage')];
+
+// List the webhooks of a space and the events they can subscribe to
+router.get('/:space/webhooks', spaceAdmin, async (req, res) => {
+  try {
+    const webhooks = await webhookStore.list(req.spaceName);
+    res.json({
+      space: req.spaceName,
+      events: WEBHOOK_EVENTS,
+      webhooks: webhooks.map(toPublicWebhook)
+    });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+// Register a webhook; the response holds the secret deliveries are signed with
+router.post('/:space/webhooks', spaceAdmin, async (req, res) => {
+  try {
+    const { fields, error } = normalizeWebhookInput(req.body);
+    const hostError = error ? null : await checkWebhookHost(fields.url);
+    if (error || hostError) {
+      return res.status(400).json({ error: error || hostError });
+    }
+
+    const webhook = await webhookStore.add(createWebhook(req.spaceName, fields, req.user.username));
+    await recordAudit(req, {
+      action: 'webhook.create',
+      path: `webhooks/${webhook.id}`,
+      after: toPublicWebhook(webhook),
+      details: { url: webhook.url, events: webhook.events }
+    });
+    res.status(201).json({ ...toPublicWebhook(webhook), secret: webhook.secret });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Get a webhook
+router.get('/:space/webhooks/:id', spaceAdmin, loadWebhook, (req, res) => {
+  res.json(toPublicWebhook(req.webhook));
+});
+
+// Change the URL, events, description or state of a webhook, or rotate its
+// secret with `rotateSecret: true`
+router.put('/:space/webhooks/:id', spaceAdmin, loadWebhook, async (req, res) => {
+  try {
+    const { rotateSecret, ...input } = req.body || {};
+    const { fields, error } = normalizeWebhookInput(input, { partial: true });
+    const hostError = error || !fields.url ? null : await checkWebhookHost(fields.url);
+    if (error || hostError) {
+      return res.status(400).json({ error: error || hostError });
+    }
+    if (rotateSecret && !fields.secret) {
+      fields.secret = generateWebhookSecret();
+    }
+
+    const webhook = await webhookStore.update(req.webhook.id, fields);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await recordAudit(req, {
+      action: 'webhook.update',
+      path: `webhooks/${webhook.id}`,
+      before: toPublicWebhook(req.webhook),
+      after: toPublicWebhook(webhook),
+      details: { changed: Object.keys(fields) }
+    });
+    res.json(fields.secret ? { ...toPublicWebhook(webhook), secret: webhook.secret } : toPublicWebhook(webhook));
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Delete a webhook; queued deliveries are cancelled
+router.delete('/:space/webhooks/:id', spaceAdmin, loadWebhook, async (req, res) => {
+  try {
+    await webhookStore.remove(req.webhook.id);
+    await recordAudit(req, {
+      action: 'webhook.delete',
+      path: `webhooks/${req.webhook.id}`,
+      before: toPublicWebhook(req.webhook),
+      details: { url: req.webhook.url }
+    });
+    res.json({ message: 'Webhook deleted successfully', id: req.webhook.id });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Send a ping event to a webhook
+router.post('/:space/webhooks/:id/ping', spaceAdmin, loadWebhook, requireDelivery, async (req, res) => {
+  try {
+    if (!req.webhook.active) {
+      return res.status(409).json({ error: 'Webhook is disabled' });
+    }
+    const delivery = await webhookDispatcher.ping(req.webhook, { id: String(req.user.id), username: req.user.username });
+    res.status(202).json(toDeliverySummary(delivery));
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({ error: 'Failed to ping webhook' });
+  }
+});
+
+// List the deliveries of a webhook, newest first
+router.get('/:space/webhooks/:id/deliveries', spaceAdmin, loadWebhook, async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const { deliveries, total } = await webhookStore.listDeliveries(
+      { webhookId: req.webhook.id, status: req.query.status, event: req.query.event },
+      { limit, offset }
+    );
+    res.json({ deliveries: deliveries.map(toDeliverySummary), total, limit, offset });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
+});
+
+// Get a delivery with the payload that was sent
+router.get('/:space/webhooks/:id/deliveries/:deliveryId', spaceAdmin, loadWebhook, async (req, res) => {
+  try {
+    const delivery = await webhookStore.getDelivery(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== req.webhook.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error getting webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to get webhook delivery' });
+  }
+});
+
+// Send the payload of a delivery again, as a new delivery
+router.post('/:space/webhooks/:id/deliveries/:deliveryId/redeliver', spaceAdmin, loadWebhook, requireDelivery, async (req, res) => {
+  try {
+    const delivery = await webhookStore.getDelivery(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== req.webhook.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (!req.webhook.active) {
+      return res.status(409).json({ error: 'Webhook is disabled' });
+    }
+    const redelivery = await webhookDispatcher.redeliver(delivery);
+    res.status(202).json(toDeliverySummary(redelivery));
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,44 @@
 /**
  * @fileoverview FTP filing provider.
+ *
+ * Keeps files below a root folder of an FTP server. The connection is opened
+ * on the first operation and closed again after a period without operations,
+ * so idle spaces do not hold server connections.
  */
 
 const Client = require('ftp');
 const path = require('path');
 
+/** Milliseconds without operations before the connection is closed */
+const DEFAULT_IDLE_TIMEOUT = 30000;
+
+/** FTP reply code for a missing file or folder */
+const FILE_UNAVAILABLE = 550;
+
 class FtpFilingProvider {
+  /**
+   * Creates the provider; it connects on the first operation.
+   * @param {Object} options The connection options.
+   * @param {string} options.host The FTP server host name.
+   * @param {number} [options.port=21] The FTP server port.
+   * @param {string} [options.user] The user name, anonymous when not set.
+   * @param {string} [options.password] The password.
+   * @param {boolean|string} [options.secure=false] true or 'control' for FTPS.
+   * @param {string} [options.rootPath='/'] Folder of the server that holds the files.
+   * @param {number} [options.idleTimeout=30000] Milliseconds before an idle connection closes.
+   * @param {string|Object} [options.connectionString] An ftp:// URL or node-ftp
+   *     connection options, accepted in place of the separate fields.
+   */
   constructor(options, eventEmitter) {
-    this.connectionString = options.connectionString;
+    this.options = options || {};
+    this.connectionOptions = this._getConnectionOptions(this.options);
+    this.connectionString = `ftp://${this.connectionOptions.host}:${this.connectionOptions.port}`;
+    this.rootPath = path.posix.resolve('/', this.options.rootPath || this.connectionOptions.rootPath || '/');
+    this.idleTimeout = this.options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
     this.client = new Client();
     this.isConnected = false;
+    this.connecting_ = null;
+    this.idleTimer_ = null;
     this.eventEmitter_ = eventEmitter;
 
     this.client.on('ready', () => {
@@ -28,6 +57,10 @@ class FtpFilingProvider {
         });
     });
 
+    this.client.on('close', () => {
+      this.isConnected = false;
+    });
+
     this.client.on('error', (err) => {
       console.error('FTP Client Error:', err);
       this.isConnected = false;
@@ -39,133 +72,264 @@ class FtpFilingProvider {
     });
   }
 
+  /**
+   * Reads node-ftp connection options from the provider options.
+   */
+  _getConnectionOptions(options) {
+    let fromString = {};
+    if (options.connectionString && typeof options.connectionString === 'object') {
+      fromString = options.connectionString;
+    } else if (options.connectionString) {
+      const url = new URL(options.connectionString);
+      fromString = {
+        host: url.hostname,
+        port: url.port ? parseInt(url.port, 10) : undefined,
+        user: url.username ? decodeURIComponent(url.username) : undefined,
+        password: url.password ? decodeURIComponent(url.password) : undefined,
+        secure: url.protocol === 'ftps:',
+        rootPath: url.pathname && url.pathname !== '/' ? decodeURIComponent(url.pathname) : undefined,
+      };
+    }
+
+    const host = options.host || fromString.host;
+    if (!host) {
+      throw new Error('FtpFilingProvider requires host or connectionString in options.');
+    }
+    return {
+      host,
+      port: parseInt(options.port || fromString.port, 10) || 21,
+      user: options.user || fromString.user || 'anonymous',
+      password: options.password || fromString.password || 'anonymous@',
+      secure: options.secure !== undefined ? options.secure : Boolean(fromString.secure),
+      rootPath: fromString.rootPath,
+    };
+  }
+
+  /**
+   * Maps a file path to its absolute path on the server, below the root folder.
+   */
+  _resolvePath(filePath) {
+    const normalized = path.posix.normalize(`/${filePath || ''}`);
+    return path.posix.join(this.rootPath, normalized).replace(/(.)\/+$/, '$1');
+  }
+
+  _isNotFound(error) {
+    return error && (error.code === FILE_UNAVAILABLE || error.code === 450);
+  }
+
   async connect() {
     if (this.isConnected) {
       return Promise.resolve();
     }
-    return new Promise((resolve, reject) => {
-      this.client.connect(this.connectionString);
-      this.client.once('ready', () => {
-        this.isConnected = true;
-        resolve();
+    if (!this.connecting_) {
+      this.connecting_ = new Promise((resolve, reject) => {
+        const onReady = () => {
+          this.client.removeListener('error', onError);
+          this.isConnected = true;
+          resolve();
+        };
+        const onError = (err) => {
+          this.client.removeListener('ready', onReady);
+          reject(err);
+        };
+        this.client.once('ready', onReady);
+        this.client.once('error', onError);
+        this.client.connect({
+          host: this.connectionOptions.host,
+          port: this.connectionOptions.port,
+          user: this.connectionOptions.user,
+          password: this.connectionOptions.password,
+          secure: this.connectionOptions.secure,
+        });
+      }).finally(() => {
+        this.connecting_ = null;
       });
-      this.client.once('error', reject);
-    });
+    }
+    return this.connecting_;
   }
 
   async disconnect() {
+    clearTimeout(this.idleTimer_);
     if (this.isConnected) {
       this.client.end();
     }
   }
 
-  async create(filePath, content) {
+  /**
+   * Runs an operation on a connected client and restarts the idle timer.
+   * @param {Function} operation - Called with the node-ftp client; returns a promise.
+   */
+  async _run(operation) {
+    clearTimeout(this.idleTimer_);
     await this.connect();
-    return new Promise((resolve, reject) => {
-      this.client.put(Buffer.from(content), filePath, (err) => {
-        if (err) {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:create:error', {
-              filePath,
-              error: err.message,
-            });
-          return reject(err);
-        }
-        if (this.eventEmitter_)
-          this.eventEmitter_.emit('filing:create', { filePath, content });
-        resolve();
-      });
-    });
+    try {
+      return await operation(this.client);
+    } finally {
+      clearTimeout(this.idleTimer_);
+      this.idleTimer_ = setTimeout(() => this.disconnect(), this.idleTimeout);
+      if (this.idleTimer_.unref) this.idleTimer_.unref();
+    }
   }
 
-  async read(filePath) {
-    await this.connect();
-    return new Promise((resolve, reject) => {
-      let data = '';
-      this.client.get(filePath, (err, stream) => {
-        if (err) {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:read:error', {
-              filePath,
-              error: err.message,
-            });
-          return reject(err);
-        }
-        stream.on('data', (chunk) => (data += chunk.toString()));
-        stream.on('end', () => {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:read', { filePath, content: data });
-          resolve(data);
+  /**
+   * Calls a callback-style node-ftp method as a promise.
+   */
+  _call(method, ...args) {
+    return this._run(client => new Promise((resolve, reject) => {
+      client[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+    }));
+  }
+
+  async _listRaw(absolutePath) {
+    const list = await this._call('list', absolutePath);
+    return (list || []).filter(item => item.name !== '.' && item.name !== '..');
+  }
+
+  /**
+   * Finds the listing entry of a path in its parent folder, or null.
+   */
+  async _findEntry(filePath) {
+    const absolutePath = this._resolvePath(filePath);
+    if (absolutePath === this.rootPath) {
+      return { name: '', type: 'd', size: 0, date: null, rights: null };
+    }
+    try {
+      const list = await this._listRaw(path.posix.dirname(absolutePath));
+      return list.find(item => item.name === path.posix.basename(absolutePath)) || null;
+    } catch (err) {
+      if (this._isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  _toStats(item) {
+    return {
+      size: item.size,
+      isFile: item.type === '-',
+      isDirectory: item.type === 'd',
+      mtime: item.date,
+      ctime: item.date,
+      atime: item.date,
+      mode: item.rights ? parseInt([item.rights.user, item.rights.group, item.rights.other]
+        .map(rights => (rights.includes('r') ? 4 : 0) + (rights.includes('w') ? 2 : 0) + (rights.includes('x') ? 1 : 0))
+        .join(''), 8) : null,
+      version: null,
+      isDraft: false
+    };
+  }
+
+  async _put(filePath, content) {
+    const absolutePath = this._resolvePath(filePath);
+    const parent = path.posix.dirname(absolutePath);
+    if (parent !== this.rootPath) {
+      await this._call('mkdir', parent, true);
+    }
+    await this._call('put', Buffer.isBuffer(content) ? content : Buffer.from(content), absolutePath);
+  }
+
+  async create(filePath, content) {
+    try {
+      await this._put(filePath, content);
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:create', { filePath, content, isDraft: false });
+    } catch (err) {
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:create:error', {
+          filePath,
+          error: err.message,
         });
-        stream.on('error', (err) => {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:read:error', {
-              filePath,
-              error: err.message,
-            });
-          reject(err);
+      throw err;
+    }
+  }
+
+  async read(filePath, encoding) {
+    try {
+      const content = await this._run(client => new Promise((resolve, reject) => {
+        client.get(this._resolvePath(filePath), (err, stream) => {
+          if (err) {
+            return reject(err);
+          }
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('end', () => {
+            const bytes = Buffer.concat(chunks);
+            resolve(encoding ? bytes.toString(encoding) : bytes);
+          });
+          stream.on('error', reject);
         });
-      });
-    });
+      }));
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:read', { filePath, content, isDraft: false });
+      return content;
+    } catch (err) {
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:read:error', {
+          filePath,
+          error: err.message,
+        });
+      // Servers differ in the reply code for a missing file, so check for it
+      if (this._isNotFound(err) || (typeof err.code === 'number' && !(await this._findEntry(filePath)))) {
+        const notFound = new Error(`ENOENT: no such file, open '${filePath}'`);
+        notFound.code = 'ENOENT';
+        throw notFound;
+      }
+      throw err;
+    }
   }
 
+  /**
+   * Deletes a file, or a folder with everything in it.
+   */
   async delete(filePath) {
-    await this.connect();
-    return new Promise((resolve, reject) => {
-      this.client.delete(filePath, (err) => {
-        if (err) {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:delete:error', {
-              filePath,
-              error: err.message,
-            });
-          return reject(err);
-        }
-        if (this.eventEmitter_)
-          this.eventEmitter_.emit('filing:delete', { filePath });
-        resolve();
-      });
-    });
+    try {
+      const entry = await this._findEntry(filePath);
+      if (entry && entry.type === 'd') {
+        await this._call('rmdir', this._resolvePath(filePath), true);
+      } else {
+        await this._call('delete', this._resolvePath(filePath));
+      }
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:delete', { filePath, isDraft: false });
+    } catch (err) {
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:delete:error', {
+          filePath,
+          error: err.message,
+        });
+      throw err;
+    }
   }
 
   async list(dirPath) {
-    await this.connect();
-    return new Promise((resolve, reject) => {
-      this.client.list(dirPath, (err, list) => {
-        if (err) {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:list:error', {
-              dirPath,
-              error: err.message,
-            });
-          return reject(err);
-        }
-        const files = list.map((item) => item.name);
-        if (this.eventEmitter_)
-          this.eventEmitter_.emit('filing:list', { dirPath, files });
-        resolve(files);
-      });
-    });
+    try {
+      const files = (await this.listDetailed(dirPath)).map(item => item.name);
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:list', { dirPath, files });
+      return files;
+    } catch (err) {
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:list:error', {
+          dirPath,
+          error: err.message,
+        });
+      throw err;
+    }
   }
 
   async update(filePath, content) {
     // For FTP, update is essentially create (put) as it overwrites if exists
-    await this.connect();
-    return new Promise((resolve, reject) => {
-      this.client.put(Buffer.from(content), filePath, (err) => {
-        if (err) {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:update:error', {
-              filePath,
-              error: err.message,
-            });
-          return reject(err);
-        }
-        if (this.eventEmitter_)
-          this.eventEmitter_.emit('filing:update', { filePath, content });
-        resolve();
-      });
-    });
+    try {
+      await this._put(filePath, content);
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:update', { filePath, content, isDraft: false });
+    } catch (err) {
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:update:error', {
+          filePath,
+          error: err.message,
+        });
+      throw err;
+    }
   }
 
   async upload(filePath, content) {
@@ -181,108 +345,87 @@ class FtpFilingProvider {
   }
 
   async exists(filePath) {
-    await this.connect();
-    return new Promise((resolve, reject) => {
-      this.client.list(path.dirname(filePath), (err, list) => {
-        if (err) {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:exists', { filePath, exists: false });
-          resolve(false);
-          return;
-        }
-        const fileName = path.basename(filePath);
-        const exists = list.some(item => item.name === fileName);
-        if (this.eventEmitter_)
-          this.eventEmitter_.emit('filing:exists', { filePath, exists });
-        resolve(exists);
-      });
-    });
+    let exists = false;
+    try {
+      exists = Boolean(await this._findEntry(filePath));
+    } catch (err) {
+      exists = false;
+    }
+    if (this.eventEmitter_)
+      this.eventEmitter_.emit('filing:exists', { filePath, exists, isDraft: false });
+    return exists;
   }
 
   async mkdir(dirPath, options = { recursive: true }) {
-    await this.connect();
-    return new Promise((resolve, reject) => {
-      this.client.mkdir(dirPath, options.recursive, (err) => {
-        if (err) {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:mkdir:error', {
-              dirPath,
-              error: err.message,
-            });
-          return reject(err);
-        }
-        if (this.eventEmitter_)
-          this.eventEmitter_.emit('filing:mkdir', { dirPath, options });
-        resolve();
-      });
-    });
+    try {
+      await this._call('mkdir', this._resolvePath(dirPath), options.recursive !== false);
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:mkdir', { dirPath, options });
+    } catch (err) {
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:mkdir:error', {
+          dirPath,
+          error: err.message,
+        });
+      throw err;
+    }
   }
 
   async copy(sourcePath, destPath) {
     // FTP doesn't support direct copy, so read and write
-    const content = await this.read(sourcePath);
-    await this.create(destPath, content);
+    const entry = await this._findEntry(sourcePath);
+    if (entry && entry.type === 'd') {
+      await this.mkdir(destPath);
+      for (const item of await this.listDetailed(sourcePath)) {
+        await this.copy(path.posix.join(sourcePath, item.name), path.posix.join(destPath, item.name));
+      }
+    } else {
+      await this._put(destPath, await this.read(sourcePath));
+    }
     if (this.eventEmitter_)
-      this.eventEmitter_.emit('filing:copy', { sourcePath, destPath });
+      this.eventEmitter_.emit('filing:copy', { sourcePath, destPath, isDraft: false });
   }
 
   async move(sourcePath, destPath) {
-    await this.connect();
-    return new Promise((resolve, reject) => {
-      this.client.rename(sourcePath, destPath, (err) => {
-        if (err) {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:move:error', {
-              sourcePath,
-              destPath,
-              error: err.message,
-            });
-          return reject(err);
-        }
-        if (this.eventEmitter_)
-          this.eventEmitter_.emit('filing:move', { sourcePath, destPath });
-        resolve();
-      });
-    });
+    try {
+      const destination = this._resolvePath(destPath);
+      if (path.posix.dirname(destination) !== this.rootPath) {
+        await this._call('mkdir', path.posix.dirname(destination), true);
+      }
+      await this._call('rename', this._resolvePath(sourcePath), destination);
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:move', { sourcePath, destPath, isDraft: false });
+    } catch (err) {
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:move:error', {
+          sourcePath,
+          destPath,
+          error: err.message,
+        });
+      throw err;
+    }
   }
 
   async stat(filePath) {
-    await this.connect();
-    return new Promise((resolve, reject) => {
-      this.client.list(path.dirname(filePath), (err, list) => {
-        if (err) {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:stat:error', {
-              filePath,
-              error: err.message,
-            });
-          return reject(err);
-        }
-        const fileName = path.basename(filePath);
-        const item = list.find(item => item.name === fileName);
-        if (!item) {
-          const error = new Error('File not found');
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:stat:error', {
-              filePath,
-              error: error.message,
-            });
-          return reject(error);
-        }
-        const result = {
-          size: item.size,
-          isFile: item.type === '-',
-          isDirectory: item.type === 'd',
-          mtime: item.date,
-          ctime: item.date,
-          atime: item.date,
-          mode: parseInt(item.rights, 8)
-        };
-        if (this.eventEmitter_)
-          this.eventEmitter_.emit('filing:stat', { filePath, stats: result });
-        resolve(result);
-      });
-    });
+    try {
+      const item = await this._findEntry(filePath);
+      if (!item) {
+        const error = new Error(`ENOENT: no such file or directory, stat '${filePath}'`);
+        error.code = 'ENOENT';
+        throw error;
+      }
+      const result = this._toStats(item);
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:stat', { filePath, stats: result });
+      return result;
+    } catch (err) {
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:stat:error', {
+          filePath,
+          error: err.message,
+        });
+      throw err;
+    }
   }
 
   async readdir(dirPath) {
@@ -290,33 +433,32 @@ class FtpFilingProvider {
   }
 
   async listDetailed(dirPath) {
-    await this.connect();
-    return new Promise((resolve, reject) => {
-      this.client.list(dirPath, (err, list) => {
-        if (err) {
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('filing:listDetailed:error', {
-              dirPath,
-              error: err.message,
-            });
-          return reject(err);
-        }
-        const detailed = list.map((item) => ({
-          name: item.name,
-          path: path.join(dirPath, item.name),
-          size: item.size,
-          isFile: item.type === '-',
-          isDirectory: item.type === 'd',
-          mtime: item.date,
-          ctime: item.date,
-          atime: item.date,
-          mode: parseInt(item.rights, 8)
-        }));
-        if (this.eventEmitter_)
-          this.eventEmitter_.emit('filing:listDetailed', { dirPath, files: detailed });
-        resolve(detailed);
-      });
-    });
+    try {
+      let list;
+      try {
+        list = await this._listRaw(this._resolvePath(dirPath));
+      } catch (err) {
+        // Like the local provider, a missing folder lists as empty. Servers
+        // answer that with different codes, so check the folder itself.
+        if (!this._isNotFound(err) && await this._findEntry(dirPath)) throw err;
+        list = [];
+      }
+      const detailed = list.map(item => ({
+        name: item.name,
+        path: path.posix.join(dirPath || '', item.name),
+        ...this._toStats(item)
+      }));
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:listDetailed', { dirPath, files: detailed });
+      return detailed;
+    } catch (err) {
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('filing:listDetailed:error', {
+          dirPath,
+          error: err.message,
+        });
+      throw err;
+    }
   }
 
   async ensureDir(dirPath) {
@@ -335,6 +477,45 @@ class FtpFilingProvider {
   async unlink(filePath) {
     return this.delete(filePath);
   }
+
+  // Git-specific methods for compatibility (FTP has no drafts)
+  async getDraftFiles() {
+    return [];
+  }
+
+  async publish(message) {
+    if (this.eventEmitter_) {
+      this.eventEmitter_.emit('filing:publish', {
+        message,
+        provider: 'ftp',
+        result: 'Files are automatically saved - no publishing required'
+      });
+    }
+    return {
+      message: 'FTP provider does not require publishing - files are automatically saved',
+      success: true
+    };
+  }
+
+  async commit(message = 'Auto-commit from filing provider') {
+    return this.publish(message);
+  }
+
+  async discardDrafts() {
+    return {
+      message: 'FTP provider has no drafts to discard - all files are automatically saved',
+      success: true
+    };
+  }
+
+  async cleanup() {
+    await this.disconnect();
+  }
+
+  destroy() {
+    clearTimeout(this.idleTimer_);
+    this.client.destroy();
+  }
 }
 
 module.exports = FtpFilingProvider;
@@ -3,6 +3,7 @@ const simpleGit = require('simple-git');
 const fs = require('fs-extra');
 const fsPromises = require('fs').promises;
 const path = require('path');
+const { computeFileVersion } = require('../../../utils/contentVersion');
 
 class FilingGitProvider {
   constructor(options, eventEmitter) {
@@ -13,6 +14,7 @@ class FilingGitProvider {
     this.eventEmitter_ = eventEmitter;
     this.draftFiles = new Set(); // Track files that are local drafts
     this.lastRemoteSync = null; // Track last time we pulled remote changes
+    this.publishGate_ = null; // Decides which changes may be published, see setPublishGate
 
     if (!this.options.repo || !this.options.localPath || !this.options.branch) {
       throw new Error('Git provider requires repo, localPath, and branch options.');
@@ -295,10 +297,70 @@ class FilingGitProvider {
     return files;
   }
 
-  async publish(comment) {
+  /**
+   * Sets the gate that decides whether changes may be published. The gate's
+   * `check(changedFiles)` returns the files blocking the publish, and
+   * `published(changedFiles, details)` is called after a successful push.
+   * @param {{check: Function, published: Function}|null} gate - The publish gate.
+   */
+  setPublishGate(gate) {
+    this.publishGate_ = gate;
+  }
+
+  /**
+   * Lists the paths with uncommitted changes, relative to the repository.
+   * @return {Promise<Array<string>>} The changed paths.
+   */
+  async getChangedFiles() {
+    await this._ensureGitReady();
+    const status = await this.git.status();
+    return status.files.map(file => file.path);
+  }
+
+  /**
+   * Checks the changed files against the publish gate.
+   * @return {Promise<Array<Object>>} The files blocking a publish; empty when allowed.
+   */
+  async checkPublishGate() {
+    if (!this.publishGate_) {
+      return [];
+    }
+    return this.publishGate_.check(await this.getChangedFiles());
+  }
+
+  /**
+   * Tells the publish gate which files were pushed. The push already
+   * succeeded, so failures are logged rather than thrown.
+   * @param {Array<string>} changedFiles - The published paths.
+   * @param {{actor: string, commit: string}} details - Who published, and the commit.
+   */
+  async recordPublished(changedFiles, details) {
+    if (!this.publishGate_) {
+      return;
+    }
+    try {
+      await this.publishGate_.published(changedFiles, details);
+    } catch (error) {
+      console.error('Failed to record published reviews:', error);
+    }
+  }
+
+  async publish(comment, details = {}) {
     if (!comment) {
       throw new Error('A comment is required to publish changes.');
     }
+
+    const changedFiles = this.publishGate_ ? await this.getChangedFiles() : [];
+    if (this.publishGate_) {
+      const blocked = await this.publishGate_.check(changedFiles);
+      if (blocked.length > 0) {
+        const error = new Error(`${blocked.length} document(s) need an approved review before publishing.`);
+        error.code = 'REVIEW_REQUIRED';
+        error.blocked = blocked;
+        throw error;
+      }
+    }
+
     try {
       await this._ensureGitReady();
       
@@ -326,6 +388,8 @@ class FilingGitProvider {
         });
       }
       
+      await this.recordPublished(changedFiles, { actor: details.actor, commit: commitSummary.commit });
+      
       return { commit: commitSummary };
     } catch (error) {
       if (this.eventEmitter_) {
@@ -408,6 +472,7 @@ class FilingGitProvider {
       ctime: stats.ctime,
       atime: stats.atime,
       mode: stats.mode,
+      version: stats.isFile() ? await computeFileVersion(absolutePath, stats) : null,
       isDraft: this._isDraft(filePath)
     };
     if (this.eventEmitter_) {
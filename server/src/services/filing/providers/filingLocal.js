@@ -5,6 +5,7 @@
 const fs = require('fs-extra');
 const fsPromises = require('fs').promises;
 const path = require('path');
+const { computeFileVersion } = require('../../../utils/contentVersion');
 const { promisify } = require('util');
 
 // Promisify fs-extra methods for old version compatibility
@@ -277,7 +278,8 @@ Happy documenting! 📝
       mtime: stats.mtime,
       ctime: stats.ctime,
       atime: stats.atime,
-      mode: stats.mode
+      mode: stats.mode,
+      version: stats.isFile() ? await computeFileVersion(absolutePath, stats) : null
     };
     const resultWithDraft = { ...result, isDraft: false };
     if (this.eventEmitter_)
@@ -1,18 +1,43 @@
 /**
  * @fileoverview AWS S3 filing provider.
+ *
+ * Stores files as objects of a bucket, optionally under a key prefix, so one
+ * bucket can hold several spaces. Works with AWS S3 and S3-compatible object
+ * storage such as MinIO through a custom endpoint with path-style addressing.
+ *
+ * S3 has no directories: a folder exists when an object has a key below it.
+ * `mkdir` writes an empty `folder/` marker object so empty folders show up in
+ * listings, and deleting or moving a folder applies to every object below it.
  */
 
-const AWS = require('@aws-sdk/client-s3');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  CopyObjectCommand,
+} = require('@aws-sdk/client-s3');
 const path = require('path');
 
+/** Maximum number of keys S3 deletes in one request */
+const MAX_DELETE_BATCH = 1000;
+
 class S3FilingProvider {
   /**
    * Initializes the S3 client.
    * @param {Object} options The options for the S3 client.
    * @param {string} options.bucketName The name of the S3 bucket.
    * @param {string} options.region The AWS region.
+   * @param {string} [options.prefix] Key prefix of the files, e.g. 'spaces/shared/'.
+   * @param {string} [options.endpoint] Endpoint of S3-compatible storage, e.g. 'http://localhost:9000'.
+   * @param {boolean} [options.forcePathStyle] Address the bucket in the path instead of the host
+   *     name, as MinIO needs. Defaults to true when an endpoint is set.
    * @param {string} [options.accessKeyId] The AWS access key ID. (Optional, will use environment variables if not provided)
    * @param {string} [options.secretAccessKey] The AWS secret access key. (Optional, will use environment variables if not provided)
+   * @param {S3Client} [options.client] A ready S3 client to use instead of creating one.
    */
   constructor(options, eventEmitter) {
     if (!options || !options.bucketName || !options.region) {
@@ -22,31 +47,94 @@ class S3FilingProvider {
     }
 
     this.bucketName = options.bucketName;
-    AWS.config.update({
+    const prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+    this.prefix = prefix ? `${prefix}/` : '';
+    this.s3 = options.client || new S3Client({
       region: options.region,
-      accessKeyId: options.accessKeyId,
-      secretAccessKey: options.secretAccessKey,
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: options.forcePathStyle !== undefined ? Boolean(options.forcePathStyle) : Boolean(options.endpoint),
+      credentials: options.accessKeyId && options.secretAccessKey
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined,
     });
-    this.s3 = new AWS.S3();
     this.eventEmitter_ = eventEmitter;
   }
 
+  /**
+   * Maps a file path to its object key.
+   * @param {string} filePath - The path relative to the root of the provider.
+   * @returns {string} The object key.
+   */
+  _toKey(filePath) {
+    const normalized = path.posix.normalize(`/${filePath || ''}`).replace(/^\/+|\/+$/g, '');
+    return `${this.prefix}${normalized}`;
+  }
+
+  /**
+   * Maps a file path to the key prefix of the objects inside it, as a folder.
+   */
+  _toFolderPrefix(filePath) {
+    const key = this._toKey(filePath);
+    return key && !key.endsWith('/') ? `${key}/` : key;
+  }
+
+  _isNotFound(error) {
+    return error && (error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+      (error.$metadata && error.$metadata.httpStatusCode === 404));
+  }
+
+  /**
+   * Lists the objects below a key prefix, following continuation tokens.
+   * @param {string} prefix - The key prefix.
+   * @param {string} [delimiter] - '/' to list one folder level only.
+   * @returns {Promise<{objects: Array<Object>, folders: Array<string>}>}
+   */
+  async _listObjects(prefix, delimiter) {
+    const objects = [];
+    const folders = [];
+    let continuationToken;
+    do {
+      const data = await this.s3.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        Delimiter: delimiter,
+        ContinuationToken: continuationToken,
+      }));
+      objects.push(...(data.Contents || []));
+      folders.push(...(data.CommonPrefixes || []).map((item) => item.Prefix));
+      continuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return { objects, folders };
+  }
+
+  async _folderExists(filePath) {
+    const data = await this.s3.send(new ListObjectsV2Command({
+      Bucket: this.bucketName,
+      Prefix: this._toFolderPrefix(filePath),
+      MaxKeys: 1,
+    }));
+    return (data.KeyCount || (data.Contents || []).length) > 0;
+  }
+
+  async _putObject(filePath, content) {
+    await this.s3.send(new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: this._toKey(filePath),
+      Body: content,
+    }));
+  }
+
   /**
    * Uploads a file to S3.
    * @param {string} filePath - The path to the file in the bucket (key).
-   * @param {string} content - The content of the file.
+   * @param {string|Buffer} content - The content of the file.
    * @returns {Promise<void>}
    */
   async create(filePath, content) {
-    const params = {
-      Bucket: this.bucketName,
-      Key: filePath,
-      Body: content,
-    };
     try {
-      await this.s3.upload(params).promise();
+      await this._putObject(filePath, content);
       if (this.eventEmitter_)
-        this.eventEmitter_.emit('filing:create', { filePath, content });
+        this.eventEmitter_.emit('filing:create', { filePath, content, isDraft: false });
     } catch (error) {
       if (this.eventEmitter_)
         this.eventEmitter_.emit('filing:create:error', {
@@ -60,18 +148,19 @@ class S3FilingProvider {
   /**
    * Downloads a file from S3.
    * @param {string} filePath - The path to the file in the bucket (key).
-   * @returns {Promise<string>}
+   * @param {string} [encoding] - Encoding of the content; a Buffer is returned without one.
+   * @returns {Promise<string|Buffer>}
    */
-  async read(filePath) {
-    const params = {
-      Bucket: this.bucketName,
-      Key: filePath,
-    };
+  async read(filePath, encoding) {
     try {
-      const data = await this.s3.getObject(params).promise();
-      const content = data.Body.toString('utf-8');
+      const data = await this.s3.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: this._toKey(filePath),
+      }));
+      const bytes = Buffer.from(await data.Body.transformToByteArray());
+      const content = encoding ? bytes.toString(encoding) : bytes;
       if (this.eventEmitter_)
-        this.eventEmitter_.emit('filing:read', { filePath, content });
+        this.eventEmitter_.emit('filing:read', { filePath, content, isDraft: false });
       return content;
     } catch (error) {
       if (this.eventEmitter_)
@@ -79,24 +168,36 @@ class S3FilingProvider {
           filePath,
           error: error.message,
         });
+      if (this._isNotFound(error)) {
+        const notFound = new Error(`ENOENT: no such file, open '${filePath}'`);
+        notFound.code = 'ENOENT';
+        throw notFound;
+      }
       throw error;
     }
   }
 
   /**
-   * Deletes a file from S3.
+   * Deletes a file from S3, or a folder with every object below it.
    * @param {string} filePath - The path to the file in the bucket (key).
    * @returns {Promise<void>}
    */
   async delete(filePath) {
-    const params = {
-      Bucket: this.bucketName,
-      Key: filePath,
-    };
     try {
-      await this.s3.deleteObject(params).promise();
+      const { objects } = await this._listObjects(this._toFolderPrefix(filePath));
+      const keys = objects.map((item) => item.Key);
+      for (let i = 0; i < keys.length; i += MAX_DELETE_BATCH) {
+        await this.s3.send(new DeleteObjectsCommand({
+          Bucket: this.bucketName,
+          Delete: { Objects: keys.slice(i, i + MAX_DELETE_BATCH).map((Key) => ({ Key })), Quiet: true },
+        }));
+      }
+      await this.s3.send(new DeleteObjectCommand({
+        Bucket: this.bucketName,
+        Key: this._toKey(filePath),
+      }));
       if (this.eventEmitter_)
-        this.eventEmitter_.emit('filing:delete', { filePath });
+        this.eventEmitter_.emit('filing:delete', { filePath, isDraft: false });
     } catch (error) {
       if (this.eventEmitter_)
         this.eventEmitter_.emit('filing:delete:error', {
@@ -108,18 +209,13 @@ class S3FilingProvider {
   }
 
   /**
-   * Lists files in a specified "directory" (prefix) in S3.
-   * @param {string} dirPath - The prefix to list objects under.
+   * Lists the names of the files and folders in a folder.
+   * @param {string} dirPath - The folder to list.
    * @returns {Promise<Array<string>>}
    */
   async list(dirPath) {
-    const params = {
-      Bucket: this.bucketName,
-      Prefix: dirPath,
-    };
     try {
-      const data = await this.s3.listObjectsV2(params).promise();
-      const files = data.Contents ? data.Contents.map((item) => item.Key) : [];
+      const files = (await this.listDetailed(dirPath)).map((item) => item.name);
       if (this.eventEmitter_)
         this.eventEmitter_.emit('filing:list', { dirPath, files });
       return files;
@@ -136,20 +232,14 @@ class S3FilingProvider {
   /**
    * Updates a file in S3 (same as create, as S3 overwrites).
    * @param {string} filePath - The path to the file in the bucket (key).
-   * @param {string} content - The new content of the file.
+   * @param {string|Buffer} content - The new content of the file.
    * @returns {Promise<void>}
    */
   async update(filePath, content) {
-    // For S3, update is essentially create (put) as it overwrites if exists
-    const params = {
-      Bucket: this.bucketName,
-      Key: filePath,
-      Body: content,
-    };
     try {
-      await this.s3.upload(params).promise();
+      await this._putObject(filePath, content);
       if (this.eventEmitter_)
-        this.eventEmitter_.emit('filing:update', { filePath, content });
+        this.eventEmitter_.emit('filing:update', { filePath, content, isDraft: false });
     } catch (error) {
       if (this.eventEmitter_)
         this.eventEmitter_.emit('filing:update:error', {
@@ -173,31 +263,32 @@ class S3FilingProvider {
   }
 
   async exists(filePath) {
+    let exists = false;
     try {
-      const params = {
+      await this.s3.send(new HeadObjectCommand({
         Bucket: this.bucketName,
-        Key: filePath,
-      };
-      await this.s3.headObject(params).promise();
-      if (this.eventEmitter_)
-        this.eventEmitter_.emit('filing:exists', { filePath, exists: true });
-      return true;
+        Key: this._toKey(filePath),
+      }));
+      exists = true;
     } catch (error) {
-      if (this.eventEmitter_)
-        this.eventEmitter_.emit('filing:exists', { filePath, exists: false });
-      return false;
+      if (!this._isNotFound(error)) {
+        throw error;
+      }
+      exists = await this._folderExists(filePath);
     }
+    if (this.eventEmitter_)
+      this.eventEmitter_.emit('filing:exists', { filePath, exists, isDraft: false });
+    return exists;
   }
 
   async mkdir(dirPath, options = { recursive: true }) {
-    // S3 doesn't have directories, but we can create a placeholder object
-    const params = {
-      Bucket: this.bucketName,
-      Key: dirPath.endsWith('/') ? dirPath : dirPath + '/',
-      Body: '',
-    };
+    // S3 doesn't have directories, so an empty marker object keeps the folder
     try {
-      await this.s3.upload(params).promise();
+      await this.s3.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: this._toFolderPrefix(dirPath),
+        Body: '',
+      }));
       if (this.eventEmitter_)
         this.eventEmitter_.emit('filing:mkdir', { dirPath, options });
     } catch (error) {
@@ -210,16 +301,29 @@ class S3FilingProvider {
     }
   }
 
+  /**
+   * Copies a file, or a folder with every object below it.
+   */
   async copy(sourcePath, destPath) {
-    const params = {
+    const copyObject = (sourceKey, destKey) => this.s3.send(new CopyObjectCommand({
       Bucket: this.bucketName,
-      CopySource: `${this.bucketName}/${sourcePath}`,
-      Key: destPath,
-    };
+      CopySource: `${this.bucketName}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`,
+      Key: destKey,
+    }));
+
     try {
-      await this.s3.copyObject(params).promise();
+      const sourcePrefix = this._toFolderPrefix(sourcePath);
+      const destPrefix = this._toFolderPrefix(destPath);
+      const { objects } = await this._listObjects(sourcePrefix);
+      if (objects.length > 0) {
+        for (const item of objects) {
+          await copyObject(item.Key, `${destPrefix}${item.Key.slice(sourcePrefix.length)}`);
+        }
+      } else {
+        await copyObject(this._toKey(sourcePath), this._toKey(destPath));
+      }
       if (this.eventEmitter_)
-        this.eventEmitter_.emit('filing:copy', { sourcePath, destPath });
+        this.eventEmitter_.emit('filing:copy', { sourcePath, destPath, isDraft: false });
     } catch (error) {
       if (this.eventEmitter_)
         this.eventEmitter_.emit('filing:copy:error', {
@@ -235,28 +339,46 @@ class S3FilingProvider {
     await this.copy(sourcePath, destPath);
     await this.delete(sourcePath);
     if (this.eventEmitter_)
-      this.eventEmitter_.emit('filing:move', { sourcePath, destPath });
+      this.eventEmitter_.emit('filing:move', { sourcePath, destPath, isDraft: false });
   }
 
   async stat(filePath) {
-    const params = {
-      Bucket: this.bucketName,
-      Key: filePath,
-    };
     try {
-      const data = await this.s3.headObject(params).promise();
-      const result = {
-        size: data.ContentLength,
-        isFile: () => true,
-        isDirectory: () => false,
-        mtime: data.LastModified,
-        ctime: data.LastModified,
-        atime: data.LastModified,
-        mode: 0o644
-      };
+      let result;
+      try {
+        const data = await this.s3.send(new HeadObjectCommand({
+          Bucket: this.bucketName,
+          Key: this._toKey(filePath),
+        }));
+        result = {
+          size: data.ContentLength,
+          isFile: true,
+          isDirectory: false,
+          mtime: data.LastModified,
+          ctime: data.LastModified,
+          atime: data.LastModified,
+          mode: 0o644,
+          version: null,
+        };
+      } catch (error) {
+        if (!this._isNotFound(error) || !(await this._folderExists(filePath))) {
+          throw error;
+        }
+        result = {
+          size: 0,
+          isFile: false,
+          isDirectory: true,
+          mtime: null,
+          ctime: null,
+          atime: null,
+          mode: 0o755,
+          version: null,
+        };
+      }
+      const resultWithDraft = { ...result, isDraft: false };
       if (this.eventEmitter_)
-        this.eventEmitter_.emit('filing:stat', { filePath, stats: result });
-      return result;
+        this.eventEmitter_.emit('filing:stat', { filePath, stats: resultWithDraft });
+      return resultWithDraft;
     } catch (error) {
       if (this.eventEmitter_)
         this.eventEmitter_.emit('filing:stat:error', {
@@ -271,24 +393,42 @@ class S3FilingProvider {
     return this.listDetailed(dirPath);
   }
 
+  /**
+   * Lists the files and folders directly inside a folder.
+   * @param {string} dirPath - The folder to list.
+   * @returns {Promise<Array<Object>>} Entries shaped like those of the local provider.
+   */
   async listDetailed(dirPath) {
-    const params = {
-      Bucket: this.bucketName,
-      Prefix: dirPath,
-    };
+    const prefix = this._toFolderPrefix(dirPath);
+    const relative = (key) => path.posix.join(dirPath || '', key.slice(prefix.length).replace(/\/$/, ''));
     try {
-      const data = await this.s3.listObjectsV2(params).promise();
-      const detailed = data.Contents ? data.Contents.map((item) => ({
-        name: path.basename(item.Key),
-        path: item.Key,
-        size: item.Size,
-        isFile: true,
-        isDirectory: false,
-        mtime: item.LastModified,
-        ctime: item.LastModified,
-        atime: item.LastModified,
-        mode: 0o644
-      })) : [];
+      const { objects, folders } = await this._listObjects(prefix, '/');
+      const detailed = [
+        ...folders.map((folderPrefix) => ({
+          name: path.posix.basename(folderPrefix),
+          path: relative(folderPrefix),
+          size: 0,
+          isFile: false,
+          isDirectory: true,
+          mtime: null,
+          ctime: null,
+          atime: null,
+          mode: 0o755,
+          isDraft: false,
+        })),
+        ...objects.filter((item) => item.Key !== prefix).map((item) => ({
+          name: path.posix.basename(item.Key),
+          path: relative(item.Key),
+          size: item.Size,
+          isFile: true,
+          isDirectory: false,
+          mtime: item.LastModified,
+          ctime: item.LastModified,
+          atime: item.LastModified,
+          mode: 0o644,
+          isDraft: false,
+        })),
+      ];
       if (this.eventEmitter_)
         this.eventEmitter_.emit('filing:listDetailed', { dirPath, files: detailed });
       return detailed;
@@ -313,6 +453,43 @@ class S3FilingProvider {
   async unlink(filePath) {
     return this.delete(filePath);
   }
+
+  // Git-specific methods for compatibility (S3 has no drafts)
+  async getDraftFiles() {
+    return [];
+  }
+
+  async publish(message) {
+    if (this.eventEmitter_) {
+      this.eventEmitter_.emit('filing:publish', {
+        message,
+        provider: 's3',
+        result: 'Files are automatically saved - no publishing required'
+      });
+    }
+    return {
+      message: 'S3 provider does not require publishing - files are automatically saved',
+      success: true
+    };
+  }
+
+  async commit(message = 'Auto-commit from filing provider') {
+    return this.publish(message);
+  }
+
+  async discardDrafts() {
+    return {
+      message: 'S3 provider has no drafts to discard - all files are automatically saved',
+      success: true
+    };
+  }
+
+  async cleanup() {
+  }
+
+  destroy() {
+    this.s3.destroy();
+  }
 }
 
 module.exports = S3FilingProvider;
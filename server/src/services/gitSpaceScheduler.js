@@ -8,6 +8,13 @@
 const path = require('path');
 const { getSpaceConfigs } = require('../config/spaces');
 const { getFilingProviderForSpace } = require('../routes/spaces');
+const { getLinkIndex } = require('../utils/linkIndex');
+const { parseFrontMatter } = require('../utils/frontMatter');
+const { getCleanMarkdownContent } = require('../utils/commentParser');
+const { markSpaceIndexed } = require('../utils/searchIndex');
+const { FILING_TYPES } = require('../utils/spaceFiling');
+const { pluginHooks } = require('../utils/pluginHooks');
+const { isDiagramFile, parseDiagram, extractDiagramText } = require('../utils/diagramFiles');
 
 // Service instances will be retrieved from DI container
 let cacheInstance = null;
@@ -89,7 +96,7 @@ class GitSpaceScheduler {
   }
 
   /**
-   * Sync all spaces (git and local)
+   * Sync all spaces (git, local, s3 and ftp)
    */
   async syncAllSpaces() {
     try {
@@ -99,7 +106,7 @@ class GitSpaceScheduler {
 
       for (const [spaceName, config] of Object.entries(spaceConfigs)) {
         // Sync all spaces that have filing providers
-        if (config.filing && (config.filing.type === 'git' || config.filing.type === 'local')) {
+        if (config.filing && FILING_TYPES.includes(config.filing.type)) {
           console.log(`Syncing ${config.filing.type} space: ${spaceName}`);
           await this.syncGitSpace(spaceName, config);
         } else {
@@ -113,7 +120,7 @@ class GitSpaceScheduler {
   }
 
   /**
-   * Sync a single space (git or local)
+   * Sync a single space (git, local, s3 or ftp)
    */
   async syncGitSpace(spaceName, config) {
     try {
@@ -242,21 +249,32 @@ class GitSpaceScheduler {
       return 'text';
     } else if (['.md', '.markdown'].includes(ext)) {
       return 'markdown';
+    } else if (isDiagramFile(fileName)) {
+      return 'diagram';
     }
 
     return 'unknown';
   }
 
   /**
-   * Update search service with file content
+   * Update search service and link index with file content
    */
   async updateSearchService(filing, tree, spaceName, isReadonly) {
     try {
+      const indexedKeys = new Set();
+      const documents = [];
+
       // Recursively process all files in the tree
       const processFiles = async (items, pathPrefix = '') => {
         for (const item of items) {
           if (item.type === 'directory' && item.children) {
             await processFiles(item.children, pathPrefix);
+          } else if (item.type === 'file' && item.fileType === 'diagram') {
+            try {
+              await this.indexDiagram(filing, item, spaceName, isReadonly, indexedKeys);
+            } catch (error) {
+              console.warn(`Failed to index diagram ${item.path}:`, error.message);
+            }
           } else if (item.type === 'file' && item.fileType === 'markdown') {
             try {
               // Read file content
@@ -269,13 +287,21 @@ class GitSpaceScheduler {
                 spaceName: spaceName,
                 filePath: item.path,
                 fileName: item.name,
-                content: content,
+                content: getCleanMarkdownContent(content),
                 fileType: item.fileType,
+                frontMatter: parseFrontMatter(content).data,
                 isDraft: item.isDraft || false,
                 indexedAt: new Date().toISOString()
               };
 
-              await this.addToSearchService(searchKey, searchData);
+              // Plugins may add fields or keep the file out of the index
+              const indexData = await pluginHooks.indexDocument({ space: spaceName, path: item.path, document: searchData });
+              if (indexData) {
+                await this.addToSearchService(searchKey, indexData);
+                await this.updatePassages(searchKey, indexData);
+                indexedKeys.add(searchKey);
+              }
+              documents.push({ path: item.path, content });
             } catch (error) {
               console.warn(`Failed to index file ${item.path}:`, error.message);
             }
@@ -284,11 +310,58 @@ class GitSpaceScheduler {
       };
 
       await processFiles(tree);
+      getLinkIndex().replaceSpace(spaceName, documents);
+
+      // Drop documents for files that no longer exist in the space
+      if (searchInstance && typeof searchInstance.keys === 'function') {
+        for (const key of searchInstance.keys({ spaceName })) {
+          if (!indexedKeys.has(key)) {
+            await searchInstance.remove(key);
+          }
+        }
+      }
+      if (searchInstance && searchInstance.passages) {
+        for (const key of searchInstance.passages.documentKeys({ spaceName })) {
+          if (!indexedKeys.has(key)) {
+            await searchInstance.passages.remove(key);
+          }
+        }
+      }
+      if (searchInstance) {
+        markSpaceIndexed(spaceName);
+      }
     } catch (error) {
       console.error(`Error updating search service for space ${spaceName}:`, error);
     }
   }
 
+  /**
+   * Index the text of a diagram file, so it is found like a document
+   */
+  async indexDiagram(filing, item, spaceName, isReadonly, indexedKeys) {
+    const fullPath = isReadonly ? item.path : `markdown/${item.path}`;
+    const scene = parseDiagram(await filing.read(fullPath, 'utf8'));
+
+    const searchKey = `${spaceName}:${item.path}`;
+    const searchData = {
+      spaceName: spaceName,
+      filePath: item.path,
+      fileName: item.name,
+      content: extractDiagramText(scene),
+      fileType: item.fileType,
+      frontMatter: {},
+      isDraft: item.isDraft || false,
+      indexedAt: new Date().toISOString()
+    };
+
+    const indexData = await pluginHooks.indexDocument({ space: spaceName, path: item.path, document: searchData });
+    if (indexData) {
+      await this.addToSearchService(searchKey, indexData);
+      await this.updatePassages(searchKey, indexData);
+      indexedKeys.add(searchKey);
+    }
+  }
+
   /**
    * Set value in cache service
    */
@@ -306,7 +379,8 @@ class GitSpaceScheduler {
   }
 
   /**
-   * Add data to search service
+   * Add data to search service, replacing the previous version when the
+   * provider supports updates
    */
   async addToSearchService(key, data) {
     try {
@@ -314,6 +388,12 @@ class GitSpaceScheduler {
         console.warn(`Search service not available for key ${key}`);
         return;
       }
+      if (typeof searchInstance.update === 'function') {
+        if (await searchInstance.update(key, data)) {
+          console.log(`Successfully indexed search data for key: ${key}`);
+        }
+        return;
+      }
       await searchInstance.add(key, data);
       console.log(`Successfully indexed search data for key: ${key}`);
     } catch (error) {
@@ -321,6 +401,21 @@ class GitSpaceScheduler {
     }
   }
 
+  /**
+   * Split a document into the passages questions about the space are
+   * answered from, when the search provider keeps passages
+   */
+  async updatePassages(key, data) {
+    try {
+      if (!searchInstance || !searchInstance.passages) {
+        return;
+      }
+      await searchInstance.passages.update(key, { ...data, content: getCleanMarkdownContent(data.content) });
+    } catch (error) {
+      console.error(`Error updating passages for key ${key}:`, error.message);
+    }
+  }
+
   /**
    * Sync Personal space for a specific user
    */
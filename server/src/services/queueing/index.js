@@ -3,16 +3,23 @@
  */
 
 const InMemoryQueue = require('./providers/InMemoryQueue');
+const DurableQueue = require('./providers/DurableQueue');
 const Routes = require('./routes');
 
 /**
  * Creates a queue instance based on the provided type.
- * @param {string} type The type of queue to create. Valid options are 'memory'.
+ * @param {string} type The type of queue to create. Valid options are
+ *     'memory' and 'durable', a journaled queue with leases, retries and
+ *     dead-letter queues.
  * @param {Object=} options The options for the queue.
- * @return {!InMemoryQueue} A queue instance.
+ * @return {!InMemoryQueue|!DurableQueue} A queue instance.
  */
 function createQueue(type, options, eventEmitter) {
-  if (type === 'memory') {
+  if (type === 'durable') {
+    const queue = new DurableQueue(options, eventEmitter);
+    Routes(options, eventEmitter, queue);
+    return queue;
+  } else if (type === 'memory') {
     const queue = new InMemoryQueue(options, eventEmitter);
     Routes(options, eventEmitter, queue);
     return queue;
@@ -0,0 +1,524 @@
+/**
+ * @fileoverview A durable queue implementation backed by journal files.
+ *
+ * Every queue is kept in memory and journaled to
+ * server-data/queues/<queue>.jsonl, one JSON line per change, so messages
+ * survive a restart. The journal is compacted once it is mostly stale.
+ *
+ * Consumers lease a message with receive(); it stays invisible to other
+ * consumers for the visibility timeout and is deleted by ack(). A message
+ * that is nacked, or whose lease runs out, becomes visible again after a
+ * backoff that doubles with each attempt. After maxAttempts deliveries it is
+ * moved to the dead-letter queue of its queue, where operators can inspect,
+ * redrive or purge it. Leases are not journaled: after a restart, messages
+ * that were in flight are delivered again.
+ *
+ * dequeue() keeps the behaviour of InMemoryQueue for existing consumers: it
+ * receives and acknowledges a message in one step.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/** @const {string} Journal file extension */
+const JOURNAL_EXTENSION = '.jsonl';
+
+/** @const {number} Journal lines before compaction is considered */
+const COMPACT_THRESHOLD = 1000;
+
+/**
+ * A class that implements a durable queue with leases, retries and
+ * dead-letter queues.
+ */
+class DurableQueue {
+  /**
+   * Initializes the durable queue and loads journaled messages.
+   * @param {Object} options Options:
+   *     queueDirectory - journal directory; null keeps queues in memory only
+   *     visibilityTimeout - seconds a received message stays leased (30)
+   *     maxAttempts - deliveries before a message is dead-lettered (5)
+   *     retryDelay - seconds before the first retry, doubled per attempt (5)
+   *     maxRetryDelay - longest retry delay in seconds (300)
+   * @param {EventEmitter} eventEmitter Event emitter for queue events.
+   */
+  constructor(options, eventEmitter) {
+    options = options || {};
+    this.eventEmitter_ = eventEmitter;
+    /** @private {string|null} */
+    this.directory_ = options.queueDirectory === undefined
+      ? path.join(__dirname, '../../../../../server-data/queues')
+      : options.queueDirectory;
+    this.visibilityTimeout = options.visibilityTimeout || 30;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 5;
+    this.maxRetryDelay = options.maxRetryDelay || 300;
+
+    /** @private @const {!Map<string, !Map<string, Object>>} Messages by id, per queue, oldest first */
+    this.queues_ = new Map();
+    /** @private @const {!Map<string, Object>} */
+    this.queueStats_ = new Map();
+    /** @private @const {!Map<string, Promise>} Serializes writes per journal */
+    this.writeChains_ = new Map();
+    /** @private @const {!Map<string, number>} Lines written per journal */
+    this.journalLines_ = new Map();
+
+    this.load_();
+  }
+
+  /**
+   * Adds an item to the end of the queue.
+   * @param {string} queueName The name of the queue.
+   * @param {*} item The item to add to the queue.
+   * @param {Object=} options delaySeconds before the item is visible, and
+   *     maxAttempts for this item.
+   * @return {Promise<string>} The message id.
+   */
+  async enqueue(queueName, item, options = {}) {
+    const now = Date.now();
+    const message = {
+      id: crypto.randomUUID(),
+      body: item,
+      enqueuedAt: now,
+      availableAt: now + (options.delaySeconds || 0) * 1000,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.maxAttempts,
+      lastError: null,
+      state: 'ready',
+      deadAt: null
+    };
+    this.getQueue_(queueName).set(message.id, message);
+    this._updateQueueStats(queueName, 'enqueue');
+    await this.write_(queueName, { op: 'put', message });
+    if (this.eventEmitter_) this.eventEmitter_.emit('queue:enqueue', { item });
+    return message.id;
+  }
+
+  /**
+   * Removes and returns the item at the front of the queue, without a lease.
+   * @param {string} queueName The name of the queue.
+   * @return {Promise<*>} The item, or undefined if no item is available.
+   */
+  async dequeue(queueName) {
+    const message = await this.receive(queueName);
+    if (!message) {
+      return undefined;
+    }
+    await this.ack(queueName, message.leaseId);
+    if (this.eventEmitter_)
+      this.eventEmitter_.emit('queue:dequeue', { item: message.body });
+    return message.body;
+  }
+
+  /**
+   * Leases the next visible message of a queue.
+   * @param {string} queueName The name of the queue.
+   * @param {Object=} options visibilityTimeout in seconds.
+   * @return {Promise<Object|undefined>} id, leaseId, body, attempts,
+   *     enqueuedAt and leaseExpiresAt, or undefined if no message is visible.
+   */
+  async receive(queueName, options = {}) {
+    const queue = this.getQueue_(queueName);
+    const now = Date.now();
+    const timeout = options.visibilityTimeout || this.visibilityTimeout;
+
+    for (const message of queue.values()) {
+      if (message.state !== 'ready' || message.availableAt > now) continue;
+      if (message.leaseExpiresAt) {
+        if (message.leaseExpiresAt > now) continue;
+        // The consumer neither acked nor nacked in time: retry after the backoff
+        await this.fail_(queueName, message, 'Visibility timeout expired');
+        continue;
+      }
+
+      message.attempts++;
+      message.leaseId = crypto.randomUUID();
+      message.leaseExpiresAt = now + timeout * 1000;
+      await this.write_(queueName, { op: 'update', id: message.id, attempts: message.attempts });
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('queue:receive', { queueName, id: message.id, attempts: message.attempts });
+      return {
+        id: message.id,
+        leaseId: message.leaseId,
+        body: message.body,
+        attempts: message.attempts,
+        enqueuedAt: new Date(message.enqueuedAt).toISOString(),
+        leaseExpiresAt: new Date(message.leaseExpiresAt).toISOString()
+      };
+    }
+    return undefined;
+  }
+
+  /**
+   * Acknowledges a leased message and deletes it.
+   * @param {string} queueName The name of the queue.
+   * @param {string} leaseId The lease returned by receive().
+   * @return {Promise<boolean>} False if the lease is unknown or has expired.
+   */
+  async ack(queueName, leaseId) {
+    const message = this.findLease_(queueName, leaseId);
+    if (!message) {
+      return false;
+    }
+    this.getQueue_(queueName).delete(message.id);
+    this._updateQueueStats(queueName, 'dequeue');
+    await this.write_(queueName, { op: 'delete', id: message.id });
+    if (this.eventEmitter_) this.eventEmitter_.emit('queue:ack', { queueName, id: message.id });
+    return true;
+  }
+
+  /**
+   * Releases a leased message that could not be processed. It is retried
+   * after a backoff, or dead-lettered once it has used all its attempts.
+   * @param {string} queueName The name of the queue.
+   * @param {string} leaseId The lease returned by receive().
+   * @param {Object=} options error, why processing failed, and delaySeconds
+   *     to retry after instead of the backoff.
+   * @return {Promise<Object|null>} status ('retrying' or 'dead') and
+   *     availableAt, or null if the lease is unknown or has expired.
+   */
+  async nack(queueName, leaseId, options = {}) {
+    const message = this.findLease_(queueName, leaseId);
+    if (!message) {
+      return null;
+    }
+    const status = await this.fail_(queueName, message, options.error || 'Processing failed', options.delaySeconds);
+    if (this.eventEmitter_) this.eventEmitter_.emit('queue:nack', { queueName, id: message.id, status });
+    return {
+      status,
+      availableAt: status === 'retrying' ? new Date(message.availableAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Returns the number of items in the queue, including leased items but
+   * not dead letters.
+   * @param {string} queueName The name of the queue.
+   * @return {Promise<number>} The number of items in the queue.
+   */
+  async size(queueName) {
+    return this.countMessages_(queueName).messages;
+  }
+
+  /**
+   * Lists the messages of a queue for inspection.
+   * @param {string} queueName The name of the queue.
+   * @param {Object=} options state ('ready', 'in-flight', 'delayed', 'dead'
+   *     or all when left out) and limit.
+   * @return {Array<Object>} Messages, oldest first.
+   */
+  listMessages(queueName, options = {}) {
+    const { state, limit = 100 } = options;
+    const now = Date.now();
+    const messages = [];
+    for (const message of this.getQueue_(queueName).values()) {
+      const view = this.describe_(message, now);
+      if (state && view.state !== state) continue;
+      messages.push(view);
+      if (messages.length >= limit) break;
+    }
+    return messages;
+  }
+
+  /**
+   * Lists the dead letters of a queue.
+   * @param {string} queueName The name of the queue.
+   * @param {number=} limit Number of messages to return.
+   * @return {Array<Object>} Dead letters, oldest first.
+   */
+  getDeadLetters(queueName, limit = 100) {
+    return this.listMessages(queueName, { state: 'dead', limit });
+  }
+
+  /**
+   * Moves dead letters back to their queue with fresh attempts.
+   * @param {string} queueName The name of the queue.
+   * @param {Array<string>=} ids Messages to redrive; all dead letters when left out.
+   * @return {Promise<number>} Number of messages redriven.
+   */
+  async redrive(queueName, ids) {
+    const now = Date.now();
+    let count = 0;
+    for (const message of this.selectDead_(queueName, ids)) {
+      Object.assign(message, { state: 'ready', attempts: 0, availableAt: now, deadAt: null });
+      delete message.leaseId;
+      delete message.leaseExpiresAt;
+      await this.write_(queueName, {
+        op: 'update', id: message.id, state: 'ready', attempts: 0, availableAt: now, deadAt: null
+      });
+      count++;
+    }
+    if (count > 0) {
+      this._updateQueueStats(queueName, 'redrive');
+      if (this.eventEmitter_) this.eventEmitter_.emit('queue:redrive', { queueName, count });
+    }
+    return count;
+  }
+
+  /**
+   * Deletes dead letters for good.
+   * @param {string} queueName The name of the queue.
+   * @param {Array<string>=} ids Messages to delete; all dead letters when left out.
+   * @return {Promise<number>} Number of messages deleted.
+   */
+  async purgeDeadLetters(queueName, ids) {
+    let count = 0;
+    for (const message of this.selectDead_(queueName, ids)) {
+      this.getQueue_(queueName).delete(message.id);
+      await this.write_(queueName, { op: 'delete', id: message.id });
+      count++;
+    }
+    if (count > 0) {
+      this._updateQueueStats(queueName, 'purge');
+    }
+    return count;
+  }
+
+  /**
+   * Updates statistics for a queue operation.
+   * @param {string} queueName The queue name.
+   * @param {string} operation The operation type ('enqueue', 'dequeue',
+   *     'retry', 'dead', 'redrive', 'purge' or 'load').
+   * @private
+   */
+  _updateQueueStats(queueName, operation) {
+    const now = Date.now();
+    let stats = this.queueStats_.get(queueName);
+
+    if (!stats) {
+      stats = {
+        queuename: queueName,
+        messages: 0,
+        inFlight: 0,
+        deadLetters: 0,
+        lastEnqueued: null,
+        created: now,
+        totalEnqueued: 0,
+        totalDequeued: 0,
+        totalRetried: 0,
+        totalDeadLettered: 0
+      };
+      this.queueStats_.set(queueName, stats);
+    }
+
+    if (operation === 'enqueue') {
+      stats.lastEnqueued = now;
+      stats.totalEnqueued++;
+    } else if (operation === 'dequeue') {
+      stats.totalDequeued++;
+    } else if (operation === 'retry') {
+      stats.totalRetried++;
+    } else if (operation === 'dead') {
+      stats.totalDeadLettered++;
+    }
+
+    Object.assign(stats, this.countMessages_(queueName));
+  }
+
+  /**
+   * Gets the queue statistics ordered by latest enqueued message.
+   * @return {Array<Object>} Array of queue statistics.
+   */
+  getQueueStats() {
+    const stats = Array.from(this.queueStats_.values());
+    // Update current message counts before returning
+    stats.forEach(stat => Object.assign(stat, this.countMessages_(stat.queuename)));
+    return stats.sort((a, b) => {
+      const aLastEnqueued = a.lastEnqueued || a.created;
+      const bLastEnqueued = b.lastEnqueued || b.created;
+      return bLastEnqueued - aLastEnqueued;
+    });
+  }
+
+  /**
+   * Waits for journal writes in progress.
+   * @return {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(this.writeChains_.values());
+  }
+
+  /** @private */
+  getQueue_(queueName) {
+    if (!this.queues_.has(queueName)) {
+      this.queues_.set(queueName, new Map());
+    }
+    return this.queues_.get(queueName);
+  }
+
+  /** @private */
+  findLease_(queueName, leaseId) {
+    if (!leaseId) return null;
+    const now = Date.now();
+    for (const message of this.getQueue_(queueName).values()) {
+      if (message.leaseId === leaseId) {
+        return message.state === 'ready' && message.leaseExpiresAt > now ? message : null;
+      }
+    }
+    return null;
+  }
+
+  /** @private */
+  selectDead_(queueName, ids) {
+    const wanted = Array.isArray(ids) ? new Set(ids) : null;
+    return Array.from(this.getQueue_(queueName).values())
+      .filter(message => message.state === 'dead' && (!wanted || wanted.has(message.id)));
+  }
+
+  /**
+   * Records a failed delivery: schedules a retry or dead-letters the message.
+   * @return {Promise<string>} 'retrying' or 'dead'.
+   * @private
+   */
+  async fail_(queueName, message, error, delaySeconds) {
+    delete message.leaseId;
+    delete message.leaseExpiresAt;
+    message.lastError = String(error).slice(0, 1000);
+
+    if (message.attempts >= message.maxAttempts) {
+      message.state = 'dead';
+      message.deadAt = Date.now();
+      this._updateQueueStats(queueName, 'dead');
+      await this.write_(queueName, {
+        op: 'update', id: message.id, state: 'dead', deadAt: message.deadAt, lastError: message.lastError
+      });
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('queue:dead', { queueName, id: message.id, error: message.lastError });
+      return 'dead';
+    }
+
+    const delay = delaySeconds !== undefined
+      ? delaySeconds
+      : Math.min(this.retryDelay * Math.pow(2, message.attempts - 1), this.maxRetryDelay);
+    message.availableAt = Date.now() + delay * 1000;
+    this._updateQueueStats(queueName, 'retry');
+    await this.write_(queueName, {
+      op: 'update', id: message.id, availableAt: message.availableAt, lastError: message.lastError
+    });
+    return 'retrying';
+  }
+
+  /** @private */
+  describe_(message, now) {
+    let state = message.state;
+    if (state === 'ready' && message.leaseExpiresAt > now) {
+      state = 'in-flight';
+    } else if (state === 'ready' && message.availableAt > now) {
+      state = 'delayed';
+    }
+    return {
+      id: message.id,
+      state,
+      body: message.body,
+      attempts: message.attempts,
+      maxAttempts: message.maxAttempts,
+      lastError: message.lastError,
+      enqueuedAt: new Date(message.enqueuedAt).toISOString(),
+      availableAt: new Date(message.availableAt).toISOString(),
+      deadAt: message.deadAt ? new Date(message.deadAt).toISOString() : null
+    };
+  }
+
+  /** @private */
+  countMessages_(queueName) {
+    const now = Date.now();
+    const counts = { messages: 0, inFlight: 0, deadLetters: 0 };
+    for (const message of this.getQueue_(queueName).values()) {
+      if (message.state === 'dead') {
+        counts.deadLetters++;
+      } else {
+        counts.messages++;
+        if (message.leaseExpiresAt > now) counts.inFlight++;
+      }
+    }
+    return counts;
+  }
+
+  /** @private */
+  journalPath_(queueName) {
+    return path.join(this.directory_, encodeURIComponent(queueName) + JOURNAL_EXTENSION);
+  }
+
+  /**
+   * Appends a change to the journal of a queue, compacting it when most of
+   * its lines are stale.
+   * @private
+   */
+  write_(queueName, record) {
+    if (!this.directory_) {
+      return Promise.resolve();
+    }
+    const previous = this.writeChains_.get(queueName) || Promise.resolve();
+    const next = previous.then(async () => {
+      const file = this.journalPath_(queueName);
+      await fs.promises.mkdir(this.directory_, { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify(record) + '\n');
+      const lines = (this.journalLines_.get(queueName) || 0) + 1;
+      this.journalLines_.set(queueName, lines);
+
+      const live = this.getQueue_(queueName).size;
+      if (lines > COMPACT_THRESHOLD && lines > live * 2) {
+        const snapshot = Array.from(this.getQueue_(queueName).values())
+          .map(message => {
+            const { leaseId, leaseExpiresAt, ...saved } = message;
+            return JSON.stringify({ op: 'put', message: saved }) + '\n';
+          })
+          .join('');
+        await fs.promises.writeFile(`${file}.tmp`, snapshot);
+        await fs.promises.rename(`${file}.tmp`, file);
+        this.journalLines_.set(queueName, live);
+      }
+    }).catch(error => {
+      console.error(`Failed to write queue journal for ${queueName}:`, error.message);
+    });
+    this.writeChains_.set(queueName, next);
+    return next;
+  }
+
+  /**
+   * Replays the journals in the queue directory.
+   * @private
+   */
+  load_() {
+    if (!this.directory_ || !fs.existsSync(this.directory_)) {
+      return;
+    }
+    for (const file of fs.readdirSync(this.directory_)) {
+      if (!file.endsWith(JOURNAL_EXTENSION)) continue;
+      const queueName = decodeURIComponent(file.slice(0, -JOURNAL_EXTENSION.length));
+      const queue = this.getQueue_(queueName);
+      let lines;
+      try {
+        lines = fs.readFileSync(path.join(this.directory_, file), 'utf8').split('\n');
+      } catch (error) {
+        console.error(`Failed to read queue journal ${file}:`, error.message);
+        continue;
+      }
+
+      let count = 0;
+      for (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // Skip a line cut short by a crash
+          continue;
+        }
+        count++;
+        if (record.op === 'put') {
+          queue.set(record.message.id, { ...record.message });
+        } else if (record.op === 'update' && queue.has(record.id)) {
+          const { op, id, ...fields } = record;
+          Object.assign(queue.get(id), fields);
+        } else if (record.op === 'delete') {
+          queue.delete(record.id);
+        }
+      }
+      this.journalLines_.set(queueName, count);
+      this._updateQueueStats(queueName, 'load');
+    }
+  }
+}
+
+module.exports = DurableQueue;
@@ -51,6 +51,86 @@ module.exports = (options, eventEmitter, queue) => {
         .catch((err) => res.status(500).send(err.message));
     });
 
+    // Leases, acknowledgements and dead letters need the durable provider
+    const requireLeases = (req, res, next) => {
+      if (typeof queue.receive !== 'function') {
+        return res.status(501).send('Not Implemented: the queue provider does not support leases');
+      }
+      next();
+    };
+
+    app.post('/api/queueing/receive/:queueName', requireLeases, (req, res) => {
+      const visibilityTimeout = parseInt(req.query.visibilityTimeout, 10);
+      queue
+        .receive(req.params.queueName, { visibilityTimeout: visibilityTimeout > 0 ? visibilityTimeout : undefined })
+        .then((message) => (message ? res.status(200).json(message) : res.status(204).end()))
+        .catch((err) => res.status(500).send(err.message));
+    });
+
+    app.post('/api/queueing/ack/:queueName/:leaseId', requireLeases, (req, res) => {
+      queue
+        .ack(req.params.queueName, req.params.leaseId)
+        .then((acked) => (acked ? res.status(200).send('OK') : res.status(404).send('Lease not found or expired')))
+        .catch((err) => res.status(500).send(err.message));
+    });
+
+    app.post('/api/queueing/nack/:queueName/:leaseId', requireLeases, (req, res) => {
+      const { error, delaySeconds } = req.body || {};
+      if (delaySeconds !== undefined && !(Number(delaySeconds) >= 0)) {
+        return res.status(400).send('Bad Request: delaySeconds must be a number of seconds');
+      }
+      queue
+        .nack(req.params.queueName, req.params.leaseId, {
+          error,
+          delaySeconds: delaySeconds !== undefined ? Number(delaySeconds) : undefined
+        })
+        .then((result) => (result ? res.status(200).json(result) : res.status(404).send('Lease not found or expired')))
+        .catch((err) => res.status(500).send(err.message));
+    });
+
+    app.get('/api/queueing/queues/:queueName/messages', requireLeases, (req, res) => {
+      const limit = parseInt(req.query.limit, 10);
+      try {
+        res.status(200).json(queue.listMessages(req.params.queueName, {
+          state: req.query.state || undefined,
+          limit: limit > 0 ? limit : undefined
+        }));
+      } catch (err) {
+        res.status(500).send(err.message);
+      }
+    });
+
+    app.get('/api/queueing/queues/:queueName/dead-letters', requireLeases, (req, res) => {
+      const limit = parseInt(req.query.limit, 10);
+      try {
+        res.status(200).json(queue.getDeadLetters(req.params.queueName, limit > 0 ? limit : undefined));
+      } catch (err) {
+        res.status(500).send(err.message);
+      }
+    });
+
+    app.post('/api/queueing/queues/:queueName/redrive', requireLeases, (req, res) => {
+      const { ids } = req.body || {};
+      if (ids !== undefined && !Array.isArray(ids)) {
+        return res.status(400).send('Bad Request: ids must be an array of message ids');
+      }
+      queue
+        .redrive(req.params.queueName, ids)
+        .then((redriven) => res.status(200).json({ redriven }))
+        .catch((err) => res.status(500).send(err.message));
+    });
+
+    app.delete('/api/queueing/queues/:queueName/dead-letters', requireLeases, (req, res) => {
+      const { ids } = req.body || {};
+      if (ids !== undefined && !Array.isArray(ids)) {
+        return res.status(400).send('Bad Request: ids must be an array of message ids');
+      }
+      queue
+        .purgeDeadLetters(req.params.queueName, ids)
+        .then((purged) => res.status(200).json({ purged }))
+        .catch((err) => res.status(500).send(err.message));
+    });
+
     app.get('/api/queueing/status', (req, res) => {
       eventEmitter.emit('api-queueing-status', 'queueing api running');
       res.status(200).json('queueing api running');
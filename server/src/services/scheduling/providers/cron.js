@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Cron expression parsing and next-run calculation.
+ *
+ * Supports the standard 5-field format (minute hour day-of-month month
+ * day-of-week) and a 6-field format with a leading seconds field. Fields
+ * accept `*`, `?`, single values, ranges (`1-5`), steps (`*\/15`, `0-30/5`,
+ * `10/5`), lists (`1,15,30`) and month and weekday names (`JAN`, `MON-FRI`).
+ * The macros @yearly, @annually, @monthly, @weekly, @daily, @midnight and
+ * @hourly are accepted as well.
+ *
+ * As in classic cron, when both day-of-month and day-of-week are restricted a
+ * day matches if either field matches. Times are evaluated as wall-clock time
+ * in an IANA time zone; wall-clock times skipped by a daylight saving change
+ * do not run, and repeated ones run once.
+ */
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+/** Years searched for a matching time before giving up, e.g. for 31 FEB */
+const SEARCH_YEARS = 5;
+
+const formatters = new Map();
+
+/**
+ * Parses one value of a field, a number or a name.
+ * @param {string} text The value.
+ * @param {Object} field The field definition.
+ * @return {number} The value.
+ */
+function parseValue(text, field) {
+  if (/^\d+$/.test(text)) {
+    const value = Number(text);
+    if (value < field.min || value > field.max) {
+      throw new Error(`Value ${text} is out of range for ${field.name} (${field.min}-${field.max})`);
+    }
+    return value;
+  }
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  if (index === -1) {
+    throw new Error(`Invalid ${field.name} value: ${text}`);
+  }
+  return index + field.offset;
+}
+
+/**
+ * Parses a field into the set of values it matches.
+ * @param {string} text The field text.
+ * @param {Object} field The field definition.
+ * @return {{values: Set<number>, any: boolean}} Matching values, and whether the field is unrestricted.
+ */
+function parseField(text, field) {
+  const values = new Set();
+  const any = text === '*' || text === '?';
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText, extra] = part.split('/');
+    if (!rangeText || extra !== undefined) {
+      throw new Error(`Invalid ${field.name} field: ${text}`);
+    }
+    let step = 1;
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText) || Number(stepText) === 0) {
+        throw new Error(`Invalid step in ${field.name} field: ${part}`);
+      }
+      step = Number(stepText);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*' || rangeText === '?') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [startText, endText] = rangeText.split('-');
+      start = parseValue(startText, field);
+      end = parseValue(endText, field);
+      if (start > end) {
+        throw new Error(`Invalid range in ${field.name} field: ${rangeText}`);
+      }
+    } else {
+      start = parseValue(rangeText, field);
+      end = stepText !== undefined ? field.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, any };
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression A 5- or 6-field cron expression or a macro.
+ * @return {Object} The parsed schedule, for getNextCronRun.
+ * @throws {Error} When the expression is invalid.
+ */
+function parseCronExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression must be a non-empty string');
+  }
+  const trimmed = expression.trim();
+  const source = MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new Error(`Cron expression must have 5 or 6 fields, got ${parts.length}`);
+  }
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+
+  const [second, minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // Sunday may be written as 0 or 7
+  if (dayOfWeek.values.delete(7)) {
+    dayOfWeek.values.add(0);
+  }
+
+  return {
+    expression: trimmed,
+    hasSeconds: source.split(/\s+/).length === 6,
+    second: second.values,
+    minute: minute.values,
+    hour: hour.values,
+    dayOfMonth: dayOfMonth.values,
+    month: month.values,
+    dayOfWeek: dayOfWeek.values,
+    dayOfMonthAny: dayOfMonth.any,
+    dayOfWeekAny: dayOfWeek.any
+  };
+}
+
+/**
+ * Checks whether a string is a time zone known to this runtime.
+ * @param {string} timezone IANA time zone name, such as Europe/Berlin.
+ * @return {boolean} True when the time zone can be used.
+ */
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Returns the wall-clock time of an instant in a time zone, as milliseconds
+ * of a UTC date with the same fields.
+ * @param {number} instant Milliseconds since the epoch.
+ * @param {string} timezone IANA time zone name.
+ * @return {number} Wall-clock time.
+ */
+function toWallClock(instant, timezone) {
+  const fields = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(new Date(instant))) {
+    fields[type] = Number(value);
+  }
+  const seconds = Math.floor(instant / 1000) * 1000;
+  return Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second)
+    + (instant - seconds);
+}
+
+/**
+ * Converts a wall-clock time in a time zone to an instant.
+ * @param {number} wallClock Wall-clock time as from toWallClock.
+ * @param {string} timezone IANA time zone name.
+ * @return {Array<number>} Matching instants, earliest first; empty when the
+ *     time is skipped by a daylight saving change.
+ */
+function fromWallClock(wallClock, timezone) {
+  const candidates = new Set();
+  // Offsets a few hours either side cover both sides of a daylight saving change
+  for (const probe of [wallClock - 12 * 3600000, wallClock, wallClock + 12 * 3600000]) {
+    const offset = toWallClock(probe, timezone) - probe;
+    const instant = wallClock - offset;
+    if (toWallClock(instant, timezone) === wallClock) {
+      candidates.add(instant);
+    }
+  }
+  return [...candidates].sort((a, b) => a - b);
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+  if (schedule.dayOfMonthAny || schedule.dayOfWeekAny) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Calculates the first time after a given instant that a schedule runs.
+ * @param {Object|string} schedule Parsed schedule or cron expression.
+ * @param {Date|number} after The run must be strictly later than this time.
+ * @param {string=} timezone IANA time zone; defaults to UTC.
+ * @return {Date|null} The next run, or null if none within the next years.
+ */
+function getNextCronRun(schedule, after, timezone = 'UTC') {
+  const parsed = typeof schedule === 'string' ? parseCronExpression(schedule) : schedule;
+  const afterTime = after instanceof Date ? after.getTime() : after;
+  const limit = afterTime + SEARCH_YEARS * 366 * 24 * 3600000;
+
+  // Search wall-clock time, held in a UTC date, from the next whole second
+  const date = new Date(Math.floor(toWallClock(afterTime, timezone) / 1000) * 1000 + 1000);
+
+  while (date.getTime() < limit) {
+    if (!parsed.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    if (!parsed.second.has(date.getUTCSeconds())) {
+      date.setUTCSeconds(date.getUTCSeconds() + 1, 0);
+      continue;
+    }
+
+    const instant = fromWallClock(date.getTime(), timezone).find(time => time > afterTime);
+    if (instant !== undefined) {
+      return new Date(instant);
+    }
+    date.setUTCSeconds(date.getUTCSeconds() + 1, 0);
+  }
+  return null;
+}
+
+/**
+ * Lists the runs of a schedule in a time window.
+ * @param {Object|string} schedule Parsed schedule or cron expression.
+ * @param {Date|number} after Start of the window, exclusive.
+ * @param {Date|number} until End of the window, inclusive.
+ * @param {string=} timezone IANA time zone; defaults to UTC.
+ * @param {number=} limit Maximum number of runs returned.
+ * @return {Array<Date>} The runs, earliest first.
+ */
+function getCronRunsBetween(schedule, after, until, timezone = 'UTC', limit = 100) {
+  const parsed = typeof schedule === 'string' ? parseCronExpression(schedule) : schedule;
+  const untilTime = until instanceof Date ? until.getTime() : until;
+  const runs = [];
+  let run = getNextCronRun(parsed, after, timezone);
+  while (run && run.getTime() <= untilTime && runs.length < limit) {
+    runs.push(run);
+    run = getNextCronRun(parsed, run, timezone);
+  }
+  return runs;
+}
+
+module.exports = {
+  parseCronExpression,
+  getNextCronRun,
+  getCronRunsBetween,
+  isValidTimezone
+};
@@ -1,8 +1,107 @@
 /**
- * @fileoverview Provides a singleton scheduler for executing tasks at intervals.
+ * @fileoverview Provides a singleton scheduler for executing tasks at intervals
+ * or on cron schedules.
+ *
+ * Tasks started with start() live as long as the process. Schedules created
+ * with schedule() are saved to server-data/schedules.json together with their
+ * run history, and are started again by restore() after a restart. Runs that
+ * fell due while the server was down are handled by the missed-run policy of
+ * the schedule:
+ *
+ *   skip      - record that runs were missed and wait for the next one
+ *   run-once  - run once on startup for all missed runs
+ *   catch-up  - run once for every missed run, oldest first (at most 24)
+ *
+ * A schedule runs either a Node.js script in the worker thread (the script
+ * exports run()) or a job registered in-process with registerJob(), such as
+ * the git space sync.
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const getWorkerInstance = require('../../working/');
+const {
+  parseCronExpression,
+  getNextCronRun,
+  getCronRunsBetween,
+  isValidTimezone
+} = require('./cron');
+
+/** @const {Array<string>} Ways of handling runs missed while the server was down */
+const MISSED_RUN_POLICIES = ['skip', 'run-once', 'catch-up'];
+
+/** @const {number} Most missed runs replayed by the catch-up policy */
+const MAX_CATCH_UP_RUNS = 24;
+
+/** @const {number} Longest delay setTimeout accepts */
+const MAX_TIMER_DELAY = 2147483647;
+
+/** @const {number} Characters of a run's output kept in its history */
+const OUTPUT_LENGTH = 500;
+
+const PROJECT_ROOT = path.join(__dirname, '../../../../..');
+
+/**
+ * Validates and normalises a persisted schedule definition.
+ * @param {Object} input name, cron, timezone, missedRunPolicy and either
+ *     script (relative to the project root) or job.
+ * @param {Object=} options jobs: names of registered jobs; projectRoot.
+ * @return {{definition: Object|null, error: string|null}} The definition, or why it is invalid.
+ */
+function validateScheduleDefinition(input, options = {}) {
+  const {
+    name,
+    cron,
+    timezone = 'UTC',
+    missedRunPolicy = 'skip',
+    script,
+    job
+  } = input || {};
+  const projectRoot = options.projectRoot || PROJECT_ROOT;
+
+  if (typeof name !== 'string' || !/^[\w.-]{1,100}$/.test(name)) {
+    return { definition: null, error: 'Schedule name must be 1-100 letters, digits, dots, dashes or underscores' };
+  }
+  try {
+    parseCronExpression(cron);
+  } catch (error) {
+    return { definition: null, error: `Invalid cron expression: ${error.message}` };
+  }
+  if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+    return { definition: null, error: `Unknown time zone: ${timezone}` };
+  }
+  if (!MISSED_RUN_POLICIES.includes(missedRunPolicy)) {
+    return { definition: null, error: `Missed run policy must be one of: ${MISSED_RUN_POLICIES.join(', ')}` };
+  }
+  if (Boolean(script) === Boolean(job)) {
+    return { definition: null, error: 'A schedule needs either a script or a job' };
+  }
+  if (job && !(options.jobs || []).includes(job)) {
+    return { definition: null, error: `Unknown job: ${job}` };
+  }
+  if (script) {
+    const resolved = path.resolve(projectRoot, String(script));
+    if (!resolved.startsWith(projectRoot + path.sep) || path.extname(resolved) !== '.js') {
+      return { definition: null, error: 'Script must be a .js file inside the project' };
+    }
+    if (!fs.existsSync(resolved)) {
+      return { definition: null, error: `Script not found: ${script}` };
+    }
+  }
+
+  return {
+    definition: {
+      name,
+      cron: cron.trim(),
+      timezone,
+      missedRunPolicy,
+      script: script ? path.relative(projectRoot, path.resolve(projectRoot, String(script))) : null,
+      job: job || null
+    },
+    error: null
+  };
+}
 
 /**
  * Manages scheduling and execution of tasks in a worker thread.
@@ -10,16 +109,55 @@ const getWorkerInstance = require('../../working/');
 class SchedulerProvider {
   /**
    * Initializes the SchedulerProvider.
+   * @param {Object} options Options; schedulesPath is the file schedules are
+   *     saved to (null keeps them in memory) and historyLimit the number of
+   *     runs kept per task.
+   * @param {EventEmitter} eventEmitter Event emitter for scheduler events.
    */
   constructor(options, eventEmitter) {
+    options = options || {};
     this.eventEmitter_ = eventEmitter;
     /** @private {Map<string, object>} */
     this.tasks_ = new Map();
     /** @private {WorkerProvider} */
     this.worker_ = getWorkerInstance('memory', options, this.eventEmitter_);
-    
+
     /** @private @const {!Map<string, Object>} */
     this.scheduleStats_ = new Map();
+
+    /** @private {string|null} */
+    this.schedulesPath_ = options.schedulesPath === undefined
+      ? path.join(PROJECT_ROOT, 'server-data/schedules.json')
+      : options.schedulesPath;
+    /** @private {number} */
+    this.historyLimit_ = options.historyLimit || 50;
+    /** @private @const {!Map<string, Object>} Persisted schedule definitions */
+    this.definitions_ = new Map();
+    /** @private @const {!Map<string, Array<Object>>} Runs per task, newest first */
+    this.history_ = new Map();
+    /** @private @const {!Map<string, Function>} In-process jobs by name */
+    this.jobs_ = new Map();
+    /** @private {boolean} Whether a script is running in the worker thread */
+    this.workerBusy_ = false;
+    /** @private {Promise} Serializes writes of the schedules file */
+    this.persistChain_ = Promise.resolve();
+  }
+
+  /**
+   * Registers an in-process job that schedules can run by name.
+   * @param {string} name The job name, such as 'git-sync'.
+   * @param {function(): Promise<*>} handler Runs the job; a rejection marks the run as failed.
+   */
+  registerJob(name, handler) {
+    this.jobs_.set(name, handler);
+  }
+
+  /**
+   * Lists the names of registered in-process jobs.
+   * @return {Array<string>} Job names.
+   */
+  getJobNames() {
+    return Array.from(this.jobs_.keys());
   }
 
   /**
@@ -28,8 +166,10 @@ class SchedulerProvider {
    * @param {string|number} scheduleOrInterval Either a cron expression string or interval in seconds.
    * @param {string=} scriptPath The absolute path to the Node.js file to execute (optional for cron mode).
    * @param {Function=} executionCallback Optional callback function to be called on each execution.
+   * @param {Object=} options timezone of a cron expression (default UTC) and
+   *     job, the name of a registered job to run instead of a script.
    */
-  async start(taskName, scheduleOrInterval, scriptPath, executionCallback) {
+  async start(taskName, scheduleOrInterval, scriptPath, executionCallback, options = {}) {
     if (this.tasks_.has(taskName)) {
       if (this.eventEmitter_)
         this.eventEmitter_.emit('scheduler:start:error', {
@@ -39,58 +179,32 @@ class SchedulerProvider {
       return;
     }
 
+    const timezone = options.timezone || 'UTC';
+    // Throws on an invalid expression before anything is registered
+    const cron = typeof scheduleOrInterval === 'string' ? parseCronExpression(scheduleOrInterval) : null;
+
     // Initialize schedule statistics
-    this._initializeScheduleStats(taskName, scheduleOrInterval);
+    this._initializeScheduleStats(taskName, scheduleOrInterval, timezone);
 
-    const executeTask = () => {
-      this._updateScheduleStats(taskName, 'execute');
-      
-      if (scriptPath) {
-        this.worker_.start(scriptPath, null, (status, data) => {
-          if (executionCallback) {
-            executionCallback(status, data);
-          }
-          if (this.eventEmitter_)
-            this.eventEmitter_.emit('scheduler:taskExecuted', {
-              taskName,
-              scriptPath,
-              status,
-              data,
-            });
-        });
-      } else {
-        // For cron mode without script path, just track execution
-        if (executionCallback) {
-          executionCallback('completed', { taskName, executedAt: new Date().toISOString() });
-        }
-        if (this.eventEmitter_)
-          this.eventEmitter_.emit('scheduler:taskExecuted', {
-            taskName,
-            status: 'completed',
-            data: { executedAt: new Date().toISOString() },
-          });
-      }
+    const task = {
+      intervalId: null,
+      timeoutId: null,
+      scriptPath,
+      job: options.job || null,
+      executionCallback,
+      schedule: scheduleOrInterval,
+      timezone,
     };
+    this.tasks_.set(taskName, task);
 
-    let intervalId;
-    
     // Handle both cron expressions and interval seconds
-    if (typeof scheduleOrInterval === 'string') {
-      // Cron expression mode - for now, execute every minute for demo
-      // In production, you'd use a proper cron parser like node-cron
-      intervalId = setInterval(executeTask, 60 * 1000); // Every minute for demo
+    if (cron) {
+      this._armCronTimer(taskName, task, cron);
     } else {
       // Interval mode (legacy support)
-      executeTask(); // Execute immediately
-      intervalId = setInterval(executeTask, scheduleOrInterval * 1000);
+      this._runTask(taskName, { trigger: 'schedule' }); // Execute immediately
+      task.intervalId = setInterval(() => this._runTask(taskName, { trigger: 'schedule' }), scheduleOrInterval * 1000);
     }
-    
-    this.tasks_.set(taskName, {
-      intervalId,
-      scriptPath,
-      executionCallback,
-      schedule: scheduleOrInterval,
-    });
 
     if (this.eventEmitter_)
       this.eventEmitter_.emit('scheduler:started', {
@@ -109,6 +223,7 @@ class SchedulerProvider {
       if (this.tasks_.has(taskName)) {
         const task = this.tasks_.get(taskName);
         clearInterval(task.intervalId);
+        clearTimeout(task.timeoutId);
         this.tasks_.delete(taskName);
         // Don't remove stats when stopping - keep historical data
         if (this.eventEmitter_)
@@ -117,6 +232,7 @@ class SchedulerProvider {
     } else {
       this.tasks_.forEach((task, name) => {
         clearInterval(task.intervalId);
+        clearTimeout(task.timeoutId);
         if (this.eventEmitter_)
           this.eventEmitter_.emit('scheduler:stopped', { taskName: name });
       });
@@ -129,11 +245,375 @@ class SchedulerProvider {
   }
 
   /**
-   * Alias for stop method to match the API routes expectation.
+   * Stops a task and deletes its saved schedule, if it has one, so that it
+   * is not started again after a restart. Its run history is kept.
    * @param {string} taskName The name of the task to cancel.
    */
   async cancel(taskName) {
-    return this.stop(taskName);
+    await this.stop(taskName);
+    if (this.definitions_.delete(taskName)) {
+      await this._persist();
+    }
+  }
+
+  /**
+   * Creates a schedule that is saved and started again after a restart.
+   * @param {string} name The schedule name, also the task name.
+   * @param {string} cron A 5- or 6-field cron expression.
+   * @param {Object=} options timezone, missedRunPolicy, and either script
+   *     (relative to the project root) or job.
+   * @return {Promise<Object>} The schedule, as returned by getSchedule().
+   * @throws {Error} When the schedule is invalid or the name is taken.
+   */
+  async schedule(name, cron, options = {}) {
+    const { definition, error } = validateScheduleDefinition(
+      { ...options, name, cron },
+      { jobs: this.getJobNames() }
+    );
+    if (error) {
+      throw new Error(error);
+    }
+    if (this.tasks_.has(name) || this.definitions_.has(name)) {
+      throw new Error(`Task already scheduled: ${name}`);
+    }
+
+    this.definitions_.set(name, {
+      ...definition,
+      createdAt: new Date().toISOString(),
+      lastScheduledRun: null
+    });
+    await this._startDefinition(name);
+    await this._persist();
+    return this.getSchedule(name);
+  }
+
+  /**
+   * Deletes a saved schedule. Same as cancel().
+   * @param {string} name The schedule name.
+   */
+  async unschedule(name) {
+    return this.cancel(name);
+  }
+
+  /**
+   * Lists saved schedules with their next run and latest result.
+   * @return {Array<Object>} The schedules.
+   */
+  listScheduled() {
+    return Array.from(this.definitions_.keys()).map(name => this.getSchedule(name));
+  }
+
+  /**
+   * Gets a saved schedule with its next run and latest result.
+   * @param {string} name The schedule name.
+   * @return {Object|null} The schedule, or null when there is none.
+   */
+  getSchedule(name) {
+    const definition = this.definitions_.get(name);
+    if (!definition) {
+      return null;
+    }
+    const task = this.tasks_.get(name);
+    const [lastRun] = this.history_.get(name) || [];
+    return {
+      ...definition,
+      active: Boolean(task),
+      nextRun: task && task.nextRun ? task.nextRun.toISOString() : null,
+      lastRun: lastRun || null
+    };
+  }
+
+  /**
+   * Gets the recent runs of a task.
+   * @param {string} taskName The task name.
+   * @param {number=} limit Number of runs to return.
+   * @return {Array<Object>} Runs, newest first.
+   */
+  getRunHistory(taskName, limit = this.historyLimit_) {
+    return (this.history_.get(taskName) || []).slice(0, limit);
+  }
+
+  /**
+   * Runs a task now, outside its schedule.
+   * @param {string} taskName The task name.
+   * @return {Promise<Object>} The finished run.
+   * @throws {Error} When there is no such task.
+   */
+  async executeNow(taskName) {
+    if (!this.tasks_.has(taskName)) {
+      throw new Error(`Task not found: ${taskName}`);
+    }
+    return this._runTask(taskName, { trigger: 'manual' });
+  }
+
+  /**
+   * Loads saved schedules and run history and starts the schedules, applying
+   * the missed-run policy of each to runs that fell due while stopped.
+   * @return {Promise<number>} Number of schedules started.
+   */
+  async restore() {
+    const data = this._load();
+    for (const [name, runs] of Object.entries(data.history || {})) {
+      this.history_.set(name, runs.slice(0, this.historyLimit_));
+    }
+
+    let started = 0;
+    for (const saved of Object.values(data.schedules || {})) {
+      const { definition, error } = validateScheduleDefinition(saved, { jobs: this.getJobNames() });
+      if (error) {
+        console.error(`Not restoring schedule ${saved && saved.name}: ${error}`);
+        continue;
+      }
+      if (this.tasks_.has(definition.name)) {
+        continue;
+      }
+      this.definitions_.set(definition.name, {
+        ...definition,
+        createdAt: saved.createdAt || new Date().toISOString(),
+        lastScheduledRun: saved.lastScheduledRun || null
+      });
+      await this._startDefinition(definition.name);
+      this._handleMissedRuns(definition.name);
+      started++;
+    }
+    return started;
+  }
+
+  /**
+   * Starts the task of a saved schedule.
+   * @param {string} name The schedule name.
+   * @private
+   */
+  async _startDefinition(name) {
+    const definition = this.definitions_.get(name);
+    const scriptPath = definition.script ? path.resolve(PROJECT_ROOT, definition.script) : undefined;
+    await this.start(name, definition.cron, scriptPath, undefined, {
+      timezone: definition.timezone,
+      job: definition.job
+    });
+  }
+
+  /**
+   * Applies the missed-run policy of a saved schedule to the runs that fell
+   * due between its last run (or creation) and now.
+   * @param {string} name The schedule name.
+   * @private
+   */
+  _handleMissedRuns(name) {
+    const definition = this.definitions_.get(name);
+    const since = definition.lastScheduledRun || definition.createdAt;
+    const missed = getCronRunsBetween(
+      definition.cron, new Date(since), Date.now(), definition.timezone, MAX_CATCH_UP_RUNS + 1
+    );
+    if (missed.length === 0) {
+      return;
+    }
+
+    const last = missed[missed.length - 1];
+    if (definition.missedRunPolicy === 'skip') {
+      definition.lastScheduledRun = last.toISOString();
+      this._recordRun(name, {
+        trigger: 'missed',
+        scheduledFor: last.toISOString(),
+        status: 'skipped',
+        output: `${missed.length > MAX_CATCH_UP_RUNS ? `More than ${MAX_CATCH_UP_RUNS}` : missed.length} missed run(s) skipped`
+      });
+      return;
+    }
+
+    const replay = definition.missedRunPolicy === 'run-once' ? [last] : missed.slice(-MAX_CATCH_UP_RUNS);
+    replay.reduce(
+      (previous, scheduledFor) => previous.then(() => this._runTask(name, { trigger: 'missed', scheduledFor })),
+      Promise.resolve()
+    );
+  }
+
+  /**
+   * Sets the timer for the next run of a cron task.
+   * @param {string} taskName The task name.
+   * @param {Object} task The task entry.
+   * @param {Object} cron The parsed cron expression.
+   * @private
+   */
+  _armCronTimer(taskName, task, cron) {
+    task.nextRun = getNextCronRun(cron, Date.now(), task.timezone);
+    if (!task.nextRun) {
+      return;
+    }
+    const wait = () => {
+      const delay = task.nextRun.getTime() - Date.now();
+      if (delay > MAX_TIMER_DELAY) {
+        task.timeoutId = setTimeout(wait, MAX_TIMER_DELAY);
+        return;
+      }
+      task.timeoutId = setTimeout(() => {
+        if (this.tasks_.get(taskName) !== task) return;
+        const scheduledFor = task.nextRun;
+        this._runTask(taskName, { trigger: 'schedule', scheduledFor });
+        this._armCronTimer(taskName, task, cron);
+      }, Math.max(0, delay));
+    };
+    wait();
+  }
+
+  /**
+   * Runs a task once and records the run in its history.
+   * @param {string} taskName The task name.
+   * @param {Object} run trigger ('schedule', 'missed' or 'manual') and scheduledFor.
+   * @return {Promise<Object>} The finished run.
+   * @private
+   */
+  async _runTask(taskName, { trigger, scheduledFor }) {
+    const task = this.tasks_.get(taskName);
+    if (!task) {
+      return null;
+    }
+    this._updateScheduleStats(taskName, 'execute');
+
+    const definition = this.definitions_.get(taskName);
+    if (definition && scheduledFor && trigger !== 'manual') {
+      definition.lastScheduledRun = scheduledFor.toISOString();
+    }
+
+    const startedAt = Date.now();
+    let status;
+    let data;
+    if (task.job) {
+      const handler = this.jobs_.get(task.job);
+      try {
+        if (!handler) throw new Error(`Unknown job: ${task.job}`);
+        data = await handler();
+        status = 'completed';
+      } catch (error) {
+        status = 'error';
+        data = error.message;
+      }
+    } else if (task.scriptPath) {
+      ({ status, data } = await this._runScript(task.scriptPath));
+    } else {
+      // For cron mode without script path, just track execution
+      status = 'completed';
+      data = { taskName, executedAt: new Date().toISOString() };
+    }
+
+    if (task.executionCallback && status !== 'skipped') {
+      task.executionCallback(status, data);
+    }
+    if (this.eventEmitter_)
+      this.eventEmitter_.emit('scheduler:taskExecuted', {
+        taskName,
+        ...(task.scriptPath ? { scriptPath: task.scriptPath } : {}),
+        status,
+        data,
+      });
+
+    return this._recordRun(taskName, {
+      trigger,
+      scheduledFor: (scheduledFor ? scheduledFor : new Date(startedAt)).toISOString(),
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      status,
+      output: data
+    });
+  }
+
+  /**
+   * Runs a script in the worker thread. Only one script runs at a time; a
+   * run that finds the worker busy is skipped.
+   * @param {string} scriptPath Absolute path of the script.
+   * @return {Promise<{status: string, data: *}>} The exit status and result.
+   * @private
+   */
+  _runScript(scriptPath) {
+    if (this.workerBusy_) {
+      return Promise.resolve({ status: 'skipped', data: 'Worker busy with another task' });
+    }
+    this.workerBusy_ = true;
+    return new Promise(resolve => {
+      this.worker_.start(scriptPath, null, (status, data) => {
+        this.workerBusy_ = false;
+        resolve({ status, data });
+      });
+    });
+  }
+
+  /**
+   * Adds a run to the history of a task and saves it for saved schedules.
+   * @param {string} taskName The task name.
+   * @param {Object} run The run.
+   * @return {Object} The recorded run.
+   * @private
+   */
+  _recordRun(taskName, run) {
+    let output = run.output;
+    if (output !== undefined && output !== null && typeof output !== 'string') {
+      output = JSON.stringify(output);
+    }
+    const entry = {
+      id: crypto.randomUUID(),
+      ...run,
+      output: output ? output.slice(0, OUTPUT_LENGTH) : null
+    };
+    const runs = this.history_.get(taskName) || [];
+    runs.unshift(entry);
+    this.history_.set(taskName, runs.slice(0, this.historyLimit_));
+
+    const stats = this.scheduleStats_.get(taskName);
+    if (stats) {
+      stats["last status"] = entry.status;
+    }
+    if (this.definitions_.has(taskName)) {
+      this._persist();
+    }
+    return entry;
+  }
+
+  /**
+   * Reads the schedules file.
+   * @return {{schedules: Object, history: Object}} Saved schedules and run history.
+   * @private
+   */
+  _load() {
+    if (!this.schedulesPath_ || !fs.existsSync(this.schedulesPath_)) {
+      return { schedules: {}, history: {} };
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.schedulesPath_, 'utf8'));
+    } catch (error) {
+      console.error('Failed to read saved schedules:', error.message);
+      return { schedules: {}, history: {} };
+    }
+  }
+
+  /**
+   * Writes saved schedules and their run history to the schedules file.
+   * @return {Promise<void>}
+   * @private
+   */
+  _persist() {
+    if (!this.schedulesPath_) {
+      return Promise.resolve();
+    }
+    this.persistChain_ = this.persistChain_.then(async () => {
+      const history = {};
+      for (const name of this.definitions_.keys()) {
+        history[name] = this.history_.get(name) || [];
+      }
+      const data = {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        schedules: Object.fromEntries(this.definitions_),
+        history
+      };
+      const tempPath = `${this.schedulesPath_}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.schedulesPath_), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tempPath, this.schedulesPath_);
+    }).catch(error => {
+      console.error('Failed to save schedules:', error.message);
+    });
+    return this.persistChain_;
   }
 
   /**
@@ -152,16 +632,19 @@ class SchedulerProvider {
    * Initializes statistics for a schedule.
    * @param {string} scheduleName The schedule name.
    * @param {string|number} schedule The schedule expression or interval.
+   * @param {string} timezone Time zone of a cron expression.
    * @private
    */
-  _initializeScheduleStats(scheduleName, schedule) {
+  _initializeScheduleStats(scheduleName, schedule, timezone) {
     const now = Date.now();
     const stats = {
       schedulename: scheduleName,
       "no of executions": 0,
       "last run": null,
-      "next run": this._calculateNextRun(schedule, now),
+      "next run": this._calculateNextRun(schedule, now, timezone),
+      "last status": null,
       schedule: schedule,
+      timezone: timezone,
       created: now
     };
     this.scheduleStats_.set(scheduleName, stats);
@@ -200,7 +683,7 @@ class SchedulerProvider {
     if (operation === 'execute') {
       stats["no of executions"]++;
       stats["last run"] = this._formatTimestamp(now);
-      stats["next run"] = this._calculateNextRun(stats.schedule, now);
+      stats["next run"] = this._calculateNextRun(stats.schedule, now, stats.timezone);
     }
   }
 
@@ -208,15 +691,16 @@ class SchedulerProvider {
    * Calculates the next run time for a schedule.
    * @param {string|number} schedule The schedule expression or interval.
    * @param {number} fromTime The base time to calculate from.
-   * @return {string} Formatted next run time.
+   * @param {string=} timezone Time zone of a cron expression.
+   * @return {string|null} Formatted next run time, or null if it never runs again.
    * @private
    */
-  _calculateNextRun(schedule, fromTime) {
+  _calculateNextRun(schedule, fromTime, timezone = 'UTC') {
     let nextRunTime;
     
     if (typeof schedule === 'string') {
-      // For cron expressions, calculate next minute for demo
-      nextRunTime = new Date(fromTime + 60 * 1000);
+      nextRunTime = getNextCronRun(schedule, fromTime, timezone);
+      if (!nextRunTime) return null;
     } else {
       // For intervals, add the interval seconds
       nextRunTime = new Date(fromTime + schedule * 1000);
@@ -238,7 +722,7 @@ class SchedulerProvider {
       day: '2-digit',
       hour: '2-digit',
       minute: '2-digit',
-      hour12: false
+      hourCycle: 'h23'
     });
   }
 
@@ -257,3 +741,5 @@ class SchedulerProvider {
 }
 
 module.exports = SchedulerProvider;
+module.exports.MISSED_RUN_POLICIES = MISSED_RUN_POLICIES;
+module.exports.validateScheduleDefinition = validateScheduleDefinition;
@@ -7,6 +7,7 @@
 const swaggerUi = require('swagger-ui-express');
 const path = require('path');
 const fs = require('fs');
+const { validateScheduleDefinition, MISSED_RUN_POLICIES } = require('../providers/scheduling');
 
 module.exports = (options, eventEmitter, scheduler) => {
 
@@ -24,15 +25,26 @@ module.exports = (options, eventEmitter, scheduler) => {
     }
 
     app.post('/api/scheduling/schedule', (req, res) => {
-      const { task, cron } = req.body;
-      if (task && cron) {
-        scheduler
-          .start(task, cron)
-          .then(() => res.status(200).send('OK'))
-          .catch((err) => res.status(500).send(err.message));
-      } else {
-        res.status(400).send('Bad Request: Missing task or cron expression');
+      const { task, cron, script, job, timezone, missedRunPolicy } = req.body;
+      // The task may also be given as an object with a name
+      const name = task && typeof task === 'object' ? task.name : task;
+      if (!name || !cron) {
+        return res.status(400).send('Bad Request: Missing task or cron expression');
       }
+      const { error } = validateScheduleDefinition(
+        { name, cron, script, job, timezone, missedRunPolicy },
+        { jobs: scheduler.getJobNames() }
+      );
+      if (error) {
+        return res.status(400).send(`Bad Request: ${error}`);
+      }
+      if (scheduler.getSchedule(name)) {
+        return res.status(409).send(`Task already scheduled: ${name}`);
+      }
+      scheduler
+        .schedule(name, cron, { script, job, timezone, missedRunPolicy })
+        .then((schedule) => res.status(200).json(schedule))
+        .catch((err) => res.status(500).send(err.message));
     });
 
     app.delete('/api/scheduling/cancel/:taskId', (req, res) => {
@@ -43,6 +55,31 @@ module.exports = (options, eventEmitter, scheduler) => {
         .catch((err) => res.status(500).send(err.message));
     });
 
+    app.get('/api/scheduling/schedules', (req, res) => {
+      res.status(200).json(scheduler.listScheduled());
+    });
+
+    app.get('/api/scheduling/schedules/:taskId/history', (req, res) => {
+      const limit = parseInt(req.query.limit, 10);
+      res.status(200).json(scheduler.getRunHistory(req.params.taskId, limit > 0 ? limit : undefined));
+    });
+
+    app.post('/api/scheduling/schedules/:taskId/run', (req, res) => {
+      scheduler
+        .isRunning(req.params.taskId)
+        .then((running) => {
+          if (!running) {
+            return res.status(404).send(`Task not found: ${req.params.taskId}`);
+          }
+          return scheduler.executeNow(req.params.taskId).then((run) => res.status(200).json(run));
+        })
+        .catch((err) => res.status(500).send(err.message));
+    });
+
+    app.get('/api/scheduling/jobs', (req, res) => {
+      res.status(200).json({ jobs: scheduler.getJobNames(), missedRunPolicies: MISSED_RUN_POLICIES });
+    });
+
     app.get('/api/scheduling/status', (req, res) => {
       eventEmitter.emit('api-scheduling-status', 'scheduling api running');
       res.status(200).json('scheduling api running');
@@ -25,12 +25,12 @@ class SchedulingSingleton extends ServiceSingleton {
   /**
    * Convenience methods that delegate to the scheduling instance
    */
-  async schedule(name, schedule, task, options = {}) {
+  async schedule(name, schedule, options = {}) {
     const scheduling = this.getInstance();
     if (scheduling.schedule) {
-      return scheduling.schedule(name, schedule, task, options);
+      return scheduling.schedule(name, schedule, options);
     }
-    console.log(`[SCHEDULER] Schedule ${name} with ${schedule}:`, task);
+    console.log(`[SCHEDULER] Schedule ${name} with ${schedule}:`, options);
   }
 
   async unschedule(name) {
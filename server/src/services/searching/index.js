@@ -1,34 +1,48 @@
 /**
  * @fileoverview Factory for the Search service.
  * 
- * This module provides a factory function for creating SearchService instances
+ * This module provides a factory function for creating search service instances
  * with integrated routing capabilities. It initializes the search provider and
- * sets up API routes for search functionality.
+ * sets up API routes for search functionality. The 'indexed' type provides a
+ * persistent inverted index with BM25 ranking; any other type falls back to
+ * the simple in-memory SearchService. The indexed service also carries a
+ * PassageIndex as `searching.passages`, the passages questions about a space
+ * are answered from.
  * 
  * Methods:
  * - createSearchService(type, options, eventEmitter): Creates search service instance
  */
 'use strict';
 const SearchService = require('./provider/searching.js');
+const IndexedSearchService = require('./provider/searchingIndexed.js');
+const PassageIndex = require('./provider/passageIndex.js');
 const Routes = require('./routes');
 
 /**
- * Creates a SearchService instance with routing capabilities.
+ * Creates a search service instance with routing capabilities.
  * 
- * This factory function instantiates a SearchService with the specified configuration,
+ * This factory function instantiates the search provider for the given type,
  * initializes API routes for search operations, and emits lifecycle events for
- * service tracking. The search service provides text-based search functionality
- * with Map-based storage.
+ * service tracking.
  * 
- * @param {string} type - The type of search service to create (currently unused)
+ * @param {string} type - The type of search service to create ('indexed' or 'memory')
  * @param {Object} options - Configuration options for the search service
  * @param {EventEmitter} eventEmitter - Event emitter for service communication
- * @returns {SearchService} Configured search service instance
+ * @returns {SearchService|IndexedSearchService} Configured search service instance
  * @emits {string} 'Search Service Intantiated' - When search service is created
  */
 function createSearchService(type, options, eventEmitter) {
   eventEmitter.emit('Search Service Intantiated', {});
-  const searching = new SearchService(options, eventEmitter);
+  let searching;
+  if (type === 'indexed') {
+    searching = new IndexedSearchService(options, eventEmitter);
+    searching.passages = new PassageIndex({
+      indexPath: options.indexPath === null ? null : options.passageIndexPath,
+      persistDelay: options.persistDelay
+    });
+  } else {
+    searching = new SearchService(options, eventEmitter);
+  }
   Routes(options, eventEmitter, searching);
   return searching;
 }
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Passage index for answering questions over a space.
+ *
+ * Documents are split into passages at their headings, and long sections at
+ * paragraph breaks, so each passage can be quoted to a model as a source. The
+ * passages are kept in their own IndexedSearchService, apart from the
+ * document index, and retrieved with BM25 matching any term of the question.
+ * Passage keys are `${documentKey}#${n}` where the document key is the
+ * `${spaceName}:${path}` key of the document index.
+ */
+
+const path = require('path');
+const IndexedSearchService = require('./searchingIndexed.js');
+
+/** Words that carry no meaning in a question, on top of the index stop words */
+const QUESTION_WORDS = new Set([
+  'how', 'what', 'why', 'when', 'where', 'which', 'who', 'whom', 'whose',
+  'do', 'does', 'did', 'can', 'could', 'should', 'would', 'we', 'our', 'us',
+  'i', 'me', 'my', 'you', 'your', 'is', 'am', 'have', 'has', 'any', 'about'
+]);
+
+/**
+ * Returns the anchor a Markdown renderer gives a heading (GitHub style).
+ * @param {string} heading - Heading text.
+ * @returns {string} The anchor, without #.
+ */
+function slugifyHeading(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/<[^>]+>/g, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Splits text longer than maxLength at sentence ends, or anywhere when a
+ * sentence is too long.
+ * @private
+ */
+function splitLongText(text, maxLength) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxLength) {
+    const window = rest.slice(0, maxLength);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'), window.lastIndexOf('\n'));
+    const cut = sentenceEnd > maxLength / 2 ? sentenceEnd + 1 : maxLength;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
+/**
+ * Splits Markdown into passages. A passage never spans two sections; a
+ * section longer than maxLength is split between paragraphs. Fenced code is
+ * kept with its section, and front matter is left out.
+ * @param {string} markdown - The document.
+ * @param {Object} [options] - Chunking options.
+ * @param {number} [options.maxLength=1200] - Most characters of a passage.
+ * @returns {Array<{index: number, heading: string, anchor: string, text: string}>} The passages.
+ */
+function chunkMarkdown(markdown, options = {}) {
+  const maxLength = options.maxLength || 1200;
+  const text = (markdown || '').replace(/\r\n/g, '\n').replace(/^---\n[\s\S]*?\n---\n/, '');
+
+  // Group lines into sections under their heading
+  const sections = [];
+  let current = { heading: '', lines: [] };
+  let inFence = false;
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    const heading = !inFence && line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push(current);
+      current = { heading: heading[1].trim(), lines: [line] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  const passages = [];
+  for (const section of sections) {
+    const body = section.lines.join('\n').trim();
+    // A heading on its own is not worth quoting
+    if (!body || body.replace(/^#{1,6}\s+.*$/m, '').trim() === '') {
+      continue;
+    }
+
+    let passage = '';
+    const flush = () => {
+      if (passage.trim()) {
+        passages.push({ heading: section.heading, anchor: slugifyHeading(section.heading), text: passage.trim() });
+      }
+      passage = '';
+    };
+    for (const paragraph of body.split(/\n\s*\n/)) {
+      if (passage && passage.length + paragraph.length + 2 > maxLength) {
+        flush();
+      }
+      if (paragraph.length > maxLength) {
+        splitLongText(paragraph, maxLength).forEach(piece => {
+          passage = piece;
+          flush();
+        });
+      } else {
+        passage += (passage ? '\n\n' : '') + paragraph;
+      }
+    }
+    flush();
+  }
+
+  return passages.map((passage, index) => ({ index, ...passage }));
+}
+
+/**
+ * Turns a question into a query for the passage index: words only, without
+ * question words, so quotes and asterisks are not read as query syntax.
+ * @param {string} question - The question.
+ * @returns {string} The query.
+ */
+function questionToQuery(question) {
+  return (question || '')
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !QUESTION_WORDS.has(word.toLowerCase()))
+    .join(' ');
+}
+
+class PassageIndex {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string|null} [options.indexPath] - File the passages are persisted to; null keeps them in memory
+   * @param {number} [options.persistDelay] - Debounce in ms before changes are written to disk
+   * @param {number} [options.maxLength=1200] - Most characters of a passage
+   */
+  constructor(options = {}) {
+    this.maxLength = options.maxLength || 1200;
+    this.index = new IndexedSearchService({
+      indexPath: options.indexPath === undefined
+        ? path.join(__dirname, '../../../../../server-data/passage-index.json')
+        : options.indexPath,
+      persistDelay: options.persistDelay,
+      titleBoost: 2
+    });
+  }
+
+  /**
+   * Replaces the passages of a document. Unchanged passages are left as they are.
+   * @param {string} key - Key of the document, `${spaceName}:${path}`
+   * @param {Object} document - The indexed document: spaceName, filePath, title and content
+   * @returns {Promise<boolean>} True if the index changed
+   */
+  async update(key, document) {
+    const passages = chunkMarkdown(typeof document.content === 'string' ? document.content : '', { maxLength: this.maxLength });
+    const stale = new Set(this.index.keys({ documentKey: key }));
+    let changed = false;
+
+    for (const passage of passages) {
+      const passageKey = `${key}#${passage.index}`;
+      stale.delete(passageKey);
+      const updated = await this.index.update(passageKey, {
+        documentKey: key,
+        spaceName: document.spaceName,
+        filePath: document.filePath,
+        documentTitle: document.title || path.basename(document.filePath || ''),
+        title: passage.heading,
+        anchor: passage.anchor,
+        content: passage.text
+      });
+      changed = changed || updated;
+    }
+    for (const passageKey of stale) {
+      await this.index.remove(passageKey);
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Removes the passages of a document.
+   * @param {string} key - Key of the document
+   * @returns {Promise<boolean>} False if the document had no passages
+   */
+  async remove(key) {
+    const keys = this.index.keys({ documentKey: key });
+    for (const passageKey of keys) {
+      await this.index.remove(passageKey);
+    }
+    return keys.length > 0;
+  }
+
+  /**
+   * Lists the keys of documents that have passages matching a filter.
+   * @param {Object} [filter] - Passage fields that must match, e.g. { spaceName: 'Knowledge' }
+   * @returns {Array<string>} Document keys
+   */
+  documentKeys(filter) {
+    const keys = new Set();
+    for (const passageKey of this.index.keys(filter)) {
+      keys.add(passageKey.slice(0, passageKey.lastIndexOf('#')));
+    }
+    return Array.from(keys);
+  }
+
+  /**
+   * Counts the passages that match a filter.
+   * @param {Object} [filter] - Passage fields that must match
+   * @returns {number} Number of passages
+   */
+  count(filter) {
+    return this.index.count(filter);
+  }
+
+  /**
+   * Finds the passages that best answer a question.
+   * @param {string} question - The question
+   * @param {Object} [options] - Retrieval options
+   * @param {Object} [options.filter] - Passage fields that must match, e.g. { spaceName: 'Knowledge' }
+   * @param {number} [options.limit=6] - Most passages to return
+   * @param {number} [options.perDocument=2] - Most passages from one document
+   * @returns {Promise<Array<{key: string, score: number, filePath: string, title: string,
+   *     heading: string, anchor: string, text: string, snippet: string}>>} Passages, best first
+   */
+  async retrieve(question, options = {}) {
+    const limit = options.limit || 6;
+    const perDocument = options.perDocument || 2;
+    const query = questionToQuery(question);
+    if (!query) {
+      return [];
+    }
+
+    const results = await this.index.search(query, { filter: options.filter, limit: limit * 5, match: 'any' });
+    const perFile = new Map();
+    const passages = [];
+    for (const result of results) {
+      const { documentKey, filePath, documentTitle, title, anchor, content } = result.document;
+      const taken = perFile.get(documentKey) || 0;
+      if (taken >= perDocument) {
+        continue;
+      }
+      perFile.set(documentKey, taken + 1);
+      passages.push({
+        key: result.key,
+        score: result.score,
+        filePath,
+        title: documentTitle,
+        heading: title,
+        anchor,
+        text: content,
+        snippet: result.snippet
+      });
+      if (passages.length >= limit) {
+        break;
+      }
+    }
+    return passages;
+  }
+
+  /**
+   * Returns passage index statistics.
+   */
+  async getStats() {
+    return this.index.getStats();
+  }
+
+  /**
+   * Writes any pending changes to disk immediately.
+   */
+  async flush() {
+    return this.index.flush();
+  }
+}
+
+PassageIndex.chunkMarkdown = chunkMarkdown;
+PassageIndex.questionToQuery = questionToQuery;
+PassageIndex.slugifyHeading = slugifyHeading;
+
+module.exports = PassageIndex;
@@ -0,0 +1,739 @@
+/**
+ * @fileoverview Indexed search service with a persistent inverted index.
+ *
+ * Documents are tokenized, stemmed and stored in an inverted index that keeps
+ * term positions per document. Queries are ranked with BM25 and support
+ * quoted phrases ("solution design"), prefix terms (arch*) and excluded
+ * terms (-legacy). The index is written to disk so a restart does not require
+ * re-indexing every space.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const INDEX_VERSION = 1;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in',
+  'into', 'is', 'it', 'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the',
+  'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'will', 'with'
+]);
+
+// Suffix rewrites applied once to the longest matching suffix
+const SUFFIX_RULES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['ization', 'ize'], ['isation', 'ize'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['iveness', 'ive'], ['biliti', 'ble'],
+  ['ements', ''], ['ement', ''], ['ments', ''], ['ment', ''],
+  ['ations', 'ate'], ['ation', 'ate'], ['alli', 'al'], ['ities', ''], ['ity', ''],
+  ['ness', ''], ['ful', ''], ['ously', 'ous'], ['ly', '']
+];
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Light Porter-style stemmer. The same function is applied to documents and
+ * queries, so consistency matters more than linguistic precision.
+ * @param {string} word - Lowercase word
+ * @returns {string} The stemmed word
+ */
+function stem(word) {
+  if (word.length < 4 || /\d/.test(word)) {
+    return word;
+  }
+
+  let result = word;
+
+  // Plurals
+  if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('ies') && result.length > 4) {
+    result = result.slice(0, -3) + 'y';
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  // Verb endings, undoubling the final consonant (running -> run)
+  for (const suffix of ['ing', 'ed']) {
+    if (result.endsWith(suffix) && result.length - suffix.length >= 3) {
+      const base = result.slice(0, -suffix.length);
+      if (/[aeiouy]/.test(base)) {
+        result = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+      }
+      break;
+    }
+  }
+
+  for (const [suffix, replacement] of SUFFIX_RULES) {
+    if (result.endsWith(suffix) && result.length - suffix.length >= 3) {
+      result = result.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+
+  // Drop a trailing silent e so "architecture" and "architectural" meet
+  if (result.endsWith('e') && result.length > 4) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+}
+
+/**
+ * Split text into lowercase tokens with their character offsets
+ * @param {string} text - Text to tokenize
+ * @returns {Array<{word: string, term: string, start: number, end: number}>}
+ */
+function tokenizeWithOffsets(text) {
+  const tokens = [];
+  if (!text) {
+    return tokens;
+  }
+  WORD_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = WORD_PATTERN.exec(text)) !== null) {
+    const word = match[0].toLowerCase();
+    tokens.push({
+      word,
+      term: STOP_WORDS.has(word) ? null : stem(word),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Tokenize and stem text, dropping stop words
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Index terms in document order
+ */
+function tokenize(text) {
+  return tokenizeWithOffsets(text).map(token => token.term).filter(Boolean);
+}
+
+/**
+ * Tokenize text into index terms with their word positions. Stop words are
+ * dropped but still occupy a position, so phrases only match adjacent words.
+ * @param {string} text - Text to tokenize
+ * @returns {{terms: Array<{term: string, position: number}>, count: number}}
+ */
+function tokenizeWithPositions(text) {
+  const tokens = tokenizeWithOffsets(text);
+  const terms = [];
+  tokens.forEach((token, position) => {
+    if (token.term) {
+      terms.push({ term: token.term, position });
+    }
+  });
+  return { terms, count: tokens.length };
+}
+
+/**
+ * Build a clause matching the words of a text next to each other
+ * @param {string} text - Text of the phrase
+ * @returns {Object|null} A phrase clause, a term clause for a single word, or null
+ */
+function toPhraseClause(text) {
+  const { terms } = tokenizeWithPositions(text);
+  if (terms.length === 0) {
+    return null;
+  }
+  const start = terms[0].position;
+  return {
+    type: terms.length > 1 ? 'phrase' : 'term',
+    terms: terms.map(entry => entry.term),
+    offsets: terms.map(entry => entry.position - start),
+    raw: text
+  };
+}
+
+/**
+ * Parse a query string into phrase, prefix and term clauses. A leading minus
+ * excludes the documents that match a clause, e.g. `gateway -payments`.
+ * @param {string} query - Raw query, e.g. `"solution design" arch* gateway -legacy`
+ * @returns {Array<{type: string, terms: Array<string>, offsets?: Array<number>, raw: string, exclude?: boolean}>}
+ */
+function parseQuery(query) {
+  const clauses = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query || '')) !== null) {
+    if (match[2] !== undefined) {
+      const clause = toPhraseClause(match[2]);
+      if (clause) {
+        clauses.push(match[1] ? { ...clause, exclude: true } : clause);
+      }
+    } else if (match[4].endsWith('*') && match[4].length > 1) {
+      const prefix = match[4].slice(0, -1).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+      if (prefix) {
+        clauses.push({ type: 'prefix', terms: [prefix], raw: match[4], ...(match[3] ? { exclude: true } : {}) });
+      }
+    } else if (match[3]) {
+      // An excluded word such as -e-mail drops documents with all of its parts
+      const clause = toPhraseClause(match[4]);
+      if (clause) {
+        clauses.push({ ...clause, exclude: true });
+      }
+    } else {
+      const terms = tokenize(match[4]);
+      terms.forEach(term => clauses.push({ type: 'term', terms: [term], raw: match[4] }));
+    }
+  }
+  return clauses;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class IndexedSearchService {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string|null} [options.indexPath] - File the index is persisted to; null keeps it in memory
+   * @param {number} [options.persistDelay=1000] - Debounce in ms before changes are written to disk
+   * @param {number} [options.k1=1.2] - BM25 term frequency saturation
+   * @param {number} [options.b=0.75] - BM25 length normalisation
+   * @param {number} [options.titleBoost=3] - Weight of title terms relative to body terms
+   * @param {EventEmitter} eventEmitter - Event emitter for service events
+   */
+  constructor(options = {}, eventEmitter) {
+    this.indexPath = options.indexPath === undefined
+      ? path.join(__dirname, '../../../../../server-data/search-index.json')
+      : options.indexPath;
+    this.persistDelay = options.persistDelay !== undefined ? options.persistDelay : 1000;
+    this.k1 = options.k1 || 1.2;
+    this.b = options.b !== undefined ? options.b : 0.75;
+    this.titleBoost = options.titleBoost || 3;
+    this.snippetLength = options.snippetLength || 160;
+    this.eventEmitter_ = eventEmitter;
+
+    this.documents = new Map(); // key -> { document, hash, length, terms }
+    this.postings = new Map(); // term -> Map(key -> { tf, positions })
+    this.totalLength = 0;
+    this.persistTimer_ = null;
+
+    this.load_();
+  }
+
+  /**
+   * Adds a document under a new key.
+   * @param {string} key - Unique document key
+   * @param {object} jsonObject - The document to index
+   * @returns {Promise<boolean>} False if the key already exists
+   */
+  async add(key, jsonObject) {
+    if (this.documents.has(key)) {
+      if (this.eventEmitter_)
+        this.eventEmitter_.emit('search:add:error', {
+          sonObject: jsonObject,
+          error: 'Key already exists.',
+        });
+      return false;
+    }
+    this.indexDocument_(key, jsonObject);
+    this.schedulePersist_();
+    if (this.eventEmitter_)
+      this.eventEmitter_.emit('search:add', { jsonObject: jsonObject });
+    return true;
+  }
+
+  /**
+   * Adds or replaces a document. Unchanged documents are left untouched.
+   * @param {string} key - Document key
+   * @param {object} jsonObject - The document to index
+   * @returns {Promise<boolean>} True if the index changed
+   */
+  async update(key, jsonObject) {
+    const existing = this.documents.get(key);
+    if (existing && existing.hash === this.hashDocument_(jsonObject)) {
+      return false;
+    }
+    if (existing) {
+      this.unindexDocument_(key);
+    }
+    this.indexDocument_(key, jsonObject);
+    this.schedulePersist_();
+    if (this.eventEmitter_)
+      this.eventEmitter_.emit('search:update', { key });
+    return true;
+  }
+
+  /**
+   * Removes a document from the index.
+   * @param {string} key - Document key
+   * @returns {Promise<boolean>} False if the key was not found
+   */
+  async remove(key) {
+    if (!this.documents.has(key)) {
+      return false;
+    }
+    this.unindexDocument_(key);
+    this.schedulePersist_();
+    if (this.eventEmitter_)
+      this.eventEmitter_.emit('search:remove', { key });
+    return true;
+  }
+
+  /**
+   * Searches the index and returns ranked results.
+   * @param {string} searchTerm - Query with optional "phrases", prefix* and -excluded terms
+   * @param {Object} [options] - Search options
+   * @param {Object} [options.filter] - Document fields that must match exactly, e.g. { spaceName: 'Knowledge' };
+   *     a function value is called with the field value and must return true
+   * @param {number} [options.limit=20] - Maximum results to return
+   * @param {number} [options.offset=0] - Results to skip
+   * @param {string} [options.match='all'] - 'all' returns documents that satisfy every clause,
+   *     'any' documents that satisfy at least one, for natural language questions
+   * @returns {Promise<Array<{key: string, score: number, document: object, snippet: string}>>}
+   */
+  async search(searchTerm, options = {}) {
+    const clauses = parseQuery(searchTerm);
+    const limit = options.limit || 20;
+    const offset = options.offset || 0;
+
+    let results = [];
+    if (clauses.length > 0) {
+      const scores = this.scoreClauses_(clauses, options.match === 'any');
+      for (const [key, score] of scores.entries()) {
+        const entry = this.documents.get(key);
+        if (!this.matchesFilter_(entry.document, options.filter)) {
+          continue;
+        }
+        results.push({ key, score, entry });
+      }
+      results.sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+      results = results.slice(offset, offset + limit).map(({ key, score, entry }) => ({
+        key,
+        score: Math.round(score * 1000) / 1000,
+        document: entry.document,
+        snippet: this.buildSnippet_(entry.document, clauses)
+      }));
+    }
+
+    if (this.eventEmitter_)
+      this.eventEmitter_.emit('search:search', { searchTerm, results });
+    return results;
+  }
+
+  /**
+   * Lists the keys of indexed documents that match a filter.
+   * @param {Object} [filter] - Document fields that must match exactly
+   * @returns {Array<string>} Matching document keys
+   */
+  keys(filter) {
+    const keys = [];
+    for (const [key, entry] of this.documents.entries()) {
+      if (this.matchesFilter_(entry.document, filter)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Counts the indexed documents that match a filter.
+   * @param {Object} [filter] - Document fields that must match exactly
+   * @returns {number} Number of matching documents
+   */
+  count(filter) {
+    if (!filter) {
+      return this.documents.size;
+    }
+    let total = 0;
+    for (const entry of this.documents.values()) {
+      if (this.matchesFilter_(entry.document, filter)) {
+        total++;
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Removes every document from the index.
+   */
+  async clearIndex() {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    this.schedulePersist_();
+    if (this.eventEmitter_)
+      this.eventEmitter_.emit('search:clear', {});
+  }
+
+  /**
+   * Returns index statistics.
+   */
+  async getStats() {
+    return {
+      documents: this.documents.size,
+      terms: this.postings.size,
+      averageLength: this.documents.size ? this.totalLength / this.documents.size : 0,
+      indexPath: this.indexPath
+    };
+  }
+
+  /**
+   * Writes any pending changes to disk immediately.
+   */
+  async flush() {
+    if (this.persistTimer_) {
+      clearTimeout(this.persistTimer_);
+      this.persistTimer_ = null;
+    }
+    await this.persist_();
+  }
+
+  /**
+   * Extracts the title, body and remaining string fields of a document. The
+   * body is the content field when present; other string fields are still
+   * searchable but are not used for snippets.
+   * @private
+   */
+  extractText_(jsonObject) {
+    if (typeof jsonObject === 'string') {
+      return { title: '', body: jsonObject, extra: '' };
+    }
+    const title = typeof jsonObject.title === 'string'
+      ? jsonObject.title
+      : (jsonObject.fileName || jsonObject.filename || '');
+    const hasContent = typeof jsonObject.content === 'string';
+    const values = [];
+    const collect = (value, prop) => {
+      if (typeof value === 'string') {
+        if (prop !== 'title' && prop !== 'indexedAt') values.push(value);
+      } else if (value && typeof value === 'object') {
+        for (const [childProp, childValue] of Object.entries(value)) {
+          collect(childValue, childProp);
+        }
+      }
+    };
+    for (const [prop, value] of Object.entries(jsonObject)) {
+      if (!(hasContent && prop === 'content')) {
+        collect(value, prop);
+      }
+    }
+    return hasContent
+      ? { title: String(title), body: jsonObject.content, extra: values.join('\n') }
+      : { title: String(title), body: values.join('\n'), extra: '' };
+  }
+
+  /**
+   * Hashes a document to detect unchanged updates. The indexedAt timestamp is
+   * ignored so periodic re-syncs of unchanged files do not rewrite the index.
+   * @private
+   */
+  hashDocument_(jsonObject) {
+    let hashed = jsonObject;
+    if (jsonObject && typeof jsonObject === 'object' && 'indexedAt' in jsonObject) {
+      hashed = { ...jsonObject };
+      delete hashed.indexedAt;
+    }
+    return crypto.createHash('sha1').update(JSON.stringify(hashed)).digest('hex');
+  }
+
+  /** @private */
+  indexDocument_(key, jsonObject) {
+    const { title, body, extra } = this.extractText_(jsonObject);
+    const titleTokens = tokenizeWithPositions(title);
+    const bodyTokens = tokenizeWithPositions(body);
+    const extraTokens = tokenizeWithPositions(extra);
+    const termStats = new Map();
+
+    const record = (term, position, weight) => {
+      let stats = termStats.get(term);
+      if (!stats) {
+        stats = { tf: 0, positions: [] };
+        termStats.set(term, stats);
+      }
+      stats.tf += weight;
+      stats.positions.push(position);
+    };
+
+    // Title and extra field positions are kept apart from the body so
+    // phrases never span two fields
+    titleTokens.terms.forEach(({ term, position }) =>
+      record(term, position - titleTokens.count - 1, this.titleBoost));
+    bodyTokens.terms.forEach(({ term, position }) => record(term, position, 1));
+    extraTokens.terms.forEach(({ term, position }) =>
+      record(term, bodyTokens.count + 1 + position, 1));
+
+    const length = titleTokens.terms.length * this.titleBoost +
+      bodyTokens.terms.length + extraTokens.terms.length;
+    for (const [term, stats] of termStats.entries()) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(key, stats);
+    }
+
+    this.documents.set(key, {
+      document: jsonObject,
+      hash: this.hashDocument_(jsonObject),
+      length,
+      terms: Array.from(termStats.keys())
+    });
+    this.totalLength += length;
+  }
+
+  /** @private */
+  unindexDocument_(key) {
+    const entry = this.documents.get(key);
+    if (!entry) {
+      return;
+    }
+    for (const term of entry.terms) {
+      const posting = this.postings.get(term);
+      if (posting) {
+        posting.delete(key);
+        if (posting.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+    }
+    this.totalLength -= entry.length;
+    this.documents.delete(key);
+  }
+
+  /**
+   * BM25 contribution of one term for every document that contains it.
+   * @private
+   */
+  scoreTerm_(term) {
+    const posting = this.postings.get(term);
+    const scores = new Map();
+    if (!posting) {
+      return scores;
+    }
+    const totalDocs = this.documents.size;
+    const averageLength = totalDocs ? this.totalLength / totalDocs : 0;
+    const idf = Math.log(1 + (totalDocs - posting.size + 0.5) / (posting.size + 0.5));
+
+    for (const [key, stats] of posting.entries()) {
+      const length = this.documents.get(key).length;
+      const norm = this.k1 * (1 - this.b + this.b * (averageLength ? length / averageLength : 0));
+      scores.set(key, idf * (stats.tf * (this.k1 + 1)) / (stats.tf + norm));
+    }
+    return scores;
+  }
+
+  /**
+   * Scores every clause; a document must satisfy all clauses to be returned,
+   * or any of them when matchAny is set. Documents matching an excluded
+   * clause are never returned.
+   * @private
+   */
+  scoreClauses_(clauses, matchAny = false) {
+    let combined = null;
+
+    for (const clause of clauses.filter(entry => !entry.exclude)) {
+      const clauseScores = this.scoreClause_(clause);
+
+      if (combined === null) {
+        combined = clauseScores;
+      } else if (matchAny) {
+        for (const [key, score] of clauseScores.entries()) {
+          combined.set(key, (combined.get(key) || 0) + score);
+        }
+      } else {
+        const next = new Map();
+        for (const [key, score] of combined.entries()) {
+          if (clauseScores.has(key)) {
+            next.set(key, score + clauseScores.get(key));
+          }
+        }
+        combined = next;
+      }
+
+      if (combined.size === 0 && !matchAny) {
+        break;
+      }
+    }
+
+    combined = combined || new Map();
+    for (const clause of clauses.filter(entry => entry.exclude)) {
+      if (combined.size === 0) {
+        break;
+      }
+      for (const key of this.scoreClause_(clause).keys()) {
+        combined.delete(key);
+      }
+    }
+    return combined;
+  }
+
+  /**
+   * Scores the documents that satisfy one clause.
+   * @private
+   */
+  scoreClause_(clause) {
+    const clauseScores = new Map();
+
+    if (clause.type === 'prefix') {
+      for (const term of this.postings.keys()) {
+        if (term.startsWith(clause.terms[0])) {
+          for (const [key, score] of this.scoreTerm_(term).entries()) {
+            clauseScores.set(key, Math.max(clauseScores.get(key) || 0, score));
+          }
+        }
+      }
+    } else {
+      const termScores = clause.terms.map(term => this.scoreTerm_(term));
+      for (const [key, score] of termScores[0].entries()) {
+        if (clause.type === 'phrase' && !this.containsPhrase_(key, clause.terms, clause.offsets)) {
+          continue;
+        }
+        let total = score;
+        for (let i = 1; i < termScores.length; i++) {
+          total += termScores[i].get(key) || 0;
+        }
+        clauseScores.set(key, total);
+      }
+    }
+    return clauseScores;
+  }
+
+  /** @private */
+  containsPhrase_(key, terms, offsets) {
+    const first = this.postings.get(terms[0]).get(key);
+    return first.positions.some(start => terms.every((term, index) => {
+      const stats = this.postings.get(term) && this.postings.get(term).get(key);
+      return stats && stats.positions.includes(start + offsets[index]);
+    }));
+  }
+
+  /** @private */
+  matchesFilter_(document, filter) {
+    if (!filter) {
+      return true;
+    }
+    return Object.entries(filter).every(([field, value]) => {
+      if (value === undefined) {
+        return true;
+      }
+      if (typeof value === 'function') {
+        return Boolean(document) && value(document[field], document);
+      }
+      return Boolean(document) && document[field] === value;
+    });
+  }
+
+  /**
+   * Builds an HTML-escaped snippet around the first match with <mark> highlights.
+   * @private
+   */
+  buildSnippet_(document, clauses) {
+    const { title, body } = this.extractText_(document);
+    const text = body || title;
+    const tokens = tokenizeWithOffsets(text);
+    const exactTerms = new Set();
+    const prefixes = [];
+    clauses.filter(clause => !clause.exclude).forEach(clause => {
+      if (clause.type === 'prefix') {
+        prefixes.push(clause.terms[0]);
+      } else {
+        clause.terms.forEach(term => exactTerms.add(term));
+      }
+    });
+
+    const isHit = (token) => token.term &&
+      (exactTerms.has(token.term) || prefixes.some(prefix => token.word.startsWith(prefix) || token.term.startsWith(prefix)));
+    const hits = tokens.filter(isHit);
+
+    const anchor = hits.length > 0 ? hits[0].start : 0;
+    const start = Math.max(0, anchor - Math.floor(this.snippetLength / 3));
+    const end = Math.min(text.length, start + this.snippetLength);
+
+    let snippet = '';
+    let cursor = start;
+    for (const hit of hits) {
+      if (hit.start < start || hit.end > end) {
+        continue;
+      }
+      snippet += escapeHtml(text.slice(cursor, hit.start)) + '<mark>' + escapeHtml(text.slice(hit.start, hit.end)) + '</mark>';
+      cursor = hit.end;
+    }
+    snippet += escapeHtml(text.slice(cursor, end));
+    snippet = snippet.replace(/\s+/g, ' ').trim();
+
+    return (start > 0 ? '...' : '') + snippet + (end < text.length ? '...' : '');
+  }
+
+  /** @private */
+  schedulePersist_() {
+    if (!this.indexPath) {
+      return;
+    }
+    if (this.persistTimer_) {
+      clearTimeout(this.persistTimer_);
+    }
+    this.persistTimer_ = setTimeout(() => {
+      this.persistTimer_ = null;
+      this.persist_().catch(error => console.error('Failed to persist search index:', error.message));
+    }, this.persistDelay);
+    if (this.persistTimer_.unref) {
+      this.persistTimer_.unref();
+    }
+  }
+
+  /** @private */
+  async persist_() {
+    if (!this.indexPath) {
+      return;
+    }
+    const postings = {};
+    for (const [term, posting] of this.postings.entries()) {
+      postings[term] = Object.fromEntries(posting);
+    }
+    const data = {
+      version: INDEX_VERSION,
+      savedAt: new Date().toISOString(),
+      documents: Object.fromEntries(this.documents),
+      postings
+    };
+
+    // Write to a temporary file first so a crash never leaves a truncated index
+    const tempPath = `${this.indexPath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.indexPath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(data));
+    await fs.promises.rename(tempPath, this.indexPath);
+    if (this.eventEmitter_)
+      this.eventEmitter_.emit('search:persist', { documents: this.documents.size });
+  }
+
+  /** @private */
+  load_() {
+    if (!this.indexPath || !fs.existsSync(this.indexPath)) {
+      return;
+    }
+    try {
+      const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      if (data.version !== INDEX_VERSION) {
+        console.warn(`Ignoring search index with unsupported version: ${data.version}`);
+        return;
+      }
+      for (const [key, entry] of Object.entries(data.documents || {})) {
+        this.documents.set(key, entry);
+        this.totalLength += entry.length;
+      }
+      for (const [term, posting] of Object.entries(data.postings || {})) {
+        this.postings.set(term, new Map(Object.entries(posting)));
+      }
+    } catch (error) {
+      console.error('Failed to load search index, starting empty:', error.message);
+      this.documents.clear();
+      this.postings.clear();
+      this.totalLength = 0;
+    }
+  }
+}
+
+IndexedSearchService.stem = stem;
+IndexedSearchService.tokenize = tokenize;
+IndexedSearchService.parseQuery = parseQuery;
+
+module.exports = IndexedSearchService;
@@ -47,11 +47,61 @@ module.exports = (options, eventEmitter, search) => {
       }
     });
 
+    app.put('/api/searching/update/:key', (req, res) => {
+      const key = req.params.key;
+      if (typeof search.update !== 'function') {
+        return res.status(501).send('Not Implemented: Provider does not support updates.');
+      }
+      search
+        .update(key, req.body)
+        .then((changed) => res.status(200).json({ key, changed }))
+        .catch((err) => res.status(500).send(err.message));
+    });
+
+    // Passages of documents, for answering questions about a space
+    app.put('/api/searching/passages/:key', (req, res) => {
+      if (!search.passages) {
+        return res.status(501).send('Not Implemented: Provider does not keep passages.');
+      }
+      search.passages
+        .update(req.params.key, req.body)
+        .then((changed) => res.status(200).json({ key: req.params.key, changed }))
+        .catch((err) => res.status(500).send(err.message));
+    });
+
+    app.delete('/api/searching/passages/:key', (req, res) => {
+      if (!search.passages) {
+        return res.status(501).send('Not Implemented: Provider does not keep passages.');
+      }
+      search.passages
+        .remove(req.params.key)
+        .then((removed) => removed ? res.status(200).send('OK') : res.status(404).send('Not Found: Key not found.'))
+        .catch((err) => res.status(500).send(err.message));
+    });
+
+    app.get('/api/searching/passages/search/:question', (req, res) => {
+      if (!search.passages) {
+        return res.status(501).send('Not Implemented: Provider does not keep passages.');
+      }
+      search.passages
+        .retrieve(req.params.question, {
+          limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+          filter: req.query.space ? { spaceName: req.query.space } : undefined
+        })
+        .then((passages) => res.status(200).json(passages))
+        .catch((err) => res.status(500).send(err.message));
+    });
+
     app.get('/api/searching/search/:term', (req, res) => {
       const term = req.params.term;
+      const searchOptions = {
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
+        filter: req.query.space ? { spaceName: req.query.space } : undefined
+      };
       if (term) {
         search
-          .search(term)
+          .search(term, searchOptions)
           .then((results) => res.status(200).json(results))
           .catch((err) => res.status(500).send(err.message));
       } else {
@@ -59,6 +109,16 @@ module.exports = (options, eventEmitter, search) => {
       }
     });
 
+    app.get('/api/searching/stats', (req, res) => {
+      if (typeof search.getStats !== 'function') {
+        return res.status(501).send('Not Implemented: Provider does not report statistics.');
+      }
+      search
+        .getStats()
+        .then((stats) => res.status(200).json(stats))
+        .catch((err) => res.status(500).send(err.message));
+    });
+
     app.get('/api/searching/status', (req, res) => {
       eventEmitter.emit('api-searching-status', 'searching api running');
       res.status(200).json('searching api is running');
@@ -66,9 +66,9 @@ function registerServices() {
     dependencies: ['logging']
   });
 
-  // Register queueing service (may depend on logging)
+  // Register queueing service (may depend on logging); queued work survives restarts
   container.register('queueing', createQueueing, {
-    type: '',
+    type: 'durable',
     defaultOptions: {},
     dependencies: ['logging']
   });
@@ -82,7 +82,7 @@ function registerServices() {
 
   // Register searching service (depends on filing and cache)
   container.register('searching', createSearching, {
-    type: '',
+    type: 'indexed',
     defaultOptions: {},
     dependencies: ['filing', 'cache']
   });
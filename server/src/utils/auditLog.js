@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Append-only audit trail of content, permission and admin actions.
+ *
+ * Routes that change content, permissions or server configuration call
+ * recordAudit() once the change is made. Each entry is appended to
+ * server-data/audit-log.jsonl as one JSON line recording who acted (user and
+ * API key), what they did, when, in which space and on which path, with
+ * hashes of the state before and after the change. Hashes are content
+ * versions as computed by contentVersion, so they can be compared with the
+ * versions clients see; configuration is hashed as JSON.
+ *
+ * Entries are chained: every entry holds the hash of the one before it, and
+ * its own hash covers that link, so verifyAuditLog() can tell whether lines
+ * were edited or removed. The log is never rewritten.
+ *
+ * Listeners added with addAuditListener() see every entry once it is
+ * written; outbound webhooks are published this way.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { computeContentVersion } = require('./contentVersion');
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, '../../../server-data/audit-log.jsonl');
+
+/** @const {string} Previous hash of the first entry */
+const GENESIS_HASH = '0'.repeat(64);
+
+/** @const {!Object<string, string>} Audited actions and their category */
+const AUDIT_ACTIONS = {
+  'file.create': 'content',
+  'file.update': 'content',
+  'file.upload': 'content',
+  'file.delete': 'content',
+  'folder.create': 'content',
+  'folder.delete': 'content',
+  'item.rename': 'content',
+  'trash.restore': 'content',
+  'trash.purge': 'content',
+  'comment.create': 'content',
+  'comment.update': 'content',
+  'comment.delete': 'content',
+  'comment.resolve': 'content',
+  'comment.reopen': 'content',
+  'template.create': 'content',
+  'template.update': 'content',
+  'template.delete': 'content',
+  'space.publish': 'content',
+  'space.commit': 'content',
+  'space.roles.update': 'permission',
+  'user.update': 'permission',
+  'user.settings.update': 'permission',
+  'apikey.create': 'permission',
+  'apikey.update': 'permission',
+  'apikey.revoke': 'permission',
+  'space.create': 'admin',
+  'space.update': 'admin',
+  'space.delete': 'admin',
+  'space.resync': 'admin',
+  'space.force-reset': 'admin',
+  'space.ai.update': 'admin',
+  'webhook.create': 'admin',
+  'webhook.update': 'admin',
+  'webhook.delete': 'admin',
+  'plugin.settings.update': 'admin'
+};
+
+/** @const {!Array<string>} Columns of a CSV export */
+const CSV_COLUMNS = [
+  'timestamp', 'id', 'category', 'action', 'actorId', 'actor', 'apiKeyId', 'ip',
+  'space', 'path', 'beforeHash', 'afterHash', 'details', 'hash'
+];
+
+let auditFile = DEFAULT_AUDIT_FILE;
+// Hash of the last entry written, read from the file on first use
+let lastHash = null;
+// Serializes appends so the chain follows the file order
+let writeChain = Promise.resolve();
+// Called with every entry written
+const listeners = new Set();
+
+/**
+ * Sets the file audit entries are written to, for example in tests.
+ * @param {string|null} file - Log file, or null for the default.
+ */
+function setAuditLogFile(file) {
+  auditFile = file || DEFAULT_AUDIT_FILE;
+  lastHash = null;
+}
+
+/**
+ * Hashes the state of something before or after a change.
+ * @param {*} state - File content (string or Buffer), a configuration object,
+ *     or null/undefined when the thing did not exist.
+ * @return {string|null} The hash, or null for no state.
+ */
+function hashAuditState(state) {
+  if (state === null || state === undefined) {
+    return null;
+  }
+  if (typeof state === 'string' || Buffer.isBuffer(state)) {
+    return computeContentVersion(state);
+  }
+  return computeContentVersion(JSON.stringify(state));
+}
+
+/**
+ * Adds a function called with every audit entry once it is written. Errors
+ * thrown or rejected by the listener are logged.
+ * @param {Function} listener - Gets the entry.
+ * @return {Function} Removes the listener.
+ */
+function addAuditListener(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notifyListeners(entry) {
+  for (const listener of listeners) {
+    Promise.resolve()
+      .then(() => listener(entry))
+      .catch(error => console.error('Audit listener failed:', error.message));
+  }
+}
+
+function hashEntry(entry) {
+  return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+async function readLines() {
+  try {
+    return (await fs.readFile(auditFile, 'utf8')).split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function readLastHash() {
+  const lines = await readLines();
+  for (let i = lines.length - 1; i >= 0; i--) {
+    try {
+      return JSON.parse(lines[i]).hash;
+    } catch (error) {
+      // Skip a line cut short by a crash
+    }
+  }
+  return GENESIS_HASH;
+}
+
+/**
+ * Appends an audit entry for an action taken in a request. Failures to write
+ * are logged and never fail the action, which has already happened.
+ * @param {Object|null} req - Express request; the actor and address are read
+ *     from req.user and req.ip, and the space from req.spaceName.
+ * @param {Object} details - Entry details:
+ *     action - one of AUDIT_ACTIONS
+ *     space - space name; defaults to req.spaceName
+ *     path - file, folder or object the action applies to
+ *     before, after - state before and after, hashed with hashAuditState
+ *     details - extra facts worth keeping, such as the new name of a file
+ * @return {Promise<Object|null>} The entry written, or null if it failed.
+ */
+function recordAudit(req, details) {
+  const category = AUDIT_ACTIONS[details.action];
+  if (!category) {
+    console.error(`Unknown audit action: ${details.action}`);
+    return Promise.resolve(null);
+  }
+
+  const user = req && req.user;
+  const fields = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    category,
+    action: details.action,
+    actorId: user ? String(user.id) : null,
+    actor: user ? user.username : null,
+    apiKeyId: user && user.apiKeyId ? user.apiKeyId : null,
+    ip: req ? req.ip || (req.socket && req.socket.remoteAddress) || null : null,
+    space: details.space !== undefined ? details.space : (req && req.spaceName) || null,
+    path: details.path || null,
+    beforeHash: hashAuditState(details.before),
+    afterHash: hashAuditState(details.after),
+    details: details.details || null
+  };
+
+  const write = writeChain.then(async () => {
+    try {
+      if (lastHash === null) {
+        lastHash = await readLastHash();
+      }
+      const entry = { ...fields, prevHash: lastHash };
+      entry.hash = hashEntry(entry);
+      await fs.ensureDir(path.dirname(auditFile));
+      await fs.appendFile(auditFile, `${JSON.stringify(entry)}\n`);
+      lastHash = entry.hash;
+      notifyListeners(entry);
+      return entry;
+    } catch (error) {
+      console.error('Failed to write audit entry:', error.message);
+      // Read the chain again, the append may have partly happened
+      lastHash = null;
+      return null;
+    }
+  });
+  writeChain = write;
+  return write;
+}
+
+function matchesFilters(entry, filters) {
+  if (filters.from && entry.timestamp < filters.from) return false;
+  if (filters.to && entry.timestamp > filters.to) return false;
+  if (filters.category && entry.category !== filters.category) return false;
+  if (filters.action && entry.action !== filters.action && !entry.action.startsWith(`${filters.action}.`)) return false;
+  if (filters.actor && entry.actor !== filters.actor && entry.actorId !== filters.actor) return false;
+  if (filters.space && entry.space !== filters.space) return false;
+  if (filters.path && !(entry.path || '').startsWith(filters.path)) return false;
+  return true;
+}
+
+/**
+ * Normalizes filters taken from a query string. Dates may be given as any
+ * format Date understands; a date without a time covers the whole day.
+ * @param {Object} query - from, to, category, action, actor, space and path.
+ * @return {{filters: Object, error: string|undefined}} Filters, or an error.
+ */
+function normalizeAuditFilters(query = {}) {
+  const filters = {};
+  for (const name of ['category', 'action', 'actor', 'space', 'path']) {
+    if (typeof query[name] === 'string' && query[name].trim()) {
+      filters[name] = query[name].trim();
+    }
+  }
+  if (filters.category && !Object.values(AUDIT_ACTIONS).includes(filters.category)) {
+    return { filters, error: `Unknown category: ${filters.category}` };
+  }
+
+  for (const name of ['from', 'to']) {
+    if (!query[name]) continue;
+    const text = String(query[name]);
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) {
+      return { filters, error: `Invalid ${name} date: ${text}` };
+    }
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+    filters[name] = new Date(dateOnly && name === 'to' ? time + 24 * 3600000 - 1 : time).toISOString();
+  }
+  return { filters };
+}
+
+/**
+ * Reads audit entries matching some filters.
+ * @param {Object} [filters] - As returned by normalizeAuditFilters.
+ * @param {Object} [options] - limit (100) and offset (0); a limit of 0
+ *     returns every match.
+ * @return {Promise<{entries: Array<Object>, total: number}>} Matching
+ *     entries, newest first, and how many matched in all.
+ */
+async function queryAuditLog(filters = {}, options = {}) {
+  const { limit = 100, offset = 0 } = options;
+  await writeChain;
+  const lines = await readLines();
+
+  const matches = [];
+  for (let i = lines.length - 1; i >= 0; i--) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (error) {
+      continue;
+    }
+    if (matchesFilters(entry, filters)) {
+      matches.push(entry);
+    }
+  }
+  return {
+    entries: limit ? matches.slice(offset, offset + limit) : matches.slice(offset),
+    total: matches.length
+  };
+}
+
+/**
+ * Checks that no entry of the log was changed or removed.
+ * @return {Promise<{valid: boolean, entries: number, brokenAt: number|undefined, reason: string|undefined}>}
+ *     Whether the chain is intact; otherwise the 1-based line where it breaks.
+ */
+async function verifyAuditLog() {
+  await writeChain;
+  const lines = await readLines();
+  let previous = GENESIS_HASH;
+
+  for (let i = 0; i < lines.length; i++) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (error) {
+      return { valid: false, entries: lines.length, brokenAt: i + 1, reason: 'Unreadable entry' };
+    }
+    const { hash, ...fields } = entry;
+    if (fields.prevHash !== previous) {
+      return { valid: false, entries: lines.length, brokenAt: i + 1, reason: 'Entry does not follow the previous entry' };
+    }
+    if (hashEntry(fields) !== hash) {
+      return { valid: false, entries: lines.length, brokenAt: i + 1, reason: 'Entry was modified' };
+    }
+    previous = hash;
+  }
+  return { valid: true, entries: lines.length };
+}
+
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Quote every field that could break a row, and neutralize spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Formats audit entries as CSV with a header row.
+ * @param {Array<Object>} entries - Audit entries.
+ * @return {string} The CSV text.
+ */
+function formatAuditCsv(entries) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const entry of entries) {
+    rows.push(CSV_COLUMNS.map(column => toCsvField(entry[column])).join(','));
+  }
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  setAuditLogFile,
+  addAuditListener,
+  hashAuditState,
+  recordAudit,
+  normalizeAuditFilters,
+  queryAuditLog,
+  verifyAuditLog,
+  formatAuditCsv
+};
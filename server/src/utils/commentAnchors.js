@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Anchors tying comments to a heading or a passage of a document.
+ *
+ * A text anchor keeps the quoted source text together with a little of the
+ * text before and after it, and its last known offsets. When the document is
+ * edited the anchor is found again by its quote, using the surrounding text
+ * and the old position to choose between repeated passages, so comments stay
+ * attached while their passage exists. A heading anchor is found again by the
+ * heading text. Anchors whose text is gone are reported as orphaned rather
+ * than dropped.
+ *
+ * Offsets are into the Markdown without the embedded comment block, which is
+ * also what the editor preview renders.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+/** @const {number} Characters of context kept on each side of a quote */
+const CONTEXT_LENGTH = 32;
+
+/** @const {number} Longest passage a comment can be anchored to */
+const MAX_QUOTE_LENGTH = 1000;
+
+/** @const {string} Anchor found in the current document */
+const ANCHOR_ATTACHED = 'attached';
+
+/** @const {string} Anchor whose heading or passage no longer exists */
+const ANCHOR_ORPHANED = 'orphaned';
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const FENCE_PATTERN = /^ {0,3}(```|~~~)/;
+
+const normalizeHeadingText = text => text.replace(/[*_`~]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Lists the ATX headings of a document, skipping fenced code blocks.
+ * @param {string} markdown - The document.
+ * @return {Array<{text: string, level: number, start: number, end: number}>} The headings.
+ */
+function findHeadings(markdown) {
+  const headings = [];
+  let offset = 0;
+  let fence = null;
+  for (const line of (markdown || '').split('\n')) {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1] === fence) {
+        fence = null;
+      }
+    } else if (!fence) {
+      const match = line.match(HEADING_PATTERN);
+      if (match && match[2]) {
+        headings.push({ text: match[2], level: match[1].length, start: offset, end: offset + line.length });
+      }
+    }
+    offset += line.length + 1;
+  }
+  return headings;
+}
+
+/**
+ * Builds a pattern matching a quote as rendered text in the Markdown source:
+ * whitespace may differ and inline emphasis or code markers may surround words.
+ */
+function renderedQuotePattern(quote) {
+  const words = quote.trim().split(/\s+/).map(word => [...word].map(escapeRegExp).join('[*_~`]*'));
+  return new RegExp(words.join('[\\s*_~`>#+-]+'), 'g');
+}
+
+/**
+ * Lists where a quote occurs, exactly or else as rendered text.
+ */
+function findQuote(markdown, quote) {
+  const matches = [];
+  for (let index = markdown.indexOf(quote); index !== -1; index = markdown.indexOf(quote, index + 1)) {
+    matches.push({ start: index, end: index + quote.length });
+  }
+  if (matches.length === 0 && quote.trim()) {
+    for (const match of markdown.matchAll(renderedQuotePattern(quote))) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return matches;
+}
+
+const commonPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length++;
+  return length;
+};
+
+const commonSuffixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++;
+  return length;
+};
+
+/**
+ * Picks the occurrence whose surrounding text best matches the anchor,
+ * preferring the one closest to its last known position.
+ */
+function chooseMatch(markdown, matches, anchor) {
+  const scored = matches.map(match => ({
+    ...match,
+    score: commonSuffixLength(markdown.slice(Math.max(0, match.start - CONTEXT_LENGTH), match.start), anchor.prefix || '') +
+      commonPrefixLength(markdown.slice(match.end, match.end + CONTEXT_LENGTH), anchor.suffix || ''),
+    distance: Math.abs(match.start - (anchor.start || 0))
+  }));
+  return scored.sort((a, b) => b.score - a.score || a.distance - b.distance)[0];
+}
+
+/**
+ * Creates the anchor of a new comment.
+ * @param {string} markdown - The document without its comment block.
+ * @param {Object} request - The requested anchor.
+ * @param {string} request.type - 'heading' or 'text'.
+ * @param {string} [request.heading] - Text of the heading, for heading anchors.
+ * @param {string} [request.quote] - Selected text, as rendered or as source, for text anchors.
+ * @param {number} [request.start] - Approximate offset of the selection, to choose between repeated passages.
+ * @return {Object|null} The anchor, or null when the heading or text is not in the document.
+ */
+function createAnchor(markdown, request) {
+  if (request.type === 'heading') {
+    const wanted = normalizeHeadingText(String(request.heading || ''));
+    const heading = findHeadings(markdown).find(item => normalizeHeadingText(item.text) === wanted);
+    return heading ? { type: 'heading', heading: heading.text, level: heading.level, start: heading.start, end: heading.end } : null;
+  }
+
+  if (request.type === 'text') {
+    const quote = String(request.quote || '');
+    if (!quote.trim() || quote.length > MAX_QUOTE_LENGTH) {
+      return null;
+    }
+    const matches = findQuote(markdown, quote);
+    if (matches.length === 0) {
+      return null;
+    }
+    const match = chooseMatch(markdown, matches, { start: Number(request.start) || 0 });
+    return {
+      type: 'text',
+      quote: markdown.slice(match.start, match.end),
+      prefix: markdown.slice(Math.max(0, match.start - CONTEXT_LENGTH), match.start),
+      suffix: markdown.slice(match.end, match.end + CONTEXT_LENGTH),
+      start: match.start,
+      end: match.end
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Finds an anchor in the current version of its document.
+ * @param {string} markdown - The document without its comment block.
+ * @param {Object} anchor - A stored anchor.
+ * @return {Object} The anchor with current offsets and a status of
+ *     'attached', or its last known offsets and 'orphaned'.
+ */
+function resolveAnchor(markdown, anchor) {
+  if (anchor.type === 'heading') {
+    const wanted = normalizeHeadingText(anchor.heading || '');
+    const headings = findHeadings(markdown).filter(item => normalizeHeadingText(item.text) === wanted);
+    if (headings.length === 0) {
+      return { ...anchor, status: ANCHOR_ORPHANED };
+    }
+    const heading = headings.sort((a, b) => Math.abs(a.start - anchor.start) - Math.abs(b.start - anchor.start))[0];
+    return { ...anchor, heading: heading.text, level: heading.level, start: heading.start, end: heading.end, status: ANCHOR_ATTACHED };
+  }
+
+  const matches = findQuote(markdown, anchor.quote || '');
+  if (matches.length === 0) {
+    return { ...anchor, status: ANCHOR_ORPHANED };
+  }
+  const match = chooseMatch(markdown, matches, anchor);
+  return {
+    ...anchor,
+    quote: markdown.slice(match.start, match.end),
+    prefix: markdown.slice(Math.max(0, match.start - CONTEXT_LENGTH), match.start),
+    suffix: markdown.slice(match.end, match.end + CONTEXT_LENGTH),
+    start: match.start,
+    end: match.end,
+    status: ANCHOR_ATTACHED
+  };
+}
+
+/**
+ * Moves the stored anchors of comments to where their text is now, so the
+ * positions kept in the file follow the edits made since. Orphaned anchors
+ * keep their last known place.
+ * @param {Array<Object>} comments - The stored comments.
+ * @param {string} markdown - The document without its comment block.
+ * @return {Array<Object>} The comments with updated anchors.
+ */
+function refreshAnchors(comments, markdown) {
+  return comments.map(comment => {
+    if (!comment.anchor) {
+      return comment;
+    }
+    const { status, ...anchor } = resolveAnchor(markdown, comment.anchor);
+    return status === ANCHOR_ATTACHED ? { ...comment, anchor } : comment;
+  });
+}
+
+module.exports = {
+  ANCHOR_ATTACHED,
+  ANCHOR_ORPHANED,
+  MAX_QUOTE_LENGTH,
+  findHeadings,
+  createAnchor,
+  resolveAnchor,
+  refreshAnchors
+};
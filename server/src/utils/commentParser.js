@@ -5,11 +5,17 @@
  * embedded within markdown files using HTML comment blocks. Comments are
  * stored as JSON data within HTML comments at the end of markdown files.
  * 
+ * Comments form threads: a reply keeps the ID of the comment it answers in
+ * `parentId`, and the first comment of a thread holds its `anchor` and its
+ * `resolved` state.
+ * 
  * @author Design Artifacts Team
  * @version 1.0.0
  * @since 2025-01-01
  */
 
+const { resolveAnchor } = require('./commentAnchors');
+
 const COMMENT_START_MARKER = '<!-- COMMENTS_DATA_START';
 const COMMENT_END_MARKER = 'COMMENTS_DATA_END -->';
 
@@ -106,6 +112,10 @@ function injectComments(cleanMarkdownContent, comments) {
  * @param {Object} newComment - New comment data
  * @param {string} newComment.author - Comment author username
  * @param {string} newComment.content - Comment text content
+ * @param {string} [newComment.parentId] - ID of the comment replied to; replies
+ *     to a reply join the thread of its first comment
+ * @param {Object} [newComment.anchor] - Anchor from commentAnchors.createAnchor,
+ *     for the first comment of a thread
  * @return {Array} Updated comments array with new comment added
  */
 function addComment(existingComments, newComment) {
@@ -125,11 +135,36 @@ function addComment(existingComments, newComment) {
     createdAt: new Date().toISOString()
   };
 
+  if (newComment.parentId) {
+    const parent = existingComments.find(c => c.id === newComment.parentId);
+    if (!parent) {
+      throw new Error('Parent comment not found');
+    }
+    comment.parentId = parent.parentId || parent.id;
+    // Replying to a resolved thread reopens it
+    return [
+      ...existingComments.map(c => (c.id === comment.parentId && c.resolved ? reopen(c) : c)),
+      comment
+    ];
+  }
+
+  if (newComment.anchor) {
+    comment.anchor = newComment.anchor;
+  }
+  comment.resolved = false;
   return [...existingComments, comment];
 }
 
 /**
- * Removes a comment by ID from comments array.
+ * Marks a thread as open again.
+ */
+function reopen(comment) {
+  const { resolvedBy, resolvedAt, ...rest } = comment;
+  return { ...rest, resolved: false };
+}
+
+/**
+ * Removes a comment by ID from comments array, with its replies.
  * 
  * @param {Array} existingComments - Current array of comments
  * @param {string} commentId - ID of comment to remove
@@ -140,7 +175,59 @@ function removeComment(existingComments, commentId) {
     return [];
   }
 
-  return existingComments.filter(comment => comment.id !== commentId);
+  return existingComments.filter(comment => comment.id !== commentId && comment.parentId !== commentId);
+}
+
+/**
+ * Resolves or reopens a thread.
+ * 
+ * @param {Array} existingComments - Current array of comments
+ * @param {string} commentId - ID of the first comment of the thread
+ * @param {boolean} resolved - Whether the thread is resolved
+ * @param {string} username - User resolving or reopening the thread
+ * @return {Array} Updated comments array
+ */
+function setCommentResolved(existingComments, commentId, resolved, username) {
+  if (!Array.isArray(existingComments)) {
+    return [];
+  }
+
+  return existingComments.map(comment => {
+    if (comment.id !== commentId) {
+      return comment;
+    }
+    return resolved
+      ? { ...comment, resolved: true, resolvedBy: username, resolvedAt: new Date().toISOString() }
+      : reopen(comment);
+  });
+}
+
+/**
+ * Groups comments into threads.
+ * 
+ * Threads are ordered newest first and their replies oldest first. Anchors
+ * are found in the current document and get a `status` of 'attached' or
+ * 'orphaned'. Replies whose thread is missing are shown as threads.
+ * 
+ * @param {Array} comments - Array of comment objects
+ * @param {string} cleanMarkdownContent - The markdown content without comments
+ * @return {Array} Threads: first comments with a `replies` array
+ */
+function buildCommentThreads(comments, cleanMarkdownContent) {
+  if (!Array.isArray(comments)) {
+    return [];
+  }
+
+  const ids = new Set(comments.map(comment => comment.id));
+  const isReply = comment => comment.parentId && ids.has(comment.parentId);
+
+  return sortCommentsByNewest(comments.filter(comment => !isReply(comment))).map(comment => ({
+    ...comment,
+    resolved: Boolean(comment.resolved),
+    anchor: comment.anchor ? resolveAnchor(cleanMarkdownContent || '', comment.anchor) : null,
+    // Comments are stored in the order they were added
+    replies: comments.filter(reply => reply.parentId === comment.id)
+  }));
 }
 
 /**
@@ -221,6 +308,8 @@ module.exports = {
   addComment,
   removeComment,
   updateComment,
+  setCommentResolved,
+  buildCommentThreads,
   sortCommentsByNewest,
   isValidComment
 };
\ No newline at end of file
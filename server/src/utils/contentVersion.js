@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Content versions for optimistic concurrency on file writes.
+ *
+ * A version is a hash of the file bytes. Read routes return it in the JSON
+ * body and as a strong `ETag`; write routes compare the `If-Match` header
+ * with the version of the file on disk and answer 409 with both versions
+ * when the file changed since the client read it. Writes to the same file
+ * are serialised so the check and the write cannot interleave with another
+ * request.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/** @const {number} Number of file versions kept by the stat cache */
+const MAX_CACHED_VERSIONS = 5000;
+
+const fileVersionCache = new Map();
+const fileLocks = new Map();
+
+/**
+ * Computes the version of some content.
+ * @param {string|Buffer} content - The file content.
+ * @return {string} The version hash.
+ */
+function computeContentVersion(content) {
+  return crypto.createHash('sha256').update(content ?? '').digest('hex').slice(0, 32);
+}
+
+/**
+ * Computes the version of a file on disk, reusing the last result while the
+ * size and modification time are unchanged.
+ * @param {string} absolutePath - The file path.
+ * @param {fs.Stats} stats - The file stats.
+ * @return {Promise<string>} The version hash.
+ */
+async function computeFileVersion(absolutePath, stats) {
+  const cached = fileVersionCache.get(absolutePath);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return cached.version;
+  }
+
+  const version = computeContentVersion(await fs.promises.readFile(absolutePath));
+  fileVersionCache.delete(absolutePath);
+  fileVersionCache.set(absolutePath, { mtimeMs: stats.mtimeMs, size: stats.size, version });
+  if (fileVersionCache.size > MAX_CACHED_VERSIONS) {
+    fileVersionCache.delete(fileVersionCache.keys().next().value);
+  }
+  return version;
+}
+
+/**
+ * Formats a version as a strong ETag.
+ * @param {string} version - The version hash.
+ * @return {string} The ETag header value.
+ */
+function toETag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Reads the versions listed in an If-Match header.
+ * @param {string} [header] - The header value.
+ * @return {Array<string>|null} The versions, ['*'] for any, or null when absent.
+ */
+function parseIfMatch(header) {
+  if (!header || !header.trim()) {
+    return null;
+  }
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter(Boolean);
+}
+
+/**
+ * Sets the ETag header and returns the version for the JSON body.
+ * @param {Object} res - Express response.
+ * @param {string|Buffer} content - The content sent or written.
+ * @return {string} The version hash.
+ */
+function setVersionHeader(res, content) {
+  const version = computeContentVersion(content);
+  res.set('ETag', toETag(version));
+  return version;
+}
+
+/**
+ * Reads the raw bytes of a file for a version check.
+ * @param {Object} filing - The filing provider.
+ * @param {string} providerPath - The path within the provider.
+ * @return {Promise<Buffer|null>} The content, or null when the file is missing.
+ */
+async function readCurrentContent(filing, providerPath) {
+  try {
+    return await filing.read(providerPath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks an If-Match header against the current file content. Writes
+ * without If-Match always pass.
+ * @param {string} [ifMatch] - The If-Match header value.
+ * @param {string|Buffer|null} currentContent - The file content on disk, or null when missing.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.includeContent=true] - Whether to return the current text with the conflict.
+ * @return {{status: number, body: Object, headers: Object}|null} The 409
+ *     conflict to answer, or null when the write may go ahead.
+ */
+function findVersionConflict(ifMatch, currentContent, options = {}) {
+  const expected = parseIfMatch(ifMatch);
+  if (!expected) {
+    return null;
+  }
+
+  const exists = currentContent !== null && currentContent !== undefined;
+  const currentVersion = exists ? computeContentVersion(currentContent) : null;
+  if (exists && (expected.includes('*') || expected.includes(currentVersion))) {
+    return null;
+  }
+
+  return {
+    status: 409,
+    headers: currentVersion ? { ETag: toETag(currentVersion) } : {},
+    body: {
+      error: exists ? 'File was changed by someone else' : 'File no longer exists',
+      expectedVersion: expected.join(', '),
+      currentVersion,
+      currentContent: exists && options.includeContent !== false ? currentContent.toString('utf8') : null
+    }
+  };
+}
+
+/**
+ * Checks the request's If-Match header against the current file content and
+ * answers 409 when they differ. Requests without If-Match always pass.
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @param {string|Buffer|null} currentContent - The file content on disk, or null when missing.
+ * @param {Object} [options] - Options, see findVersionConflict.
+ * @return {boolean} True when the write may go ahead.
+ */
+function checkIfMatch(req, res, currentContent, options = {}) {
+  const conflict = findVersionConflict(req.get('If-Match'), currentContent, options);
+  if (!conflict) {
+    return true;
+  }
+  Object.entries(conflict.headers).forEach(([name, value]) => res.set(name, value));
+  res.status(conflict.status).json(conflict.body);
+  return false;
+}
+
+/**
+ * Waits for earlier writes to the same file and takes the lock, so a
+ * version check and the write that follows happen without interleaving.
+ * @param {string} key - Identifies the file, e.g. space and path.
+ * @return {Promise<Function>} Releases the lock; safe to call more than once.
+ */
+async function acquireFileLock(key) {
+  const previous = fileLocks.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const chained = previous.then(() => current);
+  fileLocks.set(key, chained);
+
+  await previous;
+  return () => {
+    release();
+    if (fileLocks.get(key) === chained) {
+      fileLocks.delete(key);
+    }
+  };
+}
+
+module.exports = {
+  computeContentVersion,
+  computeFileVersion,
+  toETag,
+  parseIfMatch,
+  setVersionHeader,
+  readCurrentContent,
+  findVersionConflict,
+  checkIfMatch,
+  acquireFileLock
+};
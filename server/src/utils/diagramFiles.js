@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Diagram files of spaces.
+ *
+ * Diagrams are Excalidraw scenes stored as `.excalidraw` JSON files through
+ * the filing provider, so they are versioned, trashed, linked and searched
+ * like documents. This module reads them, extracts their text for the
+ * search index, and renders them to SVG and PNG on the server for Markdown
+ * embeds, downloads and static site exports.
+ *
+ * Shapes are drawn with roughjs from the seed and roughness of each element,
+ * the way the Excalidraw editor draws them, so a rendered diagram looks like
+ * the one in the editor. Text uses the fonts of the machine viewing the SVG
+ * (or of the server, for PNG).
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const rough = require('roughjs');
+
+/** @const {Array<string>} Extensions of diagram files */
+const DIAGRAM_EXTENSIONS = ['.excalidraw'];
+
+/** @const {string} MIME type of diagram files */
+const DIAGRAM_MIME_TYPE = 'application/vnd.excalidraw+json';
+
+/** @const {number} Most pixels of the longer side of a PNG */
+const MAX_PNG_SIZE = 8192;
+
+/** Fonts of the Excalidraw font families, with fallbacks for machines without them */
+const FONT_FAMILIES = {
+  1: 'Virgil, "Segoe Print", "Comic Sans MS", cursive',
+  2: 'Helvetica, Arial, sans-serif',
+  3: 'Cascadia, "Cascadia Code", Consolas, monospace',
+  5: 'Excalifont, Virgil, "Segoe Print", "Comic Sans MS", cursive',
+  6: 'Nunito, "Segoe UI", Arial, sans-serif',
+  7: '"Lilita One", Impact, sans-serif',
+  8: '"Comic Shanns", Consolas, monospace'
+};
+
+/** Height of the frame names drawn above frames */
+const FRAME_LABEL_HEIGHT = 20;
+
+/** Arrowhead sizes of Excalidraw */
+const ARROWHEAD_SIZES = { arrow: 25, bar: 15, dot: 15, circle: 15, circle_outline: 15, triangle: 30, triangle_outline: 30, diamond: 12, diamond_outline: 12 };
+
+/**
+ * Tells whether a path is a diagram file.
+ * @param {string} filePath - The file path.
+ * @return {boolean} True for `.excalidraw` files.
+ */
+function isDiagramFile(filePath) {
+  return DIAGRAM_EXTENSIONS.includes(path.extname(filePath || '').toLowerCase());
+}
+
+/**
+ * Content of a new, empty diagram.
+ * @return {string} The JSON of an empty Excalidraw scene.
+ */
+function createEmptyDiagram() {
+  return `${JSON.stringify({
+    type: 'excalidraw',
+    version: 2,
+    source: 'design-artifacts',
+    elements: [],
+    appState: { viewBackgroundColor: '#ffffff', gridSize: null },
+    files: {}
+  }, null, 2)}\n`;
+}
+
+/**
+ * Creates an error with a code the routes map to a status.
+ * @private
+ */
+function diagramError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Reads a diagram file. An empty file is an empty diagram.
+ * @param {string|Buffer} content - Content of the file.
+ * @return {{elements: Array<Object>, appState: Object, files: Object}} The
+ *     scene, without deleted elements.
+ * @throws {Error} With code INVALID_DIAGRAM when the content is not an Excalidraw scene.
+ */
+function parseDiagram(content) {
+  const text = String(content || '');
+  if (!text.trim()) {
+    return { elements: [], appState: {}, files: {} };
+  }
+
+  let scene;
+  try {
+    scene = JSON.parse(text);
+  } catch (error) {
+    throw diagramError(`Diagram is not valid JSON: ${error.message}`, 'INVALID_DIAGRAM');
+  }
+  if (!scene || typeof scene !== 'object' || scene.type !== 'excalidraw' || !Array.isArray(scene.elements)) {
+    throw diagramError('File is not an Excalidraw diagram', 'INVALID_DIAGRAM');
+  }
+  return {
+    elements: scene.elements.filter(element => element && typeof element === 'object' && !element.isDeleted),
+    appState: scene.appState && typeof scene.appState === 'object' ? scene.appState : {},
+    files: scene.files && typeof scene.files === 'object' ? scene.files : {}
+  };
+}
+
+/**
+ * Text of a diagram for the search index: its labels, text boxes and frame
+ * names, in drawing order.
+ * @param {{elements: Array<Object>}} scene - Scene from parseDiagram().
+ * @return {string} One line per text.
+ */
+function extractDiagramText(scene) {
+  return scene.elements
+    .map((element) => {
+      if (element.type === 'text') return element.originalText || element.text;
+      if (element.type === 'frame' || element.type === 'magicframe') return element.name;
+      return null;
+    })
+    .filter(text => typeof text === 'string' && text.trim())
+    .join('\n');
+}
+
+/**
+ * Escapes text for use in SVG content and attribute values.
+ * @private
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const isTransparent = color => !color || color === 'transparent';
+
+const hasPoints = element => Array.isArray(element.points) && element.points.length > 0;
+
+/**
+ * Box of the element in its own coordinates, before rotation.
+ * @private
+ */
+function getLocalBox(element) {
+  if (hasPoints(element)) {
+    const xs = element.points.map(point => point[0]);
+    const ys = element.points.map(point => point[1]);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  }
+  // Frame names are drawn above the frame
+  const top = element.type === 'frame' || element.type === 'magicframe' ? -FRAME_LABEL_HEIGHT : 0;
+  return [0, top, element.width || 0, element.height || 0];
+}
+
+/**
+ * Box of the element in scene coordinates, after rotation.
+ * @private
+ */
+function getElementBounds(element) {
+  const [x1, y1, x2, y2] = getLocalBox(element);
+  const cx = (x1 + x2) / 2;
+  const cy = (y1 + y2) / 2;
+  const angle = element.angle || 0;
+  const corners = [[x1, y1], [x2, y1], [x2, y2], [x1, y2]].map(([x, y]) => [
+    cx + (x - cx) * Math.cos(angle) - (y - cy) * Math.sin(angle) + element.x,
+    cy + (x - cx) * Math.sin(angle) + (y - cy) * Math.cos(angle) + element.y
+  ]);
+  return [
+    Math.min(...corners.map(corner => corner[0])),
+    Math.min(...corners.map(corner => corner[1])),
+    Math.max(...corners.map(corner => corner[0])),
+    Math.max(...corners.map(corner => corner[1]))
+  ];
+}
+
+/**
+ * roughjs options of an element.
+ * @private
+ */
+function getRoughOptions(element) {
+  const strokeWidth = element.strokeWidth || 1;
+  return {
+    seed: element.seed || 1,
+    roughness: element.roughness === undefined ? 1 : element.roughness,
+    stroke: element.strokeColor || '#1e1e1e',
+    strokeWidth,
+    fill: isTransparent(element.backgroundColor) ? undefined : element.backgroundColor,
+    fillStyle: element.fillStyle || 'hachure',
+    fillWeight: strokeWidth / 2,
+    hachureGap: strokeWidth * 4,
+    disableMultiStroke: element.strokeStyle === 'dashed' || element.strokeStyle === 'dotted',
+    preserveVertices: (element.roughness || 0) < 2
+  };
+}
+
+/**
+ * SVG paths of a roughjs drawable.
+ * @private
+ */
+function drawableToSvg(generator, drawable, strokeStyle) {
+  const options = drawable.options;
+  const dash = strokeStyle === 'dashed'
+    ? ` stroke-dasharray="8 ${8 + options.strokeWidth}"`
+    : strokeStyle === 'dotted' ? ` stroke-dasharray="1.5 ${6 + options.strokeWidth}"` : '';
+  return drawable.sets.map((set) => {
+    const d = generator.opsToPath(set, 2);
+    if (set.type === 'fillPath') {
+      return `<path d="${d}" stroke="none" fill="${escapeXml(options.fill)}"/>`;
+    }
+    if (set.type === 'fillSketch') {
+      return `<path d="${d}" stroke="${escapeXml(options.fill)}" stroke-width="${options.fillWeight}" fill="none"/>`;
+    }
+    return `<path d="${d}" stroke="${escapeXml(options.stroke)}" stroke-width="${options.strokeWidth}" fill="none"${dash}/>`;
+  }).join('');
+}
+
+/**
+ * Corner radius Excalidraw gives a rounded rectangle of a size.
+ * @private
+ */
+function getCornerRadius(size, roundness) {
+  if (roundness.type === 3) {
+    const fixed = roundness.value || 32;
+    return size <= fixed / 0.25 ? size * 0.25 : fixed;
+  }
+  return size * 0.25;
+}
+
+/**
+ * Draws the arrowhead at one end of a linear element.
+ * @private
+ */
+function drawArrowhead(generator, element, type, atStart) {
+  const points = element.points;
+  const tip = atStart ? points[0] : points[points.length - 1];
+  const from = atStart ? points[1] : points[points.length - 2];
+  if (!from) return '';
+  const length = Math.hypot(tip[0] - from[0], tip[1] - from[1]);
+  if (length === 0) return '';
+
+  const size = Math.min(ARROWHEAD_SIZES[type] || 25, length / 2);
+  const angle = Math.atan2(tip[1] - from[1], tip[0] - from[0]);
+  const at = (distance, offset) => [
+    tip[0] - distance * Math.cos(angle + offset),
+    tip[1] - distance * Math.sin(angle + offset)
+  ];
+  const options = {
+    ...getRoughOptions(element),
+    fill: type.endsWith('_outline') ? undefined : element.strokeColor || '#1e1e1e',
+    fillStyle: 'solid'
+  };
+
+  let drawable;
+  if (type === 'bar') {
+    drawable = generator.linearPath([at(size / 2, Math.PI / 2), at(size / 2, -Math.PI / 2)], options);
+  } else if (type.startsWith('triangle')) {
+    drawable = generator.polygon([tip, at(size, Math.PI / 8), at(size, -Math.PI / 8)], options);
+  } else if (type.startsWith('diamond')) {
+    drawable = generator.polygon([tip, at(size, Math.PI / 6), at(size * 1.6, 0), at(size, -Math.PI / 6)], options);
+  } else if (type === 'dot' || type.startsWith('circle')) {
+    const center = at(size / 2, 0);
+    drawable = generator.circle(center[0], center[1], size, options);
+  } else {
+    return drawableToSvg(generator, generator.linearPath([at(size, Math.PI / 6), tip, at(size, -Math.PI / 6)], options));
+  }
+  return drawableToSvg(generator, drawable);
+}
+
+/**
+ * Draws the lines of a text element.
+ * @private
+ */
+function drawText(element) {
+  const fontSize = element.fontSize || 20;
+  const lineHeight = fontSize * (element.lineHeight || 1.25);
+  const align = element.textAlign || 'left';
+  const x = align === 'center' ? (element.width || 0) / 2 : align === 'right' ? element.width || 0 : 0;
+  const anchor = align === 'center' ? 'middle' : align === 'right' ? 'end' : 'start';
+  const family = FONT_FAMILIES[element.fontFamily] || FONT_FAMILIES[1];
+  return String(element.text || '').split('\n').map((line, index) =>
+    `<text x="${x}" y="${(index * lineHeight + lineHeight / 2 + fontSize * 0.35).toFixed(2)}" ` +
+    `font-family="${escapeXml(family)}" font-size="${fontSize}px" fill="${escapeXml(element.strokeColor || '#1e1e1e')}" ` +
+    `text-anchor="${anchor}" xml:space="preserve">${escapeXml(line)}</text>`
+  ).join('');
+}
+
+/**
+ * Draws one element in its own coordinates.
+ * @private
+ */
+function drawElement(generator, element, files) {
+  const width = element.width || 0;
+  const height = element.height || 0;
+  const options = getRoughOptions(element);
+
+  switch (element.type) {
+    case 'rectangle': {
+      if (element.roundness) {
+        const r = getCornerRadius(Math.min(width, height), element.roundness);
+        const d = `M ${r} 0 L ${width - r} 0 Q ${width} 0, ${width} ${r} L ${width} ${height - r} ` +
+          `Q ${width} ${height}, ${width - r} ${height} L ${r} ${height} Q 0 ${height}, 0 ${height - r} ` +
+          `L 0 ${r} Q 0 0, ${r} 0`;
+        return drawableToSvg(generator, generator.path(d, options), element.strokeStyle);
+      }
+      return drawableToSvg(generator, generator.rectangle(0, 0, width, height, options), element.strokeStyle);
+    }
+    case 'diamond':
+      return drawableToSvg(generator, generator.polygon(
+        [[width / 2, 0], [width, height / 2], [width / 2, height], [0, height / 2]], options), element.strokeStyle);
+    case 'ellipse':
+      return drawableToSvg(generator, generator.ellipse(width / 2, height / 2, width, height, options), element.strokeStyle);
+    case 'line':
+    case 'arrow': {
+      if (!hasPoints(element)) return '';
+      const points = element.points;
+      const [first, last] = [points[0], points[points.length - 1]];
+      const closed = points.length > 2 && first[0] === last[0] && first[1] === last[1];
+      let drawable;
+      if (element.type === 'line' && closed && options.fill) {
+        drawable = generator.polygon(points.slice(0, -1), options);
+      } else if (element.roundness && points.length > 2) {
+        drawable = generator.curve(points, { ...options, fill: undefined });
+      } else {
+        drawable = generator.linearPath(points, { ...options, fill: undefined });
+      }
+      return drawableToSvg(generator, drawable, element.strokeStyle) +
+        (element.startArrowhead ? drawArrowhead(generator, element, element.startArrowhead, true) : '') +
+        (element.endArrowhead ? drawArrowhead(generator, element, element.endArrowhead, false) : '');
+    }
+    case 'freedraw': {
+      if (!hasPoints(element)) return '';
+      const d = element.points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point[0]} ${point[1]}`).join(' ');
+      return `<path d="${d}" fill="none" stroke="${escapeXml(options.stroke)}" stroke-width="${options.strokeWidth * 1.5}" ` +
+        'stroke-linecap="round" stroke-linejoin="round"/>';
+    }
+    case 'text':
+      return drawText(element);
+    case 'image': {
+      const file = files[element.fileId];
+      if (file && typeof file.dataURL === 'string' && /^data:image\/(png|jpeg|gif|webp|svg\+xml);base64,/.test(file.dataURL)) {
+        return `<image href="${escapeXml(file.dataURL)}" width="${width}" height="${height}" preserveAspectRatio="none"/>`;
+      }
+      return `<rect width="${width}" height="${height}" fill="#f1f3f5" stroke="#ced4da" stroke-dasharray="4 4"/>`;
+    }
+    case 'frame':
+    case 'magicframe':
+      return `<rect width="${width}" height="${height}" rx="8" fill="none" stroke="#bbb" stroke-width="1"/>` +
+        `<text x="0" y="-6" font-family="${escapeXml(FONT_FAMILIES[2])}" font-size="14px" fill="#999">` +
+        `${escapeXml(element.name || 'Frame')}</text>`;
+    case 'embeddable':
+    case 'iframe':
+      return `<rect width="${width}" height="${height}" fill="#f8f9fa" stroke="${escapeXml(options.stroke)}"/>` +
+        `<text x="${width / 2}" y="${height / 2}" font-family="${escapeXml(FONT_FAMILIES[2])}" font-size="14px" ` +
+        `fill="#868e96" text-anchor="middle">${escapeXml(element.link || 'Embedded content')}</text>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Renders a diagram to SVG.
+ * @param {{elements: Array<Object>, appState: Object, files: Object}} scene - Scene from parseDiagram().
+ * @param {Object} [options] - Rendering options.
+ * @param {boolean} [options.background=true] - Fills the background with the
+ *     background color of the diagram; false leaves it transparent.
+ * @param {number} [options.padding=10] - Space around the drawing, in pixels.
+ * @return {string} The SVG document.
+ */
+function renderDiagramSvg(scene, options = {}) {
+  const padding = options.padding === undefined ? 10 : options.padding;
+  const elements = scene.elements.filter(element => element.type !== 'selection' && Number.isFinite(element.x) && Number.isFinite(element.y));
+  const bounds = elements.map(getElementBounds);
+  const minX = bounds.length ? Math.min(...bounds.map(box => box[0])) : 0;
+  const minY = bounds.length ? Math.min(...bounds.map(box => box[1])) : 0;
+  const maxX = bounds.length ? Math.max(...bounds.map(box => box[2])) : 0;
+  const maxY = bounds.length ? Math.max(...bounds.map(box => box[3])) : 0;
+  const width = Math.ceil(maxX - minX + padding * 2);
+  const height = Math.ceil(maxY - minY + padding * 2);
+
+  const generator = rough.generator();
+  const drawn = elements.map((element) => {
+    const [x1, y1, x2, y2] = getLocalBox(element);
+    const rotate = element.angle
+      ? ` rotate(${(element.angle * 180 / Math.PI).toFixed(4)} ${(x1 + x2) / 2} ${(y1 + y2) / 2})`
+      : '';
+    const opacity = element.opacity !== undefined && element.opacity < 100 ? ` opacity="${element.opacity / 100}"` : '';
+    const x = (element.x - minX + padding).toFixed(2);
+    const y = (element.y - minY + padding).toFixed(2);
+    return `<g transform="translate(${x} ${y})${rotate}"${opacity}>${drawElement(generator, element, scene.files)}</g>`;
+  });
+
+  const backgroundColor = scene.appState.viewBackgroundColor;
+  const background = options.background !== false && !isTransparent(backgroundColor)
+    ? `<rect x="0" y="0" width="${width}" height="${height}" fill="${escapeXml(backgroundColor)}"/>`
+    : '';
+  return `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="${width}" height="${height}" ` +
+    `viewBox="0 0 ${width} ${height}">${background}${drawn.join('')}</svg>\n`;
+}
+
+/**
+ * Renders a diagram to PNG.
+ * @param {{elements: Array<Object>, appState: Object, files: Object}} scene - Scene from parseDiagram().
+ * @param {Object} [options] - Options of renderDiagramSvg(), and:
+ * @param {number} [options.scale=2] - Pixels per diagram unit, lowered when
+ *     the image would be larger than MAX_PNG_SIZE.
+ * @return {Buffer} The PNG image.
+ */
+function renderDiagramPng(scene, options = {}) {
+  const { Resvg } = require('@resvg/resvg-js');
+  const svg = renderDiagramSvg(scene, options);
+  const [, width, height] = svg.match(/width="(\d+)" height="(\d+)"/).map(Number);
+  const requested = Math.min(Math.max(Number(options.scale) || 2, 0.1), 4);
+  const scale = Math.min(requested, MAX_PNG_SIZE / Math.max(width, height, 1));
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'zoom', value: scale },
+    font: { loadSystemFonts: true, defaultFontFamily: 'Arial' }
+  });
+  return resvg.render().asPng();
+}
+
+module.exports = {
+  DIAGRAM_EXTENSIONS,
+  DIAGRAM_MIME_TYPE,
+  isDiagramFile,
+  createEmptyDiagram,
+  parseDiagram,
+  extractDiagramText,
+  renderDiagramSvg,
+  renderDiagramPng
+};
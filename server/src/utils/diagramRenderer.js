@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Server-side rendering of PlantUML diagrams and math.
+ *
+ * PlantUML diagrams are rendered to SVG by a local PlantUML and never sent to
+ * a public server, since diagrams describe internal systems. The renderer is
+ * chosen with environment variables:
+ *
+ *   PLANTUML_URL      Base URL of a self-hosted PlantUML server, e.g.
+ *                     http://localhost:8080; diagrams are posted to its /svg
+ *   PLANTUML_JAR      Path of plantuml.jar, run with java
+ *   PLANTUML_COMMAND  Command that runs PlantUML, `plantuml` by default
+ *   PLANTUML_TIMEOUT  Milliseconds one diagram may take, 20000 by default
+ *
+ * The jar and the command run in the SANDBOX security profile of PlantUML, so
+ * a diagram cannot include files or URLs of the server. Rendered diagrams are
+ * cached by their source.
+ *
+ * Math in `$...$` and `$$...$$` is rendered to HTML with KaTeX.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const axios = require('axios');
+
+/** @const {Array<string>} Languages of fenced code blocks rendered as diagrams */
+const DIAGRAM_LANGUAGES = ['mermaid', 'plantuml'];
+
+/** @const {number} Most characters of a diagram source */
+const MAX_DIAGRAM_LENGTH = 50000;
+
+/** @const {number} Rendered diagrams kept in memory */
+const MAX_CACHED_DIAGRAMS = 200;
+
+const DEFAULT_TIMEOUT = 20000;
+
+/** Rendered SVG by renderer and source, oldest first */
+const svgCache = new Map();
+
+/**
+ * Returns the PlantUML renderer configured by the environment.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @return {{type: string, url: (string|undefined), command: (string|undefined),
+ *     args: (Array<string>|undefined), timeout: number}} The renderer.
+ */
+function getPlantUmlRenderer(env = process.env) {
+  const timeout = parseInt(env.PLANTUML_TIMEOUT, 10) || DEFAULT_TIMEOUT;
+  if (env.PLANTUML_URL) {
+    return { type: 'server', url: env.PLANTUML_URL.replace(/\/+$/, ''), timeout };
+  }
+  if (env.PLANTUML_JAR) {
+    return {
+      type: 'command',
+      command: 'java',
+      args: ['-Djava.awt.headless=true', '-DPLANTUML_SECURITY_PROFILE=SANDBOX', '-jar', env.PLANTUML_JAR],
+      timeout
+    };
+  }
+  const [command, ...args] = (env.PLANTUML_COMMAND || 'plantuml').trim().split(/\s+/);
+  return { type: 'command', command, args, timeout };
+}
+
+/**
+ * Wraps a diagram in @startuml/@enduml unless it names its own start.
+ * @param {string} source - The diagram as written in the fenced block.
+ * @return {string} Source PlantUML accepts.
+ */
+function normalizePlantUmlSource(source) {
+  const trimmed = source.trim();
+  return /^@start\w+/m.test(trimmed) ? trimmed : `@startuml\n${trimmed}\n@enduml`;
+}
+
+/**
+ * Creates an error with a code the routes map to a status.
+ * @private
+ */
+function diagramError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Renders with a PlantUML process reading the diagram from stdin.
+ * @private
+ */
+function renderWithCommand(source, renderer) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(renderer.command, [...renderer.args, '-tsvg', '-pipe', '-charset', 'UTF-8'], {
+      env: { ...process.env, PLANTUML_SECURITY_PROFILE: 'SANDBOX' },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    const stdout = [];
+    let stderr = '';
+    let settled = false;
+    const finish = (error, svg) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      error ? reject(error) : resolve(svg);
+    };
+    const timer = setTimeout(() => {
+      child.kill();
+      finish(diagramError(`PlantUML did not finish within ${renderer.timeout} ms`, 'PLANTUML_FAILED'));
+    }, renderer.timeout);
+
+    child.on('error', (error) => {
+      finish(error.code === 'ENOENT'
+        ? diagramError(`PlantUML is not available: '${renderer.command}' was not found. ` +
+          'Set PLANTUML_JAR, PLANTUML_COMMAND or PLANTUML_URL.', 'PLANTUML_UNAVAILABLE')
+        : diagramError(`PlantUML could not be started: ${error.message}`, 'PLANTUML_UNAVAILABLE'));
+    });
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('close', () => {
+      // Syntax errors are drawn into the SVG, so any SVG is a result
+      const output = Buffer.concat(stdout).toString('utf8');
+      const start = output.indexOf('<svg');
+      if (start === -1) {
+        finish(diagramError(`PlantUML failed: ${stderr.trim() || 'no SVG was produced'}`, 'PLANTUML_FAILED'));
+      } else {
+        finish(null, output.slice(start));
+      }
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(source);
+  });
+}
+
+/**
+ * Renders with a self-hosted PlantUML server.
+ * @private
+ */
+async function renderWithServer(source, renderer) {
+  let response;
+  try {
+    response = await axios.post(`${renderer.url}/svg`, source, {
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+      responseType: 'text',
+      timeout: renderer.timeout,
+      // Syntax errors come back as an SVG with an error status
+      validateStatus: () => true
+    });
+  } catch (error) {
+    throw diagramError(`PlantUML server ${renderer.url} is not available: ${error.message}`, 'PLANTUML_UNAVAILABLE');
+  }
+  const output = typeof response.data === 'string' ? response.data : '';
+  const start = output.indexOf('<svg');
+  if (start === -1) {
+    throw diagramError(`PlantUML server answered ${response.status} without an SVG`, 'PLANTUML_FAILED');
+  }
+  return output.slice(start);
+}
+
+/**
+ * Renders a PlantUML diagram to SVG.
+ * @param {string} source - The diagram.
+ * @param {Object} [options] - Rendering options.
+ * @param {Object} [options.renderer] - Renderer to use instead of the configured one.
+ * @return {Promise<string>} The SVG document.
+ * @throws {Error} With code INVALID_DIAGRAM, PLANTUML_UNAVAILABLE or PLANTUML_FAILED.
+ */
+async function renderPlantUml(source, options = {}) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw diagramError('Diagram source is required', 'INVALID_DIAGRAM');
+  }
+  if (source.length > MAX_DIAGRAM_LENGTH) {
+    throw diagramError(`Diagram source must be at most ${MAX_DIAGRAM_LENGTH} characters`, 'INVALID_DIAGRAM');
+  }
+
+  const renderer = options.renderer || getPlantUmlRenderer();
+  const normalized = normalizePlantUmlSource(source);
+  const cacheKey = crypto.createHash('sha256')
+    .update(JSON.stringify([renderer.type, renderer.url || renderer.command, normalized]))
+    .digest('hex');
+  if (svgCache.has(cacheKey)) {
+    const svg = svgCache.get(cacheKey);
+    svgCache.delete(cacheKey);
+    svgCache.set(cacheKey, svg);
+    return svg;
+  }
+
+  const svg = renderer.type === 'server'
+    ? await renderWithServer(normalized, renderer)
+    : await renderWithCommand(normalized, renderer);
+  svgCache.set(cacheKey, svg);
+  if (svgCache.size > MAX_CACHED_DIAGRAMS) {
+    svgCache.delete(svgCache.keys().next().value);
+  }
+  return svg;
+}
+
+/**
+ * Renders TeX to HTML with KaTeX. Errors in the TeX are shown in the output
+ * rather than thrown.
+ * @param {string} tex - The TeX source, without delimiters.
+ * @param {Object} [options] - Rendering options.
+ * @param {boolean} [options.displayMode=false] - Renders a centered block.
+ * @return {string} The HTML.
+ */
+function renderMath(tex, options = {}) {
+  const katex = require('katex');
+  return katex.renderToString(tex, {
+    displayMode: Boolean(options.displayMode),
+    throwOnError: false,
+    output: 'htmlAndMathml',
+    trust: false,
+    strict: 'ignore'
+  });
+}
+
+module.exports = {
+  DIAGRAM_LANGUAGES,
+  MAX_DIAGRAM_LENGTH,
+  getPlantUmlRenderer,
+  normalizePlantUmlSource,
+  renderPlantUml,
+  renderMath
+};
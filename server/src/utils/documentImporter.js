@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Office document import utility
+ *
+ * Converts uploaded Word (.docx) and PowerPoint (.pptx) documents into
+ * Markdown using the docx-to-md and pptx-to-markdown integrations. The
+ * converters work on file paths, so uploads held in memory are written to a
+ * temporary file for the duration of the conversion.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { DocxToMarkdown } = require('../../integrations/docx-to-md');
+const { PptxToMarkdownConverter } = require('../../integrations/pptx-to-markdown');
+
+const IMPORTABLE_EXTENSIONS = ['.docx', '.pptx'];
+
+/**
+ * Check whether a file can be imported as Markdown
+ * @param {string} fileName - The uploaded file name
+ * @returns {boolean} True for .docx and .pptx files
+ */
+function isImportableDocument(fileName) {
+  return IMPORTABLE_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Build the target paths for an imported document
+ * @param {string} fileName - The sanitized upload file name
+ * @param {string} folderPath - The folder the upload targets
+ * @returns {Object} Paths for the markdown file, image folder and original attachment
+ */
+function getImportPaths(fileName, folderPath = '') {
+  const baseName = path.basename(fileName, path.extname(fileName));
+  const join = (name) => (folderPath ? path.posix.join(folderPath, name) : name);
+
+  return {
+    imageDir: `${baseName}-images`,
+    markdownPath: join(`${baseName}.md`),
+    imageFolderPath: join(`${baseName}-images`),
+    attachmentPath: join(fileName)
+  };
+}
+
+/**
+ * Convert an uploaded Office document to Markdown
+ * @param {Buffer} buffer - The uploaded file contents
+ * @param {string} fileName - The uploaded file name (used for the extension)
+ * @param {Object} [options] - Import options
+ * @param {string} [options.imageDir='images'] - Relative folder the markdown uses for image links
+ * @param {string} [options.attachmentName] - Original file name to link at the end of the markdown
+ * @returns {Promise<{markdown: string, images: Array<{name: string, data: Buffer}>, messages: Array}>}
+ */
+async function convertDocumentToMarkdown(buffer, fileName, options = {}) {
+  const extension = path.extname(fileName).toLowerCase();
+  if (!IMPORTABLE_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported import format: ${extension}. Only .docx and .pptx files can be imported.`);
+  }
+
+  const imageDir = options.imageDir || 'images';
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'doc-import-'));
+  const tempPath = path.join(tempDir, `upload${extension}`);
+
+  try {
+    await fs.writeFile(tempPath, buffer);
+
+    let result;
+    if (extension === '.docx') {
+      const converter = new DocxToMarkdown({ preserveImages: true, imageOutputDir: imageDir });
+      result = await converter.convertFile(tempPath, null);
+    } else {
+      const converter = new PptxToMarkdownConverter({ extractImages: true, imageOutputDir: imageDir });
+      result = await converter.convertFile(tempPath, null);
+      // The converter titles the document after the file it was given
+      result.markdown = result.markdown.replace(/^# upload\n/, `# ${path.basename(fileName, extension)}\n`);
+    }
+
+    let markdown = result.markdown.trimEnd() + '\n';
+    if (options.attachmentName) {
+      markdown += `\n---\n\n*Imported from [${options.attachmentName}](${encodeURI(options.attachmentName)})*\n`;
+    }
+
+    return {
+      markdown,
+      images: (result.images || []).filter(image => image.data).map(image => ({
+        name: image.name,
+        data: image.data
+      })),
+      messages: result.messages || []
+    };
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
+module.exports = {
+  isImportableDocument,
+  getImportPaths,
+  convertDocumentToMarkdown
+};
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview YAML front-matter for Markdown files.
+ *
+ * Pages describe themselves with a YAML block at the very top of the file:
+ *
+ *   ---
+ *   owner: jane
+ *   status: approved
+ *   reviewDate: 2025-12-01
+ *   tags: [integration, payments]
+ *   system: Payments Gateway
+ *   ---
+ *
+ * Values are parsed with the YAML core schema, so dates stay strings and can
+ * be validated with JSON Schema formats. The comment and metadata blocks are
+ * appended to the end of a file and never interfere with the front-matter.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const yaml = require('js-yaml');
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/** @const {Array<string>} Front-matter fields with dedicated filters */
+const STANDARD_FIELDS = ['owner', 'status', 'reviewDate', 'tags', 'system'];
+
+/**
+ * Splits a Markdown document into its front-matter and body.
+ * @param {string|Buffer} content - The Markdown content.
+ * @return {{data: Object, body: string, raw: string|null, error: string|null}}
+ *     The parsed fields, the content after the block, the YAML text and the
+ *     parse error when the YAML is invalid.
+ */
+function parseFrontMatter(content) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : (content || '');
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { data: {}, body: text, raw: null, error: null };
+  }
+
+  const body = text.slice(match[0].length);
+  try {
+    const data = yaml.safeLoad(match[1], { schema: yaml.CORE_SCHEMA }) || {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return { data: {}, body, raw: match[1], error: 'Front-matter must be a set of key: value fields' };
+    }
+    return { data, body, raw: match[1], error: null };
+  } catch (error) {
+    return { data: {}, body, raw: match[1], error: `Invalid front-matter YAML: ${error.reason || error.message}` };
+  }
+}
+
+/**
+ * Builds a document from front-matter fields and a body.
+ * @param {Object} data - The front-matter fields; an empty object writes no block.
+ * @param {string} body - The Markdown body.
+ * @return {string} The document.
+ */
+function stringifyFrontMatter(data, body) {
+  if (!data || Object.keys(data).length === 0) {
+    return body || '';
+  }
+  const block = yaml.safeDump(data, { schema: yaml.CORE_SCHEMA, lineWidth: -1 }).trimEnd();
+  return `---\n${block}\n---\n${body || ''}`;
+}
+
+/**
+ * Reads the tags field as a list, accepting a YAML list or a comma separated string.
+ * @param {*} tags - The tags value.
+ * @return {Array<string>} The tags.
+ */
+function normalizeTags(tags) {
+  if (Array.isArray(tags)) {
+    return tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  if (typeof tags === 'string') {
+    return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Reads front-matter filters from query parameters: owner, status and
+ * system match exactly (case-insensitive, comma separated for any of),
+ * tags must all be present, reviewBefore/reviewAfter compare reviewDate,
+ * and `fm.<field>` matches any other field.
+ * @param {Object} query - Express request query.
+ * @return {Object|null} The filters, or null when none are given.
+ */
+function parseFrontMatterFilters(query = {}) {
+  const filters = {};
+  for (const field of ['owner', 'status', 'system']) {
+    if (query[field]) {
+      filters[field] = String(query[field]).split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+    }
+  }
+  if (query.tags) {
+    filters.tags = normalizeTags(String(query.tags)).map(tag => tag.toLowerCase());
+  }
+  if (query.reviewBefore) filters.reviewBefore = String(query.reviewBefore);
+  if (query.reviewAfter) filters.reviewAfter = String(query.reviewAfter);
+
+  for (const [key, value] of Object.entries(query)) {
+    if (key.startsWith('fm.') && key.length > 3) {
+      filters.fields = filters.fields || {};
+      filters.fields[key.slice(3)] = String(value).toLowerCase();
+    }
+  }
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Checks front-matter fields against filters from parseFrontMatterFilters.
+ * @param {Object} data - The front-matter fields.
+ * @param {Object|null} filters - The filters.
+ * @return {boolean} True when every filter matches.
+ */
+function matchesFrontMatterFilters(data, filters) {
+  if (!filters) {
+    return true;
+  }
+  const fields = data || {};
+  const asText = value => (value === undefined || value === null ? '' : String(value).toLowerCase());
+
+  for (const field of ['owner', 'status', 'system']) {
+    if (filters[field] && !filters[field].includes(asText(fields[field]))) {
+      return false;
+    }
+  }
+  if (filters.tags) {
+    const tags = normalizeTags(fields.tags).map(tag => tag.toLowerCase());
+    if (!filters.tags.every(tag => tags.includes(tag))) {
+      return false;
+    }
+  }
+  const reviewDate = asText(fields.reviewDate);
+  if (filters.reviewBefore && (!reviewDate || reviewDate > filters.reviewBefore.toLowerCase())) {
+    return false;
+  }
+  if (filters.reviewAfter && (!reviewDate || reviewDate < filters.reviewAfter.toLowerCase())) {
+    return false;
+  }
+  for (const [field, value] of Object.entries(filters.fields || {})) {
+    const actual = fields[field];
+    const matches = Array.isArray(actual)
+      ? actual.some(item => asText(item) === value)
+      : asText(actual) === value;
+    if (!matches) {
+      return false;
+    }
+  }
+  return true;
+}
+
+module.exports = {
+  STANDARD_FIELDS,
+  parseFrontMatter,
+  stringifyFrontMatter,
+  normalizeTags,
+  parseFrontMatterFilters,
+  matchesFrontMatterFilters
+};
@@ -0,0 +1,635 @@
+/**
+ * @fileoverview Link index for wiki-style links, backlinks and broken links.
+ *
+ * Markdown files link to each other with wiki links (`[[Page Name]]`,
+ * `[[folder/Page|label]]`, `[[Page#Heading]]`) or relative Markdown links
+ * (`[text](../other.md)`). The index stores the outbound links of every
+ * Markdown file per space and resolves them against the files that exist
+ * when it is queried, so creating a missing page fixes its broken links
+ * without reindexing the pages that point to it.
+ *
+ * The index is kept up to date by the write routes, the space scheduler and
+ * the content processor workers (through the `link-indexing` queue), and is
+ * persisted to server-data so a restart does not lose it.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_VERSION = 1;
+
+/** @const {string} Queue the content processor workers send link updates to */
+const LINK_QUEUE = 'link-indexing';
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const WIKI_LINK_PATTERN = /(!?)\[\[([^[\]\n|#]+)(#[^[\]\n|]*)?(\|[^[\]\n]*)?\]\]/g;
+const MARKDOWN_LINK_PATTERN = /(!?)\[([^\]\n]*)\]\(\s*(<[^>\n]+>|[^)\s]+)(\s+"[^"\n]*")?\s*\)/g;
+const MAX_CONTEXT_LENGTH = 200;
+
+/**
+ * Whether a path names a Markdown file.
+ * @param {string} filePath - The file path.
+ * @return {boolean} True for .md and .markdown files.
+ */
+function isMarkdownPath(filePath) {
+  return MARKDOWN_EXTENSIONS.includes(path.posix.extname(filePath || '').toLowerCase());
+}
+
+/**
+ * Builds the index key of a space. Personal spaces are indexed per user.
+ * @param {string} spaceName - The space name.
+ * @param {Object} [user] - The user the request runs as.
+ * @return {string} The space key.
+ */
+function getLinkSpaceKey(spaceName, user) {
+  if (spaceName === 'Personal' && user && user.username) {
+    return `Personal:${user.username}`;
+  }
+  return spaceName;
+}
+
+/**
+ * Normalises a page name so `[[Solution Design]]` matches solution-design.md.
+ * @param {string} name - Page name or path without extension.
+ * @return {string} The normalised name.
+ */
+function normalizeName(name) {
+  return name.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+function stripMarkdownExtension(filePath) {
+  return isMarkdownPath(filePath) ? filePath.slice(0, -path.posix.extname(filePath).length) : filePath;
+}
+
+/**
+ * Blanks out code and HTML comments while keeping offsets and line breaks, so
+ * link syntax inside them is ignored.
+ */
+function maskIgnoredText(content) {
+  const blank = text => text.replace(/[^\n]/g, ' ');
+  return content
+    .replace(/<!--[\s\S]*?-->/g, blank)
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?(?:^\1[^\n]*$|(?![\s\S]))/gm, blank)
+    .replace(/(`+)[^`\n][\s\S]*?\1/g, blank);
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURI(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Extracts the outbound links of a Markdown document. External URLs and
+ * in-page anchors are not links between files and are skipped.
+ * @param {string} content - The Markdown content.
+ * @return {Array<Object>} Links with type ('wiki' or 'markdown'), target,
+ *     anchor, line, context and the offsets of the target text.
+ */
+function extractLinks(content) {
+  if (typeof content !== 'string' || !content) {
+    return [];
+  }
+
+  const masked = maskIgnoredText(content);
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+  const locate = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+    }
+    const end = content.indexOf('\n', lineStarts[low]);
+    const context = content.slice(lineStarts[low], end === -1 ? content.length : end).trim();
+    return { line: low + 1, context: context.slice(0, MAX_CONTEXT_LENGTH) };
+  };
+
+  const links = [];
+
+  for (const match of masked.matchAll(WIKI_LINK_PATTERN)) {
+    const target = match[2].trim();
+    if (!target) continue;
+    const start = match.index + match[1].length + 2 + match[2].indexOf(target);
+    links.push({
+      type: 'wiki',
+      target,
+      anchor: match[3] ? match[3].slice(1) : null,
+      label: match[4] ? match[4].slice(1) : null,
+      start,
+      end: start + target.length,
+      ...locate(match.index)
+    });
+  }
+
+  for (const match of masked.matchAll(MARKDOWN_LINK_PATTERN)) {
+    let rawTarget = match[3];
+    let targetOffset = match.index + match[0].indexOf(rawTarget, match[1].length + match[2].length + 2);
+    if (rawTarget.startsWith('<')) {
+      rawTarget = rawTarget.slice(1, -1);
+      targetOffset += 1;
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(rawTarget) || rawTarget.startsWith('#') || rawTarget.startsWith('//')) {
+      continue;
+    }
+
+    const hashIndex = rawTarget.indexOf('#');
+    const queryIndex = rawTarget.indexOf('?');
+    const cut = [hashIndex, queryIndex].filter(index => index !== -1);
+    const pathPart = cut.length ? rawTarget.slice(0, Math.min(...cut)) : rawTarget;
+    if (!pathPart) continue;
+
+    links.push({
+      type: 'markdown',
+      target: safeDecode(pathPart),
+      anchor: hashIndex !== -1 ? rawTarget.slice(hashIndex + 1) : null,
+      label: match[2],
+      start: targetOffset,
+      end: targetOffset + pathPart.length,
+      ...locate(match.index)
+    });
+  }
+
+  return links.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Reduces extracted links to the fields kept in the index.
+ */
+function toStoredLinks(links) {
+  return links.map(({ type, target, anchor, line, context }) => ({ type, target, anchor, line, context }));
+}
+
+/**
+ * Creates a resolver that maps links to the files of a space.
+ * @param {Iterable<string>} filePaths - All file paths of the space.
+ * @return {Function} resolve(link, fromPath) returning the target path, or null when broken.
+ */
+function createLinkResolver(filePaths) {
+  const files = new Set();
+  const folders = new Set();
+  const byName = new Map();
+  const byPath = new Map();
+
+  const addCandidate = (map, key, filePath) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(filePath);
+  };
+
+  for (const filePath of filePaths) {
+    files.add(filePath);
+    const parts = filePath.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      folders.add(parts.slice(0, i).join('/'));
+    }
+    addCandidate(byName, normalizeName(stripMarkdownExtension(parts[parts.length - 1])), filePath);
+    addCandidate(byPath, normalizeName(stripMarkdownExtension(filePath)), filePath);
+  }
+
+  // Prefer pages next to the linking page, then the shortest path
+  const choose = (candidates, fromPath) => {
+    if (!candidates || candidates.length === 0) return null;
+    const fromFolder = path.posix.dirname(fromPath);
+    return [...candidates].sort((a, b) => {
+      const aLocal = path.posix.dirname(a) === fromFolder ? 0 : 1;
+      const bLocal = path.posix.dirname(b) === fromFolder ? 0 : 1;
+      return aLocal - bLocal || a.split('/').length - b.split('/').length || a.localeCompare(b);
+    })[0];
+  };
+
+  return (link, fromPath) => {
+    if (link.type === 'wiki') {
+      const target = link.target.replace(/^\/+/, '');
+      if (files.has(target)) return target;
+      const key = normalizeName(stripMarkdownExtension(target));
+      if (target.includes('/')) {
+        if (byPath.has(key)) return choose(byPath.get(key), fromPath);
+        const suffixMatches = [...byPath.entries()]
+          .filter(([candidate]) => candidate.endsWith(`/${key}`))
+          .flatMap(([, paths]) => paths);
+        return choose(suffixMatches, fromPath);
+      }
+      return choose(byName.get(key), fromPath);
+    }
+
+    const joined = link.target.startsWith('/')
+      ? link.target.replace(/^\/+/, '')
+      : path.posix.join(path.posix.dirname(fromPath), link.target);
+    const resolved = path.posix.normalize(joined).replace(/\/$/, '');
+    if (resolved.startsWith('..') || resolved === '.') return null;
+    if (files.has(resolved) || folders.has(resolved)) return resolved;
+    if (!path.posix.extname(resolved) && files.has(`${resolved}.md`)) return `${resolved}.md`;
+    return null;
+  };
+}
+
+/**
+ * Rewrites the links of a document that point at moved files.
+ * @param {string} content - The Markdown content.
+ * @param {string} fromPath - Path of the document before the move.
+ * @param {Map<string, string>} moves - Old file path to new file path.
+ * @param {Iterable<string>} filePaths - All file paths before the move.
+ * @param {string} [newFromPath] - Path of the document after the move, when it moved too.
+ * @return {{content: string, count: number}} The rewritten content and the number of links changed.
+ */
+function rewriteLinks(content, fromPath, moves, filePaths, newFromPath = fromPath) {
+  const resolve = createLinkResolver(filePaths);
+  let result = '';
+  let cursor = 0;
+  let count = 0;
+
+  for (const link of extractLinks(content)) {
+    const resolved = resolve(link, fromPath);
+    const newPath = resolved && moves.get(resolved);
+    if (!newPath) continue;
+
+    let replacement;
+    if (link.type === 'wiki') {
+      const keepExtension = Boolean(path.posix.extname(link.target));
+      const newTarget = link.target.includes('/') ? newPath : path.posix.basename(newPath);
+      replacement = keepExtension ? newTarget : stripMarkdownExtension(newTarget);
+      if (normalizeName(replacement) === normalizeName(link.target)) continue;
+    } else {
+      const original = content.slice(link.start, link.end);
+      let relative = link.target.startsWith('/')
+        ? `/${newPath}`
+        : path.posix.relative(path.posix.dirname(newFromPath), newPath);
+      if (original.startsWith('./') && !relative.startsWith('.')) relative = `./${relative}`;
+      replacement = original.includes('%') || /\s/.test(relative) ? encodeURI(relative) : relative;
+      if (replacement === original) continue;
+    }
+
+    result += content.slice(cursor, link.start) + replacement;
+    cursor = link.end;
+    count++;
+  }
+
+  return { content: result + content.slice(cursor), count };
+}
+
+/**
+ * Converts a path reported by a worker to a space-relative path. Writable
+ * spaces keep their pages in a markdown folder; other folders hold templates
+ * and are not indexed.
+ * @param {string} workerPath - Path relative to the space root.
+ * @param {string} [spaceAccess] - The space access ('readonly' or 'write').
+ * @return {string|null} The path within the space, or null when not indexed.
+ */
+function toSpacePath(workerPath, spaceAccess) {
+  const normalized = (workerPath || '').split(path.sep).join('/');
+  if (spaceAccess === 'readonly') {
+    return normalized;
+  }
+  return normalized.startsWith('markdown/') ? normalized.slice('markdown/'.length) : null;
+}
+
+class LinkIndex {
+  /**
+   * @param {Object} [options] - Configuration options.
+   * @param {string|null} [options.indexPath] - File the index is persisted to; null keeps it in memory.
+   * @param {number} [options.persistDelay=1000] - Debounce in ms before changes are written to disk.
+   */
+  constructor(options = {}) {
+    this.indexPath = options.indexPath === undefined
+      ? path.join(__dirname, '../../../server-data/link-index.json')
+      : options.indexPath;
+    this.persistDelay = options.persistDelay !== undefined ? options.persistDelay : 1000;
+    this.spaces = new Map(); // spaceKey -> { complete, files: Map(path -> links) }
+    this.persistTimer_ = null;
+    this.load_();
+  }
+
+  /**
+   * Whether every file of a space has been indexed.
+   * @param {string} spaceKey - The space key.
+   * @return {boolean} True once the space was indexed in full.
+   */
+  isComplete(spaceKey) {
+    const space = this.spaces.get(spaceKey);
+    return Boolean(space && space.complete);
+  }
+
+  /**
+   * Indexes the links of a file. Files other than Markdown are ignored.
+   * @param {string} spaceKey - The space key.
+   * @param {string} filePath - Path of the file within the space.
+   * @param {string|Buffer} content - The file content.
+   */
+  updateFile(spaceKey, filePath, content) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : content;
+    if (!isMarkdownPath(filePath) || typeof text !== 'string') {
+      return;
+    }
+    this.setFileLinks(spaceKey, filePath, extractLinks(text));
+  }
+
+  /**
+   * Stores links that were already extracted, e.g. by a worker.
+   * @param {string} spaceKey - The space key.
+   * @param {string} filePath - Path of the file within the space.
+   * @param {Array<Object>} links - Links from extractLinks.
+   */
+  setFileLinks(spaceKey, filePath, links) {
+    this.getSpace_(spaceKey).files.set(filePath, toStoredLinks(links || []));
+    this.schedulePersist_();
+  }
+
+  /**
+   * Removes a file, or a folder and everything in it.
+   * @param {string} spaceKey - The space key.
+   * @param {string} targetPath - Path of the file or folder.
+   */
+  removePath(spaceKey, targetPath) {
+    const space = this.spaces.get(spaceKey);
+    if (!space) return;
+    for (const filePath of [...space.files.keys()]) {
+      if (filePath === targetPath || filePath.startsWith(`${targetPath}/`)) {
+        space.files.delete(filePath);
+      }
+    }
+    this.schedulePersist_();
+  }
+
+  /**
+   * Moves a file, or a folder and everything in it.
+   * @param {string} spaceKey - The space key.
+   * @param {string} oldPath - Path before the move.
+   * @param {string} newPath - Path after the move.
+   */
+  movePath(spaceKey, oldPath, newPath) {
+    const space = this.spaces.get(spaceKey);
+    if (!space) return;
+    for (const [filePath, links] of [...space.files.entries()]) {
+      if (filePath === oldPath || filePath.startsWith(`${oldPath}/`)) {
+        space.files.delete(filePath);
+        space.files.set(newPath + filePath.slice(oldPath.length), links);
+      }
+    }
+    this.schedulePersist_();
+  }
+
+  /**
+   * Replaces the index of a space with a full scan of its Markdown files.
+   * @param {string} spaceKey - The space key.
+   * @param {Array<{path: string, content: string}>} documents - Every Markdown file of the space.
+   */
+  replaceSpace(spaceKey, documents) {
+    const files = new Map();
+    for (const document of documents) {
+      if (isMarkdownPath(document.path)) {
+        files.set(document.path, toStoredLinks(extractLinks(document.content)));
+      }
+    }
+    this.spaces.set(spaceKey, { complete: true, files });
+    this.schedulePersist_();
+  }
+
+  /**
+   * Lists the indexed Markdown files of a space.
+   * @param {string} spaceKey - The space key.
+   * @return {Array<string>} The file paths.
+   */
+  getFilePaths(spaceKey) {
+    const space = this.spaces.get(spaceKey);
+    return space ? [...space.files.keys()] : [];
+  }
+
+  /**
+   * Finds the links that point at a file, or at any file in a folder.
+   * @param {string} spaceKey - The space key.
+   * @param {string} targetPath - Path of the file or folder.
+   * @param {Iterable<string>} [filePaths] - All files of the space; defaults to the indexed files.
+   * @return {Array<Object>} Backlinks with the source file, the resolved target and the line.
+   */
+  getBacklinks(spaceKey, targetPath, filePaths = null) {
+    const space = this.spaces.get(spaceKey);
+    if (!space) return [];
+    const resolve = createLinkResolver(filePaths || space.files.keys());
+    const backlinks = [];
+
+    for (const [source, links] of space.files.entries()) {
+      for (const link of links) {
+        const resolved = resolve(link, source);
+        if (resolved && resolved !== source && (resolved === targetPath || resolved.startsWith(`${targetPath}/`))) {
+          backlinks.push({ source, resolvedPath: resolved, ...link });
+        }
+      }
+    }
+    return backlinks.sort((a, b) => a.source.localeCompare(b.source) || a.line - b.line);
+  }
+
+  /**
+   * Lists the links of a space that do not resolve to an existing file.
+   * @param {string} spaceKey - The space key.
+   * @param {Iterable<string>} filePaths - All files of the space.
+   * @return {Array<Object>} Broken links with the source file and line.
+   */
+  getBrokenLinks(spaceKey, filePaths) {
+    const space = this.spaces.get(spaceKey);
+    if (!space) return [];
+    const resolve = createLinkResolver(filePaths);
+    const broken = [];
+
+    for (const [source, links] of space.files.entries()) {
+      for (const link of links) {
+        if (!resolve(link, source)) {
+          broken.push({ source, ...link });
+        }
+      }
+    }
+    return broken.sort((a, b) => a.source.localeCompare(b.source) || a.line - b.line);
+  }
+
+  /**
+   * Applies a task from the link-indexing queue.
+   * @param {Object} task - { action: 'index'|'remove', path, links, username|spaceName, spaceAccess }.
+   */
+  applyTask(task) {
+    const spaceKey = task.spaceName || (task.username ? `Personal:${task.username}` : null);
+    const filePath = toSpacePath(task.path, task.spaceName ? task.spaceAccess : 'write');
+    if (!spaceKey || !filePath) {
+      return;
+    }
+
+    if (task.action === 'index' && isMarkdownPath(filePath)) {
+      this.setFileLinks(spaceKey, filePath, task.links);
+    } else if (task.action === 'remove') {
+      this.removePath(spaceKey, filePath);
+    }
+  }
+
+  /**
+   * Writes pending changes to disk immediately.
+   * @return {Promise<void>}
+   */
+  async flush() {
+    if (this.persistTimer_) {
+      clearTimeout(this.persistTimer_);
+      this.persistTimer_ = null;
+    }
+    await this.persist_();
+  }
+
+  /** @private */
+  getSpace_(spaceKey) {
+    if (!this.spaces.has(spaceKey)) {
+      this.spaces.set(spaceKey, { complete: false, files: new Map() });
+    }
+    return this.spaces.get(spaceKey);
+  }
+
+  /** @private */
+  schedulePersist_() {
+    if (!this.indexPath) {
+      return;
+    }
+    if (this.persistTimer_) {
+      clearTimeout(this.persistTimer_);
+    }
+    this.persistTimer_ = setTimeout(() => {
+      this.persistTimer_ = null;
+      this.persist_().catch(error => console.error('Failed to persist link index:', error.message));
+    }, this.persistDelay);
+    if (this.persistTimer_.unref) {
+      this.persistTimer_.unref();
+    }
+  }
+
+  /** @private */
+  async persist_() {
+    if (!this.indexPath) {
+      return;
+    }
+    const spaces = {};
+    for (const [spaceKey, space] of this.spaces.entries()) {
+      spaces[spaceKey] = { complete: space.complete, files: Object.fromEntries(space.files) };
+    }
+    const data = { version: INDEX_VERSION, savedAt: new Date().toISOString(), spaces };
+
+    // Write to a temporary file first so a crash never leaves a truncated index
+    const tempPath = `${this.indexPath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.indexPath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(data));
+    await fs.promises.rename(tempPath, this.indexPath);
+  }
+
+  /** @private */
+  load_() {
+    if (!this.indexPath || !fs.existsSync(this.indexPath)) {
+      return;
+    }
+    try {
+      const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      if (data.version !== INDEX_VERSION) {
+        console.warn(`Ignoring link index with unsupported version: ${data.version}`);
+        return;
+      }
+      for (const [spaceKey, space] of Object.entries(data.spaces || {})) {
+        this.spaces.set(spaceKey, { complete: Boolean(space.complete), files: new Map(Object.entries(space.files || {})) });
+      }
+    } catch (error) {
+      console.error('Failed to load link index, starting empty:', error.message);
+      this.spaces.clear();
+    }
+  }
+}
+
+let defaultIndex = null;
+
+/**
+ * Returns the shared link index of the server, created on first use so
+ * workers can use the extraction helpers without loading it.
+ * @return {LinkIndex} The link index.
+ */
+function getLinkIndex() {
+  if (!defaultIndex) {
+    defaultIndex = new LinkIndex();
+  }
+  return defaultIndex;
+}
+
+/**
+ * Indexes a file written through a space route. Failures are logged and do
+ * not fail the write.
+ * @param {Object} req - Express request with spaceName and user.
+ * @param {string} filePath - Path of the file within the space.
+ * @param {string|Buffer} content - The written content.
+ */
+function indexWrittenFile(req, filePath, content) {
+  try {
+    getLinkIndex().updateFile(getLinkSpaceKey(req.spaceName, req.user), filePath, content);
+  } catch (error) {
+    console.error(`Failed to index links of ${filePath}:`, error.message);
+  }
+}
+
+/**
+ * Drops a file or folder removed through a space route from the index.
+ * @param {Object} req - Express request with spaceName and user.
+ * @param {string} targetPath - Path of the file or folder within the space.
+ */
+function unindexRemovedPath(req, targetPath) {
+  try {
+    getLinkIndex().removePath(getLinkSpaceKey(req.spaceName, req.user), targetPath);
+  } catch (error) {
+    console.error(`Failed to remove links of ${targetPath}:`, error.message);
+  }
+}
+
+/**
+ * Applies the link updates the workers queue, polling the in-process queue.
+ * @param {Object} queueing - The queueing service.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.interval=2000] - Poll interval in ms.
+ * @param {number} [options.batchSize=200] - Tasks applied per poll.
+ * @return {Function} Stops the consumer.
+ */
+function startLinkQueueConsumer(queueing, options = {}) {
+  const { interval = 2000, batchSize = 200 } = options;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (let i = 0; i < batchSize; i++) {
+        const task = await queueing.dequeue(LINK_QUEUE);
+        if (!task) break;
+        getLinkIndex().applyTask(task);
+      }
+    } catch (error) {
+      console.error('Error applying link index updates:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  LINK_QUEUE,
+  LinkIndex,
+  isMarkdownPath,
+  getLinkSpaceKey,
+  extractLinks,
+  createLinkResolver,
+  rewriteLinks,
+  toSpacePath,
+  getLinkIndex,
+  indexWrittenFile,
+  unindexRemovedPath,
+  startLinkQueueConsumer
+};
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Front-matter schemas attached to folders and templates.
+ *
+ * A folder gets a schema by holding a `.schema.json` file; it applies to every
+ * Markdown page in the folder and its subfolders unless a nearer folder has
+ * its own. A template gets a schema through the `schema` property of its
+ * definition, and applies to pages that name it in their front-matter with
+ * `template: <name>`. Both schemas must pass when a page has both. Pages
+ * without an applicable schema are stored as they are.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const { parseFrontMatter } = require('./frontMatter');
+const { validateAgainstSchema } = require('./schemaValidator');
+
+/** @const {string} File name of a folder schema */
+const SCHEMA_FILE_NAME = '.schema.json';
+
+/**
+ * Returns the storage path of a folder schema.
+ * @param {string} folderPath - The folder, relative to the space; empty for the root.
+ * @param {boolean} isReadonly - Whether the space is readonly.
+ * @return {string} The path of the schema file.
+ */
+function getFolderSchemaPath(folderPath, isReadonly) {
+  const relativePath = folderPath ? `${folderPath.replace(/^\/+|\/+$/g, '')}/${SCHEMA_FILE_NAME}` : SCHEMA_FILE_NAME;
+  return isReadonly ? relativePath : `markdown/${relativePath}`;
+}
+
+/**
+ * Checks whether a path is a folder schema, which is only written through the
+ * schema routes so that changing it requires the manage permission.
+ * @param {string} filePath - Path relative to the space.
+ * @return {boolean} True for folder schema files.
+ */
+function isSchemaFile(filePath) {
+  return path.posix.basename(filePath || '') === SCHEMA_FILE_NAME;
+}
+
+/**
+ * Reads and parses a JSON file, returning null when it is missing.
+ * @param {Object} filing - The space's filing provider.
+ * @param {string} filePath - The storage path.
+ * @return {Promise<Object|null>} The parsed JSON.
+ */
+async function readJson(filing, filePath) {
+  if (!(await filing.exists(filePath))) {
+    return null;
+  }
+  return JSON.parse(await filing.read(filePath, 'utf8'));
+}
+
+/**
+ * Finds the schema of the nearest folder holding a `.schema.json`.
+ * @param {Object} filing - The space's filing provider.
+ * @param {string} filePath - Path of the page, relative to the space.
+ * @param {boolean} isReadonly - Whether the space is readonly.
+ * @return {Promise<{folder: string, schema: Object}|null>} The folder and its schema.
+ */
+async function findFolderSchema(filing, filePath, isReadonly) {
+  let folder = path.posix.dirname(filePath.replace(/^\/+/, ''));
+  for (;;) {
+    const folderPath = folder === '.' ? '' : folder;
+    const schema = await readJson(filing, getFolderSchemaPath(folderPath, isReadonly));
+    if (schema) {
+      return { folder: folderPath, schema };
+    }
+    if (!folderPath) {
+      return null;
+    }
+    folder = path.posix.dirname(folderPath);
+  }
+}
+
+/**
+ * Reads the schema of a template.
+ * @param {Object} filing - The space's filing provider.
+ * @param {string} templateName - The template name.
+ * @param {boolean} isReadonly - Whether the space is readonly.
+ * @return {Promise<Object|null>} The schema, or null when the template has none.
+ */
+async function loadTemplateSchema(filing, templateName, isReadonly) {
+  if (isReadonly || !/^[\w .-]+$/.test(templateName)) {
+    return null;
+  }
+  const template = await readJson(filing, `templates/${templateName}.json`);
+  return template && template.schema && typeof template.schema === 'object' ? template.schema : null;
+}
+
+/**
+ * Validates the front-matter of a page against its folder and template schemas.
+ * @param {Object} filing - The space's filing provider.
+ * @param {string} filePath - Path of the page, relative to the space.
+ * @param {string|Buffer} content - The new content.
+ * @param {boolean} isReadonly - Whether the space is readonly.
+ * @return {Promise<{frontMatter: Object, errors: Array<{source: string, field: string, message: string}>}>}
+ *     The parsed front-matter and the validation errors.
+ */
+async function validateFrontMatter(filing, filePath, content, isReadonly) {
+  const { data, error } = parseFrontMatter(content);
+  const schemas = [];
+
+  const folderSchema = await findFolderSchema(filing, filePath, isReadonly);
+  if (folderSchema) {
+    schemas.push({ source: `folder:${folderSchema.folder || '/'}`, schema: folderSchema.schema });
+  }
+  if (typeof data.template === 'string') {
+    const templateSchema = await loadTemplateSchema(filing, data.template, isReadonly);
+    if (templateSchema) {
+      schemas.push({ source: `template:${data.template}`, schema: templateSchema });
+    }
+  }
+
+  if (schemas.length === 0) {
+    return { frontMatter: data, errors: [] };
+  }
+  if (error) {
+    return { frontMatter: data, errors: [{ source: 'front-matter', field: '(root)', message: error }] };
+  }
+
+  const errors = [];
+  for (const { source, schema } of schemas) {
+    validateAgainstSchema(data, schema).errors.forEach(failure => errors.push({ source, ...failure }));
+  }
+  return { frontMatter: data, errors };
+}
+
+/**
+ * Checks a write against the front-matter schemas: a Markdown page whose
+ * front-matter fails them is refused with 422 and the list of errors, and a
+ * write to a folder schema with 403. Other files always pass.
+ * @param {Object} req - Express request with the space's filing provider and
+ *     configuration.
+ * @param {string} filePath - Path of the page, relative to the space.
+ * @param {string|Buffer} content - The new content.
+ * @return {Promise<{status: number, body: Object}|null>} The refusal to
+ *     answer, or null when the write may go ahead.
+ */
+async function findFrontMatterRefusal(req, filePath, content) {
+  if (isSchemaFile(filePath)) {
+    return { status: 403, body: { error: 'Folder schemas can only be changed through the schema API' } };
+  }
+  if (Buffer.isBuffer(content) || !/\.(md|markdown)$/i.test(filePath)) {
+    return null;
+  }
+  const isReadonly = req.spaceConfig.access === 'readonly';
+  const { errors } = await validateFrontMatter(req.filing, filePath, content, isReadonly);
+  if (errors.length === 0) {
+    return null;
+  }
+  return {
+    status: 422,
+    body: {
+      error: 'Front-matter does not match the schema',
+      path: filePath,
+      validationErrors: errors
+    }
+  };
+}
+
+/**
+ * Route helper that answers a write refused by findFrontMatterRefusal.
+ * @param {Object} req - Express request with the space's filing provider.
+ * @param {Object} res - Express response.
+ * @param {string} filePath - Path of the page, relative to the space.
+ * @param {string|Buffer} content - The new content.
+ * @return {Promise<boolean>} True when the write may go ahead.
+ */
+async function checkFrontMatter(req, res, filePath, content) {
+  const refusal = await findFrontMatterRefusal(req, filePath, content);
+  if (!refusal) {
+    return true;
+  }
+  res.status(refusal.status).json(refusal.body);
+  return false;
+}
+
+module.exports = {
+  SCHEMA_FILE_NAME,
+  getFolderSchemaPath,
+  isSchemaFile,
+  findFolderSchema,
+  loadTemplateSchema,
+  validateFrontMatter,
+  findFrontMatterRefusal,
+  checkFrontMatter
+};
@@ -0,0 +1,472 @@
+/**
+ * @fileoverview Per-user notifications for mentions, comments and reviews.
+ *
+ * `@username` mentions in comments and documents, replies to comment threads,
+ * new comments on documents a user owns and review requests and decisions
+ * create notifications for the users concerned. Each user's notifications
+ * are stored in one JSON file under server-data/notifications, so the inbox
+ * survives restarts. Users only get notifications for spaces they can read;
+ * Personal spaces never notify anyone.
+ *
+ * After a notification is stored it is handed to the delivery channels, for
+ * example email or a webhook, through the `user-notifications` topic of the
+ * notifying service. A webhook channel is registered when the
+ * NOTIFICATION_WEBHOOK_URL environment variable is set; other channels are
+ * added with registerDeliveryChannel.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const axios = require('axios');
+const userStorage = require('../auth/userStorage');
+const { resolveSpaceRole, hasSpacePermission } = require('./spaceRoles');
+const { acquireFileLock } = require('./contentVersion');
+const { parseFrontMatter } = require('./frontMatter');
+const { defaultStore: historyStore, getSpaceKey } = require('./versionHistory');
+
+const DEFAULT_NOTIFICATIONS_PATH = path.join(__dirname, '../../../server-data/notifications');
+
+/** @const {Array<string>} Kinds of notification */
+const NOTIFICATION_TYPES = ['mention', 'reply', 'comment', 'review_requested', 'review_decision'];
+
+/** @const {string} Notifying service topic delivery channels listen on */
+const DELIVERY_TOPIC = 'user-notifications';
+
+/** @const {number} Notifications kept per user, oldest are dropped first */
+const MAX_NOTIFICATIONS = 500;
+
+/** @const {number} Length of the text excerpt stored with a notification */
+const EXCERPT_LENGTH = 200;
+
+// A mention starts a word: e-mail addresses and paths are not mentions
+const MENTION_PATTERN = /(^|[^\w@./-])@([A-Za-z0-9_][\w.-]*)/g;
+
+/**
+ * Notification store keeping one JSON document per user.
+ */
+class NotificationStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.basePath] - Folder the notifications are written to
+   * @param {number} [options.maxNotifications] - Notifications kept per user
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || DEFAULT_NOTIFICATIONS_PATH;
+    this.maxNotifications = options.maxNotifications || MAX_NOTIFICATIONS;
+  }
+
+  _getUserFile(username) {
+    return path.join(this.basePath, `${encodeURIComponent(username)}.json`);
+  }
+
+  async _load(username) {
+    try {
+      return await fs.readJson(this._getUserFile(username));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async _save(username, notifications) {
+    const userFile = this._getUserFile(username);
+    await fs.ensureDir(path.dirname(userFile));
+    await fs.writeJson(userFile, notifications);
+  }
+
+  /**
+   * Runs a change to the notifications of a user, serialised per user
+   * @param {string} username - Recipient
+   * @param {Function} change - Gets the notifications, returns the result
+   * @returns {Promise<*>} The result of the change
+   */
+  async _update(username, change) {
+    const release = await acquireFileLock(`notifications:${username}`);
+    try {
+      const notifications = await this._load(username);
+      const result = change(notifications);
+      await this._save(username, notifications);
+      return result;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * List the notifications of a user
+   * @param {string} username - Recipient
+   * @returns {Promise<Array<Object>>} The notifications, newest first
+   */
+  async list(username) {
+    return this._load(username);
+  }
+
+  /**
+   * Store a new notification for a user
+   * @param {string} username - Recipient
+   * @param {Object} details - Type, actor, space, filePath, commentId, excerpt
+   * @returns {Promise<Object>} The stored notification
+   */
+  async add(username, details) {
+    const notification = {
+      id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+      ...details,
+      read: false,
+      createdAt: new Date().toISOString()
+    };
+    return this._update(username, (notifications) => {
+      notifications.unshift(notification);
+      notifications.splice(this.maxNotifications);
+      return notification;
+    });
+  }
+
+  /**
+   * Mark one notification of a user as read or unread
+   * @param {string} username - Recipient
+   * @param {string} id - Notification identifier
+   * @param {boolean} read - New read state
+   * @returns {Promise<Object|null>} The notification, or null if not found
+   */
+  async setRead(username, id, read) {
+    return this._update(username, (notifications) => {
+      const notification = notifications.find(item => item.id === id);
+      if (notification) {
+        notification.read = read;
+      }
+      return notification || null;
+    });
+  }
+
+  /**
+   * Mark all notifications of a user as read
+   * @param {string} username - Recipient
+   * @returns {Promise<number>} Number of notifications that were unread
+   */
+  async markAllRead(username) {
+    return this._update(username, (notifications) => {
+      const unread = notifications.filter(item => !item.read);
+      unread.forEach((item) => { item.read = true; });
+      return unread.length;
+    });
+  }
+}
+
+const notificationStore = new NotificationStore();
+
+// ========================================
+// DELIVERY
+// ========================================
+
+const deliveryChannels = new Map();
+let notifyingService = null;
+
+/**
+ * Hands a stored notification to every delivery channel. A failing channel
+ * does not stop the others.
+ * @param {{notification: Object, recipient: Object}} message - What to deliver.
+ * @return {Promise<void>}
+ */
+async function runDeliveryChannels(message) {
+  await Promise.all([...deliveryChannels].map(async ([name, channel]) => {
+    try {
+      await channel(message);
+    } catch (error) {
+      console.warn(`Notification delivery '${name}' failed:`, error.message);
+    }
+  }));
+}
+
+/**
+ * Adds a delivery channel, such as email, replacing one with the same name.
+ * @param {string} name - Channel name.
+ * @param {Function} deliver - Called with `{notification, recipient}` where
+ *     the recipient has username, email and name; may return a promise.
+ */
+function registerDeliveryChannel(name, deliver) {
+  deliveryChannels.set(name, deliver);
+}
+
+/**
+ * Removes a delivery channel.
+ * @param {string} name - Channel name.
+ * @return {boolean} True when the channel was registered.
+ */
+function unregisterDeliveryChannel(name) {
+  return deliveryChannels.delete(name);
+}
+
+/**
+ * Sets the notifying service notifications are delivered through. Until it
+ * is set, for example in tests, the channels are called directly.
+ * @param {Object} notifying - The notifying service.
+ */
+function useNotifyingService(notifying) {
+  if (notifyingService) {
+    notifyingService.unsubscribe(DELIVERY_TOPIC, runDeliveryChannels);
+  }
+  notifyingService = notifying;
+  if (notifyingService) {
+    notifyingService.subscribe(DELIVERY_TOPIC, runDeliveryChannels);
+  }
+}
+
+function deliver(notification, user) {
+  const message = {
+    notification,
+    recipient: { username: user.username, email: user.email || null, name: user.name || null }
+  };
+  if (notifyingService) {
+    notifyingService.notify(DELIVERY_TOPIC, message);
+  } else {
+    runDeliveryChannels(message);
+  }
+}
+
+if (process.env.NOTIFICATION_WEBHOOK_URL) {
+  registerDeliveryChannel('webhook', ({ notification, recipient }) =>
+    axios.post(process.env.NOTIFICATION_WEBHOOK_URL, { recipient, notification }, { timeout: 10000 }));
+}
+
+// ========================================
+// CREATING NOTIFICATIONS
+// ========================================
+
+/**
+ * Finds the `@username` mentions in Markdown text, ignoring code.
+ * @param {string} text - Comment or document text.
+ * @return {Array<string>} Mentioned names in order of appearance, without duplicates.
+ */
+function extractMentions(text) {
+  const prose = String(text || '')
+    .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n {0,3}\1[^\n]*|$)/gm, '')
+    .replace(/(`+)[\s\S]*?\1/g, '');
+  const names = [];
+  for (const match of prose.matchAll(MENTION_PATTERN)) {
+    // Sentence punctuation after a name is not part of it
+    const name = match[2].replace(/[.-]+$/, '');
+    if (name && !names.includes(name)) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Shortens text for a notification.
+ * @param {string} text - The text.
+ * @return {string} The excerpt.
+ */
+function toExcerpt(text) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1)}…` : flat;
+}
+
+/**
+ * Stores a notification for each recipient that can read the space and
+ * delivers it. The actor is never notified of their own action.
+ * @param {Object} options - The notification.
+ * @param {Array<string>} options.recipients - Usernames to notify.
+ * @param {string} options.type - One of NOTIFICATION_TYPES.
+ * @param {string} options.actor - Username of the user who acted.
+ * @param {string} options.space - Space name.
+ * @param {Object} options.spaceConfig - Space configuration, for access checks.
+ * @param {string} options.filePath - File path relative to the space.
+ * @param {string} [options.commentId] - Comment the notification is about.
+ * @param {string} [options.excerpt] - Text shown with the notification.
+ * @param {NotificationStore} [options.store] - Notification store to use.
+ * @return {Promise<Array<Object>>} The stored notifications.
+ */
+async function notifyUsers({ recipients, type, actor, space, spaceConfig, filePath, commentId, excerpt, store = notificationStore }) {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+  if (space === 'Personal') {
+    return [];
+  }
+
+  const created = [];
+  for (const username of new Set(recipients)) {
+    if (!username || username === actor) {
+      continue;
+    }
+    const user = userStorage.findUserByUsername(username);
+    if (!user || !hasSpacePermission(resolveSpaceRole(user, spaceConfig), 'read')) {
+      continue;
+    }
+    const notification = await store.add(user.username, {
+      type,
+      actor,
+      space,
+      filePath,
+      ...(commentId ? { commentId } : {}),
+      excerpt: toExcerpt(excerpt)
+    });
+    created.push(notification);
+    deliver(notification, user);
+  }
+  return created;
+}
+
+/**
+ * Finds the user a document belongs to: the `owner` front-matter field when
+ * it names a user, otherwise the author of the first recorded version.
+ * @param {Object} req - Express request with spaceName and user.
+ * @param {string} filePath - File path relative to the space.
+ * @param {string} content - Document content.
+ * @return {Promise<string|null>} The owner's username.
+ */
+async function findDocumentOwner(req, filePath, content) {
+  const { owner } = parseFrontMatter(content).data;
+  if (typeof owner === 'string' && userStorage.findUserByUsername(owner.replace(/^@/, ''))) {
+    return owner.replace(/^@/, '');
+  }
+  const versions = await historyStore.list(getSpaceKey(req.spaceName, req.user), filePath);
+  const first = versions[versions.length - 1];
+  return first && first.author !== 'unknown' ? first.author : null;
+}
+
+/**
+ * Notifies the users concerned by a new comment: mentioned users, the other
+ * participants of the thread for a reply, and the document owner for a new
+ * thread. Each user gets at most one notification, mentions first.
+ * Notifications are best effort and never fail the request.
+ * @param {Object} req - Express request with spaceName, spaceConfig and user.
+ * @param {string} filePath - File path relative to the space.
+ * @param {Object} comment - The new comment.
+ * @param {Array<Object>} comments - All comments of the file, including the new one.
+ * @param {string} content - Document content without comments.
+ * @return {Promise<void>}
+ */
+async function notifyCommentAdded(req, filePath, comment, comments, content) {
+  try {
+    const base = {
+      actor: req.user.username,
+      space: req.spaceName,
+      spaceConfig: req.spaceConfig,
+      filePath,
+      commentId: comment.id,
+      excerpt: comment.content
+    };
+    const mentioned = extractMentions(comment.content);
+    await notifyUsers({ ...base, type: 'mention', recipients: mentioned });
+    const notified = new Set([req.user.username, ...mentioned]);
+
+    let others;
+    let type;
+    if (comment.parentId) {
+      type = 'reply';
+      others = comments
+        .filter(item => item.id === comment.parentId || item.parentId === comment.parentId)
+        .map(item => item.author);
+    } else {
+      type = 'comment';
+      const owner = await findDocumentOwner(req, filePath, content);
+      others = owner ? [owner] : [];
+    }
+    await notifyUsers({ ...base, type, recipients: others.filter(name => !notified.has(name)) });
+  } catch (error) {
+    console.warn(`Failed to send comment notifications for ${filePath}:`, error.message);
+  }
+}
+
+/**
+ * Notifies users mentioned in a saved document. Only mentions that were not
+ * in the previous content notify, so saving a document again is quiet.
+ * @param {Object} req - Express request with spaceName, spaceConfig and user.
+ * @param {string} filePath - File path relative to the space.
+ * @param {string|Buffer} content - Saved content.
+ * @param {string|null} previousContent - Content before the save.
+ * @return {Promise<void>}
+ */
+async function notifyDocumentMentions(req, filePath, content, previousContent) {
+  if (typeof content !== 'string' || !/\.(md|markdown)$/i.test(filePath)) {
+    return;
+  }
+  try {
+    const { getCleanMarkdownContent } = require('./commentParser');
+    const clean = getCleanMarkdownContent(content);
+    const previous = new Set(extractMentions(
+      typeof previousContent === 'string' ? getCleanMarkdownContent(previousContent) : ''
+    ));
+    const added = extractMentions(clean).filter(name => !previous.has(name));
+    if (added.length === 0) {
+      return;
+    }
+
+    const lines = clean.split('\n');
+    for (const name of added) {
+      await notifyUsers({
+        type: 'mention',
+        recipients: [name],
+        actor: req.user.username,
+        space: req.spaceName,
+        spaceConfig: req.spaceConfig,
+        filePath,
+        excerpt: lines.find(line => line.includes(`@${name}`)) || ''
+      });
+    }
+  } catch (error) {
+    console.warn(`Failed to send mention notifications for ${filePath}:`, error.message);
+  }
+}
+
+/**
+ * Notifies the reviewers of a document submitted for review, and the
+ * submitter when a reviewer approves or rejects it.
+ * @param {Object} req - Express request with spaceName, spaceConfig and user.
+ * @param {string} filePath - File path relative to the space.
+ * @param {string} action - Review action that was applied.
+ * @param {Object} review - The updated review.
+ * @param {string|null} comment - Comment given with the action.
+ * @return {Promise<void>}
+ */
+async function notifyReviewAction(req, filePath, action, review, comment) {
+  const base = {
+    actor: req.user.username,
+    space: req.spaceName,
+    spaceConfig: req.spaceConfig,
+    filePath
+  };
+  try {
+    if (action === 'submit') {
+      await notifyUsers({
+        ...base,
+        type: 'review_requested',
+        recipients: review.reviewers.map(reviewer => reviewer.username),
+        excerpt: comment || `Review requested for ${filePath}`
+      });
+    } else if ((action === 'approve' || action === 'reject') && review.requestedBy) {
+      await notifyUsers({
+        ...base,
+        type: 'review_decision',
+        recipients: [review.requestedBy],
+        excerpt: `${action === 'approve' ? 'Approved' : 'Rejected'}${comment ? `: ${comment}` : ''}`
+      });
+    }
+  } catch (error) {
+    console.warn(`Failed to send review notifications for ${filePath}:`, error.message);
+  }
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DELIVERY_TOPIC,
+  NotificationStore,
+  notificationStore,
+  registerDeliveryChannel,
+  unregisterDeliveryChannel,
+  useNotifyingService,
+  extractMentions,
+  notifyUsers,
+  notifyCommentAdded,
+  notifyDocumentMentions,
+  notifyReviewAction
+};
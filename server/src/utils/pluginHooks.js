@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Content lifecycle hooks of server plugins.
+ *
+ * Plugins export a `hooks` object whose functions the server calls at fixed
+ * points of the content lifecycle. Every hook gets an event describing what
+ * happens and a context with the plugin name, its current settings and a
+ * logger:
+ *
+ *   beforeSave(event, context)     - { space, path, content, previousContent, user }
+ *       before a Markdown or text file is saved. Return { content } to change
+ *       what is saved, { warnings } to report problems, or { errors } to
+ *       refuse the save.
+ *   afterSave(event, context)      - { space, path, content, previousContent, user }
+ *   onRender(event, context)       - { space, path, markdown }
+ *       before Markdown is rendered for previews and exports. Return
+ *       { markdown } or a string to change it.
+ *   onUpload(event, context)       - { space, path, fileName, mimeType, size, content, user }
+ *       before an upload is stored. Return { errors } to refuse it.
+ *   onPublish(event, context)      - { space, message, commit, user }
+ *   onSearchIndex(event, context)  - { space, path, document }
+ *       before a document is indexed. Return fields to merge into the
+ *       document, or false to leave it out of the index.
+ *   onCommentAdded(event, context) - { space, path, comment, user }
+ *
+ * Hooks that can change or refuse something run one plugin after the other,
+ * in load order, each seeing the result of the previous one. afterSave,
+ * onPublish and onCommentAdded are notifications: they run in the
+ * background and cannot fail the action. A hook that throws or takes longer
+ * than HOOK_TIMEOUT is logged and skipped, so a broken plugin never blocks
+ * saving.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+/** @const {Array<string>} Hooks plugins can register */
+const PLUGIN_HOOKS = ['beforeSave', 'afterSave', 'onRender', 'onUpload', 'onPublish', 'onSearchIndex', 'onCommentAdded'];
+
+/** @const {number} Milliseconds a hook may run before it is skipped */
+const HOOK_TIMEOUT = 5000;
+
+/**
+ * Runs a hook function, giving up after the timeout.
+ */
+function callWithTimeout(fn, args, timeout) {
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${timeout} ms`)), timeout);
+  });
+  return Promise.race([Promise.resolve().then(() => fn(...args)), timedOut])
+    .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Turns the errors or warnings a hook returned into messages tagged with
+ * the plugin name.
+ */
+function toProblems(pluginName, value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return [].concat(value).filter(Boolean).map(problem => ({
+    plugin: pluginName,
+    message: typeof problem === 'string' ? problem : String(problem.message || problem)
+  }));
+}
+
+/**
+ * Registry of the hooks of loaded plugins.
+ */
+class PluginHookRegistry {
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {number} [options.timeout] - Milliseconds a hook may run
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || HOOK_TIMEOUT;
+    /** @private @const {!Map<string, {hooks: Object, getContext: Function}>} By plugin, in load order */
+    this.plugins_ = new Map();
+  }
+
+  /**
+   * Checks the hooks a plugin exports.
+   * @param {*} hooks - The `hooks` export of a plugin.
+   * @return {string|null} What is wrong, or null when they are valid.
+   */
+  static validate(hooks) {
+    if (hooks === undefined) {
+      return null;
+    }
+    if (!hooks || typeof hooks !== 'object') {
+      return "'hooks' export must be an object";
+    }
+    for (const [name, fn] of Object.entries(hooks)) {
+      if (!PLUGIN_HOOKS.includes(name)) {
+        return `Unknown hook '${name}'. Hooks are: ${PLUGIN_HOOKS.join(', ')}`;
+      }
+      if (typeof fn !== 'function') {
+        return `Hook '${name}' must be a function`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Registers the hooks of a plugin, replacing any it registered before.
+   * @param {string} pluginName - The plugin.
+   * @param {Object} hooks - Hook functions by hook name.
+   * @param {Function} [getContext] - Returns the context passed to its hooks.
+   */
+  register(pluginName, hooks, getContext = () => ({ plugin: pluginName, settings: {} })) {
+    this.plugins_.delete(pluginName);
+    if (hooks && Object.keys(hooks).length > 0) {
+      this.plugins_.set(pluginName, { hooks, getContext });
+    }
+  }
+
+  /**
+   * Removes the hooks of a plugin.
+   * @param {string} pluginName - The plugin.
+   */
+  unregister(pluginName) {
+    this.plugins_.delete(pluginName);
+  }
+
+  /**
+   * Whether any plugin registered a hook.
+   * @param {string} hookName - One of PLUGIN_HOOKS.
+   * @return {boolean} True if at least one plugin handles it.
+   */
+  has(hookName) {
+    return this.handlers_(hookName).length > 0;
+  }
+
+  /**
+   * Lists the hooks each plugin registered.
+   * @return {Object<string, Array<string>>} Hook names by plugin.
+   */
+  describe() {
+    const description = {};
+    for (const [pluginName, { hooks }] of this.plugins_) {
+      description[pluginName] = Object.keys(hooks);
+    }
+    return description;
+  }
+
+  handlers_(hookName) {
+    const handlers = [];
+    for (const [pluginName, { hooks, getContext }] of this.plugins_) {
+      if (typeof hooks[hookName] === 'function') {
+        handlers.push({ pluginName, fn: hooks[hookName], getContext });
+      }
+    }
+    return handlers;
+  }
+
+  /**
+   * Calls one plugin's hook. Errors are logged and reported as undefined.
+   */
+  async call_(handler, hookName, event) {
+    try {
+      return await callWithTimeout(handler.fn, [event, handler.getContext()], this.timeout);
+    } catch (error) {
+      console.error(`❌ Plugin ${handler.pluginName} failed in ${hookName}:`, error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Runs a notification hook of every plugin. Errors are logged.
+   * @param {string} hookName - afterSave, onPublish or onCommentAdded.
+   * @param {Object} event - The event.
+   * @return {Promise<void>} Resolves when every plugin has run.
+   */
+  async notify(hookName, event) {
+    await Promise.all(this.handlers_(hookName).map(handler => this.call_(handler, hookName, event)));
+  }
+
+  /**
+   * Runs beforeSave or onUpload, letting plugins change the content, warn
+   * about it or refuse it. Stops at the first plugin that refuses.
+   * @param {string} hookName - beforeSave or onUpload.
+   * @param {Object} event - The event, with the content to check.
+   * @return {Promise<{content: *, errors: Array<Object>, warnings: Array<Object>}>}
+   *     The content to store, and the problems plugins reported.
+   */
+  async check(hookName, event) {
+    let content = event.content;
+    const warnings = [];
+    for (const handler of this.handlers_(hookName)) {
+      const result = await this.call_(handler, hookName, { ...event, content });
+      if (!result || typeof result !== 'object') {
+        continue;
+      }
+      warnings.push(...toProblems(handler.pluginName, result.warnings));
+      const errors = toProblems(handler.pluginName, result.errors);
+      if (errors.length > 0) {
+        return { content, errors, warnings };
+      }
+      if (result.content !== undefined && (typeof result.content === 'string' || Buffer.isBuffer(result.content))) {
+        content = result.content;
+      }
+    }
+    return { content, errors: [], warnings };
+  }
+
+  /**
+   * Runs onRender, letting each plugin change the Markdown in turn.
+   * @param {Object} event - { space, path, markdown }.
+   * @return {Promise<string>} The Markdown to render.
+   */
+  async render(event) {
+    let markdown = event.markdown;
+    for (const handler of this.handlers_('onRender')) {
+      const result = await this.call_(handler, 'onRender', { ...event, markdown });
+      if (typeof result === 'string') {
+        markdown = result;
+      } else if (result && typeof result.markdown === 'string') {
+        markdown = result.markdown;
+      }
+    }
+    return markdown;
+  }
+
+  /**
+   * Runs onSearchIndex, letting plugins add fields to a document or leave
+   * it out of the index.
+   * @param {Object} event - { space, path, document }.
+   * @return {Promise<Object|null>} The document to index, or null to skip it.
+   */
+  async indexDocument(event) {
+    let document = event.document;
+    for (const handler of this.handlers_('onSearchIndex')) {
+      const result = await this.call_(handler, 'onSearchIndex', { ...event, document });
+      if (result === false) {
+        return null;
+      }
+      if (result && typeof result === 'object') {
+        document = { ...document, ...result };
+      }
+    }
+    return document;
+  }
+}
+
+const pluginHooks = new PluginHookRegistry();
+
+function toHookUser(user) {
+  return user ? { id: user.id !== undefined ? String(user.id) : null, username: user.username } : null;
+}
+
+/**
+ * Runs the beforeSave hooks for a file of a space. Binary content is saved
+ * as is.
+ * @param {Object} req - Express request, or the save of a collaborative
+ *     session, with spaceName and user.
+ * @param {string} filePath - Path of the file within the space.
+ * @param {string|Buffer} content - The content to save.
+ * @param {string|Buffer|null} [previousContent] - The content it replaces.
+ * @return {Promise<{content: (string|Buffer), warnings: Array<Object>, refusal: ?Object}>}
+ *     The content to save and any warnings, and the 422 refusal to answer
+ *     when a plugin refused the save.
+ */
+async function checkBeforeSave(req, filePath, content, previousContent = null) {
+  if (Buffer.isBuffer(content) || !pluginHooks.has('beforeSave')) {
+    return { content, warnings: [], refusal: null };
+  }
+  const result = await pluginHooks.check('beforeSave', {
+    space: req.spaceName,
+    path: filePath,
+    content,
+    previousContent: Buffer.isBuffer(previousContent) ? null : previousContent,
+    user: toHookUser(req.user)
+  });
+  const refusal = result.errors.length > 0
+    ? { status: 422, body: { error: 'Save refused by a plugin', problems: result.errors, warnings: result.warnings } }
+    : null;
+  return { content: result.content, warnings: result.warnings, refusal };
+}
+
+/**
+ * Runs the beforeSave hooks for a file saved through a space route. When a
+ * plugin refuses the save a 422 response is sent.
+ * @param {Object} req - Express request with spaceName and user.
+ * @param {Object} res - Express response.
+ * @param {string} filePath - Path of the file within the space.
+ * @param {string|Buffer} content - The content to save.
+ * @param {string|Buffer|null} [previousContent] - The content it replaces.
+ * @return {Promise<{content: (string|Buffer), warnings: Array<Object>}|null>}
+ *     The content to save and any warnings, or null when the save was refused.
+ */
+async function runBeforeSaveHooks(req, res, filePath, content, previousContent = null) {
+  const result = await checkBeforeSave(req, filePath, content, previousContent);
+  if (result.refusal) {
+    res.status(result.refusal.status).json(result.refusal.body);
+    return null;
+  }
+  return { content: result.content, warnings: result.warnings };
+}
+
+/**
+ * Runs the afterSave hooks for a saved file in the background.
+ * @param {Object} req - Express request with spaceName and user.
+ * @param {string} filePath - Path of the file within the space.
+ * @param {string|Buffer} content - The saved content.
+ * @param {string|Buffer|null} [previousContent] - The content it replaced.
+ */
+function runAfterSaveHooks(req, filePath, content, previousContent = null) {
+  pluginHooks.notify('afterSave', {
+    space: req.spaceName,
+    path: filePath,
+    content,
+    previousContent,
+    user: toHookUser(req.user)
+  });
+}
+
+/**
+ * Runs the onUpload hooks for an uploaded file. When a plugin refuses the
+ * upload a 422 response is sent.
+ * @param {Object} req - Express request with spaceName, user and file.
+ * @param {Object} res - Express response.
+ * @param {string} filePath - Path the file is stored at within the space.
+ * @return {Promise<{warnings: Array<Object>}|null>} Warnings, or null when
+ *     the upload was refused.
+ */
+async function runUploadHooks(req, res, filePath) {
+  if (!pluginHooks.has('onUpload')) {
+    return { warnings: [] };
+  }
+  const result = await pluginHooks.check('onUpload', {
+    space: req.spaceName,
+    path: filePath,
+    fileName: req.file.originalname,
+    mimeType: req.file.mimetype,
+    size: req.file.size,
+    content: req.file.buffer,
+    user: toHookUser(req.user)
+  });
+  if (result.errors.length > 0) {
+    res.status(422).json({ error: 'Upload refused by a plugin', problems: result.errors, warnings: result.warnings });
+    return null;
+  }
+  return { warnings: result.warnings };
+}
+
+/**
+ * Runs the onPublish hooks in the background.
+ * @param {Object} req - Express request with spaceName and user.
+ * @param {Object} details - message and commit of the publish.
+ */
+function runPublishHooks(req, { message, commit = null }) {
+  pluginHooks.notify('onPublish', { space: req.spaceName, message, commit, user: toHookUser(req.user) });
+}
+
+/**
+ * Runs the onCommentAdded hooks in the background.
+ * @param {Object} req - Express request with spaceName and user.
+ * @param {string} filePath - The commented file.
+ * @param {Object} comment - The added comment.
+ */
+function runCommentAddedHooks(req, filePath, comment) {
+  pluginHooks.notify('onCommentAdded', { space: req.spaceName || null, path: filePath, comment, user: toHookUser(req.user) });
+}
+
+/**
+ * Adds the warnings plugins reported to a response body.
+ * @param {Object} body - The response body.
+ * @param {Array<Object>} warnings - Plugin warnings.
+ * @return {Object} The body, with `warnings` when there are any.
+ */
+function withPluginWarnings(body, warnings) {
+  return warnings && warnings.length > 0 ? { ...body, warnings } : body;
+}
+
+module.exports = {
+  PLUGIN_HOOKS,
+  PluginHookRegistry,
+  pluginHooks,
+  checkBeforeSave,
+  runBeforeSaveHooks,
+  runAfterSaveHooks,
+  runUploadHooks,
+  runPublishHooks,
+  runCommentAddedHooks,
+  withPluginWarnings
+};
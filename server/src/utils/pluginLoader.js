@@ -1,12 +1,17 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const express = require('express');
+const { PluginHookRegistry, pluginHooks } = require('./pluginHooks');
+const { PluginSettingsStore, validateSettingDefinitions, normalizePluginSettings, resolvePluginSettings } = require('./pluginSettings');
 
 class PluginLoader {
-  constructor(pluginsDir) {
+  constructor(pluginsDir, options = {}) {
     this.pluginsDir = pluginsDir;
     this.loadedPlugins = new Map();
     this.installedDependencies = new Set();
+    this.hooks = options.hooks || pluginHooks;
+    this.settingsStore = options.settingsStore || new PluginSettingsStore();
   }
 
   async loadAllPlugins() {
@@ -79,9 +84,19 @@ class PluginLoader {
       path: pluginPath,
       module: pluginModule,
       packageJson: packageJson,
+      settings: resolvePluginSettings(pluginModule.settings, await this.settingsStore.get(pluginName)),
+      router: null,
       loadedAt: new Date().toISOString()
     };
+    const context = this.createPluginContext(pluginName, pluginInfo);
 
+    // Custom routes are served under /api/ext/<plugin directory>
+    if (pluginModule.routes) {
+      pluginInfo.router = express.Router();
+      pluginModule.routes(pluginInfo.router, context);
+    }
+
+    this.hooks.register(pluginName, pluginModule.hooks, () => context);
     this.loadedPlugins.set(pluginName, pluginInfo);
     console.log(`✅ Loaded plugin: ${pluginInfo.name} v${pluginInfo.version}`);
 
@@ -140,8 +155,8 @@ class PluginLoader {
       console.warn(`⚠️ Plugin "${pluginName}" missing name property`);
     }
 
-    if (!pluginModule.files && !pluginModule.create) {
-      throw new Error(`Plugin "${pluginName}" must export either 'files' or 'create' property`);
+    if (!pluginModule.files && !pluginModule.create && !pluginModule.hooks && !pluginModule.routes) {
+      throw new Error(`Plugin "${pluginName}" must export 'files', 'create', 'hooks' or 'routes' property`);
     }
 
     if (pluginModule.files && typeof pluginModule.files !== 'object') {
@@ -151,6 +166,82 @@ class PluginLoader {
     if (pluginModule.create && typeof pluginModule.create !== 'function') {
       throw new Error(`Plugin "${pluginName}" 'create' export must be a function`);
     }
+
+    if (pluginModule.routes && typeof pluginModule.routes !== 'function') {
+      throw new Error(`Plugin "${pluginName}" 'routes' export must be a function`);
+    }
+
+    const problem = PluginHookRegistry.validate(pluginModule.hooks) || validateSettingDefinitions(pluginModule.settings);
+    if (problem) {
+      throw new Error(`Plugin "${pluginName}": ${problem}`);
+    }
+  }
+
+  // Context passed to the hooks and routes of a plugin; settings are read
+  // on every use so changes on the Settings page apply without a reload
+  createPluginContext(pluginName, pluginInfo) {
+    const prefix = `🔌 [${pluginInfo.name}]`;
+    return {
+      plugin: pluginName,
+      get settings() {
+        return { ...pluginInfo.settings };
+      },
+      log: {
+        info: (...args) => console.log(prefix, ...args),
+        warn: (...args) => console.warn(prefix, ...args),
+        error: (...args) => console.error(prefix, ...args)
+      }
+    };
+  }
+
+  getPluginSettings(pluginName) {
+    const plugin = this.loadedPlugins.get(pluginName);
+    if (!plugin) {
+      return null;
+    }
+    return {
+      definitions: plugin.module.settings || [],
+      values: { ...plugin.settings }
+    };
+  }
+
+  async updatePluginSettings(pluginName, input, updatedBy = null) {
+    const plugin = this.loadedPlugins.get(pluginName);
+    if (!plugin) {
+      return { error: `Plugin "${pluginName}" not found`, notFound: true };
+    }
+    const definitions = plugin.module.settings || [];
+    const { values, error } = normalizePluginSettings(definitions, input);
+    if (error) {
+      return { error };
+    }
+    const stored = await this.settingsStore.set(pluginName, values, updatedBy);
+    plugin.settings = resolvePluginSettings(definitions, stored);
+    return { values: { ...plugin.settings }, changed: Object.keys(values) };
+  }
+
+  // Serves /api/ext/<plugin directory>/... from the router of the plugin
+  handlePluginRoute(req, res, next) {
+    const match = req.path.match(/^\/([^/]+)(\/.*)?$/);
+    const plugin = match && this.loadedPlugins.get(decodeURIComponent(match[1]));
+    if (!plugin || !plugin.router) {
+      return res.status(404).json({ error: 'Plugin route not found' });
+    }
+
+    const originalUrl = req.url;
+    const originalBaseUrl = req.baseUrl;
+    req.url = req.url.slice(match[1].length + 1) || '/';
+    req.baseUrl = `${originalBaseUrl}/${match[1]}`;
+    const restore = (error) => {
+      req.url = originalUrl;
+      req.baseUrl = originalBaseUrl;
+      if (error && error !== 'route' && error !== 'router') {
+        console.error(`❌ Error in plugin ${plugin.name} route:`, error);
+        return res.headersSent ? next(error) : res.status(500).json({ error: 'Plugin route failed' });
+      }
+      return res.status(404).json({ error: 'Plugin route not found' });
+    };
+    plugin.router(req, res, restore);
   }
 
   getPlugin(pluginName) {
@@ -166,6 +257,7 @@ class PluginLoader {
     
     // Remove from loaded plugins
     this.loadedPlugins.delete(pluginName);
+    this.hooks.unregister(pluginName);
     
     // Reload the plugin
     return await this.loadPlugin(pluginName);
@@ -179,6 +271,7 @@ class PluginLoader {
       delete require.cache[moduleId];
       
       this.loadedPlugins.delete(pluginName);
+      this.hooks.unregister(pluginName);
       console.log(`🗑️ Unloaded plugin: ${pluginName}`);
       return true;
     }
@@ -258,6 +351,7 @@ class PluginLoader {
 
   getPluginInfo() {
     return this.getAllPlugins().map(plugin => ({
+      id: path.basename(plugin.path),
       name: plugin.name,
       version: plugin.version,
       description: plugin.packageJson.description || 'No description available',
@@ -265,7 +359,10 @@ class PluginLoader {
       loadedAt: plugin.loadedAt,
       dependencies: Object.keys(plugin.packageJson.dependencies || {}),
       hasFiles: !!plugin.module.files,
-      hasCreate: !!plugin.module.create
+      hasCreate: !!plugin.module.create,
+      hooks: Object.keys(plugin.module.hooks || {}),
+      hasRoutes: !!plugin.router,
+      settings: (plugin.module.settings || []).map(setting => setting.key)
     }));
   }
 }
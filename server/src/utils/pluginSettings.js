@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Settings declared by server plugins.
+ *
+ * A plugin declares its settings by exporting a `settings` array:
+ *
+ *   settings: [
+ *     { key: 'terms', label: 'Glossary terms', type: 'text', default: '' },
+ *     { key: 'mode', label: 'Lint mode', type: 'select', options: ['warn', 'block'], default: 'warn' }
+ *   ]
+ *
+ * Types are boolean, number, string, text (multi-line string) and select.
+ * Server admins change the values on the Settings page; they are kept in
+ * server-data/plugin-settings.json and passed to the hooks and routes of
+ * the plugin as `context.settings`, with the defaults filled in.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { acquireFileLock } = require('./contentVersion');
+
+const DEFAULT_SETTINGS_FILE = path.join(__dirname, '../../../server-data/plugin-settings.json');
+
+/** @const {Array<string>} Types a plugin setting can have */
+const SETTING_TYPES = ['boolean', 'number', 'string', 'text', 'select'];
+
+const MAX_STRING_LENGTH = 200;
+const MAX_TEXT_LENGTH = 20000;
+
+/**
+ * Checks the settings a plugin declares.
+ * @param {*} settings - The `settings` export of a plugin.
+ * @return {string|null} What is wrong, or null when they are valid.
+ */
+function validateSettingDefinitions(settings) {
+  if (settings === undefined) {
+    return null;
+  }
+  if (!Array.isArray(settings)) {
+    return "'settings' export must be an array";
+  }
+  const keys = new Set();
+  for (const setting of settings) {
+    if (!setting || typeof setting.key !== 'string' || !/^[A-Za-z][\w-]*$/.test(setting.key)) {
+      return 'Every setting needs a key of letters, digits, dashes and underscores';
+    }
+    if (keys.has(setting.key)) {
+      return `Setting '${setting.key}' is declared twice`;
+    }
+    keys.add(setting.key);
+    if (!SETTING_TYPES.includes(setting.type || 'string')) {
+      return `Setting '${setting.key}' has unknown type '${setting.type}'. Types are: ${SETTING_TYPES.join(', ')}`;
+    }
+    if (setting.type === 'select' && (!Array.isArray(setting.options) || setting.options.length === 0)) {
+      return `Setting '${setting.key}' of type select needs options`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks one value against its setting.
+ * @return {{value: *}|{error: string}} The value to store, or what is wrong.
+ */
+function normalizeSettingValue(setting, value) {
+  const type = setting.type || 'string';
+  switch (type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: `${setting.key} must be true or false` };
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: `${setting.key} must be a number` };
+      }
+      if ((setting.min !== undefined && number < setting.min) || (setting.max !== undefined && number > setting.max)) {
+        return { error: `${setting.key} must be between ${setting.min ?? '-∞'} and ${setting.max ?? '∞'}` };
+      }
+      return { value: number };
+    }
+    case 'select':
+      return setting.options.includes(value) ? { value } : { error: `${setting.key} must be one of: ${setting.options.join(', ')}` };
+    default: {
+      const maxLength = type === 'text' ? MAX_TEXT_LENGTH : MAX_STRING_LENGTH;
+      if (typeof value !== 'string') {
+        return { error: `${setting.key} must be a string` };
+      }
+      return value.length > maxLength ? { error: `${setting.key} must be at most ${maxLength} characters` } : { value };
+    }
+  }
+}
+
+/**
+ * Checks new values for the settings of a plugin.
+ * @param {Array<Object>} definitions - The settings the plugin declares.
+ * @param {Object} input - New values by key; keys left out keep their value.
+ * @return {{values: Object, error: (string|undefined)}} The values to store,
+ *     or what is wrong with them.
+ */
+function normalizePluginSettings(definitions, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values: {}, error: 'Settings must be an object of values by key' };
+  }
+  const values = {};
+  for (const [key, value] of Object.entries(input)) {
+    const setting = definitions.find(item => item.key === key);
+    if (!setting) {
+      return { values: {}, error: `Unknown setting '${key}'` };
+    }
+    const result = normalizeSettingValue(setting, value);
+    if (result.error) {
+      return { values: {}, error: result.error };
+    }
+    values[key] = result.value;
+  }
+  return { values };
+}
+
+/**
+ * Fills in the defaults of the settings that have no stored value.
+ * @param {Array<Object>} definitions - The settings the plugin declares.
+ * @param {Object} [stored] - Stored values by key.
+ * @return {Object} Values of every declared setting.
+ */
+function resolvePluginSettings(definitions, stored = {}) {
+  const values = {};
+  for (const setting of definitions || []) {
+    if (Object.prototype.hasOwnProperty.call(stored, setting.key)) {
+      values[setting.key] = stored[setting.key];
+    } else if (setting.default !== undefined) {
+      values[setting.key] = setting.default;
+    } else {
+      values[setting.key] = setting.type === 'boolean' ? false : (setting.type === 'number' ? 0 : '');
+    }
+  }
+  return values;
+}
+
+/**
+ * Store keeping the setting values of every plugin in one JSON document.
+ */
+class PluginSettingsStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.file] - File the values are written to
+   */
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_SETTINGS_FILE;
+  }
+
+  async _load() {
+    try {
+      return await fs.readJson(this.file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async _save(settings) {
+    await fs.ensureDir(path.dirname(this.file));
+    await fs.writeJson(`${this.file}.tmp`, settings, { spaces: 2 });
+    await fs.rename(`${this.file}.tmp`, this.file);
+  }
+
+  /**
+   * Get the stored values of a plugin
+   * @param {string} pluginName - Plugin directory name
+   * @returns {Promise<Object>} Stored values by key
+   */
+  async get(pluginName) {
+    const settings = await this._load();
+    return settings[pluginName] || {};
+  }
+
+  /**
+   * Store values for a plugin, keeping the values of other keys
+   * @param {string} pluginName - Plugin directory name
+   * @param {Object} values - Values by key, see normalizePluginSettings
+   * @param {string} [updatedBy] - Username of the admin
+   * @returns {Promise<Object>} All stored values of the plugin
+   */
+  async set(pluginName, values, updatedBy = null) {
+    const release = await acquireFileLock('plugin-settings');
+    try {
+      const settings = await this._load();
+      const { _meta, ...current } = settings[pluginName] || {};
+      settings[pluginName] = {
+        ...current,
+        ...values,
+        _meta: { updatedAt: new Date().toISOString(), updatedBy }
+      };
+      await this._save(settings);
+      return settings[pluginName];
+    } finally {
+      release();
+    }
+  }
+}
+
+module.exports = {
+  SETTING_TYPES,
+  PluginSettingsStore,
+  validateSettingDefinitions,
+  normalizePluginSettings,
+  resolvePluginSettings
+};
@@ -19,6 +19,8 @@ const Layout = require('../components/shared/Layout.jsx').default;
 const Dashboard = require('../components/pages/Dashboard.jsx').default;
 const Settings = require('../components/pages/Settings.jsx').default;
 const APIMonitor = require('../components/pages/APIMonitor.jsx').default;
+const AuditLog = require('../components/pages/AuditLog.jsx').default;
+const Webhooks = require('../components/pages/Webhooks.jsx').default;
 const Caching = require('../components/pages/Caching.jsx').default;
 const Filing = require('../components/pages/Filing.jsx').default;
 const Logging = require('../components/pages/Logging.jsx').default;
@@ -54,6 +56,12 @@ function renderComponent(component, props = {}) {
     case 'apimonitor':
       pageComponent = React.createElement(APIMonitor);
       break;
+    case 'auditlog':
+      pageComponent = React.createElement(AuditLog);
+      break;
+    case 'webhooks':
+      pageComponent = React.createElement(Webhooks);
+      break;
     case 'caching':
       pageComponent = React.createElement(Caching);
       break;
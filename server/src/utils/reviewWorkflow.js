@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Document review and approval workflow.
+ *
+ * A document moves from draft to in review when its author submits it to a
+ * set of reviewers, then to approved or rejected as the reviewers decide, and
+ * to published when an approved version is published. Each action runs the
+ * `document-review` workflow (see src/workflows/review) and is appended to
+ * the audit trail of the document. Reviews are stored per document under
+ * server-data/reviews, outside the space content folders.
+ *
+ * Spaces opt in to approval rules with a `review` block in spaces.json:
+ *
+ *   "review": {
+ *     "required": true,
+ *     "minApprovals": 2,
+ *     "paths": ["architecture/", "decisions/"],
+ *     "allowSelfApproval": false
+ *   }
+ *
+ * When review is required, publishing a git space is refused while any
+ * changed Markdown file under `paths` (all files when empty) is not approved,
+ * or changed since it was approved.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { computeContentVersion, acquireFileLock } = require('./contentVersion');
+
+/** @const {string} Name the review workflow is defined under */
+const REVIEW_WORKFLOW = 'document-review';
+const REVIEW_STEPS = [
+  path.join(__dirname, '../workflows/review/applyAction.js'),
+  path.join(__dirname, '../workflows/review/evaluateApprovals.js')
+];
+const REVIEW_STATES = ['draft', 'in_review', 'approved', 'rejected', 'published'];
+const DEFAULT_REVIEWS_PATH = path.join(__dirname, '../../../server-data/reviews');
+
+let workflowService = null;
+
+/**
+ * Sets the workflow service review actions run on. Until it is set, for
+ * example in tests, the workflow steps run in the calling thread.
+ * @param {Object} workflow - The workflow service.
+ */
+function useWorkflowService(workflow) {
+  workflowService = workflow;
+}
+
+/**
+ * Reads the approval rules of a space.
+ * @param {Object} spaceConfig - The space configuration.
+ * @return {{required: boolean, minApprovals: number, paths: Array<string>, allowSelfApproval: boolean}}
+ *     The approval rules.
+ */
+function getReviewRules(spaceConfig) {
+  const review = (spaceConfig && spaceConfig.review) || {};
+  return {
+    required: review.required === true,
+    minApprovals: Math.max(1, parseInt(review.minApprovals, 10) || 1),
+    paths: Array.isArray(review.paths) ? review.paths.map(prefix => String(prefix).replace(/^\/+/, '')) : [],
+    allowSelfApproval: review.allowSelfApproval === true
+  };
+}
+
+/**
+ * Checks whether a document must be approved before it is published.
+ * @param {Object} rules - Approval rules from getReviewRules.
+ * @param {string} filePath - Path relative to the space.
+ * @return {boolean} True when the document needs an approved review.
+ */
+function requiresReview(rules, filePath) {
+  if (!rules.required || !/\.(md|markdown)$/i.test(filePath)) {
+    return false;
+  }
+  return rules.paths.length === 0 || rules.paths.some(prefix => filePath.startsWith(prefix));
+}
+
+/**
+ * Creates the review of a document that was never submitted.
+ * @param {string} filePath - Path relative to the space.
+ * @return {Object} A review in the draft state.
+ */
+function createReview(filePath) {
+  return {
+    filePath,
+    state: 'draft',
+    reviewers: [],
+    minApprovals: 0,
+    requestedBy: null,
+    requestedAt: null,
+    approvedAt: null,
+    version: null,
+    publishedCommit: null,
+    updatedAt: null,
+    trail: []
+  };
+}
+
+/**
+ * Review store keeping one JSON document per reviewed file.
+ */
+class ReviewStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.basePath] - Folder the reviews are written to
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || DEFAULT_REVIEWS_PATH;
+  }
+
+  _getReviewFile(spaceKey, filePath) {
+    const fileKey = crypto.createHash('sha1').update(filePath).digest('hex');
+    return path.join(this.basePath, encodeURIComponent(spaceKey), `${fileKey}.json`);
+  }
+
+  /**
+   * Get the review of a document, or a draft review when it has none
+   * @param {string} spaceKey - Space identifier
+   * @param {string} filePath - File path relative to the space
+   * @returns {Promise<Object>} The review
+   */
+  async get(spaceKey, filePath) {
+    try {
+      return await fs.readJson(this._getReviewFile(spaceKey, filePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return createReview(filePath);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store the review of a document
+   * @param {string} spaceKey - Space identifier
+   * @param {Object} review - The review
+   */
+  async save(spaceKey, review) {
+    const reviewFile = this._getReviewFile(spaceKey, review.filePath);
+    await fs.ensureDir(path.dirname(reviewFile));
+    await fs.writeJson(reviewFile, review);
+  }
+
+  /**
+   * List the reviews of a space
+   * @param {string} spaceKey - Space identifier
+   * @returns {Promise<Array<Object>>} The reviews, most recently updated first
+   */
+  async list(spaceKey) {
+    const folder = path.join(this.basePath, encodeURIComponent(spaceKey));
+    let files;
+    try {
+      files = await fs.readdir(folder);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const reviews = await Promise.all(
+      files.filter(file => file.endsWith('.json')).map(file => fs.readJson(path.join(folder, file)))
+    );
+    return reviews.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+}
+
+const reviewStore = new ReviewStore();
+
+/**
+ * Runs the review workflow, on the workflow service when one is set.
+ * @param {Object} data - The workflow data.
+ * @return {Promise<Object>} The data returned by the last step.
+ */
+async function runReviewWorkflow(data) {
+  if (!workflowService) {
+    let current = data;
+    for (const step of REVIEW_STEPS) {
+      current = await require(step)(current);
+    }
+    return current;
+  }
+
+  if (!workflowService.workflows || !workflowService.workflows.has(REVIEW_WORKFLOW)) {
+    await workflowService.defineWorkflow(REVIEW_WORKFLOW, REVIEW_STEPS);
+  }
+  let finalData = null;
+  await workflowService.runWorkflow(REVIEW_WORKFLOW, data, (status) => {
+    if (status.status === 'workflow_complete') {
+      finalData = status.finalData;
+    }
+  });
+  return finalData;
+}
+
+/**
+ * Applies an action to the review of a document and stores the result.
+ * Actions on the same document are serialised.
+ * @param {Object} options - The action.
+ * @param {string} options.spaceKey - Space key from getSpaceKey.
+ * @param {string} options.filePath - Path relative to the space.
+ * @param {Object} options.rules - Approval rules from getReviewRules.
+ * @param {Object} options.action - Type, actor, isAdmin, comment, version,
+ *     reviewers and minApprovals.
+ * @param {ReviewStore} [options.store] - Review store to use.
+ * @return {Promise<{review: Object, error: {status: number, message: string}|null}>}
+ *     The updated review, or the reason the action was refused.
+ */
+async function applyReviewAction({ spaceKey, filePath, rules, action, store = reviewStore }) {
+  const release = await acquireFileLock(`review:${spaceKey}:${filePath}`);
+  try {
+    const review = await store.get(spaceKey, filePath);
+    const result = await runReviewWorkflow({
+      review,
+      action,
+      rules,
+      now: new Date().toISOString()
+    });
+    if (result.error) {
+      return { review, error: result.error };
+    }
+    await store.save(spaceKey, result.review);
+    return { review: result.review, error: null };
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Creates the publish gate of a git space. The provider calls `check` with
+ * its changed files before publishing and `published` after the push.
+ * @param {Object} options - Gate options.
+ * @param {string} options.spaceName - The space.
+ * @param {Function} options.getSpaceConfig - Returns the current space configuration.
+ * @param {Function} options.readContent - Reads a file by its path in the repository.
+ * @param {ReviewStore} [options.store] - Review store to use.
+ * @return {{check: Function, published: Function}} The publish gate.
+ */
+function createPublishGate({ spaceName, getSpaceConfig, readContent, store = reviewStore }) {
+  const toDocumentPath = repoPath => repoPath.replace(/^markdown\//, '');
+
+  return {
+    /**
+     * @param {Array<string>} changedFiles - Changed paths in the repository.
+     * @return {Promise<Array<{path: string, state: string, reason: string}>>} Files blocking the publish.
+     */
+    async check(changedFiles) {
+      const rules = getReviewRules(getSpaceConfig());
+      const blocked = [];
+      for (const repoPath of changedFiles) {
+        const filePath = toDocumentPath(repoPath);
+        if (!requiresReview(rules, filePath)) {
+          continue;
+        }
+        const content = await readContent(repoPath);
+        if (content === null) {
+          continue; // Deleted documents have nothing to review
+        }
+        const review = await store.get(spaceName, filePath);
+        if (review.state !== 'approved') {
+          blocked.push({ path: filePath, state: review.state, reason: `is ${review.state.replace('_', ' ')}` });
+        } else if (review.version !== computeContentVersion(content)) {
+          blocked.push({ path: filePath, state: review.state, reason: 'changed since it was approved' });
+        }
+      }
+      return blocked;
+    },
+
+    /**
+     * @param {Array<string>} changedFiles - Paths that were published.
+     * @param {Object} details - The publishing user and commit.
+     */
+    async published(changedFiles, { actor, commit }) {
+      const rules = getReviewRules(getSpaceConfig());
+      for (const repoPath of changedFiles) {
+        const filePath = toDocumentPath(repoPath);
+        const review = await store.get(spaceName, filePath);
+        if (review.state === 'approved') {
+          await applyReviewAction({
+            spaceKey: spaceName,
+            filePath,
+            rules,
+            store,
+            action: { type: 'publish', actor: actor || 'unknown', commit }
+          });
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  REVIEW_STATES,
+  ReviewStore,
+  reviewStore,
+  useWorkflowService,
+  getReviewRules,
+  requiresReview,
+  applyReviewAction,
+  createPublishGate
+};
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Validation of front-matter against JSON Schema.
+ *
+ * Folders and templates can attach a JSON Schema that the front-matter of
+ * their pages must satisfy. This validator covers the subset of JSON Schema
+ * (draft 7) that describes page metadata: type, enum, const, required,
+ * properties, additionalProperties, items, string, number and array bounds,
+ * pattern and the date, date-time, email and uri formats. Unsupported
+ * keywords are ignored, as JSON Schema prescribes.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value)
+};
+
+/**
+ * Returns the JSON Schema type of a value.
+ * @param {*} value - The value.
+ * @return {string} The type name.
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Checks whether a value has one of the given schema types.
+ * @param {*} value - The value.
+ * @param {string|Array<string>} types - The allowed types.
+ * @return {boolean} True when the type matches.
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Compares two values for JSON equality.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @return {boolean} True when equal.
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validates a value against a schema, collecting every failure.
+ * @param {*} value - The value to check.
+ * @param {Object} schema - The JSON Schema.
+ * @param {string} field - Path of the value, empty for the root.
+ * @param {Array<Object>} errors - Collected errors.
+ */
+function validateValue(value, schema, field, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+  const fail = message => errors.push({ field: field || '(root)', message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`must be of type ${[].concat(schema.type).join(' or ')}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (Object.prototype.hasOwnProperty.call(schema, 'const') && !isEqual(schema.const, value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match the pattern ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('must not contain duplicate items');
+    }
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null || value[name] === '') {
+        errors.push({ field: field ? `${field}.${name}` : name, message: 'is required' });
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const path = field ? `${field}.${name}` : name;
+      if (properties[name]) {
+        validateValue(propertyValue, properties[name], path, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: path, message: 'is not an allowed field' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateValue(propertyValue, schema.additionalProperties, path, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validates data against a JSON Schema.
+ * @param {*} data - The data, usually parsed front-matter.
+ * @param {Object} schema - The JSON Schema.
+ * @return {{valid: boolean, errors: Array<{field: string, message: string}>}} The result.
+ */
+function validateAgainstSchema(data, schema) {
+  const errors = [];
+  validateValue(data, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Checks that a schema definition is usable before it is stored.
+ * @param {*} schema - The schema definition.
+ * @return {Array<string>} Problems with the schema; empty when it is usable.
+ */
+function validateSchemaDefinition(schema) {
+  const problems = [];
+  const check = (node, path) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      problems.push(`${path} must be an object`);
+      return;
+    }
+    for (const type of [].concat(node.type || [])) {
+      if (!SCHEMA_TYPES.includes(type)) {
+        problems.push(`${path}.type has unknown type "${type}"`);
+      }
+    }
+    if (node.enum !== undefined && !Array.isArray(node.enum)) {
+      problems.push(`${path}.enum must be an array`);
+    }
+    if (node.required !== undefined && (!Array.isArray(node.required) || node.required.some(name => typeof name !== 'string'))) {
+      problems.push(`${path}.required must be an array of field names`);
+    }
+    if (node.pattern !== undefined) {
+      try {
+        new RegExp(node.pattern);
+      } catch (error) {
+        problems.push(`${path}.pattern is not a valid regular expression`);
+      }
+    }
+    if (node.properties !== undefined) {
+      if (!node.properties || typeof node.properties !== 'object' || Array.isArray(node.properties)) {
+        problems.push(`${path}.properties must be an object`);
+      } else {
+        for (const [name, property] of Object.entries(node.properties)) {
+          check(property, `${path}.properties.${name}`);
+        }
+      }
+    }
+    if (node.items !== undefined && !Array.isArray(node.items)) {
+      check(node.items, `${path}.items`);
+    }
+    if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+      check(node.additionalProperties, `${path}.additionalProperties`);
+    }
+  };
+  check(schema, 'schema');
+  return problems;
+}
+
+module.exports = {
+  validateAgainstSchema,
+  validateSchemaDefinition
+};
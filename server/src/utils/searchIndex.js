@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Keeps the full-text search index current with the writes
+ * made through the space routes.
+ *
+ * Saved, restored and trashed files are queued on the `search-index-updates`
+ * queue and applied to the searching service in the background, so indexing
+ * never delays or fails a write. A space is searched through the index once
+ * every file of it was indexed: by the git space scheduler, or by a full pass
+ * queued the first time the files of the space are searched. Until then the
+ * search route reads the files.
+ *
+ * Documents are keyed as `${spaceName}:${path}`, like the documents of the
+ * scheduler and the search processor workers, with Personal spaces indexed
+ * per user.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const { isMarkdownPath, getLinkSpaceKey } = require('./linkIndex');
+const { isDiagramFile, parseDiagram, extractDiagramText } = require('./diagramFiles');
+const { parseFrontMatter } = require('./frontMatter');
+const { getCleanMarkdownContent } = require('./commentParser');
+const { pluginHooks } = require('./pluginHooks');
+
+/** @const {string} Queue the space routes send search index updates to */
+const SEARCH_QUEUE = 'search-index-updates';
+
+let searchService = null;
+let indexQueue = null;
+const indexedSpaces = new Set();
+const queuedSpaces = new Set();
+
+/**
+ * Builds the indexed document of a file. Comment threads stored at the end
+ * of a page are left out, so they neither match nor show in previews.
+ * @param {string} spaceKey - The space key.
+ * @param {string} filePath - Path of the file within the space.
+ * @param {string} content - The file content.
+ * @return {Object|null} The document, or null for files that are not indexed.
+ */
+function buildSearchDocument(spaceKey, filePath, content) {
+  let fields;
+  if (isDiagramFile(filePath)) {
+    fields = { content: extractDiagramText(parseDiagram(content)), fileType: 'diagram', frontMatter: {} };
+  } else if (isMarkdownPath(filePath)) {
+    fields = { content: getCleanMarkdownContent(content), fileType: 'markdown', frontMatter: parseFrontMatter(content).data };
+  } else {
+    return null;
+  }
+  return {
+    spaceName: spaceKey,
+    filePath,
+    fileName: path.posix.basename(filePath),
+    ...fields,
+    isDraft: false,
+    indexedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Whether searches of a space can use the index.
+ * @param {string} spaceKey - The space key.
+ * @return {boolean} True once every file of the space was indexed.
+ */
+function isSpaceIndexed(spaceKey) {
+  return Boolean(searchService) && indexedSpaces.has(spaceKey);
+}
+
+/**
+ * Records that every file of a space was indexed, e.g. by the scheduler.
+ * @param {string} spaceKey - The space key.
+ */
+function markSpaceIndexed(spaceKey) {
+  indexedSpaces.add(spaceKey);
+}
+
+/**
+ * Stops searching a space through the index until it is indexed again in
+ * full, for changes that are not queued file by file, such as renames.
+ * @param {Object} req - Express request with spaceName and user.
+ */
+function invalidateSpaceIndex(req) {
+  indexedSpaces.delete(getLinkSpaceKey(req.spaceName, req.user));
+}
+
+/** @private */
+function enqueue_(task) {
+  if (!indexQueue) {
+    return;
+  }
+  indexQueue.enqueue(SEARCH_QUEUE, task).catch(error => {
+    console.error(`Failed to queue search indexing of ${task.spaceName}:`, error.message);
+  });
+}
+
+/**
+ * Queues a file written through a space route for indexing. Files other
+ * than pages and diagrams are ignored.
+ * @param {Object} req - Express request with spaceName and user.
+ * @param {string} filePath - Path of the file within the space.
+ * @param {string|Buffer} content - The written content.
+ */
+function queueSearchUpdate(req, filePath, content) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : content;
+  if (typeof text !== 'string' || !(isMarkdownPath(filePath) || isDiagramFile(filePath))) {
+    return;
+  }
+  enqueue_({ action: 'index', spaceName: getLinkSpaceKey(req.spaceName, req.user), path: filePath, content: text });
+}
+
+/**
+ * Queues the removal of a file, or a folder and everything in it.
+ * @param {Object} req - Express request with spaceName and user.
+ * @param {string} targetPath - Path of the file or folder within the space.
+ */
+function queueSearchRemoval(req, targetPath) {
+  enqueue_({ action: 'remove', spaceName: getLinkSpaceKey(req.spaceName, req.user), path: targetPath });
+}
+
+/**
+ * Queues a full pass over a space that has not been indexed yet. Files the
+ * pass does not list are dropped from the index when it completes.
+ * @param {string} spaceKey - The space key.
+ * @param {Array<{path: string, content: string}>} documents - Every page and diagram of the space.
+ * @return {boolean} True when the pass was queued.
+ */
+function queueSpaceIndexing(spaceKey, documents) {
+  if (!indexQueue || !searchService || indexedSpaces.has(spaceKey) || queuedSpaces.has(spaceKey)) {
+    return false;
+  }
+  queuedSpaces.add(spaceKey);
+  for (const document of documents) {
+    enqueue_({ action: 'index', spaceName: spaceKey, path: document.path, content: document.content });
+  }
+  enqueue_({ action: 'complete', spaceName: spaceKey, paths: documents.map(document => document.path) });
+  return true;
+}
+
+/** @private */
+async function removeDocuments_(searching, spaceKey, isRemoved) {
+  for (const key of searching.keys({ spaceName: spaceKey, filePath: isRemoved })) {
+    await searching.remove(key);
+  }
+  if (searching.passages) {
+    for (const key of searching.passages.documentKeys({ spaceName: spaceKey, filePath: isRemoved })) {
+      await searching.passages.remove(key);
+    }
+  }
+}
+
+/**
+ * Applies a task from the search index queue.
+ * @param {Object} searching - The searching service.
+ * @param {Object} task - { action: 'index'|'remove'|'complete', spaceName, path, content, paths }.
+ * @return {Promise<void>}
+ */
+async function applySearchTask(searching, task) {
+  const spaceKey = task.spaceName;
+
+  if (task.action === 'index') {
+    const key = `${spaceKey}:${task.path}`;
+    const document = buildSearchDocument(spaceKey, task.path, task.content);
+    const indexData = document && await pluginHooks.indexDocument({ space: spaceKey, path: task.path, document });
+    if (!indexData) {
+      await removeDocuments_(searching, spaceKey, filePath => filePath === task.path);
+      return;
+    }
+    if (typeof searching.update === 'function') {
+      await searching.update(key, indexData);
+    } else {
+      await searching.remove(key);
+      await searching.add(key, indexData);
+    }
+    if (searching.passages) {
+      await searching.passages.update(key, indexData);
+    }
+  } else if (task.action === 'remove') {
+    await removeDocuments_(searching, spaceKey,
+      filePath => filePath === task.path || (typeof filePath === 'string' && filePath.startsWith(`${task.path}/`)));
+  } else if (task.action === 'complete') {
+    const paths = new Set(task.paths || []);
+    await removeDocuments_(searching, spaceKey, filePath => !paths.has(filePath));
+    queuedSpaces.delete(spaceKey);
+    indexedSpaces.add(spaceKey);
+  }
+}
+
+/**
+ * Applies the queued search index updates, polling the in-process queue.
+ * @param {Object} queueing - The queueing service.
+ * @param {Object} searching - The searching service.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.interval=2000] - Poll interval in ms.
+ * @param {number} [options.batchSize=100] - Tasks applied per poll.
+ * @return {Function} Stops the consumer.
+ */
+function startSearchQueueConsumer(queueing, searching, options = {}) {
+  const { interval = 2000, batchSize = 100 } = options;
+  indexQueue = queueing;
+  searchService = searching;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (let i = 0; i < batchSize; i++) {
+        const task = await queueing.dequeue(SEARCH_QUEUE);
+        if (!task) break;
+        try {
+          await applySearchTask(searching, task);
+        } catch (error) {
+          console.error(`Failed to index ${task.spaceName}:${task.path || ''} for search:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Error applying search index updates:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  return () => {
+    clearInterval(timer);
+    indexQueue = null;
+    searchService = null;
+  };
+}
+
+module.exports = {
+  SEARCH_QUEUE,
+  buildSearchDocument,
+  isSpaceIndexed,
+  markSpaceIndexed,
+  invalidateSpaceIndex,
+  queueSearchUpdate,
+  queueSearchRemoval,
+  queueSpaceIndexing,
+  applySearchTask,
+  startSearchQueueConsumer
+};
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Saving a file of a space.
+ *
+ * Every save of a single file, through the file and content routes or by a
+ * collaborative session, takes the same steps under the lock of the file:
+ * - the If-Match version check
+ * - the beforeSave hooks of plugins, which may change or refuse the content
+ * - the front-matter schemas of the folder and template
+ * - the write, then the version history, the audit log, the link index,
+ *   mention notifications, the afterSave hooks and the collaborative
+ *   session of the file
+ *
+ * A refused save throws a SaveRefusedError holding the status and body that
+ * routes answer with.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const { readCurrentContent, findVersionConflict, acquireFileLock } = require('./contentVersion');
+const { checkBeforeSave, runAfterSaveHooks } = require('./pluginHooks');
+const { findFrontMatterRefusal } = require('./metadataSchemas');
+const { readPreviousContent, recordVersion } = require('./versionHistory');
+const { recordAudit } = require('./auditLog');
+const { indexWrittenFile } = require('./linkIndex');
+const { queueSearchUpdate } = require('./searchIndex');
+const { notifyDocumentMentions } = require('./notifications');
+
+/**
+ * Error raised when a save is refused by the version check, a plugin or a
+ * schema. The body is safe to send back to the client.
+ */
+class SaveRefusedError extends Error {
+  /**
+   * @param {{status: number, body: Object, headers: (Object|undefined)}} refusal - The response to answer with.
+   */
+  constructor(refusal) {
+    super(refusal.body.error);
+    this.name = 'SaveRefusedError';
+    this.status = refusal.status;
+    this.body = refusal.body;
+    this.headers = refusal.headers || {};
+  }
+}
+
+/**
+ * Saves a file of a space.
+ * @param {Object} req - Express request, or the save of a collaborative
+ *     session, with filing, spaceName, spaceConfig and user.
+ * @param {string} filePath - Path of the file within the space.
+ * @param {string} providerPath - Path of the file as the filing provider expects it.
+ * @param {string|Buffer} content - The content to save.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.create=false] - Create a new file instead of updating one.
+ * @param {boolean} [options.exclusive=false] - Refuse with 409 when the file
+ *     to create already exists.
+ * @param {string} [options.ifMatch] - The If-Match header of the request.
+ * @param {string} [options.message] - Description of the change in the version history.
+ * @param {Object} [options.audit] - Audit `action` and `details` to record
+ *     instead of file.create or file.update.
+ * @param {boolean} [options.notifySession=true] - Share the content with the
+ *     collaborative session of the file; false when the session saves it.
+ * @return {Promise<{content: (string|Buffer), warnings: Array<Object>}>} The
+ *     content saved, which plugins may have changed, and their warnings.
+ * @throws {SaveRefusedError} When the save was refused.
+ */
+async function saveSpaceFile(req, filePath, providerPath, content, options = {}) {
+  const { create = false, exclusive = false, ifMatch, message = create ? 'Created' : 'Saved', audit = {}, notifySession = true } = options;
+  const releaseLock = await acquireFileLock(`${req.spaceName}:${filePath}`);
+  try {
+    if (exclusive && await req.filing.exists(providerPath)) {
+      throw new SaveRefusedError({ status: 409, body: { error: 'File already exists', path: filePath } });
+    }
+    const currentContent = create ? null : await readCurrentContent(req.filing, providerPath);
+    const conflict = findVersionConflict(ifMatch, currentContent, { includeContent: !Buffer.isBuffer(content) });
+    if (conflict) {
+      throw new SaveRefusedError(conflict);
+    }
+
+    const previousContent = create ? null : await readPreviousContent(req.filing, providerPath);
+    const hookResult = await checkBeforeSave(req, filePath, content, previousContent);
+    if (hookResult.refusal) {
+      throw new SaveRefusedError(hookResult.refusal);
+    }
+    const savedContent = hookResult.content;
+    const schemaRefusal = await findFrontMatterRefusal(req, filePath, savedContent);
+    if (schemaRefusal) {
+      throw new SaveRefusedError(schemaRefusal);
+    }
+
+    if (create) {
+      await req.filing.create(providerPath, savedContent);
+    } else {
+      await req.filing.update(providerPath, savedContent);
+    }
+    await recordVersion(req, filePath, savedContent, previousContent, message);
+    await recordAudit(req, {
+      action: audit.action || (create ? 'file.create' : 'file.update'),
+      path: filePath,
+      ...(create ? {} : { before: currentContent }),
+      after: savedContent,
+      ...(audit.details ? { details: audit.details } : {})
+    });
+    indexWrittenFile(req, filePath, savedContent);
+    queueSearchUpdate(req, filePath, savedContent);
+    await notifyDocumentMentions(req, filePath, savedContent, previousContent);
+    runAfterSaveHooks(req, filePath, savedContent, previousContent);
+    if (notifySession) {
+      // Required here as the collaboration hub saves through this module
+      const { notifyFileWritten } = require('../collaboration');
+      notifyFileWritten(req.spaceName, filePath, savedContent, req.user.username);
+    }
+    return { content: savedContent, warnings: hookResult.warnings };
+  } finally {
+    releaseLock();
+  }
+}
+
+/**
+ * Answers a refused save.
+ * @param {Object} res - Express response.
+ * @param {SaveRefusedError} error - The refusal.
+ */
+function sendSaveRefused(res, error) {
+  Object.entries(error.headers).forEach(([name, value]) => res.set(name, value));
+  res.status(error.status).json(error.body);
+}
+
+module.exports = {
+  SaveRefusedError,
+  saveSpaceFile,
+  sendSaveRefused
+};
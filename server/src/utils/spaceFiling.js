@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Filing providers of spaces.
+ *
+ * Creates the filing provider of a space from the `filing` block of its
+ * spaces.json entry, and validates those blocks for the Spaces admin page.
+ * Supported backends:
+ *
+ *   { "type": "local", "localFolder": "./content" }
+ *   { "type": "git", "localFolder": "./content-shared", "git": "https://...",
+ *     "git-branch": "main", "git-fetch-interval": "5000" }
+ *   { "type": "s3", "bucket": "artefacts", "region": "us-east-1",
+ *     "prefix": "shared/", "endpoint": "http://localhost:9000",
+ *     "accessKeyId": "env:S3_ACCESS_KEY", "secretAccessKey": "env:S3_SECRET_KEY" }
+ *   { "type": "ftp", "host": "ftp.example.com", "port": 21, "user": "docs",
+ *     "password": "env:FTP_PASSWORD", "secure": false, "rootPath": "/artefacts" }
+ *
+ * Secrets can be written as `env:NAME` to read them from the environment
+ * instead of keeping them in spaces.json. S3 credentials may also be left out
+ * to use the standard AWS credential chain.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const EventEmitter = require('events');
+const createFilingService = require('../services/filing/index.js');
+
+/** @const {Array<string>} Filing provider types a space can use */
+const FILING_TYPES = ['local', 'git', 's3', 'ftp'];
+
+/** @const {Object} Fields of each provider type that hold secrets */
+const SECRET_FIELDS = {
+  s3: ['secretAccessKey'],
+  ftp: ['password']
+};
+
+/** @const {string} Shown in place of secrets by the admin API */
+const MASKED_SECRET = '********';
+
+/**
+ * Reads a configuration value, resolving `env:NAME` references.
+ * @param {*} value - The configured value.
+ * @return {*} The value, or the environment variable it names.
+ */
+function resolveConfigValue(value) {
+  if (typeof value === 'string' && value.startsWith('env:')) {
+    return process.env[value.slice(4)];
+  }
+  return value;
+}
+
+/**
+ * Builds the options of the filing provider of a space.
+ * @param {Object} spaceConfig - The spaces.json entry of the space.
+ * @return {{type: string, options: Object}} Provider type and options for createFilingService.
+ */
+function getFilingOptions(spaceConfig) {
+  const filingConfig = spaceConfig.filing || {};
+  const value = name => resolveConfigValue(filingConfig[name]);
+
+  switch (filingConfig.type) {
+    case 'local':
+      return { type: 'local', options: { localPath: filingConfig.localFolder } };
+    case 'git':
+      return {
+        type: 'git',
+        options: {
+          repo: filingConfig.git,
+          localPath: filingConfig.localFolder,
+          branch: filingConfig['git-branch'] || 'main',
+          fetchInterval: parseInt(filingConfig['git-fetch-interval']) || 5000,
+          isReadonly: spaceConfig.access === 'readonly'
+        }
+      };
+    case 's3':
+      return {
+        type: 's3',
+        options: {
+          bucketName: filingConfig.bucket,
+          region: filingConfig.region || 'us-east-1',
+          prefix: filingConfig.prefix,
+          endpoint: value('endpoint'),
+          forcePathStyle: filingConfig.forcePathStyle,
+          accessKeyId: value('accessKeyId'),
+          secretAccessKey: value('secretAccessKey')
+        }
+      };
+    case 'ftp':
+      return {
+        type: 'ftp',
+        options: {
+          host: value('host'),
+          port: filingConfig.port,
+          user: value('user'),
+          password: value('password'),
+          secure: filingConfig.secure,
+          rootPath: filingConfig.rootPath
+        }
+      };
+    default:
+      throw new Error(`Unsupported filing provider type: ${filingConfig.type}`);
+  }
+}
+
+/**
+ * Creates the filing provider of a space.
+ * @param {Object} spaceConfig - The spaces.json entry of the space.
+ * @param {EventEmitter} [eventEmitter] - Receives the filing events.
+ * @return {Object} The filing provider.
+ */
+function createSpaceFilingProvider(spaceConfig, eventEmitter = new EventEmitter()) {
+  const { type, options } = getFilingOptions(spaceConfig);
+  return createFilingService(type, options, eventEmitter);
+}
+
+/**
+ * Validates the `filing` block of a space.
+ * @param {Object} filing - The filing configuration.
+ * @return {Array<string>} Problems found; empty when the configuration is valid.
+ */
+function validateFilingConfig(filing) {
+  if (!filing || typeof filing !== 'object' || Array.isArray(filing)) {
+    return ['Filing configuration must be an object'];
+  }
+  if (!FILING_TYPES.includes(filing.type)) {
+    return [`Filing type must be one of: ${FILING_TYPES.join(', ')}`];
+  }
+
+  const problems = [];
+  const requireField = (field, label = field) => {
+    if (typeof filing[field] !== 'string' || !filing[field].trim()) {
+      problems.push(`${filing.type} filing requires ${label}`);
+    }
+  };
+
+  if (filing.type === 'local') {
+    requireField('localFolder');
+  } else if (filing.type === 'git') {
+    requireField('localFolder');
+    requireField('git');
+    requireField('git-branch');
+  } else if (filing.type === 's3') {
+    requireField('bucket');
+    requireField('region');
+    if (filing.endpoint && !/^(https?:\/\/|env:)/.test(filing.endpoint)) {
+      problems.push('s3 endpoint must be an http(s) URL');
+    }
+    if (Boolean(filing.accessKeyId) !== Boolean(filing.secretAccessKey)) {
+      problems.push('s3 filing requires both accessKeyId and secretAccessKey, or neither');
+    }
+  } else if (filing.type === 'ftp') {
+    requireField('host');
+    if (filing.port !== undefined && !(Number.isInteger(Number(filing.port)) && filing.port > 0 && filing.port < 65536)) {
+      problems.push('ftp port must be a number between 1 and 65535');
+    }
+  }
+  return problems;
+}
+
+/**
+ * Hides the secrets of a filing configuration.
+ * @param {Object} filing - The filing configuration.
+ * @return {Object} A copy with secrets replaced, except `env:` references.
+ */
+function maskFilingSecrets(filing) {
+  if (!filing) return filing;
+  const masked = { ...filing };
+  for (const field of SECRET_FIELDS[filing.type] || []) {
+    if (masked[field] && !String(masked[field]).startsWith('env:')) {
+      masked[field] = MASKED_SECRET;
+    }
+  }
+  return masked;
+}
+
+/**
+ * Puts back the secrets an admin left masked when saving a space.
+ * @param {Object} filing - The submitted filing configuration.
+ * @param {Object} [previous] - The stored filing configuration.
+ * @return {Object} The filing configuration to store.
+ */
+function restoreFilingSecrets(filing, previous) {
+  const restored = { ...filing };
+  for (const field of SECRET_FIELDS[filing.type] || []) {
+    if (restored[field] === MASKED_SECRET) {
+      if (previous && previous.type === filing.type && previous[field]) {
+        restored[field] = previous[field];
+      } else {
+        delete restored[field];
+      }
+    }
+  }
+  return restored;
+}
+
+module.exports = {
+  FILING_TYPES,
+  MASKED_SECRET,
+  getFilingOptions,
+  createSpaceFilingProvider,
+  validateFilingConfig,
+  maskFilingSecrets,
+  restoreFilingSecrets
+};
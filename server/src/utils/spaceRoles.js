@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Per-space role based access control.
+ *
+ * Each space in spaces.json can carry a `roles` block that assigns a role to
+ * individual users and to groups:
+ *
+ *   "roles": {
+ *     "default": "editor",
+ *     "users": { "alice": "admin", "reviewer": "commenter" },
+ *     "groups": { "architects": "editor" }
+ *   }
+ *
+ * Roles are ordered viewer < commenter < editor < admin. A user assignment
+ * takes precedence over group assignments so a single user can be given less
+ * than their group; otherwise the highest group role wins. Users that list the
+ * space in their `spaces` profile field and have no assignment get the
+ * `default` role, which falls back to the space's legacy `access` flag.
+ *
+ * Requests made with a scoped API key get at most the role the key allows,
+ * and no role in spaces outside the key's scope (see auth/apiKeyScopes).
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const { API_KEY_ACCESS_ROLES } = require('../auth/apiKeyScopes');
+
+const SPACE_ROLES = ['viewer', 'commenter', 'editor', 'admin'];
+
+/**
+ * Minimum role required for each space operation.
+ */
+const OPERATION_ROLES = {
+  read: 'viewer',
+  comment: 'commenter',
+  write: 'editor',
+  publish: 'editor',
+  manage: 'admin'
+};
+
+/**
+ * Splits a comma-separated profile field (or array) into trimmed names.
+ * @param {string|Array<string>|undefined} value - The field value.
+ * @return {Array<string>} The names, without empty entries.
+ */
+function splitNames(value) {
+  if (Array.isArray(value)) {
+    return value.map(name => String(name).trim()).filter(Boolean);
+  }
+  if (typeof value !== 'string') {
+    return [];
+  }
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Returns the rank of a role, or -1 for unknown roles.
+ * @param {string} role - The role name.
+ * @return {number} The role rank.
+ */
+function roleRank(role) {
+  return SPACE_ROLES.indexOf(role);
+}
+
+/**
+ * Returns the role given to users without an explicit assignment.
+ * @param {Object} spaceConfig - The space configuration.
+ * @return {string} The default role.
+ */
+function getDefaultRole(spaceConfig) {
+  const configured = spaceConfig.roles && spaceConfig.roles.default;
+  if (roleRank(configured) !== -1) {
+    return configured;
+  }
+  return spaceConfig.access === 'readonly' ? 'viewer' : 'editor';
+}
+
+/**
+ * Resolves the effective role of a user in a space.
+ * @param {Object} user - The authenticated user (username, spaces, groups).
+ * @param {Object} spaceConfig - The space configuration.
+ * @return {string|null} The role, or null when the user has no access.
+ */
+function resolveSpaceRole(user, spaceConfig) {
+  if (!user || !spaceConfig) {
+    return null;
+  }
+  const role = resolveAssignedRole(user, spaceConfig);
+  return user.apiKeyScope ? limitRoleToApiKeyScope(role, user.apiKeyScope, spaceConfig.space) : role;
+}
+
+/**
+ * Limits a role to what the scope of an API key allows in a space.
+ * @param {string|null} role - The user's role in the space.
+ * @param {Object} scope - The API key scope with spaces and access.
+ * @param {string} spaceName - The space.
+ * @return {string|null} The limited role, or null outside the scope.
+ */
+function limitRoleToApiKeyScope(role, scope, spaceName) {
+  if (!role || (scope.spaces && !scope.spaces.includes(spaceName))) {
+    return null;
+  }
+  const maxRole = API_KEY_ACCESS_ROLES[scope.access];
+  if (!maxRole) {
+    return null;
+  }
+  return roleRank(role) > roleRank(maxRole) ? maxRole : role;
+}
+
+/**
+ * Resolves the role assigned to a user in a space, ignoring API key scopes.
+ */
+function resolveAssignedRole(user, spaceConfig) {
+  const roles = spaceConfig.roles || {};
+  const userRole = roles.users && roles.users[user.username];
+  if (roleRank(userRole) !== -1) {
+    return userRole;
+  }
+
+  let groupRole = null;
+  for (const group of splitNames(user.groups)) {
+    const role = roles.groups && roles.groups[group];
+    if (roleRank(role) > roleRank(groupRole)) {
+      groupRole = role;
+    }
+  }
+  if (groupRole) {
+    return groupRole;
+  }
+
+  if (splitNames(user.spaces).includes(spaceConfig.space)) {
+    return getDefaultRole(spaceConfig);
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a role allows an operation.
+ * @param {string|null} role - The user's role in the space.
+ * @param {string} operation - One of read, comment, write, publish, manage.
+ * @return {boolean} True when the operation is allowed.
+ */
+function hasSpacePermission(role, operation) {
+  const required = OPERATION_ROLES[operation];
+  if (!required) {
+    throw new Error(`Unknown space operation: ${operation}`);
+  }
+  return roleRank(role) >= roleRank(required);
+}
+
+/**
+ * Returns the spaces a user can open, each with the user's role. The role
+ * assignments themselves are left out so other users' names are not exposed.
+ * @param {Object} user - The authenticated user.
+ * @param {Array<Object>} spaces - All space configurations.
+ * @return {Array<Object>} The accessible spaces with a `role` property.
+ */
+function listAccessibleSpaces(user, spaces) {
+  return spaces
+    .map(({ roles, ...space }) => ({ ...space, role: resolveSpaceRole(user, { roles, ...space }) }))
+    .filter(space => space.role !== null);
+}
+
+/**
+ * Validates and normalises a roles block from the management API.
+ * @param {Object} roles - The submitted roles block.
+ * @return {{roles: Object|null, error: string|null}} The normalised block or an error.
+ */
+function normalizeRoleAssignments(roles) {
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+    return { roles: null, error: 'Roles must be an object' };
+  }
+
+  const normalized = { users: {}, groups: {} };
+
+  if (roles.default !== undefined && roles.default !== null && roles.default !== '') {
+    if (roleRank(roles.default) === -1) {
+      return { roles: null, error: `Invalid default role: ${roles.default}` };
+    }
+    normalized.default = roles.default;
+  }
+
+  for (const kind of ['users', 'groups']) {
+    const assignments = roles[kind] || {};
+    if (typeof assignments !== 'object' || Array.isArray(assignments)) {
+      return { roles: null, error: `${kind} must be an object of name to role` };
+    }
+    for (const [name, role] of Object.entries(assignments)) {
+      const trimmed = name.trim();
+      if (!trimmed) {
+        return { roles: null, error: `Empty name in ${kind}` };
+      }
+      if (roleRank(role) === -1) {
+        return { roles: null, error: `Invalid role for ${trimmed}: ${role}` };
+      }
+      normalized[kind][trimmed] = role;
+    }
+  }
+
+  return { roles: normalized, error: null };
+}
+
+module.exports = {
+  SPACE_ROLES,
+  OPERATION_ROLES,
+  splitNames,
+  getDefaultRole,
+  resolveSpaceRole,
+  hasSpacePermission,
+  listAccessibleSpaces,
+  normalizeRoleAssignments
+};
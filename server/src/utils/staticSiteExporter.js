@@ -0,0 +1,690 @@
+/**
+ * @fileoverview Static HTML site export of spaces and folders.
+ *
+ * Turns a space, or one folder of it, into a self-contained documentation
+ * site that opens from disk or any static web server:
+ * - Every Markdown page is rendered to HTML with its comments, metadata and
+ *   front-matter stripped; wiki links and links between pages point at the
+ *   exported pages
+ * - Every page carries the navigation built from the file tree
+ * - Images and PDFs are copied next to the pages that use them, and
+ *   `.excalidraw` diagrams are exported as `<name>.excalidraw.svg`
+ * - A client-side search index is shipped as a script, so search also works
+ *   when the site is opened over file://
+ * - Math in `$...$` and `$$...$$` is rendered with KaTeX, ```plantuml blocks
+ *   are rendered to SVG with the local PlantUML, and ```mermaid blocks are
+ *   drawn in the browser by Mermaid, which is shipped with the site when a
+ *   page uses it
+ *
+ * Raw HTML in pages is shown as text, as it is in the editor preview.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Marked } = require('marked');
+const { getCleanMarkdownContent } = require('./commentParser');
+const { getCleanMarkdownContentWithoutMetadata } = require('./metadataParser');
+const { parseFrontMatter } = require('./frontMatter');
+const { createLinkResolver } = require('./linkIndex');
+const { renderPlantUml, renderMath } = require('./diagramRenderer');
+const { parseDiagram, renderDiagramSvg } = require('./diagramFiles');
+
+/** Files copied into the site as they are */
+const ASSET_PATTERN = /\.(png|jpe?g|gif|svg|webp|pdf)$/i;
+
+/** Pages rendered into the site */
+const PAGE_PATTERN = /\.(md|markdown)$/i;
+
+/** Diagram files, exported as SVG images next to their source path */
+const DIAGRAM_PATTERN = /\.excalidraw$/i;
+
+/** Wiki link at the start of the inline text: [[target#anchor|label]] or ![[embed]] */
+const WIKI_LINK_START_PATTERN = /^(!?)\[\[([^[\]\n|#]+)(#[^[\]\n|]*)?(\|[^[\]\n]*)?\]\]/;
+
+/** Math block: $$ on its own line, the TeX, and $$ */
+const BLOCK_MATH_PATTERN = /^\$\$[^\S\n]*\n?([\s\S]+?)\n?[^\S\n]*\$\$[^\S\n]*(?:\n+|$)/;
+
+/**
+ * Inline math: $$display$$, or $tex$ with no space inside the dollars and no
+ * digit after them, so prices such as $5 and $10 stay text
+ */
+const INLINE_MATH_PATTERN = /^(?:\$\$([^$]+?)\$\$|\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d))/;
+
+/** Maximum characters of page text kept in the search index */
+const MAX_SEARCH_TEXT_LENGTH = 10000;
+
+const SITE_CSS = `* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #172b4d; line-height: 1.6; }
+a { color: #0052cc; }
+.site-header { position: sticky; top: 0; display: flex; align-items: center; gap: 1rem; padding: 0.75rem 1.5rem; background: #fff; border-bottom: 1px solid #dfe1e6; z-index: 1; }
+.site-title { font-weight: 600; font-size: 1.1rem; text-decoration: none; color: inherit; }
+.site-search { position: relative; margin-left: auto; width: 22rem; max-width: 50%; }
+.site-search input { width: 100%; padding: 0.4rem 0.6rem; border: 1px solid #c1c7d0; border-radius: 4px; font: inherit; }
+.search-results { position: absolute; right: 0; left: 0; margin: 0.25rem 0 0; padding: 0; list-style: none; background: #fff; border: 1px solid #dfe1e6; border-radius: 4px; box-shadow: 0 4px 12px rgba(9, 30, 66, 0.15); max-height: 70vh; overflow-y: auto; }
+.search-results li { padding: 0.5rem 0.75rem; border-bottom: 1px solid #f4f5f7; }
+.search-results small { display: block; color: #6b778c; }
+.site-layout { display: flex; align-items: flex-start; }
+.site-nav { position: sticky; top: 3.5rem; flex: 0 0 17rem; max-height: calc(100vh - 3.5rem); overflow-y: auto; padding: 1rem; background: #f4f5f7; font-size: 0.9rem; }
+.site-nav ul { margin: 0; padding-left: 1rem; list-style: none; }
+.site-nav > ul { padding-left: 0; }
+.site-nav .nav-folder { display: block; margin-top: 0.5rem; font-weight: 600; color: #5e6c84; }
+.site-nav a { display: block; padding: 0.1rem 0; text-decoration: none; }
+.site-nav a.active { font-weight: 600; color: #172b4d; }
+.site-content { flex: 1; min-width: 0; max-width: 60rem; padding: 1.5rem 2.5rem 4rem; }
+.site-content img { max-width: 100%; }
+.site-content pre { padding: 1rem; overflow-x: auto; background: #f4f5f7; border-radius: 4px; }
+.site-content code { font-family: SFMono-Regular, Consolas, monospace; font-size: 0.9em; }
+.site-content table { border-collapse: collapse; }
+.site-content th, .site-content td { padding: 0.4rem 0.75rem; border: 1px solid #dfe1e6; }
+.site-content blockquote { margin-left: 0; padding-left: 1rem; border-left: 4px solid #dfe1e6; color: #5e6c84; }
+.broken-link { color: #bf2600; text-decoration: underline dotted; }
+.site-footer { margin-top: 3rem; color: #6b778c; font-size: 0.8rem; }
+.site-content pre.mermaid { background: none; text-align: center; }
+.site-content .diagram { margin: 1rem 0; text-align: center; }
+.site-content .diagram-error { color: #bf2600; }
+.site-content .katex-display { overflow-x: auto; overflow-y: hidden; }
+`;
+
+const MERMAID_INIT_SCRIPT = `mermaid.initialize({ startOnLoad: true, securityLevel: 'strict' });
+`;
+
+const SEARCH_SCRIPT = `(function () {
+  var input = document.getElementById('site-search');
+  var list = document.getElementById('search-results');
+  var root = document.body.getAttribute('data-root') || '';
+  var pages = window.SITE_SEARCH_INDEX || [];
+
+  function snippet(text, term) {
+    var index = text.toLowerCase().indexOf(term);
+    if (index === -1) return text.slice(0, 140);
+    var start = Math.max(0, index - 60);
+    return (start > 0 ? '\\u2026' : '') + text.slice(start, start + 140) + '\\u2026';
+  }
+
+  input.addEventListener('input', function () {
+    var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    list.innerHTML = '';
+    list.hidden = terms.length === 0;
+    if (terms.length === 0) return;
+
+    var results = pages.map(function (page) {
+      var title = page.title.toLowerCase();
+      var text = page.text.toLowerCase();
+      var score = 0;
+      for (var i = 0; i < terms.length; i++) {
+        var inTitle = title.indexOf(terms[i]) !== -1;
+        if (!inTitle && text.indexOf(terms[i]) === -1) return null;
+        score += inTitle ? 10 : 1;
+      }
+      return { page: page, score: score };
+    }).filter(Boolean).sort(function (a, b) { return b.score - a.score; }).slice(0, 20);
+
+    if (results.length === 0) {
+      var empty = document.createElement('li');
+      empty.textContent = 'No pages found';
+      list.appendChild(empty);
+      return;
+    }
+    results.forEach(function (result) {
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      link.href = root + result.page.path;
+      link.textContent = result.page.title;
+      var context = document.createElement('small');
+      context.textContent = snippet(result.page.text, terms[0]);
+      item.appendChild(link);
+      item.appendChild(context);
+      list.appendChild(item);
+    });
+  });
+
+  input.addEventListener('keydown', function (event) {
+    if (event.key === 'Escape') {
+      input.value = '';
+      list.innerHTML = '';
+      list.hidden = true;
+    }
+  });
+})();
+`;
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {string} text - The text.
+ * @return {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Builds the id of a heading the way GitHub does, so `#anchor` links keep working.
+ * @param {string} text - The heading text.
+ * @return {string} The heading id.
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/<[^>]*>/g, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Path of the exported HTML page of a Markdown page.
+ * @param {string} pagePath - Path of the Markdown page in the site.
+ * @return {string} Path of the HTML page in the site.
+ */
+function toHtmlPath(pagePath) {
+  return pagePath.replace(PAGE_PATTERN, '.html');
+}
+
+/**
+ * Relative URL from one site file to another.
+ * @param {string} fromPath - The site file holding the link.
+ * @param {string} toPath - The site file linked to.
+ * @return {string} The URL-encoded relative href.
+ */
+function relativeHref(fromPath, toPath) {
+  const relative = path.posix.relative(path.posix.dirname(fromPath), toPath);
+  return relative.split('/').map(part => (part === '..' ? part : encodeURIComponent(part))).join('/');
+}
+
+/**
+ * Prefix leading from a site file back to the root of the site.
+ * @param {string} sitePath - The site file.
+ * @return {string} '' at the root, otherwise '../' per folder level.
+ */
+function rootPrefix(sitePath) {
+  return '../'.repeat(sitePath.split('/').length - 1);
+}
+
+/**
+ * Lists the pages, assets and diagrams under a folder of the filing provider.
+ * Hidden files and folders, such as folder schemas and `.git`, are skipped.
+ * @param {Object} filing - The filing provider.
+ * @param {string} basePath - Provider path of the exported folder.
+ * @param {string} [folder=''] - Folder relative to the exported folder.
+ * @return {Promise<{pages: Array<string>, assets: Array<string>, diagrams: Array<string>}>}
+ *     Paths relative to the exported folder.
+ */
+async function collectSiteFiles(filing, basePath, folder = '') {
+  const pages = [];
+  const assets = [];
+  const diagrams = [];
+  const dirPath = [basePath, folder].filter(Boolean).join('/');
+  const items = await filing.listDetailed(dirPath);
+  for (const item of items) {
+    if (item.name.startsWith('.')) {
+      continue;
+    }
+    const itemPath = folder ? `${folder}/${item.name}` : item.name;
+    if (item.isDirectory) {
+      const nested = await collectSiteFiles(filing, basePath, itemPath);
+      pages.push(...nested.pages);
+      assets.push(...nested.assets);
+      diagrams.push(...nested.diagrams);
+    } else if (PAGE_PATTERN.test(item.name)) {
+      pages.push(itemPath);
+    } else if (ASSET_PATTERN.test(item.name)) {
+      assets.push(itemPath);
+    } else if (DIAGRAM_PATTERN.test(item.name)) {
+      diagrams.push(itemPath);
+    }
+  }
+  return { pages, assets, diagrams };
+}
+
+/**
+ * Strips comments, metadata and front-matter from a page.
+ * @param {string} content - The stored page content.
+ * @return {{body: string, data: Object}} The Markdown to render and its front-matter.
+ */
+function cleanPageContent(content) {
+  const withoutMetadata = getCleanMarkdownContentWithoutMetadata(getCleanMarkdownContent(content));
+  const { data, body } = parseFrontMatter(withoutMetadata);
+  return { data: data || {}, body };
+}
+
+/**
+ * Title of a page: its front-matter title, first heading or file name.
+ */
+function getPageTitle(pagePath, data, body) {
+  if (typeof data.title === 'string' && data.title.trim()) {
+    return data.title.trim();
+  }
+  const heading = body.match(/^#\s+(.+?)\s*#*\s*$/m);
+  if (heading) {
+    return heading[1];
+  }
+  return path.posix.basename(pagePath).replace(PAGE_PATTERN, '');
+}
+
+/**
+ * Plain text of rendered HTML, for the search index.
+ */
+function toSearchText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_SEARCH_TEXT_LENGTH);
+}
+
+/**
+ * Creates the Markdown renderer of a site. Links are resolved against the
+ * space, so links from a page to another exported page or asset point at
+ * the exported file, and links out of the export are left as they are.
+ * @param {Object} site - The site being exported.
+ * @param {string} site.folder - The exported folder, relative to the space.
+ * @param {Set<string>} site.files - The exported pages and assets, relative to the export.
+ * @param {Function} site.resolve - Link resolver over the exported files, see linkIndex.
+ * @return {{render: Function}} Renders the Markdown of one page to
+ *     {html, math, mermaid}, where math and mermaid tell whether the page
+ *     needs the KaTeX styles and the Mermaid script.
+ */
+function createPageRenderer({ folder, files, resolve }) {
+  const current = { pagePath: '', slugs: new Map(), math: false, mermaid: false };
+  const toSpacePath = sitePath => (folder ? `${folder}/${sitePath}` : sitePath);
+  const toSitePath = (spacePath) => {
+    if (!spacePath) return null;
+    const sitePath = folder ? (spacePath.startsWith(`${folder}/`) ? spacePath.slice(folder.length + 1) : null) : spacePath;
+    return sitePath && files.has(sitePath) ? sitePath : null;
+  };
+  const hrefTo = (sitePath, anchor) => {
+    const target = PAGE_PATTERN.test(sitePath) ? toHtmlPath(sitePath)
+      : DIAGRAM_PATTERN.test(sitePath) ? `${sitePath}.svg` : sitePath;
+    return relativeHref(toHtmlPath(current.pagePath), target) + (anchor ? `#${slugify(anchor)}` : '');
+  };
+
+  const rewriteHref = (href) => {
+    if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('#') || href.startsWith('//')) {
+      return href;
+    }
+    const hashIndex = href.indexOf('#');
+    const pathPart = hashIndex === -1 ? href : href.slice(0, hashIndex);
+    let target;
+    try {
+      target = decodeURIComponent(pathPart.split('?')[0]);
+    } catch (error) {
+      return href;
+    }
+    const sitePath = toSitePath(resolve({ type: 'markdown', target }, toSpacePath(current.pagePath)));
+    if (!sitePath) {
+      return href;
+    }
+    return hrefTo(sitePath) + (hashIndex === -1 ? '' : href.slice(hashIndex));
+  };
+
+  const wikiLink = {
+    name: 'wikiLink',
+    level: 'inline',
+    start(src) {
+      const index = src.indexOf('[[');
+      if (index === -1) return undefined;
+      return index > 0 && src[index - 1] === '!' ? index - 1 : index;
+    },
+    tokenizer(src) {
+      const match = WIKI_LINK_START_PATTERN.exec(src);
+      if (!match || !match[2].trim()) {
+        return undefined;
+      }
+      return {
+        type: 'wikiLink',
+        raw: match[0],
+        embed: match[1] === '!',
+        target: match[2].trim(),
+        anchor: match[3] ? match[3].slice(1) : null,
+        label: match[4] ? match[4].slice(1).trim() : null
+      };
+    },
+    renderer(token) {
+      const label = escapeHtml(token.label || token.target);
+      const sitePath = toSitePath(resolve({ type: 'wiki', target: token.target }, toSpacePath(current.pagePath)));
+      if (!sitePath) {
+        return `<span class="broken-link" title="Not part of this export">${label}</span>`;
+      }
+      const href = escapeHtml(hrefTo(sitePath, token.anchor));
+      if (token.embed && ((ASSET_PATTERN.test(sitePath) && !/\.pdf$/i.test(sitePath)) || DIAGRAM_PATTERN.test(sitePath))) {
+        return `<img src="${href}" alt="${label}">`;
+      }
+      return `<a href="${href}">${label}</a>`;
+    }
+  };
+
+  const blockMath = {
+    name: 'blockMath',
+    level: 'block',
+    start(src) {
+      const match = src.match(/^\$\$/m);
+      return match ? match.index : undefined;
+    },
+    tokenizer(src) {
+      const match = BLOCK_MATH_PATTERN.exec(src);
+      return match ? { type: 'blockMath', raw: match[0], tex: match[1].trim() } : undefined;
+    },
+    renderer(token) {
+      current.math = true;
+      return `${renderMath(token.tex, { displayMode: true })}\n`;
+    }
+  };
+
+  const inlineMath = {
+    name: 'inlineMath',
+    level: 'inline',
+    start(src) {
+      const match = src.match(/(?<!\\)\$/);
+      return match ? match.index : undefined;
+    },
+    tokenizer(src) {
+      const match = INLINE_MATH_PATTERN.exec(src);
+      if (!match) {
+        return undefined;
+      }
+      return { type: 'inlineMath', raw: match[0], tex: (match[1] || match[2]).trim(), displayMode: Boolean(match[1]) };
+    },
+    renderer(token) {
+      current.math = true;
+      return renderMath(token.tex, { displayMode: token.displayMode });
+    }
+  };
+
+  const marked = new Marked({
+    gfm: true,
+    async: true,
+    extensions: [wikiLink, blockMath, inlineMath],
+    async walkTokens(token) {
+      if (token.type === 'link' || token.type === 'image') {
+        token.href = rewriteHref(token.href);
+      } else if (token.type === 'code' && codeLanguage(token.lang) === 'plantuml') {
+        try {
+          token.svg = await renderPlantUml(token.text);
+        } catch (error) {
+          token.diagramError = error.message;
+        }
+      }
+    },
+    renderer: {
+      code(token) {
+        const language = codeLanguage(token.lang);
+        if (language === 'mermaid') {
+          current.mermaid = true;
+          return `<pre class="mermaid">${escapeHtml(token.text)}</pre>\n`;
+        }
+        if (language === 'plantuml' && token.svg) {
+          const src = `data:image/svg+xml;base64,${Buffer.from(token.svg, 'utf8').toString('base64')}`;
+          return `<figure class="diagram"><img src="${src}" alt="PlantUML diagram"></figure>\n`;
+        }
+        if (language === 'plantuml') {
+          return `<div class="diagram-error"><p>${escapeHtml(token.diagramError || 'The diagram could not be rendered')}</p>` +
+            `<pre><code>${escapeHtml(token.text)}</code></pre></div>\n`;
+        }
+        return false;
+      },
+      html({ text, block }) {
+        return block ? `<p>${escapeHtml(text)}</p>\n` : escapeHtml(text);
+      },
+      heading({ tokens, depth, text }) {
+        let slug = slugify(text);
+        const seen = current.slugs.get(slug) || 0;
+        current.slugs.set(slug, seen + 1);
+        if (seen > 0) {
+          slug = `${slug}-${seen}`;
+        }
+        return `<h${depth} id="${escapeHtml(slug)}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+      }
+    }
+  });
+
+  return {
+    async render(pagePath, markdown) {
+      current.pagePath = pagePath;
+      current.slugs = new Map();
+      current.math = false;
+      current.mermaid = false;
+      const html = await marked.parse(markdown);
+      return { html, math: current.math, mermaid: current.mermaid };
+    }
+  };
+}
+
+/**
+ * First word of the info string of a fenced code block, lower-cased.
+ */
+function codeLanguage(lang) {
+  return (lang || '').trim().split(/\s+/)[0].toLowerCase();
+}
+
+/**
+ * Reads the KaTeX styles and the fonts they load, for pages with math.
+ * Only the WOFF2 fonts are shipped; every browser that runs KaTeX reads them.
+ * @return {Promise<Array<{path: string, content: Buffer}>>} Files under assets/katex.
+ */
+async function readKatexAssets() {
+  const distPath = path.dirname(require.resolve('katex/dist/katex.min.css'));
+  const fonts = (await fs.readdir(path.join(distPath, 'fonts'))).filter(name => name.endsWith('.woff2'));
+  return [
+    { path: 'assets/katex/katex.min.css', content: await fs.readFile(path.join(distPath, 'katex.min.css')) },
+    ...await Promise.all(fonts.map(async name => ({
+      path: `assets/katex/fonts/${name}`,
+      content: await fs.readFile(path.join(distPath, 'fonts', name))
+    })))
+  ];
+}
+
+/**
+ * Reads the Mermaid script, for pages with Mermaid diagrams.
+ * @return {Promise<Array<{path: string, content: (string|Buffer)}>>} Files under assets.
+ */
+async function readMermaidAssets() {
+  return [
+    { path: 'assets/mermaid.min.js', content: await fs.readFile(require.resolve('mermaid/dist/mermaid.min.js')) },
+    { path: 'assets/mermaid-init.js', content: MERMAID_INIT_SCRIPT }
+  ];
+}
+
+/**
+ * Builds the navigation tree of the site from its pages.
+ * @param {Array<{path: string, title: string}>} pages - The pages of the site.
+ * @return {Object} Root folder node: {folders: Map, pages: Array}.
+ */
+function buildNavigationTree(pages) {
+  const root = { folders: new Map(), pages: [] };
+  for (const page of pages) {
+    const parts = page.path.split('/');
+    let node = root;
+    for (const part of parts.slice(0, -1)) {
+      if (!node.folders.has(part)) {
+        node.folders.set(part, { folders: new Map(), pages: [] });
+      }
+      node = node.folders.get(part);
+    }
+    node.pages.push(page);
+  }
+  return root;
+}
+
+/**
+ * Renders the navigation tree for one page of the site.
+ * @param {Object} node - Folder node of the navigation tree.
+ * @param {string} fromPath - Site path of the HTML page showing the navigation.
+ * @return {string} Nested HTML lists.
+ */
+function renderNavigation(node, fromPath) {
+  const folders = [...node.folders.entries()].sort(([a], [b]) => a.localeCompare(b));
+  const pages = [...node.pages].sort((a, b) => a.title.localeCompare(b.title));
+  const items = [
+    ...folders.map(([name, child]) =>
+      `<li><span class="nav-folder">${escapeHtml(name)}</span>${renderNavigation(child, fromPath)}</li>`),
+    ...pages.map((page) => {
+      const htmlPath = toHtmlPath(page.path);
+      const active = htmlPath === fromPath ? ' class="active"' : '';
+      return `<li><a href="${escapeHtml(relativeHref(fromPath, htmlPath))}"${active}>${escapeHtml(page.title)}</a></li>`;
+    })
+  ];
+  return `<ul>${items.join('')}</ul>`;
+}
+
+/**
+ * Wraps page content in the layout of the site.
+ */
+function renderLayout({ siteTitle, pageTitle, sitePath, navigation, content, exportedAt, math = false, mermaid = false }) {
+  const root = rootPrefix(sitePath);
+  const title = pageTitle === siteTitle ? siteTitle : `${pageTitle} - ${siteTitle}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}assets/site.css">
+${math ? `<link rel="stylesheet" href="${root}assets/katex/katex.min.css">\n` : ''}</head>
+<body data-root="${root}">
+<header class="site-header">
+<a class="site-title" href="${root}index.html">${escapeHtml(siteTitle)}</a>
+<div class="site-search">
+<input type="search" id="site-search" placeholder="Search pages" aria-label="Search pages" autocomplete="off">
+<ul id="search-results" class="search-results" hidden></ul>
+</div>
+</header>
+<div class="site-layout">
+<nav class="site-nav">${navigation}</nav>
+<main class="site-content">
+${content}
+<footer class="site-footer">Exported ${escapeHtml(exportedAt)}</footer>
+</main>
+</div>
+<script src="${root}assets/search-index.js"></script>
+<script src="${root}assets/search.js"></script>
+${mermaid ? `<script src="${root}assets/mermaid.min.js"></script>\n<script src="${root}assets/mermaid-init.js"></script>\n` : ''}</body>
+</html>
+`;
+}
+
+/**
+ * Exports a space or folder of the filing provider as a static HTML site.
+ * @param {Object} filing - The filing provider of the space.
+ * @param {Object} options - Export options.
+ * @param {string} options.basePath - Provider path of the exported folder
+ *     ('' or 'markdown' for the whole space).
+ * @param {string} [options.folder=''] - The exported folder relative to the
+ *     space, used to resolve links that start at the space root.
+ * @param {string} options.title - Title of the site.
+ * @param {function(string, string, Object): Promise<string>} [options.preprocess] -
+ *     Called with the path of each page relative to the space, its Markdown
+ *     and its front-matter; returns the Markdown to render.
+ * @return {Promise<{files: Array<{path: string, content: (string|Buffer)}>, pages: number, assets: number}>}
+ *     The files of the site with paths relative to its root.
+ */
+async function exportStaticSite(filing, { basePath, folder = '', title, preprocess }) {
+  const { pages: pagePaths, assets, diagrams: diagramPaths } = await collectSiteFiles(filing, basePath);
+  const readPath = sitePath => [basePath, sitePath].filter(Boolean).join('/');
+
+  // Diagrams that cannot be read are left out, so links to them show as broken
+  const diagrams = [];
+  for (const diagramPath of diagramPaths) {
+    try {
+      const svg = renderDiagramSvg(parseDiagram(await filing.read(readPath(diagramPath), 'utf8')));
+      diagrams.push({ path: diagramPath, svg });
+    } catch (error) {
+      console.warn(`Skipping diagram ${diagramPath} in export:`, error.message);
+    }
+  }
+
+  const files = new Set([...pagePaths, ...assets, ...diagrams.map(diagram => diagram.path)]);
+  const resolve = createLinkResolver([...files].map(sitePath => (folder ? `${folder}/${sitePath}` : sitePath)));
+  const renderer = createPageRenderer({ folder, files, resolve });
+
+  const pages = [];
+  for (const pagePath of pagePaths) {
+    const { data, body: markdown } = cleanPageContent(await filing.read(readPath(pagePath), 'utf8'));
+    const body = preprocess ? await preprocess(folder ? `${folder}/${pagePath}` : pagePath, markdown, data) : markdown;
+    const { html, math, mermaid } = await renderer.render(pagePath, body);
+    pages.push({ path: pagePath, title: getPageTitle(pagePath, data, body), html, math, mermaid });
+  }
+
+  const navigationTree = buildNavigationTree(pages);
+  const exportedAt = new Date().toISOString();
+  const siteFiles = [];
+
+  for (const page of pages) {
+    const sitePath = toHtmlPath(page.path);
+    siteFiles.push({
+      path: sitePath,
+      content: renderLayout({
+        siteTitle: title,
+        pageTitle: page.title,
+        sitePath,
+        navigation: renderNavigation(navigationTree, sitePath),
+        content: page.html,
+        exportedAt,
+        math: page.math,
+        mermaid: page.mermaid
+      })
+    });
+  }
+
+  if (!files.has('index.md')) {
+    siteFiles.push({
+      path: 'index.html',
+      content: renderLayout({
+        siteTitle: title,
+        pageTitle: title,
+        sitePath: 'index.html',
+        navigation: renderNavigation(navigationTree, 'index.html'),
+        content: `<h1>${escapeHtml(title)}</h1>\n${pages.length > 0
+          ? `<p>${pages.length} page${pages.length === 1 ? '' : 's'}:</p>\n${renderNavigation(navigationTree, 'index.html')}`
+          : '<p>This export has no pages.</p>'}`,
+        exportedAt
+      })
+    });
+  }
+
+  for (const assetPath of assets) {
+    siteFiles.push({ path: assetPath, content: await filing.read(readPath(assetPath)) });
+  }
+  for (const diagram of diagrams) {
+    siteFiles.push({ path: `${diagram.path}.svg`, content: diagram.svg });
+  }
+
+  const searchIndex = pages.map(page => ({
+    title: page.title,
+    path: toHtmlPath(page.path).split('/').map(encodeURIComponent).join('/'),
+    text: toSearchText(page.html)
+  }));
+  siteFiles.push(
+    { path: 'assets/site.css', content: SITE_CSS },
+    { path: 'assets/search.js', content: SEARCH_SCRIPT },
+    { path: 'assets/search-index.js', content: `window.SITE_SEARCH_INDEX = ${JSON.stringify(searchIndex).replace(/</g, '\\u003c')};\n` }
+  );
+  if (pages.some(page => page.math)) {
+    siteFiles.push(...await readKatexAssets());
+  }
+  if (pages.some(page => page.mermaid)) {
+    siteFiles.push(...await readMermaidAssets());
+  }
+
+  return { files: siteFiles, pages: pages.length, assets: assets.length + diagrams.length };
+}
+
+module.exports = {
+  exportStaticSite,
+  collectSiteFiles,
+  cleanPageContent,
+  slugify
+};
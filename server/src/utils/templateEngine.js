@@ -0,0 +1,799 @@
+/**
+ * @fileoverview Sandboxed template engine for space templates
+ *
+ * Renders template bodies with a small Liquid-like syntax:
+ * - `{{ title }}` outputs a value, `{{ title | slug }}` pipes it through
+ *   filters and `{{ owner | default: "TBD" }}` passes filter arguments
+ * - `{% if status == "accepted" %} ... {% elif %} ... {% else %} ... {% endif %}`
+ *   with ==, !=, <, <=, >, >=, in, not in, and, or, not and parentheses
+ * - `{% for reviewer in reviewers %} ... {% else %} ... {% endfor %}` over
+ *   lists, or `{% for key, value in map %}` over objects, with loop.index,
+ *   loop.index0, loop.first, loop.last and loop.length
+ * - `{% set slug = title | slug %}` to name a computed value
+ * - `{# comments #}` and `{% raw %} ... {% endraw %}` for literal braces
+ * - The original single brace placeholders such as `{date}` and `{user}`
+ *
+ * The engine never evaluates JavaScript. Templates can only read own
+ * properties of the values they are given, call the filters listed in
+ * FILTERS, and are limited in loop iterations and output size. Tags alone on
+ * a line take the whole line with them, so block tags do not leave blank
+ * lines in the generated markdown.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+/** Total loop iterations allowed in one render */
+const MAX_LOOP_ITERATIONS = 10000;
+/** Characters allowed in the output of one render */
+const MAX_OUTPUT_LENGTH = 1000000;
+/** Depth of nested blocks allowed in a template */
+const MAX_NESTING = 32;
+
+/** Property names templates can never read */
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'constructor', 'prototype']);
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Error in the syntax of a template or raised while rendering it.
+ */
+class TemplateError extends Error {
+  /**
+   * @param {string} message - What went wrong.
+   * @param {number} [line] - Line of the template the error is on.
+   */
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateError';
+    this.line = line || null;
+  }
+}
+
+/**
+ * Returns whether a value counts as empty for `default` and truth tests.
+ * @param {*} value - The value.
+ * @return {boolean} True for undefined, null, false, 0, '' and empty lists.
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === false || value === 0 ||
+    value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Converts a value to the text written to the output.
+ * @param {*} value - The value.
+ * @return {string} The text.
+ */
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Parses a date given as a date string, timestamp or Date.
+ * @param {*} value - The value.
+ * @return {Date|null} The date, or null when the value is not one.
+ */
+function toDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a date in UTC, so dates picked as YYYY-MM-DD keep their day.
+ * @param {Date} date - The date.
+ * @param {string} format - Pattern with YYYY, MMMM, MMM, MM, DD, dddd, HH, mm and ss.
+ * @return {string} The formatted date.
+ */
+function formatDate(date, format) {
+  const pad = number => String(number).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getUTCFullYear()),
+    MMMM: MONTHS[date.getUTCMonth()],
+    MMM: MONTHS[date.getUTCMonth()].slice(0, 3),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    dddd: WEEKDAYS[date.getUTCDay()],
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+  return format.replace(/YYYY|MMMM|MMM|MM|DD|dddd|HH|mm|ss/g, token => parts[token]);
+}
+
+/**
+ * Filters templates can pipe values through. Each receives the value and the
+ * filter arguments.
+ * @const {Object<string, Function>}
+ */
+const FILTERS = {
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  capitalize: value => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  title: value => toText(value).replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase()),
+  trim: value => toText(value).trim(),
+  slug: value => toText(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, ''),
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  date: (value, format = 'YYYY-MM-DD') => {
+    const date = toDate(value);
+    return date ? formatDate(date, toText(format)) : toText(value);
+  },
+  pad: (value, width = 2, fill = '0') => toText(value).padStart(Number(width) || 0, toText(fill) || '0'),
+  truncate: (value, length = 80, ending = '...') => {
+    const text = toText(value);
+    const limit = Number(length) || 0;
+    return text.length > limit ? text.slice(0, Math.max(0, limit - ending.length)) + ending : text;
+  },
+  replace: (value, search = '', replacement = '') => toText(value).split(toText(search)).join(toText(replacement)),
+  split: (value, separator = ',') => toText(value).split(toText(separator)).map(part => part.trim()).filter(Boolean),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(toText(separator)) : toText(value)),
+  first: value => (Array.isArray(value) ? value[0] : toText(value).charAt(0)),
+  last: value => (Array.isArray(value) ? value[value.length - 1] : toText(value).slice(-1)),
+  length: value => {
+    if (Array.isArray(value) || typeof value === 'string') return value.length;
+    return value && typeof value === 'object' ? Object.keys(value).length : 0;
+  },
+  reverse: value => (Array.isArray(value) ? value.slice().reverse() : toText(value).split('').reverse().join('')),
+  sort: value => (Array.isArray(value) ? value.slice().sort((a, b) => compare(a, b)) : value),
+  json: value => JSON.stringify(value === undefined ? null : value)
+};
+
+/**
+ * Compares two values, numerically when both are numbers or numeric text.
+ * @param {*} left - Left value.
+ * @param {*} right - Right value.
+ * @return {number} Negative, zero or positive.
+ */
+function compare(left, right) {
+  const leftNumber = Number(left);
+  const rightNumber = Number(right);
+  if (left !== '' && right !== '' && Number.isFinite(leftNumber) && Number.isFinite(rightNumber) &&
+      typeof left !== 'boolean' && typeof right !== 'boolean') {
+    return leftNumber - rightNumber;
+  }
+  return toText(left).localeCompare(toText(right));
+}
+
+/**
+ * Tests two values for equality; numbers equal their numeric text, since form
+ * values arrive as text.
+ * @param {*} left - Left value.
+ * @param {*} right - Right value.
+ * @return {boolean} True when equal.
+ */
+function equals(left, right) {
+  if (left === right) return true;
+  if ((left === undefined || left === null) && (right === undefined || right === null)) return true;
+  if ((typeof left === 'number' && typeof right === 'string') ||
+      (typeof left === 'string' && typeof right === 'number')) {
+    return right !== '' && left !== '' && Number(left) === Number(right);
+  }
+  return false;
+}
+
+/**
+ * Tests whether a value is in a list, text or the keys of an object.
+ * @param {*} value - The value looked for.
+ * @param {*} container - List, text or object.
+ * @return {boolean} True when found.
+ */
+function contains(value, container) {
+  if (Array.isArray(container)) return container.some(item => equals(item, value));
+  if (typeof container === 'string') return container.includes(toText(value));
+  if (container && typeof container === 'object') return Object.prototype.hasOwnProperty.call(container, toText(value));
+  return false;
+}
+
+/**
+ * Reads a property the way templates may: own properties of objects, items
+ * of lists and the length of lists and text.
+ * @param {*} target - The value read from.
+ * @param {string|number} key - Property name or index.
+ * @param {number} line - Template line, for errors.
+ * @return {*} The property value, or undefined.
+ */
+function readProperty(target, key, line) {
+  const name = String(key);
+  if (BLOCKED_PROPERTIES.has(name)) {
+    throw new TemplateError(`Access to "${name}" is not allowed`, line);
+  }
+  if (target === undefined || target === null) return undefined;
+  if (Array.isArray(target) || typeof target === 'string') {
+    if (name === 'length') return target.length;
+    return /^\d+$/.test(name) ? target[Number(name)] : undefined;
+  }
+  if (typeof target === 'object' && Object.prototype.hasOwnProperty.call(target, name)) {
+    return target[name];
+  }
+  return undefined;
+}
+
+// ---------------------------------------------------------------------------
+// Expressions
+// ---------------------------------------------------------------------------
+
+const EXPRESSION_TOKEN = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)|([A-Za-z_][\w-]*)|(==|!=|<=|>=|[<>|:,.()[\]=]))/y;
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'true', 'false', 'null']);
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} source - The expression.
+ * @param {number} line - Template line, for errors.
+ * @return {Array<Object>} Tokens with a type and value.
+ */
+function tokenizeExpression(source, line) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  let position = 0;
+  while (position < source.length) {
+    if (/^\s*$/.test(source.slice(position))) break;
+    EXPRESSION_TOKEN.lastIndex = position;
+    const match = EXPRESSION_TOKEN.exec(source);
+    if (!match) {
+      throw new TemplateError(`Unexpected "${source.slice(position).trim().charAt(0)}" in "${source.trim()}"`, line);
+    }
+    position = EXPRESSION_TOKEN.lastIndex;
+    if (match[1] !== undefined) {
+      const quote = match[1].charAt(0);
+      const text = match[1].slice(1, -1).replace(/\\(.)/g, (escape, character) => {
+        if (character === 'n') return '\n';
+        if (character === 't') return '\t';
+        return character === quote || character === '\\' ? character : escape;
+      });
+      tokens.push({ type: 'literal', value: text });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'literal', value: Number(match[2]) });
+    } else if (match[3] !== undefined) {
+      const word = match[3];
+      if (KEYWORDS.has(word)) {
+        if (word === 'true' || word === 'false') tokens.push({ type: 'literal', value: word === 'true' });
+        else if (word === 'null') tokens.push({ type: 'literal', value: null });
+        else tokens.push({ type: 'keyword', value: word });
+      } else {
+        tokens.push({ type: 'name', value: word });
+      }
+    } else {
+      tokens.push({ type: 'symbol', value: match[4] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Recursive descent parser for template expressions.
+ */
+class ExpressionParser {
+  /**
+   * @param {string} source - The expression.
+   * @param {number} line - Template line, for errors.
+   */
+  constructor(source, line) {
+    this.source = source.trim();
+    this.line = line;
+    this.tokens = tokenizeExpression(source, line);
+    this.position = 0;
+  }
+
+  peek(type, value) {
+    const token = this.tokens[this.position];
+    return Boolean(token && token.type === type && (value === undefined || token.value === value));
+  }
+
+  accept(type, value) {
+    if (this.peek(type, value)) {
+      return this.tokens[this.position++];
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.accept(type, value);
+    if (!token) {
+      const found = this.tokens[this.position];
+      throw new TemplateError(
+        `Expected ${value ? `"${value}"` : type} ${found ? `but found "${found.value}"` : 'at the end'} in "${this.source}"`,
+        this.line
+      );
+    }
+    return token;
+  }
+
+  /**
+   * Parses the whole expression.
+   * @return {Object} Expression node.
+   */
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new TemplateError('Missing expression', this.line);
+    }
+    const node = this.parseOr();
+    if (this.position < this.tokens.length) {
+      throw new TemplateError(`Unexpected "${this.tokens[this.position].value}" in "${this.source}"`, this.line);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.accept('keyword', 'or')) {
+      node = { type: 'or', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.accept('keyword', 'and')) {
+      node = { type: 'and', left: node, right: this.parseNot() };
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.accept('keyword', 'not')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseFiltered();
+    for (const operator of ['==', '!=', '<=', '>=', '<', '>']) {
+      if (this.accept('symbol', operator)) {
+        return { type: 'compare', operator, left, right: this.parseFiltered() };
+      }
+    }
+    if (this.accept('keyword', 'in')) {
+      return { type: 'in', negate: false, left, right: this.parseFiltered() };
+    }
+    if (this.peek('keyword', 'not') && this.tokens[this.position + 1] &&
+        this.tokens[this.position + 1].type === 'keyword' && this.tokens[this.position + 1].value === 'in') {
+      this.position += 2;
+      return { type: 'in', negate: true, left, right: this.parseFiltered() };
+    }
+    return left;
+  }
+
+  parseFiltered() {
+    let node = this.parsePrimary();
+    while (this.accept('symbol', '|')) {
+      const name = this.expect('name').value;
+      if (!Object.prototype.hasOwnProperty.call(FILTERS, name)) {
+        throw new TemplateError(`Unknown filter "${name}"`, this.line);
+      }
+      const args = [];
+      if (this.accept('symbol', ':')) {
+        do {
+          args.push(this.parsePrimary());
+        } while (this.accept('symbol', ','));
+      }
+      node = { type: 'filter', name, input: node, args };
+    }
+    return node;
+  }
+
+  parsePrimary() {
+    const literal = this.accept('literal');
+    if (literal) {
+      return { type: 'literal', value: literal.value };
+    }
+    if (this.accept('symbol', '(')) {
+      const node = this.parseOr();
+      this.expect('symbol', ')');
+      return node;
+    }
+    if (this.accept('symbol', '[')) {
+      const items = [];
+      if (!this.peek('symbol', ']')) {
+        do {
+          items.push(this.parseOr());
+        } while (this.accept('symbol', ','));
+      }
+      this.expect('symbol', ']');
+      return { type: 'list', items };
+    }
+    const name = this.expect('name').value;
+    if (BLOCKED_PROPERTIES.has(name)) {
+      throw new TemplateError(`Access to "${name}" is not allowed`, this.line);
+    }
+    const path = [];
+    for (;;) {
+      if (this.accept('symbol', '.')) {
+        const property = this.accept('name') || this.expect('literal');
+        path.push(String(property.value));
+      } else if (this.accept('symbol', '[')) {
+        path.push(String(this.expect('literal').value));
+        this.expect('symbol', ']');
+      } else {
+        break;
+      }
+    }
+    const blocked = path.find(property => BLOCKED_PROPERTIES.has(property));
+    if (blocked) {
+      throw new TemplateError(`Access to "${blocked}" is not allowed`, this.line);
+    }
+    return { type: 'variable', name, path };
+  }
+}
+
+/**
+ * Parses an expression.
+ * @param {string} source - The expression.
+ * @param {number} line - Template line, for errors.
+ * @return {Object} Expression node.
+ */
+function parseExpression(source, line) {
+  return new ExpressionParser(source, line).parse();
+}
+
+// ---------------------------------------------------------------------------
+// Templates
+// ---------------------------------------------------------------------------
+
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}|\{%([\s\S]*?)%\}|\{#([\s\S]*?)#\}/g;
+
+/**
+ * Counts the line a position of the source is on.
+ * @param {string} source - Template source.
+ * @param {number} index - Position.
+ * @return {number} One-based line number.
+ */
+function lineAt(source, index) {
+  let line = 1;
+  for (let position = source.indexOf('\n'); position !== -1 && position < index; position = source.indexOf('\n', position + 1)) {
+    line++;
+  }
+  return line;
+}
+
+/**
+ * Splits a template into text, output, tag and comment tokens. Tags and
+ * comments alone on their line swallow the line's indentation and line break.
+ * @param {string} source - Template source.
+ * @return {Array<Object>} Tokens.
+ */
+function tokenizeTemplate(source) {
+  const tokens = [];
+  let textStart = 0;
+  TAG_PATTERN.lastIndex = 0;
+  let match;
+
+  const pushText = (end) => {
+    if (end > textStart) {
+      const text = source.slice(textStart, end);
+      const unclosed = text.search(/\{\{|\{%/);
+      if (unclosed !== -1) {
+        throw new TemplateError(`Unclosed "${text.substr(unclosed, 2)}"`, lineAt(source, textStart + unclosed));
+      }
+      tokens.push({ type: 'text', value: text, line: lineAt(source, textStart) });
+    }
+  };
+
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const line = lineAt(source, match.index);
+    let start = match.index;
+    let end = TAG_PATTERN.lastIndex;
+
+    if (match[1] === undefined) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const after = /^[ \t]*(\r?\n|$)/.exec(source.slice(end));
+      if (lineStart >= textStart && /^[ \t]*$/.test(source.slice(lineStart, start)) && after) {
+        start = lineStart;
+        end += after[0].length;
+      }
+    }
+
+    pushText(start);
+    textStart = end;
+    TAG_PATTERN.lastIndex = end;
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'output', value: match[1], line });
+    } else if (match[2] !== undefined) {
+      const tag = match[2].trim();
+      if (tag === 'raw') {
+        const endRaw = /\{%\s*endraw\s*%\}/g;
+        endRaw.lastIndex = end;
+        const closing = endRaw.exec(source);
+        if (!closing) {
+          throw new TemplateError('Missing {% endraw %}', line);
+        }
+        let rawEnd = closing.index;
+        textStart = endRaw.lastIndex;
+        const closingLineStart = source.lastIndexOf('\n', rawEnd - 1) + 1;
+        const after = /^[ \t]*(\r?\n|$)/.exec(source.slice(textStart));
+        if (closingLineStart >= end && /^[ \t]*$/.test(source.slice(closingLineStart, rawEnd)) && after) {
+          rawEnd = closingLineStart;
+          textStart += after[0].length;
+        }
+        tokens.push({ type: 'text', value: source.slice(end, rawEnd), line, raw: true });
+        TAG_PATTERN.lastIndex = textStart;
+      } else {
+        tokens.push({ type: 'tag', value: tag, line });
+      }
+    }
+  }
+  pushText(source.length);
+  return tokens;
+}
+
+/**
+ * Builds the syntax tree of a template from its tokens.
+ * @param {Array<Object>} tokens - Tokens from tokenizeTemplate.
+ * @return {Array<Object>} Nodes of the template body.
+ */
+function buildTree(tokens) {
+  let position = 0;
+
+  const parseBody = (endTags, depth) => {
+    if (depth > MAX_NESTING) {
+      throw new TemplateError(`Blocks are nested more than ${MAX_NESTING} deep`, tokens[position - 1].line);
+    }
+    const nodes = [];
+    while (position < tokens.length) {
+      const token = tokens[position];
+      if (token.type === 'text') {
+        nodes.push({ type: 'text', value: token.value, raw: Boolean(token.raw), line: token.line });
+        position++;
+        continue;
+      }
+      if (token.type === 'output') {
+        nodes.push({ type: 'output', expression: parseExpression(token.value, token.line), line: token.line });
+        position++;
+        continue;
+      }
+
+      const keyword = token.value.split(/\s+/)[0];
+      if (endTags.includes(keyword)) {
+        return nodes;
+      }
+      position++;
+
+      if (keyword === 'if') {
+        const branches = [{ test: parseExpression(token.value.slice(2), token.line), body: parseBody(['elif', 'else', 'endif'], depth + 1) }];
+        let otherwise = null;
+        for (;;) {
+          const closing = tokens[position];
+          if (!closing) throw new TemplateError('Missing {% endif %}', token.line);
+          const closingKeyword = closing.value.split(/\s+/)[0];
+          position++;
+          if (closingKeyword === 'elif') {
+            branches.push({ test: parseExpression(closing.value.slice(4), closing.line), body: parseBody(['elif', 'else', 'endif'], depth + 1) });
+          } else if (closingKeyword === 'else') {
+            otherwise = parseBody(['endif'], depth + 1);
+            if (!tokens[position]) throw new TemplateError('Missing {% endif %}', token.line);
+            position++;
+            break;
+          } else {
+            break;
+          }
+        }
+        nodes.push({ type: 'if', branches, otherwise, line: token.line });
+      } else if (keyword === 'for') {
+        const header = /^for\s+([A-Za-z_][\w-]*)(?:\s*,\s*([A-Za-z_][\w-]*))?\s+in\s+([\s\S]+)$/.exec(token.value);
+        if (!header) {
+          throw new TemplateError(`Invalid loop "{% ${token.value} %}"; use {% for item in list %}`, token.line);
+        }
+        const names = header[2] ? [header[1], header[2]] : [header[1]];
+        if (names.some(name => BLOCKED_PROPERTIES.has(name) || name === 'loop')) {
+          throw new TemplateError(`"${names.join(', ')}" cannot be used as a loop variable`, token.line);
+        }
+        const body = parseBody(['else', 'endfor'], depth + 1);
+        let otherwise = null;
+        const closing = tokens[position];
+        if (!closing) throw new TemplateError('Missing {% endfor %}', token.line);
+        position++;
+        if (closing.value.split(/\s+/)[0] === 'else') {
+          otherwise = parseBody(['endfor'], depth + 1);
+          if (!tokens[position]) throw new TemplateError('Missing {% endfor %}', token.line);
+          position++;
+        }
+        nodes.push({ type: 'for', names, iterable: parseExpression(header[3], token.line), body, otherwise, line: token.line });
+      } else if (keyword === 'set') {
+        const assignment = /^set\s+([A-Za-z_][\w-]*)\s*=\s*([\s\S]+)$/.exec(token.value);
+        if (!assignment || BLOCKED_PROPERTIES.has(assignment[1])) {
+          throw new TemplateError(`Invalid assignment "{% ${token.value} %}"; use {% set name = value %}`, token.line);
+        }
+        nodes.push({ type: 'set', name: assignment[1], expression: parseExpression(assignment[2], token.line), line: token.line });
+      } else if (['elif', 'else', 'endif', 'endfor', 'endraw'].includes(keyword)) {
+        throw new TemplateError(`Unexpected {% ${keyword} %}`, token.line);
+      } else {
+        throw new TemplateError(`Unknown tag "${keyword}"`, token.line);
+      }
+    }
+    if (endTags.length > 0) {
+      throw new TemplateError(`Missing {% ${endTags[endTags.length - 1]} %}`, tokens[tokens.length - 1].line);
+    }
+    return nodes;
+  };
+
+  return parseBody([], 0);
+}
+
+/**
+ * Parses a template, reporting syntax errors without rendering it.
+ * @param {string} source - Template source.
+ * @return {Array<Object>} Nodes of the template body.
+ * @throws {TemplateError} When the template is not valid.
+ */
+function parseTemplate(source) {
+  return buildTree(tokenizeTemplate(typeof source === 'string' ? source : ''));
+}
+
+/**
+ * Evaluates an expression node.
+ * @param {Object} node - Expression node.
+ * @param {Object} scope - Values visible to the template.
+ * @param {number} line - Template line, for errors.
+ * @return {*} The value.
+ */
+function evaluate(node, scope, line) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'list':
+      return node.items.map(item => evaluate(item, scope, line));
+    case 'variable': {
+      let value = readProperty(scope, node.name, line);
+      for (const property of node.path) {
+        value = readProperty(value, property, line);
+      }
+      return value;
+    }
+    case 'filter': {
+      const args = node.args.map(arg => evaluate(arg, scope, line));
+      return FILTERS[node.name](evaluate(node.input, scope, line), ...args);
+    }
+    case 'not':
+      return isEmpty(evaluate(node.operand, scope, line));
+    case 'and':
+      return !isEmpty(evaluate(node.left, scope, line)) && !isEmpty(evaluate(node.right, scope, line));
+    case 'or':
+      return !isEmpty(evaluate(node.left, scope, line)) || !isEmpty(evaluate(node.right, scope, line));
+    case 'in': {
+      const found = contains(evaluate(node.left, scope, line), evaluate(node.right, scope, line));
+      return node.negate ? !found : found;
+    }
+    case 'compare': {
+      const left = evaluate(node.left, scope, line);
+      const right = evaluate(node.right, scope, line);
+      switch (node.operator) {
+        case '==': return equals(left, right);
+        case '!=': return !equals(left, right);
+        case '<': return compare(left, right) < 0;
+        case '<=': return compare(left, right) <= 0;
+        case '>': return compare(left, right) > 0;
+        default: return compare(left, right) >= 0;
+      }
+    }
+    default:
+      throw new TemplateError(`Unknown expression "${node.type}"`, line);
+  }
+}
+
+/**
+ * Replaces the original single brace placeholders, such as `{date}`, in text.
+ * @param {string} text - Template text.
+ * @param {Object<string, string>} placeholders - Values by placeholder name.
+ * @return {string} The text with placeholders replaced.
+ */
+function replaceSingleBracePlaceholders(text, placeholders) {
+  return text.replace(/(^|[^{])\{([a-z]+)\}(?!\})/g, (match, before, name) => (
+    Object.prototype.hasOwnProperty.call(placeholders, name) ? before + placeholders[name] : match
+  ));
+}
+
+/**
+ * Renders a template.
+ * @param {string|Array<Object>} template - Template source, or nodes from parseTemplate.
+ * @param {Object} [values] - Values visible to the template.
+ * @param {Object} [options] - Render options.
+ * @param {Object<string, string>} [options.placeholders] - Values of single
+ *   brace placeholders such as `{date}`.
+ * @return {string} The rendered text.
+ * @throws {TemplateError} When the template is not valid or exceeds a limit.
+ */
+function renderTemplate(template, values = {}, options = {}) {
+  const nodes = Array.isArray(template) ? template : parseTemplate(template);
+  const placeholders = options.placeholders || {};
+  const state = { iterations: 0, length: 0 };
+  const output = [];
+
+  const write = (text, line) => {
+    state.length += text.length;
+    if (state.length > MAX_OUTPUT_LENGTH) {
+      throw new TemplateError(`Output is longer than ${MAX_OUTPUT_LENGTH} characters`, line);
+    }
+    output.push(text);
+  };
+
+  const renderNodes = (body, scope) => {
+    for (const node of body) {
+      switch (node.type) {
+        case 'text':
+          write(node.raw ? node.value : replaceSingleBracePlaceholders(node.value, placeholders), node.line);
+          break;
+        case 'output':
+          write(toText(evaluate(node.expression, scope, node.line)), node.line);
+          break;
+        case 'set':
+          scope[node.name] = evaluate(node.expression, scope, node.line);
+          break;
+        case 'if': {
+          const branch = node.branches.find(candidate => !isEmpty(evaluate(candidate.test, scope, node.line)));
+          if (branch) {
+            renderNodes(branch.body, scope);
+          } else if (node.otherwise) {
+            renderNodes(node.otherwise, scope);
+          }
+          break;
+        }
+        case 'for': {
+          const iterable = evaluate(node.iterable, scope, node.line);
+          let entries = [];
+          if (Array.isArray(iterable)) {
+            entries = iterable.map((item, index) => [index, item]);
+          } else if (iterable && typeof iterable === 'object') {
+            entries = Object.keys(iterable).map(key => [key, iterable[key]]);
+          }
+          if (entries.length === 0) {
+            if (node.otherwise) renderNodes(node.otherwise, scope);
+            break;
+          }
+          entries.forEach(([key, item], index) => {
+            state.iterations++;
+            if (state.iterations > MAX_LOOP_ITERATIONS) {
+              throw new TemplateError(`Loops ran more than ${MAX_LOOP_ITERATIONS} times`, node.line);
+            }
+            const loopScope = { ...scope };
+            if (node.names.length === 2) {
+              loopScope[node.names[0]] = key;
+              loopScope[node.names[1]] = item;
+            } else {
+              loopScope[node.names[0]] = Array.isArray(iterable) ? item : key;
+            }
+            loopScope.loop = {
+              index: index + 1,
+              index0: index,
+              first: index === 0,
+              last: index === entries.length - 1,
+              length: entries.length
+            };
+            renderNodes(node.body, loopScope);
+          });
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  };
+
+  renderNodes(nodes, { ...values });
+  return output.join('');
+}
+
+module.exports = {
+  FILTERS,
+  MAX_LOOP_ITERATIONS,
+  MAX_OUTPUT_LENGTH,
+  TemplateError,
+  parseTemplate,
+  renderTemplate
+};
@@ -0,0 +1,408 @@
+/**
+ * @fileoverview Typed template variables and folder scaffolds
+ *
+ * A template declares the values it needs in its `variables` list. Each
+ * variable has a name, a label shown in the prompt and a type:
+ * - `text`: free text, on several lines when `multiline` is set
+ * - `select`: one of `options`, or several when `multiple` is set
+ * - `date`: a YYYY-MM-DD date; the default `today` is the current date
+ * - `user`: a username, or several when `multiple` is set; the default
+ *   `current` is the user creating the page
+ * Variables may also be `required` and carry a `default` and a `description`
+ * shown with the prompt.
+ *
+ * Templates written before typed variables hold a map of default values
+ * instead; those are treated as optional text variables, and any extra value
+ * passed in is used as is.
+ *
+ * A template with a `files` list is a folder scaffold: each entry has a
+ * templated `path`, relative to the folder being created, and a templated
+ * `content`. A template without one creates a single page from `content`.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const { TemplateError, parseTemplate, renderTemplate } = require('./templateEngine');
+
+/** @const {Array<string>} Supported variable types */
+const VARIABLE_TYPES = ['text', 'select', 'date', 'user'];
+
+/** @const {number} Files a scaffold may create */
+const MAX_SCAFFOLD_FILES = 50;
+
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks whether a template creates a folder scaffold.
+ * @param {Object} template - The template definition.
+ * @return {boolean} True when the template has a list of files.
+ */
+function isScaffold(template) {
+  return Array.isArray(template.files) && template.files.length > 0;
+}
+
+/**
+ * Returns the variables of a template as a list of typed definitions.
+ * @param {Array<Object>|Object} variables - The `variables` of a template.
+ * @return {Array<Object>} Variable definitions.
+ */
+function normalizeVariableDefinitions(variables) {
+  if (Array.isArray(variables)) {
+    return variables.map(variable => ({ type: 'text', label: variable.name, ...variable }));
+  }
+  if (variables && typeof variables === 'object') {
+    return Object.entries(variables).map(([name, value]) => ({
+      name,
+      label: name,
+      type: 'text',
+      default: value === undefined || value === null ? '' : String(value)
+    }));
+  }
+  return [];
+}
+
+/**
+ * Checks a date string.
+ * @param {*} value - The value.
+ * @return {boolean} True for a valid YYYY-MM-DD date.
+ */
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time.
+ * @param {Date} date - The date.
+ * @return {string} The formatted date.
+ */
+function toDateString(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Lists the problems of one variable definition.
+ * @param {*} variable - The definition.
+ * @param {number} index - Position in the list, for messages.
+ * @return {Array<string>} Problems found.
+ */
+function checkVariableDefinition(variable, index) {
+  if (!variable || typeof variable !== 'object' || Array.isArray(variable)) {
+    return [`variables[${index}] must be an object`];
+  }
+  const where = `variables[${index}]${typeof variable.name === 'string' ? ` (${variable.name})` : ''}`;
+  const problems = [];
+  const type = variable.type === undefined ? 'text' : variable.type;
+
+  if (typeof variable.name !== 'string' || !VARIABLE_NAME_PATTERN.test(variable.name) || variable.name === 'loop') {
+    problems.push(`${where}: name must start with a letter or underscore and hold only letters, digits, underscores and hyphens`);
+  }
+  if (!VARIABLE_TYPES.includes(type)) {
+    problems.push(`${where}: type must be one of ${VARIABLE_TYPES.join(', ')}`);
+    return problems;
+  }
+  if (variable.label !== undefined && typeof variable.label !== 'string') {
+    problems.push(`${where}: label must be a string`);
+  }
+  if (variable.required !== undefined && typeof variable.required !== 'boolean') {
+    problems.push(`${where}: required must be true or false`);
+  }
+  if (variable.multiple !== undefined && (typeof variable.multiple !== 'boolean' || !['select', 'user'].includes(type))) {
+    problems.push(`${where}: multiple is only allowed on select and user variables`);
+  }
+  if (type === 'select') {
+    if (!Array.isArray(variable.options) || variable.options.length === 0 ||
+        variable.options.some(option => typeof option !== 'string')) {
+      problems.push(`${where}: options must be a non-empty list of strings`);
+    }
+  } else if (variable.options !== undefined) {
+    problems.push(`${where}: options are only allowed on select variables`);
+  }
+
+  const defaults = variable.default === undefined ? [] : [].concat(variable.default);
+  if (defaults.length > 1 && !variable.multiple) {
+    problems.push(`${where}: default must be a single value`);
+  } else if (defaults.some(value => typeof value !== 'string')) {
+    problems.push(`${where}: default must be a string`);
+  } else if (type === 'select' && Array.isArray(variable.options) &&
+      defaults.some(value => value !== '' && !variable.options.includes(value))) {
+    problems.push(`${where}: default must be one of the options`);
+  } else if (type === 'date' && defaults.some(value => value !== '' && value !== 'today' && !isDate(value))) {
+    problems.push(`${where}: default must be a YYYY-MM-DD date or "today"`);
+  }
+  return problems;
+}
+
+/**
+ * Parses a template text, reporting its syntax error.
+ * @param {*} source - The template text.
+ * @param {string} where - Where the text is, for messages.
+ * @return {Array<string>} The syntax error, if any.
+ */
+function checkSyntax(source, where) {
+  if (source === undefined || source === null) {
+    return [];
+  }
+  if (typeof source !== 'string') {
+    return [`${where} must be a string`];
+  }
+  try {
+    parseTemplate(source);
+    return [];
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return [`${where}: ${error.message}`];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks the variables, files and template syntax of a template before it is
+ * stored.
+ * @param {Object} template - The template definition.
+ * @param {string} [template.content] - Body of a single page template.
+ * @param {Array<Object>|Object} [template.variables] - Variable definitions,
+ *   or a map of default values.
+ * @param {Array<{path: string, content: string}>} [template.files] - Files of a scaffold.
+ * @return {Array<string>} Problems found; empty when the template is valid.
+ */
+function validateTemplateDefinition({ content, variables, files }) {
+  const problems = checkSyntax(content, 'content');
+
+  if (Array.isArray(variables)) {
+    const names = new Set();
+    variables.forEach((variable, index) => {
+      problems.push(...checkVariableDefinition(variable, index));
+      if (variable && typeof variable.name === 'string') {
+        if (names.has(variable.name)) {
+          problems.push(`variables[${index}] (${variable.name}): name is declared twice`);
+        }
+        names.add(variable.name);
+      }
+    });
+  } else if (variables !== undefined && variables !== null && typeof variables !== 'object') {
+    problems.push('variables must be a list of variable definitions');
+  }
+
+  if (files !== undefined && files !== null) {
+    if (!Array.isArray(files)) {
+      problems.push('files must be a list of { path, content } entries');
+    } else if (files.length > MAX_SCAFFOLD_FILES) {
+      problems.push(`files may hold at most ${MAX_SCAFFOLD_FILES} entries`);
+    } else {
+      files.forEach((file, index) => {
+        if (!file || typeof file !== 'object' || typeof file.path !== 'string' || !file.path.trim()) {
+          problems.push(`files[${index}]: path is required`);
+          return;
+        }
+        problems.push(...checkSyntax(file.path, `files[${index}].path`));
+        problems.push(...checkSyntax(file.content, `files[${index}].content`));
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Resolves the value of one typed variable from the submitted input.
+ * @param {Object} variable - The definition.
+ * @param {*} input - Submitted value; undefined when none was given.
+ * @param {Object} options - Resolution options, see resolveTemplateValues.
+ * @return {Promise<{value: *, error: (string|null)}>} The value or why it is not valid.
+ */
+async function resolveVariable(variable, input, options) {
+  const label = variable.label || variable.name;
+  let value = input === undefined || input === null ? variable.default : input;
+
+  if (variable.multiple) {
+    if (value === undefined || value === null || value === '') {
+      value = [];
+    } else if (typeof value === 'string') {
+      value = value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return { value, error: `${label} must be a list` };
+    }
+    if (variable.type === 'user') {
+      value = value.map(item => (item === 'current' ? options.currentUser : item)).filter(Boolean);
+    }
+    if (variable.required && value.length === 0) {
+      return { value, error: `${label} is required` };
+    }
+  } else {
+    if (value === undefined || value === null) {
+      value = '';
+    }
+    if (typeof value !== 'string') {
+      return { value, error: `${label} must be a single value` };
+    }
+    if (variable.type === 'date' && value === 'today') {
+      value = toDateString(options.now);
+    } else if (variable.type === 'user' && value === 'current') {
+      value = options.currentUser || '';
+    }
+    if (variable.required && !value.trim()) {
+      return { value, error: `${label} is required` };
+    }
+  }
+
+  const items = [].concat(value).filter(item => item !== '');
+  if (variable.type === 'select') {
+    const invalid = items.find(item => !variable.options.includes(item));
+    if (invalid !== undefined) {
+      return { value, error: `${label} must be one of ${variable.options.join(', ')}` };
+    }
+  } else if (variable.type === 'date') {
+    if (items.some(item => !isDate(item))) {
+      return { value, error: `${label} must be a YYYY-MM-DD date` };
+    }
+  } else if (variable.type === 'user' && options.isKnownUser) {
+    for (const item of items) {
+      if (!(await options.isKnownUser(item))) {
+        return { value, error: `${label}: unknown user ${item}` };
+      }
+    }
+  }
+  return { value, error: null };
+}
+
+/**
+ * Resolves the values of a template's variables from the submitted input,
+ * applying defaults and checking each value against its type.
+ * @param {Object} template - The template definition.
+ * @param {Object} [input] - Submitted values by variable name.
+ * @param {Object} [options] - Resolution options.
+ * @param {string} [options.currentUser] - Username of the user creating the page.
+ * @param {Function} [options.isKnownUser] - Resolves to true when a username
+ *   exists; user values are not checked without it.
+ * @param {Date} [options.now] - Current time, for `today`.
+ * @return {Promise<{values: Object, errors: Array<{variable: string, message: string}>}>}
+ *     The values by name and the variables whose value is not valid.
+ */
+async function resolveTemplateValues(template, input = {}, options = {}) {
+  const submitted = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const resolveOptions = { now: new Date(), ...options };
+  const values = {};
+  const errors = [];
+
+  if (!Array.isArray(template.variables)) {
+    // Templates with a map of defaults accept any extra value as text
+    for (const [name, value] of Object.entries(submitted)) {
+      if (VARIABLE_NAME_PATTERN.test(name) && value !== undefined && value !== null) {
+        values[name] = Array.isArray(value) ? value.map(String) : String(value);
+      }
+    }
+  }
+
+  for (const variable of normalizeVariableDefinitions(template.variables)) {
+    const submittedValue = Object.prototype.hasOwnProperty.call(submitted, variable.name) ? submitted[variable.name] : undefined;
+    const { value, error } = await resolveVariable(variable, submittedValue, resolveOptions);
+    if (error) {
+      errors.push({ variable: variable.name, message: error });
+    }
+    values[variable.name] = value;
+  }
+  return { values, errors };
+}
+
+/**
+ * Builds the values every template can use, including the original single
+ * brace placeholders {datetime}, {date}, {user}, {dayofweek}, {folder} and
+ * {filename}.
+ * @param {Object} context - Where the page is created.
+ * @param {string} [context.user] - Username of the user creating the page.
+ * @param {string} [context.space] - Name of the space.
+ * @param {string} context.targetPath - Page or folder being created, relative to the space.
+ * @param {Date} [context.now] - Current time.
+ * @return {Object} Built-in values by name.
+ */
+function getBuiltinValues({ user, space, targetPath, now = new Date() }) {
+  const folder = path.posix.dirname(targetPath);
+  return {
+    datetime: now.toLocaleString('en-US', {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false
+    }),
+    date: now.toLocaleDateString('en-US', { year: 'numeric', month: '2-digit', day: '2-digit' }),
+    dayofweek: now.toLocaleDateString('en-US', { weekday: 'long' }),
+    user: user || 'Unknown User',
+    folder: folder === '.' ? '' : folder,
+    filename: path.posix.basename(targetPath, '.md'),
+    today: toDateString(now),
+    now: now.toISOString(),
+    space: space || ''
+  };
+}
+
+/**
+ * Normalizes a generated file path, rejecting paths that leave the scaffold folder.
+ * @param {string} filePath - The rendered path.
+ * @param {number} index - Position in the files list, for messages.
+ * @return {string} The normalized path.
+ * @throws {TemplateError} When the path is empty or leaves the folder.
+ */
+function normalizeScaffoldPath(filePath, index) {
+  const normalized = path.posix.normalize(filePath.trim().replace(/\\/g, '/')).replace(/^\/+|\/+$/g, '');
+  if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    throw new TemplateError(`files[${index}].path "${filePath}" must stay inside the scaffold folder`);
+  }
+  return normalized;
+}
+
+/**
+ * Renders the files a template creates. A single page template yields one
+ * file with an empty path, standing for the target page itself; a scaffold
+ * yields its files with paths relative to the target folder.
+ * @param {Object} template - The template definition.
+ * @param {Object} values - Variable values from resolveTemplateValues.
+ * @param {Object} builtins - Built-in values from getBuiltinValues.
+ * @return {Array<{path: string, content: string}>} The rendered files.
+ * @throws {TemplateError} When a template text is not valid or a path leaves the folder.
+ */
+function renderTemplateFiles(template, values, builtins) {
+  const context = { ...builtins, ...values };
+  const options = {
+    placeholders: {
+      datetime: builtins.datetime,
+      date: builtins.date,
+      user: builtins.user,
+      dayofweek: builtins.dayofweek,
+      folder: builtins.folder,
+      filename: builtins.filename
+    }
+  };
+
+  if (!isScaffold(template)) {
+    return [{ path: '', content: renderTemplate(template.content || '', context, options) }];
+  }
+
+  const seen = new Set();
+  return template.files.map((file, index) => {
+    const filePath = normalizeScaffoldPath(renderTemplate(file.path, context), index);
+    if (seen.has(filePath)) {
+      throw new TemplateError(`files[${index}].path "${filePath}" is generated twice`);
+    }
+    seen.add(filePath);
+    return { path: filePath, content: renderTemplate(file.content || '', context, options) };
+  });
+}
+
+module.exports = {
+  VARIABLE_TYPES,
+  isScaffold,
+  normalizeVariableDefinitions,
+  validateTemplateDefinition,
+  resolveTemplateValues,
+  getBuiltinValues,
+  renderTemplateFiles
+};
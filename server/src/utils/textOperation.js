@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Operational transformation for plain text documents.
+ *
+ * An operation is an array of components that walks the whole document:
+ * - a positive integer retains that many characters
+ * - a negative integer deletes that many characters
+ * - a string inserts that text
+ *
+ * `transform(a, b)` returns `[a', b']` such that applying `a` then `b'` gives
+ * the same text as applying `b` then `a'`. When both operations insert at the
+ * same position the text of `a` goes first, so the side that calls transform
+ * with its own operation first must be used consistently (the server always
+ * passes the incoming client operation as `a`).
+ *
+ * The web, Electron and VS Code clients use a copy of these functions in
+ * shared/collaboration, which must stay in step with this module.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isDelete = (component) => typeof component === 'number' && component < 0;
+const isInsert = (component) => typeof component === 'string';
+
+/**
+ * Appends a component to an operation, merging it with the last component
+ * when both are of the same kind.
+ * @param {Array} operation - The operation being built.
+ * @param {number|string} component - The component to append.
+ */
+function pushComponent(operation, component) {
+  if (component === 0 || component === '') {
+    return;
+  }
+  const last = operation[operation.length - 1];
+  if ((isRetain(last) && isRetain(component)) || (isDelete(last) && isDelete(component))) {
+    operation[operation.length - 1] = last + component;
+  } else if (isInsert(last) && isInsert(component)) {
+    operation[operation.length - 1] = last + component;
+  } else {
+    operation.push(component);
+  }
+}
+
+/**
+ * Checks that a value is a well-formed operation.
+ * @param {*} operation - The value to check.
+ * @return {boolean} True when every component is a non-zero integer or a non-empty string.
+ */
+function isValidOperation(operation) {
+  return Array.isArray(operation) && operation.every(component =>
+    (Number.isInteger(component) && component !== 0) || (isInsert(component) && component.length > 0)
+  );
+}
+
+/**
+ * Returns the length of the text an operation applies to.
+ * @param {Array} operation - The operation.
+ * @return {number} The base length.
+ */
+function baseLength(operation) {
+  return operation.reduce((length, component) => {
+    if (isRetain(component)) return length + component;
+    if (isDelete(component)) return length - component;
+    return length;
+  }, 0);
+}
+
+/**
+ * Applies an operation to a text.
+ * @param {string} text - The text.
+ * @param {Array} operation - The operation; its base length must match the text.
+ * @return {string} The resulting text.
+ */
+function apply(text, operation) {
+  if (baseLength(operation) !== text.length) {
+    throw new Error('Operation does not match the document length');
+  }
+
+  const parts = [];
+  let index = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      parts.push(text.slice(index, index + component));
+      index += component;
+    } else if (isDelete(component)) {
+      index -= component;
+    } else {
+      parts.push(component);
+    }
+  }
+  return parts.join('');
+}
+
+/**
+ * Transforms two concurrent operations on the same text.
+ * @param {Array} a - The first operation.
+ * @param {Array} b - The second operation.
+ * @return {Array<Array>} `[a', b']` where a' applies after b and b' after a.
+ */
+function transform(a, b) {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error('Concurrent operations must apply to the same document length');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let componentA = a[i++];
+  let componentB = b[j++];
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isInsert(componentA)) {
+      pushComponent(aPrime, componentA);
+      pushComponent(bPrime, componentA.length);
+      componentA = a[i++];
+      continue;
+    }
+    if (isInsert(componentB)) {
+      pushComponent(aPrime, componentB.length);
+      pushComponent(bPrime, componentB);
+      componentB = b[j++];
+      continue;
+    }
+
+    const lengthA = Math.abs(componentA);
+    const lengthB = Math.abs(componentB);
+    const length = Math.min(lengthA, lengthB);
+
+    if (isRetain(componentA) && isRetain(componentB)) {
+      pushComponent(aPrime, length);
+      pushComponent(bPrime, length);
+    } else if (isDelete(componentA) && isRetain(componentB)) {
+      pushComponent(aPrime, -length);
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      pushComponent(bPrime, -length);
+    }
+    // When both delete the same characters neither side has anything left to do
+
+    componentA = lengthA === length ? a[i++] : Math.sign(componentA) * (lengthA - length);
+    componentB = lengthB === length ? b[j++] : Math.sign(componentB) * (lengthB - length);
+  }
+
+  return [aPrime, bPrime];
+}
+
+/**
+ * Builds the operation that turns one text into another by replacing the
+ * range between their common prefix and suffix.
+ * @param {string} oldText - The current text.
+ * @param {string} newText - The desired text.
+ * @return {Array} The operation.
+ */
+function fromDiff(oldText, newText) {
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (suffix < maxSuffix &&
+         oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const operation = [];
+  pushComponent(operation, prefix);
+  pushComponent(operation, -(oldText.length - prefix - suffix));
+  pushComponent(operation, newText.slice(prefix, newText.length - suffix));
+  pushComponent(operation, suffix);
+  return operation;
+}
+
+/**
+ * Maps a cursor position through an operation.
+ * @param {number} index - The cursor position before the operation.
+ * @param {Array} operation - The operation.
+ * @return {number} The cursor position after the operation.
+ */
+function transformIndex(index, operation) {
+  let newIndex = index;
+  let position = 0;
+  for (const component of operation) {
+    if (position > index) break;
+    if (isRetain(component)) {
+      position += component;
+    } else if (isInsert(component)) {
+      newIndex += component.length;
+    } else {
+      newIndex -= Math.min(-component, index - position);
+      position -= component;
+    }
+  }
+  return newIndex;
+}
+
+module.exports = {
+  isValidOperation,
+  baseLength,
+  apply,
+  transform,
+  fromDiff,
+  transformIndex
+};
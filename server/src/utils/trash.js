@@ -0,0 +1,373 @@
+/**
+ * @fileoverview Per-space trash for deleted files and folders
+ *
+ * Deleting a file or folder in a space moves it to the trash of the space
+ * instead of removing it for good:
+ * - The item is copied through the filing provider into a trash store under
+ *   server-data/trash, outside the space content folders, so the trash works
+ *   for every provider and is never published with git spaces
+ * - Each item keeps its original path, the user who deleted it and the time
+ * - Items can be restored to their original path, or to another one when
+ *   that path is taken, and purged one by one or all at once
+ * - Items older than the retention period (TRASH_RETENTION_DAYS, 30 days by
+ *   default) are purged by the 'trash-purge' job of the scheduling service
+ *
+ * Personal spaces have a trash per user, like their version history.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { getSpaceKey } = require('./versionHistory');
+const { queueSearchRemoval } = require('./searchIndex');
+
+const DEFAULT_TRASH_PATH = path.join(__dirname, '../../../server-data/trash');
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Name of the scheduling job that purges expired items */
+const TRASH_PURGE_JOB = 'trash-purge';
+/** Schedule created for the purge job when there is none yet: daily at 03:00 */
+const TRASH_PURGE_CRON = '0 3 * * *';
+/** Trash of the legacy content routes, whose files belong to no space */
+const LEGACY_TRASH_KEY = 'legacy-content';
+
+/**
+ * Read the retention period from the environment
+ * @returns {number} Days deleted items are kept
+ */
+function getRetentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Copy a file or folder from a filing provider to the local disk
+ * @param {Object} filing - Filing provider
+ * @param {string} providerPath - Path as the filing provider expects it
+ * @param {string} localPath - Destination on the local disk
+ * @param {boolean} isDirectory - Whether the item is a folder
+ * @returns {Promise<{files: number, size: number}>} Files copied and their total size
+ */
+async function copyFromFiling(filing, providerPath, localPath, isDirectory) {
+  if (!isDirectory) {
+    const content = await filing.read(providerPath);
+    await fs.outputFile(localPath, content);
+    return { files: 1, size: Buffer.byteLength(content) };
+  }
+
+  await fs.ensureDir(localPath);
+  const totals = { files: 0, size: 0 };
+  for (const child of await filing.listDetailed(providerPath)) {
+    const copied = await copyFromFiling(
+      filing,
+      path.posix.join(providerPath, child.name),
+      path.join(localPath, child.name),
+      child.isDirectory
+    );
+    totals.files += copied.files;
+    totals.size += copied.size;
+  }
+  return totals;
+}
+
+/**
+ * Copy a file or folder from the local disk back to a filing provider
+ * @param {Object} filing - Filing provider
+ * @param {string} localPath - Source on the local disk
+ * @param {string} providerPath - Path as the filing provider expects it
+ * @param {string} relativePath - Path of the copied file within the item
+ * @param {Function} [onFile] - Called with the relative path and content of each file
+ * @returns {Promise<void>}
+ */
+async function copyToFiling(filing, localPath, providerPath, relativePath, onFile) {
+  const stats = await fs.stat(localPath);
+  if (!stats.isDirectory()) {
+    const content = await fs.readFile(localPath);
+    await filing.create(providerPath, content);
+    if (onFile) onFile(relativePath, content);
+    return;
+  }
+
+  await filing.mkdir(providerPath, { recursive: true });
+  for (const name of await fs.readdir(localPath)) {
+    await copyToFiling(
+      filing,
+      path.join(localPath, name),
+      path.posix.join(providerPath, name),
+      relativePath ? `${relativePath}/${name}` : name,
+      onFile
+    );
+  }
+}
+
+/**
+ * Trash store keeping deleted items of every space. Each space has a folder
+ * holding an index of its items, newest first, and a copy of each item.
+ */
+class TrashStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.basePath] - Folder the trash is kept in
+   * @param {number} [options.retentionDays] - Days items are kept; defaults
+   *   to TRASH_RETENTION_DAYS or 30
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || DEFAULT_TRASH_PATH;
+    this.retentionDays = options.retentionDays || getRetentionDays();
+    // Index updates per space, chained so concurrent deletes keep every item
+    this.pending_ = new Map();
+  }
+
+  _getSpaceFolder(spaceKey) {
+    return path.join(this.basePath, encodeURIComponent(spaceKey));
+  }
+
+  _getItemPath(spaceKey, id) {
+    return path.join(this._getSpaceFolder(spaceKey), 'items', id);
+  }
+
+  async _load(spaceKey) {
+    try {
+      return await fs.readJson(path.join(this._getSpaceFolder(spaceKey), 'index.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { items: [] };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a change to the index of a space, one change at a time
+   * @param {string} spaceKey - Space identifier
+   * @param {Function} change - Receives the index, may change it in place and returns a result
+   * @returns {Promise<*>} Result of the change
+   */
+  _updateIndex(spaceKey, change) {
+    const previous = this.pending_.get(spaceKey) || Promise.resolve();
+    const update = previous.catch(() => {}).then(async () => {
+      const index = await this._load(spaceKey);
+      const result = await change(index);
+      await fs.outputJson(path.join(this._getSpaceFolder(spaceKey), 'index.json'), index, { spaces: 2 });
+      return result;
+    });
+    this.pending_.set(spaceKey, update);
+    return update;
+  }
+
+  _describe(item) {
+    return {
+      ...item,
+      expiresAt: new Date(Date.parse(item.deletedAt) + this.retentionDays * DAY_MS).toISOString()
+    };
+  }
+
+  /**
+   * Copy a file or folder into the trash. The caller deletes the original.
+   * @param {string} spaceKey - Space identifier from getSpaceKey
+   * @param {Object} filing - Filing provider of the space
+   * @param {string} providerPath - Path of the item as the filing provider expects it
+   * @param {Object} details - Item details
+   * @param {string} details.path - Path of the item relative to the space
+   * @param {string} [details.deletedBy] - Username of the user deleting it
+   * @returns {Promise<Object>} The trash item
+   */
+  async add(spaceKey, filing, providerPath, details) {
+    const stats = await filing.stat(providerPath);
+    const id = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const itemPath = this._getItemPath(spaceKey, id);
+
+    let copied;
+    try {
+      copied = await copyFromFiling(filing, providerPath, itemPath, stats.isDirectory);
+    } catch (error) {
+      await fs.remove(itemPath);
+      throw error;
+    }
+
+    const item = {
+      id,
+      path: details.path,
+      name: path.posix.basename(details.path),
+      type: stats.isDirectory ? 'folder' : 'file',
+      files: copied.files,
+      size: copied.size,
+      deletedAt: new Date().toISOString(),
+      deletedBy: details.deletedBy || 'unknown'
+    };
+    await this._updateIndex(spaceKey, index => {
+      index.items.unshift(item);
+    });
+    return this._describe(item);
+  }
+
+  /**
+   * List the items in the trash of a space, newest first
+   * @param {string} spaceKey - Space identifier
+   * @returns {Promise<Array<Object>>} Trash items with the time they expire
+   */
+  async list(spaceKey) {
+    const index = await this._load(spaceKey);
+    return index.items.map(item => this._describe(item));
+  }
+
+  /**
+   * Get an item from the trash
+   * @param {string} spaceKey - Space identifier
+   * @param {string} id - Item identifier
+   * @returns {Promise<Object|null>} The item, or null when not found
+   */
+  async get(spaceKey, id) {
+    const index = await this._load(spaceKey);
+    const item = index.items.find(candidate => candidate.id === id);
+    return item ? this._describe(item) : null;
+  }
+
+  /**
+   * Write an item back through the filing provider and take it out of the trash
+   * @param {string} spaceKey - Space identifier
+   * @param {string} id - Item identifier
+   * @param {Object} filing - Filing provider of the space
+   * @param {string} providerPath - Where to restore the item, as the filing provider expects it
+   * @param {Function} [onFile] - Called with the path of each restored file
+   *   relative to the item ('' for a file) and its content
+   * @returns {Promise<Object|null>} The restored item, or null when not found
+   */
+  async restore(spaceKey, id, filing, providerPath, onFile) {
+    const item = await this.get(spaceKey, id);
+    if (!item) {
+      return null;
+    }
+    await copyToFiling(filing, this._getItemPath(spaceKey, id), providerPath, '', onFile);
+    await this.purge(spaceKey, id);
+    return item;
+  }
+
+  /**
+   * Delete an item from the trash for good
+   * @param {string} spaceKey - Space identifier
+   * @param {string} id - Item identifier
+   * @returns {Promise<Object|null>} The purged item, or null when not found
+   */
+  async purge(spaceKey, id) {
+    const item = await this._updateIndex(spaceKey, index => {
+      const position = index.items.findIndex(candidate => candidate.id === id);
+      return position === -1 ? null : index.items.splice(position, 1)[0];
+    });
+    if (item) {
+      await fs.remove(this._getItemPath(spaceKey, id));
+    }
+    return item ? this._describe(item) : null;
+  }
+
+  /**
+   * Empty the trash of a space
+   * @param {string} spaceKey - Space identifier
+   * @returns {Promise<number>} Number of items purged
+   */
+  async purgeAll(spaceKey) {
+    const items = await this._updateIndex(spaceKey, index => index.items.splice(0));
+    for (const item of items) {
+      await fs.remove(this._getItemPath(spaceKey, item.id));
+    }
+    return items.length;
+  }
+
+  /**
+   * Purge the items of every space that are older than the retention period
+   * @param {Date|number} [now] - Current time
+   * @returns {Promise<number>} Number of items purged
+   */
+  async purgeExpired(now = Date.now()) {
+    const cutoff = new Date(now).getTime() - this.retentionDays * DAY_MS;
+    let folders;
+    try {
+      folders = await fs.readdir(this.basePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let purged = 0;
+    for (const folder of folders) {
+      const spaceKey = decodeURIComponent(folder);
+      const expired = await this._updateIndex(spaceKey, index => {
+        const kept = index.items.filter(item => Date.parse(item.deletedAt) > cutoff);
+        const removed = index.items.filter(item => !kept.includes(item));
+        index.items = kept;
+        return removed;
+      });
+      for (const item of expired) {
+        await fs.remove(this._getItemPath(spaceKey, item.id));
+      }
+      purged += expired.length;
+    }
+    return purged;
+  }
+}
+
+/**
+ * Move a file or folder of a space to its trash
+ * @param {Object} req - Express request with filing, spaceName and user
+ * @param {string} itemPath - Path of the item relative to the space
+ * @param {string} providerPath - Path of the item as the filing provider expects it
+ * @returns {Promise<Object>} The trash item
+ */
+async function moveToTrash(req, itemPath, providerPath) {
+  const item = await defaultStore.add(getSpaceKey(req.spaceName, req.user), req.filing, providerPath, {
+    path: itemPath,
+    deletedBy: req.user ? req.user.username : undefined
+  });
+  await req.filing.delete(providerPath);
+  queueSearchRemoval(req, itemPath);
+  return item;
+}
+
+/**
+ * Register the purge job with the scheduling service. Call it before saved
+ * schedules are restored so a saved schedule of the job can start.
+ * @param {Object} scheduler - The scheduling service
+ */
+function registerTrashPurgeJob(scheduler) {
+  scheduler.registerJob(TRASH_PURGE_JOB, async () => {
+    const purged = await defaultStore.purgeExpired();
+    return `Purged ${purged} expired trash item(s)`;
+  });
+}
+
+/**
+ * Schedule the purge job daily unless it already has a saved schedule, which
+ * an admin may have changed
+ * @param {Object} scheduler - The scheduling service
+ * @returns {Promise<void>}
+ */
+async function ensureTrashPurgeSchedule(scheduler) {
+  const scheduled = scheduler.getSchedule(TRASH_PURGE_JOB) ||
+    scheduler.listScheduled().some(schedule => schedule.job === TRASH_PURGE_JOB);
+  if (!scheduled) {
+    await scheduler.schedule(TRASH_PURGE_JOB, TRASH_PURGE_CRON, {
+      job: TRASH_PURGE_JOB,
+      missedRunPolicy: 'run-once'
+    });
+  }
+}
+
+const defaultStore = new TrashStore();
+
+module.exports = {
+  TRASH_PURGE_JOB,
+  LEGACY_TRASH_KEY,
+  TrashStore,
+  getRetentionDays,
+  moveToTrash,
+  registerTrashPurgeJob,
+  ensureTrashPurgeSchedule,
+  defaultStore
+};
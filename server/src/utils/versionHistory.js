@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Per-file version history utilities
+ *
+ * Provides version history for space files:
+ * - Git spaces read their history from the commit log of the file
+ * - Local spaces keep snapshots of each saved version in a snapshot store
+ *   under server-data/history, outside the space content folders
+ * - Line-based diffs between any two versions (or the working copy)
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const CURRENT_VERSION = 'current';
+const DEFAULT_HISTORY_PATH = path.join(__dirname, '../../../server-data/history');
+const MAX_SNAPSHOTS = 100;
+// Largest LCS table (old lines x new lines) computed for a diff
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Hash file content so unchanged saves do not create new snapshots
+ * @param {string} content - File content
+ * @returns {string} SHA-1 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content || '').digest('hex');
+}
+
+/**
+ * Snapshot store for spaces without their own version control.
+ * Each file has a JSON document holding its versions, newest first.
+ */
+class SnapshotStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.basePath] - Folder the snapshots are written to
+   * @param {number} [options.maxSnapshots=100] - Versions kept per file
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || DEFAULT_HISTORY_PATH;
+    this.maxSnapshots = options.maxSnapshots || MAX_SNAPSHOTS;
+  }
+
+  _getHistoryFile(spaceKey, filePath) {
+    const fileKey = hashContent(filePath);
+    return path.join(this.basePath, encodeURIComponent(spaceKey), `${fileKey}.json`);
+  }
+
+  async _load(spaceKey, filePath) {
+    const historyFile = this._getHistoryFile(spaceKey, filePath);
+    try {
+      return await fs.readJson(historyFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { filePath, versions: [] };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record a version of a file. Content identical to the latest version is ignored.
+   * @param {string} spaceKey - Space identifier (Personal spaces include the username)
+   * @param {string} filePath - File path relative to the space
+   * @param {string} content - File content
+   * @param {Object} [details] - Version details
+   * @param {string} [details.author] - Username of the editor
+   * @param {string} [details.message] - Description of the change
+   * @returns {Promise<Object|null>} The recorded version, or null if unchanged
+   */
+  async record(spaceKey, filePath, content, details = {}) {
+    const history = await this._load(spaceKey, filePath);
+    const hash = hashContent(content);
+
+    if (history.versions.length > 0 && history.versions[0].hash === hash) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString();
+    const version = {
+      id: `${Date.now().toString(36)}-${hash.substring(0, 8)}`,
+      timestamp,
+      author: details.author || 'unknown',
+      message: details.message || 'Saved',
+      size: Buffer.byteLength(content || ''),
+      hash,
+      content
+    };
+
+    history.filePath = filePath;
+    history.versions = [version, ...history.versions].slice(0, this.maxSnapshots);
+
+    const historyFile = this._getHistoryFile(spaceKey, filePath);
+    await fs.ensureDir(path.dirname(historyFile));
+    await fs.writeJson(historyFile, history);
+
+    return version;
+  }
+
+  /**
+   * List the versions of a file without their content, newest first
+   * @param {string} spaceKey - Space identifier
+   * @param {string} filePath - File path relative to the space
+   * @returns {Promise<Array<Object>>} Version summaries
+   */
+  async list(spaceKey, filePath) {
+    const history = await this._load(spaceKey, filePath);
+    return history.versions.map(({ content, ...summary }) => summary);
+  }
+
+  /**
+   * Get a single version including its content
+   * @param {string} spaceKey - Space identifier
+   * @param {string} filePath - File path relative to the space
+   * @param {string} versionId - Version identifier
+   * @returns {Promise<Object|null>} The version, or null when not found
+   */
+  async get(spaceKey, filePath, versionId) {
+    const history = await this._load(spaceKey, filePath);
+    return history.versions.find(version => version.id === versionId) || null;
+  }
+
+  /**
+   * Check whether any versions exist for a file
+   * @param {string} spaceKey - Space identifier
+   * @param {string} filePath - File path relative to the space
+   * @returns {Promise<boolean>} True when the file has recorded versions
+   */
+  async has(spaceKey, filePath) {
+    const history = await this._load(spaceKey, filePath);
+    return history.versions.length > 0;
+  }
+}
+
+/**
+ * Append the diff of two line arrays that share no common prefix or suffix
+ * @param {Array<Object>} result - Diff lines to append to
+ * @param {Array<string>} oldLines - Original lines
+ * @param {Array<string>} newLines - Changed lines
+ * @param {number} offset - Line number offset of both arrays
+ */
+function appendMiddleDiff(result, oldLines, newLines, offset) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+
+  // lengths[i][j] is the LCS length of oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && oldLines[i] === newLines[j]) {
+      result.push({ type: 'equal', oldLine: offset + i + 1, newLine: offset + j + 1, text: oldLines[i] });
+      i++;
+      j++;
+    } else if (i < rows && (j >= cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      result.push({ type: 'remove', oldLine: offset + i + 1, newLine: null, text: oldLines[i] });
+      i++;
+    } else {
+      result.push({ type: 'add', oldLine: null, newLine: offset + j + 1, text: newLines[j] });
+      j++;
+    }
+  }
+}
+
+/**
+ * Compute a line-based diff using the longest common subsequence
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<{type: string, oldLine: number|null, newLine: number|null, text: string}>}
+ *   Diff lines where type is 'equal', 'remove' or 'add'
+ */
+function diffLines(oldText, newText) {
+  const oldLines = (oldText || '').split('\n');
+  const newLines = (newText || '').split('\n');
+
+  // Trim the common prefix and suffix so the LCS table stays small
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+
+  const result = [];
+  for (let k = 0; k < start; k++) {
+    result.push({ type: 'equal', oldLine: k + 1, newLine: k + 1, text: oldLines[k] });
+  }
+
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    // Too large for a line-by-line comparison; show the changed block as replaced
+    oldMiddle.forEach((text, k) => result.push({ type: 'remove', oldLine: start + k + 1, newLine: null, text }));
+    newMiddle.forEach((text, k) => result.push({ type: 'add', oldLine: null, newLine: start + k + 1, text }));
+  } else {
+    appendMiddleDiff(result, oldMiddle, newMiddle, start);
+  }
+
+  for (let k = 0; k < oldLines.length - oldEnd; k++) {
+    result.push({
+      type: 'equal',
+      oldLine: oldEnd + k + 1,
+      newLine: newEnd + k + 1,
+      text: oldLines[oldEnd + k]
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Summarise a diff as counts of added and removed lines
+ * @param {Array<Object>} diff - Result of diffLines
+ * @returns {{added: number, removed: number}} Line counts
+ */
+function summarizeDiff(diff) {
+  return diff.reduce((summary, line) => {
+    if (line.type === 'add') summary.added++;
+    if (line.type === 'remove') summary.removed++;
+    return summary;
+  }, { added: 0, removed: 0 });
+}
+
+/**
+ * Build the snapshot store key for a space. Personal spaces are isolated per user.
+ * @param {string} spaceName - Space name
+ * @param {Object} [user] - Authenticated user
+ * @returns {string} Space key
+ */
+function getSpaceKey(spaceName, user) {
+  if (spaceName === 'Personal' && user && user.username) {
+    return `Personal/${user.username}`;
+  }
+  return spaceName;
+}
+
+/**
+ * Check whether a filing provider keeps its own history in git
+ * @param {Object} filing - Filing provider
+ * @returns {boolean} True for git-backed providers
+ */
+function isGitFiling(filing) {
+  return Boolean(filing && filing.git);
+}
+
+/**
+ * Create a version history accessor for a file in a space
+ * @param {Object} filing - Filing provider for the space
+ * @param {Object} options - File details
+ * @param {string} options.spaceKey - Space key from getSpaceKey
+ * @param {string} options.filePath - File path relative to the space
+ * @param {string} options.providerPath - File path as the filing provider expects it
+ * @param {SnapshotStore} [options.store] - Snapshot store for non-git spaces
+ * @returns {Object} History accessor with list(), getContent() and type
+ */
+function createFileHistory(filing, { spaceKey, filePath, providerPath, store = defaultStore }) {
+  if (isGitFiling(filing)) {
+    const gitPath = providerPath.split(path.sep).join('/');
+    return {
+      type: 'git',
+
+      async list() {
+        const log = await filing.git.log({ file: gitPath });
+        return log.all.map(commit => ({
+          id: commit.hash,
+          timestamp: new Date(commit.date).toISOString(),
+          author: commit.author_name,
+          message: commit.message
+        }));
+      },
+
+      async getContent(versionId) {
+        if (versionId === CURRENT_VERSION) {
+          return filing.read(providerPath, 'utf8');
+        }
+        if (!/^[0-9a-f]{4,40}$/i.test(versionId)) {
+          return null;
+        }
+        try {
+          return await filing.git.show([`${versionId}:${gitPath}`]);
+        } catch (error) {
+          return null;
+        }
+      }
+    };
+  }
+
+  return {
+    type: 'snapshot',
+
+    async list() {
+      return store.list(spaceKey, filePath);
+    },
+
+    async getContent(versionId) {
+      if (versionId === CURRENT_VERSION) {
+        return filing.read(providerPath, 'utf8');
+      }
+      const version = await store.get(spaceKey, filePath, versionId);
+      return version ? version.content : null;
+    }
+  };
+}
+
+/**
+ * Read the current text content of a file before it is overwritten
+ * @param {Object} filing - Filing provider
+ * @param {string} providerPath - File path as the filing provider expects it
+ * @returns {Promise<string|null>} Current content, or null if the file does not exist
+ */
+async function readPreviousContent(filing, providerPath) {
+  if (isGitFiling(filing)) {
+    return null;
+  }
+  try {
+    return await filing.read(providerPath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record a saved version of a text file in a local space. Git spaces are
+ * skipped because their history comes from commits. When a file has no
+ * history yet, its previous content is stored first as the original version.
+ * @param {Object} req - Express request with filing, spaceName and user
+ * @param {string} filePath - File path relative to the space
+ * @param {string|Buffer} content - The content that was written
+ * @param {string|null} previousContent - Content before the write
+ * @param {string} [message] - Description of the change
+ * @returns {Promise<void>}
+ */
+async function recordVersion(req, filePath, content, previousContent, message = 'Saved') {
+  if (isGitFiling(req.filing) || typeof content !== 'string') {
+    return;
+  }
+
+  try {
+    const spaceKey = getSpaceKey(req.spaceName, req.user);
+    const author = req.user ? req.user.username : undefined;
+
+    if (previousContent !== null && previousContent !== undefined &&
+        !(await defaultStore.has(spaceKey, filePath))) {
+      await defaultStore.record(spaceKey, filePath, previousContent, {
+        author: 'unknown',
+        message: 'Original version'
+      });
+    }
+
+    await defaultStore.record(spaceKey, filePath, content, { author, message });
+  } catch (error) {
+    // History is best effort and must never fail the save itself
+    console.warn(`Failed to record version for ${filePath}:`, error.message);
+  }
+}
+
+const defaultStore = new SnapshotStore();
+
+module.exports = {
+  CURRENT_VERSION,
+  SnapshotStore,
+  diffLines,
+  summarizeDiff,
+  getSpaceKey,
+  isGitFiling,
+  createFileHistory,
+  readPreviousContent,
+  recordVersion,
+  defaultStore
+};
@@ -0,0 +1,824 @@
+/**
+ * @fileoverview Outbound webhooks for document lifecycle events.
+ *
+ * Space admins register webhook endpoints per space, choosing which events
+ * they receive: files created, updated, deleted, renamed, commented on and
+ * approved, and the space being published. Events are taken from the audit
+ * trail (see auditLog) and from review decisions, so every route that records
+ * an audit entry also notifies the webhooks of its space. Personal spaces
+ * have no webhooks.
+ *
+ * Each event becomes one delivery per matching webhook. Deliveries are put on
+ * the `webhook-deliveries` queue of the queueing service and POSTed by
+ * startWebhookDelivery(); an endpoint that fails or does not answer with a
+ * 2xx status is retried with the backoff of the queue until the attempts run
+ * out. The body is signed with the secret of the webhook:
+ *
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ *
+ * where timestamp is the X-Webhook-Timestamp header, so receivers can reject
+ * forged and replayed requests. Webhooks and the delivery log are stored
+ * under server-data/webhooks.
+ *
+ * Endpoints on private, loopback or link-local addresses are refused when a
+ * webhook is saved, and again when a delivery connects, against the address
+ * the host name resolves to then.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fs = require('fs-extra');
+const axios = require('axios');
+const { acquireFileLock } = require('./contentVersion');
+const { addAuditListener } = require('./auditLog');
+
+const DEFAULT_WEBHOOKS_PATH = path.join(__dirname, '../../../server-data/webhooks');
+
+/** @const {Array<string>} Events webhooks can subscribe to */
+const WEBHOOK_EVENTS = [
+  'file.created',
+  'file.updated',
+  'file.deleted',
+  'file.renamed',
+  'file.commented',
+  'file.approved',
+  'space.published'
+];
+
+/** @const {!Object<string, string>} Webhook event sent for each audit action */
+const AUDIT_EVENTS = {
+  'file.create': 'file.created',
+  'file.upload': 'file.created',
+  'file.update': 'file.updated',
+  'file.delete': 'file.deleted',
+  'folder.delete': 'file.deleted',
+  'item.rename': 'file.renamed',
+  'comment.create': 'file.commented',
+  'space.publish': 'space.published'
+};
+
+/** @const {string} Queue deliveries wait on until they are sent */
+const WEBHOOK_QUEUE = 'webhook-deliveries';
+
+/** @const {number} Attempts before a delivery is given up */
+const MAX_DELIVERY_ATTEMPTS = 6;
+
+/** @const {number} Seconds an endpoint has to answer */
+const DELIVERY_TIMEOUT = 10;
+
+/** @const {number} Deliveries kept in the log, oldest are dropped first */
+const MAX_DELIVERIES = 1000;
+
+/** @const {number} Characters of the response body kept in the log */
+const RESPONSE_EXCERPT_LENGTH = 500;
+
+/**
+ * @const {Array<string>} Address ranges webhooks are never sent to: this
+ * host, private networks, link-local addresses such as cloud metadata
+ * endpoints, and other ranges that are not reachable on the internet
+ */
+const BLOCKED_ADDRESS_RANGES = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+  '172.16.0.0/12', '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/3',
+  '::/127', 'fc00::/7', 'fe80::/10', 'ff00::/8'
+];
+
+const MAX_URL_LENGTH = 2048;
+const MIN_SECRET_LENGTH = 16;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Webhook store keeping the webhooks and the delivery log as JSON documents.
+ */
+class WebhookStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.basePath] - Folder the webhooks are written to
+   * @param {number} [options.maxDeliveries] - Deliveries kept in the log
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || DEFAULT_WEBHOOKS_PATH;
+    this.maxDeliveries = options.maxDeliveries || MAX_DELIVERIES;
+  }
+
+  async _load(name) {
+    try {
+      return await fs.readJson(path.join(this.basePath, `${name}.json`));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async _save(name, items) {
+    const file = path.join(this.basePath, `${name}.json`);
+    await fs.ensureDir(this.basePath);
+    await fs.writeJson(`${file}.tmp`, items);
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * Runs a change to the webhooks or deliveries, serialised per document
+   * @param {string} name - 'webhooks' or 'deliveries'
+   * @param {Function} change - Gets the items, returns the result
+   * @returns {Promise<*>} The result of the change
+   */
+  async _update(name, change) {
+    const release = await acquireFileLock(`webhooks:${name}`);
+    try {
+      const items = await this._load(name);
+      const result = change(items);
+      await this._save(name, items);
+      return result;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * List webhooks, with their secrets
+   * @param {string} [space] - Only the webhooks of this space
+   * @returns {Promise<Array<Object>>} The webhooks, oldest first
+   */
+  async list(space) {
+    const webhooks = await this._load('webhooks');
+    return space ? webhooks.filter(webhook => webhook.space === space) : webhooks;
+  }
+
+  /**
+   * Get a webhook
+   * @param {string} id - Webhook identifier
+   * @returns {Promise<Object|null>} The webhook, or null if not found
+   */
+  async get(id) {
+    return (await this._load('webhooks')).find(webhook => webhook.id === id) || null;
+  }
+
+  /**
+   * Store a new webhook
+   * @param {Object} webhook - Webhook fields, see normalizeWebhookInput
+   * @returns {Promise<Object>} The stored webhook
+   */
+  async add(webhook) {
+    return this._update('webhooks', (webhooks) => {
+      webhooks.push(webhook);
+      return webhook;
+    });
+  }
+
+  /**
+   * Change a webhook
+   * @param {string} id - Webhook identifier
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<Object|null>} The webhook, or null if not found
+   */
+  async update(id, changes) {
+    return this._update('webhooks', (webhooks) => {
+      const webhook = webhooks.find(item => item.id === id);
+      if (webhook) {
+        Object.assign(webhook, changes, { updatedAt: new Date().toISOString() });
+      }
+      return webhook || null;
+    });
+  }
+
+  /**
+   * Delete a webhook; its deliveries stay in the log
+   * @param {string} id - Webhook identifier
+   * @returns {Promise<Object|null>} The deleted webhook, or null if not found
+   */
+  async remove(id) {
+    return this._update('webhooks', (webhooks) => {
+      const index = webhooks.findIndex(item => item.id === id);
+      return index === -1 ? null : webhooks.splice(index, 1)[0];
+    });
+  }
+
+  /**
+   * Add a delivery to the log
+   * @param {Object} delivery - The delivery
+   * @returns {Promise<Object>} The delivery
+   */
+  async addDelivery(delivery) {
+    return this._update('deliveries', (deliveries) => {
+      deliveries.unshift(delivery);
+      deliveries.splice(this.maxDeliveries);
+      return delivery;
+    });
+  }
+
+  /**
+   * Record the outcome of a delivery attempt
+   * @param {string} id - Delivery identifier
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<Object|null>} The delivery, or null if it left the log
+   */
+  async updateDelivery(id, changes) {
+    return this._update('deliveries', (deliveries) => {
+      const delivery = deliveries.find(item => item.id === id);
+      if (delivery) {
+        Object.assign(delivery, changes, { updatedAt: new Date().toISOString() });
+      }
+      return delivery || null;
+    });
+  }
+
+  /**
+   * Get a delivery
+   * @param {string} id - Delivery identifier
+   * @returns {Promise<Object|null>} The delivery, or null if not found
+   */
+  async getDelivery(id) {
+    return (await this._load('deliveries')).find(delivery => delivery.id === id) || null;
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} [filters] - space, webhookId, event and status
+   * @param {Object} [options] - limit (100) and offset (0)
+   * @returns {Promise<{deliveries: Array<Object>, total: number}>} The page and how many matched
+   */
+  async listDeliveries(filters = {}, options = {}) {
+    const { limit = 100, offset = 0 } = options;
+    const matches = (await this._load('deliveries')).filter(delivery =>
+      ['space', 'webhookId', 'event', 'status'].every(name => !filters[name] || delivery[name] === filters[name]));
+    return { deliveries: matches.slice(offset, offset + limit), total: matches.length };
+  }
+}
+
+const webhookStore = new WebhookStore();
+
+/**
+ * Generates a secret to sign deliveries with.
+ * @return {string} 48 hexadecimal characters.
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+const blockedAddresses = new net.BlockList();
+for (const range of BLOCKED_ADDRESS_RANGES) {
+  const [address, prefix] = range.split('/');
+  blockedAddresses.addSubnet(address, Number(prefix), net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether an IP address is one webhooks may not be sent to. IPv4 addresses
+ * mapped to IPv6 are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address.
+ * @return {boolean} True for private, loopback and link-local addresses.
+ */
+function isBlockedAddress(address) {
+  const version = net.isIP(address);
+  if (!version) {
+    return true;
+  }
+  return blockedAddresses.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Why a webhook host is refused without resolving it, if it is: this host
+ * by name, or an IP address in a blocked range.
+ * @param {string} hostname - Host of a webhook URL, IPv6 in brackets.
+ * @return {string|null} The reason, or null.
+ */
+function findBlockedHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return 'Webhooks cannot be sent to this server';
+  }
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return 'Webhooks cannot be sent to private, loopback or link-local addresses';
+  }
+  return null;
+}
+
+/**
+ * Checks that the host of a webhook URL resolves to public addresses only,
+ * before the webhook is saved. Deliveries check the address again when
+ * they connect, as DNS may change in between.
+ * @param {string} url - The normalised webhook URL.
+ * @return {Promise<string|null>} Why the URL is refused, or null.
+ */
+async function checkWebhookHost(url) {
+  const { hostname } = new URL(url);
+  const blocked = findBlockedHost(hostname);
+  if (blocked || net.isIP(hostname.replace(/^\[(.*)\]$/, '$1'))) {
+    return blocked;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `Webhook host ${hostname} could not be resolved`;
+  }
+  if (addresses.some(entry => isBlockedAddress(entry.address))) {
+    return 'Webhooks cannot be sent to private, loopback or link-local addresses';
+  }
+  return null;
+}
+
+/**
+ * DNS lookup for delivery connections that fails for blocked addresses, so
+ * the address checked is the one connected to.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private, loopback or link-local address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: lookupPublicAddress }),
+  httpsAgent: new https.Agent({ lookup: lookupPublicAddress })
+};
+
+/**
+ * Checks and normalises the fields of a webhook sent by a client.
+ * @param {Object} input - url, events, description, active and secret.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.partial=false] - Whether fields may be left out,
+ *     for updates.
+ * @return {{fields: Object, error: string|undefined}} The normalised fields
+ *     that were given, or an error.
+ */
+function normalizeWebhookInput(input = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (input.url !== undefined || !partial) {
+    let url;
+    try {
+      url = typeof input.url === 'string' && input.url.length <= MAX_URL_LENGTH ? new URL(input.url.trim()) : null;
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return { fields, error: 'URL must be an http or https URL' };
+    }
+    const blocked = findBlockedHost(url.hostname);
+    if (blocked) {
+      return { fields, error: blocked };
+    }
+    fields.url = url.toString();
+  }
+
+  if (input.events !== undefined || !partial) {
+    const events = input.events === undefined ? ['*'] : input.events;
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => typeof event !== 'string')) {
+      return { fields, error: 'Events must be a non-empty array of event names' };
+    }
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return { fields, error: `Unknown events: ${unknown.join(', ')}. Use '*' or any of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    fields.events = events.includes('*') ? ['*'] : [...new Set(events)];
+  }
+
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      return { fields, error: 'Description must be a string' };
+    }
+    fields.description = (input.description || '').trim().slice(0, MAX_DESCRIPTION_LENGTH);
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      return { fields, error: 'Active must be true or false' };
+    }
+    fields.active = input.active;
+  }
+
+  if (input.secret !== undefined) {
+    if (typeof input.secret !== 'string' || input.secret.length < MIN_SECRET_LENGTH) {
+      return { fields, error: `Secret must be a string of at least ${MIN_SECRET_LENGTH} characters` };
+    }
+    fields.secret = input.secret;
+  }
+
+  return { fields };
+}
+
+/**
+ * Builds a new webhook from normalised fields.
+ * @param {string} space - Space the webhook belongs to.
+ * @param {Object} fields - As returned by normalizeWebhookInput.
+ * @param {string|null} createdBy - Username of the admin registering it.
+ * @return {Object} The webhook, with its secret.
+ */
+function createWebhook(space, fields, createdBy) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    space,
+    url: fields.url,
+    events: fields.events || ['*'],
+    description: fields.description || '',
+    active: fields.active !== undefined ? fields.active : true,
+    secret: fields.secret || generateWebhookSecret(),
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Returns a webhook without its secret, for listings.
+ * @param {Object} webhook - The stored webhook.
+ * @return {Object} The webhook with a hint of the secret instead.
+ */
+function toPublicWebhook(webhook) {
+  const { secret, ...fields } = webhook;
+  return { ...fields, secretHint: secret ? `…${secret.slice(-4)}` : null };
+}
+
+/**
+ * Returns a delivery without its payload, for listings.
+ * @param {Object} delivery - The logged delivery.
+ * @return {Object} The delivery summary.
+ */
+function toDeliverySummary(delivery) {
+  const { payload, ...fields } = delivery;
+  return fields;
+}
+
+/**
+ * Whether a webhook receives an event.
+ * @param {Object} webhook - The webhook.
+ * @param {string} event - Event name.
+ * @return {boolean} True if it is active and subscribed to the event.
+ */
+function isSubscribed(webhook, event) {
+  return webhook.active && (event === 'ping' || webhook.events.includes('*') || webhook.events.includes(event));
+}
+
+/**
+ * Signs a webhook body.
+ * @param {string} secret - Secret of the webhook.
+ * @param {string} timestamp - Unix time in seconds sent with the body.
+ * @param {string} body - The JSON body as sent.
+ * @return {string} The X-Webhook-Signature header value.
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * POSTs a body to a webhook endpoint. Endpoints on private, loopback or
+ * link-local addresses are refused, also when their name resolves to one.
+ * @param {string} url - The endpoint.
+ * @param {string} body - JSON body.
+ * @param {Object} headers - Request headers.
+ * @return {Promise<{status: number, body: string}>} The response.
+ */
+async function postWebhook(url, body, headers) {
+  // Names are checked when they are resolved, addresses here
+  const blocked = findBlockedHost(new URL(url).hostname);
+  if (blocked) {
+    throw new Error(blocked);
+  }
+  const response = await axios.post(url, body, {
+    headers,
+    ...deliveryAgents,
+    proxy: false,
+    timeout: DELIVERY_TIMEOUT * 1000,
+    maxRedirects: 0,
+    responseType: 'text',
+    transformResponse: [data => data],
+    validateStatus: () => true
+  });
+  return { status: response.status, body: typeof response.data === 'string' ? response.data : '' };
+}
+
+/**
+ * Queues webhook deliveries and sends them.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} [options] - Dispatcher options
+   * @param {WebhookStore} [options.store] - Store of webhooks and deliveries
+   * @param {Object} [options.queueing] - Queue with receive, ack and nack
+   * @param {Function} [options.send] - Sends a request, see postWebhook
+   * @param {number} [options.maxAttempts] - Attempts before a delivery fails
+   */
+  constructor(options = {}) {
+    this.store = options.store || webhookStore;
+    this.queueing = options.queueing || null;
+    this.send = options.send || postWebhook;
+    this.maxAttempts = options.maxAttempts || MAX_DELIVERY_ATTEMPTS;
+  }
+
+  /**
+   * Queues an event for every webhook of its space that subscribes to it.
+   * Failures are logged and never fail the action that caused the event.
+   * @param {Object} event - The event.
+   * @param {string} event.event - One of WEBHOOK_EVENTS.
+   * @param {string} event.space - Space the event happened in.
+   * @param {string} [event.path] - File or folder concerned.
+   * @param {Object} [event.actor] - id and username of the user who acted.
+   * @param {Object} [event.data] - Facts about the event.
+   * @return {Promise<Array<Object>>} The queued deliveries.
+   */
+  async publish({ event, space, path: filePath = null, actor = null, data = {} }) {
+    if (!this.queueing || !space || space === 'Personal') {
+      return [];
+    }
+    try {
+      const webhooks = (await this.store.list(space)).filter(webhook => isSubscribed(webhook, event));
+      if (webhooks.length === 0) {
+        return [];
+      }
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        timestamp: new Date().toISOString(),
+        space,
+        path: filePath,
+        actor,
+        data
+      };
+      const deliveries = [];
+      for (const webhook of webhooks) {
+        deliveries.push(await this.enqueue(webhook, payload));
+      }
+      return deliveries;
+    } catch (error) {
+      console.error(`Failed to queue ${event} webhooks for ${space}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Logs and queues one delivery of a payload to a webhook.
+   * @param {Object} webhook - The webhook.
+   * @param {Object} payload - The event payload.
+   * @param {Object} [extra] - Fields added to the log entry, such as redeliveryOf.
+   * @return {Promise<Object>} The logged delivery.
+   */
+  async enqueue(webhook, payload, extra = {}) {
+    if (!this.queueing) {
+      throw new Error('Webhook delivery is not running');
+    }
+    const now = new Date().toISOString();
+    const delivery = await this.store.addDelivery({
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      space: webhook.space,
+      event: payload.event,
+      eventId: payload.id,
+      path: payload.path,
+      url: webhook.url,
+      status: 'queued',
+      attempts: 0,
+      responseStatus: null,
+      responseBody: null,
+      error: null,
+      durationMs: null,
+      nextAttemptAt: null,
+      deliveredAt: null,
+      createdAt: now,
+      updatedAt: now,
+      ...extra,
+      payload
+    });
+    await this.queueing.enqueue(WEBHOOK_QUEUE, { deliveryId: delivery.id, webhookId: webhook.id, payload }, {
+      maxAttempts: this.maxAttempts
+    });
+    return delivery;
+  }
+
+  /**
+   * Sends a ping event to one webhook, whatever events it subscribes to.
+   * @param {Object} webhook - The webhook.
+   * @param {Object} [actor] - id and username of the admin testing it.
+   * @return {Promise<Object>} The queued delivery.
+   */
+  async ping(webhook, actor = null) {
+    return this.enqueue(webhook, {
+      id: crypto.randomUUID(),
+      event: 'ping',
+      timestamp: new Date().toISOString(),
+      space: webhook.space,
+      path: null,
+      actor,
+      data: { webhookId: webhook.id, events: webhook.events }
+    });
+  }
+
+  /**
+   * Queues a logged delivery again, with the same payload.
+   * @param {Object} delivery - The logged delivery.
+   * @return {Promise<Object|null>} The new delivery, or null if its webhook
+   *     was deleted.
+   */
+  async redeliver(delivery) {
+    const webhook = await this.store.get(delivery.webhookId);
+    if (!webhook) {
+      return null;
+    }
+    return this.enqueue(webhook, delivery.payload, { redeliveryOf: delivery.id });
+  }
+
+  /**
+   * Sends the queued deliveries that are due.
+   * @param {Object} [options] - Options.
+   * @param {number} [options.batchSize=20] - Deliveries sent at most.
+   * @return {Promise<number>} Number of deliveries attempted.
+   */
+  async processQueue({ batchSize = 20 } = {}) {
+    let attempted = 0;
+    for (; attempted < batchSize; attempted++) {
+      const message = await this.queueing.receive(WEBHOOK_QUEUE, { visibilityTimeout: DELIVERY_TIMEOUT * 3 });
+      if (!message) break;
+      await this.deliver(message);
+    }
+    return attempted;
+  }
+
+  /**
+   * Sends one leased delivery and records the outcome.
+   * @param {Object} message - Message received from the queue.
+   */
+  async deliver(message) {
+    const { deliveryId, webhookId, payload } = message.body || {};
+    const webhook = webhookId ? await this.store.get(webhookId) : null;
+    if (!webhook || !webhook.active) {
+      await this.queueing.ack(WEBHOOK_QUEUE, message.leaseId);
+      await this.store.updateDelivery(deliveryId, {
+        status: 'cancelled',
+        error: webhook ? 'Webhook is disabled' : 'Webhook was deleted'
+      });
+      return;
+    }
+
+    const body = JSON.stringify(payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'DesignArtifacts-Webhooks/1.0',
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Id': payload.id,
+      'X-Webhook-Delivery': deliveryId,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+    };
+
+    const started = Date.now();
+    let response = null;
+    let error = null;
+    try {
+      response = await this.send(webhook.url, body, headers);
+      if (response.status < 200 || response.status >= 300) {
+        error = `Endpoint answered ${response.status}`;
+      }
+    } catch (sendError) {
+      error = sendError.message;
+    }
+
+    const outcome = {
+      attempts: message.attempts,
+      responseStatus: response ? response.status : null,
+      responseBody: response ? response.body.slice(0, RESPONSE_EXCERPT_LENGTH) : null,
+      durationMs: Date.now() - started,
+      error
+    };
+    if (!error) {
+      await this.queueing.ack(WEBHOOK_QUEUE, message.leaseId);
+      await this.store.updateDelivery(deliveryId, {
+        ...outcome,
+        status: 'delivered',
+        nextAttemptAt: null,
+        deliveredAt: new Date().toISOString()
+      });
+      return;
+    }
+
+    const result = await this.queueing.nack(WEBHOOK_QUEUE, message.leaseId, { error });
+    const retrying = result && result.status === 'retrying';
+    await this.store.updateDelivery(deliveryId, {
+      ...outcome,
+      status: retrying ? 'retrying' : 'failed',
+      nextAttemptAt: retrying ? result.availableAt : null
+    });
+  }
+}
+
+const webhookDispatcher = new WebhookDispatcher();
+
+/**
+ * Queues the webhook event of an audit entry, if it has one.
+ * @param {Object} entry - Audit entry, see auditLog.recordAudit.
+ * @return {Promise<Array<Object>>} The queued deliveries.
+ */
+function publishAuditEvent(entry) {
+  const event = AUDIT_EVENTS[entry.action];
+  if (!event) {
+    return Promise.resolve([]);
+  }
+  const data = { ...(entry.details || {}), version: entry.afterHash, previousVersion: entry.beforeHash };
+  if (entry.action === 'folder.delete') {
+    data.folder = true;
+  }
+  return webhookDispatcher.publish({
+    event,
+    space: entry.space,
+    path: entry.path,
+    actor: entry.actor ? { id: entry.actorId, username: entry.actor } : null,
+    data
+  });
+}
+
+/**
+ * Queues a webhook event for an action taken in a request.
+ * @param {Object} req - Express request with spaceName and user.
+ * @param {string} event - One of WEBHOOK_EVENTS.
+ * @param {string|null} filePath - File the event is about.
+ * @param {Object} [data] - Facts about the event.
+ * @return {Promise<Array<Object>>} The queued deliveries.
+ */
+function publishWebhookEvent(req, event, filePath, data = {}) {
+  return webhookDispatcher.publish({
+    event,
+    space: req.spaceName,
+    path: filePath,
+    actor: req.user ? { id: String(req.user.id), username: req.user.username } : null,
+    data
+  });
+}
+
+/**
+ * Starts delivering webhooks through a queue, polling it, and publishes the
+ * events of audit entries from then on.
+ * @param {Object} queueing - The queueing service; it must support leases
+ *     (receive, ack and nack), as the durable provider does.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.interval=2000] - Poll interval in ms.
+ * @param {number} [options.batchSize=20] - Deliveries sent per poll.
+ * @return {Function} Stops delivering.
+ */
+function startWebhookDelivery(queueing, options = {}) {
+  const { interval = 2000, batchSize = 20 } = options;
+  if (!queueing || typeof queueing.receive !== 'function') {
+    throw new Error('Webhook delivery needs a queue with leases, such as the durable queue');
+  }
+  webhookDispatcher.queueing = queueing;
+  const removeListener = addAuditListener(publishAuditEvent);
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await webhookDispatcher.processQueue({ batchSize });
+    } catch (error) {
+      console.error('Error delivering webhooks:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  return () => {
+    clearInterval(timer);
+    removeListener();
+    webhookDispatcher.queueing = null;
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_QUEUE,
+  WebhookStore,
+  WebhookDispatcher,
+  webhookStore,
+  webhookDispatcher,
+  normalizeWebhookInput,
+  checkWebhookHost,
+  isBlockedAddress,
+  generateWebhookSecret,
+  createWebhook,
+  toPublicWebhook,
+  toDeliverySummary,
+  signWebhookPayload,
+  publishAuditEvent,
+  publishWebhookEvent,
+  startWebhookDelivery
+};
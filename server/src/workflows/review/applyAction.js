@@ -0,0 +1,145 @@
+/**
+ * @fileoverview First step of the document review workflow.
+ *
+ * Applies a submit, approve, reject, withdraw or publish action to the review
+ * of a document and appends it to the audit trail. Actions that are not
+ * allowed in the current state, or by the acting user, leave the review
+ * unchanged and return an `error` with the HTTP status to answer.
+ *
+ * Runs in a worker thread, so it only works on the plain data it is given.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+/**
+ * States each action may start from.
+ */
+const ALLOWED_FROM = {
+  submit: ['draft', 'rejected', 'approved', 'published'],
+  approve: ['in_review'],
+  reject: ['in_review'],
+  withdraw: ['in_review'],
+  publish: ['approved']
+};
+
+/**
+ * Builds the result of a refused action.
+ * @param {Object} data - The workflow data.
+ * @param {number} status - HTTP status for the route to answer with.
+ * @param {string} message - The reason.
+ * @return {Object} The workflow data with the error set.
+ */
+function refuse(data, status, message) {
+  return { ...data, error: { status, message } };
+}
+
+/**
+ * Starts a review round with a fresh set of reviewers.
+ */
+function submit(data, review) {
+  const { action, rules } = data;
+  const reviewers = Array.from(new Set(action.reviewers || []));
+  if (reviewers.length === 0) {
+    return refuse(data, 400, 'At least one reviewer is required');
+  }
+  if (!rules.allowSelfApproval && reviewers.includes(action.actor)) {
+    return refuse(data, 400, 'Authors cannot review their own document');
+  }
+
+  const minApprovals = Math.max(rules.minApprovals, parseInt(action.minApprovals, 10) || 0);
+  if (minApprovals > reviewers.length) {
+    return refuse(data, 400, `At least ${minApprovals} reviewers are required`);
+  }
+
+  review.reviewers = reviewers.map(username => ({ username, decision: 'pending', comment: null, decidedAt: null }));
+  review.minApprovals = minApprovals;
+  review.requestedBy = action.actor;
+  review.requestedAt = data.now;
+  review.approvedAt = null;
+  review.version = action.version;
+  review.publishedCommit = null;
+  return null;
+}
+
+/**
+ * Records the decision of an assigned reviewer.
+ */
+function decide(data, review, decision) {
+  const { action } = data;
+  const reviewer = review.reviewers.find(entry => entry.username === action.actor);
+  if (!reviewer) {
+    return refuse(data, 403, 'Only assigned reviewers can approve or reject this document');
+  }
+  if (reviewer.decision !== 'pending') {
+    return refuse(data, 409, `You already ${reviewer.decision} this document`);
+  }
+  if (action.version !== review.version) {
+    return refuse(data, 409, 'The document changed since it was submitted; it must be submitted again');
+  }
+  if (decision === 'rejected' && !action.comment) {
+    return refuse(data, 400, 'A comment is required to reject a document');
+  }
+
+  reviewer.decision = decision;
+  reviewer.comment = action.comment || null;
+  reviewer.decidedAt = data.now;
+  return null;
+}
+
+/**
+ * Applies the requested action to the review.
+ * @param {Object} data - The workflow data.
+ * @param {Object} data.review - The current review of the document.
+ * @param {Object} data.action - The action: type, actor, isAdmin, comment,
+ *     version and, for submit, reviewers and minApprovals.
+ * @param {Object} data.rules - The approval rules of the space.
+ * @param {string} data.now - Timestamp of the action.
+ * @return {Promise<Object>} The workflow data with the updated review.
+ */
+module.exports = async function applyReviewAction(data) {
+  const { action } = data;
+  const review = JSON.parse(JSON.stringify(data.review));
+  const from = review.state;
+
+  const allowedFrom = ALLOWED_FROM[action.type];
+  if (!allowedFrom) {
+    return refuse(data, 400, `Unknown review action: ${action.type}`);
+  }
+  if (!allowedFrom.includes(from)) {
+    return refuse(data, 409, `Cannot ${action.type} a document that is ${from.replace('_', ' ')}`);
+  }
+
+  let refused = null;
+  if (action.type === 'submit') {
+    refused = submit(data, review);
+    review.state = 'in_review';
+  } else if (action.type === 'approve') {
+    refused = decide(data, review, 'approved');
+  } else if (action.type === 'reject') {
+    refused = decide(data, review, 'rejected');
+  } else if (action.type === 'withdraw') {
+    if (action.actor !== review.requestedBy && !action.isAdmin) {
+      refused = refuse(data, 403, 'Only the author or a space administrator can withdraw the review');
+    }
+    review.state = 'draft';
+  } else if (action.type === 'publish') {
+    review.state = 'published';
+    review.publishedCommit = action.commit || null;
+  }
+  if (refused) {
+    return refused;
+  }
+
+  review.updatedAt = data.now;
+  review.trail.push({
+    action: action.type,
+    actor: action.actor,
+    at: data.now,
+    from,
+    to: review.state,
+    comment: action.comment || null
+  });
+  return { ...data, review, error: null };
+};
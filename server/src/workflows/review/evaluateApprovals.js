@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Second step of the document review workflow.
+ *
+ * Moves a document in review to rejected as soon as one reviewer rejects it,
+ * and to approved once it has the required number of approvals.
+ *
+ * Runs in a worker thread, so it only works on the plain data it is given.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+/**
+ * Evaluates the approval rules for the review.
+ * @param {Object} data - The workflow data from the applyAction step.
+ * @return {Promise<Object>} The workflow data with the review state updated.
+ */
+module.exports = async function evaluateApprovals(data) {
+  if (data.error || data.review.state !== 'in_review') {
+    return data;
+  }
+
+  const review = data.review;
+  const decisions = review.reviewers.map(reviewer => reviewer.decision);
+  const approvals = decisions.filter(decision => decision === 'approved').length;
+
+  if (decisions.includes('rejected')) {
+    review.state = 'rejected';
+  } else if (approvals >= review.minApprovals) {
+    review.state = 'approved';
+    review.approvedAt = data.now;
+  }
+
+  // The trail records the state the action led to
+  review.trail[review.trail.length - 1].to = review.state;
+  return { ...data, review };
+};
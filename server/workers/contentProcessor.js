@@ -6,6 +6,10 @@
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
+const { LINK_QUEUE, extractLinks } = require('../src/utils/linkIndex');
+const { parseFrontMatter } = require('../src/utils/frontMatter');
+const { getCleanMarkdownContent } = require('../src/utils/commentParser');
+const { isDiagramFile, parseDiagram, extractDiagramText } = require('../src/utils/diagramFiles');
 
 // Queue service endpoints
 const QUEUE_BASE_URL = 'http://localhost:3001/api/queueing';
@@ -19,23 +23,31 @@ const CONTENT_QUEUES = [
   'content-processing-low'
 ];
 
+// Seconds a received task stays leased to this processor
+const VISIBILITY_TIMEOUT = 120;
+
 /**
- * Dequeue with priority (check high priority first)
+ * Lease the next task, checking high priority queues first. The task stays
+ * invisible to other processors until it is acknowledged or released, and
+ * is delivered again if this processor stops before either.
  */
-async function dequeueWithPriority() {
+async function receiveWithPriority() {
   for (const queueName of CONTENT_QUEUES) {
     try {
-      const response = await axios.get(`${QUEUE_BASE_URL}/dequeue/${queueName}`);
+      const response = await axios.post(`${QUEUE_BASE_URL}/receive/${queueName}`, null, {
+        params: { visibilityTimeout: VISIBILITY_TIMEOUT }
+      });
       
       if (response.status === 200 && response.data) {
-        const task = response.data;
+        const { leaseId, body: task } = response.data;
         if (task && typeof task === 'object' && task.action) {
-          return task;
+          return { queueName, leaseId, task };
         }
+        await releaseTask(queueName, leaseId, new Error('Malformed task without an action'));
       }
     } catch (error) {
       if (error.response?.status !== 404) {
-        console.error(`Error dequeuing from ${queueName}:`, error.message);
+        console.error(`Error receiving from ${queueName}:`, error.message);
       }
     }
   }
@@ -43,7 +55,34 @@ async function dequeueWithPriority() {
 }
 
 /**
- * Enqueue to another queue
+ * Acknowledge a processed task so it is removed from its queue
+ */
+async function acknowledgeTask(queueName, leaseId) {
+  try {
+    await axios.post(`${QUEUE_BASE_URL}/ack/${queueName}/${leaseId}`);
+  } catch (error) {
+    console.error(`Error acknowledging task from ${queueName}:`, error.message);
+  }
+}
+
+/**
+ * Release a failed task so it is retried with backoff, or dead-lettered
+ */
+async function releaseTask(queueName, leaseId, failure) {
+  try {
+    await axios.post(`${QUEUE_BASE_URL}/nack/${queueName}/${leaseId}`, { error: failure.message }, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    console.error(`Error releasing task from ${queueName}:`, error.message);
+  }
+}
+
+/**
+ * Enqueue to another queue. Throws when the task could not be queued, so
+ * the content task is released and retried rather than losing the work.
  */
 async function enqueueTask(queueName, task) {
   try {
@@ -54,10 +93,11 @@ async function enqueueTask(queueName, task) {
     });
     
     if (response.status !== 200) {
-      console.error(`Failed to enqueue to ${queueName}:`, response.statusText);
+      throw new Error(response.statusText);
     }
   } catch (error) {
     console.error(`Error enqueuing to ${queueName}:`, error.message);
+    throw error;
   }
 }
 
@@ -115,6 +155,23 @@ async function processFileContent(filePath, username, relativePath) {
           type: 'text'
         };
       }
+    } else if (isDiagramFile(relativePath)) {
+      // For diagrams, search their labels and text boxes
+      content = await fs.readFile(filePath, 'utf8');
+      try {
+        searchableText = extractDiagramText(parseDiagram(content));
+        processedContent = {
+          raw: content,
+          clean: searchableText,
+          type: 'diagram'
+        };
+      } catch (e) {
+        processedContent = {
+          raw: content,
+          type: 'diagram',
+          error: e.message
+        };
+      }
     } else if (['.pdf', '.jpg', '.jpeg', '.png', '.gif'].includes(ext)) {
       // For binary files, just store metadata
       searchableText = `${path.basename(relativePath)} ${ext.substring(1)} file`;
@@ -207,9 +264,27 @@ async function processContentTask(task) {
         username,
         timestamp,
         searchableText: processed.searchableText,
+        // Markdown with its headings, split into passages for questions
+        markdown: processed.content && processed.content.type === 'markdown'
+          ? getCleanMarkdownContent(processed.content.raw)
+          : undefined,
+        frontMatter: processed.content && processed.content.type === 'markdown'
+          ? parseFrontMatter(processed.content.raw).data
+          : undefined,
         metadata: processed.metadata
       });
       
+      // Queue link index update for markdown pages
+      if (processed.content && processed.content.type === 'markdown') {
+        await enqueueTask(LINK_QUEUE, {
+          action: 'index',
+          path: relativePath,
+          username,
+          timestamp,
+          links: extractLinks(processed.content.raw)
+        });
+      }
+      
       break;
       
     case 'batch-reindex':
@@ -243,10 +318,16 @@ async function processQueue() {
   
   while (true) {
     try {
-      const task = await dequeueWithPriority();
+      const lease = await receiveWithPriority();
       
-      if (task) {
-        await processContentTask(task);
+      if (lease) {
+        try {
+          await processContentTask(lease.task);
+          await acknowledgeTask(lease.queueName, lease.leaseId);
+        } catch (error) {
+          console.error(`Failed to process content task from ${lease.queueName}:`, error.message);
+          await releaseTask(lease.queueName, lease.leaseId, error);
+        }
       } else {
         // No tasks available, wait before checking again
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -6,6 +6,8 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { LINK_QUEUE, extractLinks } = require('../src/utils/linkIndex');
+const { parseFrontMatter } = require('../src/utils/frontMatter');
 
 // Service endpoints
 const QUEUE_BASE_URL = 'http://localhost:3001/api/queueing';
@@ -198,12 +200,25 @@ async function performGitContentProcessing(operation) {
         spaceAccess: spaceAccess,
         content: searchableText,
         type: fileType,
+        frontMatter: fileType === 'markdown' ? parseFrontMatter(content).data : undefined,
         timestamp: timestamp
       };
       
       await enqueueSearchOperation(searchIndexData);
     }
     
+    // Queue link index update for markdown pages
+    if (fileType === 'markdown') {
+      await enqueueLinkOperation({
+        action: 'index',
+        path: filePath,
+        spaceName: spaceName,
+        spaceAccess: spaceAccess,
+        links: extractLinks(content),
+        timestamp: timestamp
+      });
+    }
+    
     console.log(`Processed git content for: ${spaceName}:${filePath}`);
     
   } catch (error) {
@@ -231,6 +246,25 @@ async function enqueueSearchOperation(data) {
   }
 }
 
+/**
+ * Enqueue link index operation
+ */
+async function enqueueLinkOperation(data) {
+  try {
+    const response = await axios.post(`${QUEUE_BASE_URL}/enqueue/${LINK_QUEUE}`, data, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    if (response.status !== 200) {
+      console.error(`Failed to enqueue link operation:`, response.statusText);
+    }
+  } catch (error) {
+    console.error(`Error enqueuing link operation:`, error.message);
+  }
+}
+
 /**
  * Poll queues and process operations
  */
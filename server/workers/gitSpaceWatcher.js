@@ -44,6 +44,7 @@ const QUEUES = {
   FILE_EVENTS: 'git-file-events',
   CACHE_UPDATES: 'git-cache-updates',
   SEARCH_INDEXING: 'git-search-indexing',
+  LINK_INDEXING: 'link-indexing',
   CONTENT_PROCESSING: 'git-content-processing'
 };
 
@@ -229,6 +230,15 @@ async function handleGitFileEvent(event, filePath, stats = null) {
         spaceAccess: fileEvent.spaceAccess,
         timestamp: fileEvent.timestamp
       });
+      
+      // Queue removal from link index
+      await enqueueEvent(QUEUES.LINK_INDEXING, {
+        action: 'remove',
+        path: fileEvent.relativePath,
+        spaceName: fileEvent.spaceName,
+        spaceAccess: fileEvent.spaceAccess,
+        timestamp: fileEvent.timestamp
+      });
       break;
       
     case 'addDir':
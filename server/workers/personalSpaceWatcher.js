@@ -40,6 +40,7 @@ const QUEUES = {
   FILE_EVENTS: 'file-events',
   CACHE_UPDATES: 'cache-updates',
   SEARCH_INDEXING: 'search-indexing',
+  LINK_INDEXING: 'link-indexing',
   CONTENT_PROCESSING: 'content-processing'
 };
 
@@ -182,6 +183,14 @@ async function handleFileEvent(event, filePath, stats = null) {
         username: fileEvent.username,
         timestamp: fileEvent.timestamp
       });
+      
+      // Queue removal from link index
+      await enqueueEvent(QUEUES.LINK_INDEXING, {
+        action: 'remove',
+        path: fileEvent.relativePath,
+        username: fileEvent.username,
+        timestamp: fileEvent.timestamp
+      });
       break;
       
     case 'addDir':
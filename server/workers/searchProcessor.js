@@ -1,6 +1,10 @@
 /**
  * @fileoverview Search index processor worker
- * Updates search service with processed content
+ * Updates search service with processed content. Documents are keyed as
+ * `${spaceName}:${path}` (Personal space documents use the space name
+ * `Personal:${username}`), matching the keys used by the git space scheduler
+ * so both feed the same index entries. Markdown documents are also split into
+ * passages under the same keys, for answering questions about a space.
  */
 
 const axios = require('axios');
@@ -12,39 +16,77 @@ const SEARCH_BASE_URL = 'http://localhost:3001/api/searching';
 // Queue names for different priorities
 const SEARCH_QUEUES = [
   'search-indexing-high',
+  'git-search-indexing-high',
   'search-indexing-medium',
-  'search-indexing-low'
+  'git-search-indexing-medium',
+  'git-search-indexing',
+  'search-indexing-low',
+  'git-search-indexing-low'
 ];
 
+// Seconds a received task stays leased to this processor
+const VISIBILITY_TIMEOUT = 120;
+
 /**
- * Dequeue with priority (check high priority first)
+ * Lease the next task, checking high priority queues first. The task stays
+ * invisible to other processors until it is acknowledged or released, and
+ * is delivered again if this processor stops before either.
  */
-async function dequeueWithPriority() {
+async function receiveWithPriority() {
   for (const queueName of SEARCH_QUEUES) {
     try {
-      const response = await axios.get(`${QUEUE_BASE_URL}/dequeue/${queueName}`);
+      const response = await axios.post(`${QUEUE_BASE_URL}/receive/${queueName}`, null, {
+        params: { visibilityTimeout: VISIBILITY_TIMEOUT }
+      });
       
       if (response.status === 200 && response.data) {
-        const task = response.data;
+        const { leaseId, body: task } = response.data;
         if (task && typeof task === 'object' && task.action) {
-          return task;
+          return { queueName, leaseId, task };
         }
+        await releaseTask(queueName, leaseId, new Error('Malformed task without an action'));
       }
     } catch (error) {
       if (error.response?.status !== 404) {
-        console.error(`Error dequeuing from ${queueName}:`, error.message);
+        console.error(`Error receiving from ${queueName}:`, error.message);
       }
     }
   }
   return null;
 }
 
+/**
+ * Acknowledge a processed task so it is removed from its queue
+ */
+async function acknowledgeTask(queueName, leaseId) {
+  try {
+    await axios.post(`${QUEUE_BASE_URL}/ack/${queueName}/${leaseId}`);
+  } catch (error) {
+    console.error(`Error acknowledging task from ${queueName}:`, error.message);
+  }
+}
+
+/**
+ * Release a failed task so it is retried with backoff, or dead-lettered
+ */
+async function releaseTask(queueName, leaseId, failure) {
+  try {
+    await axios.post(`${QUEUE_BASE_URL}/nack/${queueName}/${leaseId}`, { error: failure.message }, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    console.error(`Error releasing task from ${queueName}:`, error.message);
+  }
+}
+
 /**
  * Search service operations
  */
 async function addToSearchIndex(key, searchData) {
   try {
-    const response = await axios.post(`${SEARCH_BASE_URL}/add/${encodeURIComponent(key)}`, searchData, {
+    const response = await axios.put(`${SEARCH_BASE_URL}/update/${encodeURIComponent(key)}`, searchData, {
       headers: {
         'Content-Type': 'application/json'
       }
@@ -64,7 +106,7 @@ async function addToSearchIndex(key, searchData) {
 
 async function removeFromSearchIndex(key) {
   try {
-    const response = await axios.delete(`${SEARCH_BASE_URL}/remove/${encodeURIComponent(key)}`);
+    const response = await axios.delete(`${SEARCH_BASE_URL}/delete/${encodeURIComponent(key)}`);
     
     if (response.status !== 200) {
       console.error(`Failed to remove from search index ${key}:`, response.statusText);
@@ -81,50 +123,77 @@ async function removeFromSearchIndex(key) {
   }
 }
 
+async function updatePassages(key, passageData) {
+  try {
+    await axios.put(`${SEARCH_BASE_URL}/passages/${encodeURIComponent(key)}`, passageData, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error updating passages of ${key}:`, error.message);
+    return false;
+  }
+}
+
+async function removePassages(key) {
+  try {
+    await axios.delete(`${SEARCH_BASE_URL}/passages/${encodeURIComponent(key)}`);
+    return true;
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      console.error(`Error removing passages of ${key}:`, error.message);
+      return false;
+    }
+    return true;
+  }
+}
+
 /**
  * Process search indexing task
  */
 async function processSearchTask(task) {
-  const { action, path: relativePath, username, searchableText, metadata } = task;
+  const { action, path: relativePath, username } = task;
   
-  // Create a unique search key for this user's file
-  const searchKey = `personal:${username}:${relativePath}`;
+  // Personal tasks carry a username, git space tasks carry a space name
+  const spaceName = task.spaceName || `Personal:${username}`;
+  const searchKey = `${spaceName}:${relativePath}`;
   
   switch (action) {
     case 'index':
-      console.log(`Indexing for search: ${username}:${relativePath}`);
-      
-      const searchData = {
-        path: relativePath,
-        username,
-        content: searchableText,
-        title: extractTitle(searchableText, relativePath),
-        type: metadata.type,
-        size: metadata.size,
-        mtime: metadata.mtime,
-        indexedAt: new Date().toISOString(),
-        // Additional searchable fields
-        filename: relativePath.split('/').pop(),
-        directory: relativePath.split('/').slice(0, -1).join('/'),
-        extension: metadata.type
-      };
-      
-      await addToSearchIndex(searchKey, searchData);
+      console.log(`Indexing for search: ${searchKey}`);
+      const searchData = buildSearchData(task, spaceName);
+      if (!(await addToSearchIndex(searchKey, searchData))) {
+        throw new Error(`Could not index ${searchKey}`);
+      }
+      const markdown = getPassageMarkdown(task);
+      if (markdown !== null && !(await updatePassages(searchKey, { ...searchData, content: markdown }))) {
+        throw new Error(`Could not update the passages of ${searchKey}`);
+      }
       break;
       
     case 'remove':
-      console.log(`Removing from search index: ${username}:${relativePath}`);
-      await removeFromSearchIndex(searchKey);
+      console.log(`Removing from search index: ${searchKey}`);
+      if (!(await removeFromSearchIndex(searchKey)) || !(await removePassages(searchKey))) {
+        throw new Error(`Could not remove ${searchKey} from the index`);
+      }
       break;
       
     case 'bulk-index':
       // Handle bulk indexing operations
       const { items } = task;
-      console.log(`Bulk indexing ${items.length} items for user: ${username}`);
+      console.log(`Bulk indexing ${items.length} items for space: ${spaceName}`);
       
       for (const item of items) {
-        const itemSearchKey = `personal:${username}:${item.path}`;
-        await addToSearchIndex(itemSearchKey, item.searchData);
+        const itemSearchKey = `${spaceName}:${item.path}`;
+        if (!(await addToSearchIndex(itemSearchKey, item.searchData))) {
+          throw new Error(`Could not index ${itemSearchKey}`);
+        }
+        if (/\.(md|markdown)$/i.test(item.path) && typeof item.searchData.content === 'string' &&
+            !(await updatePassages(itemSearchKey, item.searchData))) {
+          throw new Error(`Could not update the passages of ${itemSearchKey}`);
+        }
       }
       break;
       
@@ -133,6 +202,46 @@ async function processSearchTask(task) {
   }
 }
 
+/**
+ * Build the indexed document for a task
+ */
+function buildSearchData(task, spaceName) {
+  const relativePath = task.path;
+  const content = task.searchableText !== undefined ? task.searchableText : task.content;
+  const metadata = task.metadata || {};
+  const fileType = metadata.type || task.type;
+
+  return {
+    spaceName,
+    filePath: relativePath,
+    fileName: relativePath.split('/').pop(),
+    title: extractTitle(content, relativePath),
+    content,
+    fileType,
+    size: metadata.size,
+    mtime: metadata.mtime,
+    frontMatter: task.frontMatter,
+    indexedAt: new Date().toISOString(),
+    // Additional searchable fields
+    directory: relativePath.split('/').slice(0, -1).join('/')
+  };
+}
+
+/**
+ * Markdown the passages of a task are cut from, with its headings. Personal
+ * tasks carry it as `markdown` next to the flattened search text; git space
+ * tasks send clean markdown as their content. Null for other files.
+ */
+function getPassageMarkdown(task) {
+  if (typeof task.markdown === 'string') {
+    return task.markdown;
+  }
+  if (task.type === 'markdown' && typeof task.content === 'string') {
+    return task.content;
+  }
+  return null;
+}
+
 /**
  * Extract title from content for search results
  */
@@ -167,10 +276,16 @@ async function processQueue() {
   
   while (true) {
     try {
-      const task = await dequeueWithPriority();
+      const lease = await receiveWithPriority();
       
-      if (task) {
-        await processSearchTask(task);
+      if (lease) {
+        try {
+          await processSearchTask(lease.task);
+          await acknowledgeTask(lease.queueName, lease.leaseId);
+        } catch (error) {
+          console.error(`Failed to process search task from ${lease.queueName}:`, error.message);
+          await releaseTask(lease.queueName, lease.leaseId, error);
+        }
       } else {
         // No tasks available, wait before checking again
         await new Promise(resolve => setTimeout(resolve, 1000));
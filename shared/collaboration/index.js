@@ -0,0 +1,464 @@
+/**
+ * @fileoverview Real-time collaboration client shared by the web, Electron
+ * and VS Code clients.
+ *
+ * Joins a document on the server's collaboration WebSocket and keeps the
+ * local text in sync with other participants using operational
+ * transformation. Each client passes a `createSocket` function that opens
+ * the WebSocket in its own environment: the browser WebSocket with the
+ * session cookie, or the `ws` package with a bearer token. The text
+ * operation helpers mirror server/src/utils/textOperation.js and must stay
+ * in step with it.
+ *
+ * An operation is an array of components: a positive integer retains that
+ * many characters, a negative integer deletes that many characters and a
+ * string inserts that text.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isDelete = (component) => typeof component === 'number' && component < 0;
+const isInsert = (component) => typeof component === 'string';
+
+function pushComponent(operation, component) {
+  if (component === 0 || component === '') {
+    return;
+  }
+  const last = operation[operation.length - 1];
+  if ((isRetain(last) && isRetain(component)) || (isDelete(last) && isDelete(component))) {
+    operation[operation.length - 1] = last + component;
+  } else if (isInsert(last) && isInsert(component)) {
+    operation[operation.length - 1] = last + component;
+  } else {
+    operation.push(component);
+  }
+}
+
+/**
+ * Applies an operation to a text.
+ * @param {string} text - The text.
+ * @param {Array} operation - The operation.
+ * @return {string} The resulting text.
+ */
+function applyOperation(text, operation) {
+  const parts = [];
+  let index = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      parts.push(text.slice(index, index + component));
+      index += component;
+    } else if (isDelete(component)) {
+      index -= component;
+    } else {
+      parts.push(component);
+    }
+  }
+  if (index !== text.length) {
+    throw new Error('Operation does not match the document length');
+  }
+  return parts.join('');
+}
+
+/**
+ * Transforms two concurrent operations. When both insert at the same
+ * position the text of `a` goes first.
+ * @param {Array} a - The first operation.
+ * @param {Array} b - The second operation.
+ * @return {Array<Array>} `[a', b']` where a' applies after b and b' after a.
+ */
+function transformOperation(a, b) {
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let componentA = a[i++];
+  let componentB = b[j++];
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isInsert(componentA)) {
+      pushComponent(aPrime, componentA);
+      pushComponent(bPrime, componentA.length);
+      componentA = a[i++];
+      continue;
+    }
+    if (isInsert(componentB)) {
+      pushComponent(aPrime, componentB.length);
+      pushComponent(bPrime, componentB);
+      componentB = b[j++];
+      continue;
+    }
+    if (componentA === undefined || componentB === undefined) {
+      throw new Error('Concurrent operations must apply to the same document length');
+    }
+
+    const lengthA = Math.abs(componentA);
+    const lengthB = Math.abs(componentB);
+    const length = Math.min(lengthA, lengthB);
+
+    if (isRetain(componentA) && isRetain(componentB)) {
+      pushComponent(aPrime, length);
+      pushComponent(bPrime, length);
+    } else if (isDelete(componentA) && isRetain(componentB)) {
+      pushComponent(aPrime, -length);
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      pushComponent(bPrime, -length);
+    }
+
+    componentA = lengthA === length ? a[i++] : Math.sign(componentA) * (lengthA - length);
+    componentB = lengthB === length ? b[j++] : Math.sign(componentB) * (lengthB - length);
+  }
+
+  return [aPrime, bPrime];
+}
+
+/**
+ * Builds the operation that turns one text into another.
+ * @param {string} oldText - The current text.
+ * @param {string} newText - The desired text.
+ * @return {Array} The operation.
+ */
+function diffOperation(oldText, newText) {
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (suffix < maxSuffix &&
+         oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const operation = [];
+  pushComponent(operation, prefix);
+  pushComponent(operation, -(oldText.length - prefix - suffix));
+  pushComponent(operation, newText.slice(prefix, newText.length - suffix));
+  pushComponent(operation, suffix);
+  return operation;
+}
+
+/**
+ * Maps a cursor position through an operation.
+ * @param {number} index - The position before the operation.
+ * @param {Array} operation - The operation.
+ * @return {number} The position after the operation.
+ */
+function transformIndex(index, operation) {
+  let newIndex = index;
+  let position = 0;
+  for (const component of operation) {
+    if (position > index) break;
+    if (isRetain(component)) {
+      position += component;
+    } else if (isInsert(component)) {
+      newIndex += component.length;
+    } else {
+      newIndex -= Math.min(-component, index - position);
+      position -= component;
+    }
+  }
+  return newIndex;
+}
+
+/**
+ * Keeps one document in sync with the collaboration server.
+ *
+ * The client tracks three versions of the text: `confirmed` is the server
+ * text at `version`, `shadow` adds the operation awaiting acknowledgement
+ * and `text` adds local edits not sent yet. Only one operation is in flight
+ * at a time; edits made meanwhile are sent once it is acknowledged.
+ */
+class CollaborationClient {
+  /**
+   * @param {Object} options - Client options.
+   * @param {string} options.space - The space name.
+   * @param {string} options.path - The file path within the space.
+   * @param {Function} options.createSocket - Opens a WebSocket to the collaboration endpoint.
+   * @param {Function} [options.onText] - Called with (text, operation, username) when the text changed; the operation is null on the first join.
+   * @param {Function} [options.onStatus] - Called with the connection status and edit rights.
+   * @param {Function} [options.onPresence] - Called with the other participants.
+   * @param {Function} [options.onSaved] - Called with (savedAt, synchronized) after the server saved.
+   * @param {Function} [options.onClosed] - Called with the reason when the document is closed.
+   * @param {Function} [options.onError] - Called with the error text and the whole error message from the server.
+   */
+  constructor(options) {
+    this.space = options.space;
+    this.path = options.path;
+    this.docId = `${options.space}:${options.path}`;
+    this.handlers = options;
+    this.socket = null;
+    this.clientId = null;
+    this.joined = false;
+    this.canEdit = false;
+    this.version = 0;
+    this.confirmed = null;
+    this.shadow = null;
+    this.text = null;
+    this.pending = null;
+    this.cursor = null;
+    this.participants = [];
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Opens the connection and joins the document.
+   */
+  connect() {
+    this.stopped = false;
+    this.socket = this.handlers.createSocket();
+    this.emitStatus_('connecting');
+
+    this.socket.onopen = () => {
+      this.reconnectAttempt = 0;
+      this.send_({ type: 'join', space: this.space, path: this.path });
+    };
+    this.socket.onmessage = (event) => {
+      try {
+        this.handleMessage_(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Error handling collaboration message:', error);
+      }
+    };
+    this.socket.onclose = () => {
+      this.socket = null;
+      this.joined = false;
+      if (!this.stopped) {
+        this.emitStatus_('offline');
+        const delay = RECONNECT_DELAYS[Math.min(this.reconnectAttempt++, RECONNECT_DELAYS.length - 1)];
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+      }
+    };
+  }
+
+  /**
+   * Leaves the document and closes the connection.
+   */
+  disconnect() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) {
+      if (this.joined) {
+        this.send_({ type: 'leave', docId: this.docId });
+      }
+      this.socket.close();
+      this.socket = null;
+    }
+    this.joined = false;
+  }
+
+  /**
+   * Whether every local edit has been acknowledged by the server.
+   * @return {boolean} True when synchronized.
+   */
+  isSynchronized() {
+    return !this.pending && this.text === this.shadow;
+  }
+
+  /**
+   * Records the local text after an edit and sends the change.
+   * @param {string} text - The full local text.
+   */
+  update(text) {
+    if (this.text === null || text === this.text) {
+      return;
+    }
+    const operation = diffOperation(this.text, text);
+    this.participants = this.participants.map(participant => this.moveCursor_(participant, operation));
+    this.text = text;
+    this.sendPending_();
+  }
+
+  /**
+   * Shares the local cursor or selection.
+   * @param {number} anchor - Selection start offset in the local text.
+   * @param {number} [head] - Selection end offset in the local text.
+   */
+  setCursor(anchor, head = anchor) {
+    this.cursor = { anchor, head };
+    this.sendCursor_();
+  }
+
+  handleMessage_(message) {
+    if (message.docId && message.docId !== this.docId) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'joined':
+        this.handleJoined_(message);
+        break;
+      case 'ack':
+        this.version = message.version;
+        this.confirmed = this.shadow;
+        this.pending = null;
+        this.sendPending_();
+        this.sendCursor_();
+        break;
+      case 'operation':
+        this.handleOperation_(message);
+        break;
+      case 'presence':
+        this.participants = message.participants.filter(participant => participant.clientId !== this.clientId);
+        this.emitPresence_();
+        break;
+      case 'cursor':
+        this.participants = this.participants.map(participant =>
+          participant.clientId === message.clientId ? { ...participant, cursor: message.cursor } : participant
+        );
+        this.emitPresence_();
+        break;
+      case 'saved':
+        if (this.handlers.onSaved) {
+          this.handlers.onSaved(message.savedAt, this.isSynchronized());
+        }
+        break;
+      case 'closed':
+        this.disconnect();
+        this.emitStatus_('closed');
+        if (this.handlers.onClosed) {
+          this.handlers.onClosed(message.reason);
+        }
+        break;
+      case 'error':
+        if (message.code === 'resync' && this.socket) {
+          this.send_({ type: 'join', space: this.space, path: this.path });
+          break;
+        }
+        if (this.handlers.onError) {
+          this.handlers.onError(message.error, message);
+        }
+        // The document could not be joined, e.g. the role does not allow it
+        if (!this.joined) {
+          this.disconnect();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  handleJoined_(message) {
+    const content = message.content;
+    let text = content;
+
+    // Carry local edits made while disconnected over to the server text
+    if (this.text !== null && this.text !== content && message.canEdit) {
+      let base = this.confirmed;
+      if (this.pending && applyOperation(this.confirmed, this.pending) === content) {
+        base = content;
+      }
+      if (base === content) {
+        text = this.text;
+      } else {
+        const [local] = transformOperation(diffOperation(base, this.text), diffOperation(base, content));
+        text = applyOperation(content, local);
+      }
+    }
+
+    this.clientId = message.clientId;
+    this.joined = true;
+    this.canEdit = message.canEdit;
+    this.version = message.version;
+    this.confirmed = content;
+    this.shadow = content;
+    this.pending = null;
+    this.participants = message.participants.filter(participant => participant.clientId !== this.clientId);
+
+    const previousText = this.text;
+    this.text = text;
+    if (text !== previousText && this.handlers.onText) {
+      this.handlers.onText(text, previousText === null ? null : diffOperation(previousText, text));
+    }
+    this.emitStatus_('live');
+    this.emitPresence_();
+    this.sendPending_();
+  }
+
+  handleOperation_(message) {
+    let remote = message.operation;
+    const buffer = diffOperation(this.shadow, this.text);
+
+    this.confirmed = applyOperation(this.confirmed, remote);
+    this.version = message.version;
+    if (this.pending) {
+      [this.pending, remote] = transformOperation(this.pending, remote);
+    }
+    this.shadow = applyOperation(this.shadow, remote);
+
+    const [, remoteForText] = transformOperation(buffer, remote);
+    this.text = applyOperation(this.text, remoteForText);
+    this.participants = this.participants.map(participant => this.moveCursor_(participant, remoteForText));
+
+    if (this.handlers.onText) {
+      this.handlers.onText(this.text, remoteForText, message.username);
+    }
+    this.emitPresence_();
+  }
+
+  sendPending_() {
+    if (!this.joined || !this.canEdit || this.pending || this.text === this.shadow) {
+      return;
+    }
+    this.pending = diffOperation(this.shadow, this.text);
+    this.shadow = this.text;
+    this.send_({ type: 'operation', docId: this.docId, version: this.version, operation: this.pending });
+  }
+
+  sendCursor_() {
+    // Cursor offsets are only meaningful to others once the server has the same text
+    if (this.joined && this.cursor && this.isSynchronized()) {
+      this.send_({ type: 'cursor', docId: this.docId, cursor: this.cursor });
+    }
+  }
+
+  moveCursor_(participant, operation) {
+    if (!participant.cursor) {
+      return participant;
+    }
+    return {
+      ...participant,
+      cursor: {
+        anchor: transformIndex(participant.cursor.anchor, operation),
+        head: transformIndex(participant.cursor.head, operation)
+      }
+    };
+  }
+
+  send_(message) {
+    if (this.socket && this.socket.readyState === this.socket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  emitStatus_(status) {
+    if (this.handlers.onStatus) {
+      this.handlers.onStatus(status, this.canEdit);
+    }
+  }
+
+  emitPresence_() {
+    if (this.handlers.onPresence) {
+      this.handlers.onPresence(this.participants);
+    }
+  }
+}
+
+module.exports = {
+  isRetain,
+  isDelete,
+  isInsert,
+  applyOperation,
+  transformOperation,
+  diffOperation,
+  transformIndex,
+  CollaborationClient
+};
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Diagram block of the Markdown previews, shared by the web and
+ * Electron clients.
+ *
+ * Renders fenced ```mermaid and ```plantuml blocks as diagrams. Mermaid draws
+ * in the browser and is only loaded once a page uses it; PlantUML is rendered
+ * to SVG by the local PlantUML of the server. A diagram that cannot be
+ * rendered shows its source and the reason.
+ *
+ * Each client builds the component with `createDiagramBlock`, passing its own
+ * React, a loader of its Mermaid bundle and its PlantUML API call. The module
+ * is plain JavaScript without JSX, as the clients only compile JSX in their
+ * own sources.
+ *
+ * @author Design Artifacts Team
+ * @version 1.0.0
+ * @since 2025-08-04
+ */
+
+/** Languages of fenced code blocks rendered as diagrams */
+const DIAGRAM_LANGUAGES = ['mermaid', 'plantuml'];
+
+/** Milliseconds to wait for typing to pause before rendering */
+const RENDER_DELAY = 300;
+
+/**
+ * Builds the diagram block of a client.
+ * @param {Object} options - Client bindings.
+ * @param {Object} options.React - The React of the client.
+ * @param {Function} options.importMermaid - Imports the Mermaid module.
+ * @param {Function} options.renderPlantUml - Renders a PlantUML diagram to SVG text.
+ * @return {{DiagramBlock: Function, getCodeText: Function}} The component and its text helper.
+ */
+function createDiagramBlock({ React, importMermaid, renderPlantUml }) {
+  const { createElement: h, useEffect, useState } = React;
+
+  let mermaidLoader = null;
+  let mermaidCount = 0;
+
+  /**
+   * Loads and sets up Mermaid on first use.
+   * @return {Promise<Object>} The Mermaid API.
+   */
+  const loadMermaid = () => {
+    if (!mermaidLoader) {
+      mermaidLoader = importMermaid().then(({ default: mermaid }) => {
+        // Strict keeps scripts and click handlers out of the drawn diagrams
+        mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+        return mermaid;
+      });
+    }
+    return mermaidLoader;
+  };
+
+  /**
+   * Text of the children of a code element, which may have been split into
+   * highlighted tokens.
+   * @param {*} children - The children.
+   * @return {string} The text.
+   */
+  const getCodeText = (children) =>
+    React.Children.toArray(children)
+      .map(child => (typeof child === 'object' ? getCodeText(child.props?.children) : String(child)))
+      .join('');
+
+  /**
+   * DiagramBlock component rendering one diagram.
+   * @param {Object} props - Component properties.
+   * @param {string} props.language - 'mermaid' or 'plantuml'.
+   * @param {string} props.source - The diagram.
+   * @return {JSX.Element} The DiagramBlock component.
+   */
+  const DiagramBlock = ({ language, source }) => {
+    const [diagram, setDiagram] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+      let cancelled = false;
+
+      const timer = setTimeout(async () => {
+        try {
+          if (language === 'mermaid') {
+            const mermaid = await loadMermaid();
+            mermaidCount += 1;
+            const { svg } = await mermaid.render(`mermaid-diagram-${mermaidCount}`, source);
+            if (!cancelled) {
+              setDiagram({ svg });
+              setError(null);
+            }
+          } else {
+            const svg = await renderPlantUml(source);
+            if (!cancelled) {
+              // Shown as an image, so nothing in the SVG runs in the page
+              setDiagram({ imageUrl: URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' })) });
+              setError(null);
+            }
+          }
+        } catch (err) {
+          if (!cancelled) {
+            setError(err.message || String(err));
+          }
+        }
+      }, RENDER_DELAY);
+
+      return () => {
+        cancelled = true;
+        clearTimeout(timer);
+      };
+    }, [language, source]);
+
+    // The previous image stays up until the next one is ready
+    useEffect(() => () => {
+      if (diagram?.imageUrl) {
+        URL.revokeObjectURL(diagram.imageUrl);
+      }
+    }, [diagram]);
+
+    if (error) {
+      return h('div', { className: 'diagram-block diagram-error' },
+        h('div', { className: 'text-danger small mb-1' },
+          h('i', { className: 'bi bi-exclamation-triangle me-1' }),
+          `${language === 'mermaid' ? 'Mermaid' : 'PlantUML'} diagram could not be rendered: ${error}`
+        ),
+        h('pre', null, h('code', null, source))
+      );
+    }
+
+    if (!diagram) {
+      return h('div', { className: 'diagram-block text-muted small' },
+        h('span', { className: 'spinner-border spinner-border-sm me-2', role: 'status' }),
+        'Rendering diagram...'
+      );
+    }
+
+    return h('div', { className: 'diagram-block', style: { margin: '1rem 0', textAlign: 'center', overflowX: 'auto' } },
+      diagram.svg
+        ? h('div', { dangerouslySetInnerHTML: { __html: diagram.svg } })
+        : h('img', { src: diagram.imageUrl, alt: 'PlantUML diagram', style: { maxWidth: '100%' } })
+    );
+  };
+
+  return { DiagramBlock, getCodeText };
+}
+
+module.exports = {
+  DIAGRAM_LANGUAGES,
+  createDiagramBlock
+};
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Unit tests for the AI assistant prompts, providers and space settings.
+ * @jest-environment node
+ */
+
+const http = require('http');
+const OllamaAI = require('../../../server/integrations/ollama-ai');
+const {
+  AI_ACTIONS,
+  DEFAULT_PRINCIPLES,
+  MockAiProvider,
+  normalizeAiConfig,
+  getSpaceAiConfig,
+  buildAssistantPrompt,
+  createAiProvider
+} = require('../../../server/src/utils/aiAssistant');
+
+describe('AI settings of a space', () => {
+  it('should validate and clean the settings', () => {
+    expect(normalizeAiConfig({ provider: 'ollama', model: ' llama3 ', host: 'http://gpu-box:11434/', principlesPath: '/adr/principles.md' }))
+      .toEqual({ config: { provider: 'ollama', model: 'llama3', host: 'http://gpu-box:11434', principlesPath: 'adr/principles.md' } });
+    expect(normalizeAiConfig({ provider: '' })).toEqual({ config: null });
+    expect(normalizeAiConfig({ provider: 'gpt' }).error).toMatch(/Provider must be one of: claude, ollama, mock/);
+    expect(normalizeAiConfig({ provider: 'ollama', host: 'ftp://box' }).error).toMatch(/http or https URL/);
+    expect(normalizeAiConfig({ provider: 'mock', principlesPath: '../secrets.md' }).error).toMatch(/markdown file in the space/);
+    expect(normalizeAiConfig({ provider: 'mock', maxTokens: '50' }).error).toMatch(/between 100 and 8000/);
+  });
+
+  it('should fill in defaults and treat spaces without settings as disabled', () => {
+    expect(getSpaceAiConfig({ space: 'docs' })).toBeNull();
+    expect(getSpaceAiConfig({ space: 'docs', ai: { provider: 'ollama' } }))
+      .toEqual({ provider: 'ollama', model: 'llama3', host: null, principlesPath: null, maxTokens: 2000 });
+  });
+});
+
+describe('assistant prompts', () => {
+  const content = '# ADR 7\n\nWe use Kafka for events. See https://kafka.apache.org';
+
+  it('should work on the selection when there is one', () => {
+    const { prompt } = buildAssistantPrompt('summarize', { content, selection: 'We use Kafka for events.' });
+    expect(prompt).toMatch(/following excerpt/);
+    expect(prompt).toContain('<document>\nWe use Kafka for events.\n</document>');
+    expect(prompt).not.toContain('ADR 7');
+  });
+
+  it('should keep the document as written', () => {
+    const { prompt } = buildAssistantPrompt('rewrite', { content, instruction: 'Make it formal.' });
+    expect(prompt).toMatch(/^Rewrite the following text\. Make it formal\./);
+    expect(prompt).toContain('https://kafka.apache.org');
+  });
+
+  it('should review against the principles of the space or the defaults', () => {
+    expect(buildAssistantPrompt('review', { content }).prompt).toContain(DEFAULT_PRINCIPLES);
+    const { prompt } = buildAssistantPrompt('review', { content, principles: '1. Events are immutable.' });
+    expect(prompt).toContain('Principles:\n1. Events are immutable.');
+    expect(prompt).not.toContain(DEFAULT_PRINCIPLES);
+  });
+
+  it('should draft from the template outline', () => {
+    const template = { files: [{ path: 'diagram.json', content: '{}' }, { path: 'index.md', content: '# {{title}}\n\n## Context' }] };
+    const { prompt } = buildAssistantPrompt('draft', { template, instruction: 'Moving billing to events' });
+    expect(prompt).toMatch(/^Write a first draft of a document about: Moving billing to events/);
+    expect(prompt).toContain('<template>\n# {{title}}\n\n## Context\n</template>');
+  });
+
+  it('should refuse requests that miss what the action needs', () => {
+    expect(() => buildAssistantPrompt('ask', { content })).toThrow('Question is required');
+    expect(() => buildAssistantPrompt('draft', { instruction: 'x' })).toThrow('Template is required');
+    expect(() => buildAssistantPrompt('review', { content: '  ' })).toThrow('Content is required');
+    expect(() => buildAssistantPrompt('translate', { content })).toThrow("Unknown action 'translate'");
+    expect(Object.keys(AI_ACTIONS)).toEqual(['summarize', 'rewrite', 'review', 'draft', 'ask']);
+  });
+});
+
+describe('AI providers', () => {
+  it('should stream the mock answer word by word', async () => {
+    const provider = new MockAiProvider({ reply: () => 'A short answer.' });
+    const chunks = [];
+    const result = await provider.stream({ system: '', prompt: 'x' }, text => chunks.push(text));
+    expect(chunks).toEqual(['A ', 'short ', 'answer.']);
+    expect(result).toEqual({ text: 'A short answer.', model: 'mock' });
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(provider.stream({ prompt: 'x', signal: controller.signal })).rejects.toThrow('Request aborted');
+    expect(createAiProvider({ provider: 'mock' })).toBeInstanceOf(MockAiProvider);
+  });
+
+  it('should read the streamed lines of an Ollama server', async () => {
+    let received;
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = JSON.parse(body);
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        // A line split across two writes must still be read as one
+        res.write('{"response":"Event ","done":false}\n{"respon');
+        res.write('se":"sourcing","done":false}\n');
+        res.end('{"response":"","done":true}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const ollama = new OllamaAI('llama3', { host: `http://127.0.0.1:${server.address().port}/` });
+      const chunks = [];
+      const result = await ollama.streamText('Summarize', { system: 'Be brief', maxTokens: 200 }, text => chunks.push(text));
+
+      expect(received).toEqual({ model: 'llama3', prompt: 'Summarize', system: 'Be brief', options: { num_predict: 200 }, stream: true });
+      expect(chunks).toEqual(['Event ', 'sourcing']);
+      expect(result).toEqual({ response: 'Event sourcing', model: 'llama3' });
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const {
+  normalizeApiKeyScope,
+  isApiKeyExpired,
+  isIpAllowed,
+  describeApiKeyScope
+} = require('../../../server/src/auth/apiKeyScopes');
+const { setApiKeyAuditFile, recordApiKeyUse, readApiKeyUsage } = require('../../../server/src/auth/apiKeyAudit');
+const { resolveSpaceRole, hasSpacePermission } = require('../../../server/src/utils/spaceRoles');
+
+describe('API key scopes', () => {
+  const spaceConfigs = {
+    Shared: { space: 'Shared', access: 'write', roles: { users: { jane: 'admin' } } },
+    Archive: { space: 'Archive', access: 'readonly' }
+  };
+
+  it('should validate and normalise scopes', () => {
+    expect(normalizeApiKeyScope({}, spaceConfigs).scope).toEqual({
+      spaces: null, access: 'read', expiresAt: null, allowedIps: []
+    });
+
+    const { scope } = normalizeApiKeyScope({
+      spaces: ['Shared', 'Shared'],
+      access: 'write',
+      expiresInDays: 30,
+      allowedIps: '10.0.0.0/8, 192.168.1.20'
+    }, spaceConfigs);
+    expect(scope.spaces).toEqual(['Shared']);
+    expect(scope.allowedIps).toEqual(['10.0.0.0/8', '192.168.1.20']);
+    expect(new Date(scope.expiresAt).getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+    expect(normalizeApiKeyScope({ access: 'admin' }, spaceConfigs).error).toMatch('Access must be one of');
+    expect(normalizeApiKeyScope({ spaces: ['Nope'] }, spaceConfigs).error).toBe('Unknown spaces: Nope');
+    expect(normalizeApiKeyScope({ spaces: [] }, spaceConfigs).error).toMatch('non-empty array');
+    expect(normalizeApiKeyScope({ expiresAt: '2001-01-01' }, spaceConfigs).error).toBe('Expiry must be a date in the future');
+    expect(normalizeApiKeyScope({ allowedIps: ['10.0.0.0/33', 'host'] }, spaceConfigs).error)
+      .toBe('Invalid IP addresses or ranges: 10.0.0.0/33, host');
+  });
+
+  it('should check expiry and IP allow-lists', () => {
+    expect(isApiKeyExpired({})).toBe(false);
+    expect(isApiKeyExpired({ scope: { expiresAt: '2001-01-01T00:00:00.000Z' } })).toBe(true);
+    expect(describeApiKeyScope({}).access).toBe('full');
+
+    const allowList = ['10.0.0.0/8', '192.168.1.20', '2001:db8::/32'];
+    expect(isIpAllowed([], '203.0.113.9')).toBe(true);
+    expect(isIpAllowed(allowList, '10.20.30.40')).toBe(true);
+    expect(isIpAllowed(allowList, '::ffff:192.168.1.20')).toBe(true);
+    expect(isIpAllowed(allowList, '2001:db8::1')).toBe(true);
+    expect(isIpAllowed(allowList, '192.168.1.21')).toBe(false);
+    expect(isIpAllowed(allowList, undefined)).toBe(false);
+  });
+
+  it('should limit space roles to the scope of the key', () => {
+    const jane = { username: 'jane', spaces: 'Shared, Archive' };
+    expect(resolveSpaceRole(jane, spaceConfigs.Shared)).toBe('admin');
+
+    const readKey = { ...jane, apiKeyScope: { spaces: ['Shared'], access: 'read' } };
+    expect(resolveSpaceRole(readKey, spaceConfigs.Shared)).toBe('viewer');
+    expect(resolveSpaceRole(readKey, spaceConfigs.Archive)).toBeNull();
+
+    const writeKey = { ...jane, apiKeyScope: { spaces: null, access: 'write' } };
+    expect(resolveSpaceRole(writeKey, spaceConfigs.Shared)).toBe('editor');
+    expect(hasSpacePermission(resolveSpaceRole(writeKey, spaceConfigs.Shared), 'manage')).toBe(false);
+    expect(resolveSpaceRole(writeKey, spaceConfigs.Archive)).toBe('viewer');
+  });
+});
+
+describe('API key audit log', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-key-audit-'));
+    setApiKeyAuditFile(path.join(tempDir, 'audit.log'));
+  });
+
+  afterEach(() => {
+    setApiKeyAuditFile(null);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should log each request once with its response status', async () => {
+    const res = Object.assign(new EventEmitter(), { writableEnded: false, statusCode: 200 });
+    const req = { ip: '10.0.0.5', method: 'GET', originalUrl: '/api/Shared/files/a.md?token=secret', res };
+
+    recordApiKeyUse(req, { keyId: 'k1', userId: 'u1', outcome: 'allowed' });
+    recordApiKeyUse(req, { keyId: 'k1', userId: 'u1', outcome: 'allowed' });
+    res.statusCode = 403;
+    res.emit('finish');
+    recordApiKeyUse({ ip: '10.0.0.6', method: 'POST', url: '/api/x' }, { keyId: 'k1', userId: 'u1', outcome: 'denied', reason: 'expired' });
+    recordApiKeyUse(undefined, { keyId: 'k2', userId: 'u1', outcome: 'allowed' });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const usage = await readApiKeyUsage('k1');
+    expect(usage).toHaveLength(2);
+    expect(usage[0]).toMatchObject({ outcome: 'denied', reason: 'expired', ip: '10.0.0.6', path: '/api/x' });
+    expect(usage[1]).toMatchObject({ outcome: 'allowed', status: 403, method: 'GET', path: '/api/Shared/files/a.md' });
+    expect(await readApiKeyUsage('missing')).toEqual([]);
+  });
+});
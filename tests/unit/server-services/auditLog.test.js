@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Unit tests for the audit log.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  setAuditLogFile,
+  hashAuditState,
+  recordAudit,
+  normalizeAuditFilters,
+  queryAuditLog,
+  verifyAuditLog,
+  formatAuditCsv
+} = require('../../../server/src/utils/auditLog');
+const { computeContentVersion } = require('../../../server/src/utils/contentVersion');
+
+describe('Audit log', () => {
+  let tempDir;
+  let auditFile;
+
+  const request = (username, spaceName = 'Shared') => ({
+    user: { id: 7, username },
+    ip: '10.0.0.5',
+    spaceName
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    auditFile = path.join(tempDir, 'audit-log.jsonl');
+    setAuditLogFile(auditFile);
+  });
+
+  afterEach(() => {
+    setAuditLogFile(null);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should record who did what, where, with before and after hashes', async () => {
+    const entry = await recordAudit(
+      { ...request('alice'), user: { id: 7, username: 'alice', apiKeyId: 'key-1' } },
+      { action: 'file.update', path: 'designs/api.md', before: '# Old', after: '# New' }
+    );
+
+    expect(entry).toMatchObject({
+      category: 'content',
+      action: 'file.update',
+      actorId: '7',
+      actor: 'alice',
+      apiKeyId: 'key-1',
+      ip: '10.0.0.5',
+      space: 'Shared',
+      path: 'designs/api.md',
+      beforeHash: computeContentVersion('# Old'),
+      afterHash: computeContentVersion('# New')
+    });
+    expect(hashAuditState(null)).toBeNull();
+    expect(hashAuditState({ access: 'write' })).toBe(computeContentVersion('{"access":"write"}'));
+    expect(await recordAudit(request('alice'), { action: 'file.frobnicate' })).toBeNull();
+    expect(fs.readFileSync(auditFile, 'utf8').trim().split('\n')).toHaveLength(1);
+  });
+
+  it('should filter entries, newest first', async () => {
+    await recordAudit(request('alice'), { action: 'file.create', path: 'a.md', after: 'a' });
+    await recordAudit(request('bob'), { action: 'file.delete', path: 'docs/b.md', before: 'b' });
+    await recordAudit(request('bob', 'Archive'), { action: 'folder.delete', path: 'docs' });
+    await recordAudit(request('admin'), { action: 'space.update', space: 'Archive', before: {}, after: {} });
+
+    const all = await queryAuditLog();
+    expect(all.total).toBe(4);
+    expect(all.entries.map(entry => entry.action)).toEqual(['space.update', 'folder.delete', 'file.delete', 'file.create']);
+
+    expect((await queryAuditLog({ actor: 'bob' })).total).toBe(2);
+    expect((await queryAuditLog({ action: 'file' })).entries.map(entry => entry.action)).toEqual(['file.delete', 'file.create']);
+    expect((await queryAuditLog({ category: 'admin' })).entries[0].actor).toBe('admin');
+    expect((await queryAuditLog({ space: 'Shared', path: 'docs/' })).entries[0].path).toBe('docs/b.md');
+    expect((await queryAuditLog({}, { limit: 2, offset: 1 })).entries.map(entry => entry.actor)).toEqual(['bob', 'bob']);
+
+    expect(normalizeAuditFilters({ from: '2025-08-01', to: '2025-08-01', actor: ' bob ' }).filters).toEqual({
+      from: '2025-08-01T00:00:00.000Z',
+      to: '2025-08-01T23:59:59.999Z',
+      actor: 'bob'
+    });
+    expect(normalizeAuditFilters({ from: 'yesterday' }).error).toBe('Invalid from date: yesterday');
+    expect(normalizeAuditFilters({ category: 'secret' }).error).toBe('Unknown category: secret');
+  });
+
+  it('should detect edited and removed entries', async () => {
+    for (const name of ['a.md', 'b.md', 'c.md']) {
+      await recordAudit(request('alice'), { action: 'file.delete', path: name, before: name });
+    }
+    expect(await verifyAuditLog()).toEqual({ valid: true, entries: 3 });
+
+    const lines = fs.readFileSync(auditFile, 'utf8').trim().split('\n');
+    fs.writeFileSync(auditFile, `${lines[0]}\n${lines[2]}\n`);
+    expect(await verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry does not follow the previous entry' });
+
+    fs.writeFileSync(auditFile, `${lines[0].replace('alice', 'mallory')}\n`);
+    expect(await verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 1, reason: 'Entry was modified' });
+  });
+
+  it('should continue the chain after a restart', async () => {
+    await recordAudit(request('alice'), { action: 'folder.create', path: 'one' });
+    // A new process reads the last hash from the file
+    setAuditLogFile(auditFile);
+    await recordAudit(request('alice'), { action: 'folder.create', path: 'two' });
+    expect(await verifyAuditLog()).toEqual({ valid: true, entries: 2 });
+  });
+
+  it('should export CSV that spreadsheets cannot run', async () => {
+    await recordAudit(request('alice'), {
+      action: 'item.rename',
+      path: '=HYPERLINK("x")',
+      details: { newPath: 'a, b.md' }
+    });
+    const { entries } = await queryAuditLog();
+    const [header, row] = formatAuditCsv(entries).trim().split('\r\n');
+
+    expect(header).toBe('timestamp,id,category,action,actorId,actor,apiKeyId,ip,space,path,beforeHash,afterHash,details,hash');
+    expect(row).toContain(',"\'=HYPERLINK(""x"")",');
+    expect(row).toContain('"{""newPath"":""a, b.md""}"');
+  });
+});
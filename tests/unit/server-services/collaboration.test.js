@@ -0,0 +1,350 @@
+const {
+  apply,
+  transform,
+  fromDiff,
+  transformIndex,
+  isValidOperation
+} = require('../../../server/src/utils/textOperation');
+const { DocumentSession, CollaborationError } = require('../../../server/src/collaboration/documentSession');
+
+jest.mock('../../../server/src/utils/versionHistory', () => ({
+  ...jest.requireActual('../../../server/src/utils/versionHistory'),
+  recordVersion: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../../server/src/utils/notifications', () => ({
+  ...jest.requireActual('../../../server/src/utils/notifications'),
+  notifyDocumentMentions: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../../server/src/utils/auditLog', () => ({
+  ...jest.requireActual('../../../server/src/utils/auditLog'),
+  recordAudit: jest.fn().mockResolvedValue(null)
+}));
+
+const { recordAudit } = require('../../../server/src/utils/auditLog');
+const { notifyDocumentMentions } = require('../../../server/src/utils/notifications');
+const { pluginHooks } = require('../../../server/src/utils/pluginHooks');
+const userStorage = require('../../../server/src/auth/userStorage');
+const { CollaborationHub, authenticateUpgrade } = require('../../../server/src/collaboration');
+
+describe('textOperation', () => {
+  it('should build and apply the operation between two texts', () => {
+    const operation = fromDiff('# Title\nold line\n', '# Title\nnew line\n');
+    expect(operation).toEqual([8, -3, 'new', 6]);
+    expect(apply('# Title\nold line\n', operation)).toBe('# Title\nnew line\n');
+    expect(isValidOperation(operation)).toBe(true);
+    expect(isValidOperation([3, 0])).toBe(false);
+  });
+
+  it('should converge when concurrent edits are transformed', () => {
+    const base = 'The gateway routes requests.';
+    const cases = [
+      ['The API gateway routes requests.', 'The gateway routes all requests.'],
+      ['The gateway forwards requests.', 'The gateway routes requests quickly.'],
+      ['The requests.', 'The gateway routes incoming requests.'],
+      ['X The gateway routes requests.', 'Y The gateway routes requests.'],
+      ['', 'The gateway routes requests!']
+    ];
+
+    for (const [left, right] of cases) {
+      const a = fromDiff(base, left);
+      const b = fromDiff(base, right);
+      const [aPrime, bPrime] = transform(a, b);
+      expect(apply(apply(base, a), bPrime)).toBe(apply(apply(base, b), aPrime));
+    }
+  });
+
+  it('should keep the text of the first operation first on a tie', () => {
+    const [aPrime, bPrime] = transform(['A', 3], ['B', 3]);
+    expect(apply(apply('abc', ['A', 3]), bPrime)).toBe('ABabc');
+    expect(apply(apply('abc', ['B', 3]), aPrime)).toBe('ABabc');
+  });
+
+  it('should move cursors through inserts and deletes', () => {
+    expect(transformIndex(5, [2, 'xyz', 6])).toBe(8);
+    expect(transformIndex(1, [2, 'xyz', 6])).toBe(1);
+    expect(transformIndex(5, [2, -4, 2])).toBe(2);
+    expect(transformIndex(7, [2, -4, 2])).toBe(3);
+  });
+});
+
+describe('DocumentSession', () => {
+  let save;
+  let session;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    save = jest.fn().mockResolvedValue();
+    session = new DocumentSession({ id: 'Shared:design.md', content: 'hello world', save, saveDelay: 1000 });
+    alice = { clientId: 'a', username: 'alice', canEdit: true, send: jest.fn() };
+    bob = { clientId: 'b', username: 'bob', canEdit: true, send: jest.fn() };
+    session.join(alice);
+    session.join(bob);
+  });
+
+  afterEach(() => {
+    session.dispose();
+    jest.useRealTimers();
+  });
+
+  it('should transform an edit made against an older version', () => {
+    session.receive('a', 0, ['Hi, ', 11]);
+    session.receive('b', 0, [11, '!']);
+
+    expect(session.content).toBe('Hi, hello world!');
+    expect(session.version).toBe(2);
+    expect(bob.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'operation', version: 1, operation: ['Hi, ', 11] }));
+    expect(alice.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'operation', version: 2, operation: [15, '!'] }));
+    expect(bob.send).toHaveBeenCalledWith({ type: 'ack', docId: 'Shared:design.md', version: 2 });
+  });
+
+  it('should reject edits from participants without edit rights', () => {
+    session.join({ clientId: 'v', username: 'viewer', canEdit: false, send: jest.fn() });
+    expect(() => session.receive('v', 0, [11, '!'])).toThrow('You do not have permission to edit this document');
+    expect(() => session.receive('a', 5, [11, '!'])).toThrow('Unknown document version');
+  });
+
+  it('should save once edits have settled', async () => {
+    session.receive('a', 0, [11, '!']);
+    session.receive('a', 1, [12, '!']);
+    expect(save).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(save).toHaveBeenCalledWith('hello world!!', 'alice');
+    expect(bob.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'saved', version: 2 }));
+  });
+
+  it('should report a refused save and only retry it once the text is edited', async () => {
+    save.mockRejectedValueOnce(new CollaborationError('Front-matter does not match the schema', 'save_refused', {
+      validationErrors: [{ source: 'folder', field: 'owner', message: 'is required' }]
+    }));
+    session.receive('a', 0, [11, '!']);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(bob.send).toHaveBeenCalledWith({
+      type: 'error',
+      docId: 'Shared:design.md',
+      code: 'save_refused',
+      error: 'Front-matter does not match the schema',
+      validationErrors: [{ source: 'folder', field: 'owner', message: 'is required' }]
+    });
+    await jest.advanceTimersByTimeAsync(60000);
+    await session.flush();
+    expect(save).toHaveBeenCalledTimes(1);
+
+    session.receive('a', 1, [12, '?']);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(bob.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'saved', version: 2 }));
+  });
+
+  it('should share a change made to the text as it was saved', async () => {
+    save.mockImplementationOnce(async (text) => `${text}\n`);
+    session.receive('a', 0, [11, '!']);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(session.content).toBe('hello world!\n');
+    expect(alice.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'operation', version: 2, operation: [12, '\n'], clientId: null }));
+    expect(alice.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'saved', version: 2 }));
+    await session.flush();
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  it('should share external writes without saving them again', async () => {
+    session.applyExternal('hello brave world', 'carol');
+    expect(alice.send).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'operation',
+      operation: [6, 'brave ', 5],
+      clientId: null,
+      username: 'carol'
+    }));
+    await session.flush();
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('should move cursors with remote edits', () => {
+    session.setCursor('b', { anchor: 6, head: 11 });
+    expect(alice.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'cursor', username: 'bob', cursor: { anchor: 6, head: 11 } }));
+
+    session.receive('a', 0, ['Oh ', 11]);
+    expect(session.getParticipants().find(p => p.clientId === 'b').cursor).toEqual({ anchor: 9, head: 14 });
+  });
+});
+
+describe('CollaborationHub', () => {
+  const spaces = {
+    Shared: { space: 'Shared', access: 'write', roles: { users: { reviewer: 'commenter' } } }
+  };
+  let filing;
+  let hub;
+  let accounts;
+  let findUser;
+
+  const connect = (username) => {
+    const messages = [];
+    const client = hub.connect({ username, spaces: 'Shared' }, message => messages.push(message));
+    return { client, messages };
+  };
+
+  beforeEach(() => {
+    accounts = {
+      alice: { id: '1', username: 'alice', spaces: 'Shared' },
+      reviewer: { id: '2', username: 'reviewer', spaces: 'Shared' }
+    };
+    findUser = jest.spyOn(userStorage, 'findUserByUsername').mockImplementation(username => accounts[username] || null);
+    filing = {
+      read: jest.fn().mockResolvedValue('# Design'),
+      exists: jest.fn().mockResolvedValue(false),
+      update: jest.fn().mockResolvedValue(),
+      git: null
+    };
+    hub = new CollaborationHub({
+      getFilingProvider: jest.fn().mockResolvedValue(filing),
+      loadSpaceConfig: name => spaces[name] || null,
+      saveDelay: 60000
+    });
+  });
+
+  afterEach(() => {
+    findUser.mockRestore();
+  });
+
+  it('should share one session and save when the last participant leaves', async () => {
+    const alice = connect('alice');
+    const reviewer = connect('reviewer');
+
+    await hub.handleMessage(alice.client, { type: 'join', space: 'Shared', path: 'design.md' });
+    await hub.handleMessage(reviewer.client, { type: 'join', space: 'Shared', path: 'design.md' });
+
+    expect(filing.read).toHaveBeenCalledTimes(1);
+    expect(filing.read).toHaveBeenCalledWith('markdown/design.md', 'utf8');
+    const joined = reviewer.messages.find(message => message.type === 'joined');
+    expect(joined).toMatchObject({ docId: 'Shared:design.md', content: '# Design', role: 'commenter', canEdit: false });
+
+    await hub.handleMessage(reviewer.client, { type: 'operation', docId: 'Shared:design.md', version: 0, operation: [8, '!'] });
+    expect(reviewer.messages.pop()).toMatchObject({ type: 'error', code: 'forbidden' });
+
+    await hub.handleMessage(alice.client, { type: 'operation', docId: 'Shared:design.md', version: 0, operation: [8, ' notes'] });
+    await hub.disconnect(reviewer.client);
+    await hub.disconnect(alice.client);
+
+    expect(filing.update).toHaveBeenCalledWith('markdown/design.md', '# Design notes');
+    expect(recordAudit).toHaveBeenCalledWith(
+      expect.objectContaining({ spaceName: 'Shared', user: expect.objectContaining({ username: 'alice' }) }),
+      { action: 'file.update', path: 'design.md', before: '# Design', after: '# Design notes' }
+    );
+    expect(notifyDocumentMentions).toHaveBeenCalledWith(
+      expect.objectContaining({ spaceName: 'Shared' }), 'design.md', '# Design notes', '# Design'
+    );
+    expect(hub.sessions.size).toBe(0);
+  });
+
+  it('should not save text whose front-matter does not match the schema', async () => {
+    const schema = { type: 'object', required: ['owner'] };
+    filing.exists.mockImplementation(async filePath => filePath === 'markdown/.schema.json');
+    filing.read.mockImplementation(async filePath => (filePath === 'markdown/.schema.json' ? JSON.stringify(schema) : '# Design'));
+    const alice = connect('alice');
+
+    await hub.handleMessage(alice.client, { type: 'join', space: 'Shared', path: 'design.md' });
+    await hub.handleMessage(alice.client, { type: 'operation', docId: 'Shared:design.md', version: 0, operation: ['---\ntitle: x\n---\n', 8] });
+    await hub.flushFile('Shared', 'design.md');
+
+    expect(filing.update).not.toHaveBeenCalled();
+    expect(alice.messages.pop()).toMatchObject({
+      type: 'error',
+      code: 'save_refused',
+      error: 'Front-matter does not match the schema',
+      validationErrors: [expect.objectContaining({ source: 'folder:/', field: 'owner' })]
+    });
+  });
+
+  it('should run the beforeSave hooks of plugins', async () => {
+    pluginHooks.register('stamp', { beforeSave: ({ content }) => ({ content: `${content}\n\nReviewed` }) });
+    pluginHooks.register('lint', {
+      beforeSave: ({ content }) => (content.includes('TODO') ? { errors: ['Resolve the TODO first'] } : undefined)
+    });
+    try {
+      const alice = connect('alice');
+      await hub.handleMessage(alice.client, { type: 'join', space: 'Shared', path: 'design.md' });
+
+      await hub.handleMessage(alice.client, { type: 'operation', docId: 'Shared:design.md', version: 0, operation: [8, ' TODO'] });
+      await hub.flushFile('Shared', 'design.md');
+      expect(filing.update).not.toHaveBeenCalled();
+      expect(alice.messages.pop()).toMatchObject({
+        type: 'error',
+        code: 'save_refused',
+        error: 'Save refused by a plugin',
+        problems: [{ plugin: 'lint', message: 'Resolve the TODO first' }]
+      });
+
+      await hub.handleMessage(alice.client, { type: 'operation', docId: 'Shared:design.md', version: 1, operation: [8, -5, ' notes'] });
+      await hub.flushFile('Shared', 'design.md');
+      expect(filing.update).toHaveBeenCalledWith('markdown/design.md', '# Design notes\n\nReviewed');
+      expect(alice.messages).toContainEqual(expect.objectContaining({ type: 'operation', operation: [14, '\n\nReviewed'], clientId: null }));
+      expect(hub.sessions.get('Shared:design.md').content).toBe('# Design notes\n\nReviewed');
+    } finally {
+      pluginHooks.unregister('stamp');
+      pluginHooks.unregister('lint');
+    }
+  });
+
+  it('should not save for editors who lost write access since they joined', async () => {
+    const alice = connect('alice');
+    await hub.handleMessage(alice.client, { type: 'join', space: 'Shared', path: 'design.md' });
+    await hub.handleMessage(alice.client, { type: 'operation', docId: 'Shared:design.md', version: 0, operation: [8, ' notes'] });
+
+    accounts.alice = { ...accounts.alice, spaces: '' };
+    await hub.flushFile('Shared', 'design.md');
+
+    expect(filing.update).not.toHaveBeenCalled();
+    expect(alice.messages.pop()).toMatchObject({ type: 'error', code: 'forbidden' });
+  });
+
+  it('should refuse Personal spaces and unknown spaces', async () => {
+    const alice = connect('alice');
+    await hub.handleMessage(alice.client, { type: 'join', space: 'Personal', path: 'todo.md' });
+    await hub.handleMessage(alice.client, { type: 'join', space: 'Missing', path: 'todo.md' });
+    expect(alice.messages.map(message => message.code)).toEqual(['forbidden', 'not_found']);
+  });
+
+  it('should close sessions of removed files', async () => {
+    const alice = connect('alice');
+    await hub.handleMessage(alice.client, { type: 'join', space: 'Shared', path: 'docs/design.md' });
+    hub.notifyFileRemoved('Shared', 'docs', 'deleted');
+    expect(alice.messages.pop()).toEqual({ type: 'closed', docId: 'Shared:docs/design.md', reason: 'deleted' });
+    expect(hub.sessions.size).toBe(0);
+  });
+});
+
+describe('authenticateUpgrade', () => {
+  const sessionMiddleware = (req, res, next) => {
+    req.session = { passport: { user: '1' } };
+    next();
+  };
+  const upgrade = origin => ({
+    url: '/api/collab',
+    headers: { host: 'docs.example.com', ...(origin ? { origin } : {}) }
+  });
+
+  let findUser;
+
+  beforeEach(() => {
+    findUser = jest.spyOn(userStorage, 'findUserById').mockReturnValue({ id: '1', username: 'alice', spaces: 'Shared' });
+  });
+
+  afterEach(() => {
+    findUser.mockRestore();
+  });
+
+  it('should accept the session cookie from the app only', async () => {
+    const allowedOrigins = ['http://localhost:3000'];
+    expect(await authenticateUpgrade(upgrade('https://docs.example.com'), sessionMiddleware, allowedOrigins))
+      .toMatchObject({ id: '1', username: 'alice' });
+    expect(await authenticateUpgrade(upgrade('http://localhost:3000'), sessionMiddleware, allowedOrigins))
+      .toMatchObject({ username: 'alice' });
+    expect(await authenticateUpgrade(upgrade('https://attacker.example'), sessionMiddleware, allowedOrigins)).toBeNull();
+    expect(await authenticateUpgrade(upgrade(null), sessionMiddleware, allowedOrigins)).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  addComment,
+  removeComment,
+  setCommentResolved,
+  buildCommentThreads
+} = require('../../../server/src/utils/commentParser');
+const { createAnchor, resolveAnchor, refreshAnchors, findHeadings } = require('../../../server/src/utils/commentAnchors');
+
+describe('comment threads', () => {
+  const markdown = [
+    '# Gateway',
+    '',
+    'The gateway **routes all external** traffic to services.',
+    '',
+    '## Failure modes',
+    '',
+    'Retries use backoff. Retries use jitter.',
+    '',
+    '```',
+    '# not a heading',
+    '```'
+  ].join('\n');
+
+  it('should find headings outside code blocks', () => {
+    expect(findHeadings(markdown).map(heading => [heading.text, heading.level])).toEqual([
+      ['Gateway', 1],
+      ['Failure modes', 2]
+    ]);
+  });
+
+  it('should anchor comments to headings and to rendered or source text', () => {
+    const heading = createAnchor(markdown, { type: 'heading', heading: 'failure  MODES' });
+    expect(heading).toMatchObject({ type: 'heading', heading: 'Failure modes', level: 2 });
+    expect(markdown.slice(heading.start, heading.end)).toBe('## Failure modes');
+
+    // Selected in the preview, where the emphasis markers are not shown
+    const rendered = createAnchor(markdown, { type: 'text', quote: 'gateway routes all external traffic' });
+    expect(rendered.quote).toBe('gateway **routes all external** traffic');
+    expect(markdown.slice(rendered.start, rendered.end)).toBe(rendered.quote);
+
+    // The start hint chooses between repeated passages
+    const second = createAnchor(markdown, { type: 'text', quote: 'Retries use', start: markdown.indexOf('Retries use jitter') });
+    expect(second.suffix.startsWith(' jitter.')).toBe(true);
+
+    expect(createAnchor(markdown, { type: 'heading', heading: 'not a heading' })).toBeNull();
+    expect(createAnchor(markdown, { type: 'text', quote: 'no such passage' })).toBeNull();
+  });
+
+  it('should keep anchors attached across edits and report removed ones', () => {
+    const anchor = createAnchor(markdown, { type: 'text', quote: 'Retries use', start: markdown.indexOf('Retries use jitter') });
+    const heading = createAnchor(markdown, { type: 'heading', heading: 'Failure modes' });
+
+    const edited = `Intro paragraph added above.\n\n${markdown.replace('Retries use backoff.', 'Retries use exponential backoff.')}`;
+    const moved = resolveAnchor(edited, anchor);
+    expect(moved.status).toBe('attached');
+    expect(edited.slice(moved.end, moved.end + 7)).toBe(' jitter');
+    expect(resolveAnchor(edited, heading)).toMatchObject({ status: 'attached', start: edited.indexOf('## Failure') });
+
+    const removed = markdown.replace('## Failure modes', '## Errors').replace(/Retries use/g, 'Calls use');
+    expect(resolveAnchor(removed, heading).status).toBe('orphaned');
+    const orphaned = resolveAnchor(removed, anchor);
+    expect(orphaned).toMatchObject({ status: 'orphaned', start: anchor.start });
+
+    const [refreshed] = refreshAnchors([{ id: 'c1', anchor }], edited);
+    expect(refreshed.anchor.start).toBe(moved.start);
+    expect(refreshed.anchor).not.toHaveProperty('status');
+  });
+
+  it('should group replies into threads and resolve, reopen and delete them', () => {
+    let comments = addComment([], { author: 'jane', content: 'Needs a diagram', anchor: createAnchor(markdown, { type: 'heading', heading: 'Gateway' }) });
+    const threadId = comments[0].id;
+    comments = addComment(comments, { author: 'bob', content: 'Agreed', parentId: threadId });
+    comments = addComment(comments, { author: 'jane', content: 'Added', parentId: comments[1].id });
+    expect(comments[2].parentId).toBe(threadId);
+    expect(() => addComment(comments, { author: 'bob', content: 'x', parentId: 'missing' })).toThrow('Parent comment not found');
+
+    comments = setCommentResolved(comments, threadId, true, 'bob');
+    expect(comments[0]).toMatchObject({ resolved: true, resolvedBy: 'bob' });
+
+    let [thread] = buildCommentThreads(comments, markdown);
+    expect(thread.anchor.status).toBe('attached');
+    expect(thread.replies.map(reply => reply.content)).toEqual(['Agreed', 'Added']);
+
+    // A reply reopens a resolved thread
+    comments = addComment(comments, { author: 'bob', content: 'One more thing', parentId: threadId });
+    [thread] = buildCommentThreads(comments, markdown);
+    expect(thread.resolved).toBe(false);
+    expect(thread).not.toHaveProperty('resolvedBy');
+
+    expect(removeComment(comments, threadId)).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  computeContentVersion,
+  parseIfMatch,
+  checkIfMatch,
+  acquireFileLock
+} = require('../../../server/src/utils/contentVersion');
+
+describe('contentVersion', () => {
+  const createResponse = () => {
+    const res = { headers: {} };
+    res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+  const createRequest = (ifMatch) => ({ get: name => (name === 'If-Match' ? ifMatch : undefined) });
+
+  it('should give the same version for the same text and bytes', () => {
+    const version = computeContentVersion('# Design');
+    expect(version).toHaveLength(32);
+    expect(computeContentVersion(Buffer.from('# Design'))).toBe(version);
+    expect(computeContentVersion('# Design!')).not.toBe(version);
+  });
+
+  it('should parse strong, weak and wildcard If-Match values', () => {
+    expect(parseIfMatch(undefined)).toBeNull();
+    expect(parseIfMatch('"abc"')).toEqual(['abc']);
+    expect(parseIfMatch('W/"abc", "def"')).toEqual(['abc', 'def']);
+    expect(parseIfMatch('*')).toEqual(['*']);
+  });
+
+  it('should let writes without If-Match or with the current version through', () => {
+    const res = createResponse();
+    const version = computeContentVersion('# Design');
+    expect(checkIfMatch(createRequest(undefined), res, '# Design')).toBe(true);
+    expect(checkIfMatch(createRequest(`"${version}"`), res, '# Design')).toBe(true);
+    expect(checkIfMatch(createRequest('*'), res, '# Design')).toBe(true);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('should answer 409 with both versions when the file changed', () => {
+    const res = createResponse();
+    const current = Buffer.from('# Design v2');
+    expect(checkIfMatch(createRequest('"stale"'), res, current)).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'File was changed by someone else',
+      expectedVersion: 'stale',
+      currentVersion: computeContentVersion(current),
+      currentContent: '# Design v2'
+    });
+    expect(res.headers.ETag).toBe(`"${computeContentVersion(current)}"`);
+  });
+
+  it('should answer 409 when the file was removed', () => {
+    const res = createResponse();
+    expect(checkIfMatch(createRequest('*'), res, null)).toBe(false);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'File no longer exists',
+      currentVersion: null,
+      currentContent: null
+    }));
+  });
+
+  it('should run writes to the same file one at a time', async () => {
+    const events = [];
+    const write = async (name) => {
+      const release = await acquireFileLock('Shared:design.md');
+      events.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      events.push(`${name} end`);
+      release();
+    };
+
+    await Promise.all([write('first'), write('second')]);
+    expect(events).toEqual(['first start', 'first end', 'second start', 'second end']);
+  });
+});
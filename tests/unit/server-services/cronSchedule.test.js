@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseCronExpression,
+  getNextCronRun,
+  getCronRunsBetween,
+  isValidTimezone
+} = require('../../../server/src/services/scheduling/providers/cron');
+const SchedulerProvider = require('../../../server/src/services/scheduling/providers/scheduling');
+
+const { validateScheduleDefinition } = SchedulerProvider;
+
+describe('Cron expressions', () => {
+  const from = Date.parse('2025-03-29T12:00:00Z'); // a Saturday
+
+  it('should parse 5- and 6-field expressions, names and macros', () => {
+    const parsed = parseCronExpression('*/15 9-17 * JAN,jul MON-FRI');
+    expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+    expect([...parsed.month]).toEqual([1, 7]);
+    expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(parsed.hasSeconds).toBe(false);
+
+    expect(parseCronExpression('10/20 * * * * *').hasSeconds).toBe(true);
+    expect([...parseCronExpression('10/20 * * * * *').second]).toEqual([10, 30, 50]);
+    expect([...parseCronExpression('0 0 * * 7').dayOfWeek]).toEqual([0]);
+    expect(getNextCronRun('@daily', from).toISOString()).toBe('2025-03-30T00:00:00.000Z');
+
+    expect(() => parseCronExpression('61 * * * *')).toThrow('out of range for minute');
+    expect(() => parseCronExpression('* * *')).toThrow('5 or 6 fields');
+    expect(() => parseCronExpression('5-1 * * * *')).toThrow('Invalid range');
+    expect(() => parseCronExpression('*/0 * * * *')).toThrow('Invalid step');
+  });
+
+  it('should calculate the next run', () => {
+    expect(getNextCronRun('*/15 9-17 * * MON-FRI', from).toISOString()).toBe('2025-03-31T09:00:00.000Z');
+    expect(getNextCronRun('*/10 * * * * *', from).toISOString()).toBe('2025-03-29T12:00:10.000Z');
+    // Either day field matches when both are restricted
+    expect(getNextCronRun('0 0 1 * MON', from).toISOString()).toBe('2025-03-31T00:00:00.000Z');
+    expect(getNextCronRun('0 0 31 2 *', from)).toBeNull();
+    expect(getCronRunsBetween('@hourly', from, from + 3 * 3600000)).toHaveLength(3);
+  });
+
+  it('should evaluate times in a time zone across daylight saving changes', () => {
+    expect(getNextCronRun('0 2 * * *', from, 'America/New_York').toISOString()).toBe('2025-03-30T06:00:00.000Z');
+    // 02:30 does not exist in Berlin on 30 March 2025
+    expect(getNextCronRun('30 2 * * *', from, 'Europe/Berlin').toISOString()).toBe('2025-03-31T00:30:00.000Z');
+    // 02:30 happens twice on 26 October 2025 and runs once
+    const first = getNextCronRun('30 2 * * *', Date.parse('2025-10-25T12:00:00Z'), 'Europe/Berlin');
+    expect(first.toISOString()).toBe('2025-10-26T00:30:00.000Z');
+    expect(getNextCronRun('30 2 * * *', first, 'Europe/Berlin').toISOString()).toBe('2025-10-27T01:30:00.000Z');
+
+    expect(isValidTimezone('Europe/Berlin')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+});
+
+describe('Saved schedules', () => {
+  let tempDir;
+  let schedulesPath;
+  let scheduler;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'));
+    schedulesPath = path.join(tempDir, 'schedules.json');
+  });
+
+  afterEach(async () => {
+    if (scheduler) {
+      await scheduler.stop();
+      // Let pending writes finish before the directory goes
+      await scheduler._persist();
+      scheduler = null;
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const createScheduler = (jobs = {}) => {
+    scheduler = new SchedulerProvider({ schedulesPath });
+    for (const [name, handler] of Object.entries(jobs)) {
+      scheduler.registerJob(name, handler);
+    }
+    return scheduler;
+  };
+
+  const saveSchedule = (definition, history = []) => {
+    fs.writeFileSync(schedulesPath, JSON.stringify({
+      version: 1,
+      schedules: { [definition.name]: definition },
+      history: { [definition.name]: history }
+    }));
+  };
+
+  it('should validate schedule definitions', () => {
+    const jobs = ['git-sync'];
+    expect(validateScheduleDefinition({ name: 'sync', cron: '0 2 * * *', job: 'git-sync' }, { jobs }).definition)
+      .toMatchObject({ timezone: 'UTC', missedRunPolicy: 'skip', script: null, job: 'git-sync' });
+    expect(validateScheduleDefinition({ name: 'a b', cron: '* * * * *', job: 'git-sync' }, { jobs }).error)
+      .toMatch('Schedule name');
+    expect(validateScheduleDefinition({ name: 'sync', cron: '0 2 * * *', job: 'nope' }, { jobs }).error)
+      .toBe('Unknown job: nope');
+    expect(validateScheduleDefinition({ name: 'sync', cron: '0 2 * * *' }, { jobs }).error)
+      .toBe('A schedule needs either a script or a job');
+    expect(validateScheduleDefinition({ name: 'sync', cron: '0 2 * * *', script: '../../etc/passwd.js' }, { jobs }).error)
+      .toBe('Script must be a .js file inside the project');
+    expect(validateScheduleDefinition({ name: 'sync', cron: '0 2 * * *', job: 'git-sync', timezone: 'Nowhere' }, { jobs }).error)
+      .toBe('Unknown time zone: Nowhere');
+    expect(validateScheduleDefinition({ name: 'sync', cron: '0 2 * * *', job: 'git-sync', missedRunPolicy: 'all' }, { jobs }).error)
+      .toMatch('Missed run policy must be one of');
+  });
+
+  it('should save schedules and record runs with their exit status', async () => {
+    createScheduler({
+      ok: async () => 'synced',
+      broken: async () => { throw new Error('remote unreachable'); }
+    });
+
+    const schedule = await scheduler.schedule('nightly', '0 2 * * *', { job: 'ok', timezone: 'Europe/Berlin' });
+    expect(schedule).toMatchObject({ name: 'nightly', active: true, lastRun: null });
+    expect(new Date(schedule.nextRun).getTime()).toBeGreaterThan(Date.now());
+    await expect(scheduler.schedule('nightly', '0 3 * * *', { job: 'ok' })).rejects.toThrow('already scheduled');
+
+    await scheduler.schedule('failing', '0 3 * * *', { job: 'broken' });
+    expect(await scheduler.executeNow('nightly')).toMatchObject({ trigger: 'manual', status: 'completed', output: 'synced' });
+    expect(await scheduler.executeNow('failing')).toMatchObject({ status: 'error', output: 'remote unreachable' });
+    await expect(scheduler.executeNow('missing')).rejects.toThrow('Task not found');
+
+    await scheduler.cancel('failing');
+    expect(scheduler.listScheduled().map(saved => saved.name)).toEqual(['nightly']);
+    expect(scheduler.getRunHistory('failing')).toHaveLength(1);
+
+    await scheduler._persist();
+    const saved = JSON.parse(fs.readFileSync(schedulesPath, 'utf8'));
+    expect(Object.keys(saved.schedules)).toEqual(['nightly']);
+    expect(saved.history.nightly[0]).toMatchObject({ status: 'completed' });
+  });
+
+  it('should skip runs missed while stopped', async () => {
+    const job = jest.fn(async () => 'done');
+    saveSchedule({
+      name: 'hourly', cron: '0 * * * *', timezone: 'UTC', missedRunPolicy: 'skip', job: 'export',
+      createdAt: new Date(Date.now() - 3.5 * 3600000).toISOString(), lastScheduledRun: null
+    }, [{ id: 'old', status: 'completed', trigger: 'schedule' }]);
+
+    createScheduler({ export: job });
+    expect(await scheduler.restore()).toBe(1);
+
+    expect(job).not.toHaveBeenCalled();
+    const [skipped, previous] = scheduler.getRunHistory('hourly');
+    expect(skipped).toMatchObject({ trigger: 'missed', status: 'skipped' });
+    expect(skipped.output).toMatch(/^[34] missed run\(s\) skipped$/);
+    expect(previous.id).toBe('old');
+    expect(scheduler.getSchedule('hourly').lastScheduledRun).toBe(skipped.scheduledFor);
+  });
+
+  it('should run missed runs once or catch up on each of them', async () => {
+    const job = jest.fn(async () => 'done');
+    saveSchedule({
+      name: 'yearly', cron: '0 0 1 1 *', timezone: 'UTC', missedRunPolicy: 'catch-up', job: 'export',
+      createdAt: '2020-06-01T00:00:00.000Z', lastScheduledRun: '2021-01-01T00:00:00.000Z'
+    });
+    createScheduler({ export: job });
+    await scheduler.restore();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const runs = scheduler.getRunHistory('yearly');
+    expect(runs.length).toBe(new Date().getUTCFullYear() - 2021);
+    expect(runs.every(run => run.trigger === 'missed' && run.status === 'completed')).toBe(true);
+    expect(runs[runs.length - 1].scheduledFor).toBe('2022-01-01T00:00:00.000Z');
+    await scheduler.stop();
+
+    job.mockClear();
+    saveSchedule({
+      name: 'yearly', cron: '0 0 1 1 *', timezone: 'UTC', missedRunPolicy: 'run-once', job: 'export',
+      createdAt: '2020-06-01T00:00:00.000Z', lastScheduledRun: '2021-01-01T00:00:00.000Z'
+    });
+    createScheduler({ export: job });
+    await scheduler.restore();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(job).toHaveBeenCalledTimes(1);
+    expect(scheduler.getRunHistory('yearly')[0].scheduledFor).toBe(`${new Date().getUTCFullYear()}-01-01T00:00:00.000Z`);
+  });
+});
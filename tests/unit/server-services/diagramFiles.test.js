@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Unit tests for reading and rendering diagram files.
+ * @jest-environment node
+ */
+
+const {
+  isDiagramFile,
+  createEmptyDiagram,
+  parseDiagram,
+  extractDiagramText,
+  renderDiagramSvg,
+  renderDiagramPng
+} = require('../../../server/src/utils/diagramFiles');
+
+const scene = JSON.stringify({
+  type: 'excalidraw',
+  version: 2,
+  elements: [
+    {
+      id: 'box', type: 'rectangle', x: 100, y: 50, width: 120, height: 60, angle: 0, seed: 7,
+      strokeColor: '#1e1e1e', backgroundColor: '#a5d8ff', fillStyle: 'solid', strokeWidth: 2, roughness: 1, roundness: { type: 3 }
+    },
+    {
+      id: 'label', type: 'text', x: 110, y: 65, width: 100, height: 25, seed: 8,
+      text: 'Gateway <api>', originalText: 'Gateway <api>', fontSize: 20, fontFamily: 1, textAlign: 'center'
+    },
+    { id: 'link', type: 'arrow', x: 220, y: 80, width: 80, height: 0, seed: 9, points: [[0, 0], [80, 0]], endArrowhead: 'arrow' },
+    { id: 'gone', type: 'text', x: 0, y: 0, width: 10, height: 10, text: 'Deleted note', isDeleted: true },
+    { id: 'area', type: 'frame', x: 90, y: 40, width: 230, height: 90, name: 'Edge' }
+  ],
+  appState: { viewBackgroundColor: '#fffce8' },
+  files: {}
+});
+
+describe('diagramFiles', () => {
+  it('should recognise diagram files by extension', () => {
+    expect(isDiagramFile('designs/flow.excalidraw')).toBe(true);
+    expect(isDiagramFile('designs/FLOW.Excalidraw')).toBe(true);
+    expect(isDiagramFile('designs/flow.md')).toBe(false);
+    expect(isDiagramFile('')).toBe(false);
+  });
+
+  it('should create an empty diagram that parses', () => {
+    const parsed = parseDiagram(createEmptyDiagram());
+    expect(parsed.elements).toEqual([]);
+    expect(parsed.appState.viewBackgroundColor).toBe('#ffffff');
+  });
+
+  it('should treat an empty file as an empty diagram', () => {
+    expect(parseDiagram('')).toEqual({ elements: [], appState: {}, files: {} });
+  });
+
+  it('should reject content that is not an Excalidraw scene', () => {
+    expect(() => parseDiagram('{not json')).toThrow(expect.objectContaining({ code: 'INVALID_DIAGRAM' }));
+    expect(() => parseDiagram('{"type":"other","elements":[]}')).toThrow('File is not an Excalidraw diagram');
+  });
+
+  it('should drop deleted elements and extract the text for search', () => {
+    const parsed = parseDiagram(scene);
+    expect(parsed.elements.map(element => element.id)).toEqual(['box', 'label', 'link', 'area']);
+    expect(extractDiagramText(parsed)).toBe('Gateway <api>\nEdge');
+  });
+
+  it('should render an SVG sized to the drawing with escaped text', () => {
+    const svg = renderDiagramSvg(parseDiagram(scene));
+    // The frame, with its name above it, is the outermost element
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" version="1\.1" width="250" height="130"/);
+    expect(svg).toContain('<rect x="0" y="0" width="250" height="130" fill="#fffce8"/>');
+    expect(svg).toContain('>Gateway &lt;api&gt;</text>');
+    expect(svg).toContain('text-anchor="middle"');
+    expect(svg).toContain('fill="#a5d8ff"');
+    expect(svg).not.toContain('Deleted note');
+    expect(svg).not.toContain('<script');
+  });
+
+  it('should draw the same diagram the same way every time', () => {
+    expect(renderDiagramSvg(parseDiagram(scene))).toBe(renderDiagramSvg(parseDiagram(scene)));
+  });
+
+  it('should leave the background out when asked', () => {
+    const svg = renderDiagramSvg(parseDiagram(scene), { background: false });
+    expect(svg).not.toContain('fill="#fffce8"');
+  });
+
+  it('should only embed images from data URLs', () => {
+    const parsed = parseDiagram(JSON.stringify({
+      type: 'excalidraw',
+      elements: [
+        { id: 'a', type: 'image', x: 0, y: 0, width: 10, height: 10, fileId: 'inline' },
+        { id: 'b', type: 'image', x: 20, y: 0, width: 10, height: 10, fileId: 'remote' }
+      ],
+      files: {
+        inline: { dataURL: 'data:image/png;base64,iVBORw0KGgo=' },
+        remote: { dataURL: 'https://example.com/tracker.png' }
+      }
+    }));
+    const svg = renderDiagramSvg(parsed);
+    expect(svg).toContain('href="data:image/png;base64,iVBORw0KGgo="');
+    expect(svg).not.toContain('example.com');
+  });
+
+  it('should render a PNG', () => {
+    const png = renderDiagramPng(parseDiagram(scene), { scale: 1 });
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+    // Width and height of the IHDR chunk
+    expect(png.readUInt32BE(16)).toBe(250);
+    expect(png.readUInt32BE(20)).toBe(130);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Unit tests for the server-side PlantUML and math rendering.
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getPlantUmlRenderer,
+  normalizePlantUmlSource,
+  renderPlantUml,
+  renderMath
+} = require('../../../server/src/utils/diagramRenderer');
+
+describe('diagramRenderer', () => {
+  let tempDir;
+  let fakePlantUml;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-renderer-'));
+    // Stands in for `plantuml -tsvg -pipe`: echoes the diagram inside an SVG
+    fakePlantUml = path.join(tempDir, 'plantuml.js');
+    fs.writeFileSync(fakePlantUml, [
+      'let source = "";',
+      'process.stdin.on("data", chunk => { source += chunk; });',
+      'process.stdin.on("end", () => {',
+      '  if (source.includes("crash")) { process.stderr.write("Syntax error"); process.exit(1); }',
+      '  if (source.includes("hang")) { setTimeout(() => {}, 60000); return; }',
+      '  const args = process.argv.slice(2).join(" ");',
+      '  process.stdout.write(`<?xml version="1.0"?><svg data-args="${args}" data-sandbox="${process.env.PLANTUML_SECURITY_PROFILE}">${source}</svg>`);',
+      '});'
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const fakeRenderer = (timeout = 10000) => ({ type: 'command', command: process.execPath, args: [fakePlantUml], timeout });
+
+  it('should pick the renderer from the environment without a public server', () => {
+    expect(getPlantUmlRenderer({})).toEqual({ type: 'command', command: 'plantuml', args: [], timeout: 20000 });
+    expect(getPlantUmlRenderer({ PLANTUML_COMMAND: 'docker run --rm -i plantuml', PLANTUML_TIMEOUT: '5000' }))
+      .toEqual({ type: 'command', command: 'docker', args: ['run', '--rm', '-i', 'plantuml'], timeout: 5000 });
+    expect(getPlantUmlRenderer({ PLANTUML_JAR: '/opt/plantuml.jar' }).args)
+      .toEqual(['-Djava.awt.headless=true', '-DPLANTUML_SECURITY_PROFILE=SANDBOX', '-jar', '/opt/plantuml.jar']);
+    expect(getPlantUmlRenderer({ PLANTUML_URL: 'http://localhost:8080/', PLANTUML_JAR: '/opt/plantuml.jar' }))
+      .toEqual({ type: 'server', url: 'http://localhost:8080', timeout: 20000 });
+  });
+
+  it('should wrap diagrams that do not name their start', () => {
+    expect(normalizePlantUmlSource('Alice -> Bob\n')).toBe('@startuml\nAlice -> Bob\n@enduml');
+    expect(normalizePlantUmlSource('@startmindmap\n* Root\n@endmindmap')).toBe('@startmindmap\n* Root\n@endmindmap');
+  });
+
+  it('should render a diagram to SVG in the sandbox profile', async () => {
+    const svg = await renderPlantUml('Alice -> Bob', { renderer: fakeRenderer() });
+    expect(svg.startsWith('<svg')).toBe(true);
+    expect(svg).toContain('data-args="-tsvg -pipe -charset UTF-8"');
+    expect(svg).toContain('data-sandbox="SANDBOX"');
+    expect(svg).toContain('@startuml\nAlice -> Bob\n@enduml');
+  });
+
+  it('should reject empty and oversized diagrams', async () => {
+    await expect(renderPlantUml('  ', { renderer: fakeRenderer() })).rejects.toMatchObject({ code: 'INVALID_DIAGRAM' });
+    await expect(renderPlantUml('a'.repeat(50001), { renderer: fakeRenderer() }))
+      .rejects.toMatchObject({ code: 'INVALID_DIAGRAM' });
+  });
+
+  it('should report a missing PlantUML and failed renders', async () => {
+    const missing = { type: 'command', command: path.join(tempDir, 'no-plantuml'), args: [], timeout: 10000 };
+    await expect(renderPlantUml('Alice -> Bob', { renderer: missing }))
+      .rejects.toMatchObject({ code: 'PLANTUML_UNAVAILABLE' });
+    await expect(renderPlantUml('crash', { renderer: fakeRenderer() }))
+      .rejects.toMatchObject({ code: 'PLANTUML_FAILED', message: 'PlantUML failed: Syntax error' });
+    await expect(renderPlantUml('hang', { renderer: fakeRenderer(300) }))
+      .rejects.toMatchObject({ code: 'PLANTUML_FAILED', message: 'PlantUML did not finish within 300 ms' });
+  });
+
+  it('should render math and show TeX errors instead of throwing', () => {
+    expect(renderMath('x^2')).toContain('<span class="katex">');
+    expect(renderMath('x^2', { displayMode: true })).toContain('<span class="katex-display">');
+    expect(renderMath('\\frac{1}{')).toContain('katex-error');
+  });
+});
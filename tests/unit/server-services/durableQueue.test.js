@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Unit tests for the durable queue.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const createQueue = require('../../../server/src/services/queueing');
+
+describe('DurableQueue', () => {
+  let tempDir;
+  let queue;
+  let eventEmitter;
+
+  const openQueue = (options = {}) => {
+    queue = createQueue('durable', { queueDirectory: tempDir, retryDelay: 0, ...options }, eventEmitter);
+    return queue;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queues-'));
+    eventEmitter = new EventEmitter();
+    jest.spyOn(eventEmitter, 'emit');
+  });
+
+  afterEach(async () => {
+    // Let pending journal writes finish before the directory goes
+    await queue.flush();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should keep a leased message hidden until it is acknowledged', async () => {
+    openQueue();
+    const id = await queue.enqueue('tasks', { action: 'index' });
+
+    const message = await queue.receive('tasks');
+    expect(message).toMatchObject({ id, body: { action: 'index' }, attempts: 1 });
+    expect(await queue.receive('tasks')).toBeUndefined();
+    expect(queue.listMessages('tasks')[0].state).toBe('in-flight');
+
+    expect(await queue.ack('tasks', message.leaseId)).toBe(true);
+    expect(await queue.ack('tasks', message.leaseId)).toBe(false);
+    expect(await queue.size('tasks')).toBe(0);
+    expect(eventEmitter.emit).toHaveBeenCalledWith('queue:ack', expect.objectContaining({ id }));
+  });
+
+  it('should retry nacked messages after a backoff', async () => {
+    openQueue({ retryDelay: 10, maxRetryDelay: 15 });
+    await queue.enqueue('tasks', 'work');
+
+    let message = await queue.receive('tasks');
+    const result = await queue.nack('tasks', message.leaseId, { error: 'index locked' });
+    expect(result.status).toBe('retrying');
+    expect(Date.parse(result.availableAt) - Date.now()).toBeGreaterThan(9000);
+    expect(await queue.receive('tasks')).toBeUndefined();
+    expect(queue.listMessages('tasks', { state: 'delayed' })[0]).toMatchObject({ lastError: 'index locked', attempts: 1 });
+
+    // An explicit delay replaces the backoff
+    await queue.enqueue('retry-now', 'work');
+    message = await queue.receive('retry-now');
+    expect(await queue.nack('retry-now', message.leaseId, { delaySeconds: 0 })).toMatchObject({ status: 'retrying' });
+    expect(await queue.receive('retry-now')).toMatchObject({ body: 'work', attempts: 2 });
+    expect(await queue.nack('tasks', 'unknown-lease')).toBeNull();
+  });
+
+  it('should move a message to the dead letters after its last attempt', async () => {
+    openQueue({ maxAttempts: 2 });
+    const id = await queue.enqueue('tasks', 'poison');
+
+    let message = await queue.receive('tasks');
+    expect((await queue.nack('tasks', message.leaseId, { error: 'first' })).status).toBe('retrying');
+    message = await queue.receive('tasks');
+    expect(message.attempts).toBe(2);
+    expect(await queue.nack('tasks', message.leaseId, { error: 'second' })).toMatchObject({ status: 'dead' });
+
+    expect(await queue.receive('tasks')).toBeUndefined();
+    expect(queue.getDeadLetters('tasks')).toEqual([
+      expect.objectContaining({ id, state: 'dead', attempts: 2, lastError: 'second' })
+    ]);
+    expect(queue.getQueueStats()[0]).toMatchObject({ queuename: 'tasks', deadLetters: 1, totalDeadLettered: 1 });
+  });
+
+  it('should count an expired lease as a failed attempt', async () => {
+    openQueue({ maxAttempts: 1 });
+    await queue.enqueue('tasks', 'slow');
+
+    const message = await queue.receive('tasks', { visibilityTimeout: 0.01 });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(await queue.receive('tasks')).toBeUndefined();
+    expect(await queue.ack('tasks', message.leaseId)).toBe(false);
+    expect(queue.getDeadLetters('tasks')[0].lastError).toBe('Visibility timeout expired');
+  });
+
+  it('should redrive and purge dead letters', async () => {
+    openQueue({ maxAttempts: 1 });
+    const ids = [];
+    for (const body of ['a', 'b', 'c']) {
+      ids.push(await queue.enqueue('tasks', body));
+      const message = await queue.receive('tasks');
+      await queue.nack('tasks', message.leaseId);
+    }
+    expect(queue.getDeadLetters('tasks')).toHaveLength(3);
+
+    expect(await queue.redrive('tasks', [ids[0]])).toBe(1);
+    const redriven = await queue.receive('tasks');
+    expect(redriven).toMatchObject({ id: ids[0], attempts: 1 });
+
+    expect(await queue.purgeDeadLetters('tasks', [ids[1]])).toBe(1);
+    expect(queue.getDeadLetters('tasks').map(message => message.id)).toEqual([ids[2]]);
+    expect(await queue.redrive('tasks')).toBe(1);
+    expect(await queue.purgeDeadLetters('tasks')).toBe(0);
+  });
+
+  it('should reload messages and dead letters after a restart', async () => {
+    openQueue({ maxAttempts: 1 });
+    await queue.enqueue('search-tasks', { file: 'a.md' });
+    await queue.enqueue('search-tasks', { file: 'b.md' });
+    await queue.enqueue('other', 'x');
+    const leased = await queue.receive('other');
+    await queue.nack('other', leased.leaseId, { error: 'broken' });
+    // In flight when the process stops
+    await queue.receive('search-tasks');
+    await queue.flush();
+
+    openQueue({ maxAttempts: 1 });
+    expect(await queue.size('search-tasks')).toBe(2);
+    expect(await queue.dequeue('search-tasks')).toEqual({ file: 'a.md' });
+    expect(await queue.dequeue('search-tasks')).toEqual({ file: 'b.md' });
+    expect(await queue.dequeue('search-tasks')).toBeUndefined();
+    expect(queue.getDeadLetters('other')[0]).toMatchObject({ body: 'x', lastError: 'broken' });
+  });
+
+  it('should keep queues in memory when no directory is configured', async () => {
+    queue = createQueue('durable', { queueDirectory: null }, eventEmitter);
+    await queue.enqueue('tasks', 'item1');
+    expect(await queue.dequeue('tasks')).toBe('item1');
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+});
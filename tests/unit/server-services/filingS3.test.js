@@ -0,0 +1,111 @@
+const S3FilingProvider = require('../../../server/src/services/filing/providers/filingS3');
+
+/**
+ * Minimal S3 client keeping objects of one bucket in memory
+ */
+function createClient() {
+  const objects = new Map();
+  const notFound = () => Object.assign(new Error('NotFound'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+  const body = content => ({ transformToByteArray: async () => new Uint8Array(content) });
+
+  const handlers = {
+    PutObjectCommand: ({ Key, Body }) => objects.set(Key, Buffer.from(Body)),
+    GetObjectCommand: ({ Key }) => {
+      if (!objects.has(Key)) throw Object.assign(notFound(), { name: 'NoSuchKey' });
+      return { Body: body(objects.get(Key)) };
+    },
+    HeadObjectCommand: ({ Key }) => {
+      if (!objects.has(Key)) throw notFound();
+      return { ContentLength: objects.get(Key).length, LastModified: new Date(0) };
+    },
+    DeleteObjectCommand: ({ Key }) => objects.delete(Key),
+    DeleteObjectsCommand: ({ Delete }) => Delete.Objects.forEach(({ Key }) => objects.delete(Key)),
+    CopyObjectCommand: ({ CopySource, Key }) => {
+      objects.set(Key, objects.get(decodeURIComponent(CopySource.split('/').slice(1).join('/'))));
+    },
+    ListObjectsV2Command: ({ Prefix = '', Delimiter }) => {
+      const contents = [];
+      const prefixes = new Set();
+      for (const [Key, content] of [...objects.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+        if (!Key.startsWith(Prefix)) continue;
+        const rest = Key.slice(Prefix.length);
+        if (Delimiter && rest.includes(Delimiter)) {
+          prefixes.add(Prefix + rest.slice(0, rest.indexOf(Delimiter) + 1));
+        } else {
+          contents.push({ Key, Size: content.length, LastModified: new Date(0) });
+        }
+      }
+      return {
+        Contents: contents,
+        CommonPrefixes: [...prefixes].map(prefix => ({ Prefix: prefix })),
+        KeyCount: contents.length + prefixes.size,
+        IsTruncated: false
+      };
+    }
+  };
+
+  return {
+    objects,
+    send: jest.fn(async command => handlers[command.constructor.name](command.input)),
+    destroy: jest.fn()
+  };
+}
+
+describe('S3FilingProvider', () => {
+  let client;
+  let filing;
+
+  beforeEach(() => {
+    client = createClient();
+    filing = new S3FilingProvider({ bucketName: 'artefacts', region: 'us-east-1', prefix: '/shared/', client });
+  });
+
+  it('should keep files below the prefix and read them back', async () => {
+    await filing.create('markdown/guide.md', '# Guide');
+    await filing.create('markdown/img/logo.png', Buffer.from([0, 255]));
+
+    expect([...client.objects.keys()]).toEqual(['shared/markdown/guide.md', 'shared/markdown/img/logo.png']);
+    expect(await filing.read('markdown/guide.md', 'utf8')).toBe('# Guide');
+    expect([...(await filing.read('markdown/img/logo.png'))]).toEqual([0, 255]);
+    await expect(filing.read('markdown/missing.md', 'utf8')).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(filing._toKey('../../etc/passwd')).toBe('shared/etc/passwd');
+  });
+
+  it('should list folders and files one level deep', async () => {
+    await filing.create('markdown/guide.md', '# Guide');
+    await filing.create('markdown/img/logo.png', 'png');
+    await filing.mkdir('markdown/empty');
+
+    const entries = await filing.listDetailed('markdown');
+    expect(entries.map(entry => [entry.name, entry.path, entry.isDirectory])).toEqual([
+      ['empty', 'markdown/empty', true],
+      ['img', 'markdown/img', true],
+      ['guide.md', 'markdown/guide.md', false]
+    ]);
+    expect(await filing.listDetailed('markdown/empty')).toEqual([]);
+    expect(await filing.listDetailed('markdown/missing')).toEqual([]);
+  });
+
+  it('should stat, copy, move and delete files and folders', async () => {
+    await filing.create('markdown/a/one.md', '1');
+    await filing.create('markdown/a/two.md', '2');
+
+    expect(await filing.exists('markdown/a/one.md')).toBe(true);
+    expect(await filing.exists('markdown/a')).toBe(true);
+    expect(await filing.exists('markdown/b')).toBe(false);
+    expect(await filing.stat('markdown/a/one.md')).toMatchObject({ isFile: true, isDirectory: false, size: 1 });
+    expect(await filing.stat('markdown/a')).toMatchObject({ isFile: false, isDirectory: true });
+
+    await filing.copy('markdown/a', 'markdown/b');
+    await filing.move('markdown/b/one.md', 'markdown/c.md');
+    expect(await filing.list('markdown/b')).toEqual(['two.md']);
+    expect(await filing.read('markdown/c.md', 'utf8')).toBe('1');
+
+    await filing.delete('markdown/a');
+    expect(await filing.exists('markdown/a')).toBe(false);
+    expect([...client.objects.keys()]).toEqual(['shared/markdown/b/two.md', 'shared/markdown/c.md']);
+
+    await filing.destroy();
+    expect(client.destroy).toHaveBeenCalled();
+  });
+});
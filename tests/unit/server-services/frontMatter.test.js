@@ -0,0 +1,116 @@
+const {
+  parseFrontMatter,
+  stringifyFrontMatter,
+  parseFrontMatterFilters,
+  matchesFrontMatterFilters
+} = require('../../../server/src/utils/frontMatter');
+const { validateAgainstSchema, validateSchemaDefinition } = require('../../../server/src/utils/schemaValidator');
+const { validateFrontMatter } = require('../../../server/src/utils/metadataSchemas');
+
+describe('frontMatter', () => {
+  const page = [
+    '---',
+    'owner: jane',
+    'status: approved',
+    'reviewDate: 2025-12-01',
+    'tags: [integration, payments]',
+    'system: Payments Gateway',
+    '---',
+    '# Gateway',
+    ''
+  ].join('\n');
+
+  const schema = {
+    type: 'object',
+    required: ['owner', 'status'],
+    properties: {
+      owner: { type: 'string' },
+      status: { enum: ['draft', 'review', 'approved'] },
+      reviewDate: { type: 'string', format: 'date' },
+      tags: { type: 'array', items: { type: 'string' }, uniqueItems: true }
+    }
+  };
+
+  it('should parse front-matter and keep dates as strings', () => {
+    const { data, body, error } = parseFrontMatter(page);
+    expect(error).toBeNull();
+    expect(data).toEqual({
+      owner: 'jane',
+      status: 'approved',
+      reviewDate: '2025-12-01',
+      tags: ['integration', 'payments'],
+      system: 'Payments Gateway'
+    });
+    expect(body).toBe('# Gateway\n');
+    expect(parseFrontMatter('# No front-matter').data).toEqual({});
+    expect(parseFrontMatter('---\nowner: [jane\n---\n').error).toMatch(/Invalid front-matter YAML/);
+  });
+
+  it('should write front-matter that parses back to the same fields', () => {
+    const { data, body } = parseFrontMatter(page);
+    expect(parseFrontMatter(stringifyFrontMatter(data, body))).toMatchObject({ data, body });
+    expect(stringifyFrontMatter({}, '# Body')).toBe('# Body');
+  });
+
+  it('should filter on standard and custom fields', () => {
+    const { data } = parseFrontMatter(page);
+    const matches = query => matchesFrontMatterFilters(data, parseFrontMatterFilters(query));
+
+    expect(parseFrontMatterFilters({ q: 'gateway' })).toBeNull();
+    expect(matches({ status: 'Draft,approved', tags: 'payments' })).toBe(true);
+    expect(matches({ tags: 'payments,pci' })).toBe(false);
+    expect(matches({ owner: 'bob' })).toBe(false);
+    expect(matches({ reviewBefore: '2026-01-01', reviewAfter: '2025-12-01' })).toBe(true);
+    expect(matches({ reviewBefore: '2025-11-30' })).toBe(false);
+    expect(matches({ 'fm.system': 'payments gateway' })).toBe(true);
+  });
+
+  it('should report every field that fails the schema', () => {
+    expect(validateAgainstSchema(parseFrontMatter(page).data, schema)).toEqual({ valid: true, errors: [] });
+
+    const { valid, errors } = validateAgainstSchema(
+      { status: 'done', reviewDate: '2025-13-45', tags: ['a', 'a'] },
+      schema
+    );
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { field: 'owner', message: 'is required' },
+      { field: 'status', message: 'must be one of: draft, review, approved' },
+      { field: 'reviewDate', message: 'must be a valid date' },
+      { field: 'tags', message: 'must not contain duplicate items' }
+    ]);
+  });
+
+  it('should reject unusable schema definitions', () => {
+    expect(validateSchemaDefinition(schema)).toEqual([]);
+    expect(validateSchemaDefinition({ type: 'text', required: 'owner', properties: { id: { pattern: '(' } } })).toEqual([
+      'schema.type has unknown type "text"',
+      'schema.required must be an array of field names',
+      'schema.properties.id.pattern is not a valid regular expression'
+    ]);
+  });
+
+  it('should validate pages against the nearest folder schema and their template', async () => {
+    const files = {
+      'markdown/.schema.json': JSON.stringify({ required: ['owner'] }),
+      'markdown/adr/.schema.json': JSON.stringify(schema),
+      'templates/decision.json': JSON.stringify({ content: '', schema: { required: ['decision'] } })
+    };
+    const filing = {
+      exists: async filePath => filePath in files,
+      read: async filePath => files[filePath]
+    };
+
+    const nested = await validateFrontMatter(filing, 'adr/2025/001.md', '---\nowner: jane\nstatus: approved\n---\n', false);
+    expect(nested.errors).toEqual([]);
+
+    const withTemplate = await validateFrontMatter(filing, 'adr/002.md', '---\nstatus: draft\ntemplate: decision\n---\n', false);
+    expect(withTemplate.errors).toEqual([
+      { source: 'folder:adr', field: 'owner', message: 'is required' },
+      { source: 'template:decision', field: 'decision', message: 'is required' }
+    ]);
+
+    const invalidYaml = await validateFrontMatter(filing, 'notes.md', '---\nowner: [jane\n---\n', false);
+    expect(invalidYaml.errors[0]).toMatchObject({ source: 'front-matter', field: '(root)' });
+  });
+});
@@ -0,0 +1,88 @@
+const {
+  LinkIndex,
+  extractLinks,
+  createLinkResolver,
+  rewriteLinks,
+  toSpacePath
+} = require('../../../server/src/utils/linkIndex');
+
+describe('linkIndex', () => {
+  const files = [
+    'docs/solution-design.md',
+    'docs/overview.md',
+    'architecture/gateway.md',
+    'architecture/images/flow.png',
+    'index.md'
+  ];
+
+  it('should extract wiki and relative links but not code, anchors or URLs', () => {
+    const content = [
+      '# Overview',
+      'See [[Solution Design#Scope|the design]] and [gateway](../architecture/gateway.md).',
+      '`[[Inline]]` [web](https://example.com) [top](#overview)',
+      '```',
+      '[[Fenced]]',
+      '```',
+      '![flow](../architecture/images/flow.png)'
+    ].join('\n');
+
+    const links = extractLinks(content);
+    expect(links.map(link => [link.type, link.target, link.anchor, link.line])).toEqual([
+      ['wiki', 'Solution Design', 'Scope', 2],
+      ['markdown', '../architecture/gateway.md', null, 2],
+      ['markdown', '../architecture/images/flow.png', null, 7]
+    ]);
+    expect(links[0].context).toContain('See [[Solution Design');
+  });
+
+  it('should resolve page names, paths and relative links', () => {
+    const resolve = createLinkResolver(files);
+    expect(resolve({ type: 'wiki', target: 'Solution Design' }, 'index.md')).toBe('docs/solution-design.md');
+    expect(resolve({ type: 'wiki', target: 'architecture/Gateway' }, 'index.md')).toBe('architecture/gateway.md');
+    expect(resolve({ type: 'wiki', target: 'Missing Page' }, 'index.md')).toBeNull();
+    expect(resolve({ type: 'markdown', target: '../index.md' }, 'docs/overview.md')).toBe('index.md');
+    expect(resolve({ type: 'markdown', target: '/architecture' }, 'docs/overview.md')).toBe('architecture');
+    expect(resolve({ type: 'markdown', target: '../../outside.md' }, 'docs/overview.md')).toBeNull();
+  });
+
+  it('should report backlinks and broken links', () => {
+    const index = new LinkIndex({ indexPath: null });
+    index.replaceSpace('Shared', [
+      { path: 'index.md', content: '[[Overview]] [[Gateway]] [[Roadmap]]' },
+      { path: 'docs/overview.md', content: '[design](solution-design.md) [[Overview]]' }
+    ]);
+
+    expect(index.isComplete('Shared')).toBe(true);
+    expect(index.getBacklinks('Shared', 'docs/overview.md', files).map(link => link.source)).toEqual(['index.md']);
+    expect(index.getBacklinks('Shared', 'architecture', files).map(link => link.target)).toEqual(['Gateway']);
+    expect(index.getBrokenLinks('Shared', files).map(link => link.target)).toEqual(['Roadmap']);
+
+    index.movePath('Shared', 'docs', 'guides');
+    index.removePath('Shared', 'index.md');
+    expect(index.getFilePaths('Shared')).toEqual(['guides/overview.md']);
+  });
+
+  it('should rewrite links to renamed pages and keep labels and anchors', () => {
+    const content = 'See [[Solution Design#Scope|the design]] and [design](./solution-design.md#scope).';
+    const moves = new Map([['docs/solution-design.md', 'designs/target-design.md']]);
+
+    const result = rewriteLinks(content, 'docs/overview.md', moves, files);
+    expect(result.count).toBe(2);
+    expect(result.content).toBe('See [[target-design#Scope|the design]] and [design](../designs/target-design.md#scope).');
+  });
+
+  it('should apply worker tasks to the space-relative path', () => {
+    const index = new LinkIndex({ indexPath: null });
+    expect(toSpacePath('markdown/docs/overview.md', 'write')).toBe('docs/overview.md');
+    expect(toSpacePath('templates/page.md', 'write')).toBeNull();
+    expect(toSpacePath('docs/overview.md', 'readonly')).toBe('docs/overview.md');
+
+    index.applyTask({ action: 'index', path: 'markdown/notes.md', username: 'alice', links: extractLinks('[[Todo]]') });
+    index.applyTask({ action: 'index', path: 'docs/a.md', spaceName: 'Docs', spaceAccess: 'readonly', links: [] });
+    expect(index.getFilePaths('Personal:alice')).toEqual(['notes.md']);
+    expect(index.getFilePaths('Docs')).toEqual(['docs/a.md']);
+
+    index.applyTask({ action: 'remove', path: 'markdown/notes.md', username: 'alice' });
+    expect(index.getFilePaths('Personal:alice')).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Unit tests for the passage index questions about a space are answered from.
+ * @jest-environment node
+ */
+
+const PassageIndex = require('../../../server/src/services/searching/provider/passageIndex');
+const { buildSpaceAnswerPrompt } = require('../../../server/src/utils/aiAssistant');
+
+const DEPLOYMENT = [
+  '---',
+  'status: approved',
+  '---',
+  '# Deployment Guide',
+  '',
+  'How services reach production.',
+  '',
+  '## Rolling out a new service',
+  '',
+  'New services are released through the blue-green pipeline. Request a namespace from the platform team first.',
+  '',
+  '```bash',
+  '# not a heading',
+  'kubectl apply -f service.yaml',
+  '```',
+  '',
+  '## Rollback',
+  '',
+  'Switch traffic back to the green environment.'
+].join('\n');
+
+describe('chunkMarkdown', () => {
+  it('should split at headings and keep code with its section', () => {
+    const passages = PassageIndex.chunkMarkdown(DEPLOYMENT);
+    expect(passages.map(passage => passage.heading)).toEqual(['Deployment Guide', 'Rolling out a new service', 'Rollback']);
+    expect(passages[1]).toMatchObject({ index: 1, anchor: 'rolling-out-a-new-service' });
+    expect(passages[1].text).toContain('# not a heading');
+    expect(passages[0].text).not.toContain('status: approved');
+  });
+
+  it('should split long sections between paragraphs and sentences', () => {
+    const paragraph = 'The ledger keeps every booking. '.repeat(10).trim();
+    const passages = PassageIndex.chunkMarkdown(`## Ledger\n\n${paragraph}\n\n${paragraph}`, { maxLength: 400 });
+    expect(passages).toHaveLength(2);
+    expect(passages.every(passage => passage.heading === 'Ledger')).toBe(true);
+
+    const sentences = PassageIndex.chunkMarkdown(paragraph, { maxLength: 100 });
+    expect(sentences.length).toBeGreaterThan(3);
+    expect(sentences.every(passage => passage.text.length <= 100 && passage.text.endsWith('.'))).toBe(true);
+  });
+
+  it('should leave out question words and query syntax', () => {
+    expect(PassageIndex.questionToQuery('How do we roll out a "new" service*?')).toBe('roll out a new service');
+  });
+});
+
+describe('PassageIndex', () => {
+  let passages;
+
+  beforeEach(async () => {
+    passages = new PassageIndex({ indexPath: null });
+    await passages.update('Knowledge:guides/deployment.md', {
+      spaceName: 'Knowledge',
+      filePath: 'guides/deployment.md',
+      title: 'Deployment Guide',
+      content: DEPLOYMENT
+    });
+    await passages.update('Knowledge:adr/001-events.md', {
+      spaceName: 'Knowledge',
+      filePath: 'adr/001-events.md',
+      content: '# ADR 001\n\n## Decision\n\nServices publish domain events to Kafka.'
+    });
+    await passages.update('Shared:notes.md', {
+      spaceName: 'Shared',
+      filePath: 'notes.md',
+      content: 'Deploy a new service on Fridays only with approval.'
+    });
+  });
+
+  it('should retrieve the passages answering a question within a space', async () => {
+    const results = await passages.retrieve('How do I roll out a new service?', { filter: { spaceName: 'Knowledge' } });
+    expect(results[0]).toMatchObject({
+      key: 'Knowledge:guides/deployment.md#1',
+      filePath: 'guides/deployment.md',
+      title: 'Deployment Guide',
+      heading: 'Rolling out a new service',
+      anchor: 'rolling-out-a-new-service'
+    });
+    expect(results.every(result => result.key.startsWith('Knowledge:'))).toBe(true);
+    expect(await passages.retrieve('how do we?')).toEqual([]);
+  });
+
+  it('should keep at most two passages of a document', async () => {
+    const results = await passages.retrieve('service production traffic green environment namespace', { limit: 6 });
+    expect(results.filter(result => result.filePath === 'guides/deployment.md')).toHaveLength(2);
+  });
+
+  it('should replace the passages of a changed document and remove them', async () => {
+    expect(await passages.update('Knowledge:adr/001-events.md', {
+      spaceName: 'Knowledge',
+      filePath: 'adr/001-events.md',
+      content: '# ADR 001\n\n## Decision\n\nServices publish domain events to Kafka.'
+    })).toBe(false);
+
+    expect(await passages.update('Knowledge:guides/deployment.md', {
+      spaceName: 'Knowledge',
+      filePath: 'guides/deployment.md',
+      content: '# Deployment Guide\n\nEverything runs on the managed platform now.'
+    })).toBe(true);
+    expect(passages.count({ documentKey: 'Knowledge:guides/deployment.md' })).toBe(1);
+    expect(passages.documentKeys({ spaceName: 'Knowledge' }).sort()).toEqual(['Knowledge:adr/001-events.md', 'Knowledge:guides/deployment.md']);
+
+    expect(await passages.remove('Knowledge:guides/deployment.md')).toBe(true);
+    expect(await passages.remove('Knowledge:guides/deployment.md')).toBe(false);
+    expect(passages.documentKeys({ spaceName: 'Knowledge' })).toEqual(['Knowledge:adr/001-events.md']);
+  });
+});
+
+describe('buildSpaceAnswerPrompt', () => {
+  it('should number the sources and ask for citations', () => {
+    const { system, prompt } = buildSpaceAnswerPrompt('How do we deploy?', [
+      { filePath: 'guides/deployment.md', heading: 'Rolling out', text: 'Use the blue-green pipeline.' },
+      { filePath: 'notes.md', text: 'Fridays only.' }
+    ], 'Knowledge');
+    expect(system).toMatch(/of the Knowledge space/);
+    expect(prompt).toContain('<source id="1" file="guides/deployment.md" section="Rolling out">\nUse the blue-green pipeline.\n</source>');
+    expect(prompt).toContain('<source id="2" file="notes.md">');
+    expect(prompt).toMatch(/as \[1\], \[2\]/);
+    expect(prompt).toMatch(/Question: How do we deploy\?$/);
+    expect(() => buildSpaceAnswerPrompt(' ', [])).toThrow('Question is required');
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Unit tests for plugin content hooks, routes and settings.
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const PluginLoader = require('../../../server/src/utils/pluginLoader');
+const { PluginHookRegistry } = require('../../../server/src/utils/pluginHooks');
+const { PluginSettingsStore, normalizePluginSettings } = require('../../../server/src/utils/pluginSettings');
+
+const SAMPLE_PLUGINS = path.join(__dirname, '../../../server/plugins');
+
+describe('plugin hooks', () => {
+  let hooks;
+
+  beforeEach(() => {
+    hooks = new PluginHookRegistry({ timeout: 50 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should reject unknown hooks', () => {
+    expect(PluginHookRegistry.validate({ beforeSave: () => {} })).toBeNull();
+    expect(PluginHookRegistry.validate({ onDelete: () => {} })).toMatch(/Unknown hook 'onDelete'/);
+    expect(PluginHookRegistry.validate({ onRender: 'yes' })).toMatch(/must be a function/);
+  });
+
+  it('should chain content changes and stop at the first refusal', async () => {
+    hooks.register('trim', { beforeSave: ({ content }) => ({ content: content.trim(), warnings: ['Trimmed'] }) });
+    hooks.register('shout', { beforeSave: async ({ content }) => ({ content: content.toUpperCase() }) });
+
+    expect(await hooks.check('beforeSave', { path: 'a.md', content: '  hello ' }))
+      .toEqual({ content: 'HELLO', errors: [], warnings: [{ plugin: 'trim', message: 'Trimmed' }] });
+
+    hooks.register('refuse', { beforeSave: () => ({ errors: [new Error('Missing owner')] }) });
+    const never = jest.fn();
+    hooks.register('never', { beforeSave: never });
+    const result = await hooks.check('beforeSave', { path: 'a.md', content: 'x' });
+    expect(result.errors).toEqual([{ plugin: 'refuse', message: 'Missing owner' }]);
+    expect(never).not.toHaveBeenCalled();
+  });
+
+  it('should skip hooks that throw or time out', async () => {
+    hooks.register('broken', { onRender: () => { throw new Error('boom'); } });
+    hooks.register('slow', { onRender: () => new Promise(resolve => setTimeout(() => resolve('late'), 200)) });
+    hooks.register('glossary', { onRender: ({ markdown }) => markdown.replace('ADR', '[ADR](/glossary#adr)') });
+
+    expect(await hooks.render({ path: 'a.md', markdown: 'An ADR' })).toBe('An [ADR](/glossary#adr)');
+    expect(console.error).toHaveBeenCalledTimes(2);
+  });
+
+  it('should merge search fields and leave out skipped documents', async () => {
+    hooks.register('tags', { onSearchIndex: ({ document }) => ({ tags: ['adr'], content: document.content.toLowerCase() }) });
+    hooks.register('private', { onSearchIndex: ({ path: filePath }) => (filePath.startsWith('private/') ? false : undefined) });
+
+    expect(await hooks.indexDocument({ path: 'adr.md', document: { filePath: 'adr.md', content: 'ADR' } }))
+      .toEqual({ filePath: 'adr.md', content: 'adr', tags: ['adr'] });
+    expect(await hooks.indexDocument({ path: 'private/notes.md', document: { content: '' } })).toBeNull();
+
+    hooks.unregister('private');
+    expect(hooks.has('onSearchIndex')).toBe(true);
+    expect(await hooks.indexDocument({ path: 'private/notes.md', document: { content: '' } })).not.toBeNull();
+  });
+});
+
+describe('plugin settings', () => {
+  const definitions = [
+    { key: 'mode', type: 'select', options: ['warn', 'block'], default: 'warn' },
+    { key: 'limit', type: 'number', min: 1, max: 10 },
+    { key: 'enabled', type: 'boolean', default: true }
+  ];
+
+  it('should validate values against their declarations', () => {
+    expect(normalizePluginSettings(definitions, { mode: 'block', limit: '3' })).toEqual({ values: { mode: 'block', limit: 3 } });
+    expect(normalizePluginSettings(definitions, { mode: 'fail' }).error).toMatch(/mode must be one of: warn, block/);
+    expect(normalizePluginSettings(definitions, { limit: 11 }).error).toMatch(/between 1 and 10/);
+    expect(normalizePluginSettings(definitions, { enabled: 'yes' }).error).toMatch(/true or false/);
+    expect(normalizePluginSettings(definitions, { colour: 'red' }).error).toMatch(/Unknown setting 'colour'/);
+  });
+});
+
+describe('PluginLoader', () => {
+  let tempDir;
+  let pluginsDir;
+  let hooks;
+  let loader;
+
+  const writePlugin = (name, source) => {
+    fs.mkdirSync(path.join(pluginsDir, name), { recursive: true });
+    fs.writeFileSync(path.join(pluginsDir, name, 'package.json'), JSON.stringify({ name, version: '0.1.0' }));
+    fs.writeFileSync(path.join(pluginsDir, name, 'index.js'), source);
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    pluginsDir = path.join(tempDir, 'plugins');
+    hooks = new PluginHookRegistry();
+    loader = new PluginLoader(pluginsDir, {
+      hooks,
+      settingsStore: new PluginSettingsStore({ file: path.join(tempDir, 'plugin-settings.json') })
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should register hooks with the current settings and unregister them on unload', async () => {
+    writePlugin('prefix', `
+      module.exports = {
+        name: 'prefix',
+        settings: [{ key: 'prefix', type: 'string', default: '> ' }],
+        hooks: { onRender: ({ markdown }, context) => context.settings.prefix + markdown }
+      };
+    `);
+    await loader.loadPlugin('prefix');
+    expect(await hooks.render({ markdown: 'text' })).toBe('> text');
+
+    const result = await loader.updatePluginSettings('prefix', { prefix: 'NOTE: ' }, 'admin');
+    expect(result).toEqual({ values: { prefix: 'NOTE: ' }, changed: ['prefix'] });
+    expect(await hooks.render({ markdown: 'text' })).toBe('NOTE: text');
+    expect(loader.getPluginInfo()[0]).toMatchObject({ id: 'prefix', hooks: ['onRender'], hasRoutes: false, settings: ['prefix'] });
+
+    // Stored values survive a reload
+    await loader.reloadPlugin('prefix');
+    expect(await hooks.render({ markdown: 'text' })).toBe('NOTE: text');
+
+    loader.unloadPlugin('prefix');
+    expect(hooks.has('onRender')).toBe(false);
+  });
+
+  it('should refuse plugins with unknown hooks or invalid settings', async () => {
+    writePlugin('typo', "module.exports = { name: 'typo', hooks: { beforeSafe: () => {} } };");
+    await expect(loader.loadPlugin('typo')).rejects.toThrow(/Unknown hook 'beforeSafe'/);
+
+    writePlugin('select', "module.exports = { name: 'select', hooks: {}, settings: [{ key: 'mode', type: 'select' }] };");
+    await expect(loader.loadPlugin('select')).rejects.toThrow(/needs options/);
+  });
+
+  it('should serve plugin routes under their directory name', async () => {
+    writePlugin('hello', `
+      module.exports = {
+        name: 'hello',
+        routes(router, context) {
+          router.get('/greeting', (req, res) => res.json({ plugin: context.plugin, path: req.baseUrl }));
+          router.get('/fail', () => { throw new Error('broken'); });
+        }
+      };
+    `);
+    await loader.loadPlugin('hello');
+    const app = express();
+    app.use('/api/ext', (req, res, next) => loader.handlePluginRoute(req, res, next));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await request(app).get('/api/ext/hello/greeting').expect(200, { plugin: 'hello', path: '/api/ext/hello' });
+    await request(app).get('/api/ext/hello/missing').expect(404);
+    await request(app).get('/api/ext/other/greeting').expect(404);
+    await request(app).get('/api/ext/hello/fail').expect(500, { error: 'Plugin route failed' });
+    console.error.mockRestore();
+  });
+
+  it('should link glossary terms and lint saves with the sample plugin', async () => {
+    const sampleLoader = new PluginLoader(SAMPLE_PLUGINS, {
+      hooks,
+      settingsStore: new PluginSettingsStore({ file: path.join(tempDir, 'plugin-settings.json') })
+    });
+    await sampleLoader.loadPlugin('sample-content-hooks');
+    expect(await hooks.render({ markdown: 'The event store keeps events.' })).toBe('The event store keeps events.');
+
+    await sampleLoader.updatePluginSettings('sample-content-hooks', {
+      glossary: 'Event Store = /glossary#event-store\nEvent = /glossary#event',
+      discouragedPhrases: 'leverage => use',
+      lintMode: 'block'
+    });
+    expect(await hooks.render({ markdown: '# Event Store\nThe event store keeps each Event. `Event`' }))
+      .toBe('# Event Store\nThe [event store](/glossary#event-store) keeps each [Event](/glossary#event). `Event`');
+
+    const result = await hooks.check('beforeSave', { path: 'adr.md', content: 'We leverage queues.' });
+    expect(result.errors).toEqual([{ plugin: 'sample-content-hooks', message: 'Line 1: use "use" instead of "leverage"' }]);
+    expect((await hooks.check('beforeSave', { path: 'data.json', content: 'leverage' })).errors).toEqual([]);
+  });
+});
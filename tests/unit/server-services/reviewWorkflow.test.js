@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const createWorkflowService = require('../../../server/src/services/workflow');
+const { computeContentVersion } = require('../../../server/src/utils/contentVersion');
+const {
+  ReviewStore,
+  useWorkflowService,
+  getReviewRules,
+  requiresReview,
+  applyReviewAction,
+  createPublishGate
+} = require('../../../server/src/utils/reviewWorkflow');
+
+describe('reviewWorkflow', () => {
+  const filePath = 'architecture/gateway.md';
+  const version = computeContentVersion('# Gateway v1');
+  const rules = getReviewRules({ review: { required: true, minApprovals: 2, paths: ['architecture/'] } });
+  let tempDir;
+  let store;
+
+  const act = (action) => applyReviewAction({ spaceKey: 'Shared', filePath, rules, store, action: { version, ...action } });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reviews-'));
+    store = new ReviewStore({ basePath: tempDir });
+  });
+
+  afterEach(() => {
+    useWorkflowService(null);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should read approval rules and the documents they cover', () => {
+    expect(getReviewRules({})).toEqual({ required: false, minApprovals: 1, paths: [], allowSelfApproval: false });
+    expect(requiresReview(rules, filePath)).toBe(true);
+    expect(requiresReview(rules, 'notes/meeting.md')).toBe(false);
+    expect(requiresReview(rules, 'architecture/diagram.png')).toBe(false);
+  });
+
+  it('should approve a document once enough reviewers approve it', async () => {
+    const submitted = await act({ type: 'submit', actor: 'jane', reviewers: ['bob', 'carol'] });
+    expect(submitted.error).toBeNull();
+    expect(submitted.review.state).toBe('in_review');
+    expect(submitted.review.minApprovals).toBe(2);
+
+    expect((await act({ type: 'approve', actor: 'bob' })).review.state).toBe('in_review');
+    expect((await act({ type: 'approve', actor: 'bob' })).error).toEqual({ status: 409, message: 'You already approved this document' });
+    const approved = await act({ type: 'approve', actor: 'carol', comment: 'Looks good' });
+    expect(approved.review.state).toBe('approved');
+    expect(approved.review.trail.map(entry => [entry.action, entry.actor, entry.to])).toEqual([
+      ['submit', 'jane', 'in_review'],
+      ['approve', 'bob', 'in_review'],
+      ['approve', 'carol', 'approved']
+    ]);
+
+    expect((await store.get('Shared', filePath)).state).toBe('approved');
+  });
+
+  it('should refuse actions that break the review rules', async () => {
+    expect((await act({ type: 'approve', actor: 'bob' })).error.status).toBe(409);
+    expect((await act({ type: 'submit', actor: 'jane', reviewers: ['jane', 'bob'] })).error.message)
+      .toBe('Authors cannot review their own document');
+    expect((await act({ type: 'submit', actor: 'jane', reviewers: ['bob'] })).error.message)
+      .toBe('At least 2 reviewers are required');
+
+    await act({ type: 'submit', actor: 'jane', reviewers: ['bob', 'carol'] });
+    expect((await act({ type: 'approve', actor: 'dave' })).error.status).toBe(403);
+    expect((await act({ type: 'approve', actor: 'bob', version: 'changed' })).error.status).toBe(409);
+    expect((await act({ type: 'reject', actor: 'bob' })).error.message).toBe('A comment is required to reject a document');
+    expect((await act({ type: 'withdraw', actor: 'bob' })).error.status).toBe(403);
+
+    const rejected = await act({ type: 'reject', actor: 'bob', comment: 'Missing failure modes' });
+    expect(rejected.review.state).toBe('rejected');
+    expect((await act({ type: 'submit', actor: 'jane', reviewers: ['bob', 'carol'] })).review.reviewers
+      .every(reviewer => reviewer.decision === 'pending')).toBe(true);
+    expect((await act({ type: 'withdraw', actor: 'admin', isAdmin: true })).review.state).toBe('draft');
+  });
+
+  it('should only publish approved and unchanged documents', async () => {
+    const contents = {
+      'markdown/architecture/gateway.md': '# Gateway v1',
+      'markdown/architecture/queue.md': '# Queue',
+      'markdown/notes/meeting.md': '# Notes'
+    };
+    const gate = createPublishGate({
+      spaceName: 'Shared',
+      store,
+      getSpaceConfig: () => ({ review: { required: true, minApprovals: 2, paths: ['architecture/'] } }),
+      readContent: async repoPath => (repoPath in contents ? contents[repoPath] : null)
+    });
+    const changedFiles = [...Object.keys(contents), 'markdown/architecture/removed.md'];
+
+    await act({ type: 'submit', actor: 'jane', reviewers: ['bob', 'carol'] });
+    await act({ type: 'approve', actor: 'bob' });
+    await act({ type: 'approve', actor: 'carol' });
+    expect(await gate.check(changedFiles)).toEqual([
+      { path: 'architecture/queue.md', state: 'draft', reason: 'is draft' }
+    ]);
+
+    contents['markdown/architecture/gateway.md'] = '# Gateway v2';
+    expect((await gate.check(['markdown/architecture/gateway.md']))[0].reason).toBe('changed since it was approved');
+
+    await gate.published(changedFiles, { actor: 'jane', commit: 'abc123' });
+    const published = await store.get('Shared', filePath);
+    expect(published.state).toBe('published');
+    expect(published.publishedCommit).toBe('abc123');
+  });
+
+  it('should run review actions on the workflow service', async () => {
+    const eventEmitter = new EventEmitter();
+    const events = [];
+    eventEmitter.on('workflow:step:end', ({ workflowName, stepName }) => events.push(`${workflowName} ${stepName}`));
+    useWorkflowService(createWorkflowService('', {}, eventEmitter));
+
+    const { review, error } = await act({ type: 'submit', actor: 'jane', reviewers: ['bob', 'carol'] });
+    expect(error).toBeNull();
+    expect(review.state).toBe('in_review');
+    expect(events).toEqual([
+      'document-review Step 1: applyAction.js',
+      'document-review Step 2: evaluateApprovals.js'
+    ]);
+  });
+});
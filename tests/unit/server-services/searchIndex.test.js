@@ -0,0 +1,94 @@
+const EventEmitter = require('events');
+const createSearchService = require('../../../server/src/services/searching');
+const InMemoryQueue = require('../../../server/src/services/queueing/providers/InMemoryQueue');
+const {
+  SEARCH_QUEUE,
+  buildSearchDocument,
+  isSpaceIndexed,
+  invalidateSpaceIndex,
+  queueSearchUpdate,
+  queueSearchRemoval,
+  queueSpaceIndexing,
+  applySearchTask,
+  startSearchQueueConsumer
+} = require('../../../server/src/utils/searchIndex');
+
+const COMMENTS = '\n\n<!-- COMMENTS_DATA_START\n{"comments":[{"text":"secret gateway note"}]}\nCOMMENTS_DATA_END -->';
+
+describe('searchIndex', () => {
+  let searching;
+  let queue;
+  let stopConsumer;
+
+  const req = { spaceName: 'Shared', user: { username: 'alice' } };
+
+  // Applies everything queued so far, as the consumer does on its next poll
+  const drain = async () => {
+    let task;
+    while ((task = await queue.dequeue(SEARCH_QUEUE))) {
+      await applySearchTask(searching, task);
+    }
+  };
+
+  beforeEach(() => {
+    searching = createSearchService('indexed', { indexPath: null }, new EventEmitter());
+    queue = new InMemoryQueue({});
+    stopConsumer = startSearchQueueConsumer(queue, searching, { interval: 60000 });
+  });
+
+  afterEach(() => {
+    stopConsumer();
+  });
+
+  it('should index pages without their comment threads', () => {
+    const document = buildSearchDocument('Shared', 'docs/gateway.md', `---\nstatus: approved\n---\n# Gateway${COMMENTS}`);
+    expect(document).toMatchObject({
+      spaceName: 'Shared',
+      filePath: 'docs/gateway.md',
+      fileName: 'gateway.md',
+      fileType: 'markdown',
+      frontMatter: { status: 'approved' }
+    });
+    expect(document.content).not.toContain('COMMENTS_DATA_START');
+    expect(buildSearchDocument('Shared', 'images/logo.png', 'binary')).toBeNull();
+  });
+
+  it('should apply queued writes and removals of files and folders', async () => {
+    queueSearchUpdate(req, 'docs/gateway.md', `# Gateway\nRoutes payments.${COMMENTS}`);
+    queueSearchUpdate(req, 'docs/design.md', Buffer.from('# Design\nThe gateway design.'));
+    queueSearchUpdate(req, 'notes.md', '# Notes\nGateway review.');
+    queueSearchUpdate(req, 'images/logo.png', 'binary');
+    await drain();
+
+    expect(searching.keys({ spaceName: 'Shared' }).sort()).toEqual(['Shared:docs/design.md', 'Shared:docs/gateway.md', 'Shared:notes.md']);
+    const results = await searching.search('gateway', { filter: { spaceName: 'Shared' } });
+    expect(results.every(result => !result.snippet.includes('secret'))).toBe(true);
+    expect(searching.passages.documentKeys({ spaceName: 'Shared' })).toHaveLength(3);
+
+    queueSearchRemoval(req, 'docs');
+    await drain();
+    expect(searching.keys({ spaceName: 'Shared' })).toEqual(['Shared:notes.md']);
+    expect(searching.passages.documentKeys({ spaceName: 'Shared' })).toEqual(['Shared:notes.md']);
+  });
+
+  it('should index Personal spaces per user', async () => {
+    queueSearchUpdate({ spaceName: 'Personal', user: { username: 'alice' } }, 'todo.md', 'Gateway tasks');
+    await drain();
+    expect(searching.keys({ spaceName: 'Personal:alice' })).toEqual(['Personal:alice:todo.md']);
+  });
+
+  it('should search a space through the index once a full pass completed', async () => {
+    await searching.add('Knowledge:removed.md', { spaceName: 'Knowledge', filePath: 'removed.md', content: 'Old gateway' });
+
+    expect(queueSpaceIndexing('Knowledge', [{ path: 'gateway.md', content: 'Gateway' }])).toBe(true);
+    expect(queueSpaceIndexing('Knowledge', [])).toBe(false);
+    expect(isSpaceIndexed('Knowledge')).toBe(false);
+
+    await drain();
+    expect(isSpaceIndexed('Knowledge')).toBe(true);
+    expect(searching.keys({ spaceName: 'Knowledge' })).toEqual(['Knowledge:gateway.md']);
+
+    invalidateSpaceIndex({ spaceName: 'Knowledge' });
+    expect(isSpaceIndexed('Knowledge')).toBe(false);
+  });
+});
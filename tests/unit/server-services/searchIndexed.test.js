@@ -0,0 +1,148 @@
+const createSearchService = require('../../../server/src/services/searching');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('IndexedSearchService', () => {
+  let searchService;
+  let mockEventEmitter;
+  let tempDir;
+  let indexPath;
+
+  beforeEach(async () => {
+    mockEventEmitter = new EventEmitter();
+    jest.spyOn(mockEventEmitter, 'emit');
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-'));
+    indexPath = path.join(tempDir, 'search-index.json');
+    searchService = createSearchService('indexed', { indexPath, persistDelay: 0 }, mockEventEmitter);
+
+    await searchService.add('Knowledge:gateway.md', {
+      spaceName: 'Knowledge',
+      fileName: 'gateway.md',
+      title: 'API Gateway',
+      content: 'The API gateway routes requests to backend services and enforces rate limits.'
+    });
+    await searchService.add('Knowledge:design.md', {
+      spaceName: 'Knowledge',
+      fileName: 'design.md',
+      title: 'Solution Design',
+      content: 'This solution design describes the architecture of the payment services.'
+    });
+    await searchService.add('Shared:notes.md', {
+      spaceName: 'Shared',
+      fileName: 'notes.md',
+      title: 'Meeting notes',
+      content: 'We discussed the design of the gateway and agreed on architectural principles.'
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should reject an existing key on add', async () => {
+    expect(await searchService.add('Shared:notes.md', { content: 'other' })).toBe(false);
+    expect(mockEventEmitter.emit).toHaveBeenCalledWith('search:add:error', {
+      sonObject: { content: 'other' },
+      error: 'Key already exists.',
+    });
+  });
+
+  it('should rank results with BM25 and boost title matches', async () => {
+    const results = await searchService.search('gateway');
+    expect(results.map(result => result.key)).toEqual(['Knowledge:gateway.md', 'Shared:notes.md']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(results[0].document.title).toBe('API Gateway');
+  });
+
+  it('should match stemmed word forms', async () => {
+    const results = await searchService.search('routing request');
+    expect(results.map(result => result.key)).toEqual(['Knowledge:gateway.md']);
+  });
+
+  it('should require every term to match', async () => {
+    expect(await searchService.search('gateway payment')).toEqual([]);
+  });
+
+  it('should rank documents matching any term when asked to', async () => {
+    const results = await searchService.search('gateway payment', { match: 'any' });
+    expect(results.map(result => result.key).sort()).toEqual(['Knowledge:design.md', 'Knowledge:gateway.md', 'Shared:notes.md']);
+    // The rarer term weighs more
+    expect(results[0].key).toBe('Knowledge:design.md');
+  });
+
+  it('should match quoted phrases only when the words are adjacent', async () => {
+    const phrase = await searchService.search('"solution design"');
+    expect(phrase.map(result => result.key)).toEqual(['Knowledge:design.md']);
+
+    const notAdjacent = await searchService.search('"design gateway"');
+    expect(notAdjacent).toEqual([]);
+  });
+
+  it('should expand prefix queries', async () => {
+    const results = await searchService.search('archit*');
+    expect(results.map(result => result.key).sort()).toEqual(['Knowledge:design.md', 'Shared:notes.md']);
+  });
+
+  it('should drop documents that match an excluded term or phrase', async () => {
+    const results = await searchService.search('design -payments');
+    expect(results.map(result => result.key)).toEqual(['Shared:notes.md']);
+    expect(results[0].snippet).not.toContain('<mark>payment');
+
+    const phrase = await searchService.search('design -"solution design"');
+    expect(phrase.map(result => result.key)).toEqual(['Shared:notes.md']);
+
+    expect(await searchService.search('-gateway')).toEqual([]);
+  });
+
+  it('should filter, limit and offset results', async () => {
+    const filtered = await searchService.search('design', { filter: { spaceName: 'Shared' } });
+    expect(filtered.map(result => result.key)).toEqual(['Shared:notes.md']);
+
+    const byFunction = await searchService.search('design', { filter: { spaceName: space => space !== 'Shared' } });
+    expect(byFunction.map(result => result.key)).toEqual(['Knowledge:design.md']);
+
+    const all = await searchService.search('design');
+    const paged = await searchService.search('design', { limit: 1, offset: 1 });
+    expect(paged).toHaveLength(1);
+    expect(paged[0].key).toBe(all[1].key);
+  });
+
+  it('should return escaped snippets with highlighted matches', async () => {
+    await searchService.add('Shared:html.md', {
+      spaceName: 'Shared',
+      content: 'Use <script> tags carefully when embedding widgets.'
+    });
+    const [result] = await searchService.search('widgets');
+    expect(result.snippet).toContain('&lt;script&gt;');
+    expect(result.snippet).toContain('<mark>widgets</mark>');
+  });
+
+  it('should replace documents on update and skip unchanged ones', async () => {
+    const document = { spaceName: 'Shared', content: 'Event sourcing overview', indexedAt: '2025-01-01' };
+    expect(await searchService.update('Shared:events.md', document)).toBe(true);
+    expect(await searchService.update('Shared:events.md', { ...document, indexedAt: '2025-01-02' })).toBe(false);
+
+    await searchService.update('Shared:events.md', { spaceName: 'Shared', content: 'CQRS overview' });
+    expect(await searchService.search('event')).toEqual([]);
+    expect((await searchService.search('cqrs')).map(result => result.key)).toEqual(['Shared:events.md']);
+  });
+
+  it('should remove documents from the index', async () => {
+    expect(await searchService.remove('Knowledge:gateway.md')).toBe(true);
+    expect(await searchService.remove('Knowledge:gateway.md')).toBe(false);
+    expect((await searchService.search('gateway')).map(result => result.key)).toEqual(['Shared:notes.md']);
+    expect(searchService.keys({ spaceName: 'Knowledge' })).toEqual(['Knowledge:design.md']);
+  });
+
+  it('should persist the index and reload it', async () => {
+    await searchService.flush();
+    expect(fs.existsSync(indexPath)).toBe(true);
+
+    const reloaded = createSearchService('indexed', { indexPath }, new EventEmitter());
+    const stats = await reloaded.getStats();
+    expect(stats.documents).toBe(3);
+    expect((await reloaded.search('"solution design"')).map(result => result.key)).toEqual(['Knowledge:design.md']);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  isImportableDocument,
+  getImportPaths,
+  convertDocumentToMarkdown
+} = require('../../../../server/src/utils/documentImporter');
+
+describe('Document Importer', () => {
+  const sampleDocPath = path.join(__dirname, 'sample-doc.docx');
+  const samplePptxPath = path.join(__dirname, 'sample-powerpoint.pptx');
+
+  describe('isImportableDocument', () => {
+    it('should accept .docx and .pptx files', () => {
+      expect(isImportableDocument('design.docx')).toBe(true);
+      expect(isImportableDocument('Deck.PPTX')).toBe(true);
+    });
+
+    it('should reject other files', () => {
+      expect(isImportableDocument('notes.md')).toBe(false);
+      expect(isImportableDocument('legacy.doc')).toBe(false);
+      expect(isImportableDocument('')).toBe(false);
+    });
+  });
+
+  describe('getImportPaths', () => {
+    it('should place the markdown, images and attachment in the target folder', () => {
+      expect(getImportPaths('Solution_Design.docx', 'Areas/erp')).toEqual({
+        imageDir: 'Solution_Design-images',
+        markdownPath: 'Areas/erp/Solution_Design.md',
+        imageFolderPath: 'Areas/erp/Solution_Design-images',
+        attachmentPath: 'Areas/erp/Solution_Design.docx'
+      });
+    });
+
+    it('should use the space root when no folder is given', () => {
+      const paths = getImportPaths('deck.pptx');
+      expect(paths.markdownPath).toBe('deck.md');
+      expect(paths.attachmentPath).toBe('deck.pptx');
+    });
+  });
+
+  describe('convertDocumentToMarkdown', () => {
+    it('should reject unsupported formats', async () => {
+      await expect(convertDocumentToMarkdown(Buffer.from('text'), 'notes.txt'))
+        .rejects
+        .toThrow('Unsupported import format');
+    });
+
+    it('should convert a Word document and extract its images', async () => {
+      const buffer = await fs.readFile(sampleDocPath);
+      const result = await convertDocumentToMarkdown(buffer, 'sample-doc.docx', {
+        imageDir: 'sample-doc-images',
+        attachmentName: 'sample-doc.docx'
+      });
+
+      expect(typeof result.markdown).toBe('string');
+      expect(result.markdown).toContain('[sample-doc.docx](sample-doc.docx)');
+      result.images.forEach(image => {
+        expect(Buffer.isBuffer(image.data)).toBe(true);
+        expect(result.markdown).toContain(`sample-doc-images/${image.name}`);
+      });
+    });
+
+    it('should convert a PowerPoint deck titled after the uploaded file', async () => {
+      const buffer = await fs.readFile(samplePptxPath);
+      const result = await convertDocumentToMarkdown(buffer, 'sample-powerpoint.pptx', {
+        imageDir: 'sample-powerpoint-images'
+      });
+
+      expect(result.markdown.startsWith('# sample-powerpoint\n')).toBe(true);
+      expect(result.markdown).toContain('## Slide 1');
+      expect(result.images.length).toBeGreaterThan(0);
+      expect(result.markdown).toContain(`sample-powerpoint-images/${result.images[0].name}`);
+    });
+  });
+});
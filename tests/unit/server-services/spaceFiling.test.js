@@ -0,0 +1,77 @@
+const {
+  getFilingOptions,
+  validateFilingConfig,
+  maskFilingSecrets,
+  restoreFilingSecrets,
+  MASKED_SECRET
+} = require('../../../server/src/utils/spaceFiling');
+
+describe('spaceFiling', () => {
+  afterEach(() => {
+    delete process.env.TEST_S3_SECRET;
+  });
+
+  it('should map s3 and ftp spaces to provider options', () => {
+    process.env.TEST_S3_SECRET = 'from-env';
+    const s3 = getFilingOptions({
+      filing: {
+        type: 's3',
+        bucket: 'artefacts',
+        region: 'eu-west-1',
+        prefix: 'shared/',
+        endpoint: 'http://localhost:9000',
+        accessKeyId: 'minio',
+        secretAccessKey: 'env:TEST_S3_SECRET'
+      }
+    });
+    expect(s3).toEqual({
+      type: 's3',
+      options: {
+        bucketName: 'artefacts',
+        region: 'eu-west-1',
+        prefix: 'shared/',
+        endpoint: 'http://localhost:9000',
+        forcePathStyle: undefined,
+        accessKeyId: 'minio',
+        secretAccessKey: 'from-env'
+      }
+    });
+
+    const ftp = getFilingOptions({ filing: { type: 'ftp', host: 'ftp.local', port: 2121, user: 'docs', password: 'secret', rootPath: '/docs' } });
+    expect(ftp.type).toBe('ftp');
+    expect(ftp.options).toMatchObject({ host: 'ftp.local', port: 2121, user: 'docs', password: 'secret', rootPath: '/docs' });
+
+    expect(getFilingOptions({ access: 'readonly', filing: { type: 'git', git: 'repo', localFolder: './x' } }).options.isReadonly).toBe(true);
+    expect(() => getFilingOptions({ filing: { type: 'dropbox' } })).toThrow('Unsupported filing provider type: dropbox');
+  });
+
+  it('should report invalid filing configurations', () => {
+    expect(validateFilingConfig({ type: 'local', localFolder: './content' })).toEqual([]);
+    expect(validateFilingConfig({ type: 's3', bucket: 'artefacts', region: 'us-east-1' })).toEqual([]);
+    expect(validateFilingConfig({ type: 'ftp', host: 'ftp.local', port: 21 })).toEqual([]);
+
+    expect(validateFilingConfig(null)).toEqual(['Filing configuration must be an object']);
+    expect(validateFilingConfig({ type: 'dropbox' })[0]).toContain('Filing type must be one of');
+    expect(validateFilingConfig({ type: 's3', region: 'us-east-1', endpoint: 'localhost:9000', accessKeyId: 'key' })).toEqual([
+      's3 filing requires bucket',
+      's3 endpoint must be an http(s) URL',
+      's3 filing requires both accessKeyId and secretAccessKey, or neither'
+    ]);
+    expect(validateFilingConfig({ type: 'ftp', port: 70000 })).toEqual([
+      'ftp filing requires host',
+      'ftp port must be a number between 1 and 65535'
+    ]);
+  });
+
+  it('should mask secrets and restore them when saved unchanged', () => {
+    const stored = { type: 's3', bucket: 'artefacts', accessKeyId: 'key', secretAccessKey: 'secret' };
+    const masked = maskFilingSecrets(stored);
+    expect(masked.secretAccessKey).toBe(MASKED_SECRET);
+    expect(stored.secretAccessKey).toBe('secret');
+    expect(maskFilingSecrets({ type: 'ftp', host: 'h', password: 'env:FTP_PASSWORD' }).password).toBe('env:FTP_PASSWORD');
+
+    expect(restoreFilingSecrets(masked, stored).secretAccessKey).toBe('secret');
+    expect(restoreFilingSecrets({ ...masked, secretAccessKey: 'changed' }, stored).secretAccessKey).toBe('changed');
+    expect(restoreFilingSecrets({ type: 'ftp', host: 'h', password: MASKED_SECRET }, stored)).not.toHaveProperty('password');
+  });
+});
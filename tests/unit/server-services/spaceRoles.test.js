@@ -0,0 +1,81 @@
+const {
+  resolveSpaceRole,
+  hasSpacePermission,
+  listAccessibleSpaces,
+  normalizeRoleAssignments
+} = require('../../../server/src/utils/spaceRoles');
+
+describe('spaceRoles', () => {
+  const architecture = {
+    space: 'Architecture',
+    access: 'write',
+    roles: {
+      users: { reviewer: 'commenter', lead: 'admin' },
+      groups: { architects: 'editor', guests: 'viewer' }
+    }
+  };
+
+  describe('resolveSpaceRole', () => {
+    it('should fall back to the access flag for users with the space in their profile', () => {
+      const user = { username: 'alice', spaces: 'Personal, Knowledge' };
+      expect(resolveSpaceRole(user, { space: 'Knowledge', access: 'readonly' })).toBe('viewer');
+      expect(resolveSpaceRole(user, { space: 'Personal', access: 'write' })).toBe('editor');
+      expect(resolveSpaceRole(user, { space: 'Other', access: 'write' })).toBeNull();
+    });
+
+    it('should use the configured default role', () => {
+      const user = { username: 'alice', spaces: 'Architecture' };
+      expect(resolveSpaceRole(user, { ...architecture, roles: { default: 'commenter' } })).toBe('commenter');
+    });
+
+    it('should grant access through user and group assignments', () => {
+      expect(resolveSpaceRole({ username: 'lead', spaces: '' }, architecture)).toBe('admin');
+      expect(resolveSpaceRole({ username: 'bob', groups: 'guests, architects' }, architecture)).toBe('editor');
+      expect(resolveSpaceRole({ username: 'bob', groups: ['guests'] }, architecture)).toBe('viewer');
+    });
+
+    it('should let a user assignment override the user groups', () => {
+      const reviewer = { username: 'reviewer', spaces: 'Architecture', groups: 'architects' };
+      expect(resolveSpaceRole(reviewer, architecture)).toBe('commenter');
+    });
+  });
+
+  describe('hasSpacePermission', () => {
+    it('should require increasing roles for each operation', () => {
+      expect(hasSpacePermission('viewer', 'read')).toBe(true);
+      expect(hasSpacePermission('viewer', 'comment')).toBe(false);
+      expect(hasSpacePermission('commenter', 'comment')).toBe(true);
+      expect(hasSpacePermission('commenter', 'write')).toBe(false);
+      expect(hasSpacePermission('editor', 'publish')).toBe(true);
+      expect(hasSpacePermission('editor', 'manage')).toBe(false);
+      expect(hasSpacePermission('admin', 'manage')).toBe(true);
+      expect(hasSpacePermission(null, 'read')).toBe(false);
+    });
+
+    it('should reject unknown operations', () => {
+      expect(() => hasSpacePermission('admin', 'delete')).toThrow('Unknown space operation');
+    });
+  });
+
+  it('should list accessible spaces with the role and without the assignments', () => {
+    const spaces = [architecture, { space: 'Knowledge', access: 'readonly' }];
+    const listed = listAccessibleSpaces({ username: 'reviewer', spaces: 'Personal' }, spaces);
+    expect(listed).toEqual([{ space: 'Architecture', access: 'write', role: 'commenter' }]);
+  });
+
+  describe('normalizeRoleAssignments', () => {
+    it('should trim names and drop an empty default', () => {
+      expect(normalizeRoleAssignments({ default: '', users: { ' reviewer ': 'commenter' } })).toEqual({
+        roles: { users: { reviewer: 'commenter' }, groups: {} },
+        error: null
+      });
+    });
+
+    it('should reject unknown roles', () => {
+      expect(normalizeRoleAssignments({ groups: { architects: 'owner' } }).error)
+        .toBe('Invalid role for architects: owner');
+      expect(normalizeRoleAssignments({ default: 'owner' }).error).toBe('Invalid default role: owner');
+      expect(normalizeRoleAssignments([]).error).toBe('Roles must be an object');
+    });
+  });
+});
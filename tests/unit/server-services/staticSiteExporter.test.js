@@ -0,0 +1,202 @@
+jest.mock('../../../server/src/utils/diagramRenderer', () => ({
+  ...jest.requireActual('../../../server/src/utils/diagramRenderer'),
+  renderPlantUml: jest.fn()
+}));
+
+const { exportStaticSite, cleanPageContent, slugify } = require('../../../server/src/utils/staticSiteExporter');
+const { renderPlantUml } = require('../../../server/src/utils/diagramRenderer');
+
+/**
+ * Minimal filing provider over an in-memory map of file paths to contents
+ */
+function createFiling(contents) {
+  return {
+    async listDetailed(dirPath) {
+      const prefix = dirPath ? `${dirPath}/` : '';
+      const entries = new Map();
+      for (const filePath of Object.keys(contents)) {
+        if (!filePath.startsWith(prefix)) continue;
+        const [name, ...rest] = filePath.slice(prefix.length).split('/');
+        entries.set(name, { name, isDirectory: rest.length > 0 });
+      }
+      return [...entries.values()];
+    },
+    async read(filePath, encoding) {
+      const content = contents[filePath];
+      return encoding ? content.toString() : Buffer.from(content);
+    }
+  };
+}
+
+describe('staticSiteExporter', () => {
+  const contents = {
+    'markdown/architecture/gateway.md': [
+      '---',
+      'title: API Gateway',
+      'owner: jane',
+      '---',
+      '# Gateway',
+      '',
+      'Routes traffic to the [[queue#Dead letters|message queue]], see [the overview](../overview.md#goals).',
+      '',
+      '![Topology](diagrams/topology.png) and the [spec](spec.pdf). Missing: [[nowhere]].',
+      '',
+      '<script>alert(1)</script>',
+      '',
+      '<!-- COMMENTS_DATA_START',
+      '[{"id":"1","text":"secret review note"}]',
+      'COMMENTS_DATA_END -->'
+    ].join('\n'),
+    'markdown/architecture/queue.md': '# Queue\n\n## Dead letters\n\nFailed messages.\n<!-- METADATA_DATA_START\n{"owner":"bob"}\nMETADATA_DATA_END -->',
+    'markdown/architecture/diagrams/topology.png': 'png-bytes',
+    'markdown/architecture/spec.pdf': 'pdf-bytes',
+    'markdown/architecture/.schema.json': '{}',
+    'markdown/architecture/notes.txt': 'not exported',
+    'markdown/overview.md': '# Overview\n\n## Goals\n'
+  };
+  const filing = createFiling(contents);
+
+  const byPath = site => new Map(site.files.map(file => [file.path, file.content]));
+
+  it('should strip comments, metadata and front-matter from pages', () => {
+    const { data, body } = cleanPageContent(contents['markdown/architecture/gateway.md']);
+    expect(data.title).toBe('API Gateway');
+    expect(body).not.toContain('secret review note');
+    expect(body).not.toContain('owner: jane');
+    expect(cleanPageContent(contents['markdown/architecture/queue.md']).body).not.toContain('METADATA');
+    expect(slugify('Dead letters')).toBe('dead-letters');
+  });
+
+  it('should export a folder with pages, navigation, assets and a search index', async () => {
+    const site = await exportStaticSite(filing, { basePath: 'markdown/architecture', folder: 'architecture', title: 'Architecture' });
+    const files = byPath(site);
+
+    expect(site.pages).toBe(2);
+    expect(site.assets).toBe(2);
+    expect([...files.keys()].sort()).toEqual([
+      'assets/search-index.js',
+      'assets/search.js',
+      'assets/site.css',
+      'diagrams/topology.png',
+      'gateway.html',
+      'index.html',
+      'queue.html',
+      'spec.pdf'
+    ]);
+    expect(files.get('diagrams/topology.png').toString()).toBe('png-bytes');
+
+    const gateway = files.get('gateway.html');
+    expect(gateway).toContain('<title>API Gateway - Architecture</title>');
+    expect(gateway).toContain('<a href="queue.html#dead-letters">message queue</a>');
+    expect(gateway).toContain('<img src="diagrams/topology.png" alt="Topology">');
+    expect(gateway).toContain('<a href="spec.pdf">spec</a>');
+    expect(gateway).toContain('<span class="broken-link" title="Not part of this export">nowhere</span>');
+    expect(gateway).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(gateway).not.toContain('secret review note');
+    // The overview is outside the exported folder, so its link is left as written
+    expect(gateway).toContain('href="../overview.md#goals"');
+    expect(gateway).toContain('<a href="gateway.html" class="active">API Gateway</a>');
+
+    expect(files.get('queue.html')).toContain('<h2 id="dead-letters">Dead letters</h2>');
+    expect(files.get('index.html')).toContain('2 pages');
+
+    const searchIndex = files.get('assets/search-index.js');
+    expect(searchIndex.startsWith('window.SITE_SEARCH_INDEX = ')).toBe(true);
+    const entries = JSON.parse(searchIndex.slice('window.SITE_SEARCH_INDEX = '.length).replace(/;\n$/, ''));
+    expect(entries.map(entry => entry.path)).toEqual(['gateway.html', 'queue.html']);
+    expect(entries[1]).toEqual({ title: 'Queue', path: 'queue.html', text: 'Queue Dead letters Failed messages.' });
+  });
+
+  it('should link pages across folders when exporting a whole space', async () => {
+    const site = await exportStaticSite(filing, { basePath: 'markdown', title: 'Shared' });
+    const files = byPath(site);
+
+    const gateway = files.get('architecture/gateway.html');
+    expect(gateway).toContain('href="../overview.html#goals"');
+    expect(gateway).toContain('<link rel="stylesheet" href="../assets/site.css">');
+    expect(gateway).toContain('<a href="../overview.html">Overview</a>');
+    expect(gateway).toContain('<span class="nav-folder">architecture</span>');
+    expect(gateway).not.toContain('katex.min.css');
+    expect(gateway).not.toContain('mermaid.min.js');
+    expect(files.has('assets/mermaid.min.js')).toBe(false);
+  });
+
+  it('should render math and diagrams and ship their assets only when used', async () => {
+    renderPlantUml.mockImplementation(async (source) => {
+      if (source.includes('broken')) throw new Error('PlantUML is not available');
+      return '<svg xmlns="http://www.w3.org/2000/svg"><text>Alice</text></svg>';
+    });
+    const site = await exportStaticSite(createFiling({
+      'docs/design.md': [
+        '# Design',
+        '',
+        'Energy is $E = mc^2$, and it costs $5 and $10.',
+        '',
+        '$$',
+        '\\sum_{i=1}^n i',
+        '$$',
+        '',
+        '```mermaid',
+        'graph TD; A-->B',
+        '```',
+        '',
+        '```plantuml',
+        'Alice -> Bob',
+        '```',
+        '',
+        '```plantuml',
+        'broken',
+        '```'
+      ].join('\n'),
+      'docs/plain.md': '# Plain\n\n```js\nconst a = 1;\n```'
+    }), { basePath: 'docs', title: 'Docs' });
+    const files = byPath(site);
+
+    const design = files.get('design.html');
+    expect(design).toContain('<span class="katex">');
+    expect(design).toContain('<span class="katex-display">');
+    expect(design).toContain('it costs $5 and $10.');
+    expect(design).toContain('<pre class="mermaid">graph TD; A--&gt;B</pre>');
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><text>Alice</text></svg>').toString('base64');
+    expect(design).toContain(`<img src="data:image/svg+xml;base64,${svg}" alt="PlantUML diagram">`);
+    expect(design).toContain('<p>PlantUML is not available</p><pre><code>broken</code></pre>');
+    expect(design).toContain('<link rel="stylesheet" href="assets/katex/katex.min.css">');
+    expect(design).toContain('<script src="assets/mermaid.min.js"></script>');
+    expect(renderPlantUml).toHaveBeenCalledWith('Alice -> Bob');
+
+    const plain = files.get('plain.html');
+    expect(plain).toContain('<code class="language-js">');
+    expect(plain).not.toContain('katex.min.css');
+    expect(plain).not.toContain('mermaid.min.js');
+
+    expect(files.has('assets/katex/katex.min.css')).toBe(true);
+    expect([...files.keys()].some(filePath => /^assets\/katex\/fonts\/.+\.woff2$/.test(filePath))).toBe(true);
+    expect(files.has('assets/mermaid.min.js')).toBe(true);
+    expect(files.get('assets/mermaid-init.js')).toContain("securityLevel: 'strict'");
+  });
+
+  it('should export diagram files as SVG and embed them in pages', async () => {
+    const diagram = JSON.stringify({
+      type: 'excalidraw',
+      version: 2,
+      elements: [{ id: 'a', type: 'text', x: 0, y: 0, width: 60, height: 25, text: 'Gateway', fontSize: 20 }],
+      appState: { viewBackgroundColor: '#ffffff' },
+      files: {}
+    });
+    const site = await exportStaticSite(createFiling({
+      'docs/guide/intro.md': '# Intro\n\n![[flow.excalidraw]]\n\nSee [[flow.excalidraw|the flow]] and ![[broken.excalidraw]].',
+      'docs/guide/flow.excalidraw': diagram,
+      'docs/guide/broken.excalidraw': 'not json'
+    }), { basePath: 'docs', title: 'Docs' });
+    const files = byPath(site);
+
+    expect(files.get('guide/flow.excalidraw.svg')).toContain('>Gateway</text>');
+    expect(files.has('guide/broken.excalidraw.svg')).toBe(false);
+    expect(site.assets).toBe(1);
+
+    const intro = files.get('guide/intro.html');
+    expect(intro).toContain('<img src="flow.excalidraw.svg" alt="flow.excalidraw">');
+    expect(intro).toContain('<a href="flow.excalidraw.svg">the flow</a>');
+    expect(intro).toContain('<span class="broken-link" title="Not part of this export">broken.excalidraw</span>');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Unit tests for the sandboxed template engine.
+ */
+
+const { renderTemplate, parseTemplate, TemplateError, MAX_LOOP_ITERATIONS } = require('../../../server/src/utils/templateEngine');
+
+describe('Template engine', () => {
+  it('should output values through filters', () => {
+    const output = renderTemplate('# ADR-{{ number | pad: 4 }}: {{ title | title }} ({{ title | slug }})', {
+      number: 7,
+      title: 'use kafka for événements'
+    });
+    expect(output).toBe('# ADR-0007: Use Kafka For Événements (use-kafka-for-evenements)');
+    expect(renderTemplate('{{ owner | default: "TBD" }} {{ decided | date: "DD MMMM YYYY" }}', { decided: '2026-03-05' }))
+      .toBe('TBD 05 March 2026');
+  });
+
+  it('should render conditionals without leaving blank lines', () => {
+    const template = [
+      '# Status',
+      '{% if status == "accepted" %}',
+      'Accepted',
+      '{% elif status in ["proposed", "draft"] and not urgent %}',
+      'Pending',
+      '{% else %}',
+      'Other',
+      '{% endif %}',
+      'End'
+    ].join('\n');
+    expect(renderTemplate(template, { status: 'accepted' })).toBe('# Status\nAccepted\nEnd');
+    expect(renderTemplate(template, { status: 'draft' })).toBe('# Status\nPending\nEnd');
+    expect(renderTemplate(template, { status: 'draft', urgent: true })).toBe('# Status\nOther\nEnd');
+  });
+
+  it('should loop over lists and objects', () => {
+    const template = '{% for reviewer in reviewers %}\n{{ loop.index }}. @{{ reviewer }}{% if loop.last %}.{% endif %}\n{% else %}\nNo reviewers\n{% endfor %}\n';
+    expect(renderTemplate(template, { reviewers: ['ann', 'bob'] })).toBe('1. @ann\n2. @bob.\n');
+    expect(renderTemplate(template, { reviewers: [] })).toBe('No reviewers\n');
+    expect(renderTemplate('{% for key, value in owners %}{{ key }}={{ value }};{% endfor %}', { owners: { api: 'ann', ui: 'bob' } }))
+      .toBe('api=ann;ui=bob;');
+  });
+
+  it('should keep single brace placeholders, raw blocks and hyphenated names', () => {
+    const output = renderTemplate('{date} by {user} for {{ attendee-1 }} {% raw %}{{ literal }}{% endraw %} {unknown}', {
+      'attendee-1': 'Jo'
+    }, { placeholders: { date: '01/02/2026', user: 'ann' } });
+    expect(output).toBe('01/02/2026 by ann for Jo {{ literal }} {unknown}');
+  });
+
+  it('should not let templates reach outside their values', () => {
+    expect(() => renderTemplate('{{ title.constructor }}', { title: 'x' })).toThrow(TemplateError);
+    expect(() => renderTemplate('{{ __proto__ }}')).toThrow('Access to "__proto__" is not allowed');
+    expect(() => renderTemplate('{{ title | eval }}')).toThrow('Unknown filter "eval"');
+    expect(renderTemplate('{{ title.length }} {{ missing.deep.value }}', { title: 'abc' })).toBe('3 ');
+  });
+
+  it('should limit loop iterations', () => {
+    const items = Array.from({ length: 200 }, (item, index) => index);
+    expect(() => renderTemplate('{% for a in items %}{% for b in items %}.{% endfor %}{% endfor %}', { items }))
+      .toThrow(`Loops ran more than ${MAX_LOOP_ITERATIONS} times`);
+  });
+
+  it('should report syntax errors with their line', () => {
+    expect(() => parseTemplate('# Title\n{% if status %}\nOpen')).toThrow('Missing {% endif %}');
+    expect(() => parseTemplate('# Title\n\n{% endfor %}')).toThrow('Unexpected {% endfor %} (line 3)');
+    expect(() => parseTemplate('Hello {{ name')).toThrow('Unclosed "{{" (line 1)');
+    expect(() => parseTemplate('{% include "other" %}')).toThrow('Unknown tag "include"');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Unit tests for typed template variables and folder scaffolds.
+ */
+
+const {
+  validateTemplateDefinition,
+  resolveTemplateValues,
+  getBuiltinValues,
+  renderTemplateFiles
+} = require('../../../server/src/utils/templateVariables');
+
+describe('Template variables', () => {
+  const adrTemplate = {
+    variables: [
+      { name: 'title', type: 'text', required: true },
+      { name: 'status', type: 'select', options: ['proposed', 'accepted'], default: 'proposed' },
+      { name: 'decided', type: 'date', default: 'today' },
+      { name: 'reviewers', type: 'user', multiple: true, default: ['current'] }
+    ],
+    files: [
+      { path: 'README.md', content: '# {{ title }}\n\nStatus: {{ status }}\n{% for reviewer in reviewers %}\n- @{{ reviewer }}\n{% endfor %}\n' },
+      { path: 'diagrams/{{ title | slug }}.mmd', content: 'graph TD\n' },
+      { path: 'decision-log.md', content: '| {{ decided }} | {{ status | upper }} | {folder} |\n' }
+    ]
+  };
+
+  it('should validate variable definitions, files and template syntax', () => {
+    expect(validateTemplateDefinition(adrTemplate)).toEqual([]);
+    expect(validateTemplateDefinition({ content: '# {{ title }}', variables: { title: 'Untitled' } })).toEqual([]);
+
+    const problems = validateTemplateDefinition({
+      content: '{% if open %}',
+      variables: [
+        { name: 'status', type: 'select', options: [] },
+        { name: 'status', type: 'colour' },
+        { name: 'due', type: 'date', default: 'tomorrow' },
+        { name: 'title', multiple: true }
+      ],
+      files: [{ path: '' }, { path: 'a.md', content: '{{ x' }]
+    });
+    expect(problems).toEqual([
+      'content: Missing {% endif %} (line 1)',
+      'variables[0] (status): options must be a non-empty list of strings',
+      'variables[1] (status): type must be one of text, select, date, user',
+      'variables[1] (status): name is declared twice',
+      'variables[2] (due): default must be a YYYY-MM-DD date or "today"',
+      'variables[3] (title): multiple is only allowed on select and user variables',
+      'files[0]: path is required',
+      'files[1].content: Unclosed "{{" (line 1)'
+    ]);
+  });
+
+  it('should apply defaults and check values against their type', async () => {
+    const isKnownUser = username => ['ann', 'bob'].includes(username);
+    const now = new Date(2026, 2, 5, 12);
+
+    const resolved = await resolveTemplateValues(adrTemplate, { title: 'Use Kafka' }, { currentUser: 'ann', isKnownUser, now });
+    expect(resolved).toEqual({
+      values: { title: 'Use Kafka', status: 'proposed', decided: '2026-03-05', reviewers: ['ann'] },
+      errors: []
+    });
+
+    const invalid = await resolveTemplateValues(adrTemplate, {
+      status: 'rejected',
+      decided: '05/03/2026',
+      reviewers: 'bob, carol'
+    }, { currentUser: 'ann', isKnownUser, now });
+    expect(invalid.errors).toEqual([
+      { variable: 'title', message: 'title is required' },
+      { variable: 'status', message: 'status must be one of proposed, accepted' },
+      { variable: 'decided', message: 'decided must be a YYYY-MM-DD date' },
+      { variable: 'reviewers', message: 'reviewers: unknown user carol' }
+    ]);
+  });
+
+  it('should pass extra values through for templates with a map of defaults', async () => {
+    const { values, errors } = await resolveTemplateValues(
+      { variables: { title: 'Untitled', owner: 'TBD' } },
+      { owner: 'ann', 'agenda-item-1': 'Budget' }
+    );
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ title: 'Untitled', owner: 'ann', 'agenda-item-1': 'Budget' });
+  });
+
+  it('should render a folder scaffold with templated paths', () => {
+    const builtins = getBuiltinValues({ user: 'ann', space: 'Shared', targetPath: 'decisions/adr-007' });
+    const files = renderTemplateFiles(adrTemplate, {
+      title: 'Use Kafka',
+      status: 'accepted',
+      decided: '2026-03-05',
+      reviewers: ['ann', 'bob']
+    }, builtins);
+
+    expect(files).toEqual([
+      { path: 'README.md', content: '# Use Kafka\n\nStatus: accepted\n- @ann\n- @bob\n' },
+      { path: 'diagrams/use-kafka.mmd', content: 'graph TD\n' },
+      { path: 'decision-log.md', content: '| 2026-03-05 | ACCEPTED | decisions |\n' }
+    ]);
+  });
+
+  it('should render a single page template to the target page', () => {
+    const builtins = getBuiltinValues({ user: 'ann', targetPath: 'notes/standup.md' });
+    expect(renderTemplateFiles({ content: '# {filename} by {user}' }, {}, builtins))
+      .toEqual([{ path: '', content: '# standup by ann' }]);
+  });
+
+  it('should keep scaffold files inside the folder', () => {
+    const builtins = getBuiltinValues({ targetPath: 'decisions/adr-007' });
+    expect(() => renderTemplateFiles({ files: [{ path: '../{{ name }}.md', content: '' }] }, { name: 'escape' }, builtins))
+      .toThrow('must stay inside the scaffold folder');
+    expect(() => renderTemplateFiles({ files: [{ path: 'a.md' }, { path: './a.md' }] }, {}, builtins))
+      .toThrow('is generated twice');
+  });
+});
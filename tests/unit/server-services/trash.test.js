@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalFilingProvider = require('../../../server/src/services/filing/providers/filingLocal');
+const { TrashStore, registerTrashPurgeJob, ensureTrashPurgeSchedule, TRASH_PURGE_JOB } = require('../../../server/src/utils/trash');
+
+describe('trash', () => {
+  let tempDir;
+  let contentDir;
+  let filing;
+  let store;
+
+  const readContent = (relativePath) => fs.readFileSync(path.join(contentDir, relativePath), 'utf8');
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-'));
+    contentDir = path.join(tempDir, 'content');
+    fs.mkdirSync(path.join(contentDir, 'markdown/designs/api'), { recursive: true });
+    fs.writeFileSync(path.join(contentDir, 'markdown/designs/overview.md'), '# Overview');
+    fs.writeFileSync(path.join(contentDir, 'markdown/designs/api/rest.md'), '# REST');
+    filing = new LocalFilingProvider({ localPath: contentDir });
+    store = new TrashStore({ basePath: path.join(tempDir, 'trash'), retentionDays: 30 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should keep the original path, the deleting user and the time', async () => {
+    const item = await store.add('Shared', filing, 'markdown/designs/overview.md', {
+      path: 'designs/overview.md',
+      deletedBy: 'alice'
+    });
+
+    expect(item).toMatchObject({ path: 'designs/overview.md', name: 'overview.md', type: 'file', files: 1, size: 10, deletedBy: 'alice' });
+    expect(Date.parse(item.expiresAt) - Date.parse(item.deletedAt)).toBe(30 * 24 * 60 * 60 * 1000);
+    expect(await store.list('Shared')).toEqual([item]);
+    expect(await store.list('Personal/alice')).toEqual([]);
+  });
+
+  it('should restore a deleted folder with everything in it', async () => {
+    const item = await store.add('Shared', filing, 'markdown/designs', { path: 'designs', deletedBy: 'bob' });
+    expect(item).toMatchObject({ type: 'folder', files: 2 });
+    await filing.delete('markdown/designs');
+
+    const restored = [];
+    await store.restore('Shared', item.id, filing, 'markdown/designs', (filePath, content) => {
+      restored.push([filePath, content.toString()]);
+    });
+
+    expect(readContent('markdown/designs/api/rest.md')).toBe('# REST');
+    expect(readContent('markdown/designs/overview.md')).toBe('# Overview');
+    expect(restored.sort()).toEqual([['api/rest.md', '# REST'], ['overview.md', '# Overview']]);
+    expect(await store.list('Shared')).toEqual([]);
+    expect(await store.restore('Shared', item.id, filing, 'markdown/designs')).toBeNull();
+  });
+
+  it('should restore a file to another path', async () => {
+    const item = await store.add('Shared', filing, 'markdown/designs/overview.md', { path: 'designs/overview.md' });
+    await store.restore('Shared', item.id, filing, 'markdown/archive/overview.md');
+    expect(readContent('markdown/archive/overview.md')).toBe('# Overview');
+  });
+
+  it('should purge single items and empty the trash', async () => {
+    const first = await store.add('Shared', filing, 'markdown/designs/overview.md', { path: 'designs/overview.md' });
+    await store.add('Shared', filing, 'markdown/designs/api', { path: 'designs/api' });
+    await store.add('Shared', filing, 'markdown/designs/api/rest.md', { path: 'designs/api/rest.md' });
+
+    expect((await store.purge('Shared', first.id)).path).toBe('designs/overview.md');
+    expect(await store.purge('Shared', first.id)).toBeNull();
+    expect(fs.existsSync(path.join(tempDir, 'trash/Shared/items', first.id))).toBe(false);
+    expect(await store.purgeAll('Shared')).toBe(2);
+    expect(await store.list('Shared')).toEqual([]);
+  });
+
+  it('should purge items older than the retention period in every space', async () => {
+    await store.add('Shared', filing, 'markdown/designs/overview.md', { path: 'designs/overview.md' });
+    await store.add('Personal/alice', filing, 'markdown/designs/api/rest.md', { path: 'designs/api/rest.md' });
+
+    expect(await store.purgeExpired(Date.now() + 29 * 24 * 60 * 60 * 1000)).toBe(0);
+    expect(await store.purgeExpired(Date.now() + 31 * 24 * 60 * 60 * 1000)).toBe(2);
+    expect(await store.list('Personal/alice')).toEqual([]);
+  });
+
+  it('should schedule the purge job once', async () => {
+    const schedules = [];
+    const scheduler = {
+      registerJob: jest.fn(),
+      getSchedule: name => schedules.find(schedule => schedule.name === name) || null,
+      listScheduled: () => schedules,
+      schedule: jest.fn(async (name, cron, options) => schedules.push({ name, cron, ...options }))
+    };
+
+    registerTrashPurgeJob(scheduler);
+    await ensureTrashPurgeSchedule(scheduler);
+    await ensureTrashPurgeSchedule(scheduler);
+
+    expect(scheduler.registerJob).toHaveBeenCalledWith(TRASH_PURGE_JOB, expect.any(Function));
+    expect(scheduler.schedule).toHaveBeenCalledTimes(1);
+    expect(schedules[0]).toMatchObject({ name: TRASH_PURGE_JOB, job: TRASH_PURGE_JOB, missedRunPolicy: 'run-once' });
+  });
+});
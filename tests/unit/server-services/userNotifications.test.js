@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../server/src/auth/userStorage', () => {
+  const users = {
+    jane: { username: 'jane', email: 'jane@example.com', spaces: 'Shared' },
+    bob: { username: 'bob', email: 'bob@example.com', spaces: 'Shared' },
+    eve: { username: 'eve', spaces: 'Other' }
+  };
+  return { findUserByUsername: (username) => users[username] };
+});
+
+const NotificationService = require('../../../server/src/services/notifying/provider/notifying');
+const {
+  DELIVERY_TOPIC,
+  NotificationStore,
+  registerDeliveryChannel,
+  unregisterDeliveryChannel,
+  useNotifyingService,
+  extractMentions,
+  notifyUsers
+} = require('../../../server/src/utils/notifications');
+
+describe('user notifications', () => {
+  const spaceConfig = { space: 'Shared', access: 'write' };
+  let tempDir;
+  let store;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-'));
+    store = new NotificationStore({ basePath: tempDir, maxNotifications: 3 });
+  });
+
+  afterEach(() => {
+    useNotifyingService(null);
+    unregisterDeliveryChannel('test');
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should find mentions outside code, e-mail addresses and paths', () => {
+    const text = [
+      'Thanks @jane, and @bob. Mail jane@example.com or see docs/@team.',
+      '`@inline` is code, @jane again',
+      '```',
+      '@fenced',
+      '```',
+      '(@eve-smith)'
+    ].join('\n');
+    expect(extractMentions(text)).toEqual(['jane', 'bob', 'eve-smith']);
+  });
+
+  it('should keep read state and the newest notifications per user', async () => {
+    for (const excerpt of ['one', 'two', 'three', 'four']) {
+      await store.add('jane', { type: 'mention', actor: 'bob', excerpt });
+    }
+    let notifications = await store.list('jane');
+    expect(notifications.map(item => item.excerpt)).toEqual(['four', 'three', 'two']);
+
+    expect(await store.setRead('jane', notifications[1].id, true)).toMatchObject({ excerpt: 'three', read: true });
+    expect(await store.setRead('jane', 'missing', true)).toBeNull();
+    expect(await store.markAllRead('jane')).toBe(2);
+    notifications = await new NotificationStore({ basePath: tempDir }).list('jane');
+    expect(notifications.every(item => item.read)).toBe(true);
+    expect(await store.list('bob')).toEqual([]);
+  });
+
+  it('should notify only other users who can read the space and deliver through the notifying service', async () => {
+    const delivered = [];
+    registerDeliveryChannel('test', message => delivered.push(message));
+    useNotifyingService(new NotificationService());
+
+    const created = await notifyUsers({
+      recipients: ['jane', 'bob', 'eve', 'nobody', 'jane'],
+      type: 'mention',
+      actor: 'bob',
+      space: 'Shared',
+      spaceConfig,
+      filePath: 'architecture/gateway.md',
+      commentId: 'c1',
+      excerpt: `@jane ${'long '.repeat(60)}`,
+      store
+    });
+
+    expect(created).toHaveLength(1);
+    expect(created[0]).toMatchObject({ type: 'mention', actor: 'bob', space: 'Shared', commentId: 'c1', read: false });
+    expect(created[0].excerpt.length).toBe(200);
+    expect(await store.list('eve')).toEqual([]);
+    expect(delivered).toEqual([{
+      notification: created[0],
+      recipient: { username: 'jane', email: 'jane@example.com', name: null }
+    }]);
+
+    expect(await notifyUsers({ recipients: ['jane'], type: 'mention', actor: 'bob', space: 'Personal', spaceConfig, filePath: 'a.md', store }))
+      .toEqual([]);
+    await expect(notifyUsers({ recipients: ['jane'], type: 'unknown', actor: 'bob', space: 'Shared', spaceConfig, store }))
+      .rejects.toThrow('Unknown notification type');
+    expect(DELIVERY_TOPIC).toBe('user-notifications');
+  });
+});
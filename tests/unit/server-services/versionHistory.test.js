@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SnapshotStore,
+  diffLines,
+  summarizeDiff,
+  getSpaceKey,
+  createFileHistory
+} = require('../../../server/src/utils/versionHistory');
+
+describe('versionHistory', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'version-history-'));
+    store = new SnapshotStore({ basePath: tempDir, maxSnapshots: 3 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('diffLines', () => {
+    it('should mark added, removed and unchanged lines', () => {
+      const diff = diffLines('# Title\nold line\nfooter', '# Title\nnew line\nfooter\nextra');
+      expect(diff).toEqual([
+        { type: 'equal', oldLine: 1, newLine: 1, text: '# Title' },
+        { type: 'remove', oldLine: 2, newLine: null, text: 'old line' },
+        { type: 'add', oldLine: null, newLine: 2, text: 'new line' },
+        { type: 'equal', oldLine: 3, newLine: 3, text: 'footer' },
+        { type: 'add', oldLine: null, newLine: 4, text: 'extra' }
+      ]);
+      expect(summarizeDiff(diff)).toEqual({ added: 2, removed: 1 });
+    });
+
+    it('should report no changes for identical text', () => {
+      const diff = diffLines('a\nb', 'a\nb');
+      expect(summarizeDiff(diff)).toEqual({ added: 0, removed: 0 });
+    });
+  });
+
+  describe('SnapshotStore', () => {
+    it('should record versions newest first and skip unchanged content', async () => {
+      const first = await store.record('Shared', 'docs/design.md', 'v1', { author: 'alice' });
+      expect(await store.record('Shared', 'docs/design.md', 'v1', { author: 'alice' })).toBeNull();
+      const second = await store.record('Shared', 'docs/design.md', 'v2', { author: 'bob', message: 'Edited' });
+
+      const versions = await store.list('Shared', 'docs/design.md');
+      expect(versions.map(version => version.id)).toEqual([second.id, first.id]);
+      expect(versions[0]).toMatchObject({ author: 'bob', message: 'Edited' });
+      expect(versions[0].content).toBeUndefined();
+      expect((await store.get('Shared', 'docs/design.md', first.id)).content).toBe('v1');
+    });
+
+    it('should keep only the configured number of versions', async () => {
+      for (const content of ['v1', 'v2', 'v3', 'v4']) {
+        await store.record('Shared', 'notes.md', content);
+      }
+      const versions = await store.list('Shared', 'notes.md');
+      expect(versions).toHaveLength(3);
+      expect(await store.has('Shared', 'other.md')).toBe(false);
+    });
+
+    it('should isolate Personal space history per user', async () => {
+      await store.record(getSpaceKey('Personal', { username: 'alice' }), 'todo.md', 'alice');
+      expect(await store.list(getSpaceKey('Personal', { username: 'bob' }), 'todo.md')).toEqual([]);
+      expect(getSpaceKey('Shared', { username: 'alice' })).toBe('Shared');
+    });
+  });
+
+  describe('createFileHistory', () => {
+    it('should read snapshot versions and the working copy for local spaces', async () => {
+      const version = await store.record('Shared', 'design.md', 'old');
+      const filing = { read: jest.fn().mockResolvedValue('current') };
+      const history = createFileHistory(filing, {
+        spaceKey: 'Shared',
+        filePath: 'design.md',
+        providerPath: 'markdown/design.md',
+        store
+      });
+
+      expect(history.type).toBe('snapshot');
+      expect(await history.getContent(version.id)).toBe('old');
+      expect(await history.getContent('current')).toBe('current');
+      expect(filing.read).toHaveBeenCalledWith('markdown/design.md', 'utf8');
+      expect(await history.getContent('missing')).toBeNull();
+    });
+
+    it('should use the commit log for git spaces', async () => {
+      const git = {
+        log: jest.fn().mockResolvedValue({
+          all: [{ hash: 'abc1234', date: '2025-01-02T10:00:00Z', author_name: 'alice', message: 'Update design' }]
+        }),
+        show: jest.fn().mockResolvedValue('committed content')
+      };
+      const history = createFileHistory({ git, read: jest.fn() }, {
+        spaceKey: 'Knowledge',
+        filePath: 'design.md',
+        providerPath: 'design.md',
+        store
+      });
+
+      expect(history.type).toBe('git');
+      expect(await history.list()).toEqual([{
+        id: 'abc1234',
+        timestamp: '2025-01-02T10:00:00.000Z',
+        author: 'alice',
+        message: 'Update design'
+      }]);
+      expect(git.log).toHaveBeenCalledWith({ file: 'design.md' });
+      expect(await history.getContent('abc1234')).toBe('committed content');
+      expect(git.show).toHaveBeenCalledWith(['abc1234:design.md']);
+      expect(await history.getContent('HEAD; rm -rf')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Unit tests for outbound webhooks.
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const express = require('express');
+const request = require('supertest');
+const DurableQueue = require('../../../server/src/services/queueing/providers/DurableQueue');
+const {
+  WEBHOOK_QUEUE,
+  WebhookStore,
+  WebhookDispatcher,
+  webhookDispatcher,
+  normalizeWebhookInput,
+  checkWebhookHost,
+  isBlockedAddress,
+  createWebhook,
+  toPublicWebhook,
+  signWebhookPayload,
+  startWebhookDelivery
+} = require('../../../server/src/utils/webhooks');
+const { setAuditLogFile } = require('../../../server/src/utils/auditLog');
+const userStorage = require('../../../server/src/auth/userStorage');
+
+let mockFiling;
+
+jest.mock('../../../server/src/routes/spaces', () => ({
+  loadFilingProvider: (req, res, next) => {
+    req.filing = mockFiling;
+    req.spaceName = req.params.space;
+    req.spaceConfig = { space: req.params.space, access: 'write' };
+    next();
+  },
+  checkSpaceAccess: () => (req, res, next) => next(),
+  getSpaceFilePath: filePath => `markdown/${filePath}`
+}));
+jest.mock('../../../server/src/utils/versionHistory', () => ({
+  ...jest.requireActual('../../../server/src/utils/versionHistory'),
+  recordVersion: jest.fn().mockResolvedValue(),
+  createFileHistory: () => ({
+    type: 'local',
+    getContent: async version => (version === 'v1' ? '# Design v1' : null)
+  })
+}));
+jest.mock('../../../server/src/utils/linkIndex', () => ({
+  ...jest.requireActual('../../../server/src/utils/linkIndex'),
+  indexWrittenFile: jest.fn()
+}));
+
+const { CollaborationHub } = require('../../../server/src/collaboration');
+const historyRoutes = require('../../../server/src/routes/history');
+
+describe('webhooks', () => {
+  let tempDir;
+  let store;
+  let queue;
+  let sent;
+  let answer;
+  let dispatcher;
+
+  const register = async (fields = {}) => {
+    const { fields: normalized, error } = normalizeWebhookInput({ url: 'https://ci.example.com/hook', ...fields });
+    expect(error).toBeUndefined();
+    return store.add(createWebhook('Architecture', normalized, 'alice'));
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    store = new WebhookStore({ basePath: tempDir });
+    queue = new DurableQueue({ queueDirectory: null, retryDelay: 0 });
+    sent = [];
+    answer = () => ({ status: 200, body: 'ok' });
+    dispatcher = new WebhookDispatcher({
+      store,
+      queueing: queue,
+      maxAttempts: 3,
+      send: async (url, body, headers) => {
+        sent.push({ url, body, headers });
+        return answer();
+      }
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should validate webhook fields', () => {
+    expect(normalizeWebhookInput({ url: 'ftp://example.com' }).error).toMatch(/http or https/);
+    expect(normalizeWebhookInput({ url: 'https://example.com', events: ['file.exploded'] }).error).toMatch(/Unknown events: file.exploded/);
+    expect(normalizeWebhookInput({ url: 'https://example.com', secret: 'short' }).error).toMatch(/at least 16/);
+    expect(normalizeWebhookInput({ url: 'https://example.com' }).fields.events).toEqual(['*']);
+    expect(normalizeWebhookInput({ active: false }, { partial: true })).toEqual({ fields: { active: false } });
+  });
+
+  it('should refuse private, loopback and link-local hosts', async () => {
+    expect(normalizeWebhookInput({ url: 'http://localhost:5000/hook' }).error).toMatch(/this server/);
+    expect(normalizeWebhookInput({ url: 'http://169.254.169.254/latest/meta-data' }).error).toMatch(/private/);
+    expect(normalizeWebhookInput({ url: 'http://10.1.2.3/hook' }).error).toMatch(/private/);
+    expect(normalizeWebhookInput({ url: 'http://[::1]/hook' }).error).toMatch(/private/);
+    expect(normalizeWebhookInput({ url: 'http://[::ffff:127.0.0.1]/hook' }).error).toMatch(/private/);
+    expect(normalizeWebhookInput({ url: 'https://93.184.216.34/hook' }).error).toBeUndefined();
+    expect(isBlockedAddress('192.168.1.20')).toBe(true);
+    expect(isBlockedAddress('fd00::1')).toBe(true);
+    expect(isBlockedAddress('8.8.8.8')).toBe(false);
+
+    const lookup = jest.spyOn(dns.promises, 'lookup').mockImplementation(async (hostname) => (
+      hostname === 'intranet.example.com' ? [{ address: '10.0.0.5', family: 4 }] : [{ address: '93.184.216.34', family: 4 }]
+    ));
+    try {
+      expect(await checkWebhookHost('https://intranet.example.com/hook')).toMatch(/private/);
+      expect(await checkWebhookHost('https://ci.example.com/hook')).toBeNull();
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  it('should not deliver to hosts that resolve to private addresses', async () => {
+    const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, options && options.all ? [{ address: '127.0.0.1', family: 4 }] : '127.0.0.1', 4);
+    });
+    try {
+      const delivering = new WebhookDispatcher({ store, queueing: queue, maxAttempts: 1 });
+      await store.add(createWebhook('Architecture', { url: 'http://rebound.example.com/hook', events: ['*'] }, 'alice'));
+      const [delivery] = await delivering.publish({ event: 'file.created', space: 'Architecture', path: 'a.md' });
+      await delivering.processQueue();
+
+      const logged = await store.getDelivery(delivery.id);
+      expect(logged.status).toBe('failed');
+      expect(logged.error).toMatch(/resolves to a private/);
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  it('should hide the secret in listings', async () => {
+    const webhook = await register();
+    expect(webhook.secret).toMatch(/^[0-9a-f]{48}$/);
+    const listed = toPublicWebhook(webhook);
+    expect(listed.secret).toBeUndefined();
+    expect(listed.secretHint).toBe(`…${webhook.secret.slice(-4)}`);
+  });
+
+  it('should deliver subscribed events with a valid signature', async () => {
+    const webhook = await register({ events: ['space.published'] });
+    await register({ url: 'https://chat.example.com/hook', events: ['file.created'] });
+
+    const deliveries = await dispatcher.publish({
+      event: 'space.published',
+      space: 'Architecture',
+      actor: { id: '1', username: 'alice' },
+      data: { message: 'Publish ADR-12', commit: 'abc123' }
+    });
+    expect(deliveries).toHaveLength(1);
+    expect(await dispatcher.processQueue()).toBe(1);
+
+    expect(sent).toHaveLength(1);
+    const { url, body, headers } = sent[0];
+    expect(url).toBe('https://ci.example.com/hook');
+    expect(JSON.parse(body)).toMatchObject({ event: 'space.published', space: 'Architecture', data: { commit: 'abc123' } });
+    expect(headers['X-Webhook-Event']).toBe('space.published');
+    const expected = `sha256=${crypto.createHmac('sha256', webhook.secret).update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex')}`;
+    expect(headers['X-Webhook-Signature']).toBe(expected);
+    expect(signWebhookPayload(webhook.secret, headers['X-Webhook-Timestamp'], body)).toBe(expected);
+
+    const logged = await store.getDelivery(deliveries[0].id);
+    expect(logged).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 200, responseBody: 'ok', error: null });
+  });
+
+  it('should not deliver events of Personal spaces or to disabled webhooks', async () => {
+    const webhook = await register();
+    expect(await dispatcher.publish({ event: 'file.created', space: 'Personal', path: 'notes.md' })).toEqual([]);
+
+    await store.update(webhook.id, { active: false });
+    expect(await dispatcher.publish({ event: 'file.created', space: 'Architecture', path: 'adr.md' })).toEqual([]);
+    expect(await queue.size('webhook-deliveries')).toBe(0);
+  });
+
+  it('should retry failed deliveries and give up after the last attempt', async () => {
+    await register();
+    answer = () => ({ status: 500, body: 'down' });
+    const [delivery] = await dispatcher.publish({ event: 'file.updated', space: 'Architecture', path: 'adr/0001.md' });
+
+    // Without a retry delay the message is visible again at once, so send one at a time
+    await dispatcher.processQueue({ batchSize: 1 });
+    expect(await store.getDelivery(delivery.id)).toMatchObject({ status: 'retrying', attempts: 1, error: 'Endpoint answered 500' });
+
+    answer = () => { throw new Error('connect ECONNREFUSED'); };
+    await dispatcher.processQueue({ batchSize: 1 });
+    await dispatcher.processQueue({ batchSize: 1 });
+    expect(sent).toHaveLength(3);
+    expect(await store.getDelivery(delivery.id)).toMatchObject({ status: 'failed', attempts: 3, responseStatus: null, error: 'connect ECONNREFUSED' });
+    expect(queue.getDeadLetters('webhook-deliveries')).toHaveLength(1);
+  });
+
+  it('should cancel deliveries of deleted webhooks and redeliver payloads', async () => {
+    const webhook = await register();
+    const [delivery] = await dispatcher.publish({ event: 'file.deleted', space: 'Architecture', path: 'old.md' });
+    await dispatcher.processQueue();
+
+    const redelivery = await dispatcher.redeliver(await store.getDelivery(delivery.id));
+    expect(redelivery).toMatchObject({ redeliveryOf: delivery.id, eventId: delivery.eventId, status: 'queued' });
+
+    await store.remove(webhook.id);
+    await dispatcher.processQueue();
+    expect(sent).toHaveLength(1);
+    expect(await store.getDelivery(redelivery.id)).toMatchObject({ status: 'cancelled', error: 'Webhook was deleted' });
+
+    const { deliveries, total } = await store.listDeliveries({ space: 'Architecture' });
+    expect(total).toBe(2);
+    expect(deliveries[0].id).toBe(redelivery.id);
+  });
+});
+
+describe('webhook events of file updates', () => {
+  let tempDir;
+  let store;
+  let queue;
+  let defaultStore;
+  let stopDelivery;
+  let findUser;
+
+  // Audit listeners run after the audit entry is written
+  const waitForDeliveries = async () => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const { deliveries } = await store.listDeliveries({ space: 'Architecture' });
+      if (deliveries.length > 0) {
+        return deliveries;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return [];
+  };
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-events-'));
+    setAuditLogFile(path.join(tempDir, 'audit-log.jsonl'));
+    store = new WebhookStore({ basePath: tempDir });
+    defaultStore = webhookDispatcher.store;
+    webhookDispatcher.store = store;
+    queue = new DurableQueue({ queueDirectory: null, retryDelay: 0 });
+    stopDelivery = startWebhookDelivery(queue, { interval: 60000 });
+    findUser = jest.spyOn(userStorage, 'findUserByUsername').mockReturnValue({ id: '1', username: 'alice', spaces: 'Architecture' });
+
+    const { fields } = normalizeWebhookInput({ url: 'https://ci.example.com/hook', events: ['file.updated'] });
+    await store.add(createWebhook('Architecture', fields, 'alice'));
+    mockFiling = {
+      read: jest.fn().mockResolvedValue('# Design'),
+      exists: jest.fn().mockResolvedValue(false),
+      update: jest.fn().mockResolvedValue(),
+      git: null
+    };
+  });
+
+  afterEach(() => {
+    stopDelivery();
+    findUser.mockRestore();
+    webhookDispatcher.store = defaultStore;
+    setAuditLogFile(null);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should queue a delivery for a collaborative save', async () => {
+    const hub = new CollaborationHub({
+      getFilingProvider: async () => mockFiling,
+      loadSpaceConfig: name => ({ space: name, access: 'write' }),
+      saveDelay: 60000
+    });
+    const client = hub.connect({ id: '1', username: 'alice', spaces: 'Architecture' }, () => {});
+    await hub.handleMessage(client, { type: 'join', space: 'Architecture', path: 'design.md' });
+    await hub.handleMessage(client, { type: 'operation', docId: 'Architecture:design.md', version: 0, operation: [8, ' notes'] });
+    await hub.flushFile('Architecture', 'design.md');
+
+    const deliveries = await waitForDeliveries();
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0]).toMatchObject({ event: 'file.updated', path: 'design.md', status: 'queued' });
+    expect(deliveries[0].payload.actor).toEqual({ id: '1', username: 'alice' });
+    expect(await queue.size(WEBHOOK_QUEUE)).toBe(1);
+  });
+
+  it('should queue a delivery for a restored version', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: '1', username: 'alice' };
+      next();
+    });
+    app.use('/api', historyRoutes);
+
+    await request(app).post('/api/Architecture/restore/design.md').send({ version: 'v1' }).expect(200);
+    expect(mockFiling.update).toHaveBeenCalledWith('markdown/design.md', '# Design v1');
+
+    const deliveries = await waitForDeliveries();
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0]).toMatchObject({ event: 'file.updated', path: 'design.md', status: 'queued' });
+    expect(deliveries[0].payload.data).toMatchObject({ restoredVersion: 'v1' });
+    expect(await queue.size(WEBHOOK_QUEUE)).toBe(1);
+  });
+});
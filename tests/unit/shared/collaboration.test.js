@@ -0,0 +1,110 @@
+const {
+  CollaborationClient,
+  applyOperation,
+  diffOperation,
+  transformOperation
+} = require('../../../shared/collaboration');
+const { apply, transform, fromDiff } = require('../../../server/src/utils/textOperation');
+
+// Stands in for a browser or `ws` WebSocket
+class FakeSocket {
+  constructor() {
+    this.OPEN = 1;
+    this.readyState = 1;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+describe('shared collaboration client', () => {
+  let sockets;
+  let handlers;
+  let client;
+
+  const joined = (content, extra = {}) => ({
+    type: 'joined', docId: 'Shared:notes.md', clientId: 'c1', canEdit: true, version: 1, content, participants: [], ...extra
+  });
+
+  beforeEach(() => {
+    sockets = [];
+    handlers = { onText: jest.fn(), onStatus: jest.fn(), onError: jest.fn() };
+    client = new CollaborationClient({
+      space: 'Shared',
+      path: 'notes.md',
+      createSocket: () => {
+        const socket = new FakeSocket();
+        sockets.push(socket);
+        return socket;
+      },
+      ...handlers
+    });
+    client.connect();
+    sockets[0].onopen();
+  });
+
+  afterEach(() => {
+    client.disconnect();
+  });
+
+  it('should match the server text operations', () => {
+    const base = 'The gateway routes requests.';
+    const a = diffOperation(base, 'The API gateway routes requests.');
+    const b = diffOperation(base, 'The gateway routes all requests.');
+    expect(a).toEqual(fromDiff(base, 'The API gateway routes requests.'));
+    expect(transformOperation(a, b)).toEqual(transform(a, b));
+    expect(applyOperation(base, a)).toBe(apply(base, a));
+  });
+
+  it('should join through the socket it was given and rebase pending edits on remote ones', () => {
+    expect(sockets[0].sent).toEqual([{ type: 'join', space: 'Shared', path: 'notes.md' }]);
+    sockets[0].receive(joined('Gateway'));
+    expect(handlers.onText).toHaveBeenCalledWith('Gateway', null);
+    expect(handlers.onStatus).toHaveBeenLastCalledWith('live', true);
+
+    client.update('Gateway notes');
+    expect(sockets[0].sent[1]).toEqual({ type: 'operation', docId: 'Shared:notes.md', version: 1, operation: [7, ' notes'] });
+
+    sockets[0].receive({ type: 'operation', docId: 'Shared:notes.md', version: 2, operation: ['API ', 7], username: 'bob' });
+    expect(client.text).toBe('API Gateway notes');
+    expect(client.isSynchronized()).toBe(false);
+
+    sockets[0].receive({ type: 'ack', docId: 'Shared:notes.md', version: 3 });
+    expect(client.isSynchronized()).toBe(true);
+  });
+
+  it('should carry edits made while offline over to the text on rejoin', () => {
+    jest.useFakeTimers();
+    try {
+      sockets[0].receive(joined('Gateway'));
+      client.update('Gateway notes');
+      sockets[0].onclose();
+      expect(handlers.onStatus).toHaveBeenLastCalledWith('offline', true);
+
+      jest.advanceTimersByTime(1000);
+      sockets[1].onopen();
+      sockets[1].receive(joined('API Gateway', { version: 2 }));
+      expect(client.text).toBe('API Gateway notes');
+      expect(sockets[1].sent[1]).toMatchObject({ type: 'operation', version: 2, operation: [11, ' notes'] });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should stop when the document cannot be joined', () => {
+    sockets[0].receive({ type: 'error', error: 'Access denied', code: 'forbidden' });
+    expect(handlers.onError).toHaveBeenCalledWith('Access denied', expect.objectContaining({ code: 'forbidden' }));
+    expect(client.socket).toBeNull();
+    expect(sockets[0].readyState).toBe(3);
+  });
+});
@@ -0,0 +1,50 @@
+const React = require('react');
+const { render, screen, waitFor } = require('@testing-library/react');
+const { DIAGRAM_LANGUAGES, createDiagramBlock } = require('../../../shared/diagrams');
+
+describe('shared diagram block', () => {
+  let mermaid;
+  let importMermaid;
+  let renderPlantUml;
+  let DiagramBlock;
+  let getCodeText;
+
+  beforeEach(() => {
+    mermaid = {
+      initialize: jest.fn(),
+      render: jest.fn().mockResolvedValue({ svg: '<svg><text>flow</text></svg>' })
+    };
+    importMermaid = jest.fn().mockResolvedValue({ default: mermaid });
+    renderPlantUml = jest.fn().mockResolvedValue('<svg></svg>');
+    URL.createObjectURL = jest.fn(() => 'blob:diagram');
+    URL.revokeObjectURL = jest.fn();
+    ({ DiagramBlock, getCodeText } = createDiagramBlock({ React, importMermaid, renderPlantUml }));
+  });
+
+  it('should join highlighted tokens into the code text', () => {
+    const children = ['graph TD\n', React.createElement('span', { key: 'a' }, 'A --> ', React.createElement('b', null, 'B'))];
+    expect(getCodeText(children)).toBe('graph TD\nA --> B');
+    expect(DIAGRAM_LANGUAGES).toEqual(['mermaid', 'plantuml']);
+  });
+
+  it('should draw Mermaid diagrams with the loader of the client', async () => {
+    const { container } = render(React.createElement(DiagramBlock, { language: 'mermaid', source: 'graph TD\nA --> B' }));
+    await waitFor(() => expect(container.querySelector('svg')).not.toBeNull());
+    expect(importMermaid).toHaveBeenCalledTimes(1);
+    expect(mermaid.initialize).toHaveBeenCalledWith({ startOnLoad: false, securityLevel: 'strict' });
+    expect(mermaid.render).toHaveBeenCalledWith(expect.stringMatching(/^mermaid-diagram-/), 'graph TD\nA --> B');
+  });
+
+  it('should show PlantUML diagrams as images and the source when rendering fails', async () => {
+    const { unmount } = render(React.createElement(DiagramBlock, { language: 'plantuml', source: '@startuml\n@enduml' }));
+    expect(await screen.findByAltText('PlantUML diagram')).toHaveAttribute('src', 'blob:diagram');
+    expect(renderPlantUml).toHaveBeenCalledWith('@startuml\n@enduml');
+    unmount();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:diagram');
+
+    renderPlantUml.mockRejectedValue(new Error('Syntax error'));
+    render(React.createElement(DiagramBlock, { language: 'plantuml', source: 'broken' }));
+    expect(await screen.findByText('PlantUML diagram could not be rendered: Syntax error')).toBeTruthy();
+    expect(screen.getByText('broken').tagName).toBe('CODE');
+  });
+});